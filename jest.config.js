@@ -11,6 +11,9 @@ module.exports = {
     '**/__tests__/**/*.test.js',
   ],
   
+  // Environment variables the app needs to load (JWT_SECRET)
+  setupFiles: ['<rootDir>/tests/env.js'],
+  
   // Coverage configuration
   collectCoverageFrom: [
     'src/**/*.js',
@@ -0,0 +1,29 @@
+/**
+ * Migration: Backfill User Business
+ * 
+ * Existing accounts become owners of their own business (businessId = _id)
+ * Multi-user businesses: Staff Accounts
+ */
+
+module.exports = {
+  name: '004_backfill_user_business',
+
+  async up(db) {
+    console.log('Running migration: 004_backfill_user_business');
+
+    const usersResult = await db.collection('users').updateMany(
+      {businessId: {$exists: false}},
+      [{$set: {businessId: '$_id', role: 'OWNER', staffStatus: 'ACTIVE'}}]
+    );
+    console.log(`  Users: Updated ${usersResult.modifiedCount} documents`);
+
+    await db.collection('staffinvites').createIndex({businessId: 1, status: 1});
+    await db.collection('staffinvites').createIndex({mobile: 1, status: 1, expiresAt: 1});
+
+    console.log('✅ User business backfilled');
+  },
+
+  async down(_db) {
+    console.log('Rollback not implemented for 004_backfill_user_business');
+  },
+};
@@ -0,0 +1,93 @@
+/**
+ * Razorpay Payment Link Webhook Simulator
+ *
+ * Sends a signed payment_link.* webhook to a local server, exactly as Razorpay
+ * would, so bill auto-settlement can be tested without a live payment.
+ *
+ * Usage:
+ *   node scripts/simulate-razorpay-payment-link.js <plink_id> --amount 1250
+ *   node scripts/simulate-razorpay-payment-link.js <plink_id> --amount 1250 --payment pay_TEST123   (redelivery)
+ *   node scripts/simulate-razorpay-payment-link.js <plink_id> --event expired
+ *
+ * Options:
+ *   --amount   Amount paid in INR (required for paid events)
+ *   --payment  Payment id (default: random pay_SIM*; reuse one to test idempotency)
+ *   --event    paid | cancelled | expired (default: paid)
+ *   --url      Server base URL (default: http://localhost:$PORT or 5055)
+ *
+ * Environment:
+ *   RAZORPAY_WEBHOOK_SECRET - Must match the server's secret
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  buildPaymentLinkWebhookPayload,
+  generateWebhookSignature,
+} = require('../src/utils/razorpayWebhook');
+
+function parseArgs(argv) {
+  const args = {positional: []};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function simulate() {
+  const args = parseArgs(process.argv.slice(2));
+  const paymentLinkId = args.positional[0];
+  const event = `payment_link.${args.event || 'paid'}`;
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  const baseUrl = args.url || `http://localhost:${process.env.PORT || 5055}`;
+
+  if (!paymentLinkId) {
+    console.error('Usage: node scripts/simulate-razorpay-payment-link.js <plink_id> --amount <INR>');
+    process.exit(1);
+  }
+  if (!secret) {
+    console.error('❌ RAZORPAY_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const amount = Number(args.amount || 0);
+  if (event === 'payment_link.paid' && !(amount > 0)) {
+    console.error('❌ --amount (INR) is required for paid events');
+    process.exit(1);
+  }
+
+  const paymentId = args.payment || `pay_SIM${crypto.randomBytes(7).toString('hex')}`;
+  const body = buildPaymentLinkWebhookPayload({
+    event,
+    paymentLinkId,
+    amount: Math.round(amount * 100),
+    paymentId,
+  });
+  const rawBody = JSON.stringify(body);
+
+  console.log(`Sending ${event} for ${paymentLinkId}${event === 'payment_link.paid' ? ` (${paymentId}, ₹${amount})` : ''}`);
+
+  try {
+    const response = await axios.post(`${baseUrl}/webhooks/razorpay`, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': generateWebhookSignature(rawBody, secret),
+      },
+      timeout: 15000,
+      validateStatus: () => true,
+    });
+
+    console.log(`← ${response.status}`, JSON.stringify(response.data));
+    process.exit(response.status === 200 ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Request failed:', error.message);
+    process.exit(1);
+  }
+}
+
+simulate();
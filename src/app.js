@@ -25,7 +25,14 @@ const ledgerRoutes = require('./routes/ledger.routes');
 const recoveryRoutes = require('./routes/recovery.routes');
 const followupRoutes = require('./routes/followup.routes');
 const billRoutes = require('./routes/bill.routes');
+const creditNoteRoutes = require('./routes/creditNote.routes');
+const recurringBillRoutes = require('./routes/recurringBill.routes');
+const chequeRoutes = require('./routes/cheque.routes');
 const itemRoutes = require('./routes/item.routes');
+const supplierRoutes = require('./routes/supplier.routes');
+const purchaseBillRoutes = require('./routes/purchaseBill.routes');
+const cashBookRoutes = require('./routes/cashBook.routes');
+const customerImportRoutes = require('./routes/customerImport.routes');
 const attemptRoutes = require('./routes/attempt.routes');
 const messageRoutes = require('./routes/message.routes');
 const settingsRoutes = require('./routes/settings.routes');
@@ -42,7 +49,10 @@ const opsRoutes = require('./routes/ops.routes');
 const supportRoutes = require('./routes/support.routes');
 const specComplianceRoutes = require('./routes/specCompliance.routes');
 const backupRoutes = require('./routes/backup.routes');
+const staffRoutes = require('./routes/staff.routes');
+const reportRoutes = require('./routes/report.routes');
 const publicBillRoutes = require('./routes/publicBill.routes');
+const webhookRoutes = require('./routes/webhook.routes');
 
 // Step 23: Go-Live & Rollout Control middleware
 const {checkGlobalKillSwitch, checkFeatureKillSwitches} = require('./middleware/killSwitch.middleware');
@@ -71,6 +81,15 @@ app.use(compression());
 // Security: CORS with strict origin checking
 app.use(cors(corsOptions));
 
+// Webhooks: keep the raw body for provider signature verification
+// (must run before the global JSON parser, which then skips these requests)
+app.use('/webhooks', express.json({
+  limit: bodyLimits.json,
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
+
 // Security: Body size limits
 app.use(express.json({limit: bodyLimits.json}));
 app.use(express.urlencoded({extended: false, limit: bodyLimits.urlencoded}));
@@ -115,7 +134,14 @@ app.use('/api/ledger', ledgerRoutes);
 app.use('/api/recovery', recoveryRoutes);
 app.use('/api/followups', followupRoutes);
 app.use('/api/bills', billRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/recurring-bills', recurringBillRoutes);
+app.use('/api/cheques', chequeRoutes);
 app.use('/api/items', itemRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-bills', purchaseBillRoutes);
+app.use('/api/cash-book', cashBookRoutes);
+app.use('/api/imports', customerImportRoutes);
 app.use('/api/attempts', attemptRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/settings', settingsRoutes);
@@ -131,10 +157,15 @@ app.use('/api/v1', pilotModeRoutes);
 app.use('/api/v1/support', supportRoutes);
 app.use('/api/v1/dev', specComplianceRoutes);
 app.use('/api/v1/backup', backupRoutes);
+app.use('/api/v1/staff', staffRoutes); // Multi-user businesses (owner-managed staff)
+app.use('/api/v1/reports', reportRoutes); // GST returns and sales register
 
 // Public routes (outside /api prefix, no auth required)
 app.use('/public', publicBillRoutes);
 
+// Payment provider webhooks (signature-verified, no auth)
+app.use('/webhooks', webhookRoutes);
+
 // Health check (legacy, kept for backward compatibility)
 app.get('/health', (req, res) => {
   res.json({success: true, message: 'Server is running'});
@@ -0,0 +1,65 @@
+/**
+ * SMS Notification Configuration
+ *
+ * Optional: SMS channel falls back to StubTransport when not configured.
+ * Does NOT throw at import time; invalid DLT registry JSON is logged and ignored.
+ *
+ * Env:
+ * - SMS_PROVIDER: provider key (default MSG91)
+ * - MSG91_AUTHKEY: MSG91 auth key (shared with OTP)
+ * - SMS_SENDER_ID: default DLT header / sender ID (falls back to MSG91_SENDER_ID)
+ * - SMS_DLT_TEMPLATES: JSON map templateKey -> {dltTemplateId, providerTemplateId, senderId?, variables?}
+ * - SMS_DLR_WEBHOOK_TOKEN: shared token expected on the delivery report webhook URL
+ */
+const logger = require('../utils/logger');
+
+/**
+ * Check if SMS sending is configured for the selected provider
+ *
+ * @returns {boolean}
+ */
+function isSmsConfigured() {
+  const provider = (process.env.SMS_PROVIDER || 'MSG91').toUpperCase();
+  if (provider === 'MSG91') {
+    return !!process.env.MSG91_AUTHKEY;
+  }
+  return false;
+}
+
+/**
+ * Parse the DLT template registry from env
+ *
+ * @returns {Object} templateKey -> registration
+ */
+function parseDltTemplates(raw) {
+  if (!raw) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    logger.error('[SmsConfig] SMS_DLT_TEMPLATES is not valid JSON', {error: error.message});
+    return {};
+  }
+}
+
+/**
+ * Get SMS config (read on every call so tests/env reloads apply)
+ *
+ * @returns {Object} {provider, authKey, defaultSenderId, dltTemplates, dlrWebhookToken}
+ */
+function getSmsConfig() {
+  return {
+    provider: (process.env.SMS_PROVIDER || 'MSG91').toUpperCase(),
+    authKey: process.env.MSG91_AUTHKEY || '',
+    defaultSenderId: process.env.SMS_SENDER_ID || process.env.MSG91_SENDER_ID || '',
+    dltTemplates: parseDltTemplates(process.env.SMS_DLT_TEMPLATES),
+    dlrWebhookToken: process.env.SMS_DLR_WEBHOOK_TOKEN || '',
+  };
+}
+
+module.exports = {
+  isSmsConfigured,
+  getSmsConfig,
+};
@@ -0,0 +1,46 @@
+/**
+ * WhatsApp Cloud API Configuration
+ *
+ * Optional: WHATSAPP channel falls back to StubTransport when not configured.
+ * Does NOT throw at import time.
+ */
+
+const DEFAULT_API_VERSION = 'v20.0';
+
+/**
+ * Check if WhatsApp Cloud API is configured (credentials for sending)
+ *
+ * @returns {boolean}
+ */
+function isWhatsAppConfigured() {
+  return !!(process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID);
+}
+
+/**
+ * Get WhatsApp Cloud API config (read on every call so tests/env reloads apply)
+ *
+ * @returns {Object} {accessToken, phoneNumberId, apiVersion, appSecret, verifyToken, templateLanguage, templateLanguages}
+ */
+function getWhatsAppConfig() {
+  const templateLanguage = process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en';
+
+  return {
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN || '',
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID || '',
+    apiVersion: process.env.WHATSAPP_API_VERSION || DEFAULT_API_VERSION,
+    // Webhooks: X-Hub-Signature-256 secret and subscription verify token
+    appSecret: process.env.WHATSAPP_APP_SECRET || '',
+    verifyToken: process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN || '',
+    templateLanguage,
+    // Languages the templates are approved in (WHATSAPP_TEMPLATE_LANGUAGES=en,hi,mr)
+    templateLanguages: (process.env.WHATSAPP_TEMPLATE_LANGUAGES || templateLanguage)
+      .split(',')
+      .map(code => code.trim())
+      .filter(Boolean),
+  };
+}
+
+module.exports = {
+  isWhatsAppConfigured,
+  getWhatsAppConfig,
+};
@@ -0,0 +1,73 @@
+/**
+ * Advance Controller
+ *
+ * Customer credit balance: advances held (unallocated payments, unapplied
+ * credit notes) and refunds of it
+ */
+const asyncHandler = require('express-async-handler');
+const advanceService = require('../services/advance.service');
+const {auditCreate} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * GET /api/customers/:id/credit-balance
+ * Advances held for the customer (oldest first) and recent refunds
+ */
+const getCreditBalance = asyncHandler(async (req, res) => {
+  const result = await advanceService.getCreditBalance({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+  });
+
+  res.success(result);
+});
+
+/**
+ * POST /api/customers/:id/refunds
+ * Pay back credit balance to the customer (owner only)
+ */
+const refundCreditBalance = asyncHandler(async (req, res) => {
+  const {amount, mode, reference, refundDate, reason} = req.body;
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+
+  const {refund, duplicate} = await advanceService.refundCreditBalance({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+    amount,
+    mode,
+    reference,
+    refundDate,
+    reason,
+    idempotencyKey,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  if (duplicate) {
+    return res.success({refund, duplicate: true});
+  }
+
+  await auditCreate({
+    action: 'CREDIT_BALANCE_REFUNDED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'REFUND',
+    entity: refund,
+    customerId: refund.customerId,
+    businessId: req.user.businessId,
+    metadata: {
+      amount: refund.amount,
+      mode: refund.mode,
+      reason: refund.reason,
+      sources: refund.sources.map(source => source.documentNo),
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({refund, duplicate: false}, 201);
+});
+
+module.exports = {
+  getCreditBalance,
+  refundCreditBalance,
+};
@@ -15,7 +15,7 @@ const AppError = require('../utils/AppError');
  */
 exports.createAttempt = asyncHandler(async (req, res) => {
   const { customerId, entityType, entityId, channel, outcome, note, promiseAt, idempotencyKey } = req.body;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
 
   // Validation
   if (!customerId || !entityType || !entityId || !channel || !outcome) {
@@ -81,7 +81,7 @@ exports.createAttempt = asyncHandler(async (req, res) => {
  */
 exports.listAttempts = asyncHandler(async (req, res) => {
   const { customerId, entityType, entityId, limit = 50 } = req.query;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
 
   const filter = { userId };
   if (customerId) filter.customerId = customerId;
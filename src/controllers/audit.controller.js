@@ -5,23 +5,37 @@
  * Step 5: Staff Accountability
  */
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const AuditEvent = require('../models/AuditEvent');
 const AppError = require('../utils/AppError');
 
+/**
+ * Match events belonging to the current business
+ * Events recorded before staff accounts existed carry only actorUserId (the owner)
+ */
+const businessScope = req => ({
+  $or: [
+    {businessId: req.user.businessId},
+    {businessId: null, actorUserId: req.user.businessId},
+  ],
+});
+
 /**
  * Get business-wide audit log
  * GET /api/v1/audit?limit=100&cursor=&filter=
  */
 const getBusinessAudit = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
   const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
   const cursor = req.query.cursor; // ISO timestamp
   const filter = req.query.filter; // Entity type filter: BILL, CUSTOMER, etc.
+  const actor = req.query.actor; // Staff member filter (user id)
+  
+  // Build query (all members of the business)
+  const query = businessScope(req);
   
-  // Build query
-  const query = {
-    actorUserId: userId, // Only show this user's actions (or could be businessId)
-  };
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) {
+    query.actorUserId = actor;
+  }
   
   // Cursor pagination
   if (cursor) {
@@ -60,11 +74,10 @@ const getBusinessAudit = asyncHandler(async (req, res) => {
  */
 const getAuditEvent = asyncHandler(async (req, res) => {
   const {id} = req.params;
-  const userId = req.user._id;
   
   const auditEvent = await AuditEvent.findOne({
     _id: id,
-    actorUserId: userId,
+    ...businessScope(req),
   })
     .populate('actorUserId', 'name email')
     .populate('customerId', 'name')
@@ -82,7 +95,6 @@ const getAuditEvent = asyncHandler(async (req, res) => {
  * GET /api/v1/audit/stats
  */
 const getAuditStats = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
   const days = parseInt(req.query.days, 10) || 30;
   
   const since = new Date();
@@ -92,7 +104,7 @@ const getAuditStats = asyncHandler(async (req, res) => {
   const byAction = await AuditEvent.aggregate([
     {
       $match: {
-        actorUserId: userId,
+        ...businessScope(req),
         createdAt: {$gte: since},
       },
     },
@@ -111,7 +123,7 @@ const getAuditStats = asyncHandler(async (req, res) => {
   const byEntity = await AuditEvent.aggregate([
     {
       $match: {
-        actorUserId: userId,
+        ...businessScope(req),
         createdAt: {$gte: since},
       },
     },
@@ -128,7 +140,7 @@ const getAuditStats = asyncHandler(async (req, res) => {
   
   // Total count
   const total = await AuditEvent.countDocuments({
-    actorUserId: userId,
+    ...businessScope(req),
     createdAt: {$gte: since},
   });
   
@@ -9,6 +9,7 @@ const OtpSimple = require('../models/OtpSimple');
 const {jwtSecret, jwtExpire} = require('../config/env');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
+const {claimStaffInvite} = require('../services/staff.service');
 
 // In-memory rate limiter (simple implementation)
 const rateLimitMap = new Map();
@@ -51,6 +52,31 @@ const generateRefreshToken = (id) => {
   });
 };
 
+/**
+ * Build user payload for login responses
+ * Staff see the owner's business name and never need to set one
+ */
+const buildLoginUser = async user => {
+  let businessName = user.businessName;
+
+  if (user.isStaffMember()) {
+    const owner = await User.findById(user.businessId).select('businessName');
+    businessName = owner ? owner.businessName : null;
+  }
+
+  return {
+    user: {
+      id: user._id,
+      mobile: user.mobile,
+      countryCode: user.countryCode,
+      businessName,
+      role: user.role,
+      businessId: user.businessId,
+    },
+    needsBusinessName: !user.isStaffMember() && (!businessName || businessName.trim() === ''),
+  };
+};
+
 /**
  * @route   POST /api/v1/auth/otp/request
  * @desc    Request OTP for mobile number
@@ -174,12 +200,15 @@ exports.verifyOtp = asyncHandler(async (req, res) => {
   user.phoneVerified = true;
   await user.save();
   
+  // Invited staff join the owner's business on first login
+  user = await claimStaffInvite(user);
+  
   // Generate tokens
   const accessToken = generateToken(user._id);
   const refreshToken = generateRefreshToken(user._id);
   
   // Check if businessName is set
-  const needsBusinessName = !user.businessName || user.businessName.trim() === '';
+  const {user: userPayload, needsBusinessName} = await buildLoginUser(user);
   
   logger.info('[OTP] OTP verified successfully', {
     userId: user._id,
@@ -191,13 +220,7 @@ exports.verifyOtp = asyncHandler(async (req, res) => {
     success: true,
     accessToken,
     refreshToken,
-    user: {
-      id: user._id,
-      mobile: user.mobile,
-      countryCode: user.countryCode,
-      businessName: user.businessName,
-      role: user.role,
-    },
+    user: userPayload,
     needsBusinessName,
   });
 });
@@ -247,12 +270,15 @@ exports.mobileLogin = asyncHandler(async (req, res) => {
     }
   }
   
+  // Invited staff join the owner's business on first login
+  user = await claimStaffInvite(user);
+  
   // Generate tokens
   const accessToken = generateToken(user._id);
   const refreshToken = generateRefreshToken(user._id);
   
   // Check if businessName is set
-  const needsBusinessName = !user.businessName || user.businessName.trim() === '';
+  const {user: userPayload, needsBusinessName} = await buildLoginUser(user);
   
   logger.info('[MobileLogin] User logged in', {
     userId: user._id,
@@ -264,13 +290,7 @@ exports.mobileLogin = asyncHandler(async (req, res) => {
     success: true,
     accessToken,
     refreshToken,
-    user: {
-      id: user._id,
-      mobile: user.mobile,
-      countryCode: user.countryCode,
-      businessName: user.businessName,
-      role: user.role,
-    },
+    user: userPayload,
     needsBusinessName,
   });
 });
@@ -358,6 +378,11 @@ exports.refreshToken = asyncHandler(async (req, res) => {
       throw new AppError('User not found', 404, 'USER_NOT_FOUND');
     }
     
+    // Revoked staff cannot renew their session
+    if (user.isStaffMember() && user.staffStatus === 'REVOKED') {
+      throw new AppError('Access revoked', 401, 'ACCESS_REVOKED');
+    }
+    
     // Generate new access token
     const newAccessToken = generateToken(user._id);
     
@@ -374,6 +399,7 @@ exports.refreshToken = asyncHandler(async (req, res) => {
         businessName: user.businessName,
         name: user.name,
         role: user.role,
+        businessId: user.businessId || user._id,
       },
     });
   } catch (error) {
@@ -0,0 +1,388 @@
+/**
+ * Backup Controller
+ *
+ * Data export and restore with typed confirmation
+ * Step 10: Data Export + Restore
+ */
+const asyncHandler = require('express-async-handler');
+const fs = require('fs');
+const ExportJob = require('../models/ExportJob');
+const RestoreJob = require('../models/RestoreJob');
+const {
+  processExportJob,
+  processRestoreJob,
+  parseArchive,
+  readArchiveFile,
+  validateArchive,
+  saveRestoreUpload,
+  businessHasData,
+} = require('../services/backup.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const CONFIRM_PHRASES = {
+  NEW_BUSINESS: 'RESTORE_MY_BUSINESS',
+  OVERWRITE: 'OVERWRITE_MY_BUSINESS',
+};
+
+/**
+ * Resolve business id for the current user
+ */
+const getBusinessId = req => req.user.businessId || req.user._id;
+
+/**
+ * Shape export job for API responses
+ */
+const formatExportJob = job => ({
+  id: job._id,
+  status: job.status,
+  manifest: job.manifest,
+  fileSize: job.fileSize,
+  downloadUrl: job.status === 'DONE' ? job.downloadUrl : null,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  expiresAt: job.expiresAt,
+});
+
+/**
+ * Shape restore job for API responses
+ */
+const formatRestoreJob = job => ({
+  id: job._id,
+  status: job.status,
+  targetMode: job.targetMode,
+  progress: job.progress,
+  manifest: job.manifest,
+  result: job.result,
+  error: job.error,
+  requiredPhrase: CONFIRM_PHRASES[job.targetMode],
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+});
+
+/**
+ * Load restore job and verify it belongs to the user's business
+ */
+const loadRestoreJob = async req => {
+  const job = await RestoreJob.findById(req.params.jobId);
+  if (!job) {
+    throw new AppError('Restore job not found', 404, 'NOT_FOUND');
+  }
+  if (job.targetBusinessId.toString() !== getBusinessId(req).toString()) {
+    throw new AppError('Unauthorized', 403, 'AUTH_ERROR');
+  }
+  return job;
+};
+
+/**
+ * POST /api/v1/backup/export
+ * Queue a full data export for the current business
+ */
+const createExport = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+
+  const runningJob = await ExportJob.findOne({
+    businessId,
+    status: {$in: ['QUEUED', 'RUNNING']},
+  });
+
+  if (runningJob) {
+    throw new AppError(
+      'An export is already in progress',
+      409,
+      'EXPORT_IN_PROGRESS',
+      {exportJobId: runningJob._id}
+    );
+  }
+
+  const exportJob = await ExportJob.create({
+    businessId,
+    requestedBy: req.user._id,
+    status: 'QUEUED',
+    metadata: {triggeredBy: 'USER', requestId: req.requestId},
+  });
+
+  logger.info('[BackupController] Export job created', {
+    exportJobId: exportJob._id,
+    businessId,
+  });
+
+  // Build archive asynchronously (don't await)
+  setImmediate(() => {
+    processExportJob(exportJob._id).catch(error => {
+      logger.error('[BackupController] Export processing failed', {
+        exportJobId: exportJob._id,
+        error: error.message,
+      });
+    });
+  });
+
+  res.success({exportJob: formatExportJob(exportJob)}, 202);
+});
+
+/**
+ * GET /api/v1/backup/export/:jobId
+ * Get export job status
+ */
+const getExportStatus = asyncHandler(async (req, res) => {
+  const exportJob = await ExportJob.findById(req.params.jobId);
+
+  if (!exportJob) {
+    throw new AppError('Export job not found', 404, 'NOT_FOUND');
+  }
+  if (exportJob.businessId.toString() !== getBusinessId(req).toString()) {
+    throw new AppError('Unauthorized', 403, 'AUTH_ERROR');
+  }
+
+  res.success({exportJob: formatExportJob(exportJob)});
+});
+
+/**
+ * GET /api/v1/backup/export/:jobId/download
+ * Download finished export archive (.json.gz)
+ */
+const downloadExport = asyncHandler(async (req, res) => {
+  const exportJob = await ExportJob.findById(req.params.jobId);
+
+  if (!exportJob) {
+    throw new AppError('Export job not found', 404, 'NOT_FOUND');
+  }
+  if (exportJob.businessId.toString() !== getBusinessId(req).toString()) {
+    throw new AppError('Unauthorized', 403, 'AUTH_ERROR');
+  }
+  if (exportJob.status !== 'DONE') {
+    throw new AppError('Export is not ready yet', 409, 'EXPORT_NOT_READY', {status: exportJob.status});
+  }
+  if (!exportJob.filePath || !fs.existsSync(exportJob.filePath)) {
+    throw new AppError('Export file has expired. Please create a new export.', 410, 'EXPORT_EXPIRED');
+  }
+
+  const date = (exportJob.manifest?.exportedAt ? new Date(exportJob.manifest.exportedAt) : exportJob.finishedAt)
+    .toISOString()
+    .split('T')[0];
+
+  res.setHeader('Content-Type', 'application/gzip');
+  res.setHeader('X-Backup-Format-Version', exportJob.manifest?.formatVersion || '');
+  res.download(exportJob.filePath, `ph4-backup-${date}.json.gz`);
+});
+
+/**
+ * POST /api/v1/backup/restore/init
+ * Create a restore job (archive is uploaded in the next step)
+ */
+const initRestore = asyncHandler(async (req, res) => {
+  const {targetMode} = req.body;
+  const businessId = getBusinessId(req);
+
+  if (!CONFIRM_PHRASES[targetMode]) {
+    throw new AppError(
+      'targetMode must be NEW_BUSINESS or OVERWRITE',
+      400,
+      'VALIDATION_ERROR'
+    );
+  }
+
+  if (targetMode === 'NEW_BUSINESS' && (await businessHasData(businessId))) {
+    throw new AppError(
+      'This business already has customers or bills. Use OVERWRITE mode to replace them.',
+      409,
+      'TARGET_NOT_EMPTY'
+    );
+  }
+
+  const runningJob = await RestoreJob.findOne({
+    targetBusinessId: businessId,
+    status: {$in: ['QUEUED', 'VALIDATING', 'APPLYING']},
+  });
+
+  if (runningJob) {
+    throw new AppError(
+      'A restore is already in progress',
+      409,
+      'RESTORE_IN_PROGRESS',
+      {restoreJobId: runningJob._id}
+    );
+  }
+
+  const restoreJob = await RestoreJob.create({
+    requestedBy: req.user._id,
+    targetMode,
+    targetBusinessId: businessId,
+    status: 'AWAITING_UPLOAD',
+    progress: {
+      phase: 'AWAITING_UPLOAD',
+      percent: 0,
+      message: 'Upload a backup file to continue',
+    },
+  });
+
+  logger.info('[BackupController] Restore job created', {
+    restoreJobId: restoreJob._id,
+    businessId,
+    targetMode,
+  });
+
+  res.success({restoreJob: formatRestoreJob(restoreJob)}, 201);
+});
+
+/**
+ * POST /api/v1/backup/restore/:jobId/upload
+ * Upload archive (raw .json.gz body) or reference an existing export ({exportJobId})
+ * Validates checksums and returns a preview; nothing is written until confirm.
+ */
+const uploadRestoreArchive = asyncHandler(async (req, res) => {
+  const job = await loadRestoreJob(req);
+
+  if (!['AWAITING_UPLOAD', 'AWAITING_CONFIRM'].includes(job.status)) {
+    throw new AppError(
+      `Cannot upload to a restore job in ${job.status} state`,
+      409,
+      'INVALID_STATE'
+    );
+  }
+
+  let archive;
+  let filePath;
+
+  if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+    archive = await parseArchive(req.body).catch(error => {
+      throw new AppError(error.message, 400, error.code || 'BACKUP_UNREADABLE');
+    });
+  } else if (req.body && req.body.exportJobId) {
+    const exportJob = await ExportJob.findOne({
+      _id: req.body.exportJobId,
+      businessId: getBusinessId(req),
+      status: 'DONE',
+    });
+    if (!exportJob || !exportJob.filePath || !fs.existsSync(exportJob.filePath)) {
+      throw new AppError('Export not found or expired', 404, 'NOT_FOUND');
+    }
+    archive = await readArchiveFile(exportJob.filePath);
+    filePath = exportJob.filePath;
+    job.sourceExportJobId = exportJob._id;
+  } else {
+    throw new AppError(
+      'Send the backup file as application/gzip body or provide exportJobId',
+      400,
+      'VALIDATION_ERROR'
+    );
+  }
+
+  const validation = validateArchive(archive);
+
+  if (!validation.valid) {
+    job.status = 'FAILED';
+    job.finishedAt = new Date();
+    job.error = {
+      code: 'BACKUP_INVALID',
+      message: 'Backup file failed validation',
+      details: {errors: validation.errors},
+    };
+    await job.save();
+
+    throw new AppError('Backup file failed validation', 400, 'BACKUP_INVALID', {
+      errors: validation.errors,
+    });
+  }
+
+  if (!filePath) {
+    filePath = await saveRestoreUpload(job._id, req.body);
+  }
+
+  job.uploadedFilePath = filePath;
+  job.manifest = archive.manifest;
+  job.status = 'AWAITING_CONFIRM';
+  job.result = {warnings: validation.warnings};
+  job.progress = {
+    phase: 'AWAITING_CONFIRM',
+    percent: 0,
+    message: `Type ${CONFIRM_PHRASES[job.targetMode]} to start the restore`,
+  };
+  await job.save();
+
+  res.success({
+    restoreJob: formatRestoreJob(job),
+    preview: {
+      counts: validation.counts,
+      warnings: validation.warnings,
+      exportedAt: archive.manifest.exportedAt,
+      sourceBusinessId: archive.manifest.businessId,
+    },
+  });
+});
+
+/**
+ * POST /api/v1/backup/restore/:jobId/confirm
+ * Confirm restore with typed phrase and start applying
+ */
+const confirmRestore = asyncHandler(async (req, res) => {
+  const {confirmPhrase} = req.body;
+  const job = await loadRestoreJob(req);
+
+  if (job.status !== 'AWAITING_CONFIRM') {
+    throw new AppError(
+      `Cannot confirm a restore job in ${job.status} state`,
+      409,
+      'INVALID_STATE'
+    );
+  }
+
+  const requiredPhrase = CONFIRM_PHRASES[job.targetMode];
+  if (confirmPhrase !== requiredPhrase) {
+    throw new AppError(
+      `Invalid confirmation phrase. Type exactly: ${requiredPhrase}`,
+      400,
+      'VALIDATION_ERROR',
+      {requiredPhrase}
+    );
+  }
+
+  job.confirmPhrase = confirmPhrase;
+  job.status = 'QUEUED';
+  job.progress = {
+    phase: 'QUEUED',
+    percent: 0,
+    message: 'Restore queued...',
+  };
+  await job.save();
+
+  logger.info('[BackupController] Restore confirmed', {
+    restoreJobId: job._id,
+    targetMode: job.targetMode,
+  });
+
+  // Apply asynchronously (don't await) - client polls status
+  setImmediate(() => {
+    processRestoreJob(job._id).catch(error => {
+      logger.error('[BackupController] Restore processing failed', {
+        restoreJobId: job._id,
+        error: error.message,
+      });
+    });
+  });
+
+  res.success({restoreJob: formatRestoreJob(job)}, 202);
+});
+
+/**
+ * GET /api/v1/backup/restore/:jobId
+ * Get restore job status and progress
+ */
+const getRestoreStatus = asyncHandler(async (req, res) => {
+  const job = await loadRestoreJob(req);
+  res.success({restoreJob: formatRestoreJob(job)});
+});
+
+module.exports = {
+  createExport,
+  getExportStatus,
+  downloadExport,
+  initRestore,
+  uploadRestoreArchive,
+  confirmRestore,
+  getRestoreStatus,
+  CONFIRM_PHRASES,
+};
@@ -1,7 +1,5 @@
 const Bill = require('../models/Bill');
-const LedgerTransaction = require('../models/LedgerTransaction');
 const Customer = require('../models/Customer');
-const Item = require('../models/Item');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
 const {
@@ -10,44 +8,49 @@ const {
 } = require('../services/creditControl.service');
 const {auditCreate, auditUpdate, auditDelete} = require('../services/auditHelper.service');
 const {getUserRole} = require('../middleware/permission.middleware');
+const {applyBillPayment} = require('../services/billPayment.service');
+const billAmendment = require('../services/billAmendment.service');
+const billCreation = require('../services/billCreation.service');
+const {restoreBillStock} = require('../services/stock.service');
 
 /**
- * Generate next bill number for user
+ * Put back the stock of a cancelled / deleted bill (must not fail the request)
  */
-const generateBillNo = async userId => {
-  const lastBill = await Bill.findOne({userId})
-    .sort({createdAt: -1})
-    .select('billNo');
-
-  if (!lastBill) {
-    return 'BILL-001';
-  }
-
-  // Extract number from last bill (format: BILL-XXX)
-  const match = lastBill.billNo.match(/BILL-(\d+)/);
-  if (match) {
-    const nextNum = parseInt(match[1], 10) + 1;
-    return `BILL-${String(nextNum).padStart(3, '0')}`;
+const restoreStock = async (userId, bill) => {
+  try {
+    await restoreBillStock({userId, bill});
+  } catch (error) {
+    logger.error('[Bill] Stock restore failed', {billId: bill._id, error: error.message});
   }
-
-  // Fallback to timestamp-based
-  return `BILL-${Date.now()}`;
 };
 
 /**
  * Create a new bill
  * POST /api/bills
  * 
- * ROCKEFELLER-GRADE CREDIT ENFORCEMENT:
+ * ROCKEFELLER-GRADE CREDIT ENFORCEMENT (billCreation.service):
  * - Atomically reserves credit BEFORE bill creation (no race conditions)
  * - If bill creation fails, credit is rolled back atomically
  * - Audit trail for all credit decisions (PASSED/BLOCKED/OVERRIDE)
+ * - Advances held for the customer are applied to the new bill
  */
 exports.createBill = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const {customerId, items, subTotal, discount, tax, grandTotal, paidAmount, dueDate, notes} =
-      req.body;
+    const userId = req.user.businessId;
+    const {
+      customerId,
+      items,
+      subTotal,
+      discount,
+      tax,
+      grandTotal,
+      paidAmount,
+      dueDate,
+      notes,
+      placeOfSupply,
+      taxInvoice,
+      overrideReason,
+    } = req.body;
 
     // Get idempotencyKey from headers or body
     const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
@@ -59,213 +62,38 @@ exports.createBill = async (req, res, next) => {
       customerId,
     });
 
-    // Validate required fields
-    if (!customerId || !items || !Array.isArray(items) || items.length === 0) {
-      throw new AppError('Customer and at least one item are required', 400, 'VALIDATION_ERROR');
-    }
-
-    if (subTotal == null || grandTotal == null) {
-      throw new AppError('subTotal and grandTotal are required', 400, 'VALIDATION_ERROR');
-    }
-
-    // Verify customer exists and belongs to user
-    const customer = await Customer.findOne({_id: customerId, userId});
-    if (!customer) {
-      throw new AppError('Customer not found', 404, 'NOT_FOUND');
-    }
-
-    // Check idempotency
-    if (idempotencyKey) {
-      const existing = await Bill.findOne({userId, idempotencyKey});
-      if (existing) {
-        logger.info('Idempotent duplicate bill creation detected', {
-          userId,
-          idempotencyKey,
-          billId: existing._id,
-        });
-        return res.status(200).json({
-          success: true,
-          data: existing,
-          message: 'Bill already exists (idempotent)',
-        });
-      }
-    }
-
-    // Generate bill number
-    const billNo = await generateBillNo(userId);
-
-    // ═══════════════════════════════════════════════════════════════════════
-    // ROCKEFELLER-GRADE ATOMIC CREDIT LIMIT ENFORCEMENT
-    // ═══════════════════════════════════════════════════════════════════════
-    
-    const unpaidAmount = grandTotal - (paidAmount || 0);
-    let creditReserved = false;
-    
-    if (unpaidAmount > 0) {
-      const {atomicReserveCredit, atomicReleaseCredit} = require('../services/creditControlAtomic.service');
-      
-      // Check for owner override
-      const ownerOverride = req.headers['x-owner-override'] === 'true';
-      const overrideReason = req.body.overrideReason;
-      
-      // ATOMIC OPERATION: Reserve credit (check + increment in single atomic operation)
-      const reserveResult = await atomicReserveCredit({
-        userId,
-        customerId,
-        delta: unpaidAmount,
-        override: ownerOverride && overrideReason,
-        overrideReason,
-        billId: 'pending', // Will be updated after bill created
-        requestId: req.requestId,
-      });
-      
-      if (!reserveResult.success) {
-        // BLOCKED: Credit limit exceeded
-        // Audit event already logged in atomicReserveCredit
-        
-        throw new AppError(
-          'Credit limit exceeded',
-          409,
-          'CREDIT_LIMIT_EXCEEDED',
-          {
-            ...reserveResult.details,
-            requiredOverride: customer.creditLimitAllowOverride,
-          }
-        );
-      }
-      
-      creditReserved = true;
-      logger.info('[Bill] Credit reserved atomically', {
-        customerId,
-        unpaidAmount,
-        newOutstanding: reserveResult.customer.creditOutstanding,
-      });
-    }
-
-    // Process items: upsert catalog items if itemId is missing
-    const processedItems = await Promise.all(
-      items.map(async item => {
-        // If itemId is provided, use it
-        if (item.itemId) {
-          return {
-            itemId: item.itemId,
-            name: item.name,
-            qty: item.qty,
-            price: item.price,
-            total: item.total,
-          };
-        }
-
-        // If no itemId, upsert to catalog
-        if (item.name && item.name.trim()) {
-          try {
-            const catalogItem = await Item.upsertByName(userId, item.name.trim(), item.price);
-            return {
-              itemId: catalogItem._id,
-              name: item.name,
-              qty: item.qty,
-              price: item.price,
-              total: item.total,
-            };
-          } catch (error) {
-            console.error(`[Bill] Error upserting item ${item.name}:`, error);
-            // If upsert fails, continue without itemId (backward compatible)
-            return {
-              name: item.name,
-              qty: item.qty,
-              price: item.price,
-              total: item.total,
-            };
-          }
-        }
-
-        // Fallback: use item as-is
-        return item;
-      })
-    );
-
-    // ═══════════════════════════════════════════════════════════════════════
-    // CREATE BILL (with atomic rollback on failure)
-    // ═══════════════════════════════════════════════════════════════════════
-    
-    let bill;
-    try {
-      bill = await Bill.create({
-        userId,
-        customerId,
-        billNo,
-        items: processedItems,
-        subTotal,
-        discount: discount || 0,
-        tax: tax || 0,
-        grandTotal,
-        paidAmount: paidAmount || 0,
-        dueDate: dueDate || null,
-        notes: notes || '',
-        idempotencyKey: idempotencyKey || null,
-      });
-    } catch (billCreateError) {
-      // ROLLBACK: Release reserved credit atomically
-      if (creditReserved) {
-        const {atomicReleaseCredit} = require('../services/creditControlAtomic.service');
-        await atomicReleaseCredit({
-          userId,
-          customerId,
-          delta: unpaidAmount,
-          reason: 'ROLLBACK_BILL_CREATE_FAILED',
-          billId: null,
-          requestId: req.requestId,
-        });
-        
-        logger.warn('[Bill] Credit rollback executed - bill creation failed', {
-          customerId,
-          unpaidAmount,
-          error: billCreateError.message,
-        });
-      }
-      
-      throw billCreateError; // Re-throw original error
-    }
-
-    // Auto-create ledger transaction if unpaid amount > 0
-    // (unpaidAmount already computed for credit limit check above)
-    if (unpaidAmount > 0) {
-      const ledgerIdempotencyKey = idempotencyKey
-        ? `${idempotencyKey}_ledger_credit`
-        : `bill_${bill._id}_credit`;
+    const {bill, customer, duplicate} = await billCreation.createBill({
+      userId,
+      customerId,
+      items,
+      subTotal,
+      discount,
+      tax,
+      grandTotal,
+      paidAmount,
+      dueDate,
+      notes,
+      placeOfSupply,
+      taxInvoice,
+      idempotencyKey,
+      // Owner override of the credit limit
+      override: req.headers['x-owner-override'] === 'true',
+      overrideReason,
+      requestId: req.requestId,
+    });
 
-      // Check if ledger transaction already exists (for idempotency)
-      const existingLedgerTx = await LedgerTransaction.findOne({
-        userId,
-        idempotencyKey: ledgerIdempotencyKey,
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        data: bill,
+        message: 'Bill already exists (idempotent)',
       });
-
-      if (!existingLedgerTx) {
-        await LedgerTransaction.create({
-          userId,
-          customerId,
-          type: 'credit',
-          amount: unpaidAmount,
-          note: `Bill ${billNo} created`,
-          metadata: {
-            billId: bill._id,
-            billNo: bill.billNo,
-            source: 'bill_create',
-          },
-          idempotencyKey: ledgerIdempotencyKey,
-        });
-
-        console.log(`[Bill] Auto-created ledger CREDIT ₹${unpaidAmount} for bill ${billNo}`);
-      }
-      
-      // NOTE: Audit events for credit (PASSED/BLOCKED/OVERRIDE) already logged
-      // by atomicReserveCredit service - no duplicate logging needed here
     }
     
     // AUDIT EVENT: Bill Created (Step 5)
     await auditCreate({
       action: 'BILL_CREATED',
-      actorUserId: userId,
+      actorUserId: req.user._id,
       actorRole: getUserRole(req),
       entityType: 'BILL',
       entity: bill,
@@ -294,7 +122,7 @@ exports.createBill = async (req, res, next) => {
  */
 exports.listBills = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {
       limit = 20,
       cursor,
@@ -449,7 +277,7 @@ exports.listBills = async (req, res, next) => {
  */
 exports.getBillsSummary = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {from, to, status, customerId, search} = req.query;
 
     // Build filter (same logic as listBills)
@@ -605,7 +433,7 @@ exports.getBillsSummary = async (req, res, next) => {
  */
 exports.getBill = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {id} = req.params;
 
     const bill = await Bill.findOne({_id: id, userId})
@@ -678,15 +506,125 @@ exports.getBill = async (req, res, next) => {
   }
 };
 
+/**
+ * Amend a bill (items, discount, tax, due date, notes)
+ * PATCH /api/bills/:id
+ *
+ * - The replaced version is kept (GET /api/bills/:id/versions)
+ * - Outstanding moves atomically by the change in grandTotal; increases are
+ *   credit-limit checked (x-owner-override + overrideReason to override)
+ * - Optional expectedVersion rejects edits made against a stale copy (409)
+ */
+exports.updateBill = async (req, res, next) => {
+  try {
+    const userId = req.user.businessId;
+    const {id} = req.params;
+    const {items, discount, tax, dueDate, notes, reason, expectedVersion, overrideReason} = req.body;
+
+    const ownerOverride = req.headers['x-owner-override'] === 'true';
+
+    const result = await billAmendment.amendBill({
+      userId,
+      billId: id,
+      changes: {items, discount, tax, dueDate, notes},
+      expectedVersion,
+      reason: reason || null,
+      actorUserId: req.user._id,
+      override: Boolean(ownerOverride && overrideReason),
+      overrideReason,
+      requestId: req.requestId,
+    });
+
+    if (!result.amended) {
+      return res.status(200).json({
+        success: true,
+        data: result.bill,
+        message: 'No changes to apply',
+      });
+    }
+
+    // AUDIT EVENT: Bill Updated (field-level diff of the amended fields)
+    await auditUpdate({
+      action: 'BILL_UPDATED',
+      actorUserId: req.user._id,
+      actorRole: getUserRole(req),
+      entityType: 'BILL',
+      beforeEntity: {_id: result.bill._id, ...result.before, version: result.bill.version - 1},
+      afterEntity: result.bill,
+      customerId: result.bill.customerId,
+      businessId: req.user.businessId,
+      metadata: {
+        billNo: result.bill.billNo,
+        version: result.bill.version,
+        reason: reason || null,
+        amountDelta: result.delta,
+        changedKeys: result.changedKeys,
+        ...(ownerOverride && overrideReason && {overrideReason}),
+      },
+      requestId: req.requestId,
+    });
+
+    await result.bill.populate('customerId', 'name phone');
+
+    res.status(200).json({
+      success: true,
+      data: result.bill,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bill version history (current version first)
+ * GET /api/bills/:id/versions
+ */
+exports.listBillVersions = async (req, res, next) => {
+  try {
+    const history = await billAmendment.listBillVersions({
+      userId: req.user.businessId,
+      billId: req.params.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * A single bill version as it was issued
+ * GET /api/bills/:id/versions/:version
+ */
+exports.getBillVersion = async (req, res, next) => {
+  try {
+    const version = await billAmendment.getBillVersion({
+      userId: req.user.businessId,
+      billId: req.params.id,
+      version: req.params.version,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: version,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Add payment to bill
  * PATCH /api/bills/:id/pay
  */
 exports.addBillPayment = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {id} = req.params;
-    const {amount, note} = req.body;
+    const {amount, note, mode, reference, paymentDate} = req.body;
 
     // Get idempotencyKey from headers or body
     const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
@@ -702,28 +640,27 @@ exports.addBillPayment = async (req, res, next) => {
       throw new AppError('Payment amount must be positive', 400, 'VALIDATION_ERROR');
     }
 
-    // Find bill
-    const bill = await Bill.findOne({_id: id, userId});
-    if (!bill) {
-      throw new AppError('Bill not found', 404, 'NOT_FOUND');
-    }
-
-    if (bill.status === 'cancelled') {
-      throw new AppError('Cannot add payment to cancelled bill', 400, 'VALIDATION_ERROR');
-    }
-
     // Check idempotency for ledger transaction
     const ledgerIdempotencyKey = idempotencyKey
       ? `${idempotencyKey}_ledger_debit`
-      : `bill_${bill._id}_pay_${Date.now()}`;
+      : `bill_${id}_pay_${Date.now()}`;
 
-    const existingLedgerTx = await LedgerTransaction.findOne({
+    // Credit release, ledger debit, promise auto-keep and notification
+    const {bill, duplicate, excessPayment} = await applyBillPayment({
       userId,
-      idempotencyKey: ledgerIdempotencyKey,
+      billId: id,
+      amount,
+      note,
+      mode,
+      reference,
+      paymentDate,
+      ledgerIdempotencyKey,
+      excessAsAdvance: true,
+      actorUserId: req.user._id,
+      requestId: req.requestId,
     });
 
-    if (existingLedgerTx) {
-      console.log(`[Bill] Payment already processed (idempotent) for key=${ledgerIdempotencyKey}`);
+    if (duplicate) {
       return res.status(200).json({
         success: true,
         data: bill,
@@ -731,72 +668,21 @@ exports.addBillPayment = async (req, res, next) => {
       });
     }
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // ATOMIC CREDIT RELEASE: Payment reduces outstanding
-    // ═══════════════════════════════════════════════════════════════════════
-    
-    const previousPaid = bill.paidAmount;
-    const newPaidAmount = Math.min(bill.paidAmount + amount, bill.grandTotal);
-    const actualPaymentAmount = newPaidAmount - previousPaid;
-    
-    // Atomically release credit (payment received)
-    if (actualPaymentAmount > 0) {
-      const {atomicReleaseCredit} = require('../services/creditControlAtomic.service');
-      await atomicReleaseCredit({
-        userId,
-        customerId: bill.customerId,
-        delta: actualPaymentAmount,
-        reason: 'PAYMENT',
-        billId: bill._id,
-        requestId: req.requestId,
-      });
-    }
-    
-    // Update bill
-    bill.paidAmount = newPaidAmount;
-    await bill.save();
-
-    // Create ledger debit transaction (payment received)
-    await LedgerTransaction.create({
-      userId,
-      customerId: bill.customerId,
-      type: 'debit',
-      amount: actualPaymentAmount,
-      note: note || `Payment for Bill ${bill.billNo}`,
-      metadata: {
-        billId: bill._id,
-        billNo: bill.billNo,
-        source: 'bill_payment',
-      },
-      idempotencyKey: ledgerIdempotencyKey,
-    });
-
-    console.log(
-      `[Bill] Payment ₹${actualPaymentAmount} recorded, credit released atomically, status=${bill.status}`,
-    );
-
-    // Generate PAYMENT_RECEIVED notification (non-blocking, must not fail payment)
-    if (actualPaymentAmount > 0) {
-      const {generatePaymentReceivedNotification} = require('../services/notifications/generators/paymentReceived');
-      generatePaymentReceivedNotification({
-        billId: bill._id,
-        userId,
-      }).catch(error => {
-        // Swallow errors - payment must succeed even if notification fails
-        logger.error('[Bill] Failed to generate payment notification', {
-          error: error.message,
-          billId: bill._id,
-          userId,
-        });
-      });
-    }
-
     // Populate customer for response
     await bill.populate('customerId', 'name phone');
 
     res.status(200).json({
       success: true,
       data: bill,
+      // Amount above the bill: settled other bills / held as advance
+      ...(excessPayment && {
+        excessPayment: {
+          receiptNo: excessPayment.receiptNo,
+          amount: excessPayment.amount,
+          allocations: excessPayment.allocations,
+          unallocatedAmount: excessPayment.unallocatedAmount,
+        },
+      }),
     });
   } catch (error) {
     next(error);
@@ -809,7 +695,7 @@ exports.addBillPayment = async (req, res, next) => {
  */
 exports.cancelBill = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {id} = req.params;
 
     const billBefore = await Bill.findOne({
@@ -834,11 +720,13 @@ exports.cancelBill = async (req, res, next) => {
     await billBefore.save();
 
     console.log(`[Bill] Cancelled bill ${billBefore.billNo}`);
+
+    await restoreStock(userId, billBefore);
     
     // AUDIT EVENT: Bill Status Changed (Step 5)
     await auditUpdate({
       action: 'BILL_STATUS_CHANGED',
-      actorUserId: userId,
+      actorUserId: req.user._id,
       actorRole: getUserRole(req),
       entityType: 'BILL',
       beforeEntity: {_id: billBefore._id, status: 'unpaid'}, // Simplified before state
@@ -869,7 +757,7 @@ exports.deleteBill = async (req, res, next) => {
   try {
     const {id} = req.params;
     const {reason} = req.body;
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     
     // Require reason
     if (!reason || !reason.trim()) {
@@ -916,15 +804,17 @@ exports.deleteBill = async (req, res, next) => {
     // Soft delete
     bill.isDeleted = true;
     bill.deletedAt = new Date();
-    bill.deletedBy = userId;
+    bill.deletedBy = req.user._id;
     bill.deleteReason = reason.trim();
     
     await bill.save();
+
+    await restoreStock(userId, bill);
     
     // Audit event
     await auditDelete({
       action: 'BILL_DELETED',
-      actorUserId: userId,
+      actorUserId: req.user._id,
       actorRole: getUserRole(req),
       entityType: 'BILL',
       entity: bill,
@@ -959,6 +849,9 @@ module.exports = {
   listBills: exports.listBills,
   getBillsSummary: exports.getBillsSummary,
   getBill: exports.getBill,
+  updateBill: exports.updateBill,
+  listBillVersions: exports.listBillVersions,
+  getBillVersion: exports.getBillVersion,
   addBillPayment: exports.addBillPayment,
   cancelBill: exports.cancelBill,
   deleteBill: exports.deleteBill,
@@ -4,56 +4,7 @@ const BillShareLink = require('../models/BillShareLink');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
 const {publicAppBaseUrl, nodeEnv} = require('../config/env');
-
-/**
- * Generate public bill URL (points to web frontend viewer)
- * Rules:
- * - Uses PUBLIC_APP_BASE_URL (web frontend domain)
- * - Path: /b/:token (web route, not backend)
- * - In production: PUBLIC_APP_BASE_URL must be set
- * - In dev: defaults to http://localhost:5173
- */
-const generatePublicUrl = (token) => {
-  try {
-    // Validate production requirement
-    if (nodeEnv === 'production' && !publicAppBaseUrl) {
-      throw new AppError(
-        'PUBLIC_APP_BASE_URL must be set in production environment',
-        500,
-        'MISSING_PUBLIC_APP_BASE_URL'
-      );
-    }
-    
-    // Ensure base URL doesn't end with trailing slash
-    const base = (publicAppBaseUrl || 'http://localhost:5173').replace(/\/$/, '');
-    
-    // Validate token
-    if (!token || typeof token !== 'string') {
-      throw new AppError('Invalid token provided', 500, 'INVALID_TOKEN');
-    }
-    
-    // Return URL pointing to web frontend viewer route
-    return `${base}/b/${token}`;
-  } catch (error) {
-    // Re-throw AppError as-is
-    if (error instanceof AppError) {
-      throw error;
-    }
-    // Wrap unexpected errors
-    logger.error('[BillShare] generatePublicUrl error', {
-      error: error.message,
-      stack: error.stack,
-      token: token ? token.substring(0, 8) + '...' : 'null',
-      nodeEnv,
-      hasPublicAppBaseUrl: !!publicAppBaseUrl,
-    });
-    throw new AppError(
-      'Failed to generate share URL',
-      500,
-      'URL_GENERATION_ERROR'
-    );
-  }
-};
+const {generatePublicUrl} = require('../utils/publicUrl');
 
 /**
  * Create or get share link for a bill
@@ -61,7 +12,7 @@ const generatePublicUrl = (token) => {
  */
 exports.createBillShareLink = async (req, res, next) => {
   try {
-    const userId = req.user._id;
+    const userId = req.user.businessId;
     const billId = req.params.id;
 
     // Validate inputs
@@ -167,7 +118,7 @@ exports.createBillShareLink = async (req, res, next) => {
  */
 exports.revokeBillShareLink = async (req, res, next) => {
   try {
-    const userId = req.user._id;
+    const userId = req.user.businessId;
     const billId = req.params.id;
 
     // Find active link
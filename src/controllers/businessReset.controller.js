@@ -21,7 +21,7 @@ const RESET_RATE_LIMIT_HOURS = 24;
 const initBusinessReset = asyncHandler(async (req, res) => {
   const { confirmPhrase } = req.body;
   const businessId = req.user.businessId;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
 
   // Validate confirmation phrase
   if (confirmPhrase !== REQUIRED_PHRASE) {
@@ -74,7 +74,7 @@ const initBusinessReset = asyncHandler(async (req, res) => {
   // Create reset job
   const resetJob = await ResetJob.create({
     businessId,
-    requestedBy: userId,
+    requestedBy: req.user._id,
     status: 'QUEUED',
     requestId: req.requestId,
     progress: {
@@ -88,7 +88,7 @@ const initBusinessReset = asyncHandler(async (req, res) => {
   await AuditEvent.create({
     at: new Date(),
     businessId,
-    actorUserId: userId,
+    actorUserId: req.user._id,
     actorRole: 'OWNER',
     action: 'BUSINESS_RESET_REQUESTED',
     entityType: 'BUSINESS',
@@ -0,0 +1,159 @@
+/**
+ * Cash Book Controller
+ *
+ * Expenses and owner withdrawals, the daily cash book and day close
+ */
+const asyncHandler = require('express-async-handler');
+const cashBookService = require('../services/cashBook.service');
+const {auditCreate, auditDelete} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * POST /api/expenses
+ * Record an expense or owner withdrawal
+ */
+const createExpense = asyncHandler(async (req, res) => {
+  const {kind, category, amount, mode, reference, expenseDate, note} = req.body;
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+
+  const {expense, duplicate} = await cashBookService.recordExpense({
+    userId: req.user.businessId,
+    kind,
+    category,
+    amount,
+    mode,
+    reference,
+    expenseDate,
+    note,
+    idempotencyKey,
+    actorUserId: req.user._id,
+  });
+
+  if (duplicate) {
+    return res.success({expense, duplicate: true});
+  }
+
+  await auditCreate({
+    action: 'EXPENSE_RECORDED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'EXPENSE',
+    entity: expense,
+    businessId: req.user.businessId,
+    metadata: {
+      kind: expense.kind,
+      category: expense.category,
+      amount: expense.amount,
+      mode: expense.mode,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({expense, duplicate: false}, 201);
+});
+
+/**
+ * GET /api/expenses
+ * Expenses with totals by category (?from, ?to, ?kind, ?category, ?page, ?limit)
+ */
+const listExpenses = asyncHandler(async (req, res) => {
+  const result = await cashBookService.listExpenses({
+    userId: req.user.businessId,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+/**
+ * DELETE /api/expenses/:id
+ * Soft-delete an expense of a day not yet closed (owner only, reason required)
+ */
+const deleteExpense = asyncHandler(async (req, res) => {
+  const reason = req.body.reason.trim();
+
+  const expense = await cashBookService.deleteExpense({
+    userId: req.user.businessId,
+    expenseId: req.params.id,
+    reason,
+    actorUserId: req.user._id,
+  });
+
+  await auditDelete({
+    action: 'EXPENSE_DELETED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'EXPENSE',
+    entity: expense,
+    businessId: req.user.businessId,
+    reason,
+    metadata: {
+      kind: expense.kind,
+      amount: expense.amount,
+      mode: expense.mode,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({
+    message: 'Expense deleted',
+    expenseId: expense._id,
+  });
+});
+
+/**
+ * GET /api/cash-book
+ * Opening cash, cash in/out and closing cash per day (?from, ?to; defaults to today)
+ */
+const getCashBook = asyncHandler(async (req, res) => {
+  const cashBook = await cashBookService.buildCashBook({
+    userId: req.user.businessId,
+    from: req.query.from,
+    to: req.query.to,
+  });
+
+  res.success(cashBook);
+});
+
+/**
+ * POST /api/cash-book/day-close
+ * Close a day with the cash counted; records the variance against the cash book
+ */
+const closeDay = asyncHandler(async (req, res) => {
+  const {date, countedCash, note} = req.body;
+
+  const dayClose = await cashBookService.closeDay({
+    userId: req.user.businessId,
+    date,
+    countedCash,
+    note,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  await auditCreate({
+    action: 'DAY_CLOSED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'DAY_CLOSE',
+    entity: dayClose,
+    businessId: req.user.businessId,
+    metadata: {
+      date: dayClose.date,
+      expectedCash: dayClose.expectedCash,
+      countedCash: dayClose.countedCash,
+      variance: dayClose.variance,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success(dayClose, 201);
+});
+
+module.exports = {
+  createExpense,
+  listExpenses,
+  deleteExpense,
+  getCashBook,
+  closeDay,
+};
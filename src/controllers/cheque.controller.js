@@ -0,0 +1,73 @@
+/**
+ * Cheque Controller
+ *
+ * Cheques received as customer payments, tracked until they clear or bounce
+ */
+const asyncHandler = require('express-async-handler');
+const chequeService = require('../services/cheque.service');
+const {auditUpdate} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * GET /api/cheques
+ * Cheques by status (pending by default), earliest cheque date first
+ */
+const listCheques = asyncHandler(async (req, res) => {
+  const result = await chequeService.listCheques({
+    userId: req.user.businessId,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+/**
+ * PATCH /api/cheques/:paymentId
+ * Mark a cheque deposited, cleared or bounced (bounce reverses the payment;
+ * bouncing it again is a no-op)
+ */
+const updateChequeStatus = asyncHandler(async (req, res) => {
+  const {payment, previousStatus, restoredAmount, bounceCharge, recoveryCase, duplicate} =
+    await chequeService.updateChequeStatus({
+      userId: req.user.businessId,
+      paymentId: req.params.paymentId,
+      status: req.body.status,
+      date: req.body.date,
+      reason: req.body.reason,
+      actorUserId: req.user._id,
+      requestId: req.requestId,
+    });
+
+  if (duplicate) {
+    return res.success({payment, restoredAmount, bounceCharge, recoveryCase, duplicate: true});
+  }
+
+  await auditUpdate({
+    action: 'CHEQUE_STATUS_CHANGED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'PAYMENT',
+    beforeEntity: {_id: payment._id, status: 'active', cheque: {...payment.cheque, status: previousStatus}},
+    afterEntity: payment,
+    customerId: payment.customerId,
+    businessId: req.user.businessId,
+    metadata: {
+      receiptNo: payment.receiptNo,
+      chequeNumber: payment.cheque.number,
+      amount: payment.amount,
+      from: previousStatus,
+      to: payment.cheque.status,
+      restoredAmount,
+      bounceCharge,
+      recoveryCaseId: recoveryCase?._id,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({payment, restoredAmount, bounceCharge, recoveryCase, duplicate: false});
+});
+
+module.exports = {
+  listCheques,
+  updateChequeStatus,
+};
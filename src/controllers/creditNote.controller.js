@@ -0,0 +1,130 @@
+/**
+ * Credit Note Controller
+ *
+ * Credit notes / sales returns against bills, with public share links
+ */
+const asyncHandler = require('express-async-handler');
+const creditNoteService = require('../services/creditNote.service');
+const {
+  getOrCreateCreditNoteShareLink,
+  revokeCreditNoteShareLinks,
+} = require('../services/creditNoteShare.service');
+const {auditCreate} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * POST /api/bills/:id/credit-notes
+ * Issue a credit note for returned bill lines (audited)
+ */
+const createCreditNote = asyncHandler(async (req, res) => {
+  const {items, reason} = req.body;
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+
+  const {creditNote, bill, duplicate} = await creditNoteService.issueCreditNote({
+    userId: req.user.businessId,
+    billId: req.params.id,
+    items,
+    reason,
+    idempotencyKey,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  if (duplicate) {
+    return res.success({creditNote, bill, duplicate: true});
+  }
+
+  await auditCreate({
+    action: 'CREDIT_NOTE_ISSUED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'CREDIT_NOTE',
+    entity: creditNote,
+    customerId: creditNote.customerId,
+    businessId: req.user.businessId,
+    metadata: {
+      billId: bill._id,
+      billNo: bill.billNo,
+      creditNoteNo: creditNote.creditNoteNo,
+      amount: creditNote.grandTotal,
+      appliedAmount: creditNote.appliedAmount,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({creditNote, bill, duplicate: false}, 201);
+});
+
+/**
+ * GET /api/bills/:id/credit-notes
+ * Credit notes issued against a bill
+ */
+const listBillCreditNotes = asyncHandler(async (req, res) => {
+  const result = await creditNoteService.listCreditNotes({
+    userId: req.user.businessId,
+    billId: req.params.id,
+    limit: 100,
+  });
+
+  res.success(result.creditNotes);
+});
+
+/**
+ * GET /api/credit-notes
+ * List credit notes (?customerId, ?billId, ?from, ?to, ?page, ?limit)
+ */
+const listCreditNotes = asyncHandler(async (req, res) => {
+  const result = await creditNoteService.listCreditNotes({
+    userId: req.user.businessId,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+/**
+ * GET /api/credit-notes/:id
+ */
+const getCreditNote = asyncHandler(async (req, res) => {
+  const creditNote = await creditNoteService.getCreditNote({
+    userId: req.user.businessId,
+    creditNoteId: req.params.id,
+  });
+
+  res.success(creditNote);
+});
+
+/**
+ * POST /api/credit-notes/:id/share-link
+ * Create or get the public link for a credit note
+ */
+const createCreditNoteShareLink = asyncHandler(async (req, res) => {
+  const {url, token, created} = await getOrCreateCreditNoteShareLink({
+    userId: req.user.businessId,
+    creditNoteId: req.params.id,
+  });
+
+  res.success({url, token}, created ? 201 : 200);
+});
+
+/**
+ * DELETE /api/credit-notes/:id/share-link
+ * Revoke the public link (idempotent)
+ */
+const revokeCreditNoteShareLink = asyncHandler(async (req, res) => {
+  const revoked = await revokeCreditNoteShareLinks({
+    userId: req.user.businessId,
+    creditNoteId: req.params.id,
+  });
+
+  res.success({revoked});
+});
+
+module.exports = {
+  createCreditNote,
+  listBillCreditNotes,
+  listCreditNotes,
+  getCreditNote,
+  createCreditNoteShareLink,
+  revokeCreditNoteShareLink,
+};
@@ -21,7 +21,7 @@ const {
 const updateCustomerCreditPolicy = asyncHandler(async (req, res) => {
   const {id: customerId} = req.params;
   const {enabled, limitAmount, graceAmount, allowOverride} = req.body;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const requestId = req.requestId || req.headers['x-request-id'];
   
   // Verify customer exists and belongs to user
@@ -75,7 +75,7 @@ const updateCustomerCreditPolicy = asyncHandler(async (req, res) => {
  */
 const getCustomerCreditPolicy = asyncHandler(async (req, res) => {
   const {id: customerId} = req.params;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   
   // Verify customer exists and belongs to user
   const customer = await Customer.findOne({
@@ -116,7 +116,7 @@ const getCustomerCreditPolicy = asyncHandler(async (req, res) => {
 const getCustomerAudit = asyncHandler(async (req, res) => {
   const {id: customerId} = req.params;
   const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   
   // Verify customer exists and belongs to user
   const customer = await Customer.findOne({
@@ -132,7 +132,8 @@ const getCustomerAudit = asyncHandler(async (req, res) => {
   const auditEvents = await AuditEvent.find({
     $or: [
       {entityType: 'CUSTOMER', entityId: customerId},
-      {'metadata.billId': {$exists: true}, actorUserId: userId}, // Bills for this user
+      {'metadata.billId': {$exists: true}, businessId: userId}, // Bills for this business
+      {'metadata.billId': {$exists: true}, businessId: null, actorUserId: userId}, // Recorded before staff accounts
     ],
   })
     .sort({createdAt: -1})
@@ -8,40 +8,47 @@ const RecoveryCase = require('../models/RecoveryCase');
 const RecoveryEvent = require('../models/RecoveryEvent');
 const MessageEvent = require('../models/MessageEvent');
 const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
 const LedgerTransaction = require('../models/LedgerTransaction');
 const FollowUpTask = require('../models/FollowUpTask');
 const AppError = require('../utils/AppError');
 const {auditCreate, auditUpdate, auditDelete} = require('../services/auditHelper.service');
 const {getUserRole} = require('../middleware/permission.middleware');
+const {validateCustomerGst} = require('../services/gst.service');
 
 // @desc    Get all customers
 // @route   GET /api/customers
 // @access  Private
 const getCustomers = asyncHandler(async (req, res) => {
   const customers = await Customer.find({
-    userId: req.user._id,
+    userId: req.user.businessId,
     isDeleted: false, // Step 5: Exclude soft-deleted
-  }).sort({
-    createdAt: 1,
-  });
+  })
+    .sort({
+      createdAt: 1,
+    })
+    .lean();
 
-  res.success(customers);
+  res.success(customers.map(customer => ({...customer, balance: Customer.netBalance(customer)})));
 });
 
 // @desc    Create customer
 // @route   POST /api/customers
 // @access  Private
 const createCustomer = asyncHandler(async (req, res) => {
-  const {name, phone} = req.body;
+  const {name, phone, preferredLanguage, billingAddress} = req.body;
 
   if (!name) {
     throw new AppError('Please provide customer name', 400, 'MISSING_NAME');
   }
 
   const customer = await Customer.create({
-    userId: req.user._id,
+    userId: req.user.businessId,
     name: name.trim(),
     phone: phone ? phone.trim() : '',
+    preferredLanguage: preferredLanguage || null,
+    ...validateCustomerGst(req.body),
+    billingAddress: billingAddress || null,
   });
   
   // AUDIT EVENT: Customer Created (Step 5)
@@ -77,11 +84,14 @@ const updateCustomer = asyncHandler(async (req, res) => {
   }
 
   // Verify ownership
-  if (customerBefore.userId.toString() !== req.user._id.toString()) {
+  if (customerBefore.userId.toString() !== req.user.businessId.toString()) {
     throw new AppError('Not authorized', 403, 'NOT_AUTHORIZED');
   }
 
-  const customerAfter = await Customer.findByIdAndUpdate(req.params.id, req.body, {
+  const customerAfter = await Customer.findByIdAndUpdate(req.params.id, {
+    ...req.body,
+    ...validateCustomerGst(req.body),
+  }, {
     new: true,
     runValidators: true,
   });
@@ -112,7 +122,7 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
   // Verify customer exists and belongs to user
   const customer = await Customer.findOne({
     _id: customerId,
-    userId: req.user._id,
+    userId: req.user.businessId,
   });
 
   if (!customer) {
@@ -122,6 +132,7 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
   // Fetch events from all sources in parallel
   const [
     bills,
+    creditNotes,
     ledgerTransactions,
     followUpTasks,
     attemptLogs,
@@ -130,7 +141,16 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
   ] = await Promise.all([
     // Bills
     Bill.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
+      customerId,
+    })
+      .sort({createdAt: -1})
+      .limit(limit)
+      .lean(),
+
+    // Credit notes (sales returns)
+    CreditNote.find({
+      userId: req.user.businessId,
       customerId,
     })
       .sort({createdAt: -1})
@@ -139,7 +159,7 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
 
     // Ledger transactions (payments/credits)
     LedgerTransaction.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
     })
       .sort({createdAt: -1})
@@ -148,7 +168,7 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
 
     // FollowUp tasks
     FollowUpTask.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
     })
       .sort({createdAt: -1})
@@ -157,7 +177,7 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
 
     // AttemptLog
     AttemptLog.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
     })
       .sort({createdAt: -1})
@@ -166,7 +186,7 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
 
     // RecoveryCase - needed to join with RecoveryEvent
     RecoveryCase.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
     })
       .select('_id')
@@ -174,7 +194,7 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
 
     // MessageEvent
     MessageEvent.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
     })
       .sort({createdAt: -1})
@@ -188,7 +208,7 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
   // Fetch RecoveryEvents for these cases
   const recoveryEvents = caseIds.length > 0
     ? await RecoveryEvent.find({
-        userId: req.user._id,
+        userId: req.user.businessId,
         caseId: {$in: caseIds},
       })
         .sort({createdAt: -1})
@@ -216,13 +236,46 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
     });
   });
 
-  // Add Ledger transaction events
-  ledgerTransactions.forEach(txn => {
+  // Add Credit note events
+  creditNotes.forEach(note => {
+    timeline.push({
+      at: new Date(note.createdAt).getTime(),
+      type: 'CREDIT_NOTE_ISSUED',
+      title: `Credit note #${note.creditNoteNo} issued`,
+      subtitle: `₹${note.grandTotal} against Bill #${note.billNo}${note.reason ? ' - ' + note.reason : ''}`,
+      meta: {
+        creditNoteId: note._id,
+        billId: note.billId,
+        amount: note.grandTotal,
+        appliedAmount: note.appliedAmount,
+        itemCount: note.items?.length || 0,
+      },
+    });
+  });
+
+  // Add Ledger transaction events (credit note entries are shown above)
+  ledgerTransactions.filter(txn => txn.metadata?.source !== 'credit_note').forEach(txn => {
     const isPayment = txn.type === 'debit';
+    const isReversal = txn.metadata?.source === 'customer_payment_reversal';
+    let type = isPayment ? 'PAYMENT_RECEIVED' : 'CREDIT_ADDED';
+    let title = isPayment ? 'Payment received' : 'Credit added';
+    if (isReversal) {
+      type = 'PAYMENT_REVERSED';
+      title = 'Payment reversed';
+    }
+    if (txn.metadata?.source === 'cheque_bounce_charge') {
+      type = 'CHEQUE_BOUNCE_CHARGE';
+      title = 'Cheque bounce charge';
+    }
+    if (txn.metadata?.source === 'customer_refund') {
+      type = 'REFUND_PAID';
+      title = 'Refund paid';
+    }
+
     timeline.push({
       at: new Date(txn.createdAt).getTime(),
-      type: isPayment ? 'PAYMENT_RECEIVED' : 'CREDIT_ADDED',
-      title: isPayment ? 'Payment received' : 'Credit added',
+      type,
+      title,
       subtitle: `₹${txn.amount}${txn.note ? ' - ' + txn.note : ''}`,
       meta: {
         txnId: txn._id,
@@ -230,6 +283,12 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
         txnType: txn.type,
         note: txn.note,
         source: txn.source,
+        // Customer payments: receipt and the bills it settled
+        paymentId: txn.metadata?.paymentId,
+        receiptNo: txn.metadata?.receiptNo,
+        allocations: txn.metadata?.allocations,
+        paymentMode: txn.paymentMode,
+        paymentReference: txn.paymentReference,
       },
     });
   });
@@ -324,6 +383,9 @@ const getCustomerTimeline = asyncHandler(async (req, res) => {
     if (msg.status === 'DELIVERED') {
       eventType = 'MESSAGE_DELIVERED';
       statusEmoji = '✓';
+    } else if (msg.status === 'READ') {
+      eventType = 'MESSAGE_READ';
+      statusEmoji = '✓✓';
     } else if (msg.status === 'FAILED') {
       eventType = 'MESSAGE_FAILED';
       statusEmoji = '✗';
@@ -383,7 +445,7 @@ const deleteCustomer = asyncHandler(async (req, res) => {
   // Get customer
   const customer = await Customer.findOne({
     _id: id,
-    userId: req.user._id,
+    userId: req.user.businessId,
     isDeleted: false,
   });
   
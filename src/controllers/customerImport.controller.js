@@ -0,0 +1,112 @@
+/**
+ * Customer Import Controller
+ *
+ * Bulk import of customers with opening balances, or of their bills, from
+ * CSV/XLSX: upload (dry-run preview) -> adjust mapping -> commit -> poll
+ */
+const asyncHandler = require('express-async-handler');
+const customerImportService = require('../services/customerImport.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+const AppError = require('../utils/AppError');
+
+// Job without the parsed sheet (rows are fetched with GET /api/imports/:id)
+const formatImportJob = job => {
+  const formatted = job.toObject ? job.toObject() : {...job};
+  delete formatted.records;
+  delete formatted.rows;
+  return formatted;
+};
+
+// Upload handler for one kind of import (customers | bills)
+const uploadImport = kind => asyncHandler(async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new AppError('Send the CSV or XLSX file as the request body', 400, 'VALIDATION_ERROR');
+  }
+
+  const {job, duplicate} = await customerImportService.createImportJob({
+    userId: req.user.businessId,
+    buffer: req.body,
+    fileName: req.query.fileName,
+    kind,
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+  });
+
+  res.success({importJob: formatImportJob(job), duplicate}, duplicate ? 200 : 201);
+});
+
+/**
+ * POST /api/imports/customers?fileName=
+ * Upload a CSV/XLSX file of customers (raw body) and preview the import
+ */
+const uploadCustomerImport = uploadImport('customers');
+
+/**
+ * POST /api/imports/bills?fileName=
+ * Upload a CSV/XLSX file of past bills (raw body) and preview the import
+ */
+const uploadBillImport = uploadImport('bills');
+
+/**
+ * GET /api/imports
+ * Imports of the business (?page, ?limit)
+ */
+const listImports = asyncHandler(async (req, res) => {
+  const result = await customerImportService.listImportJobs({
+    userId: req.user.businessId,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+/**
+ * GET /api/imports/:id
+ * Import job with its rows and per-row errors (?status, ?page, ?limit)
+ */
+const getImport = asyncHandler(async (req, res) => {
+  const {job, rows, pagination} = await customerImportService.getImportJob({
+    userId: req.user.businessId,
+    jobId: req.params.id,
+    ...req.query,
+  });
+
+  res.success({importJob: job, rows, pagination});
+});
+
+/**
+ * PUT /api/imports/:id/mapping
+ * Change which column feeds each field and preview again
+ */
+const updateImportMapping = asyncHandler(async (req, res) => {
+  const job = await customerImportService.updateMapping({
+    userId: req.user.businessId,
+    jobId: req.params.id,
+    columns: req.body.columns,
+    defaultAsOfDate: req.body.defaultAsOfDate,
+  });
+
+  res.success({importJob: formatImportJob(job)});
+});
+
+/**
+ * POST /api/imports/:id/commit
+ * Import the valid rows (also resumes a failed import); poll GET /api/imports/:id
+ */
+const commitImport = asyncHandler(async (req, res) => {
+  const job = await customerImportService.commitImport({
+    userId: req.user.businessId,
+    jobId: req.params.id,
+  });
+
+  res.success({importJob: formatImportJob(job)}, 202);
+});
+
+module.exports = {
+  uploadCustomerImport,
+  uploadBillImport,
+  listImports,
+  getImport,
+  updateImportMapping,
+  commitImport,
+};
@@ -0,0 +1,114 @@
+/**
+ * Customer Payment Controller
+ *
+ * Lump-sum payments from a customer, allocated across open bills (receipts)
+ */
+const asyncHandler = require('express-async-handler');
+const customerPaymentService = require('../services/customerPayment.service');
+const {auditCreate, auditUpdate} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * POST /api/customers/:id/payments
+ * Record a payment and allocate it (oldest due first, or body.allocations)
+ */
+const recordCustomerPayment = asyncHandler(async (req, res) => {
+  const {amount, allocations, mode, reference, paymentDate, cheque, note} = req.body;
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+
+  const {payment, bills, duplicate} = await customerPaymentService.recordCustomerPayment({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+    amount,
+    allocations,
+    mode,
+    reference,
+    paymentDate,
+    cheque,
+    note,
+    idempotencyKey,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  if (duplicate) {
+    return res.success({payment, bills, duplicate: true});
+  }
+
+  await auditCreate({
+    action: 'PAYMENT_RECORDED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'PAYMENT',
+    entity: payment,
+    customerId: payment.customerId,
+    businessId: req.user.businessId,
+    metadata: {
+      receiptNo: payment.receiptNo,
+      amount: payment.amount,
+      mode: payment.mode,
+      chequeNumber: payment.cheque?.number,
+      allocationMode: payment.allocationMode,
+      bills: payment.allocations.length,
+      unallocatedAmount: payment.unallocatedAmount,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({payment, bills, duplicate: false}, 201);
+});
+
+/**
+ * GET /api/customers/:id/payments
+ * Payments received from a customer (?page, ?limit)
+ */
+const listCustomerPayments = asyncHandler(async (req, res) => {
+  const result = await customerPaymentService.listCustomerPayments({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+/**
+ * POST /api/customers/:id/payments/:paymentId/reverse
+ * Reverse a payment (owner only): un-allocates it from its bills
+ */
+const reverseCustomerPayment = asyncHandler(async (req, res) => {
+  const {payment, restoredAmount} = await customerPaymentService.reverseCustomerPayment({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+    paymentId: req.params.paymentId,
+    reason: req.body.reason,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  await auditUpdate({
+    action: 'PAYMENT_REVERSED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'PAYMENT',
+    beforeEntity: {_id: payment._id, status: 'active'},
+    afterEntity: payment,
+    customerId: payment.customerId,
+    businessId: req.user.businessId,
+    metadata: {
+      receiptNo: payment.receiptNo,
+      amount: payment.amount,
+      restoredAmount,
+      reason: payment.reversalReason,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({payment, restoredAmount});
+});
+
+module.exports = {
+  recordCustomerPayment,
+  listCustomerPayments,
+  reverseCustomerPayment,
+};
@@ -0,0 +1,63 @@
+/**
+ * Customer Share Link Controller
+ *
+ * Owner side of public customer statement links
+ */
+const asyncHandler = require('express-async-handler');
+const {
+  formatShareLink,
+  getOrCreateCustomerShareLink,
+  revokeCustomerShareLinks,
+} = require('../services/customerShare.service');
+const logger = require('../utils/logger');
+
+/**
+ * POST /api/customers/:id/share-link
+ * Create or get the public statement link for a customer (idempotent)
+ */
+const createCustomerShareLink = asyncHandler(async (req, res) => {
+  const {link, created} = await getOrCreateCustomerShareLink({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+    expiresInDays: req.body?.expiresInDays,
+  });
+
+  if (created) {
+    logger.info('[CustomerShare] Share link issued', {
+      requestId: req.requestId,
+      userId: req.user._id.toString(),
+      customerId: req.params.id,
+    });
+  }
+
+  res.success(formatShareLink(link), created ? 201 : 200);
+});
+
+/**
+ * DELETE /api/customers/:id/share-link
+ * Revoke the customer's public statement link (idempotent)
+ */
+const revokeCustomerShareLink = asyncHandler(async (req, res) => {
+  const revoked = await revokeCustomerShareLinks({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+  });
+
+  logger.info('[CustomerShare] Share link revoked', {
+    requestId: req.requestId,
+    userId: req.user._id.toString(),
+    customerId: req.params.id,
+    revoked,
+  });
+
+  res.success({
+    message: revoked > 0
+      ? 'Share link revoked successfully'
+      : 'Share link already revoked or does not exist',
+  });
+});
+
+module.exports = {
+  createCustomerShareLink,
+  revokeCustomerShareLink,
+};
@@ -14,7 +14,7 @@ const AppError = require('../utils/AppError');
  * @access Private (requires auth)
  */
 const getReliabilityEvents = asyncHandler(async (req, res) => {
-  const userId = req.user._id || req.user.id;
+  const userId = req.user.businessId;
   const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500); // Max 500
   const kind = req.query.kind; // Optional filter: WRITE_FAIL, ENGINE_FAIL, etc.
   
@@ -70,7 +70,7 @@ const getReliabilityEvents = asyncHandler(async (req, res) => {
  * @access Private (requires auth)
  */
 const getReliabilityEventByRequestId = asyncHandler(async (req, res) => {
-  const userId = req.user._id || req.user.id;
+  const userId = req.user.businessId;
   const {requestId} = req.params;
   
   const events = await ReliabilityEvent.find({
@@ -116,7 +116,7 @@ const getReliabilityEventByRequestId = asyncHandler(async (req, res) => {
  * @access Private (requires auth)
  */
 const getReliabilityStats = asyncHandler(async (req, res) => {
-  const userId = req.user._id || req.user.id;
+  const userId = req.user.businessId;
   const hours = parseInt(req.query.hours, 10) || 24; // Default last 24 hours
   
   const since = new Date(Date.now() - hours * 60 * 60 * 1000);
@@ -16,7 +16,8 @@ const Subscription = require('../models/Subscription');
  * @access  Private
  */
 const getEntitlement = asyncHandler(async (req, res) => {
-  const user = req.user;
+  // Plan is held by the business owner (staff share it)
+  const user = req.businessOwner || req.user;
   
   // Step 1: Migrate missing trialEndsAt for existing users
   if (!user.trialEndsAt && user.planStatus === 'trial') {
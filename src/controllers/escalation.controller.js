@@ -22,7 +22,7 @@ exports.escalatePromise = async (req, res, next) => {
     // Find case
     const recoveryCase = await RecoveryCase.findOne({
       _id: caseId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!recoveryCase) {
@@ -50,7 +50,7 @@ exports.escalatePromise = async (req, res, next) => {
 
     // Check if escalation already recorded
     const existingEvent = await RecoveryEvent.findOne({
-      userId: req.user._id,
+      userId: req.user.businessId,
       caseId,
       type: 'ESCALATION',
       idempotencyKey: escalationIdempotencyKey,
@@ -78,7 +78,7 @@ exports.escalatePromise = async (req, res, next) => {
 
     // Create escalation event
     const event = await RecoveryEvent.create({
-      userId: req.user._id,
+      userId: req.user.businessId,
       caseId,
       customerId: recoveryCase.customerId,
       type: 'ESCALATION',
@@ -100,14 +100,14 @@ exports.escalatePromise = async (req, res, next) => {
 
     // Check if followup already exists
     const existingTask = await FollowUpTask.findOne({
-      userId: req.user._id,
+      userId: req.user.businessId,
       idempotencyKey: taskIdempotencyKey,
     });
 
     let followupTask = null;
     if (!existingTask) {
       followupTask = await FollowUpTask.create({
-        userId: req.user._id,
+        userId: req.user.businessId,
         customerId: recoveryCase.customerId,
         channel: evaluation.newLevel >= 2 ? 'call' : 'whatsapp',
         dueAt,
@@ -26,7 +26,7 @@ exports.getCustomerTasks = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -34,7 +34,7 @@ exports.getCustomerTasks = async (req, res, next) => {
     }
 
     const tasks = await FollowUpTask.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
     }).sort({createdAt: -1});
 
@@ -56,7 +56,7 @@ exports.listAllTasks = async (req, res, next) => {
   try {
     const {customerId} = req.query;
 
-    const filter = {userId: req.user._id};
+    const filter = {userId: req.user.businessId};
     if (customerId) {
       filter.customerId = customerId;
     }
@@ -91,13 +91,13 @@ exports.listAllTasks = async (req, res, next) => {
         // Create new follow-up
         const idempotencyKey = `auto_reschedule:${taskObj._id}:${reschedule.escalationLevel}`;
         const existingReschedule = await FollowUpTask.findOne({
-          userId: req.user._id,
+          userId: req.user.businessId,
           idempotencyKey,
         });
 
         if (!existingReschedule) {
           const newTask = await FollowUpTask.create({
-            userId: req.user._id,
+            userId: req.user.businessId,
             customerId: taskObj.customerId,
             channel: taskObj.channel,
             dueAt: new Date(reschedule.newDueAt),
@@ -180,7 +180,7 @@ exports.createTask = async (req, res, next) => {
     // Check idempotency
     if (idempotencyKey) {
       const existing = await FollowUpTask.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -198,7 +198,7 @@ exports.createTask = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -213,7 +213,7 @@ exports.createTask = async (req, res, next) => {
 
     // Create task
     const task = await FollowUpTask.create({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
       customerSnapshot,
       channel,
@@ -238,7 +238,7 @@ exports.createTask = async (req, res, next) => {
     if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
       const idempotencyKey = getIdempotencyKey(req);
       const existing = await FollowUpTask.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -279,9 +279,9 @@ exports.autoGenerateFollowups = async (req, res, next) => {
     };
 
     const result = await generateAutoFollowupsForUser({
-      userId: req.user._id,
+      userId: req.user.businessId,
       todayISO: today || new Date().toISOString(),
-      idempotencyKey: idempotencyKey || `AUTO_GEN::${req.user._id}::${new Date().toISOString().split('T')[0]}`,
+      idempotencyKey: idempotencyKey || `AUTO_GEN::${req.user.businessId}::${new Date().toISOString().split('T')[0]}`,
       settings,
     });
 
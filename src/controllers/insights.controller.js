@@ -14,8 +14,9 @@ const FollowUpTask = require('../models/FollowUpTask');
 const LedgerTransaction = require('../models/LedgerTransaction');
 const NotificationAttempt = require('../models/NotificationAttempt');
 const ReliabilityEvent = require('../models/ReliabilityEvent');
+const {listOpeningReceivables} = require('../services/openingBalance.service');
 const logger = require('../utils/logger');
-const {getNowIST, getDaysOverdueIST} = require('../utils/timezone.util');
+const {getDaysOverdueIST} = require('../utils/timezone.util');
 
 // In-memory cache (60s TTL per business)
 const cache = new Map();
@@ -26,7 +27,7 @@ const CACHE_TTL = 60 * 1000; // 60 seconds
  * GET /api/v1/insights/aging?date=YYYY-MM-DD
  */
 const getAgingBuckets = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const businessId = req.user.businessId || userId;
   const dateParam = req.query.date;
   
@@ -38,17 +39,20 @@ const getAgingBuckets = asyncHandler(async (req, res) => {
       return res.success(cached.data);
     }
     
-    // CRITICAL: Use IST for all date calculations
-    const nowIST = getNowIST();
+    const targetDate = dateParam ? new Date(dateParam) : new Date();
     
     // Get all unpaid bills
-    const bills = await Bill.find({
+    const unpaidBills = await Bill.find({
       userId,
       isDeleted: {$ne: true},
       status: {$in: ['unpaid', 'partial']},
       dueDate: {$exists: true, $ne: null},
     }).populate('customerId', 'name phone isDeleted').lean();
     
+    // Unpaid opening balances age from their as-of date like bills from their due date
+    const openingReceivables = await listOpeningReceivables({userId});
+    const bills = [...unpaidBills, ...openingReceivables];
+    
     // Compute aging per customer
     const customerAging = {};
     const totals = {
@@ -127,7 +131,7 @@ const getAgingBuckets = asyncHandler(async (req, res) => {
       customerCount: Object.keys(customerAging).length,
       meta: {
         computedAt: new Date().toISOString(),
-        sources: ['Bills'],
+        sources: ['Bills', 'OpeningBalances'],
         requestId: req.requestId,
       },
     };
@@ -169,7 +173,7 @@ const getAgingBuckets = asyncHandler(async (req, res) => {
  * GET /api/v1/insights/forecast?date=YYYY-MM-DD
  */
 const getCashInForecast = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const businessId = req.user.businessId || userId;
   const dateParam = req.query.date;
   
@@ -345,7 +349,7 @@ const getCashInForecast = asyncHandler(async (req, res) => {
  * GET /api/v1/insights/defaulters?date=YYYY-MM-DD&limit=20
  */
 const getDefaulterRiskList = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const businessId = req.user.businessId || userId;
   const dateParam = req.query.date;
   const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
@@ -572,7 +576,7 @@ const getDefaulterRiskList = asyncHandler(async (req, res) => {
  * GET /api/v1/insights/interest?date=YYYY-MM-DD&limit=50
  */
 const getBusinessInterest = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const businessId = req.user.businessId || userId;
   const dateParam = req.query.date;
   const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
@@ -627,7 +631,7 @@ const getBusinessInterest = asyncHandler(async (req, res) => {
  * GET /api/v1/customers/:id/interest?date=YYYY-MM-DD
  */
 const getCustomerInterest = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const businessId = req.user.businessId || userId;
   const customerId = req.params.id;
   const dateParam = req.query.date;
@@ -650,7 +654,7 @@ const getCustomerInterest = asyncHandler(async (req, res) => {
  * GET /api/v1/insights/financial-year?fyStart=YYYY-MM-DD&fyEnd=YYYY-MM-DD
  */
 const getFinancialYearSummary = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const businessId = req.user.businessId || userId;
   
   try {
@@ -75,7 +75,7 @@ const getIntegrityReportHistory = asyncHandler(async (req, res) => {
  */
 const runIntegrityCheck = asyncHandler(async (req, res) => {
   const businessId = req.user.businessId;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
 
   logger.info('[IntegrityController] Manual integrity check requested', {
     businessId,
@@ -102,7 +102,7 @@ const runIntegrityCheck = asyncHandler(async (req, res) => {
   await AuditEvent.create({
     at: new Date(),
     businessId,
-    actorUserId: userId,
+    actorUserId: req.user._id,
     actorRole: req.user.role,
     action: 'INTEGRITY_CHECK_RUN',
     entityType: 'INTEGRITY_REPORT',
@@ -1,5 +1,64 @@
 const Item = require('../models/Item');
 const AppError = require('../utils/AppError');
+const {isValidGstRate, isValidHsnCode} = require('../services/gst.service');
+const {recordOpeningStock} = require('../services/stock.service');
+const {ITEM_UNITS} = require('../utils/stock');
+
+/**
+ * Validate GST defaults (hsnCode, gstRate) present in a request body
+ *
+ * @returns {Object} Fields to set on the item
+ */
+const pickItemGstFields = ({hsnCode, gstRate}) => {
+  const fields = {};
+  if (hsnCode !== undefined) {
+    if (hsnCode !== null && !isValidHsnCode(hsnCode)) {
+      throw new AppError('HSN/SAC code must be 4, 6 or 8 digits', 400, 'VALIDATION_ERROR');
+    }
+    fields.hsnCode = hsnCode;
+  }
+  if (gstRate !== undefined) {
+    if (gstRate !== null && !isValidGstRate(gstRate)) {
+      throw new AppError('GST rate must be a notified GST rate (e.g. 5, 12, 18)', 400, 'VALIDATION_ERROR');
+    }
+    fields.gstRate = gstRate;
+  }
+  return fields;
+};
+
+const isNonNegativeNumber = value => typeof value === 'number' && value >= 0;
+
+/**
+ * Validate stock settings (unit, reorderLevel, purchaseCost, trackStock) present in a request body
+ * Stock itself only changes through stock adjustments
+ *
+ * @returns {Object} Fields to set on the item
+ */
+const pickItemStockFields = ({unit, reorderLevel, purchaseCost, trackStock}) => {
+  const fields = {};
+  if (unit !== undefined) {
+    if (!ITEM_UNITS.includes(unit)) {
+      throw new AppError(`Unit must be one of ${ITEM_UNITS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    fields.unit = unit;
+  }
+  if (reorderLevel !== undefined) {
+    if (reorderLevel !== null && !isNonNegativeNumber(reorderLevel)) {
+      throw new AppError('Reorder level must be a non-negative number or null', 400, 'VALIDATION_ERROR');
+    }
+    fields.reorderLevel = reorderLevel;
+  }
+  if (purchaseCost !== undefined) {
+    if (purchaseCost !== null && !isNonNegativeNumber(purchaseCost)) {
+      throw new AppError('Purchase cost must be a non-negative number or null', 400, 'VALIDATION_ERROR');
+    }
+    fields.purchaseCost = purchaseCost;
+  }
+  if (trackStock !== undefined) {
+    fields.trackStock = Boolean(trackStock);
+  }
+  return fields;
+};
 
 /**
  * List items with search and pagination
@@ -7,7 +66,7 @@ const AppError = require('../utils/AppError');
  */
 exports.listItems = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {search, limit = 20, cursor} = req.query;
 
     const pageLimit = Math.min(parseInt(limit, 10), 100);
@@ -29,7 +88,7 @@ exports.listItems = async (req, res, next) => {
 
     // Query items
     const items = await Item.find(filter)
-      .select('_id name defaultPrice createdAt')
+      .select('_id name defaultPrice hsnCode gstRate unit trackStock stockQty reorderLevel purchaseCost createdAt')
       .sort({createdAt: -1, _id: -1})
       .limit(pageLimit + 1)
       .lean();
@@ -59,7 +118,7 @@ exports.listItems = async (req, res, next) => {
  */
 exports.getItem = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {id} = req.params;
 
     const item = await Item.findOne({_id: id, userId}).lean();
@@ -83,8 +142,8 @@ exports.getItem = async (req, res, next) => {
  */
 exports.createItem = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const {name, defaultPrice} = req.body;
+    const userId = req.user.businessId;
+    const {name, defaultPrice, openingStock} = req.body;
 
     // Validation
     if (!name || !name.trim()) {
@@ -97,13 +156,26 @@ exports.createItem = async (req, res, next) => {
       }
     }
 
+    const hasOpeningStock = openingStock !== undefined && openingStock !== null;
+    if (hasOpeningStock && !isNonNegativeNumber(openingStock)) {
+      throw new AppError('Opening stock must be a non-negative number', 400, 'VALIDATION_ERROR');
+    }
+
     // Create item (will fail if duplicate due to unique index)
     const item = await Item.create({
       userId,
       name: name.trim(),
       defaultPrice: defaultPrice !== undefined && defaultPrice !== null ? defaultPrice : null,
+      ...pickItemGstFields(req.body),
+      ...pickItemStockFields(req.body),
+      // Opening stock starts tracking the item
+      ...(hasOpeningStock && {trackStock: true, stockQty: openingStock}),
     });
 
+    if (hasOpeningStock) {
+      await recordOpeningStock({item, createdBy: req.user._id});
+    }
+
     res.status(201).json({
       success: true,
       data: item,
@@ -123,7 +195,7 @@ exports.createItem = async (req, res, next) => {
  */
 exports.upsertItem = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {name, defaultPrice} = req.body;
 
     // Validation
@@ -160,7 +232,7 @@ exports.upsertItem = async (req, res, next) => {
  */
 exports.updateItem = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {id} = req.params;
     const {name, defaultPrice, isActive} = req.body;
 
@@ -189,6 +261,8 @@ exports.updateItem = async (req, res, next) => {
       item.isActive = Boolean(isActive);
     }
 
+    Object.assign(item, pickItemGstFields(req.body), pickItemStockFields(req.body));
+
     await item.save();
 
     res.status(200).json({
@@ -210,7 +284,7 @@ exports.updateItem = async (req, res, next) => {
  */
 exports.deleteItem = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.businessId;
     const {id} = req.params;
 
     const item = await Item.findOne({_id: id, userId});
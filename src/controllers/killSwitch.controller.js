@@ -21,7 +21,7 @@ const GLOBAL_PAUSE_PHRASE = 'PAUSE_SYSTEM';
 const updateKillSwitches = asyncHandler(async (req, res) => {
   const { globalKillSwitch, featureKillSwitches, confirmPhrase } = req.body;
   const businessId = req.user.businessId;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
 
   // If setting global kill-switch to true, require phrase
   if (globalKillSwitch === true) {
@@ -47,7 +47,7 @@ const updateKillSwitches = asyncHandler(async (req, res) => {
     
     if (globalKillSwitch && !wasEnabled) {
       settings.globalKillSwitchActivatedAt = new Date();
-      settings.globalKillSwitchActivatedBy = userId;
+      settings.globalKillSwitchActivatedBy = req.user._id;
       changes.push('global_enabled');
     } else if (!globalKillSwitch && wasEnabled) {
       changes.push('global_disabled');
@@ -75,7 +75,7 @@ const updateKillSwitches = asyncHandler(async (req, res) => {
     settings.markModified('featureKillSwitches');
   }
 
-  settings.updatedBy = userId;
+  settings.updatedBy = req.user._id;
   await settings.save();
 
   // Create audit events for each change
@@ -87,7 +87,7 @@ const updateKillSwitches = asyncHandler(async (req, res) => {
     await AuditEvent.create({
       at: new Date(),
       businessId,
-      actorUserId: userId,
+      actorUserId: req.user._id,
       actorRole: 'OWNER',
       action,
       entityType: 'SYSTEM',
@@ -154,7 +154,7 @@ const updateKillSwitches = asyncHandler(async (req, res) => {
  */
 const getKillSwitchStatus = asyncHandler(async (req, res) => {
   const businessId = req.user.businessId;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
 
   const settings = await BusinessSettings.getOrCreate(userId, businessId);
 
@@ -26,7 +26,7 @@ exports.getCustomerTransactions = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -34,7 +34,7 @@ exports.getCustomerTransactions = async (req, res, next) => {
     }
 
     const transactions = await LedgerTransaction.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
     }).sort({createdAt: -1});
 
@@ -91,7 +91,7 @@ exports.addCredit = async (req, res, next) => {
     // Check idempotency
     if (idempotencyKey) {
       const existing = await LedgerTransaction.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -109,7 +109,7 @@ exports.addCredit = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -126,7 +126,7 @@ exports.addCredit = async (req, res, next) => {
     
     // ATOMIC OPERATION: Reserve credit (check + increment in single atomic operation)
     const reserveResult = await atomicReserveCredit({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
       delta: amount,
       override: ownerOverride && overrideReason,
@@ -154,7 +154,7 @@ exports.addCredit = async (req, res, next) => {
     let transaction;
     try {
       transaction = await LedgerTransaction.create({
-        userId: req.user._id,
+        userId: req.user.businessId,
         customerId,
         type: 'credit',
         amount,
@@ -165,7 +165,7 @@ exports.addCredit = async (req, res, next) => {
     } catch (txCreateError) {
       // ROLLBACK: Release reserved credit atomically
       await atomicReleaseCredit({
-        userId: req.user._id,
+        userId: req.user.businessId,
         customerId,
         delta: amount,
         reason: 'ROLLBACK_LEDGER_CREDIT_FAILED',
@@ -192,7 +192,7 @@ exports.addCredit = async (req, res, next) => {
       // Race condition: fetch and return existing
       const idempotencyKey = getIdempotencyKey(req);
       const existing = await LedgerTransaction.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -215,7 +215,7 @@ exports.addCredit = async (req, res, next) => {
  */
 exports.addDebit = async (req, res, next) => {
   try {
-    const {customerId, amount, note} = req.body;
+    const {customerId, amount, note, mode, reference, paymentDate} = req.body;
     const idempotencyKey = getIdempotencyKey(req);
     const requestId = req.requestId || 'NO_RID';
 
@@ -252,7 +252,7 @@ exports.addDebit = async (req, res, next) => {
     // Check idempotency
     if (idempotencyKey) {
       const existing = await LedgerTransaction.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -270,7 +270,7 @@ exports.addDebit = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -279,12 +279,15 @@ exports.addDebit = async (req, res, next) => {
 
     // Create transaction
     const transaction = await LedgerTransaction.create({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
       type: 'debit',
       amount,
       note: note || '',
       source: 'manual',
+      paymentMode: mode || null,
+      paymentReference: reference || null,
+      paymentDate: paymentDate || new Date(),
       idempotencyKey: idempotencyKey || `server_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     });
 
@@ -294,7 +297,7 @@ exports.addDebit = async (req, res, next) => {
     
     // ATOMIC OPERATION: Release credit (decrement outstanding, clamped to 0)
     await atomicReleaseCredit({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
       delta: amount,
       reason: 'PAYMENT',
@@ -305,7 +308,7 @@ exports.addDebit = async (req, res, next) => {
     // AUDIT EVENT: Ledger debit recorded
     await createAuditEvent({
       action: 'CREDIT_CHECK_PASSED', // Reusing existing audit action for payment
-      userId: req.user._id,
+      userId: req.user.businessId,
       actorRole: 'OWNER',
       entityType: 'LEDGER',
       entityId: transaction._id,
@@ -329,7 +332,7 @@ exports.addDebit = async (req, res, next) => {
     if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
       const idempotencyKey = getIdempotencyKey(req);
       const existing = await LedgerTransaction.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -40,7 +40,7 @@ exports.createMessageEvent = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -49,7 +49,7 @@ exports.createMessageEvent = async (req, res, next) => {
 
     // Idempotent upsert: if same idempotencyKey exists, return existing doc
     const existingEvent = await MessageEvent.findOne({
-      userId: req.user._id,
+      userId: req.user.businessId,
       idempotencyKey,
     });
 
@@ -64,7 +64,7 @@ exports.createMessageEvent = async (req, res, next) => {
 
     // Create new message event
     const messageEvent = await MessageEvent.create({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
       channel: channel || 'WHATSAPP',
       templateKey,
@@ -94,7 +94,7 @@ exports.createMessageEvent = async (req, res, next) => {
     if (error.code === 11000) {
       // Fetch the existing document
       const existingEvent = await MessageEvent.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey: req.body.idempotencyKey,
       });
       
@@ -124,7 +124,7 @@ exports.getMessageEvents = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -133,7 +133,7 @@ exports.getMessageEvents = async (req, res, next) => {
 
     // Fetch message events
     const events = await MessageEvent.find({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
     })
       .sort({createdAt: -1})
@@ -160,7 +160,7 @@ exports.getMessageEventById = async (req, res, next) => {
 
     const event = await MessageEvent.findOne({
       _id: eventId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!event) {
@@ -186,7 +186,7 @@ exports.updateMessageEventStatus = async (req, res, next) => {
     const {eventId} = req.params;
     const {status} = req.body;
 
-    const validStatuses = ['CREATED', 'QUEUED', 'SENT', 'DELIVERED', 'FAILED'];
+    const validStatuses = ['CREATED', 'QUEUED', 'SENT', 'DELIVERED', 'READ', 'FAILED'];
     if (!status || !validStatuses.includes(status)) {
       return next(
         new AppError(
@@ -199,7 +199,7 @@ exports.updateMessageEventStatus = async (req, res, next) => {
 
     const event = await MessageEvent.findOne({
       _id: eventId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!event) {
@@ -230,7 +230,7 @@ exports.retryMessageEvent = async (req, res, next) => {
     // Verify message belongs to user
     const event = await MessageEvent.findOne({
       _id: eventId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!event) {
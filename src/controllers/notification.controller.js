@@ -14,7 +14,7 @@ const AppError = require('../utils/AppError');
  * GET /api/v1/notifications?limit=50&cursor=
  */
 const getNotifications = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
   const cursor = req.query.cursor; // Cursor is a timestamp or ID
   
@@ -88,7 +88,7 @@ const getNotifications = asyncHandler(async (req, res) => {
  * GET /api/v1/notifications/:id
  */
 const getNotification = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const {id} = req.params;
   
   const notification = await Notification.findOne({
@@ -118,7 +118,7 @@ const getNotification = asyncHandler(async (req, res) => {
  * GET /api/v1/customers/:id/notifications?limit=20
  */
 const getCustomerNotifications = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const {id: customerId} = req.params;
   const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
   
@@ -186,7 +186,7 @@ const getCustomerNotifications = asyncHandler(async (req, res) => {
  * POST /api/v1/notifications/:id/read
  */
 const markAsRead = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const {id} = req.params;
   
   const notification = await Notification.findOneAndUpdate(
@@ -213,7 +213,7 @@ const markAsRead = asyncHandler(async (req, res) => {
  * GET /api/v1/notifications/unread/count
  */
 const getUnreadCount = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   
   const count = await Notification.countDocuments({
     userId,
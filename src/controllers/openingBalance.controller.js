@@ -0,0 +1,76 @@
+/**
+ * Opening Balance Controller
+ *
+ * Balance a customer owed before they were added, dated as of when it was owed
+ */
+const asyncHandler = require('express-async-handler');
+const openingBalanceService = require('../services/openingBalance.service');
+const {auditCreate, auditUpdate} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * GET /api/customers/:id/opening-balance
+ * Opening balance with the part still unpaid (null when the customer has none)
+ */
+const getOpeningBalance = asyncHandler(async (req, res) => {
+  const openingBalance = await openingBalanceService.getOpeningBalance({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+  });
+
+  res.success({openingBalance});
+});
+
+/**
+ * PUT /api/customers/:id/opening-balance
+ * Set or correct the opening balance (one per customer, owner only, audited)
+ */
+const setOpeningBalance = asyncHandler(async (req, res) => {
+  const {amount, asOfDate, note} = req.body;
+
+  const {before, transaction, created} = await openingBalanceService.setOpeningBalance({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+    amount,
+    asOfDate,
+    note,
+    requestId: req.requestId,
+  });
+
+  if (created) {
+    await auditCreate({
+      action: 'OPENING_BALANCE_SET',
+      actorUserId: req.user._id,
+      actorRole: getUserRole(req),
+      entityType: 'LEDGER',
+      entity: transaction,
+      businessId: req.user.businessId,
+      metadata: {amount, asOfDate},
+      requestId: req.requestId,
+    });
+  } else {
+    await auditUpdate({
+      action: 'OPENING_BALANCE_UPDATED',
+      actorUserId: req.user._id,
+      actorRole: getUserRole(req),
+      entityType: 'LEDGER',
+      beforeEntity: before,
+      afterEntity: transaction,
+      businessId: req.user.businessId,
+      metadata: {previousAmount: before.amount, amount, asOfDate},
+      requestId: req.requestId,
+    });
+  }
+
+  const openingBalance = await openingBalanceService.getOpeningBalance({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+  });
+
+  res.success({openingBalance}, created ? 201 : 200);
+});
+
+module.exports = {
+  getOpeningBalance,
+  setOpeningBalance,
+};
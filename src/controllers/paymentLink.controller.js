@@ -0,0 +1,60 @@
+/**
+ * Payment Link Controller
+ *
+ * Razorpay payment links for bills and customer outstanding (settled by webhook)
+ */
+const asyncHandler = require('express-async-handler');
+const {
+  createPaymentLink,
+  listPaymentLinks,
+  formatPaymentLink,
+} = require('../services/paymentLink.service');
+
+/**
+ * POST /api/bills/:id/payment-link
+ * Create or reuse a payment link for the bill's pending amount
+ */
+const createBillPaymentLink = asyncHandler(async (req, res) => {
+  const {link, created} = await createPaymentLink({
+    userId: req.user.businessId,
+    billId: req.params.id,
+    createdBy: req.user._id,
+    requestId: req.requestId,
+  });
+
+  res.success(formatPaymentLink(link), created ? 201 : 200);
+});
+
+/**
+ * POST /api/customers/:id/payment-link
+ * Create or reuse a payment link for the customer's total outstanding
+ */
+const createCustomerPaymentLink = asyncHandler(async (req, res) => {
+  const {link, created} = await createPaymentLink({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+    createdBy: req.user._id,
+    requestId: req.requestId,
+  });
+
+  res.success(formatPaymentLink(link), created ? 201 : 200);
+});
+
+/**
+ * GET /api/customers/:id/payment-links
+ * Customer's payment links with settlement details
+ */
+const getCustomerPaymentLinks = asyncHandler(async (req, res) => {
+  const links = await listPaymentLinks({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+  });
+
+  res.success(links.map(formatPaymentLink));
+});
+
+module.exports = {
+  createBillPaymentLink,
+  createCustomerPaymentLink,
+  getCustomerPaymentLinks,
+};
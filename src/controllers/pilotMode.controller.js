@@ -18,7 +18,7 @@ const logger = require('../utils/logger');
  * PATCH /api/v1/settings/pilot-mode
  */
 const togglePilotMode = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const { enabled } = req.body;
   
   if (typeof enabled !== 'boolean') {
@@ -43,7 +43,7 @@ const togglePilotMode = asyncHandler(async (req, res) => {
   if (enabled && !wasPreviouslyEnabled) {
     // Enabling for first time
     settings.pilotModeEnabledAt = new Date();
-    settings.pilotModeEnabledBy = userId;
+    settings.pilotModeEnabledBy = req.user._id;
     
     // Apply safe defaults (idempotent - only set if undefined/null)
     await applyPilotDefaults(settings, userId);
@@ -52,7 +52,7 @@ const togglePilotMode = asyncHandler(async (req, res) => {
     await AuditEvent.create({
       at: new Date(),
       businessId: userId,
-      actorUserId: userId,
+      actorUserId: req.user._id,
       actorRole: 'OWNER',
       action: 'PILOT_MODE_ENABLED',
       entityType: 'BUSINESS_SETTINGS',
@@ -69,7 +69,7 @@ const togglePilotMode = asyncHandler(async (req, res) => {
     await AuditEvent.create({
       at: new Date(),
       businessId: userId,
-      actorUserId: userId,
+      actorUserId: req.user._id,
       actorRole: 'OWNER',
       action: 'PILOT_MODE_DISABLED',
       entityType: 'BUSINESS_SETTINGS',
@@ -80,7 +80,7 @@ const togglePilotMode = asyncHandler(async (req, res) => {
     logger.info(`[PilotMode] Disabled for business ${userId}`);
   }
   
-  settings.updatedBy = userId;
+  settings.updatedBy = req.user._id;
   await settings.save();
   
   res.success({
@@ -129,7 +129,7 @@ async function applyPilotDefaults(settings, userId) {
  * GET /api/v1/pilot/checklist
  */
 const getPilotChecklist = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   
   // Check if pilot mode is enabled
   const settings = await BusinessSettings.findOne({ userId });
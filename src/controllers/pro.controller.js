@@ -102,7 +102,8 @@ exports.activatePro = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 exports.getSubscription = asyncHandler(async (req, res, next) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
+  const planUser = req.businessOwner || req.user;
 
   // Find active subscription
   const subscription = await Subscription.findActiveByUserId(userId);
@@ -112,7 +113,7 @@ exports.getSubscription = asyncHandler(async (req, res, next) => {
       success: true,
       data: {
         hasActiveSubscription: false,
-        planStatus: req.user.planStatus,
+        planStatus: planUser.planStatus,
       },
     });
   }
@@ -121,7 +122,7 @@ exports.getSubscription = asyncHandler(async (req, res, next) => {
     success: true,
     data: {
       hasActiveSubscription: true,
-      planStatus: req.user.planStatus,
+      planStatus: planUser.planStatus,
       planId: subscription.planId,
       status: subscription.status,
       startedAt: subscription.startedAt,
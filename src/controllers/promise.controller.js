@@ -27,7 +27,7 @@ const {
 const createCustomerPromise = asyncHandler(async (req, res) => {
   const {id: customerId} = req.params;
   const {amount, dueAt, note} = req.body;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   
   // Validate inputs
   if (!amount || amount <= 0) {
@@ -95,7 +95,7 @@ const createCustomerPromise = asyncHandler(async (req, res) => {
     // Audit event: PROMISE_CREATED
     await auditCreate({
       action: 'PROMISE_CREATED',
-      actorUserId: userId,
+      actorUserId: req.user._id,
       actorRole: getUserRole(req),
       entityType: 'RECOVERY_CASE',
       entity: recoveryCase,
@@ -133,7 +133,7 @@ const createCustomerPromise = asyncHandler(async (req, res) => {
     // Audit event: PROMISE_UPDATED
     await auditUpdate({
       action: 'PROMISE_UPDATED',
-      actorUserId: userId,
+      actorUserId: req.user._id,
       actorRole: getUserRole(req),
       entityType: 'RECOVERY_CASE',
       beforeEntity: beforeState,
@@ -170,7 +170,7 @@ const createCustomerPromise = asyncHandler(async (req, res) => {
 const updatePromise = asyncHandler(async (req, res) => {
   const {id: recoveryCaseId} = req.params;
   const {amount, dueAt, note, status} = req.body;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   
   // Find recovery case
   const recoveryCase = await RecoveryCase.findOne({
@@ -233,7 +233,7 @@ const updatePromise = asyncHandler(async (req, res) => {
   
   await auditUpdate({
     action,
-    actorUserId: userId,
+    actorUserId: req.user._id,
     actorRole: getUserRole(req),
     entityType: 'RECOVERY_CASE',
     beforeEntity: beforeState,
@@ -265,7 +265,7 @@ const updatePromise = asyncHandler(async (req, res) => {
  */
 const getCustomerPromise = asyncHandler(async (req, res) => {
   const {id: customerId} = req.params;
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   
   const recoveryCase = await RecoveryCase.findOne({
     userId,
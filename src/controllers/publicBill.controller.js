@@ -3,12 +3,19 @@ const Bill = require('../models/Bill');
 const Customer = require('../models/Customer');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
+const {getUpiConfig, buildUpiPayment, withUpiQr} = require('../services/upi.service');
+const {renderUpiPayHtml} = require('../services/statementRenderer.service');
+const {getLabels, normalizeLanguage, translate} = require('../services/i18n');
+const {getCustomerLanguage} = require('../services/language.service');
+const {formatStateCode} = require('../services/gst.service');
 
 /**
  * Sanitize bill data for public display (no PII leakage)
  * Maps backend field names to web app expected field names
  */
 const sanitizeBillForPublic = (bill, customer, shopName = null) => {
+  const gst = bill.gst?.isTaxInvoice ? bill.gst : null;
+
   return {
     billNo: bill.billNo,
     billDate: bill.date || bill.createdAt, // Map 'date' to 'billDate' for web compatibility
@@ -23,23 +30,76 @@ const sanitizeBillForPublic = (bill, customer, shopName = null) => {
       price: item.price, // Keep both
       amount: item.total, // Map 'total' to 'amount' for web compatibility
       total: item.total, // Keep both
+      ...(gst ? {
+        hsnCode: item.hsnCode || null,
+        gstRate: item.gstRate,
+        taxableValue: item.taxableValue,
+        cgst: item.cgst,
+        sgst: item.sgst,
+        igst: item.igst,
+      } : {}),
     })),
     subTotal: bill.subTotal,
     discount: bill.discount || 0,
     tax: bill.tax || 0,
     grandTotal: bill.grandTotal,
     paidAmount: bill.paidAmount || 0,
+    creditedAmount: bill.creditedAmount || 0, // Credit notes issued against the bill
     pendingAmount: bill.grandTotal - (bill.paidAmount || 0),
     status: bill.status === 'unpaid' ? 'pending' : bill.status, // Map 'unpaid' to 'pending'
     dueDate: bill.dueDate || null,
     notes: bill.notes || null,
+    // GST tax invoice details (GSTINs are printed on the invoice by law)
+    gst: gst ? {
+      supplierGstin: gst.supplierGstin,
+      supplierLegalName: gst.supplierLegalName || shopName || null,
+      supplierAddress: gst.supplierAddress || null,
+      customerGstin: gst.customerGstin || null,
+      customerAddress: gst.customerAddress || null,
+      placeOfSupply: gst.placeOfSupply,
+      placeOfSupplyName: formatStateCode(gst.placeOfSupply),
+      supplyType: gst.supplyType,
+      stateTaxName: gst.stateTaxName || 'SGST',
+      taxableValue: gst.taxableValue,
+      cgst: gst.cgst,
+      sgst: gst.sgst,
+      igst: gst.igst,
+      totalTax: gst.totalTax,
+    } : null,
   };
 };
 
+/**
+ * UPI pay request for the exact pending amount of a bill (null if not payable)
+ */
+const buildBillUpi = async (bill, billData) => {
+  if (bill.status === 'cancelled' || bill.isDeleted) {
+    return null;
+  }
+  const config = await getUpiConfig(bill.userId);
+  return withUpiQr(buildUpiPayment(config, {
+    amount: billData.pendingAmount,
+    billNos: [bill.billNo],
+  }));
+};
+
+/**
+ * Language for a public bill: ?lang= override, else customer preference, else business default
+ */
+const resolveBillLanguage = async (req, bill, customer) => {
+  return normalizeLanguage(req.query.lang) ||
+    getCustomerLanguage({userId: bill.userId, customer});
+};
+
 /**
  * Render HTML bill viewer
  */
-const renderBillHtml = (billData) => {
+const renderBillHtml = (billData, language = 'en') => {
+  const labels = getLabels('publicBill', language);
+  const statusLabel = labels.statuses[billData.status] || billData.status;
+  const gst = billData.gst;
+  const stateTaxLabel = gst?.stateTaxName === 'UTGST' ? labels.utgst : labels.sgst;
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-IN', {
       style: 'currency',
@@ -71,11 +131,11 @@ const renderBillHtml = (billData) => {
   }[billData.status] || '#6B7280';
 
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${language}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Bill ${billData.billNo}</title>
+  <title>${escapeHtml(translate('publicBill.title', {billNo: billData.billNo}, language))}</title>
   <style>
     * {
       margin: 0;
@@ -113,6 +173,23 @@ const renderBillHtml = (billData) => {
       font-size: 14px;
       color: #6B7280;
     }
+    .invoice-type {
+      font-size: 12px;
+      font-weight: 600;
+      color: #6B7280;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+      margin-bottom: 4px;
+    }
+    .party-label {
+      font-size: 12px;
+      color: #6B7280;
+      margin-bottom: 4px;
+    }
+    .party-line {
+      font-size: 14px;
+      color: #374151;
+    }
     .customer {
       margin-bottom: 24px;
       padding: 16px;
@@ -235,31 +312,47 @@ const renderBillHtml = (billData) => {
 <body>
   <div class="container">
     <div class="header">
+      ${gst ? `<div class="invoice-type">${labels.taxInvoice}</div>` : ''}
       <div class="bill-no">${escapeHtml(billData.billNo)}</div>
       <div class="date">${formatDate(billData.date)}</div>
     </div>
 
+    ${gst ? `
+    <div class="customer">
+      <div class="party-label">${labels.supplier}</div>
+      <div class="customer-name">${escapeHtml(gst.supplierLegalName)}</div>
+      ${gst.supplierAddress ? `<div class="party-line">${escapeHtml(gst.supplierAddress)}</div>` : ''}
+      <div class="party-line">${labels.gstin}: ${escapeHtml(gst.supplierGstin)}</div>
+    </div>
+    ` : ''}
+
     <div class="customer">
+      ${gst ? `<div class="party-label">${labels.billTo}</div>` : ''}
       <div class="customer-name">${escapeHtml(billData.customerName)}</div>
+      ${gst?.customerAddress ? `<div class="party-line">${escapeHtml(gst.customerAddress)}</div>` : ''}
+      ${gst?.customerGstin ? `<div class="party-line">${labels.gstin}: ${escapeHtml(gst.customerGstin)}</div>` : ''}
+      ${gst ? `<div class="party-line">${labels.placeOfSupply}: ${escapeHtml(gst.placeOfSupplyName)}</div>` : ''}
     </div>
 
-    <div class="section-title">Items</div>
+    <div class="section-title">${labels.items}</div>
     <table>
       <thead>
         <tr>
-          <th>Item</th>
-          <th class="item-qty">Qty</th>
-          <th class="item-price">Price</th>
-          <th class="item-total">Total</th>
+          <th>${labels.item}</th>
+          ${gst ? `<th>${labels.hsn}</th>` : ''}
+          <th class="item-qty">${labels.qty}</th>
+          <th class="item-price">${labels.price}</th>
+          ${gst ? `<th class="item-total">${labels.taxableValue}</th><th class="item-qty">${labels.gstRate}</th>` : `<th class="item-total">${labels.total}</th>`}
         </tr>
       </thead>
       <tbody>
         ${billData.items.map(item => `
           <tr>
             <td class="item-name">${escapeHtml(item.name)}</td>
+            ${gst ? `<td>${escapeHtml(item.hsnCode)}</td>` : ''}
             <td class="item-qty">${item.qty}</td>
             <td class="item-price">${formatCurrency(item.price)}</td>
-            <td class="item-total">${formatCurrency(item.total)}</td>
+            ${gst ? `<td class="item-total">${formatCurrency(item.taxableValue)}</td><td class="item-qty">${item.gstRate}%</td>` : `<td class="item-total">${formatCurrency(item.total)}</td>`}
           </tr>
         `).join('')}
       </tbody>
@@ -267,59 +360,87 @@ const renderBillHtml = (billData) => {
 
     <div class="totals">
       <div class="total-row">
-        <span>Subtotal</span>
+        <span>${labels.subtotal}</span>
         <span>${formatCurrency(billData.subTotal)}</span>
       </div>
       ${billData.discount > 0 ? `
       <div class="total-row">
-        <span>Discount</span>
+        <span>${labels.discount}</span>
         <span>-${formatCurrency(billData.discount)}</span>
       </div>
       ` : ''}
-      ${billData.tax > 0 ? `
+      ${gst ? `
+      <div class="total-row">
+        <span>${labels.taxableValue}</span>
+        <span>${formatCurrency(gst.taxableValue)}</span>
+      </div>
+      ${gst.supplyType === 'INTER_STATE' ? `
       <div class="total-row">
-        <span>Tax</span>
+        <span>${labels.igst}</span>
+        <span>${formatCurrency(gst.igst)}</span>
+      </div>
+      ` : `
+      <div class="total-row">
+        <span>${labels.cgst}</span>
+        <span>${formatCurrency(gst.cgst)}</span>
+      </div>
+      <div class="total-row">
+        <span>${stateTaxLabel}</span>
+        <span>${formatCurrency(gst.sgst)}</span>
+      </div>
+      `}
+      ` : billData.tax > 0 ? `
+      <div class="total-row">
+        <span>${labels.tax}</span>
         <span>${formatCurrency(billData.tax)}</span>
       </div>
       ` : ''}
       <div class="total-row grand">
-        <span>Total</span>
+        <span>${labels.total}</span>
         <span>${formatCurrency(billData.grandTotal)}</span>
       </div>
     </div>
 
     <div class="info-grid">
       <div class="info-item">
-        <div class="info-label">Status</div>
+        <div class="info-label">${labels.status}</div>
         <div class="info-value">
-          <span class="status-badge">${escapeHtml(billData.status)}</span>
+          <span class="status-badge">${escapeHtml(statusLabel)}</span>
         </div>
       </div>
       <div class="info-item">
-        <div class="info-label">Paid</div>
+        <div class="info-label">${labels.paid}</div>
         <div class="info-value">${formatCurrency(billData.paidAmount)}</div>
       </div>
       <div class="info-item">
-        <div class="info-label">Pending</div>
+        <div class="info-label">${labels.pending}</div>
         <div class="info-value">${formatCurrency(billData.pendingAmount)}</div>
       </div>
+      ${billData.creditedAmount > 0 ? `
+      <div class="info-item">
+        <div class="info-label">${labels.creditNotes}</div>
+        <div class="info-value">${formatCurrency(billData.creditedAmount)}</div>
+      </div>
+      ` : ''}
       ${billData.dueDate ? `
       <div class="info-item">
-        <div class="info-label">Due Date</div>
+        <div class="info-label">${labels.dueDate}</div>
         <div class="info-value">${formatDate(billData.dueDate)}</div>
       </div>
       ` : ''}
     </div>
 
+    ${renderUpiPayHtml(billData.upi, language)}
+
     ${billData.notes ? `
     <div class="notes">
-      <strong>Notes:</strong><br>
+      <strong>${labels.notes}:</strong><br>
       ${escapeHtml(billData.notes)}
     </div>
     ` : ''}
 
     <div class="footer">
-      Shared via Profit Hooks
+      ${labels.sharedVia}
     </div>
   </div>
 </body>
@@ -491,7 +612,9 @@ exports.getPublicBill = async (req, res, next) => {
 
     // Sanitize and render
     const billData = sanitizeBillForPublic(bill, customer);
-    const html = renderBillHtml(billData);
+    billData.upi = await buildBillUpi(bill, billData);
+    const language = await resolveBillLanguage(req, bill, customer);
+    const html = renderBillHtml(billData, language);
 
     // Set no-cache headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
@@ -552,6 +675,9 @@ exports.getPublicBillJson = async (req, res, next) => {
 
     // Sanitize and return
     const billData = sanitizeBillForPublic(bill, customer, shopName);
+    billData.upi = await buildBillUpi(bill, billData);
+    billData.language = await resolveBillLanguage(req, bill, customer);
+    billData.labels = getLabels('publicBill', billData.language);
 
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
     res.status(200).json({
@@ -0,0 +1,85 @@
+const {getPublicCreditNoteByToken} = require('../services/creditNoteShare.service');
+const {
+  renderPublicCreditNoteHtml,
+  renderLinkErrorHtml,
+} = require('../services/statementRenderer.service');
+const {getLabels, normalizeLanguage} = require('../services/i18n');
+const {getCustomerLanguage} = require('../services/language.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+/**
+ * Error pages for public credit note links
+ */
+const ERROR_PAGES = {
+  INVALID_TOKEN: ['Link Not Found', 'This link is invalid or has expired.'],
+  LINK_EXPIRED: ['Link Expired or Revoked', 'This share link has been revoked or is no longer available.'],
+  CREDIT_NOTE_NOT_FOUND: ['Credit Note Not Found', 'The credit note associated with this link could not be found.'],
+};
+
+const setNoCacheHeaders = res => {
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+};
+
+/**
+ * Language for a public credit note: ?lang= override, else customer preference, else business default
+ */
+const resolveCreditNoteLanguage = (req, creditNote, customer) => {
+  return normalizeLanguage(req.query.lang) ||
+    getCustomerLanguage({userId: creditNote.userId, customer});
+};
+
+/**
+ * Get public credit note by token (HTML)
+ * GET /public/cn/:token
+ */
+exports.getPublicCreditNote = async (req, res, next) => {
+  try {
+    const {data, creditNote, customer} = await getPublicCreditNoteByToken(req.params.token);
+    const language = await resolveCreditNoteLanguage(req, creditNote, customer);
+
+    setNoCacheHeaders(res);
+    res.status(200).send(renderPublicCreditNoteHtml(data, language));
+  } catch (error) {
+    if (error instanceof AppError && ERROR_PAGES[error.code]) {
+      const [title, message] = ERROR_PAGES[error.code];
+      return res.status(error.statusCode).send(renderLinkErrorHtml(title, message));
+    }
+    logger.error('[PublicCreditNote] Get public credit note error', {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get public credit note by token (JSON)
+ * GET /public/cn/:token.json
+ */
+exports.getPublicCreditNoteJson = async (req, res, next) => {
+  try {
+    const {data, creditNote, customer} = await getPublicCreditNoteByToken(req.params.token);
+    data.language = await resolveCreditNoteLanguage(req, creditNote, customer);
+    data.labels = getLabels('publicBill', data.language);
+
+    setNoCacheHeaders(res);
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('[PublicCreditNote] Get public credit note JSON error', {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
@@ -0,0 +1,72 @@
+const {getPublicStatementByToken} = require('../services/customerShare.service');
+const {
+  renderPublicStatementHtml,
+  renderLinkErrorHtml,
+} = require('../services/statementRenderer.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+/**
+ * Error pages for public statement links
+ */
+const ERROR_PAGES = {
+  INVALID_TOKEN: ['Link Not Found', 'This link is invalid or has expired.'],
+  LINK_EXPIRED: ['Link Expired or Revoked', 'This share link has been revoked or is no longer available.'],
+  CUSTOMER_NOT_FOUND: ['Account Not Found', 'The account associated with this link could not be found.'],
+};
+
+const setNoCacheHeaders = res => {
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+};
+
+/**
+ * Get public customer statement by token (HTML)
+ * GET /public/s/:token
+ */
+exports.getPublicStatement = async (req, res, next) => {
+  try {
+    const data = await getPublicStatementByToken(req.params.token);
+
+    setNoCacheHeaders(res);
+    res.status(200).send(renderPublicStatementHtml(data));
+  } catch (error) {
+    if (error instanceof AppError && ERROR_PAGES[error.code]) {
+      const [title, message] = ERROR_PAGES[error.code];
+      return res.status(error.statusCode).send(renderLinkErrorHtml(title, message));
+    }
+    logger.error('[PublicStatement] Get public statement error', {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get public customer statement by token (JSON)
+ * GET /public/s/:token.json
+ */
+exports.getPublicStatementJson = async (req, res, next) => {
+  try {
+    const data = await getPublicStatementByToken(req.params.token);
+
+    setNoCacheHeaders(res);
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error('[PublicStatement] Get public statement JSON error', {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * Purchase Bill Controller
+ *
+ * Bills received from suppliers (payables)
+ */
+const asyncHandler = require('express-async-handler');
+const purchaseBillService = require('../services/purchaseBill.service');
+const {auditCreate, auditDelete} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * POST /api/purchase-bills
+ * Record a purchase bill (audited; Idempotency-Key replays return the same bill)
+ */
+const createPurchaseBill = asyncHandler(async (req, res) => {
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+
+  const {purchaseBill, duplicate} = await purchaseBillService.createPurchaseBill({
+    ...req.body,
+    userId: req.user.businessId,
+    idempotencyKey,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  if (duplicate) {
+    return res.success({purchaseBill, duplicate: true});
+  }
+
+  await auditCreate({
+    action: 'PURCHASE_BILL_CREATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'PURCHASE_BILL',
+    entity: purchaseBill,
+    businessId: req.user.businessId,
+    metadata: {
+      supplierId: purchaseBill.supplierId,
+      billNo: purchaseBill.billNo,
+      grandTotal: purchaseBill.grandTotal,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({purchaseBill, duplicate: false}, 201);
+});
+
+/**
+ * GET /api/purchase-bills
+ * Purchase bills, newest first (?supplierId, ?status, ?page, ?limit)
+ */
+const listPurchaseBills = asyncHandler(async (req, res) => {
+  const result = await purchaseBillService.listPurchaseBills({
+    userId: req.user.businessId,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+/**
+ * GET /api/purchase-bills/:id
+ */
+const getPurchaseBill = asyncHandler(async (req, res) => {
+  const purchaseBill = await purchaseBillService.getPurchaseBill({
+    userId: req.user.businessId,
+    purchaseBillId: req.params.id,
+  });
+
+  res.success(purchaseBill);
+});
+
+/**
+ * DELETE /api/purchase-bills/:id
+ * Soft-delete a purchase bill with no payments (owner only, reason required)
+ */
+const deletePurchaseBill = asyncHandler(async (req, res) => {
+  const reason = req.body.reason.trim();
+
+  const purchaseBill = await purchaseBillService.deletePurchaseBill({
+    userId: req.user.businessId,
+    purchaseBillId: req.params.id,
+    reason,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  await auditDelete({
+    action: 'PURCHASE_BILL_DELETED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'PURCHASE_BILL',
+    entity: purchaseBill,
+    businessId: req.user.businessId,
+    reason,
+    metadata: {
+      supplierId: purchaseBill.supplierId,
+      billNo: purchaseBill.billNo,
+      grandTotal: purchaseBill.grandTotal,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({
+    message: 'Purchase bill deleted',
+    purchaseBillId: purchaseBill._id,
+  });
+});
+
+module.exports = {
+  createPurchaseBill,
+  listPurchaseBills,
+  getPurchaseBill,
+  deletePurchaseBill,
+};
@@ -25,7 +25,7 @@ exports.listRecoveryCases = async (req, res, next) => {
   try {
     const {customerId} = req.query;
 
-    const filter = {userId: req.user._id};
+    const filter = {userId: req.user.businessId};
     if (customerId) {
       filter.customerId = customerId;
     }
@@ -63,7 +63,7 @@ exports.getRecoveryCase = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -71,7 +71,7 @@ exports.getRecoveryCase = async (req, res, next) => {
     }
 
     const recoveryCase = await RecoveryCase.findOne({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
       status: {$nin: ['paid', 'dropped']},
     }).sort({createdAt: -1});
@@ -113,7 +113,7 @@ exports.openCase = async (req, res, next) => {
     // Check idempotency
     if (idempotencyKey) {
       const existing = await RecoveryCase.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -131,7 +131,7 @@ exports.openCase = async (req, res, next) => {
     // Verify customer exists and belongs to user
     const customer = await Customer.findOne({
       _id: customerId,
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!customer) {
@@ -146,7 +146,7 @@ exports.openCase = async (req, res, next) => {
 
     // Create recovery case
     const recoveryCase = await RecoveryCase.create({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
       customerSnapshot,
       status: 'open',
@@ -164,7 +164,7 @@ exports.openCase = async (req, res, next) => {
     if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
       const idempotencyKey = getIdempotencyKey(req);
       const existing = await RecoveryCase.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -220,7 +220,7 @@ exports.setPromise = async (req, res, next) => {
     // Check idempotency via RecoveryEvent
     if (idempotencyKey) {
       const existingEvent = await RecoveryEvent.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -244,7 +244,7 @@ exports.setPromise = async (req, res, next) => {
       return next(new AppError('Recovery case not found', 404, 'NOT_FOUND'));
     }
 
-    if (recoveryCase.userId.toString() !== req.user._id.toString()) {
+    if (recoveryCase.userId.toString() !== req.user.businessId.toString()) {
       return next(new AppError('Not authorized', 403, 'FORBIDDEN'));
     }
 
@@ -276,13 +276,13 @@ exports.setPromise = async (req, res, next) => {
       try {
         const followupIdempotencyKey = `auto_escalate_promise:${caseId}:${promiseDate.toISOString()}`;
         const existingFollowup = await FollowUpTask.findOne({
-          userId: req.user._id,
+          userId: req.user.businessId,
           idempotencyKey: followupIdempotencyKey,
         });
 
         if (!existingFollowup) {
           autoFollowup = await FollowUpTask.create({
-            userId: req.user._id,
+            userId: req.user.businessId,
             customerId: recoveryCase.customerId,
             title: 'ESCALATION: Promise broken',
             note: `Promise missed by ${escalation.daysOverdue}d. Follow up immediately.`,
@@ -306,7 +306,7 @@ exports.setPromise = async (req, res, next) => {
     if (idempotencyKey) {
       try {
         await RecoveryEvent.create({
-          userId: req.user._id,
+          userId: req.user.businessId,
           caseId: recoveryCase._id,
           type: 'PROMISE',
           idempotencyKey,
@@ -332,7 +332,7 @@ exports.setPromise = async (req, res, next) => {
     if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
       const idempotencyKey = getIdempotencyKey(req);
       const existingEvent = await RecoveryEvent.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -382,7 +382,7 @@ exports.updateStatus = async (req, res, next) => {
     // Check idempotency via RecoveryEvent
     if (idempotencyKey) {
       const existingEvent = await RecoveryEvent.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -405,7 +405,7 @@ exports.updateStatus = async (req, res, next) => {
       return next(new AppError('Recovery case not found', 404, 'NOT_FOUND'));
     }
 
-    if (recoveryCase.userId.toString() !== req.user._id.toString()) {
+    if (recoveryCase.userId.toString() !== req.user.businessId.toString()) {
       return next(new AppError('Not authorized', 403, 'FORBIDDEN'));
     }
 
@@ -420,7 +420,7 @@ exports.updateStatus = async (req, res, next) => {
     if (idempotencyKey) {
       try {
         await RecoveryEvent.create({
-          userId: req.user._id,
+          userId: req.user.businessId,
           caseId: recoveryCase._id,
           type: 'STATUS',
           idempotencyKey,
@@ -441,7 +441,7 @@ exports.updateStatus = async (req, res, next) => {
     if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
       const idempotencyKey = getIdempotencyKey(req);
       const existingEvent = await RecoveryEvent.findOne({
-        userId: req.user._id,
+        userId: req.user.businessId,
         idempotencyKey,
       });
 
@@ -483,7 +483,7 @@ exports.autoKeepPromise = async (req, res, next) => {
     }
 
     const result = await maybeKeepPromiseForCustomer({
-      userId: req.user._id,
+      userId: req.user.businessId,
       customerId,
       paymentRef,
       idempotencyKey: idempotencyKey || `AUTO_KEEP::${customerId}::${paymentRef}`,
@@ -0,0 +1,169 @@
+/**
+ * Recurring Bill Controller
+ *
+ * Recurring bill templates; the bills themselves are created by the daily
+ * cron (and right away when an occurrence is due on create / resume)
+ */
+const asyncHandler = require('express-async-handler');
+const recurringBillService = require('../services/recurringBill.service');
+const {auditCreate, auditUpdate} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * Audit a skip / pause / resume
+ */
+const auditStatusChange = (req, {before, recurringBill}, metadata) =>
+  auditUpdate({
+    action: 'RECURRING_BILL_STATUS_CHANGED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'RECURRING_BILL',
+    beforeEntity: before,
+    afterEntity: recurringBill,
+    businessId: req.user.businessId,
+    metadata,
+    requestId: req.requestId,
+  });
+
+/**
+ * POST /api/recurring-bills
+ * Create a template (bills the first occurrence when it is due today)
+ */
+const createRecurringBill = asyncHandler(async (req, res) => {
+  const {customerId, ...fields} = req.body;
+
+  const {recurringBill, runs} = await recurringBillService.createRecurringBill({
+    userId: req.user.businessId,
+    customerId,
+    fields,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  await auditCreate({
+    action: 'RECURRING_BILL_CREATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'RECURRING_BILL',
+    entity: recurringBill,
+    customerId: recurringBill.customerId,
+    businessId: req.user.businessId,
+    metadata: {
+      frequency: recurringBill.frequency,
+      dayOfMonth: recurringBill.dayOfMonth,
+      nextRunDate: recurringBill.nextRunDate,
+      billedNow: runs.length,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({recurringBill, runs}, 201);
+});
+
+/**
+ * GET /api/recurring-bills
+ * List templates (?customerId, ?status)
+ */
+const listRecurringBills = asyncHandler(async (req, res) => {
+  const result = await recurringBillService.listRecurringBills({
+    userId: req.user.businessId,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+/**
+ * GET /api/recurring-bills/:id
+ * Template with its latest bills and a preview of the next one
+ */
+const getRecurringBill = asyncHandler(async (req, res) => {
+  const result = await recurringBillService.getRecurringBill({
+    userId: req.user.businessId,
+    id: req.params.id,
+  });
+
+  res.success(result);
+});
+
+/**
+ * PATCH /api/recurring-bills/:id
+ * Change lines, amounts, due days, end date or proration (applies to future bills)
+ */
+const updateRecurringBill = asyncHandler(async (req, res) => {
+  const {before, recurringBill} = await recurringBillService.updateRecurringBill({
+    userId: req.user.businessId,
+    id: req.params.id,
+    changes: req.body,
+  });
+
+  await auditUpdate({
+    action: 'RECURRING_BILL_UPDATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'RECURRING_BILL',
+    beforeEntity: before,
+    afterEntity: recurringBill,
+    businessId: req.user.businessId,
+    metadata: {fields: Object.keys(req.body)},
+    requestId: req.requestId,
+  });
+
+  res.success({recurringBill});
+});
+
+/**
+ * POST /api/recurring-bills/:id/skip
+ * Skip the next occurrence
+ */
+const skipRecurringBill = asyncHandler(async (req, res) => {
+  const result = await recurringBillService.skipNextOccurrence({
+    userId: req.user.businessId,
+    id: req.params.id,
+  });
+
+  await auditStatusChange(req, result, {change: 'skip', skippedDate: result.skippedDate});
+
+  res.success({recurringBill: result.recurringBill, skippedDate: result.skippedDate});
+});
+
+/**
+ * POST /api/recurring-bills/:id/pause
+ * Pause billing until resumed
+ */
+const pauseRecurringBill = asyncHandler(async (req, res) => {
+  const result = await recurringBillService.pauseRecurringBill({
+    userId: req.user.businessId,
+    id: req.params.id,
+  });
+
+  await auditStatusChange(req, result, {change: 'pause'});
+
+  res.success({recurringBill: result.recurringBill});
+});
+
+/**
+ * POST /api/recurring-bills/:id/resume
+ * Resume billing from today (missed occurrences are not billed)
+ */
+const resumeRecurringBill = asyncHandler(async (req, res) => {
+  const result = await recurringBillService.resumeRecurringBill({
+    userId: req.user.businessId,
+    id: req.params.id,
+    requestId: req.requestId,
+  });
+
+  await auditStatusChange(req, result, {change: 'resume', billedNow: result.runs.length});
+
+  res.success({recurringBill: result.recurringBill, runs: result.runs});
+});
+
+module.exports = {
+  createRecurringBill,
+  listRecurringBills,
+  getRecurringBill,
+  updateRecurringBill,
+  skipRecurringBill,
+  pauseRecurringBill,
+  resumeRecurringBill,
+};
@@ -0,0 +1,150 @@
+/**
+ * Report Controller
+ *
+ * GSTR-1 returns data, the sales register (JSON / CSV), collections by payment mode,
+ * stock valuation, payables aging and the Tally XML export
+ */
+const asyncHandler = require('express-async-handler');
+const {buildGstr1, buildSalesRegister, renderSalesRegisterCsv} = require('../services/gstReturns.service');
+const {buildCollectionsReport} = require('../services/collections.service');
+const {buildStockValuation} = require('../services/stock.service');
+const {buildPayablesAging} = require('../services/payables.service');
+const {buildTallyExport} = require('../services/tallyExport.service');
+const logger = require('../utils/logger');
+
+const periodLabel = period => `${period.from.toISOString().split('T')[0]}-to-${period.to.toISOString().split('T')[0]}`;
+
+/**
+ * GET /api/v1/reports/gstr1?month=YYYY-MM | from&to [&download=true]
+ * GSTR-1 JSON (offline tool layout) plus a summary; download=true returns the bare file
+ */
+const getGstr1 = asyncHandler(async (req, res) => {
+  const {month, from, to, download} = req.query;
+
+  const report = await buildGstr1({userId: req.user.businessId, month, from, to});
+
+  logger.info('[Reports] GSTR-1 generated', {
+    fp: report.gstr1.fp,
+    invoices: report.summary.invoices,
+    requestId: req.requestId,
+  });
+
+  if (download) {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="GSTR1-${report.gstr1.gstin}-${report.gstr1.fp}.json"`);
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+    return res.status(200).send(JSON.stringify(report.gstr1));
+  }
+
+  res.success(report);
+});
+
+/**
+ * GET /api/v1/reports/sales-register?month=YYYY-MM | from&to [&format=json|csv]
+ * One row per bill with tax breakdown and totals
+ */
+const getSalesRegister = asyncHandler(async (req, res) => {
+  const {month, from, to, format} = req.query;
+
+  const register = await buildSalesRegister({userId: req.user.businessId, month, from, to});
+
+  logger.info('[Reports] Sales register generated', {
+    format,
+    rows: register.rows.length,
+    requestId: req.requestId,
+  });
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="sales-register-${periodLabel(register.period)}.csv"`);
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+    return res.status(200).send(renderSalesRegisterCsv(register));
+  }
+
+  res.success(register);
+});
+
+/**
+ * GET /api/v1/reports/collections?month=YYYY-MM | from&to
+ * Money received split by payment mode (net of reversals) and cheques still pending
+ */
+const getCollections = asyncHandler(async (req, res) => {
+  const {month, from, to} = req.query;
+
+  const report = await buildCollectionsReport({userId: req.user.businessId, month, from, to});
+
+  logger.info('[Reports] Collections report generated', {
+    net: report.totals.net,
+    requestId: req.requestId,
+  });
+
+  res.success(report);
+});
+
+/**
+ * GET /api/v1/reports/stock-valuation[?lowStockOnly=true]
+ * Tracked items with stock, purchase cost and value; low-stock items flagged
+ */
+const getStockValuation = asyncHandler(async (req, res) => {
+  const report = await buildStockValuation({
+    userId: req.user.businessId,
+    lowStockOnly: req.query.lowStockOnly,
+  });
+
+  logger.info('[Reports] Stock valuation generated', {
+    items: report.totals.items,
+    value: report.totals.value,
+    requestId: req.requestId,
+  });
+
+  res.success(report);
+});
+
+/**
+ * GET /api/v1/reports/payables-aging
+ * Open purchase bills per supplier: not yet due, 0-7 / 8-15 / 16-30 / 31-60 / 60+ days past due
+ */
+const getPayablesAging = asyncHandler(async (req, res) => {
+  const report = await buildPayablesAging({userId: req.user.businessId});
+
+  logger.info('[Reports] Payables aging generated', {
+    suppliers: report.suppliers.length,
+    totalPayable: report.totals.totalPayable,
+    requestId: req.requestId,
+  });
+
+  res.success(report);
+});
+
+/**
+ * POST /api/v1/reports/tally-export {month | from&to, changedOnly}
+ * Customers, sales, receipts and credit notes as a Tally XML import file;
+ * changedOnly sends only what was added or changed since the last export
+ */
+const exportToTally = asyncHandler(async (req, res) => {
+  const {month, from, to, changedOnly} = req.body;
+
+  const result = await buildTallyExport({userId: req.user.businessId, month, from, to, changedOnly});
+
+  logger.info('[Reports] Tally export generated', {
+    changedOnly,
+    since: result.since,
+    ...result.counts,
+    requestId: req.requestId,
+  });
+
+  const fileName = `tally-${changedOnly ? 'changes-' : ''}${periodLabel(result.period)}.xml`;
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  res.status(200).send(result.xml);
+});
+
+module.exports = {
+  getGstr1,
+  getSalesRegister,
+  getCollections,
+  getStockValuation,
+  getPayablesAging,
+  exportToTally,
+};
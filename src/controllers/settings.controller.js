@@ -8,6 +8,18 @@ const asyncHandler = require('express-async-handler');
 const BusinessSettings = require('../models/BusinessSettings');
 const AppError = require('../utils/AppError');
 const {getUserRole, isOwner} = require('../middleware/permission.middleware');
+const {createAuditEvent} = require('../services/auditHelper.service');
+const {getActiveLadder, getLadderVersion, saveLadder} = require('../services/recoveryLadder.service');
+const {DEFAULT_TEMPLATES, RECOVERY_MESSAGE_PLACEHOLDERS} = require('../services/recoveryPlan.service');
+const {GST_STATE_CODES, getStateCodeFromGstin} = require('../services/gst.service');
+const {TALLY_LEDGER_FIELDS, resolveLedgers} = require('../services/tallyExport.service');
+const {
+  SERIES_TYPES,
+  getSeriesConfig,
+  validateSeriesConfig,
+  describeSeries,
+  setStartingNumber,
+} = require('../services/numberSeries.service');
 const logger = require('../utils/logger');
 
 /**
@@ -18,13 +30,13 @@ const logger = require('../utils/logger');
 exports.getSettings = async (req, res, next) => {
   try {
     let settings = await BusinessSettings.findOne({
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     // Auto-create with defaults if missing
     if (!settings) {
       settings = await BusinessSettings.create({
-        userId: req.user._id,
+        userId: req.user.businessId,
       });
     }
 
@@ -54,6 +66,7 @@ exports.updateSettings = async (req, res, next) => {
       escalationDays,
       gracePeriodDays,
       channelsEnabled,
+      language,
       clientUpdatedAt, // ETag-style conflict detection
     } = req.body;
 
@@ -62,7 +75,7 @@ exports.updateSettings = async (req, res, next) => {
       logger.debug('[Settings] Update request received', {
         recoveryEnabled,
         autoFollowupEnabled,
-        userId: req.user._id,
+        userId: req.user.businessId,
         requestId: req.requestId,
         payload: req.body,
       });
@@ -154,6 +167,9 @@ exports.updateSettings = async (req, res, next) => {
     if (gracePeriodDays !== undefined) {
       updateFields.gracePeriodDays = gracePeriodDays;
     }
+    if (language !== undefined) {
+      updateFields.language = language;
+    }
     if (channelsEnabled !== undefined) {
       // Handle nested channelsEnabled partial update
       // Merge with existing channelsEnabled if it exists
@@ -170,13 +186,13 @@ exports.updateSettings = async (req, res, next) => {
 
     // Find or create settings
     let settings = await BusinessSettings.findOne({
-      userId: req.user._id,
+      userId: req.user.businessId,
     });
 
     if (!settings) {
       // Create new settings with provided values
       settings = await BusinessSettings.create({
-        userId: req.user._id,
+        userId: req.user.businessId,
         ...updateFields,
       });
     } else {
@@ -208,7 +224,7 @@ exports.updateSettings = async (req, res, next) => {
 
       // Update existing settings
       settings = await BusinessSettings.findOneAndUpdate(
-        {userId: req.user._id},
+        {userId: req.user.businessId},
         {$set: updateFields},
         {
           new: true,
@@ -244,7 +260,7 @@ exports.updateSettings = async (req, res, next) => {
  * Step 8: Interest Calculation
  */
 const getInterestPolicy = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const businessId = req.user.businessId || userId;
   
   try {
@@ -274,7 +290,7 @@ const getInterestPolicy = asyncHandler(async (req, res) => {
  * Step 8: Interest Calculation
  */
 const updateInterestPolicy = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const businessId = req.user.businessId || userId;
   const role = getUserRole(req);
   
@@ -346,7 +362,7 @@ const updateInterestPolicy = asyncHandler(async (req, res) => {
       settings.financialYearStartMonth = month;
     }
     
-    settings.updatedBy = userId;
+    settings.updatedBy = req.user._id;
     await settings.save();
     
     logger.info('[Settings] Interest policy updated', {userId, settings: settings.toObject()});
@@ -368,9 +384,376 @@ const updateInterestPolicy = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Shape UPI settings for API responses
+ */
+const formatUpiSettings = settings => ({
+  upiVpa: settings.upiVpa || null,
+  upiPayeeName: settings.upiPayeeName || null,
+  updatedAt: settings.updatedAt,
+});
+
+/**
+ * GET /api/settings/upi
+ * Get UPI payee settings (VPA used in payment links and QR codes)
+ */
+const getUpiSettings = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.getOrCreate(req.user.businessId);
+
+  res.success(formatUpiSettings(settings));
+});
+
+/**
+ * PATCH /api/settings/upi
+ * Update UPI payee settings (owner only, audited: changes where customers pay)
+ */
+const updateUpiSettings = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.getOrCreate(req.user.businessId);
+  const previous = formatUpiSettings(settings);
+
+  if (req.body.upiVpa !== undefined) {
+    settings.upiVpa = req.body.upiVpa || null;
+  }
+  if (req.body.upiPayeeName !== undefined) {
+    settings.upiPayeeName = req.body.upiPayeeName || null;
+  }
+
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  await createAuditEvent({
+    action: 'UPI_SETTINGS_UPDATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'BUSINESS',
+    entityId: req.user.businessId,
+    businessId: req.user.businessId,
+    before: {upiVpa: previous.upiVpa, upiPayeeName: previous.upiPayeeName},
+    after: {upiVpa: settings.upiVpa, upiPayeeName: settings.upiPayeeName},
+    requestId: req.requestId,
+  });
+
+  logger.info('[Settings] UPI settings updated', {
+    userId: req.user.businessId,
+    hasVpa: !!settings.upiVpa,
+  });
+
+  res.success(formatUpiSettings(settings));
+});
+
+/**
+ * Shape cheque settings for API responses
+ */
+const formatChequeSettings = settings => ({
+  chequeBounceCharge: settings.chequeBounceCharge || 0,
+  updatedAt: settings.updatedAt,
+});
+
+/**
+ * GET /api/settings/cheques
+ * Get cheque settings (charge booked when a customer's cheque bounces)
+ */
+const getChequeSettings = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.getOrCreate(req.user.businessId);
+
+  res.success(formatChequeSettings(settings));
+});
+
+/**
+ * PATCH /api/settings/cheques
+ * Update cheque settings (owner only, audited: the charge is billed to customers)
+ */
+const updateChequeSettings = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.getOrCreate(req.user.businessId);
+  const previous = formatChequeSettings(settings);
+
+  settings.chequeBounceCharge = req.body.chequeBounceCharge;
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  await createAuditEvent({
+    action: 'CHEQUE_SETTINGS_UPDATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'BUSINESS',
+    entityId: req.user.businessId,
+    businessId: req.user.businessId,
+    before: {chequeBounceCharge: previous.chequeBounceCharge},
+    after: {chequeBounceCharge: settings.chequeBounceCharge},
+    requestId: req.requestId,
+  });
+
+  logger.info('[Settings] Cheque settings updated', {
+    userId: req.user.businessId,
+    chequeBounceCharge: settings.chequeBounceCharge,
+  });
+
+  res.success(formatChequeSettings(settings));
+});
+
+/**
+ * Shape Tally export settings for API responses
+ */
+const formatTallySettings = settings => ({
+  companyName: settings.tally?.companyName || null,
+  ...resolveLedgers(settings.tally),
+  lastExportedAt: settings.tally?.lastExportedAt || null,
+  updatedAt: settings.updatedAt,
+});
+
+/**
+ * GET /api/settings/tally
+ * Get Tally export settings (ledger names for sales, tax and cash/bank, last export)
+ */
+const getTallySettings = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.getOrCreate(req.user.businessId);
+
+  res.success(formatTallySettings(settings));
+});
+
+/**
+ * PATCH /api/settings/tally
+ * Update Tally ledger names (owner only, audited: decides where sales and receipts are posted)
+ */
+const updateTallySettings = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.getOrCreate(req.user.businessId);
+  const previous = formatTallySettings(settings);
+  const fields = ['companyName', ...TALLY_LEDGER_FIELDS].filter(field => req.body[field] !== undefined);
+
+  for (const field of fields) {
+    settings.tally[field] = req.body[field] || null;
+  }
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  const current = formatTallySettings(settings);
+  await createAuditEvent({
+    action: 'TALLY_SETTINGS_UPDATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'BUSINESS',
+    entityId: req.user.businessId,
+    businessId: req.user.businessId,
+    before: Object.fromEntries(fields.map(field => [field, previous[field]])),
+    after: Object.fromEntries(fields.map(field => [field, current[field]])),
+    requestId: req.requestId,
+  });
+
+  logger.info('[Settings] Tally settings updated', {
+    userId: req.user.businessId,
+    fields,
+  });
+
+  res.success(current);
+});
+
+/**
+ * Shape GST settings for API responses
+ */
+const formatGstSettings = settings => ({
+  gstin: settings.gstin || null,
+  gstStateCode: settings.gstStateCode || null,
+  gstStateName: GST_STATE_CODES[settings.gstStateCode] || null,
+  gstLegalName: settings.gstLegalName || null,
+  gstAddress: settings.gstAddress || null,
+  updatedAt: settings.updatedAt,
+});
+
+/**
+ * GET /api/settings/gst
+ * Get GST registration used on tax invoices
+ */
+const getGstSettings = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.getOrCreate(req.user.businessId);
+
+  res.success(formatGstSettings(settings));
+});
+
+/**
+ * PATCH /api/settings/gst
+ * Update GST registration (owner only, audited: printed on every tax invoice)
+ * The state defaults to the GSTIN's state and must match it when both are set
+ */
+const updateGstSettings = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.getOrCreate(req.user.businessId);
+  const previous = formatGstSettings(settings);
+
+  if (req.body.gstin !== undefined) {
+    settings.gstin = req.body.gstin || null;
+  }
+  if (req.body.gstStateCode !== undefined) {
+    settings.gstStateCode = req.body.gstStateCode || null;
+  }
+  if (req.body.gstLegalName !== undefined) {
+    settings.gstLegalName = req.body.gstLegalName || null;
+  }
+  if (req.body.gstAddress !== undefined) {
+    settings.gstAddress = req.body.gstAddress || null;
+  }
+
+  const gstinState = getStateCodeFromGstin(settings.gstin);
+  if (gstinState && !settings.gstStateCode) {
+    settings.gstStateCode = gstinState;
+  }
+  if (gstinState && settings.gstStateCode !== gstinState) {
+    throw new AppError('State does not match the GSTIN state code', 400, 'GST_STATE_MISMATCH');
+  }
+
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  const current = formatGstSettings(settings);
+  await createAuditEvent({
+    action: 'GST_SETTINGS_UPDATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'BUSINESS',
+    entityId: req.user.businessId,
+    businessId: req.user.businessId,
+    before: {gstin: previous.gstin, gstStateCode: previous.gstStateCode},
+    after: {gstin: current.gstin, gstStateCode: current.gstStateCode},
+    requestId: req.requestId,
+  });
+
+  logger.info('[Settings] GST settings updated', {
+    userId: req.user.businessId,
+    hasGstin: !!settings.gstin,
+  });
+
+  res.success(current);
+});
+
+/**
+ * Ladder response with the options a settings UI needs
+ */
+const formatRecoveryLadder = ladder => ({
+  ...ladder,
+  templateKeys: Object.keys(DEFAULT_TEMPLATES),
+  placeholders: RECOVERY_MESSAGE_PLACEHOLDERS,
+});
+
+/**
+ * GET /api/settings/recovery-ladder
+ * Get the active recovery escalation ladder (or ?version=N)
+ */
+const getRecoveryLadder = asyncHandler(async (req, res) => {
+  const userId = req.user.businessId;
+  const {version} = req.query;
+
+  const ladder = version === undefined
+    ? await getActiveLadder(userId)
+    : await getLadderVersion(userId, version);
+
+  if (!ladder) {
+    throw new AppError('Recovery ladder version not found', 404, 'NOT_FOUND');
+  }
+
+  res.success(formatRecoveryLadder(ladder));
+});
+
+/**
+ * PUT /api/settings/recovery-ladder
+ * Save a new recovery ladder version (owner only, audited)
+ * Customers already in recovery keep the version they started on
+ */
+const updateRecoveryLadder = asyncHandler(async (req, res) => {
+  const userId = req.user.businessId;
+  const previous = await getActiveLadder(userId);
+
+  const ladder = await saveLadder({
+    userId,
+    steps: req.body.steps,
+    actorUserId: req.user._id,
+  });
+
+  await createAuditEvent({
+    action: 'RECOVERY_LADDER_UPDATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'BUSINESS',
+    entityId: userId,
+    businessId: userId,
+    before: {version: previous.version, steps: previous.steps},
+    after: {version: ladder.version, steps: ladder.steps},
+    requestId: req.requestId,
+  });
+
+  res.success(formatRecoveryLadder(ladder));
+});
+
+/**
+ * GET /api/settings/number-series
+ * Get invoice, receipt and credit note numbering with the next number of each
+ */
+const getNumberSeries = asyncHandler(async (req, res) => {
+  const userId = req.user.businessId;
+  const series = {};
+
+  for (const type of SERIES_TYPES) {
+    series[type] = await describeSeries({userId, series: type});
+  }
+
+  res.success({financialYear: series.invoice.financialYear, series});
+});
+
+/**
+ * PATCH /api/settings/number-series/:series
+ * Update a series format and/or continue from a starting number (owner only, audited)
+ */
+const updateNumberSeries = asyncHandler(async (req, res) => {
+  const userId = req.user.businessId;
+  const {series} = req.params;
+  const {startNumber, ...format} = req.body;
+
+  const settings = await BusinessSettings.getOrCreate(userId);
+  const previous = await describeSeries({userId, series});
+
+  if (Object.keys(format).length > 0) {
+    const config = {...getSeriesConfig(settings, series), ...format};
+    validateSeriesConfig(config, previous.financialYear);
+
+    settings.set(`numberSeries.${series}`, config);
+    settings.updatedBy = req.user._id;
+    await settings.save();
+  }
+
+  const current = startNumber === undefined
+    ? await describeSeries({userId, series})
+    : await setStartingNumber({userId, series, startNumber});
+
+  await createAuditEvent({
+    action: 'NUMBER_SERIES_UPDATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'BUSINESS',
+    entityId: userId,
+    businessId: userId,
+    before: previous,
+    after: current,
+    metadata: {series},
+    requestId: req.requestId,
+  });
+
+  logger.info('[Settings] Number series updated', {userId, series, nextDocumentNo: current.nextDocumentNo});
+
+  res.success(current);
+});
+
 module.exports = {
   getSettings: exports.getSettings,
   updateSettings: exports.updateSettings,
   getInterestPolicy,
   updateInterestPolicy,
+  getUpiSettings,
+  updateUpiSettings,
+  getChequeSettings,
+  updateChequeSettings,
+  getTallySettings,
+  updateTallySettings,
+  getGstSettings,
+  updateGstSettings,
+  getRecoveryLadder,
+  updateRecoveryLadder,
+  getNumberSeries,
+  updateNumberSeries,
 };
@@ -0,0 +1,85 @@
+/**
+ * SMS Webhook Controller - provider delivery reports (DLR)
+ *
+ * Security:
+ * - Providers like MSG91 don't sign DLR callbacks; the callback URL carries a
+ *   shared token (SMS_DLR_WEBHOOK_TOKEN) as ?token=... or X-Webhook-Token
+ */
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const {getSmsConfig, isSmsConfigured} = require('../config/sms');
+const {getSmsProvider} = require('../services/sms');
+const {applyDeliveryReceipt} = require('../services/deliveryReceipt.service');
+const logger = require('../utils/logger');
+
+/**
+ * Constant-time token comparison
+ */
+const tokensMatch = (received, expected) => {
+  const a = Buffer.from(String(received || ''));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Delivery reports for sent SMS
+ *
+ * @route   POST /webhooks/sms/:provider
+ * @access  Public (shared token)
+ */
+const handleSmsDeliveryReport = asyncHandler(async (req, res) => {
+  const {provider, dlrWebhookToken} = getSmsConfig();
+
+  if (!dlrWebhookToken || !isSmsConfigured()) {
+    logger.error('[SmsWebhook] SMS provider or SMS_DLR_WEBHOOK_TOKEN not configured');
+    return res.status(500).json({
+      success: false,
+      message: 'Webhook configuration error',
+    });
+  }
+
+  if (String(req.params.provider || '').toUpperCase() !== provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown SMS provider',
+    });
+  }
+
+  const token = req.query.token || req.headers['x-webhook-token'];
+  if (!tokensMatch(token, dlrWebhookToken)) {
+    logger.warn('[SmsWebhook] Invalid webhook token received');
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+
+  const reports = getSmsProvider().parseDeliveryReports(req.body);
+  let applied = 0;
+
+  // Errors propagate (5xx) so the provider redelivers; receipts are idempotent
+  for (const report of reports) {
+    const result = await applyDeliveryReceipt(report);
+    if (result.notificationAttempt || result.messageEvent) {
+      applied++;
+    }
+  }
+
+  if (reports.length > 0) {
+    logger.info('[SmsWebhook] Delivery reports processed', {
+      provider,
+      received: reports.length,
+      applied,
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    received: reports.length,
+    applied,
+  });
+});
+
+module.exports = {
+  handleSmsDeliveryReport,
+};
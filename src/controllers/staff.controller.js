@@ -0,0 +1,143 @@
+/**
+ * Staff Controller
+ *
+ * Multi-user businesses: team members, invitations and revocation
+ */
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const StaffInvite = require('../models/StaffInvite');
+const {getSeatUsage, inviteStaff, revokeStaff} = require('../services/staff.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+const {createAuditEvent} = require('../services/auditHelper.service');
+const AppError = require('../utils/AppError');
+
+/**
+ * Shape team member for API responses
+ */
+const formatMember = (user, businessId) => ({
+  id: user._id,
+  name: user.name,
+  mobile: user.mobile,
+  role: user._id.toString() === businessId.toString() ? 'OWNER' : user.role,
+  status: user.staffStatus,
+  revokedAt: user.staffRevokedAt,
+  joinedAt: user.createdAt,
+});
+
+/**
+ * Shape invite for API responses
+ */
+const formatInvite = invite => ({
+  id: invite._id,
+  mobile: invite.mobile,
+  countryCode: invite.countryCode,
+  name: invite.name,
+  role: invite.role,
+  status: invite.status,
+  expiresAt: invite.expiresAt,
+  createdAt: invite.createdAt,
+});
+
+/**
+ * GET /api/v1/staff
+ * List team members, pending invites and seat usage
+ */
+const listStaff = asyncHandler(async (req, res) => {
+  const businessId = req.user.businessId;
+
+  const [members, invites, seats] = await Promise.all([
+    User.find({$or: [{_id: businessId}, {businessId}]})
+      .select('name mobile role staffStatus staffRevokedAt createdAt')
+      .sort({createdAt: 1})
+      .lean(),
+    StaffInvite.find({businessId, status: 'PENDING', expiresAt: {$gt: new Date()}})
+      .sort({createdAt: -1})
+      .lean(),
+    getSeatUsage(businessId),
+  ]);
+
+  res.success({
+    members: members.map(member => formatMember(member, businessId)),
+    invites: invites.map(formatInvite),
+    seats,
+  });
+});
+
+/**
+ * POST /api/v1/staff/invites
+ * Invite a staff member by mobile number (they join on OTP login)
+ */
+const createInvite = asyncHandler(async (req, res) => {
+  const {mobile, countryCode, name, role} = req.body;
+
+  const invite = await inviteStaff({
+    owner: req.user,
+    mobile,
+    countryCode,
+    name,
+    role,
+    actorRole: getUserRole(req),
+    requestId: req.requestId,
+  });
+
+  res.success({invite: formatInvite(invite)}, 201);
+});
+
+/**
+ * DELETE /api/v1/staff/invites/:inviteId
+ * Cancel a pending invite (frees the seat)
+ */
+const revokeInvite = asyncHandler(async (req, res) => {
+  const invite = await StaffInvite.findOne({
+    _id: req.params.inviteId,
+    businessId: req.user.businessId,
+  });
+
+  if (!invite) {
+    throw new AppError('Invite not found', 404, 'NOT_FOUND');
+  }
+  if (invite.status !== 'PENDING') {
+    throw new AppError(`Invite is already ${invite.status.toLowerCase()}`, 409, 'INVALID_STATE');
+  }
+
+  invite.status = 'REVOKED';
+  invite.revokedAt = new Date();
+  invite.revokedBy = req.user._id;
+  await invite.save();
+
+  await createAuditEvent({
+    action: 'STAFF_INVITE_REVOKED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'STAFF',
+    entityId: invite._id,
+    businessId: req.user.businessId,
+    metadata: {mobile: invite.mobile},
+    requestId: req.requestId,
+  });
+
+  res.success({invite: formatInvite(invite)});
+});
+
+/**
+ * POST /api/v1/staff/:userId/revoke
+ * Revoke a staff member's access to the business
+ */
+const revokeMember = asyncHandler(async (req, res) => {
+  const staff = await revokeStaff({
+    businessId: req.user.businessId,
+    staffUserId: req.params.userId,
+    actor: req.user,
+    actorRole: getUserRole(req),
+    requestId: req.requestId,
+  });
+
+  res.success({member: formatMember(staff, req.user.businessId)});
+});
+
+module.exports = {
+  listStaff,
+  createInvite,
+  revokeInvite,
+  revokeMember,
+};
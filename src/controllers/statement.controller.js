@@ -0,0 +1,60 @@
+/**
+ * Statement Controller
+ *
+ * Customer account statement (JSON / printable HTML / PDF)
+ */
+const asyncHandler = require('express-async-handler');
+const {buildCustomerStatement} = require('../services/statement.service');
+const {renderStatementHtml, renderStatementPdf} = require('../services/statementRenderer.service');
+const logger = require('../utils/logger');
+
+/**
+ * Build a download-safe file name for the statement
+ */
+const statementFileName = statement => {
+  const name = (statement.customer.name || 'customer').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+  const from = statement.period.from.toISOString().split('T')[0];
+  const to = statement.period.to.toISOString().split('T')[0];
+  return `statement-${name || 'customer'}-${from}-to-${to}.pdf`;
+};
+
+/**
+ * GET /api/customers/:id/statement?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|html|pdf
+ * Opening balance, entries with running balance, closing balance
+ */
+const getCustomerStatement = asyncHandler(async (req, res) => {
+  const {from, to, format} = req.query;
+
+  const statement = await buildCustomerStatement({
+    userId: req.user.businessId,
+    customerId: req.params.id,
+    from,
+    to,
+  });
+
+  logger.info('[Statement] Generated', {
+    customerId: req.params.id,
+    format,
+    entries: statement.entries.length,
+    requestId: req.requestId,
+  });
+
+  if (format === 'html') {
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+    return res.status(200).send(renderStatementHtml(statement));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await renderStatementPdf(statement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${statementFileName(statement)}"`);
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+    return res.status(200).send(pdf);
+  }
+
+  res.success({statement});
+});
+
+module.exports = {
+  getCustomerStatement,
+};
@@ -0,0 +1,66 @@
+/**
+ * Stock Controller
+ *
+ * Manual stock adjustments and stock history of catalog items
+ */
+const asyncHandler = require('express-async-handler');
+const stockService = require('../services/stock.service');
+const {auditUpdate} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * POST /api/items/:id/stock-adjustments
+ * Add or remove stock with a reason (audited)
+ */
+const adjustItemStock = asyncHandler(async (req, res) => {
+  const {qty, reason, note, unitCost} = req.body;
+
+  const {before, item, movement} = await stockService.adjustStock({
+    userId: req.user.businessId,
+    itemId: req.params.id,
+    qty,
+    reason,
+    note,
+    unitCost,
+    actorUserId: req.user._id,
+  });
+
+  await auditUpdate({
+    action: 'STOCK_ADJUSTED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'ITEM',
+    beforeEntity: before,
+    afterEntity: item,
+    businessId: req.user.businessId,
+    metadata: {
+      itemName: item.name,
+      qty,
+      reason,
+      note: movement.note,
+      balanceAfter: movement.balanceAfter,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({item, movement}, 201);
+});
+
+/**
+ * GET /api/items/:id/stock-movements
+ * Stock history of an item, newest first
+ */
+const listItemStockMovements = asyncHandler(async (req, res) => {
+  const result = await stockService.listStockMovements({
+    userId: req.user.businessId,
+    itemId: req.params.id,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+module.exports = {
+  adjustItemStock,
+  listItemStockMovements,
+};
@@ -0,0 +1,211 @@
+/**
+ * Supplier Controller
+ *
+ * Suppliers the business buys from, and their ledger (payables)
+ */
+const asyncHandler = require('express-async-handler');
+const Supplier = require('../models/Supplier');
+const PurchaseBill = require('../models/PurchaseBill');
+const SupplierLedgerTransaction = require('../models/SupplierLedgerTransaction');
+const AppError = require('../utils/AppError');
+const {auditCreate, auditUpdate, auditDelete} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * GET /api/suppliers
+ * Suppliers with what is owed to each
+ */
+const getSuppliers = asyncHandler(async (req, res) => {
+  const suppliers = await Supplier.find({
+    userId: req.user.businessId,
+    isDeleted: false,
+  }).sort({name: 1});
+
+  res.success(suppliers);
+});
+
+/**
+ * POST /api/suppliers
+ * Create a supplier (audited)
+ */
+const createSupplier = asyncHandler(async (req, res) => {
+  const {name, phone, gstin, address, notes, paymentTermsDays} = req.body;
+
+  const supplier = await Supplier.create({
+    userId: req.user.businessId,
+    name,
+    phone: phone || '',
+    gstin: gstin || null,
+    address: address || null,
+    notes: notes || '',
+    paymentTermsDays: paymentTermsDays ?? null,
+  });
+
+  await auditCreate({
+    action: 'SUPPLIER_CREATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'SUPPLIER',
+    entity: supplier,
+    businessId: req.user.businessId,
+    metadata: {
+      supplierName: supplier.name,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success(supplier, 201);
+});
+
+/**
+ * GET /api/suppliers/:id
+ * Supplier with its open purchase bills (oldest due first)
+ */
+const getSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findOne({
+    _id: req.params.id,
+    userId: req.user.businessId,
+    isDeleted: false,
+  });
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+  }
+
+  const openBills = await PurchaseBill.find({
+    userId: req.user.businessId,
+    supplierId: supplier._id,
+    isDeleted: false,
+    status: {$in: ['unpaid', 'partial']},
+  })
+    .sort({dueDate: 1, billDate: 1})
+    .lean();
+
+  res.success({supplier, openBills});
+});
+
+/**
+ * PUT /api/suppliers/:id
+ * Update supplier details (audited)
+ */
+const updateSupplier = asyncHandler(async (req, res) => {
+  const filter = {_id: req.params.id, userId: req.user.businessId, isDeleted: false};
+
+  const supplierBefore = await Supplier.findOne(filter);
+  if (!supplierBefore) {
+    throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+  }
+
+  const supplierAfter = await Supplier.findOneAndUpdate(filter, {$set: req.body}, {
+    new: true,
+    runValidators: true,
+  });
+
+  await auditUpdate({
+    action: 'SUPPLIER_UPDATED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'SUPPLIER',
+    beforeEntity: supplierBefore,
+    afterEntity: supplierAfter,
+    businessId: req.user.businessId,
+    requestId: req.requestId,
+  });
+
+  res.success(supplierAfter);
+});
+
+/**
+ * DELETE /api/suppliers/:id
+ * Soft-delete a supplier nothing is owed to (owner only, reason required)
+ */
+const deleteSupplier = asyncHandler(async (req, res) => {
+  const reason = req.body.reason.trim();
+
+  const supplier = await Supplier.findOne({
+    _id: req.params.id,
+    userId: req.user.businessId,
+    isDeleted: false,
+  });
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+  }
+
+  if (supplier.payableOutstanding > 0) {
+    throw new AppError(
+      `₹${supplier.payableOutstanding} is still owed to this supplier`,
+      409,
+      'SUPPLIER_HAS_PAYABLES'
+    );
+  }
+
+  supplier.isDeleted = true;
+  supplier.deletedAt = new Date();
+  supplier.deletedBy = req.user._id;
+  supplier.deleteReason = reason;
+
+  await supplier.save();
+
+  await auditDelete({
+    action: 'SUPPLIER_DELETED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'SUPPLIER',
+    entity: supplier,
+    businessId: req.user.businessId,
+    reason,
+    metadata: {
+      supplierName: supplier.name,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({
+    message: 'Supplier deleted',
+    supplierId: supplier._id,
+  });
+});
+
+/**
+ * GET /api/suppliers/:id/ledger
+ * Supplier ledger, newest first (credit: owed more, debit: owed less)
+ */
+const getSupplierLedger = asyncHandler(async (req, res) => {
+  const {page, limit} = req.query;
+
+  const supplier = await Supplier.findOne({_id: req.params.id, userId: req.user.businessId})
+    .select('name payableOutstanding')
+    .lean();
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+  }
+
+  const filter = {userId: req.user.businessId, supplierId: supplier._id};
+  const [transactions, total] = await Promise.all([
+    SupplierLedgerTransaction.find(filter)
+      .sort({createdAt: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    SupplierLedgerTransaction.countDocuments(filter),
+  ]);
+
+  res.success({
+    supplierId: supplier._id,
+    supplierName: supplier.name,
+    payableOutstanding: supplier.payableOutstanding,
+    transactions,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  });
+});
+
+module.exports = {
+  getSuppliers,
+  createSupplier,
+  getSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierLedger,
+};
@@ -0,0 +1,109 @@
+/**
+ * Supplier Payment Controller
+ *
+ * Payments made to suppliers, allocated across open purchase bills
+ */
+const asyncHandler = require('express-async-handler');
+const supplierPaymentService = require('../services/supplierPayment.service');
+const {auditCreate, auditUpdate} = require('../services/auditHelper.service');
+const {getUserRole} = require('../middleware/permission.middleware');
+
+/**
+ * POST /api/suppliers/:id/payments
+ * Record a payment made and allocate it (oldest due first, or body.allocations)
+ */
+const recordSupplierPayment = asyncHandler(async (req, res) => {
+  const {amount, allocations, mode, reference, paymentDate, note} = req.body;
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+
+  const {payment, purchaseBills, duplicate} = await supplierPaymentService.recordSupplierPayment({
+    userId: req.user.businessId,
+    supplierId: req.params.id,
+    amount,
+    allocations,
+    mode,
+    reference,
+    paymentDate,
+    note,
+    idempotencyKey,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  if (duplicate) {
+    return res.success({payment, purchaseBills, duplicate: true});
+  }
+
+  await auditCreate({
+    action: 'SUPPLIER_PAYMENT_RECORDED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'SUPPLIER_PAYMENT',
+    entity: payment,
+    businessId: req.user.businessId,
+    metadata: {
+      supplierId: payment.supplierId,
+      amount: payment.amount,
+      mode: payment.mode,
+      allocationMode: payment.allocationMode,
+      purchaseBills: payment.allocations.length,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({payment, purchaseBills, duplicate: false}, 201);
+});
+
+/**
+ * GET /api/suppliers/:id/payments
+ * Payments made to a supplier (?page, ?limit)
+ */
+const listSupplierPayments = asyncHandler(async (req, res) => {
+  const result = await supplierPaymentService.listSupplierPayments({
+    userId: req.user.businessId,
+    supplierId: req.params.id,
+    ...req.query,
+  });
+
+  res.success(result);
+});
+
+/**
+ * POST /api/suppliers/:id/payments/:paymentId/reverse
+ * Reverse a payment made (owner only): un-allocates it from its purchase bills
+ */
+const reverseSupplierPayment = asyncHandler(async (req, res) => {
+  const {payment, restoredAmount} = await supplierPaymentService.reverseSupplierPayment({
+    userId: req.user.businessId,
+    supplierId: req.params.id,
+    paymentId: req.params.paymentId,
+    reason: req.body.reason,
+    actorUserId: req.user._id,
+    requestId: req.requestId,
+  });
+
+  await auditUpdate({
+    action: 'SUPPLIER_PAYMENT_REVERSED',
+    actorUserId: req.user._id,
+    actorRole: getUserRole(req),
+    entityType: 'SUPPLIER_PAYMENT',
+    beforeEntity: {_id: payment._id, status: 'active'},
+    afterEntity: payment,
+    businessId: req.user.businessId,
+    metadata: {
+      supplierId: payment.supplierId,
+      amount: payment.amount,
+      restoredAmount,
+      reason: payment.reversalReason,
+    },
+    requestId: req.requestId,
+  });
+
+  res.success({payment, restoredAmount});
+});
+
+module.exports = {
+  recordSupplierPayment,
+  listSupplierPayments,
+  reverseSupplierPayment,
+};
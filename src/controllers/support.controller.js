@@ -16,7 +16,7 @@ const logger = require('../utils/logger');
 exports.createTicket = async (req, res, next) => {
   try {
     const {subject, message, category, priority} = req.body;
-    const userId = req.user._id;
+    const userId = req.user.businessId;
     const businessId = req.user.businessId || userId;
     
     // Create ticket
@@ -34,7 +34,7 @@ exports.createTicket = async (req, res, next) => {
     await SupportTicketMessage.create({
       ticketId: ticket._id,
       senderType: 'CUSTOMER',
-      senderUserId: userId,
+      senderUserId: req.user._id,
       senderName: req.user.businessName || req.user.phone,
       message,
       isInternal: false,
@@ -63,7 +63,7 @@ exports.createTicket = async (req, res, next) => {
  */
 exports.getUserTickets = async (req, res, next) => {
   try {
-    const userId = req.user._id;
+    const userId = req.user.businessId;
     const {status, limit = 20} = req.query;
     
     const query = {userId};
@@ -92,7 +92,7 @@ exports.getUserTickets = async (req, res, next) => {
 exports.getTicketDetails = async (req, res, next) => {
   try {
     const {id} = req.params;
-    const userId = req.user._id;
+    const userId = req.user.businessId;
     
     // Get ticket
     const ticket = await SupportTicket.findOne({
@@ -131,7 +131,7 @@ exports.addTicketMessage = async (req, res, next) => {
   try {
     const {id} = req.params;
     const {message} = req.body;
-    const userId = req.user._id;
+    const userId = req.user.businessId;
     
     // Verify ticket exists and belongs to user
     const ticket = await SupportTicket.findOne({
@@ -147,7 +147,7 @@ exports.addTicketMessage = async (req, res, next) => {
     const ticketMessage = await SupportTicketMessage.create({
       ticketId: id,
       senderType: 'CUSTOMER',
-      senderUserId: userId,
+      senderUserId: req.user._id,
       senderName: req.user.businessName || req.user.phone,
       message,
       isInternal: false,
@@ -17,6 +17,7 @@ const Notification = require('../models/Notification');
 const NotificationAttempt = require('../models/NotificationAttempt');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
+const {computePayablesSummary} = require('../services/payables.service');
 const {TODAY_UPCOMING_DAYS} = require('../config/app.config');
 const {
   getNowIST,
@@ -30,9 +31,12 @@ const {
 /**
  * Get money-at-risk summary
  * GET /api/v1/today/summary?date=YYYY-MM-DD
+ *
+ * Includes what is owed to suppliers (payables) and the net position:
+ * total receivable - total payable
  */
 const getTodaySummary = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const dateParam = req.query.date; // Optional YYYY-MM-DD
   
   // CRITICAL: Use IST for all day boundaries
@@ -56,6 +60,9 @@ const getTodaySummary = asyncHandler(async (req, res) => {
   // Compute chase counts
   const chaseCounts = await computeChaseCounts(userId, todayStartIST, todayEndIST, nowIST);
   
+  // Payables (open purchase bills) for the same day
+  const payables = await computePayablesSummary(userId, todayStartIST, todayEndIST);
+  
   res.success({
     date: todayStartIST.toISOString().split('T')[0],
     moneyAtRisk: {
@@ -70,10 +77,19 @@ const getTodaySummary = asyncHandler(async (req, res) => {
       followUpsDueToday: chaseCounts.followUpsDueToday,
       totalChaseItems: chaseCounts.totalChaseItems,
     },
+    payables: {
+      totalPayable: payables.totalPayable,
+      overduePayable: payables.overduePayable,
+      dueTodayPayable: payables.dueTodayPayable,
+      overdueBills: payables.overdueBills,
+      dueTodayBills: payables.dueTodayBills,
+    },
+    // Positive: customers owe us more than we owe suppliers
+    netPosition: Math.round((receivable.total - payables.totalPayable) * 100) / 100,
     meta: {
       computedAt: nowIST.toISOString(),
       timezone: 'Asia/Kolkata',
-      sources: ['Bills', 'Promises', 'FollowUps'],
+      sources: ['Bills', 'Promises', 'FollowUps', 'PurchaseBills'],
       requestId: req.requestId,
     },
   });
@@ -87,7 +103,7 @@ const getTodaySummary = asyncHandler(async (req, res) => {
  * No separate counting logic exists.
  */
 const getDailyChaseList = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const userId = req.user.businessId;
   const dateParam = req.query.date;
   const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
   
@@ -410,6 +426,25 @@ const getDailyChaseList = asyncHandler(async (req, res) => {
     }
   }
   
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STEP 6.6: Public statement link per customer (default WhatsApp reminder link)
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  let statementUrls = new Map();
+  try {
+    const {ensureStatementShareUrls} = require('../services/customerShare.service');
+    statementUrls = await ensureStatementShareUrls(userId, limitedCustomers.map(c => c.customerId));
+  } catch (linkError) {
+    logger.warn('[Today] Statement links unavailable', {
+      requestId: req.requestId,
+      error: linkError.message,
+    });
+  }
+  
+  for (const customer of limitedCustomers) {
+    customer.statementUrl = statementUrls.get(customer.customerId.toString()) || null;
+  }
+  
   // ═══════════════════════════════════════════════════════════════════════════
   // STEP 7: Generate backward-compatible chaseItems[] (DEPRECATED)
   // ═══════════════════════════════════════════════════════════════════════════
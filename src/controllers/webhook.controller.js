@@ -11,6 +11,8 @@
  * Events Handled:
  * - payment.captured (one-time payment)
  * - subscription.activated (recurring subscription)
+ * - payment_link.paid (customer paid a bill/outstanding payment link)
+ * - payment_link.cancelled / payment_link.expired
  */
 
 const asyncHandler = require('express-async-handler');
@@ -20,7 +22,9 @@ const {
   verifyWebhookSignature,
   extractPaymentDetails,
   validatePaymentDetails,
+  extractPaymentLinkDetails,
 } = require('../utils/razorpayWebhook');
+const {settlePaymentLink, closePaymentLink, fromPaise} = require('../services/paymentLink.service');
 
 /**
  * Handle Razorpay webhook events
@@ -30,7 +34,7 @@ const {
  * @route   POST /webhooks/razorpay
  * @access  Public (with signature verification)
  */
-const handleRazorpayWebhook = asyncHandler(async (req, res) => {
+const handleRazorpayWebhook = asyncHandler(async (req, res, next) => {
   const signature = req.headers['x-razorpay-signature'];
   const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
   
@@ -58,6 +62,14 @@ const handleRazorpayWebhook = asyncHandler(async (req, res) => {
   console.log(`[Webhook] Received event: ${event}`);
   
   // Step 3: Handle supported events
+  if (event === 'payment.captured' && req.body.payload?.payment?.entity?.notes?.paymentLinkId) {
+    // Customer payment via a bill payment link: settled on payment_link.paid
+    return res.status(200).json({
+      success: true,
+      message: 'Event ignored (payment link payment)',
+    });
+  }
+
   if (event === 'payment.captured') {
     return handlePaymentCaptured(req, res);
   }
@@ -65,6 +77,14 @@ const handleRazorpayWebhook = asyncHandler(async (req, res) => {
   if (event === 'subscription.activated') {
     return handleSubscriptionActivated(req, res);
   }
+
+  if (event === 'payment_link.paid') {
+    return handlePaymentLinkPaid(req, res, next);
+  }
+
+  if (event === 'payment_link.cancelled' || event === 'payment_link.expired') {
+    return handlePaymentLinkClosed(req, res, next);
+  }
   
   // Step 4: Ignore unsupported events (but return 200 OK)
   console.log(`[Webhook] Ignoring unsupported event: ${event}`);
@@ -186,6 +206,67 @@ const handleSubscriptionActivated = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Handle payment_link.paid event
+ * Applies the payment to the customer's bills (idempotent on payment id)
+ */
+const handlePaymentLinkPaid = asyncHandler(async (req, res) => {
+  const details = extractPaymentLinkDetails(req.body);
+
+  if (!details || !details.paymentLinkId || !details.paymentId) {
+    console.error('[Webhook] Invalid payment_link.paid payload');
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid payload structure',
+    });
+  }
+
+  console.log(`[Webhook] Processing payment_link.paid: ${details.paymentId} for link ${details.paymentLinkId}`);
+
+  // Errors propagate: 409 (settlement in progress) / 5xx make Razorpay retry
+  const {result, link} = await settlePaymentLink({
+    providerLinkId: details.paymentLinkId,
+    providerPaymentId: details.paymentId,
+    amountPaid: fromPaise(details.paymentAmount ?? details.amountPaid),
+    method: details.method,
+    requestId: req.requestId,
+  });
+
+  const messages = {
+    applied: 'Payment applied',
+    duplicate: 'Payment already processed',
+    ignored: 'Event ignored',
+  };
+
+  return res.status(200).json({
+    success: true,
+    message: messages[result],
+    paymentLinkId: link?._id,
+  });
+});
+
+/**
+ * Handle payment_link.cancelled / payment_link.expired events
+ */
+const handlePaymentLinkClosed = asyncHandler(async (req, res) => {
+  const details = extractPaymentLinkDetails(req.body);
+
+  if (!details || !details.paymentLinkId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid payload structure',
+    });
+  }
+
+  const status = req.body.event === 'payment_link.cancelled' ? 'cancelled' : 'expired';
+  const closed = await closePaymentLink({providerLinkId: details.paymentLinkId, status});
+
+  return res.status(200).json({
+    success: true,
+    message: closed ? `Payment link ${status}` : 'Event ignored',
+  });
+});
+
 module.exports = {
   handleRazorpayWebhook,
 };
@@ -0,0 +1,93 @@
+/**
+ * WhatsApp Webhook Controller - Cloud API delivery receipts
+ *
+ * Security:
+ * - Subscription handshake checks WHATSAPP_WEBHOOK_VERIFY_TOKEN
+ * - Receipts require a valid X-Hub-Signature-256 (WHATSAPP_APP_SECRET)
+ */
+const asyncHandler = require('express-async-handler');
+const {getWhatsAppConfig} = require('../config/whatsapp');
+const {
+  verifyWhatsAppSignature,
+  parseStatusWebhook,
+  applyStatusReceipt,
+} = require('../services/whatsapp/whatsappStatus.service');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook subscription handshake
+ *
+ * @route   GET /webhooks/whatsapp
+ * @access  Public (verify token)
+ */
+const verifyWhatsAppWebhook = (req, res) => {
+  const {verifyToken} = getWhatsAppConfig();
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && verifyToken && token === verifyToken) {
+    return res.status(200).type('text/plain').send(String(challenge || ''));
+  }
+
+  logger.warn('[WhatsAppWebhook] Subscription verification failed', {mode});
+  return res.status(403).json({
+    success: false,
+    message: 'Verification failed',
+  });
+};
+
+/**
+ * Message status receipts (sent/delivered/read/failed)
+ *
+ * @route   POST /webhooks/whatsapp
+ * @access  Public (with signature verification)
+ */
+const handleWhatsAppWebhook = asyncHandler(async (req, res) => {
+  const {appSecret} = getWhatsAppConfig();
+
+  if (!appSecret) {
+    logger.error('[WhatsAppWebhook] WHATSAPP_APP_SECRET not configured');
+    return res.status(500).json({
+      success: false,
+      message: 'Webhook configuration error',
+    });
+  }
+
+  if (!verifyWhatsAppSignature(req.rawBody, req.headers['x-hub-signature-256'], appSecret)) {
+    logger.warn('[WhatsAppWebhook] Invalid signature received');
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature',
+    });
+  }
+
+  const receipts = parseStatusWebhook(req.body);
+  let applied = 0;
+
+  // Errors propagate (5xx) so Meta redelivers; receipts are idempotent
+  for (const receipt of receipts) {
+    const result = await applyStatusReceipt(receipt);
+    if (result.notificationAttempt || result.messageEvent) {
+      applied++;
+    }
+  }
+
+  if (receipts.length > 0) {
+    logger.info('[WhatsAppWebhook] Status receipts processed', {
+      received: receipts.length,
+      applied,
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    received: receipts.length,
+    applied,
+  });
+});
+
+module.exports = {
+  verifyWhatsAppWebhook,
+  handleWhatsAppWebhook,
+};
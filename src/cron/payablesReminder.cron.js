@@ -0,0 +1,52 @@
+/**
+ * Payables Reminder Cron
+ *
+ * Reminds owners of supplier bills overdue or falling due soon (payables.service)
+ * Runs daily at 09:00 IST (03:30 UTC)
+ *
+ * Safe on several instances: one reminder per business per day (notification idempotency key)
+ */
+const cron = require('node-cron');
+const {runPayablesDueReminders} = require('../services/payables.service');
+const logger = require('../utils/logger');
+
+let cronJob = null;
+
+/**
+ * Start payables reminder cron
+ */
+function startPayablesReminderCron() {
+  // Prevent multiple instances
+  if (cronJob) {
+    logger.warn('[PayablesReminderCron] Cron already running');
+    return;
+  }
+
+  // Run daily at 09:00 IST (03:30 UTC): '30 3 * * *'
+  cronJob = cron.schedule('30 3 * * *', async () => {
+    logger.info('[PayablesReminderCron] Cron triggered');
+    try {
+      await runPayablesDueReminders({requestId: `payables_cron_${Date.now()}`});
+    } catch (error) {
+      logger.error('[PayablesReminderCron] Cron execution failed', error);
+    }
+  });
+
+  logger.info('[PayablesReminderCron] Started (daily at 09:00 IST)');
+}
+
+/**
+ * Stop payables reminder cron
+ */
+function stopPayablesReminderCron() {
+  if (cronJob) {
+    cronJob.stop();
+    cronJob = null;
+    logger.info('[PayablesReminderCron] Stopped');
+  }
+}
+
+module.exports = {
+  startPayablesReminderCron,
+  stopPayablesReminderCron,
+};
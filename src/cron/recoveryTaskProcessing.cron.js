@@ -18,8 +18,9 @@
  * 1. Acquire distributed lock (atomic findOneAndUpdate)
  * 2. If lock not acquired → skip (another instance is processing)
  * 3. Find all pending recovery tasks due now (dueAt <= nowIST)
+ *    (call steps are worked manually by the owner, not delivered)
  * 4. For each task:
- *    a. Create delivery attempt (WHATSAPP/SMS based on settings)
+ *    a. Create delivery attempt (WHATSAPP/SMS per the ladder step's channel)
  *    b. Mark task as processing (to prevent double-processing)
  * 5. Release lock
  * 6. Worker will pick up delivery attempts and send
@@ -191,6 +192,7 @@ async function processRecoveryTasks() {
       status: 'pending',
       dueAt: {$lte: nowIST},
       source: {$regex: /^AUTO_RECOVERY_/},
+      channel: {$ne: 'call'},
       isDeleted: {$ne: true},
     })
       .sort({dueAt: 1}) // Oldest first
@@ -215,8 +217,7 @@ async function processRecoveryTasks() {
     
     for (const task of dueTasks) {
       try {
-        // Determine channel (prefer WHATSAPP, fallback to SMS)
-        // TODO: Read from settings when implemented
+        // Channel comes from the escalation ladder step the task was planned from
         const channel = task.channel || 'whatsapp';
         const channelUpper = channel.toUpperCase();
         
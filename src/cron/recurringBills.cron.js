@@ -0,0 +1,54 @@
+/**
+ * Recurring Bills Cron
+ *
+ * Turns due recurring bill templates into bills (recurringBill.service)
+ * and notifies each owner with a summary
+ * Runs daily at 06:00 IST (00:30 UTC)
+ *
+ * Safe on several instances: each occurrence is billed at most once
+ * (bill idempotency key + guarded template update)
+ */
+const cron = require('node-cron');
+const {runDueRecurringBills} = require('../services/recurringBill.service');
+const logger = require('../utils/logger');
+
+let cronJob = null;
+
+/**
+ * Start recurring bills cron
+ */
+function startRecurringBillsCron() {
+  // Prevent multiple instances
+  if (cronJob) {
+    logger.warn('[RecurringBillsCron] Cron already running');
+    return;
+  }
+
+  // Run daily at 06:00 IST (00:30 UTC): '30 0 * * *'
+  cronJob = cron.schedule('30 0 * * *', async () => {
+    logger.info('[RecurringBillsCron] Cron triggered');
+    try {
+      await runDueRecurringBills({requestId: `recurring_cron_${Date.now()}`});
+    } catch (error) {
+      logger.error('[RecurringBillsCron] Cron execution failed', error);
+    }
+  });
+
+  logger.info('[RecurringBillsCron] Started (daily at 06:00 IST)');
+}
+
+/**
+ * Stop recurring bills cron
+ */
+function stopRecurringBillsCron() {
+  if (cronJob) {
+    cronJob.stop();
+    cronJob = null;
+    logger.info('[RecurringBillsCron] Stopped');
+  }
+}
+
+module.exports = {
+  startRecurringBillsCron,
+  stopRecurringBillsCron,
+};
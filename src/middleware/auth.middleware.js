@@ -39,17 +39,51 @@ const protect = asyncHandler(async (req, res, next) => {
     if (!req.user) {
       throw new AppError('User not found', 404, 'USER_NOT_FOUND');
     }
-
-    // Check plan expiry (trial → free, pro → free if subscription expired)
-    await checkPlanExpiry(req, res, () => {});
-
-    next();
   } catch (error) {
     logger.warn('Token verification failed', {
       error: error.message,
     });
     throw new AppError('Not authorized, token failed', 401, 'INVALID_TOKEN');
   }
+
+  await resolveBusiness(req);
+
+  // Check plan expiry (trial → free, pro → free if subscription expired)
+  // Plan belongs to the business owner, so staff are checked against the owner
+  await checkPlanExpiry({user: req.businessOwner}, res, () => {});
+
+  next();
 });
 
-module.exports = {protect};
+/**
+ * Resolve the business the authenticated user acts for
+ *
+ * Sets req.user.businessId (owner user id; all data is scoped by it) and
+ * req.businessOwner (owner account that holds plan and entitlements).
+ * Revoked staff are rejected here so their tokens stop working immediately.
+ */
+const resolveBusiness = async req => {
+  const user = req.user;
+
+  // Accounts created before staff support have no businessId: they own their data
+  if (!user.businessId) {
+    user.businessId = user._id;
+  }
+
+  if (!user.isStaffMember()) {
+    req.businessOwner = user;
+    return;
+  }
+
+  if (user.staffStatus === 'REVOKED') {
+    throw new AppError('Your access to this business has been revoked', 401, 'ACCESS_REVOKED');
+  }
+
+  req.businessOwner = await User.findById(user.businessId).select('-password');
+
+  if (!req.businessOwner) {
+    throw new AppError('Business not found', 401, 'BUSINESS_NOT_FOUND');
+  }
+};
+
+module.exports = {protect, resolveBusiness};
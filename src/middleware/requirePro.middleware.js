@@ -28,7 +28,8 @@ const requirePro = asyncHandler(async (req, res, next) => {
     throw new AppError('Authentication required', 401, 'UNAUTHORIZED');
   }
 
-  const planStatus = req.user.planStatus;
+  // Staff inherit the plan of the business owner
+  const planStatus = (req.businessOwner || req.user).planStatus;
 
   // Pro users: allowed
   if (planStatus === 'pro') {
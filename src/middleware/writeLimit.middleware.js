@@ -26,11 +26,14 @@ const checkWriteLimit = asyncHandler(async (req, res, next) => {
     throw new AppError('Authentication required', 401, 'UNAUTHORIZED');
   }
   
+  // Limits belong to the business: staff writes count against the owner's plan
+  const planUser = req.businessOwner || req.user;
+  
   // Step 1: Ensure daily counter is reset if new day
-  await req.user.ensureDailyWriteCounter();
+  await planUser.ensureDailyWriteCounter();
   
   // Step 2: Check if user can write
-  const writeCheck = req.user.canWrite();
+  const writeCheck = planUser.canWrite();
   
   if (!writeCheck.allowed) {
     // User exceeded limit - return 403 with details
@@ -41,22 +44,22 @@ const checkWriteLimit = asyncHandler(async (req, res, next) => {
       limit: writeCheck.limit,
       resetAt: writeCheck.resetAt,
       meta: {
-        planStatus: req.user.planStatus,
-        dailyWriteCount: req.user.dailyWriteCount,
-        dailyWriteDate: req.user.dailyWriteDate,
+        planStatus: planUser.planStatus,
+        dailyWriteCount: planUser.dailyWriteCount,
+        dailyWriteDate: planUser.dailyWriteDate,
       },
     });
   }
   
   // Step 3: User can write - increment counter (optimistic)
   // We increment NOW so concurrent requests don't bypass the limit
-  await req.user.incrementWriteCount();
+  await planUser.incrementWriteCount();
   
   // Attach write metadata to request for logging/analytics
   req.writeMetadata = {
-    planStatus: req.user.planStatus,
-    writeNumber: req.user.dailyWriteCount,
-    writeDate: req.user.dailyWriteDate,
+    planStatus: planUser.planStatus,
+    writeNumber: planUser.dailyWriteCount,
+    writeDate: planUser.dailyWriteDate,
   };
   
   // Allow request to proceed
@@ -68,10 +71,11 @@ const checkWriteLimit = asyncHandler(async (req, res, next) => {
  * Use this in error handlers if you want to refund failed writes
  */
 const rollbackWriteCount = asyncHandler(async (req) => {
-  if (req.user && req.writeMetadata) {
-    req.user.dailyWriteCount = Math.max(0, req.user.dailyWriteCount - 1);
-    await req.user.save();
-    console.log(`[WriteLimit] Rolled back write count for user ${req.user._id}`);
+  const planUser = req.businessOwner || req.user;
+  if (planUser && req.writeMetadata) {
+    planUser.dailyWriteCount = Math.max(0, planUser.dailyWriteCount - 1);
+    await planUser.save();
+    console.log(`[WriteLimit] Rolled back write count for user ${planUser._id}`);
   }
 });
 
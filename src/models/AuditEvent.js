@@ -50,11 +50,42 @@ const auditEventSchema = new mongoose.Schema(
         'BILL_UPDATED',
         'BILL_DELETED',
         'BILL_STATUS_CHANGED',
+        'CREDIT_NOTE_ISSUED',
+
+        // Customer Payments
+        'PAYMENT_RECORDED',
+        'PAYMENT_REVERSED',
+        'CHEQUE_STATUS_CHANGED',
+        'CREDIT_BALANCE_REFUNDED',
+
+        // Stock
+        'STOCK_ADJUSTED',
+
+        // Recurring Bills
+        'RECURRING_BILL_CREATED',
+        'RECURRING_BILL_UPDATED',
+        'RECURRING_BILL_STATUS_CHANGED',
         
         // Customer Operations (Step 5)
         'CUSTOMER_CREATED',
         'CUSTOMER_UPDATED',
         'CUSTOMER_DELETED',
+
+        // Suppliers and Payables
+        'SUPPLIER_CREATED',
+        'SUPPLIER_UPDATED',
+        'SUPPLIER_DELETED',
+        'PURCHASE_BILL_CREATED',
+        'PURCHASE_BILL_DELETED',
+        'SUPPLIER_PAYMENT_RECORDED',
+        'SUPPLIER_PAYMENT_REVERSED',
+
+        // Cash Book
+        'EXPENSE_RECORDED',
+        'EXPENSE_DELETED',
+        'DAY_CLOSED',
+        'OPENING_BALANCE_SET',
+        'OPENING_BALANCE_UPDATED',
         
         // Follow-Up Operations (Step 5)
         'FOLLOWUP_CREATED',
@@ -68,6 +99,26 @@ const auditEventSchema = new mongoose.Schema(
         'PROMISE_UPDATED',
         'PROMISE_CANCELLED',
         'PROMISE_BROKEN',         // Step 6: Promise marked as broken
+        
+        // Backup & Restore (Step 10)
+        'BACKUP_EXPORTED',
+        'BACKUP_RESTORED',
+        
+        // Staff Accounts
+        'STAFF_INVITED',
+        'STAFF_INVITE_REVOKED',
+        'STAFF_JOINED',
+        'STAFF_REVOKED',
+        
+        // Payment & Tax Settings
+        'UPI_SETTINGS_UPDATED',
+        'GST_SETTINGS_UPDATED',
+        'NUMBER_SERIES_UPDATED',
+        'CHEQUE_SETTINGS_UPDATED',
+        'TALLY_SETTINGS_UPDATED',
+        
+        // Recovery Settings
+        'RECOVERY_LADDER_UPDATED',
       ],
       required: true,
       index: true,
@@ -76,7 +127,7 @@ const auditEventSchema = new mongoose.Schema(
     // What entity was affected
     entityType: {
       type: String,
-      enum: ['CUSTOMER', 'BILL', 'LEDGER', 'FOLLOWUP', 'RECOVERY', 'PROMISE', 'RECOVERY_CASE'],
+      enum: ['CUSTOMER', 'BILL', 'CREDIT_NOTE', 'PAYMENT', 'REFUND', 'RECURRING_BILL', 'ITEM', 'SUPPLIER', 'PURCHASE_BILL', 'SUPPLIER_PAYMENT', 'EXPENSE', 'DAY_CLOSE', 'LEDGER', 'FOLLOWUP', 'RECOVERY', 'PROMISE', 'RECOVERY_CASE', 'BUSINESS', 'STAFF'],
       required: true,
     },
     
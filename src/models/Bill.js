@@ -27,8 +27,65 @@ const billItemSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  // GST (tax invoices only)
+  hsnCode: {
+    type: String,
+    default: null,
+  },
+  gstRate: {
+    type: Number,
+    default: null,
+  },
+  taxableValue: {
+    type: Number,
+    default: null,
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+  },
+  igst: {
+    type: Number,
+    default: 0,
+  },
 });
 
+/**
+ * GST snapshot taken when a tax invoice is issued (later settings changes
+ * don't alter issued invoices)
+ */
+const billGstSchema = new mongoose.Schema({
+  isTaxInvoice: {
+    type: Boolean,
+    default: false,
+  },
+  supplierGstin: String,
+  supplierLegalName: String,
+  supplierAddress: String,
+  supplierStateCode: String,
+  customerGstin: String,
+  customerAddress: String,
+  placeOfSupply: String,
+  supplyType: {
+    type: String,
+    enum: ['INTRA_STATE', 'INTER_STATE'],
+  },
+  stateTaxName: {
+    type: String,
+    enum: ['SGST', 'UTGST'],
+    default: 'SGST',
+  },
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  totalTax: Number,
+}, {_id: false});
+
 const billSchema = new mongoose.Schema(
   {
     userId: {
@@ -73,6 +130,11 @@ const billSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Present only for GST tax invoices (tax = gst.totalTax)
+    gst: {
+      type: billGstSchema,
+      default: null,
+    },
     grandTotal: {
       type: Number,
       required: true,
@@ -103,6 +165,29 @@ const billSchema = new mongoose.Schema(
       default: null,
       sparse: true,
     },
+    // Amendment version (prior versions are kept in BillVersion)
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    amendedAt: {
+      type: Date,
+      default: null,
+    },
+    // Total of credit notes issued against this bill (the part that settled
+    // the bill is included in paidAmount, see CreditNote.appliedAmount)
+    creditedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Recurring bill template that generated this bill (null: entered by hand)
+    recurringBillId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringBill',
+      default: null,
+    },
     
     // Soft Delete (Step 5: Staff Accountability)
     isDeleted: {
@@ -138,6 +223,7 @@ billSchema.index({userId: 1, createdAt: -1}); // Default sort by date
 billSchema.index({userId: 1, status: 1, createdAt: -1}); // Filter by status + date
 billSchema.index({userId: 1, customerId: 1, createdAt: -1}); // Filter by customer + date
 billSchema.index({userId: 1, dueDate: 1}); // For overdue queries
+billSchema.index({userId: 1, recurringBillId: 1, createdAt: -1}); // Bills of a recurring template
 
 // Compute status based on paid amount
 billSchema.methods.computeStatus = function () {
@@ -0,0 +1,69 @@
+/**
+ * BillVersion Model
+ *
+ * Immutable snapshot of a bill as it was before an amendment (PATCH /api/bills/:id).
+ * Bill.version is the current version; versions 1..(current - 1) live here.
+ */
+const mongoose = require('mongoose');
+
+const billVersionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Amended fields as they were in this version
+    items: {
+      type: [mongoose.Schema.Types.Mixed],
+      required: true,
+    },
+    subTotal: Number,
+    discount: Number,
+    tax: Number,
+    gst: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    grandTotal: Number,
+    paidAmount: Number,
+    dueDate: Date,
+    notes: String,
+    // When this version was issued (bill creation or the amendment that produced it)
+    validFrom: Date,
+    // Amendment that replaced this version
+    amendedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    amendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    amendReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One snapshot per (bill, version); a concurrent amendment of the same version fails here
+billVersionSchema.index({billId: 1, version: 1}, {unique: true});
+
+const BillVersion = mongoose.model('BillVersion', billVersionSchema);
+
+module.exports = BillVersion;
@@ -5,6 +5,79 @@
  * Step 8: Interest Calculation + Financial Year
  */
 const mongoose = require('mongoose');
+const {SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE} = require('../services/i18n');
+
+/**
+ * Document number format for one series (null = series default, see numberSeries.service)
+ * {FY} in the prefix/suffix is replaced by the financial year (e.g. 2026-27)
+ */
+const numberSeriesSchema = new mongoose.Schema(
+  {
+    prefix: {
+      type: String,
+      trim: true,
+      maxlength: 16,
+      default: null,
+    },
+    suffix: {
+      type: String,
+      trim: true,
+      maxlength: 16,
+      default: null,
+    },
+    padding: {
+      type: Number,
+      min: 1,
+      max: 9,
+      default: null,
+    },
+    // Restart at 1 every financial year (needs {FY} so numbers stay unique)
+    resetYearly: {
+      type: Boolean,
+      default: null,
+    },
+  },
+  {_id: false}
+);
+
+// Tally ledger name (must match the ledger in the accountant's Tally company)
+const tallyLedgerName = defaultName => ({
+  type: String,
+  trim: true,
+  maxlength: 100,
+  default: defaultName,
+});
+
+/**
+ * Tally XML export (see tallyExport.service)
+ */
+const tallySettingsSchema = new mongoose.Schema(
+  {
+    // Company the vouchers are imported into (null: the company open in Tally)
+    companyName: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: null,
+    },
+    salesLedger: tallyLedgerName('Sales'),
+    cgstLedger: tallyLedgerName('Output CGST'),
+    sgstLedger: tallyLedgerName('Output SGST'),
+    igstLedger: tallyLedgerName('Output IGST'),
+    // Tax on bills that aren't GST tax invoices
+    otherTaxLedger: tallyLedgerName('Output Tax'),
+    roundOffLedger: tallyLedgerName('Round Off'),
+    cashLedger: tallyLedgerName('Cash'),
+    // UPI, bank transfer, cheque and card receipts
+    bankLedger: tallyLedgerName('Bank'),
+    // Start of the last export: a changes-only export sends what changed after it
+    lastExportedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {_id: false}
+);
 
 const businessSettingsSchema = new mongoose.Schema(
   {
@@ -68,6 +141,71 @@ const businessSettingsSchema = new mongoose.Schema(
       max: 12,
     },
     
+    // Default language for customer reminders, notifications and shared bills
+    language: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      default: DEFAULT_LANGUAGE,
+    },
+    
+    // UPI payments (payee for upi://pay links and QR codes)
+    upiVpa: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    upiPayeeName: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: null,
+    },
+
+    // Cheques: charge booked to the customer when their cheque bounces (0 = none)
+    chequeBounceCharge: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    
+    // GST registration (tax invoices; validated in settings.validator)
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    gstStateCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    gstLegalName: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: null,
+    },
+    gstAddress: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+
+    // Document number series (counters live in DocumentCounter)
+    numberSeries: {
+      invoice: {type: numberSeriesSchema, default: () => ({})},
+      receipt: {type: numberSeriesSchema, default: () => ({})},
+      creditNote: {type: numberSeriesSchema, default: () => ({})},
+    },
+
+    // Tally export: ledger names and last export
+    tally: {
+      type: tallySettingsSchema,
+      default: () => ({}),
+    },
+    
     // Step 11: Plan & Billing
     planName: {
       type: String,
@@ -78,6 +216,12 @@ const businessSettingsSchema = new mongoose.Schema(
       type: Number,
       default: 2, // 1 owner + 1 staff
     },
+    // Seats held by staff invites still being created (see staff.service inviteStaff)
+    staffSeatHolds: {
+      type: [{at: {type: Date, required: true}}],
+      default: undefined,
+      select: false,
+    },
     premiumInsightsEnabled: {
       type: Boolean,
       default: false,
@@ -119,6 +263,12 @@ const businessSettingsSchema = new mongoose.Schema(
       min: 0,
       max: 365,
     },
+    // Active RecoveryLadder version (0 = built-in Day 0/3/7 ladder)
+    recoveryLadderVersion: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     escalationDays: {
       type: Number,
       default: 7,
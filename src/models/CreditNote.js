@@ -0,0 +1,209 @@
+/**
+ * CreditNote Model
+ *
+ * Credit note / sales return issued against a bill. Lines point at the bill
+ * lines they return (billLineId) with the quantity returned; values are the
+ * bill line's value for that quantity (discount and tax included pro rata).
+ *
+ * Up to the bill's pending amount the credit settles the bill (appliedAmount,
+ * counted in Bill.paidAmount); anything above that is owed back to the customer
+ * (unappliedAmount, part of Customer.advanceBalance) until it is adjusted
+ * against their next bills or refunded.
+ */
+const mongoose = require('mongoose');
+
+const creditNoteItemSchema = new mongoose.Schema({
+  billLineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    default: null,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // qty x price (before discount and tax)
+  total: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // GST (credit notes against tax invoices only)
+  hsnCode: {
+    type: String,
+    default: null,
+  },
+  gstRate: {
+    type: Number,
+    default: null,
+  },
+  taxableValue: {
+    type: Number,
+    default: null,
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+  },
+  igst: {
+    type: Number,
+    default: 0,
+  },
+}, {_id: false});
+
+const advanceAdjustmentSchema = new mongoose.Schema({
+  billId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true,
+  },
+  billNo: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {_id: false});
+
+const creditNoteSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      required: true,
+    },
+    // Original bill number and date (printed on the credit note)
+    billNo: {
+      type: String,
+      required: true,
+    },
+    billDate: {
+      type: Date,
+      required: true,
+    },
+    creditNoteNo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    items: {
+      type: [creditNoteItemSchema],
+      required: true,
+      validate: {
+        validator: items => items && items.length > 0,
+        message: 'Credit note must have at least one item',
+      },
+    },
+    subTotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Bill GST snapshot with this note's taxable value and tax (tax invoices only)
+    gst: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    grandTotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Part of grandTotal that settled the bill's pending amount
+    appliedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Part of grandTotal held for the customer (advance)
+    unappliedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Later bills the unapplied part was adjusted against
+    adjustments: {
+      type: [advanceAdjustmentSchema],
+      default: [],
+    },
+    // Unapplied part paid back to the customer
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    idempotencyKey: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+creditNoteSchema.index({userId: 1, creditNoteNo: 1}, {unique: true});
+creditNoteSchema.index({userId: 1, billId: 1});
+creditNoteSchema.index({userId: 1, customerId: 1, createdAt: -1});
+creditNoteSchema.index({userId: 1, createdAt: -1});
+creditNoteSchema.index(
+  {userId: 1, idempotencyKey: 1},
+  {unique: true, partialFilterExpression: {idempotencyKey: {$type: 'string'}}}
+);
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+module.exports = CreditNote;
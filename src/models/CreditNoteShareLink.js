@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Public share link for a credit note (counterpart of BillShareLink)
+ */
+const creditNoteShareLinkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    creditNoteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditNote',
+      required: true,
+      index: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'revoked'],
+      default: 'active',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    lastAccessAt: {
+      type: Date,
+      default: null,
+    },
+    accessCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: false, // We manage createdAt manually
+  },
+);
+
+// Compound index for quick lookups
+creditNoteShareLinkSchema.index({userId: 1, creditNoteId: 1, status: 1});
+
+const CreditNoteShareLink = mongoose.model('CreditNoteShareLink', creditNoteShareLinkSchema);
+
+module.exports = CreditNoteShareLink;
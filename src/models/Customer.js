@@ -2,6 +2,7 @@
  * Customer model
  */
 const mongoose = require('mongoose');
+const {SUPPORTED_LANGUAGES} = require('../services/i18n');
 
 const customerSchema = new mongoose.Schema(
   {
@@ -20,6 +21,31 @@ const customerSchema = new mongoose.Schema(
       trim: true,
       default: '',
     },
+    // Language for reminders and shared bills (null = business language)
+    preferredLanguage: {
+      type: String,
+      enum: [...SUPPORTED_LANGUAGES, null],
+      default: null,
+    },
+    
+    // GST (tax invoices): recipient GSTIN and place of supply state code
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    placeOfSupply: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    billingAddress: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
     
     // Credit Limit Control (Step 4: Hard Control - Rockefeller-grade atomic enforcement)
     creditLimitEnabled: {
@@ -56,6 +82,21 @@ const customerSchema = new mongoose.Schema(
       default: 0,
       min: 0, // Never negative
     },
+
+    // Money held for the customer: unallocated payments and unapplied credit
+    // notes (see advance.service). Settles their next bills automatically.
+    // balance = creditOutstanding - advanceBalance (negative: customer in credit)
+    advanceBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Import job row the customer was created from (import_<jobId>_<rowNumber>)
+    importRef: {
+      type: String,
+      default: undefined,
+    },
     
     // Soft Delete (Step 5: Staff Accountability)
     isDeleted: {
@@ -79,11 +120,23 @@ const customerSchema = new mongoose.Schema(
   },
 );
 
+// Net balance: what the customer owes, less what is held for them (negative: in credit).
+// Takes documents and lean objects alike.
+customerSchema.statics.netBalance = function (customer) {
+  return Math.round(((customer.creditOutstanding || 0) - (customer.advanceBalance || 0)) * 100) / 100;
+};
+
 // Compound indexes for common queries
 customerSchema.index({userId: 1, createdAt: -1}); // List customers (most recent first)
 customerSchema.index({userId: 1, name: 1}); // Search by name
 customerSchema.index({userId: 1, phone: 1}); // Search by phone
 
+// Resuming an import never creates a customer twice
+customerSchema.index(
+  {userId: 1, importRef: 1},
+  {unique: true, partialFilterExpression: {importRef: {$type: 'string'}}}
+);
+
 // Text index for search functionality
 customerSchema.index({name: 'text', phone: 'text'});
 
@@ -0,0 +1,212 @@
+/**
+ * CustomerPayment Model
+ *
+ * Lump-sum payment received from a customer (receipt), allocated across the
+ * customer's open bills. One ledger debit records the whole amount; the
+ * allocations say which bills it settled. Whatever is not allocated is an
+ * advance (unallocatedAmount, part of Customer.advanceBalance): it is allocated
+ * to the customer's next bills as they are created, or refunded.
+ *
+ * Reversing a payment (e.g. bounced transfer) takes the allocations back off
+ * the bills and books a ledger credit for the full amount.
+ *
+ * Cheques are allocated when received and tracked until they clear:
+ * post_dated / received -> deposited -> cleared | bounced (bounce reverses the payment).
+ */
+const mongoose = require('mongoose');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+
+const CHEQUE_STATUSES = ['post_dated', 'received', 'deposited', 'cleared', 'bounced'];
+
+const allocationSchema = new mongoose.Schema(
+  {
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      required: true,
+    },
+    billNo: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // When it was allocated (later than the payment for advances)
+    appliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: false}
+);
+
+const chequeSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    bankName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Date written on the cheque (later than today for post-dated cheques)
+    chequeDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: CHEQUE_STATUSES,
+      required: true,
+    },
+    depositedAt: {
+      type: Date,
+      default: null,
+    },
+    clearedAt: {
+      type: Date,
+      default: null,
+    },
+    bouncedAt: {
+      type: Date,
+      default: null,
+    },
+    bounceReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Charge booked to the customer on bounce (BusinessSettings.chequeBounceCharge)
+    bounceCharge: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {_id: false}
+);
+
+const customerPaymentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    // From the receipt number series
+    receiptNo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    // null when the provider method has no equivalent (e.g. wallet)
+    mode: {
+      type: String,
+      enum: [...PAYMENT_MODES, null],
+      default: 'CASH',
+    },
+    // UTR, UPI reference, card slip... (cheque number for cheques)
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Date the money was received (defaults to when it was recorded)
+    paymentDate: {
+      type: Date,
+      default: Date.now,
+    },
+    // Cheque details and lifecycle (mode CHEQUE only)
+    cheque: {
+      type: chequeSchema,
+      default: null,
+    },
+    // AUTO: oldest due bills first, MANUAL: allocations chosen by the user
+    allocationMode: {
+      type: String,
+      enum: ['AUTO', 'MANUAL'],
+      default: 'AUTO',
+    },
+    allocations: {
+      type: [allocationSchema],
+      default: [],
+    },
+    // Advance still held for the customer
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Advance paid back to the customer
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'reversed'],
+      default: 'active',
+    },
+    ledgerTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction',
+      default: null,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    idempotencyKey: {
+      type: String,
+      default: null,
+    },
+
+    // Reversal
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reversalReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+customerPaymentSchema.index({userId: 1, receiptNo: 1}, {unique: true});
+customerPaymentSchema.index({userId: 1, customerId: 1, createdAt: -1});
+customerPaymentSchema.index({userId: 1, customerId: 1, status: 1, unallocatedAmount: 1}); // Advances
+customerPaymentSchema.index({userId: 1, 'cheque.status': 1, 'cheque.chequeDate': 1}); // Cheques to deposit / pending
+customerPaymentSchema.index(
+  {userId: 1, idempotencyKey: 1},
+  {unique: true, partialFilterExpression: {idempotencyKey: {$type: 'string'}}}
+);
+
+module.exports = mongoose.model('CustomerPayment', customerPaymentSchema);
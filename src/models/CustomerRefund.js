@@ -0,0 +1,100 @@
+/**
+ * CustomerRefund Model
+ *
+ * Credit balance paid back to a customer. Taken from their advances oldest
+ * first (sources: unallocated payments, unapplied credit notes) and booked as
+ * a ledger credit.
+ */
+const mongoose = require('mongoose');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+
+const refundSourceSchema = new mongoose.Schema(
+  {
+    // PAYMENT (CustomerPayment) or CREDIT_NOTE (CreditNote)
+    type: {
+      type: String,
+      enum: ['PAYMENT', 'CREDIT_NOTE'],
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Receipt / credit note number
+    documentNo: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  {_id: false}
+);
+
+const customerRefundSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    mode: {
+      type: String,
+      enum: PAYMENT_MODES,
+      default: 'CASH',
+    },
+    // UTR, cheque number...
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    refundDate: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    sources: {
+      type: [refundSourceSchema],
+      default: [],
+    },
+    ledgerTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction',
+      default: null,
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    idempotencyKey: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+customerRefundSchema.index({userId: 1, customerId: 1, createdAt: -1});
+customerRefundSchema.index(
+  {userId: 1, idempotencyKey: 1},
+  {unique: true, partialFilterExpression: {idempotencyKey: {$type: 'string'}}}
+);
+
+module.exports = mongoose.model('CustomerRefund', customerRefundSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Public share link for a customer's account (all open bills + recent payments)
+ * Counterpart of BillShareLink, one active link per customer.
+ */
+const customerShareLinkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+      index: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'revoked'],
+      default: 'active',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // null = never expires
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // owner: revoked by the owner (reminders don't share the customer again)
+    // expired: retired when replaced after expiry
+    revokedReason: {
+      type: String,
+      enum: ['owner', 'expired', null],
+      default: null,
+    },
+    lastAccessAt: {
+      type: Date,
+      default: null,
+    },
+    accessCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: false, // We manage createdAt manually
+  },
+);
+
+// Compound index for quick lookups
+customerShareLinkSchema.index({userId: 1, customerId: 1, status: 1});
+
+const CustomerShareLink = mongoose.model('CustomerShareLink', customerShareLinkSchema);
+
+module.exports = CustomerShareLink;
@@ -0,0 +1,70 @@
+/**
+ * DayClose Model
+ *
+ * Cash counted at the end of a business day (IST) against what the cash book
+ * expected. The counted cash becomes the next day's opening cash, so a
+ * variance is carried forward instead of piling up.
+ *
+ * One close per business per day.
+ */
+const mongoose = require('mongoose');
+
+const dayCloseSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // IST business day (YYYY-MM-DD)
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    openingCash: {
+      type: Number,
+      required: true,
+    },
+    cashIn: {
+      type: Number,
+      required: true,
+    },
+    cashOut: {
+      type: Number,
+      required: true,
+    },
+    // Opening + in - out, per the cash book
+    expectedCash: {
+      type: Number,
+      required: true,
+    },
+    countedCash: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Counted - expected (negative = short, positive = excess)
+    variance: {
+      type: Number,
+      required: true,
+    },
+    note: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dayCloseSchema.index({userId: 1, date: 1}, {unique: true});
+
+module.exports = mongoose.model('DayClose', dayCloseSchema);
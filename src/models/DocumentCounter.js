@@ -0,0 +1,42 @@
+/**
+ * DocumentCounter Model
+ *
+ * Last number issued in a document series (invoice, receipt, credit note) per
+ * business and period. Incremented atomically with $inc so concurrent requests
+ * never get the same number. period is the financial year label (e.g. 2026-27)
+ * for series that reset yearly, otherwise 'ALL'.
+ */
+const mongoose = require('mongoose');
+
+const documentCounterSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    series: {
+      type: String,
+      enum: ['invoice', 'receipt', 'creditNote'],
+      required: true,
+    },
+    period: {
+      type: String,
+      required: true,
+    },
+    lastNumber: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+documentCounterSchema.index({userId: 1, series: 1, period: 1}, {unique: true});
+
+const DocumentCounter = mongoose.model('DocumentCounter', documentCounterSchema);
+
+module.exports = DocumentCounter;
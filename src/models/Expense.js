@@ -0,0 +1,99 @@
+/**
+ * Expense Model
+ *
+ * Money paid out that is not a supplier payment: running expenses (rent,
+ * salary...) and owner withdrawals. Cash entries reduce the cash in hand of
+ * the day they were paid (cashBook.service).
+ *
+ * Deleting is a soft delete with a reason, and is not allowed once the day
+ * has been closed.
+ */
+const mongoose = require('mongoose');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+const {EXPENSE_KINDS, EXPENSE_CATEGORIES} = require('../utils/expense');
+
+const expenseSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: EXPENSE_KINDS,
+      default: 'expense',
+    },
+    // Null for withdrawals
+    category: {
+      type: String,
+      enum: [...EXPENSE_CATEGORIES, null],
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    mode: {
+      type: String,
+      enum: PAYMENT_MODES,
+      default: 'CASH',
+    },
+    // UTR / UPI reference / cheque number
+    reference: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    // When the money was paid
+    expenseDate: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    idempotencyKey: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // Soft Delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    deleteReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Replays of the same create request
+expenseSchema.index(
+  {userId: 1, idempotencyKey: 1},
+  {unique: true, partialFilterExpression: {idempotencyKey: {$type: 'string'}}}
+);
+
+expenseSchema.index({userId: 1, expenseDate: -1}); // List expenses, cash book
+expenseSchema.index({userId: 1, category: 1, expenseDate: -1}); // Expenses by category
+
+module.exports = mongoose.model('Expense', expenseSchema);
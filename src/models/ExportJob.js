@@ -37,6 +37,7 @@ const exportJobSchema = new mongoose.Schema(
       checksums: mongoose.Schema.Types.Mixed,
       notes: [String],
     },
+    metadata: mongoose.Schema.Types.Mixed, // e.g. {triggeredBy: 'BUSINESS_RESET', resetJobId}
     error: {
       code: String,
       message: String,
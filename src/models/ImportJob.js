@@ -0,0 +1,162 @@
+/**
+ * ImportJob Model
+ *
+ * Bulk import from a CSV/XLSX file (customerImport.service) of customers
+ * with opening balances, or of bills of existing customers:
+ * PREVIEW (dry run: mapped, validated rows) -> QUEUED -> IMPORTING -> DONE | FAILED
+ *
+ * The parsed sheet is kept on the job so the column mapping can be changed
+ * without uploading again. Re-uploading the same file returns the same job;
+ * a failed or interrupted import resumes from the rows not yet imported.
+ */
+const mongoose = require('mongoose');
+
+const importRowSchema = new mongoose.Schema(
+  {
+    // Line of the file (header is line 1)
+    rowNumber: {
+      type: Number,
+      required: true,
+    },
+    name: String,
+    phone: String,
+    openingBalance: Number,
+    asOfDate: Date,
+    // Bill imports: number in the old books, dates and amounts
+    reference: String,
+    billDate: Date,
+    dueDate: Date,
+    amount: Number,
+    paidAmount: Number,
+    description: String,
+    status: {
+      type: String,
+      enum: ['valid', 'invalid', 'duplicate', 'imported', 'failed'],
+      required: true,
+    },
+    // Why the row can't be imported
+    issues: [
+      {
+        _id: false,
+        field: String,
+        code: String,
+        message: String,
+      },
+    ],
+    // Existing customer or earlier row this one duplicates
+    duplicateOf: {
+      customerId: {type: mongoose.Schema.Types.ObjectId, ref: 'Customer'},
+      rowNumber: Number,
+    },
+    // Customer created from this row (bill imports: customer the bill is for)
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+    },
+    // Bill created from this row
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      default: null,
+    },
+  },
+  {_id: false}
+);
+
+const importJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    actorRole: {
+      type: String,
+      default: 'OWNER',
+    },
+    kind: {
+      type: String,
+      enum: ['customers', 'bills'],
+      default: 'customers',
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      required: true,
+    },
+    // sha256 of the file: the same file uploaded again returns this job
+    fileHash: {
+      type: String,
+      required: true,
+    },
+    // Parsed sheet: header cells and data lines
+    headers: [String],
+    records: [
+      {
+        _id: false,
+        rowNumber: Number,
+        cells: [String],
+      },
+    ],
+    // Import field -> header of the column it is read from
+    columns: {
+      name: {type: String, default: null},
+      phone: {type: String, default: null},
+      openingBalance: {type: String, default: null},
+      asOfDate: {type: String, default: null},
+      reference: {type: String, default: null},
+      billDate: {type: String, default: null},
+      dueDate: {type: String, default: null},
+      amount: {type: String, default: null},
+      paidAmount: {type: String, default: null},
+      description: {type: String, default: null},
+    },
+    // As-of date of opening balances (bill date of bills) on rows without one
+    defaultAsOfDate: {
+      type: Date,
+      default: null,
+    },
+    rows: [importRowSchema],
+    summary: {
+      total: {type: Number, default: 0},
+      valid: {type: Number, default: 0},
+      invalid: {type: Number, default: 0},
+      duplicate: {type: Number, default: 0},
+      imported: {type: Number, default: 0},
+      failed: {type: Number, default: 0},
+      openingBalanceTotal: {type: Number, default: 0},
+      billAmountTotal: {type: Number, default: 0},
+    },
+    status: {
+      type: String,
+      enum: ['PREVIEW', 'QUEUED', 'IMPORTING', 'DONE', 'FAILED'],
+      default: 'PREVIEW',
+    },
+    error: {
+      code: String,
+      message: String,
+    },
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importJobSchema.index({userId: 1, fileHash: 1}, {unique: true});
+importJobSchema.index({userId: 1, createdAt: -1});
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
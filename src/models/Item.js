@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const {ITEM_UNITS} = require('../utils/stock');
 
 /**
  * Item Model - Catalog of items/products for bills
@@ -29,6 +30,44 @@ const itemSchema = new mongoose.Schema(
       default: null,
       min: 0,
     },
+    // GST defaults copied onto bill lines
+    hsnCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    gstRate: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    unit: {
+      type: String,
+      enum: ITEM_UNITS,
+      default: 'pcs',
+    },
+    // Stock is kept only for tracked items (opening stock or an adjustment
+    // turns tracking on); bills decrement it and may take it below zero
+    trackStock: {
+      type: Boolean,
+      default: false,
+    },
+    stockQty: {
+      type: Number,
+      default: 0,
+    },
+    // Low-stock notification when stock falls to this level (null: none)
+    reorderLevel: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Cost per unit used for stock valuation (latest purchase)
+    purchaseCost: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -49,6 +88,7 @@ itemSchema.index({userId: 1, normalizedName: 1}, {unique: true});
 
 // Index for queries
 itemSchema.index({userId: 1, createdAt: -1});
+itemSchema.index({userId: 1, trackStock: 1, isActive: 1}); // Stock valuation
 
 // Text index for search (optional but recommended for better search)
 itemSchema.index({name: 'text'});
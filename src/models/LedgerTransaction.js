@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
 
 const ledgerTransactionSchema = new mongoose.Schema(
   {
@@ -30,13 +31,41 @@ const ledgerTransactionSchema = new mongoose.Schema(
     },
     source: {
       type: String,
-      enum: ['manual', 'recovery', 'adjustment'],
+      // opening: balance brought forward from before the customer was added (one per customer)
+      enum: ['manual', 'recovery', 'adjustment', 'opening'],
       default: 'manual',
     },
     idempotencyKey: {
       type: String,
       required: true,
     },
+    // Payment details (debits recording money received, and their reversals)
+    paymentMode: {
+      type: String,
+      enum: [...PAYMENT_MODES, null],
+      default: null,
+    },
+    // UTR, UPI reference, cheque number, card slip...
+    paymentReference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Date the money was received (may differ from when it was entered)
+    paymentDate: {
+      type: Date,
+      default: null,
+    },
+    // Opening balances: date the balance was owed as of (aging and interest run from it)
+    asOfDate: {
+      type: Date,
+      default: null,
+    },
+    // Links to the originating document (e.g. {billId, billNo, source: 'bill_payment'})
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
   },
   {
     timestamps: true,
@@ -49,6 +78,12 @@ ledgerTransactionSchema.index(
   {unique: true},
 );
 
+// One opening balance per customer
+ledgerTransactionSchema.index(
+  {userId: 1, customerId: 1},
+  {unique: true, partialFilterExpression: {source: 'opening'}},
+);
+
 // Compound indexes for common queries
 ledgerTransactionSchema.index({userId: 1, createdAt: -1}); // User's transactions timeline
 ledgerTransactionSchema.index({userId: 1, customerId: 1, createdAt: -1}); // Customer ledger
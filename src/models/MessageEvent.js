@@ -34,7 +34,7 @@ const messageEventSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['CREATED', 'QUEUED', 'SENT', 'DELIVERED', 'FAILED'],
+      enum: ['CREATED', 'QUEUED', 'SENT', 'DELIVERED', 'READ', 'FAILED'],
       default: 'CREATED',
       required: true,
     },
@@ -64,6 +64,12 @@ const messageEventSchema = new mongoose.Schema(
     lastError: {
       type: String,
     },
+    deliveredAt: {
+      type: Date,
+    },
+    readAt: {
+      type: Date,
+    },
     maxAttempts: {
       type: Number,
       default: 5,
@@ -41,6 +41,9 @@ const notificationSchema = new mongoose.Schema(
         'DEVICE_APPROVAL_REQUIRED',
         'DAILY_SUMMARY',
         'CREDIT_LIMIT_WARN',
+        'RECURRING_BILLS_GENERATED',
+        'LOW_STOCK',
+        'PAYABLES_DUE',
         // Legacy kinds (for backward compatibility)
         'FOLLOWUP',           // Follow-up reminder
         'PROMISE_REMINDER',   // Promise due reminder
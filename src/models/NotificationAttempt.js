@@ -86,10 +86,19 @@ const notificationAttemptSchema = new mongoose.Schema(
       type: String,
     },
     
+    // Provider receipt status (WhatsApp/SMS webhooks): SENT -> DELIVERED -> READ, or FAILED
     providerStatus: {
       type: String,
     },
     
+    deliveredAt: {
+      type: Date,
+    },
+    
+    readAt: {
+      type: Date,
+    },
+    
     // Request tracing
     requestId: {
       type: String,
@@ -106,6 +115,7 @@ notificationAttemptSchema.index({notificationId: 1, createdAt: -1}); // Attempts
 notificationAttemptSchema.index({status: 1, nextAttemptAt: 1}); // Worker queue
 notificationAttemptSchema.index({status: 1, leasedUntil: 1}); // Lease management
 notificationAttemptSchema.index({channel: 1, status: 1}); // Channel stats
+notificationAttemptSchema.index({providerMessageId: 1}, {sparse: true}); // Provider status webhooks
 
 // RECOVERY LADDER: Unique index to prevent duplicate attempts (multi-instance safe)
 notificationAttemptSchema.index(
@@ -0,0 +1,131 @@
+/**
+ * PaymentLink Model
+ *
+ * Razorpay payment link collecting a bill's pending amount (scope BILL) or a
+ * customer's total outstanding (scope OUTSTANDING). When `payment_link.paid`
+ * arrives the payment is allocated to bills through the bill payment path.
+ */
+const mongoose = require('mongoose');
+
+const allocationSchema = new mongoose.Schema(
+  {
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      required: true,
+    },
+    billNo: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    appliedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {_id: false}
+);
+
+const paymentLinkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+      index: true,
+    },
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      default: null,
+    },
+    scope: {
+      type: String,
+      enum: ['BILL', 'OUTSTANDING'],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+    description: String,
+    status: {
+      type: String,
+      enum: ['created', 'paid', 'cancelled', 'expired'],
+      default: 'created',
+      index: true,
+    },
+    provider: {
+      type: String,
+      enum: ['razorpay'],
+      default: 'razorpay',
+    },
+    providerLinkId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    shortUrl: String,
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Settlement (set once by the first payment_link.paid webhook)
+    providerPaymentId: {
+      type: String,
+      default: null,
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    allocations: {
+      type: [allocationSchema],
+      default: undefined,
+    },
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Customer payment holding the unallocated part as an advance
+    advancePaymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomerPayment',
+      default: null,
+    },
+    processingAt: {
+      type: Date,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentLinkSchema.index({userId: 1, customerId: 1, status: 1});
+paymentLinkSchema.index({providerPaymentId: 1}, {unique: true, sparse: true});
+
+module.exports = mongoose.model('PaymentLink', paymentLinkSchema);
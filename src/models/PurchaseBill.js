@@ -0,0 +1,173 @@
+/**
+ * PurchaseBill Model
+ *
+ * Bill received from a supplier (what we owe them). billNo is the supplier's
+ * own invoice number, unique per supplier. Lines linked to a tracked catalog
+ * item add to its stock (stock.service).
+ *
+ * Payments made are allocated to purchase bills by supplierPayment.service
+ * (paidAmount, status). Deleting is a soft delete and is only allowed before
+ * any payment is allocated.
+ */
+const mongoose = require('mongoose');
+
+const purchaseBillItemSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Item',
+      default: null,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    qty: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Cost per unit
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  {_id: false}
+);
+
+const purchaseBillSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+    },
+    // Supplier's invoice number
+    billNo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Date on the supplier's invoice
+    billDate: {
+      type: Date,
+      default: Date.now,
+    },
+    items: {
+      type: [purchaseBillItemSchema],
+      required: true,
+      validate: {
+        validator: items => items && items.length > 0,
+        message: 'Purchase bill must have at least one item',
+      },
+    },
+    subTotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Tax charged by the supplier (input tax)
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    grandTotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    paidAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['unpaid', 'partial', 'paid'],
+      default: 'unpaid',
+    },
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    idempotencyKey: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // Soft Delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    deleteReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Pending amount (what is still owed on this bill)
+purchaseBillSchema.virtual('pendingAmount').get(function () {
+  return Math.max(0, Math.round((this.grandTotal - (this.paidAmount || 0)) * 100) / 100);
+});
+
+purchaseBillSchema.set('toJSON', {virtuals: true});
+purchaseBillSchema.set('toObject', {virtuals: true});
+
+// Replays of the same create request
+purchaseBillSchema.index(
+  {userId: 1, idempotencyKey: 1},
+  {unique: true, partialFilterExpression: {idempotencyKey: {$type: 'string'}}}
+);
+
+// The same supplier invoice can't be entered twice
+purchaseBillSchema.index(
+  {userId: 1, supplierId: 1, billNo: 1},
+  {unique: true, partialFilterExpression: {isDeleted: false}}
+);
+
+purchaseBillSchema.index({userId: 1, supplierId: 1, status: 1}); // Open bills of a supplier
+purchaseBillSchema.index({userId: 1, status: 1, dueDate: 1}); // Payables aging
+purchaseBillSchema.index({status: 1, dueDate: 1}); // Due reminders (all businesses)
+purchaseBillSchema.index({userId: 1, createdAt: -1}); // List purchase bills
+
+module.exports = mongoose.model('PurchaseBill', purchaseBillSchema);
@@ -0,0 +1,87 @@
+/**
+ * RecoveryLadder Model
+ *
+ * Owner-defined recovery escalation ladder, one immutable document per version.
+ * BusinessSettings.recoveryLadderVersion points at the active version
+ * (0 = built-in default ladder). Customers already in recovery stay on the
+ * version their first reminder was planned with (FollowUpTask.metadata.ladderVersion).
+ */
+const mongoose = require('mongoose');
+
+const recoveryLadderStepSchema = new mongoose.Schema(
+  {
+    stepKey: {
+      type: String,
+      required: true, // STEP_{dayOffset}
+    },
+    dayOffset: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    channel: {
+      type: String,
+      enum: ['whatsapp', 'sms', 'call'],
+      default: 'whatsapp',
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'high',
+    },
+    // Provider template (WhatsApp/DLT) used for the message
+    templateKey: {
+      type: String,
+      required: true,
+    },
+    escalationLevel: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Custom task title/message ({customerName}, {amount} placeholders); null = template default
+    title: {
+      type: String,
+      default: null,
+    },
+    message: {
+      type: String,
+      default: null,
+    },
+  },
+  {_id: false}
+);
+
+const recoveryLadderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    steps: {
+      type: [recoveryLadderStepSchema],
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One document per (business, version)
+recoveryLadderSchema.index({userId: 1, version: 1}, {unique: true});
+
+const RecoveryLadder = mongoose.model('RecoveryLadder', recoveryLadderSchema);
+
+module.exports = RecoveryLadder;
@@ -0,0 +1,191 @@
+/**
+ * RecurringBill Model
+ *
+ * Template billing the same customer every period (milk, tiffin, tuition).
+ * A daily cron turns each due occurrence into a real bill through the same
+ * credit-checked path as POST /api/bills (see recurringBill.service).
+ *
+ * Schedule dates (startDate, endDate, nextRunDate) are calendar days in IST,
+ * stored as UTC midnight.
+ */
+const mongoose = require('mongoose');
+
+const recurringLineSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Item',
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    qty: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Price for a full period (prorated on partial periods)
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    hsnCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    gstRate: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+  },
+  {_id: false}
+);
+
+const lastRunSchema = new mongoose.Schema(
+  {
+    // Occurrence (period start) the run was for
+    date: Date,
+    // generated | blocked (credit limit) | failed
+    status: {
+      type: String,
+      enum: ['generated', 'blocked', 'failed'],
+    },
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+    },
+    billNo: String,
+    amount: Number,
+    error: String,
+    at: Date,
+  },
+  {_id: false}
+);
+
+const recurringBillSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    // Shown to the owner, e.g. "Morning milk 1L"
+    name: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    items: {
+      type: [recurringLineSchema],
+      validate: [items => items.length > 0, 'At least one item is required'],
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Tax on plain bills (tax invoices are taxed from the line GST rates)
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // null: tax invoice when the business and items have GST set up
+    taxInvoice: {
+      type: Boolean,
+      default: null,
+    },
+    placeOfSupply: {
+      type: String,
+      default: null,
+    },
+    frequency: {
+      type: String,
+      enum: ['monthly', 'quarterly', 'half_yearly', 'yearly'],
+      default: 'monthly',
+    },
+    // Day each period starts on (29-31 fall on the last day of shorter months)
+    dayOfMonth: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 31,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    // Last day billed (inclusive); null: until ended
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    // Bill partial first / last periods by days covered (else in full)
+    prorate: {
+      type: Boolean,
+      default: true,
+    },
+    // Bill due date: days after the bill date (null: no due date)
+    dueInDays: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'ended'],
+      default: 'active',
+    },
+    // Next occurrence to bill (null once ended)
+    nextRunDate: {
+      type: Date,
+      default: null,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    // Occurrences skipped by the owner
+    skippedDates: {
+      type: [Date],
+      default: [],
+    },
+    lastRun: {
+      type: lastRunSchema,
+      default: null,
+    },
+    generatedCount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recurringBillSchema.index({status: 1, nextRunDate: 1}); // Due occurrences (cron)
+recurringBillSchema.index({userId: 1, customerId: 1, status: 1});
+recurringBillSchema.index({userId: 1, createdAt: -1});
+
+module.exports = mongoose.model('RecurringBill', recurringBillSchema);
@@ -30,8 +30,9 @@ const restoreJobSchema = new mongoose.Schema(
     confirmPhrase: String,
     status: {
       type: String,
-      enum: ['QUEUED', 'VALIDATING', 'APPLYING', 'DONE', 'FAILED'],
-      default: 'QUEUED',
+      // AWAITING_UPLOAD -> AWAITING_CONFIRM -> QUEUED -> VALIDATING -> APPLYING -> DONE
+      enum: ['AWAITING_UPLOAD', 'AWAITING_CONFIRM', 'QUEUED', 'VALIDATING', 'APPLYING', 'DONE', 'FAILED'],
+      default: 'AWAITING_UPLOAD',
       index: true,
     },
     progress: {
@@ -42,6 +43,10 @@ const restoreJobSchema = new mongoose.Schema(
       message: String,
     },
     uploadedFilePath: String,
+    sourceExportJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExportJob',
+    },
     manifest: {
       formatVersion: String,
       exportedAt: Date,
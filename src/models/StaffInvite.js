@@ -0,0 +1,86 @@
+/**
+ * Staff Invite Model
+ *
+ * Owner invites a staff member by mobile number.
+ * The invite is claimed when that mobile logs in through OTP auth.
+ */
+const mongoose = require('mongoose');
+
+const staffInviteSchema = new mongoose.Schema(
+  {
+    // Business (owner user id) the staff member will join
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Normalized digits-only mobile (same format as User.mobile)
+    mobile: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    countryCode: {
+      type: String,
+      default: '+91',
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 60,
+    },
+    role: {
+      type: String,
+      enum: ['ADMIN', 'STAFF'],
+      default: 'STAFF',
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'ACCEPTED', 'REVOKED', 'EXPIRED'],
+      default: 'PENDING',
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One open invite per mobile per business
+staffInviteSchema.index(
+  {businessId: 1, mobile: 1},
+  {unique: true, partialFilterExpression: {status: 'PENDING'}},
+);
+
+const StaffInvite = mongoose.model('StaffInvite', staffInviteSchema);
+
+module.exports = StaffInvite;
@@ -0,0 +1,90 @@
+/**
+ * StockMovement Model
+ *
+ * Every change to a tracked item's stock: opening stock, manual adjustments
+ * (with a reason), bills, bill amendments / cancellations, sales returns and
+ * purchase bills.
+ * qty is signed (negative: stock out); balanceAfter is the item's stock right
+ * after the movement.
+ */
+const mongoose = require('mongoose');
+const {STOCK_MOVEMENT_TYPES, STOCK_ADJUSTMENT_REASONS} = require('../utils/stock');
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Item',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: STOCK_MOVEMENT_TYPES,
+      required: true,
+    },
+    qty: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    // Adjustments only
+    reason: {
+      type: String,
+      enum: [...STOCK_ADJUSTMENT_REASONS, null],
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Cost per unit of a purchase
+    unitCost: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      default: null,
+    },
+    billNo: {
+      type: String,
+      default: null,
+    },
+    creditNoteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditNote',
+      default: null,
+    },
+    purchaseBillId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseBill',
+      default: null,
+    },
+    // User entering opening stock / an adjustment (null for bill movements)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockMovementSchema.index({userId: 1, itemId: 1, createdAt: -1}); // Item history
+stockMovementSchema.index({userId: 1, billId: 1}); // Net stock out per bill
+stockMovementSchema.index({userId: 1, purchaseBillId: 1}); // Stock in per purchase bill
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,84 @@
+/**
+ * Supplier model
+ *
+ * Wholesalers and vendors the business buys from (the payables side of Customer)
+ */
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide supplier name'],
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Default credit period given by the supplier (purchase bill due date when not entered)
+    paymentTermsDays: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
+    // ATOMIC PAYABLE TRACKING
+    // What we owe the supplier: open purchase bills less payments allocated to them.
+    // Maintained with $inc by the purchase bill and supplier payment services.
+    payableOutstanding: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Soft Delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    deleteReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+supplierSchema.index({userId: 1, createdAt: -1}); // List suppliers
+supplierSchema.index({userId: 1, name: 1}); // Search by name
+supplierSchema.index({userId: 1, phone: 1}); // Search by phone
+
+module.exports = mongoose.model('Supplier', supplierSchema);
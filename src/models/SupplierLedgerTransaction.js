@@ -0,0 +1,80 @@
+/**
+ * SupplierLedgerTransaction Model
+ *
+ * Supplier ledger (the payables side of LedgerTransaction):
+ * - credit: we owe the supplier more (purchase bill, payment reversed)
+ * - debit: we owe the supplier less (payment made, purchase bill deleted)
+ */
+const mongoose = require('mongoose');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+
+const supplierLedgerTransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['credit', 'debit'],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+    source: {
+      type: String,
+      enum: ['purchase_bill', 'purchase_bill_deleted', 'supplier_payment', 'supplier_payment_reversal'],
+      required: true,
+    },
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    // Payment details (payments made and their reversals)
+    paymentMode: {
+      type: String,
+      enum: [...PAYMENT_MODES, null],
+      default: null,
+    },
+    paymentReference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    paymentDate: {
+      type: Date,
+      default: null,
+    },
+    // Links to the originating document (e.g. {purchaseBillId, billNo})
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Unique index on userId + idempotencyKey to prevent duplicates
+supplierLedgerTransactionSchema.index(
+  {userId: 1, idempotencyKey: 1},
+  {unique: true},
+);
+
+supplierLedgerTransactionSchema.index({userId: 1, supplierId: 1, createdAt: -1}); // Supplier ledger
+
+module.exports = mongoose.model('SupplierLedgerTransaction', supplierLedgerTransactionSchema);
@@ -0,0 +1,120 @@
+/**
+ * SupplierPayment Model
+ *
+ * Payment made to a supplier, allocated across the supplier's open purchase
+ * bills (oldest due first, or as chosen). One supplier ledger debit records
+ * the whole amount.
+ *
+ * Reversing a payment (e.g. bounced cheque, entered by mistake) takes the
+ * allocations back off the purchase bills and books a ledger credit.
+ */
+const mongoose = require('mongoose');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+
+const allocationSchema = new mongoose.Schema(
+  {
+    purchaseBillId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseBill',
+      required: true,
+    },
+    billNo: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  {_id: false}
+);
+
+const supplierPaymentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    mode: {
+      type: String,
+      enum: PAYMENT_MODES,
+      default: 'CASH',
+    },
+    // UTR, UPI reference, cheque number...
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Date the money was paid (defaults to when it was recorded)
+    paymentDate: {
+      type: Date,
+      default: Date.now,
+    },
+    // AUTO: oldest due purchase bills first, MANUAL: allocations chosen by the user
+    allocationMode: {
+      type: String,
+      enum: ['AUTO', 'MANUAL'],
+      default: 'AUTO',
+    },
+    allocations: {
+      type: [allocationSchema],
+      default: [],
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'reversed'],
+      default: 'active',
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    idempotencyKey: {
+      type: String,
+      default: null,
+    },
+
+    // Reversal
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reversalReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+supplierPaymentSchema.index({userId: 1, supplierId: 1, createdAt: -1});
+supplierPaymentSchema.index(
+  {userId: 1, idempotencyKey: 1},
+  {unique: true, partialFilterExpression: {idempotencyKey: {$type: 'string'}}}
+);
+
+module.exports = mongoose.model('SupplierPayment', supplierPaymentSchema);
@@ -108,12 +108,43 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
     recoveryUpdatedAt: Date,
+
+    // Multi-user businesses - Staff Accounts
+    // Owners point at themselves; staff point at the owner whose data they share
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: ['OWNER', 'ADMIN', 'STAFF'],
+      default: 'OWNER',
+    },
+    staffStatus: {
+      type: String,
+      enum: ['ACTIVE', 'REVOKED'],
+      default: 'ACTIVE',
+    },
+    staffRevokedAt: Date,
+    staffRevokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
   },
   {
     timestamps: true,
   },
 );
 
+// Every account belongs to a business; owners are their own business
+userSchema.pre('save', function (next) {
+  if (!this.businessId) {
+    this.businessId = this._id;
+  }
+  next();
+});
+
 // Hash password before saving (only if password exists)
 userSchema.pre('save', async function (next) {
   // Skip if password not modified or doesn't exist (OTP users)
@@ -230,6 +261,13 @@ userSchema.methods.incrementWriteCount = async function () {
   return this;
 };
 
+/**
+ * Check if this account is a staff member of another owner's business
+ */
+userSchema.methods.isStaffMember = function () {
+  return !!this.businessId && this.businessId.toString() !== this._id.toString();
+};
+
 // Index creation logging
 userSchema.on('index', (error) => {
   if (error) {
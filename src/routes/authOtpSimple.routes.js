@@ -4,6 +4,7 @@
  */
 const express = require('express');
 const {protect} = require('../middleware/auth.middleware');
+const {requireOwner} = require('../middleware/permission.middleware');
 const {
   requestOtp,
   verifyOtp,
@@ -21,6 +22,6 @@ router.post('/mobile/login', mobileLogin); // Skip OTP for now
 router.post('/refresh', refreshToken);
 
 // Protected routes
-router.patch('/me/business', protect, setBusinessName);
+router.patch('/me/business', protect, requireOwner, setBusinessName);
 
 module.exports = router;
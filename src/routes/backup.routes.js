@@ -1,63 +1,81 @@
 /**
  * Backup Routes
- * 
- * Backup and restore system (currently disabled)
- * Returns 501 NOT_IMPLEMENTED for all endpoints
+ *
+ * Data export + restore
+ * Step 10: Data Export + Restore
  */
 const express = require('express');
 const router = express.Router();
 const {protect} = require('../middleware/auth.middleware');
 const {requireOwner} = require('../middleware/permission.middleware');
+const {validateObjectId} = require('../middleware/validateObjectId.middleware');
+const {
+  createExport,
+  getExportStatus,
+  downloadExport,
+  initRestore,
+  uploadRestoreArchive,
+  confirmRestore,
+  getRestoreStatus,
+} = require('../controllers/backup.controller');
+
+// Backup files are uploaded as raw gzip; they exceed the global JSON body limit
+const rawArchiveParser = express.raw({
+  type: ['application/gzip', 'application/x-gzip', 'application/octet-stream'],
+  limit: process.env.BACKUP_UPLOAD_LIMIT || '25mb',
+});
 
 // All routes require authentication and owner permissions
 router.use(protect);
 router.use(requireOwner);
 
 /**
- * 501 NOT_IMPLEMENTED handler
- * Returns consistent error response for disabled backup features
+ * @route   POST /api/v1/backup/export
+ * @desc    Queue full data export
+ * @access  Private (Owner)
  */
-const notImplementedHandler = (req, res) => {
-  res.status(501).json({
-    success: false,
-    code: 'NOT_IMPLEMENTED',
-    message: 'Backup/Restore is disabled in this build',
-  });
-};
+router.post('/export', createExport);
 
 /**
- * @route   POST /api/v1/backup/export
- * @desc    Export backup (disabled)
+ * @route   GET /api/v1/backup/export/:jobId
+ * @desc    Get export job status
  * @access  Private (Owner)
  */
-router.post('/export', notImplementedHandler);
+router.get('/export/:jobId', validateObjectId('jobId'), getExportStatus);
 
 /**
- * @route   GET /api/v1/backup/export/:jobId
- * @desc    Get export job status (disabled)
+ * @route   GET /api/v1/backup/export/:jobId/download
+ * @desc    Download export archive (.json.gz)
  * @access  Private (Owner)
  */
-router.get('/export/:jobId', notImplementedHandler);
+router.get('/export/:jobId/download', validateObjectId('jobId'), downloadExport);
 
 /**
  * @route   POST /api/v1/backup/restore/init
- * @desc    Initialize restore (disabled)
+ * @desc    Initialize restore (targetMode: NEW_BUSINESS | OVERWRITE)
+ * @access  Private (Owner)
+ */
+router.post('/restore/init', initRestore);
+
+/**
+ * @route   POST /api/v1/backup/restore/:jobId/upload
+ * @desc    Upload archive (raw gzip body) or {exportJobId}; validates and previews
  * @access  Private (Owner)
  */
-router.post('/restore/init', notImplementedHandler);
+router.post('/restore/:jobId/upload', validateObjectId('jobId'), rawArchiveParser, uploadRestoreArchive);
 
 /**
  * @route   POST /api/v1/backup/restore/:jobId/confirm
- * @desc    Confirm restore (disabled)
+ * @desc    Confirm restore with typed phrase
  * @access  Private (Owner)
  */
-router.post('/restore/:jobId/confirm', notImplementedHandler);
+router.post('/restore/:jobId/confirm', validateObjectId('jobId'), confirmRestore);
 
 /**
  * @route   GET /api/v1/backup/restore/:jobId
- * @desc    Get restore job status (disabled)
+ * @desc    Get restore job status and progress
  * @access  Private (Owner)
  */
-router.get('/restore/:jobId', notImplementedHandler);
+router.get('/restore/:jobId', validateObjectId('jobId'), getRestoreStatus);
 
 module.exports = router;
@@ -8,16 +8,24 @@ const {
   createBillSchema,
   addPaymentSchema,
   cancelBillSchema,
+  updateBillSchema,
+  billVersionSchema,
 } = require('../validators/bill.validator');
 const {
   createBill,
   listBills,
   getBillsSummary,
   getBill,
+  updateBill,
+  listBillVersions,
+  getBillVersion,
   addBillPayment,
   cancelBill,
   deleteBill,
 } = require('../controllers/bill.controller');
+const {createBillPaymentLink} = require('../controllers/paymentLink.controller');
+const {createCreditNote, listBillCreditNotes} = require('../controllers/creditNote.controller');
+const {createCreditNoteSchema} = require('../validators/creditNote.validator');
 const {requireOwner} = require('../middleware/permission.middleware');
 const billShareRoutes = require('./billShare.routes');
 
@@ -30,6 +38,9 @@ router.use(protect);
 router.get('/', listBills);
 router.get('/summary', getBillsSummary); // Must come before /:id
 router.get('/:id', validateObjectId('id'), getBill);
+router.get('/:id/versions', validateObjectId('id'), listBillVersions);
+router.get('/:id/versions/:version', validate(billVersionSchema), getBillVersion);
+router.get('/:id/credit-notes', validateObjectId('id'), listBillCreditNotes);
 
 // ============================================================
 // WRITE ENDPOINTS - Pro/Trial only, NO daily write counting
@@ -39,9 +50,14 @@ router.get('/:id', validateObjectId('id'), getBill);
 // Create bill - Pro/Trial only
 router.post('/', requirePro, validate(createBillSchema), createBill);
 
+// Amend bill (versioned) - Pro/Trial only
+router.patch('/:id', validateObjectId('id'), requirePro, validate(updateBillSchema), updateBill);
+
 // Bill actions - Pro/Trial only
 router.patch('/:id/pay', validateObjectId('id'), requirePro, validate(addPaymentSchema), addBillPayment);
+router.post('/:id/payment-link', validateObjectId('id'), requirePro, createBillPaymentLink); // Razorpay, auto-settles
 router.patch('/:id/cancel', validateObjectId('id'), requirePro, validate(cancelBillSchema), cancelBill);
+router.post('/:id/credit-notes', requirePro, validate(createCreditNoteSchema), createCreditNote); // Sales return
 
 // Bill deletion - Pro/Trial only + owner permission
 router.delete('/:id', validateObjectId('id'), requireOwner, requirePro, deleteBill);
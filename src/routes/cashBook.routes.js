@@ -0,0 +1,61 @@
+/**
+ * Cash Book Routes
+ *
+ * Expenses and owner withdrawals, the daily cash book and day close
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requireOwner} = require('../middleware/permission.middleware');
+const {checkWriteLimit} = require('../middleware/writeLimit.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {
+  createExpenseSchema,
+  listExpensesSchema,
+  deleteExpenseSchema,
+  cashBookSchema,
+  closeDaySchema,
+} = require('../validators/cashBook.validator');
+const {
+  createExpense,
+  listExpenses,
+  deleteExpense,
+  getCashBook,
+  closeDay,
+} = require('../controllers/cashBook.controller');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/cash-book
+ * @desc    Opening cash, cash in/out and closing cash per day (?from, ?to as YYYY-MM-DD)
+ * @access  Private
+ */
+router.get('/', validate(cashBookSchema), getCashBook);
+
+/**
+ * @route   POST /api/cash-book/day-close
+ * @desc    Close a day with the cash counted (records the variance)
+ * @access  Private
+ */
+router.post('/day-close', checkWriteLimit, validate(closeDaySchema), closeDay);
+
+/**
+ * @route   GET /api/cash-book/expenses
+ * @route   POST /api/cash-book/expenses
+ * @desc    List expenses (?from, ?to, ?kind, ?category) / record an expense or owner withdrawal
+ * @access  Private
+ */
+router.route('/expenses')
+  .get(validate(listExpensesSchema), listExpenses)
+  .post(checkWriteLimit, validate(createExpenseSchema), createExpense);
+
+/**
+ * @route   DELETE /api/cash-book/expenses/:id
+ * @desc    Soft-delete an expense of a day not yet closed
+ * @access  Private (Owner)
+ */
+router.delete('/expenses/:id', requireOwner, checkWriteLimit, validate(deleteExpenseSchema), deleteExpense);
+
+module.exports = router;
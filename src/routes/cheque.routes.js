@@ -0,0 +1,35 @@
+/**
+ * Cheque Routes
+ *
+ * Cheques are recorded as customer payments (POST /api/customers/:id/payments, mode CHEQUE)
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requireOwner} = require('../middleware/permission.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {listChequesSchema, updateChequeStatusSchema} = require('../validators/cheque.validator');
+const {listCheques, updateChequeStatus} = require('../controllers/cheque.controller');
+
+// All routes require authentication
+router.use(protect);
+
+// A bounce reverses the payment, which only owners may do
+const requireOwnerToBounce = (req, res, next) =>
+  req.body?.status === 'bounced' ? requireOwner(req, res, next) : next();
+
+/**
+ * @route   GET /api/cheques
+ * @desc    List cheques (?status, ?customerId; pending by default)
+ * @access  Private
+ */
+router.get('/', validate(listChequesSchema), listCheques);
+
+/**
+ * @route   PATCH /api/cheques/:paymentId
+ * @desc    Mark a cheque deposited, cleared or bounced (bounce: owner only)
+ * @access  Private
+ */
+router.patch('/:paymentId', validate(updateChequeStatusSchema), requireOwnerToBounce, updateChequeStatus);
+
+module.exports = router;
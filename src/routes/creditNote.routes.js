@@ -0,0 +1,50 @@
+/**
+ * Credit Note Routes
+ *
+ * Credit notes are issued from the bill (POST /api/bills/:id/credit-notes)
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requirePro} = require('../middleware/requirePro.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {listCreditNotesSchema, creditNoteIdSchema} = require('../validators/creditNote.validator');
+const {
+  listCreditNotes,
+  getCreditNote,
+  createCreditNoteShareLink,
+  revokeCreditNoteShareLink,
+} = require('../controllers/creditNote.controller');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/credit-notes
+ * @desc    List credit notes (?customerId, ?billId, ?from, ?to)
+ * @access  Private
+ */
+router.get('/', validate(listCreditNotesSchema), listCreditNotes);
+
+/**
+ * @route   GET /api/credit-notes/:id
+ * @desc    Get a credit note
+ * @access  Private
+ */
+router.get('/:id', validate(creditNoteIdSchema), getCreditNote);
+
+/**
+ * @route   POST /api/credit-notes/:id/share-link
+ * @desc    Create or get the public credit note link
+ * @access  Private (Pro)
+ */
+router.post('/:id/share-link', requirePro, validate(creditNoteIdSchema), createCreditNoteShareLink);
+
+/**
+ * @route   DELETE /api/credit-notes/:id/share-link
+ * @desc    Revoke the public credit note link
+ * @access  Private (Pro)
+ */
+router.delete('/:id/share-link', requirePro, validate(creditNoteIdSchema), revokeCreditNoteShareLink);
+
+module.exports = router;
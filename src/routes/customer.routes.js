@@ -16,8 +16,25 @@ const {
   getCustomerAudit,
 } = require('../controllers/creditPolicy.controller');
 const {getCustomerInterest} = require('../controllers/insights.controller');
+const {getCustomerStatement} = require('../controllers/statement.controller');
+const {
+  createCustomerShareLink,
+  revokeCustomerShareLink,
+} = require('../controllers/customerShare.controller');
+const {
+  createCustomerPaymentLink,
+  getCustomerPaymentLinks,
+} = require('../controllers/paymentLink.controller');
+const {
+  recordCustomerPayment,
+  listCustomerPayments,
+  reverseCustomerPayment,
+} = require('../controllers/customerPayment.controller');
+const {getCreditBalance, refundCreditBalance} = require('../controllers/advance.controller');
+const {getOpeningBalance, setOpeningBalance} = require('../controllers/openingBalance.controller');
 const {requireOwner} = require('../middleware/permission.middleware');
 const {protect} = require('../middleware/auth.middleware');
+const {requirePro} = require('../middleware/requirePro.middleware');
 const {checkWriteLimit} = require('../middleware/writeLimit.middleware');
 const {validate} = require('../middleware/validation.middleware');
 const {validateObjectId} = require('../middleware/validateObjectId.middleware');
@@ -25,6 +42,15 @@ const {
   createCustomerSchema,
   updateCustomerSchema,
 } = require('../validators/customer.validator');
+const {customerStatementSchema} = require('../validators/statement.validator');
+const {createCustomerShareLinkSchema} = require('../validators/customerShare.validator');
+const {
+  recordCustomerPaymentSchema,
+  listCustomerPaymentsSchema,
+  reverseCustomerPaymentSchema,
+} = require('../validators/customerPayment.validator');
+const {creditBalanceSchema, refundCreditBalanceSchema} = require('../validators/advance.validator');
+const {getOpeningBalanceSchema, setOpeningBalanceSchema} = require('../validators/openingBalance.validator');
 
 const router = express.Router();
 
@@ -43,6 +69,44 @@ router.route('/:id')
 
 router.route('/:id/timeline').get(validateObjectId('id'), getCustomerTimeline);
 
+// Account statement: ?from&to&format=json|html|pdf
+router.route('/:id/statement').get(validateObjectId('id'), validate(customerStatementSchema), getCustomerStatement);
+
+// Public statement link (all open bills + recent payments), used in reminders
+router.route('/:id/share-link')
+  .post(validateObjectId('id'), validate(createCustomerShareLinkSchema), createCustomerShareLink)
+  .delete(validateObjectId('id'), revokeCustomerShareLink);
+
+// Razorpay payment link for the total outstanding (settled to bills by webhook)
+router.route('/:id/payment-link').post(validateObjectId('id'), requirePro, createCustomerPaymentLink);
+router.route('/:id/payment-links').get(validateObjectId('id'), getCustomerPaymentLinks);
+
+// Lump-sum payments allocated across open bills; reversal un-allocates (owner only)
+router.route('/:id/payments')
+  .get(validate(listCustomerPaymentsSchema), listCustomerPayments)
+  .post(checkWriteLimit, validate(recordCustomerPaymentSchema), recordCustomerPayment);
+router.post(
+  '/:id/payments/:paymentId/reverse',
+  requireOwner,
+  validate(reverseCustomerPaymentSchema),
+  reverseCustomerPayment
+);
+
+// Credit balance (advances) and refunds of it (owner only)
+router.route('/:id/credit-balance').get(validate(creditBalanceSchema), getCreditBalance);
+router.post(
+  '/:id/refunds',
+  requireOwner,
+  checkWriteLimit,
+  validate(refundCreditBalanceSchema),
+  refundCreditBalance
+);
+
+// Opening balance brought forward (one per customer; edits owner only)
+router.route('/:id/opening-balance')
+  .get(validate(getOpeningBalanceSchema), getOpeningBalance)
+  .put(requireOwner, checkWriteLimit, validate(setOpeningBalanceSchema), setOpeningBalance);
+
 router.route('/:id/notifications').get(validateObjectId('id'), getCustomerNotifications);
 
 // Credit policy routes (Step 4: Hard Control)
@@ -0,0 +1,85 @@
+/**
+ * Customer Import Routes
+ *
+ * Bulk import of customers with opening balances, or of their bills, from CSV/XLSX
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requireOwner} = require('../middleware/permission.middleware');
+const {checkWriteLimit} = require('../middleware/writeLimit.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {
+  uploadCustomerImportSchema,
+  listImportsSchema,
+  getImportSchema,
+  updateImportMappingSchema,
+  importIdSchema,
+} = require('../validators/customerImport.validator');
+const {
+  uploadCustomerImport,
+  uploadBillImport,
+  listImports,
+  getImport,
+  updateImportMapping,
+  commitImport,
+} = require('../controllers/customerImport.controller');
+
+// Import files are uploaded raw; XLSX files exceed the global JSON body limit
+const rawSheetParser = express.raw({
+  type: [
+    'text/csv',
+    'text/plain',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream',
+  ],
+  limit: process.env.IMPORT_UPLOAD_LIMIT || '5mb',
+});
+
+// All routes require authentication and owner permissions
+router.use(protect);
+router.use(requireOwner);
+
+/**
+ * @route   GET /api/imports
+ * @desc    Imports of the business
+ * @access  Private (Owner)
+ */
+router.get('/', validate(listImportsSchema), listImports);
+
+/**
+ * @route   POST /api/imports/customers
+ * @desc    Upload a CSV/XLSX file (raw body, ?fileName) and preview the import (dry run)
+ * @access  Private (Owner)
+ */
+router.post('/customers', rawSheetParser, validate(uploadCustomerImportSchema), uploadCustomerImport);
+
+/**
+ * @route   POST /api/imports/bills
+ * @desc    Upload a CSV/XLSX file of past bills of existing customers (raw body, ?fileName) and preview the import
+ * @access  Private (Owner)
+ */
+router.post('/bills', rawSheetParser, validate(uploadCustomerImportSchema), uploadBillImport);
+
+/**
+ * @route   GET /api/imports/:id
+ * @desc    Import with its rows and per-row errors (?status)
+ * @access  Private (Owner)
+ */
+router.get('/:id', validate(getImportSchema), getImport);
+
+/**
+ * @route   PUT /api/imports/:id/mapping
+ * @desc    Change the column mapping / default as-of date and preview again
+ * @access  Private (Owner)
+ */
+router.put('/:id/mapping', validate(updateImportMappingSchema), updateImportMapping);
+
+/**
+ * @route   POST /api/imports/:id/commit
+ * @desc    Import the valid rows in the background (resumes a failed import)
+ * @access  Private (Owner)
+ */
+router.post('/:id/commit', checkWriteLimit, validate(importIdSchema), commitImport);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const {
   updateItemSchema,
   upsertItemSchema,
 } = require('../validators/item.validator');
+const {adjustStockSchema, listStockMovementsSchema} = require('../validators/stock.validator');
 const {
   listItems,
   getItem,
@@ -16,6 +17,7 @@ const {
   updateItem,
   deleteItem,
 } = require('../controllers/item.controller');
+const {adjustItemStock, listItemStockMovements} = require('../controllers/stock.controller');
 
 // All item routes require authentication
 router.use(protect);
@@ -28,4 +30,8 @@ router.get('/:id', validateObjectId('id'), getItem);
 router.patch('/:id', validateObjectId('id'), validate(updateItemSchema), updateItem);
 router.delete('/:id', validateObjectId('id'), deleteItem);
 
+// Stock
+router.post('/:id/stock-adjustments', validate(adjustStockSchema), adjustItemStock); // Purchase, damage, count...
+router.get('/:id/stock-movements', validate(listStockMovementsSchema), listItemStockMovements);
+
 module.exports = router;
@@ -5,6 +5,7 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth.middleware');
 const { checkTrialExpiry } = require('../middleware/trialExpiry.middleware');
+const { requireOwner } = require('../middleware/permission.middleware');
 const { activatePro, getSubscription } = require('../controllers/pro.controller');
 
 // All routes require authentication
@@ -12,7 +13,7 @@ router.use(protect);
 router.use(checkTrialExpiry);
 
 // POST /api/v1/pro/activate - Activate Pro plan after payment
-router.post('/activate', activatePro);
+router.post('/activate', requireOwner, activatePro);
 
 // GET /api/v1/pro/subscription - Get current subscription status
 router.get('/subscription', getSubscription);
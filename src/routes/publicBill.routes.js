@@ -5,6 +5,14 @@ const {
   getPublicBill,
   getPublicBillJson,
 } = require('../controllers/publicBill.controller');
+const {
+  getPublicStatement,
+  getPublicStatementJson,
+} = require('../controllers/publicStatement.controller');
+const {
+  getPublicCreditNote,
+  getPublicCreditNoteJson,
+} = require('../controllers/publicCreditNote.controller');
 
 // Strict rate limit for public endpoints (60 requests per minute per IP)
 const publicBillLimiter = createRateLimiter({
@@ -26,4 +34,12 @@ router.get('/b/:token.json', getPublicBillJson);
 // Public bill viewer (HTML)
 router.get('/b/:token', getPublicBill);
 
+// Public customer statement (all open bills) - JSON first, same as bills
+router.get('/s/:token.json', getPublicStatementJson);
+router.get('/s/:token', getPublicStatement);
+
+// Public credit note - JSON first, same as bills
+router.get('/cn/:token.json', getPublicCreditNoteJson);
+router.get('/cn/:token', getPublicCreditNote);
+
 module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Purchase Bill Routes
+ *
+ * Bills received from suppliers (payables)
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requireOwner} = require('../middleware/permission.middleware');
+const {checkWriteLimit} = require('../middleware/writeLimit.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {
+  createPurchaseBillSchema,
+  listPurchaseBillsSchema,
+  purchaseBillIdSchema,
+  deletePurchaseBillSchema,
+} = require('../validators/purchaseBill.validator');
+const {
+  createPurchaseBill,
+  listPurchaseBills,
+  getPurchaseBill,
+  deletePurchaseBill,
+} = require('../controllers/purchaseBill.controller');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/purchase-bills
+ * @desc    List purchase bills (?supplierId, ?status)
+ * @access  Private
+ */
+router.get('/', validate(listPurchaseBillsSchema), listPurchaseBills);
+
+/**
+ * @route   POST /api/purchase-bills
+ * @desc    Record a purchase bill (Idempotency-Key header supported)
+ * @access  Private
+ */
+router.post('/', checkWriteLimit, validate(createPurchaseBillSchema), createPurchaseBill);
+
+/**
+ * @route   GET /api/purchase-bills/:id
+ * @access  Private
+ */
+router.get('/:id', validate(purchaseBillIdSchema), getPurchaseBill);
+
+/**
+ * @route   DELETE /api/purchase-bills/:id
+ * @desc    Soft-delete a purchase bill with no payments (reason required)
+ * @access  Private (Owner)
+ */
+router.delete('/:id', requireOwner, validate(deletePurchaseBillSchema), deletePurchaseBill);
+
+module.exports = router;
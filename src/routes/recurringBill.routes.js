@@ -0,0 +1,79 @@
+/**
+ * Recurring Bill Routes
+ *
+ * Templates billing a customer every month / quarter / half year / year
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requirePro} = require('../middleware/requirePro.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {
+  createRecurringBillSchema,
+  updateRecurringBillSchema,
+  listRecurringBillsSchema,
+  recurringBillIdSchema,
+} = require('../validators/recurringBill.validator');
+const {
+  createRecurringBill,
+  listRecurringBills,
+  getRecurringBill,
+  updateRecurringBill,
+  skipRecurringBill,
+  pauseRecurringBill,
+  resumeRecurringBill,
+} = require('../controllers/recurringBill.controller');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/recurring-bills
+ * @desc    List recurring bills (?customerId, ?status)
+ * @access  Private
+ */
+router.get('/', validate(listRecurringBillsSchema), listRecurringBills);
+
+/**
+ * @route   POST /api/recurring-bills
+ * @desc    Create a recurring bill (credit-checked like POST /api/bills)
+ * @access  Private (Pro)
+ */
+router.post('/', requirePro, validate(createRecurringBillSchema), createRecurringBill);
+
+/**
+ * @route   GET /api/recurring-bills/:id
+ * @desc    Get a recurring bill with its latest bills
+ * @access  Private
+ */
+router.get('/:id', validate(recurringBillIdSchema), getRecurringBill);
+
+/**
+ * @route   PATCH /api/recurring-bills/:id
+ * @desc    Update lines, amounts, end date or proration
+ * @access  Private (Pro)
+ */
+router.patch('/:id', requirePro, validate(updateRecurringBillSchema), updateRecurringBill);
+
+/**
+ * @route   POST /api/recurring-bills/:id/skip
+ * @desc    Skip the next occurrence
+ * @access  Private
+ */
+router.post('/:id/skip', validate(recurringBillIdSchema), skipRecurringBill);
+
+/**
+ * @route   POST /api/recurring-bills/:id/pause
+ * @desc    Pause a recurring bill
+ * @access  Private
+ */
+router.post('/:id/pause', validate(recurringBillIdSchema), pauseRecurringBill);
+
+/**
+ * @route   POST /api/recurring-bills/:id/resume
+ * @desc    Resume a paused recurring bill (credit-checked like POST /api/bills)
+ * @access  Private (Pro)
+ */
+router.post('/:id/resume', requirePro, validate(recurringBillIdSchema), resumeRecurringBill);
+
+module.exports = router;
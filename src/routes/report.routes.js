@@ -0,0 +1,79 @@
+/**
+ * Report Routes
+ *
+ * GST returns data and sales register exports for accountants, collections by payment mode,
+ * stock valuation, payables aging, Tally XML export
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requireOwner} = require('../middleware/permission.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {
+  gstr1Schema,
+  salesRegisterSchema,
+  collectionsSchema,
+  stockValuationSchema,
+  tallyExportSchema,
+} = require('../validators/report.validator');
+const {
+  getGstr1,
+  getSalesRegister,
+  getCollections,
+  getStockValuation,
+  getPayablesAging,
+  exportToTally,
+} = require('../controllers/report.controller');
+
+// All routes require authentication and owner permissions
+router.use(protect);
+router.use(requireOwner);
+
+/**
+ * @route   GET /api/v1/reports/gstr1
+ * @desc    GSTR-1 data (B2B, B2CL, B2CS, HSN, credit notes, documents issued)
+ * @query   month (YYYY-MM) or from/to (YYYY-MM-DD), download (optional)
+ * @access  Private (Owner)
+ */
+router.get('/gstr1', validate(gstr1Schema), getGstr1);
+
+/**
+ * @route   GET /api/v1/reports/sales-register
+ * @desc    Sales register for a period
+ * @query   month (YYYY-MM) or from/to (YYYY-MM-DD), format (json|csv)
+ * @access  Private (Owner)
+ */
+router.get('/sales-register', validate(salesRegisterSchema), getSalesRegister);
+
+/**
+ * @route   GET /api/v1/reports/collections
+ * @desc    Collections by payment mode (net of reversals), pending cheques
+ * @query   month (YYYY-MM) or from/to (YYYY-MM-DD)
+ * @access  Private (Owner)
+ */
+router.get('/collections', validate(collectionsSchema), getCollections);
+
+/**
+ * @route   GET /api/v1/reports/stock-valuation
+ * @desc    Stock of tracked items valued at purchase cost, low-stock items flagged
+ * @query   lowStockOnly (optional)
+ * @access  Private (Owner)
+ */
+router.get('/stock-valuation', validate(stockValuationSchema), getStockValuation);
+
+/**
+ * @route   GET /api/v1/reports/payables-aging
+ * @desc    What is owed per supplier by days past due
+ * @access  Private (Owner)
+ */
+router.get('/payables-aging', getPayablesAging);
+
+/**
+ * @route   POST /api/v1/reports/tally-export
+ * @desc    Tally XML import file: customer ledgers, sales, receipts, credit notes
+ * @body    month (YYYY-MM) or from/to (YYYY-MM-DD), changedOnly (since the last export)
+ * @access  Private (Owner)
+ */
+router.post('/tally-export', validate(tallyExportSchema), exportToTally);
+
+module.exports = router;
@@ -10,12 +10,33 @@ const router = express.Router();
 const {protect} = require('../middleware/auth.middleware');
 const {requireOwner} = require('../middleware/permission.middleware');
 const {validate} = require('../middleware/validation.middleware');
-const {updateSettingsSchema} = require('../validators/settings.validator');
+const {
+  updateSettingsSchema,
+  updateUpiSettingsSchema,
+  updateChequeSettingsSchema,
+  updateTallySettingsSchema,
+  updateGstSettingsSchema,
+  updateRecoveryLadderSchema,
+  getRecoveryLadderSchema,
+  updateNumberSeriesSchema,
+} = require('../validators/settings.validator');
 const {
   getSettings,
   updateSettings,
   getInterestPolicy,
   updateInterestPolicy,
+  getUpiSettings,
+  updateUpiSettings,
+  getChequeSettings,
+  updateChequeSettings,
+  getTallySettings,
+  updateTallySettings,
+  getGstSettings,
+  updateGstSettings,
+  getRecoveryLadder,
+  updateRecoveryLadder,
+  getNumberSeries,
+  updateNumberSeries,
 } = require('../controllers/settings.controller');
 const {
   updateKillSwitches,
@@ -61,6 +82,114 @@ router.get('/interest-policy', getInterestPolicy);
  */
 router.patch('/interest-policy', updateInterestPolicy);
 
+/**
+ * UPI PAYMENT ROUTES
+ */
+
+/**
+ * @route   GET /api/settings/upi
+ * @desc    Get UPI payee settings
+ * @access  Private
+ */
+router.get('/upi', getUpiSettings);
+
+/**
+ * @route   PATCH /api/settings/upi
+ * @desc    Update UPI VPA / payee name (owner only)
+ * @access  Private (Owner)
+ */
+router.patch('/upi', requireOwner, validate(updateUpiSettingsSchema), updateUpiSettings);
+
+/**
+ * CHEQUE ROUTES
+ */
+
+/**
+ * @route   GET /api/settings/cheques
+ * @desc    Get cheque settings (bounce charge)
+ * @access  Private
+ */
+router.get('/cheques', getChequeSettings);
+
+/**
+ * @route   PATCH /api/settings/cheques
+ * @desc    Update cheque bounce charge (owner only)
+ * @access  Private (Owner)
+ */
+router.patch('/cheques', requireOwner, validate(updateChequeSettingsSchema), updateChequeSettings);
+
+/**
+ * TALLY ROUTES
+ */
+
+/**
+ * @route   GET /api/settings/tally
+ * @desc    Get Tally export settings (ledger names, last export)
+ * @access  Private
+ */
+router.get('/tally', getTallySettings);
+
+/**
+ * @route   PATCH /api/settings/tally
+ * @desc    Update Tally company and ledger names (owner only)
+ * @access  Private (Owner)
+ */
+router.patch('/tally', requireOwner, validate(updateTallySettingsSchema), updateTallySettings);
+
+/**
+ * GST ROUTES
+ */
+
+/**
+ * @route   GET /api/settings/gst
+ * @desc    Get GST registration (GSTIN, state) for tax invoices
+ * @access  Private
+ */
+router.get('/gst', getGstSettings);
+
+/**
+ * @route   PATCH /api/settings/gst
+ * @desc    Update GST registration (owner only)
+ * @access  Private (Owner)
+ */
+router.patch('/gst', requireOwner, validate(updateGstSettingsSchema), updateGstSettings);
+
+/**
+ * RECOVERY LADDER ROUTES
+ */
+
+/**
+ * @route   GET /api/settings/recovery-ladder
+ * @desc    Get active recovery escalation ladder (?version=N for a past version)
+ * @access  Private
+ */
+router.get('/recovery-ladder', validate(getRecoveryLadderSchema), getRecoveryLadder);
+
+/**
+ * @route   PUT /api/settings/recovery-ladder
+ * @desc    Save a new recovery ladder version (owner only)
+ * @access  Private (Owner)
+ */
+router.put('/recovery-ladder', requireOwner, validate(updateRecoveryLadderSchema), updateRecoveryLadder);
+
+/**
+ * NUMBER SERIES ROUTES
+ */
+
+/**
+ * @route   GET /api/settings/number-series
+ * @desc    Get invoice / receipt / credit note numbering and next numbers
+ * @access  Private
+ */
+router.get('/number-series', getNumberSeries);
+
+/**
+ * @route   PATCH /api/settings/number-series/:series
+ * @desc    Update series prefix/suffix/padding/yearly reset or starting number (owner only)
+ * @access  Private (Owner)
+ */
+router.patch('/number-series/:series', requireOwner, validate(updateNumberSeriesSchema), updateNumberSeries);
+
 /**
  * STEP 23: KILL-SWITCH ROUTES
  */
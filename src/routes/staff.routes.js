@@ -0,0 +1,52 @@
+/**
+ * Staff Routes
+ *
+ * Multi-user businesses: team members and invitations
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requireOwner} = require('../middleware/permission.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {validateObjectId} = require('../middleware/validateObjectId.middleware');
+const {createInviteSchema} = require('../validators/staff.validator');
+const {
+  listStaff,
+  createInvite,
+  revokeInvite,
+  revokeMember,
+} = require('../controllers/staff.controller');
+
+// All routes require authentication and owner permissions
+router.use(protect);
+router.use(requireOwner);
+
+/**
+ * @route   GET /api/v1/staff
+ * @desc    List team members, pending invites and seat usage
+ * @access  Private (Owner)
+ */
+router.get('/', listStaff);
+
+/**
+ * @route   POST /api/v1/staff/invites
+ * @desc    Invite staff by mobile number (uses a seat)
+ * @access  Private (Owner)
+ */
+router.post('/invites', validate(createInviteSchema), createInvite);
+
+/**
+ * @route   DELETE /api/v1/staff/invites/:inviteId
+ * @desc    Cancel a pending invite
+ * @access  Private (Owner)
+ */
+router.delete('/invites/:inviteId', validateObjectId('inviteId'), revokeInvite);
+
+/**
+ * @route   POST /api/v1/staff/:userId/revoke
+ * @desc    Revoke a staff member's access
+ * @access  Private (Owner)
+ */
+router.post('/:userId/revoke', validateObjectId('userId'), revokeMember);
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * Supplier Routes
+ *
+ * Suppliers, their ledger and payments made to them (payables)
+ */
+const express = require('express');
+const router = express.Router();
+const {protect} = require('../middleware/auth.middleware');
+const {requireOwner} = require('../middleware/permission.middleware');
+const {checkWriteLimit} = require('../middleware/writeLimit.middleware');
+const {validate} = require('../middleware/validation.middleware');
+const {
+  createSupplierSchema,
+  updateSupplierSchema,
+  deleteSupplierSchema,
+  supplierIdSchema,
+  supplierLedgerSchema,
+} = require('../validators/supplier.validator');
+const {
+  recordSupplierPaymentSchema,
+  listSupplierPaymentsSchema,
+  reverseSupplierPaymentSchema,
+} = require('../validators/supplierPayment.validator');
+const {
+  getSuppliers,
+  createSupplier,
+  getSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierLedger,
+} = require('../controllers/supplier.controller');
+const {
+  recordSupplierPayment,
+  listSupplierPayments,
+  reverseSupplierPayment,
+} = require('../controllers/supplierPayment.controller');
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/suppliers
+ * @route   POST /api/suppliers
+ * @desc    List suppliers / create a supplier
+ * @access  Private
+ */
+router.route('/')
+  .get(getSuppliers)
+  .post(checkWriteLimit, validate(createSupplierSchema), createSupplier);
+
+/**
+ * @route   GET /api/suppliers/:id
+ * @route   PUT /api/suppliers/:id
+ * @route   DELETE /api/suppliers/:id
+ * @desc    Supplier with open purchase bills / update / soft-delete (owner only, nothing owed)
+ * @access  Private
+ */
+router.route('/:id')
+  .get(validate(supplierIdSchema), getSupplier)
+  .put(checkWriteLimit, validate(updateSupplierSchema), updateSupplier)
+  .delete(requireOwner, checkWriteLimit, validate(deleteSupplierSchema), deleteSupplier);
+
+/**
+ * @route   GET /api/suppliers/:id/ledger
+ * @desc    Supplier ledger (?page, ?limit)
+ * @access  Private
+ */
+router.get('/:id/ledger', validate(supplierLedgerSchema), getSupplierLedger);
+
+/**
+ * @route   GET /api/suppliers/:id/payments
+ * @route   POST /api/suppliers/:id/payments
+ * @desc    Payments made to a supplier, allocated across open purchase bills
+ * @access  Private
+ */
+router.route('/:id/payments')
+  .get(validate(listSupplierPaymentsSchema), listSupplierPayments)
+  .post(checkWriteLimit, validate(recordSupplierPaymentSchema), recordSupplierPayment);
+
+/**
+ * @route   POST /api/suppliers/:id/payments/:paymentId/reverse
+ * @desc    Reverse a payment made (un-allocates it from its purchase bills)
+ * @access  Private (Owner)
+ */
+router.post(
+  '/:id/payments/:paymentId/reverse',
+  requireOwner,
+  validate(reverseSupplierPaymentSchema),
+  reverseSupplierPayment
+);
+
+module.exports = router;
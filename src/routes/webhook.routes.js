@@ -2,23 +2,46 @@
  * Webhook Routes - Payment Provider Webhooks
  * 
  * CRITICAL: These routes require raw body for signature verification.
- * Do NOT use express.json() middleware on these routes.
+ * app.js parses /webhooks with express.json({verify}) to capture req.rawBody.
  */
 
 const express = require('express');
 const router = express.Router();
 const {handleRazorpayWebhook} = require('../controllers/webhook.controller');
+const {
+  verifyWhatsAppWebhook,
+  handleWhatsAppWebhook,
+} = require('../controllers/whatsappWebhook.controller');
+const {handleSmsDeliveryReport} = require('../controllers/smsWebhook.controller');
 
 /**
  * Razorpay webhook endpoint
  * 
  * @route   POST /webhooks/razorpay
  * @access  Public (with signature verification)
- * @desc    Receives payment events from Razorpay
+ * @desc    Receives payment events from Razorpay (Pro payments, bill payment links)
  * 
  * IMPORTANT: This route must preserve raw body for signature verification.
- * The rawBody middleware should be applied in app.js/server.js BEFORE express.json().
+ * The rawBody middleware is applied in app.js BEFORE the global express.json().
  */
 router.post('/razorpay', handleRazorpayWebhook);
 
+/**
+ * WhatsApp Cloud API webhook (message status receipts)
+ * 
+ * @route   GET /webhooks/whatsapp  - subscription handshake (hub.challenge)
+ * @route   POST /webhooks/whatsapp - sent/delivered/read/failed receipts
+ * @access  Public (verify token / X-Hub-Signature-256)
+ */
+router.get('/whatsapp', verifyWhatsAppWebhook);
+router.post('/whatsapp', handleWhatsAppWebhook);
+
+/**
+ * SMS delivery reports (DLR)
+ * 
+ * @route   POST /webhooks/sms/:provider (e.g. /webhooks/sms/msg91?token=...)
+ * @access  Public (shared token, SMS_DLR_WEBHOOK_TOKEN)
+ */
+router.post('/sms/:provider', handleSmsDeliveryReport);
+
 module.exports = router;
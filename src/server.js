@@ -31,6 +31,9 @@ const {startNotificationDeliveryCron} = require('./cron/notificationDelivery.cro
 const {startNotificationGenerationCron} = require('./cron/notificationGeneration.cron');
 const {scheduleIntegrityChecks} = require('./cron/integrityCheck.cron');
 const {startRecoveryTaskCron} = require('./cron/recoveryTaskProcessing.cron');
+const {startBackupCleanupCron} = require('./cron/backupCleanup.cron');
+const {startRecurringBillsCron} = require('./cron/recurringBills.cron');
+const {startPayablesReminderCron} = require('./cron/payablesReminder.cron');
 
 // Connect to database
 connectDB();
@@ -47,10 +50,17 @@ const server = app.listen(PORT, () => {
   startNotificationDeliveryCron();
   startNotificationGenerationCron(); // Notification generation (15min + daily)
   scheduleIntegrityChecks();
+  startBackupCleanupCron(); // Delete export archives older than 7 days
   
   // MULTI-INSTANCE SAFE: Recovery cron uses distributed lock (CronLock model)
   // Safe to start on all instances - only ONE will execute per interval
   startRecoveryTaskCron(); // Recovery task processing (every 10 minutes)
+
+  // MULTI-INSTANCE SAFE: each occurrence is billed once (idempotency key + guarded update)
+  startRecurringBillsCron(); // Recurring bill templates -> bills (daily 06:00 IST)
+
+  // MULTI-INSTANCE SAFE: one reminder per business per day (notification idempotency key)
+  startPayablesReminderCron(); // Supplier bills due / overdue (daily 09:00 IST)
 });
 
 // Handle listen errors
@@ -0,0 +1,356 @@
+/**
+ * Advance Service
+ *
+ * Money held for a customer (their credit balance) comes from two sources:
+ * - Customer payments: the part not allocated to bills (unallocatedAmount)
+ * - Credit notes: the part above what the bill still owed (unappliedAmount)
+ *
+ * Customer.advanceBalance is the running total of both. Advances are used
+ * oldest first, either:
+ * - Allocated to open bills (oldest due first) as bills are created: the bill
+ *   is settled and the allocation recorded on the payment / credit note, so a
+ *   reversed payment takes its bills back with it
+ * - Refunded to the customer (ledger credit, audited)
+ *
+ * No ledger entry is booked when an advance settles a bill: the money was
+ * already on the ledger when it was received or credited.
+ */
+const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
+const Customer = require('../models/Customer');
+const CustomerPayment = require('../models/CustomerPayment');
+const CustomerRefund = require('../models/CustomerRefund');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {atomicReleaseCredit} = require('./creditControlAtomic.service');
+const {settleBill, rollbackAllocations} = require('./customerPayment.service');
+const {planAllocations} = require('./paymentLink.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Where advances are held and how their use is recorded
+const ADVANCE_SOURCES = {
+  PAYMENT: {
+    model: CustomerPayment,
+    filter: {status: 'active'},
+    remainingField: 'unallocatedAmount',
+    allocationsField: 'allocations',
+    documentNo: doc => doc.receiptNo,
+    label: doc => `Receipt ${doc.receiptNo}`,
+  },
+  CREDIT_NOTE: {
+    model: CreditNote,
+    filter: {},
+    remainingField: 'unappliedAmount',
+    allocationsField: 'adjustments',
+    documentNo: doc => doc.creditNoteNo,
+    label: doc => `Credit note ${doc.creditNoteNo}`,
+  },
+};
+
+/**
+ * Advances held for a customer, oldest first
+ *
+ * @returns {Promise<Array>} [{type, sourceId, documentNo, label, remaining, createdAt}]
+ */
+async function loadAdvances(userId, customerId) {
+  const lists = await Promise.all(Object.entries(ADVANCE_SOURCES).map(async ([type, source]) => {
+    const docs = await source.model.find({
+      userId,
+      customerId,
+      ...source.filter,
+      [source.remainingField]: {$gt: 0},
+    }).lean();
+
+    return docs.map(doc => ({
+      type,
+      sourceId: doc._id,
+      documentNo: source.documentNo(doc),
+      label: source.label(doc),
+      remaining: doc[source.remainingField],
+      createdAt: doc.createdAt,
+    }));
+  }));
+
+  return lists.flat().sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Take `amount` off an advance if it has not changed since it was read
+ *
+ * @param {Object} advance - Entry from loadAdvances
+ * @param {number} amount - Amount used
+ * @param {Object} update - Extra update (e.g. {$push: {allocations: ...}})
+ * @returns {Promise<Object|null>} Updated document, or null when the advance changed
+ */
+function claimAdvance(advance, amount, update = {}) {
+  const source = ADVANCE_SOURCES[advance.type];
+
+  return source.model.findOneAndUpdate(
+    {_id: advance.sourceId, ...source.filter, [source.remainingField]: advance.remaining},
+    {...update, $inc: {...update.$inc, [source.remainingField]: -amount}},
+    {new: true}
+  );
+}
+
+/**
+ * Give back advance claimed for a refund that did not go through
+ */
+async function releaseRefundClaims(sources) {
+  for (const source of sources) {
+    const {model, remainingField} = ADVANCE_SOURCES[source.type];
+    await model.updateOne(
+      {_id: source.sourceId},
+      {$inc: {[remainingField]: source.amount, refundedAmount: -source.amount}}
+    );
+  }
+}
+
+/**
+ * Allocate a customer's advances to their open bills (oldest due first)
+ *
+ * Stops at the first bill that changed meanwhile; an advance that changed
+ * meanwhile (refunded, reversed) is skipped. Whatever is not applied stays held.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.customerId - Customer ID
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {applied, bills} - amount applied and the bills it settled
+ */
+async function applyAdvances({userId, customerId, requestId}) {
+  const advances = await loadAdvances(userId, customerId);
+  if (advances.length === 0) {
+    return {applied: 0, bills: []};
+  }
+
+  const openBills = await Bill.find({
+    userId,
+    customerId,
+    isDeleted: false,
+    status: {$in: ['unpaid', 'partial']},
+  }).lean();
+  const available = round2(advances.reduce((sum, advance) => sum + advance.remaining, 0));
+  const plan = planAllocations(openBills, available);
+  const billsById = new Map(openBills.map(bill => [String(bill._id), bill]));
+
+  let applied = 0;
+  let index = 0;
+  let billChanged = false;
+  const settledBills = new Map();
+
+  for (const allocation of plan.allocations) {
+    if (billChanged) break;
+
+    let bill = billsById.get(String(allocation.billId));
+    let toApply = allocation.amount;
+
+    while (toApply > 0 && index < advances.length) {
+      const advance = advances[index];
+      const share = round2(Math.min(toApply, advance.remaining));
+
+      const settled = await settleBill(bill, share);
+      if (!settled) {
+        logger.warn('[Advance] Bill changed while applying advances, stopping', {userId, billId: bill._id});
+        billChanged = true;
+        break;
+      }
+
+      const source = ADVANCE_SOURCES[advance.type];
+      const claimed = await claimAdvance(advance, share, {
+        $push: {[source.allocationsField]: {billId: bill._id, billNo: bill.billNo, amount: share, appliedAt: new Date()}},
+      });
+      if (!claimed) {
+        await rollbackAllocations(userId, [{bill, amount: share}]);
+        index++;
+        continue;
+      }
+
+      bill = {...bill, paidAmount: settled.paidAmount};
+      settledBills.set(String(bill._id), settled);
+      advance.remaining = round2(advance.remaining - share);
+      toApply = round2(toApply - share);
+      applied = round2(applied + share);
+      if (advance.remaining <= 0) {
+        index++;
+      }
+    }
+  }
+
+  if (applied > 0) {
+    await Customer.updateOne({_id: customerId, userId}, {$inc: {advanceBalance: -applied}});
+    await atomicReleaseCredit({
+      userId,
+      customerId,
+      delta: applied,
+      reason: 'ADVANCE_APPLIED',
+      requestId,
+    });
+
+    logger.info('[Advance] Advances applied to bills', {
+      userId,
+      customerId,
+      applied,
+      bills: settledBills.size,
+      requestId,
+    });
+  }
+
+  return {applied, bills: [...settledBills.values()]};
+}
+
+/**
+ * Credit balance of a customer: advances held and refunds made
+ *
+ * @returns {Promise<Object>} {advanceBalance, balance, advances, refunds} - balance: net, negative when in credit
+ */
+async function getCreditBalance({userId, customerId}) {
+  const customer = await Customer.findOne({_id: customerId, userId}).select('creditOutstanding advanceBalance').lean();
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  const [advances, refunds] = await Promise.all([
+    loadAdvances(userId, customerId),
+    CustomerRefund.find({userId, customerId}).sort({createdAt: -1}).limit(50).lean(),
+  ]);
+
+  return {
+    advanceBalance: customer.advanceBalance || 0,
+    balance: Customer.netBalance(customer),
+    advances,
+    refunds,
+  };
+}
+
+/**
+ * Pay back (part of) a customer's credit balance
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.customerId - Customer ID
+ * @param {number} params.amount - Amount paid back
+ * @param {string} [params.mode] - How it was paid back (defaults to CASH)
+ * @param {string} [params.reference] - UTR, cheque number...
+ * @param {Date} [params.refundDate] - When it was paid back (defaults to now)
+ * @param {string} [params.reason] - Why
+ * @param {string} [params.idempotencyKey] - Replays return the refund already made
+ * @param {string} params.actorUserId - User making the refund
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {refund, duplicate}
+ * @throws {AppError} NOT_FOUND, INSUFFICIENT_CREDIT_BALANCE, REFUND_CONFLICT
+ */
+async function refundCreditBalance({
+  userId,
+  customerId,
+  amount,
+  mode = 'CASH',
+  reference,
+  refundDate,
+  reason,
+  idempotencyKey,
+  actorUserId,
+  requestId,
+}) {
+  if (idempotencyKey) {
+    const existing = await CustomerRefund.findOne({userId, idempotencyKey});
+    if (existing) {
+      return {refund: existing, duplicate: true};
+    }
+  }
+
+  const customer = await Customer.findOne({_id: customerId, userId}).select('_id').lean();
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  const advances = await loadAdvances(userId, customerId);
+  const available = round2(advances.reduce((sum, advance) => sum + advance.remaining, 0));
+  if (round2(amount) > available) {
+    throw new AppError(`Only ₹${available} is held for this customer`, 400, 'INSUFFICIENT_CREDIT_BALANCE');
+  }
+
+  // Claim oldest advances first; any change meanwhile undoes the claims
+  const sources = [];
+  let toRefund = round2(amount);
+  for (const advance of advances) {
+    if (toRefund <= 0) break;
+
+    const share = round2(Math.min(toRefund, advance.remaining));
+    const claimed = await claimAdvance(advance, share, {$inc: {refundedAmount: share}});
+    if (!claimed) {
+      await releaseRefundClaims(sources);
+      throw new AppError('Credit balance changed while refunding. Please retry.', 409, 'REFUND_CONFLICT');
+    }
+
+    sources.push({type: advance.type, sourceId: advance.sourceId, documentNo: advance.documentNo, amount: share});
+    toRefund = round2(toRefund - share);
+  }
+
+  let refund;
+  try {
+    refund = await CustomerRefund.create({
+      userId,
+      customerId,
+      amount: round2(amount),
+      mode,
+      reference: reference || null,
+      refundDate: refundDate || new Date(),
+      reason: reason || '',
+      sources,
+      refundedBy: actorUserId,
+      idempotencyKey: idempotencyKey || null,
+    });
+  } catch (error) {
+    await releaseRefundClaims(sources);
+
+    // Same idempotency key refunded concurrently: return that refund
+    if (error.code === 11000 && idempotencyKey && error.keyPattern?.idempotencyKey) {
+      const existing = await CustomerRefund.findOne({userId, idempotencyKey});
+      return {refund: existing, duplicate: true};
+    }
+    throw error;
+  }
+
+  await Customer.updateOne({_id: customerId, userId}, {$inc: {advanceBalance: -refund.amount}});
+
+  const ledgerTransaction = await LedgerTransaction.create({
+    userId,
+    customerId,
+    type: 'credit',
+    amount: refund.amount,
+    source: 'adjustment',
+    note: `Refund paid${reason ? ` - ${reason}` : ''}`,
+    paymentMode: refund.mode,
+    paymentReference: refund.reference,
+    paymentDate: refund.refundDate,
+    metadata: {
+      source: 'customer_refund',
+      refundId: refund._id,
+      sources: refund.sources,
+    },
+    idempotencyKey: `customer_refund_${refund._id}`,
+  });
+
+  await CustomerRefund.updateOne({_id: refund._id}, {$set: {ledgerTransactionId: ledgerTransaction._id}});
+  refund.ledgerTransactionId = ledgerTransaction._id;
+
+  logger.info('[Advance] Credit balance refunded', {
+    userId,
+    customerId,
+    amount: refund.amount,
+    mode: refund.mode,
+    sources: sources.length,
+    requestId,
+  });
+
+  return {refund, duplicate: false};
+}
+
+module.exports = {
+  loadAdvances,
+  applyAdvances,
+  getCreditBalance,
+  refundCreditBalance,
+};
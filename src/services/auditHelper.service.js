@@ -14,7 +14,42 @@ const logger = require('../utils/logger');
 const FIELD_WHITELISTS = {
   BILL: [
     'billNo', 'grandTotal', 'paidAmount', 'status', 'dueDate',
-    'discount', 'tax', 'subTotal', 'notes', 'items',
+    'discount', 'tax', 'subTotal', 'notes', 'items', 'gst', 'version', 'creditedAmount',
+  ],
+  CREDIT_NOTE: [
+    'creditNoteNo', 'billNo', 'items', 'grandTotal', 'appliedAmount', 'reason',
+  ],
+  PAYMENT: [
+    'receiptNo', 'amount', 'mode', 'reference', 'paymentDate', 'cheque',
+    'allocationMode', 'allocations', 'unallocatedAmount', 'refundedAmount', 'status', 'reversalReason',
+  ],
+  REFUND: [
+    'amount', 'mode', 'reference', 'refundDate', 'reason', 'sources',
+  ],
+  ITEM: [
+    'name', 'defaultPrice', 'unit', 'trackStock', 'stockQty', 'reorderLevel', 'purchaseCost', 'isActive',
+  ],
+  RECURRING_BILL: [
+    'name', 'items', 'discount', 'tax', 'frequency', 'dayOfMonth', 'startDate', 'endDate',
+    'prorate', 'dueInDays', 'status', 'nextRunDate', 'skippedDates',
+  ],
+  SUPPLIER: [
+    'name', 'phone', 'gstin', 'address', 'paymentTermsDays', 'payableOutstanding',
+  ],
+  PURCHASE_BILL: [
+    'billNo', 'billDate', 'items', 'subTotal', 'discount', 'tax', 'grandTotal', 'paidAmount', 'status', 'dueDate',
+  ],
+  SUPPLIER_PAYMENT: [
+    'amount', 'mode', 'reference', 'paymentDate', 'allocationMode', 'allocations', 'status', 'reversalReason',
+  ],
+  EXPENSE: [
+    'kind', 'category', 'amount', 'mode', 'reference', 'expenseDate', 'note', 'isDeleted', 'deleteReason',
+  ],
+  DAY_CLOSE: [
+    'date', 'openingCash', 'cashIn', 'cashOut', 'expectedCash', 'countedCash', 'variance', 'note',
+  ],
+  LEDGER: [
+    'type', 'amount', 'note', 'source', 'asOfDate', 'paymentMode', 'paymentReference', 'paymentDate',
   ],
   CUSTOMER: [
     'name', 'phone',
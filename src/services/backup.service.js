@@ -0,0 +1,817 @@
+/**
+ * Backup Service
+ *
+ * Builds versioned, checksummed business archives and restores them
+ * Step 10: Data Export + Restore
+ *
+ * ARCHIVE FORMAT (gzipped JSON):
+ * {
+ *   manifest: {formatVersion, exportedAt, businessId, appVersion, counts, checksums, notes},
+ *   collections: {customers: [...], items: [...], bills: [...], ...}
+ * }
+ *
+ * Checksums are SHA-256 over the JSON serialization of each collection array,
+ * so any edit to the archive after export is detected before restore.
+ *
+ * RESTORE MODES:
+ * - NEW_BUSINESS: target business must have no customers/bills yet
+ * - OVERWRITE: existing business data is wiped, then replaced by the archive
+ *
+ * Every restored document gets a fresh _id and all references are remapped,
+ * so an archive can be restored next to the business it was exported from.
+ * Idempotency keys built from archived ids (e.g. `bill_<billId>_amend_v2`,
+ * `opening_<customerId>`) are rewritten with the new ids, so retries and
+ * one-per-document guards keep working against the restored documents.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const {promisify} = require('util');
+const mongoose = require('mongoose');
+const ExportJob = require('../models/ExportJob');
+const RestoreJob = require('../models/RestoreJob');
+const Customer = require('../models/Customer');
+const Item = require('../models/Item');
+const Bill = require('../models/Bill');
+const BillVersion = require('../models/BillVersion');
+const CreditNote = require('../models/CreditNote');
+const CustomerPayment = require('../models/CustomerPayment');
+const CustomerRefund = require('../models/CustomerRefund');
+const RecurringBill = require('../models/RecurringBill');
+const StockMovement = require('../models/StockMovement');
+const Supplier = require('../models/Supplier');
+const PurchaseBill = require('../models/PurchaseBill');
+const SupplierPayment = require('../models/SupplierPayment');
+const SupplierLedgerTransaction = require('../models/SupplierLedgerTransaction');
+const Expense = require('../models/Expense');
+const DayClose = require('../models/DayClose');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const RecoveryCase = require('../models/RecoveryCase');
+const RecoveryLadder = require('../models/RecoveryLadder');
+const FollowUpTask = require('../models/FollowUpTask');
+const BusinessSettings = require('../models/BusinessSettings');
+const DocumentCounter = require('../models/DocumentCounter');
+const {createAuditEvent} = require('./auditHelper.service');
+const logger = require('../utils/logger');
+const {version: appVersion} = require('../../package.json');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BACKUP_FORMAT_VERSION = '1';
+const SUPPORTED_FORMAT_VERSIONS = ['1'];
+// Job records outlive the archive file (removed after 7 days by backupCleanup.cron)
+const EXPORT_JOB_TTL_DAYS = 14;
+// Uploads are untrusted: a small gzip file can inflate to gigabytes
+const MAX_ARCHIVE_UNCOMPRESSED_BYTES = Number(process.env.BACKUP_MAX_UNCOMPRESSED_BYTES) || 256 * 1024 * 1024;
+
+/**
+ * Directory where export archives and uploaded restore files are kept
+ */
+const getBackupDir = () => path.resolve(process.env.BACKUP_DIR || 'backups');
+
+/**
+ * Business-scoped collections included in a backup (restore order)
+ *
+ * refs: fields holding ids of other archived documents.
+ * - required refs: document is skipped on restore if the target is missing
+ * - optional refs: reference is cleared if the target is missing
+ * Dotted paths descend into arrays (e.g. bill line items).
+ * collection may list several collections for refs that point at more than
+ * one kind of document (e.g. refund sources).
+ *
+ * prepare: optional fix-up of an archived document before it is inserted
+ * (e.g. fields added in later app versions).
+ */
+const BACKUP_COLLECTIONS = [
+  {key: 'customers', model: Customer, refs: []},
+  {key: 'items', model: Item, refs: []},
+  {
+    key: 'bills',
+    model: Bill,
+    refs: [
+      {path: 'customerId', collection: 'customers', required: true},
+      {path: 'items.itemId', collection: 'items', required: false},
+      {path: 'recurringBillId', collection: 'recurringBills', required: false},
+    ],
+  },
+  {
+    key: 'billVersions',
+    model: BillVersion,
+    refs: [
+      {path: 'billId', collection: 'bills', required: true},
+      {path: 'items.itemId', collection: 'items', required: false},
+    ],
+  },
+  {
+    key: 'recurringBills',
+    model: RecurringBill,
+    refs: [
+      {path: 'customerId', collection: 'customers', required: true},
+      {path: 'items.itemId', collection: 'items', required: false},
+      {path: 'lastRun.billId', collection: 'bills', required: false},
+    ],
+  },
+  {
+    key: 'creditNotes',
+    model: CreditNote,
+    refs: [
+      {path: 'customerId', collection: 'customers', required: true},
+      {path: 'billId', collection: 'bills', required: true},
+      {path: 'items.itemId', collection: 'items', required: false},
+      {path: 'adjustments.billId', collection: 'bills', required: true},
+    ],
+  },
+  {
+    key: 'customerPayments',
+    model: CustomerPayment,
+    refs: [
+      {path: 'customerId', collection: 'customers', required: true},
+      {path: 'allocations.billId', collection: 'bills', required: true},
+      {path: 'ledgerTransactionId', collection: 'ledgerTransactions', required: false},
+    ],
+  },
+  {
+    key: 'customerRefunds',
+    model: CustomerRefund,
+    refs: [
+      {path: 'customerId', collection: 'customers', required: true},
+      {path: 'sources.sourceId', collection: ['customerPayments', 'creditNotes'], required: true},
+      {path: 'ledgerTransactionId', collection: 'ledgerTransactions', required: false},
+    ],
+  },
+  {
+    key: 'stockMovements',
+    model: StockMovement,
+    refs: [
+      {path: 'itemId', collection: 'items', required: true},
+      {path: 'billId', collection: 'bills', required: false},
+      {path: 'creditNoteId', collection: 'creditNotes', required: false},
+      {path: 'purchaseBillId', collection: 'purchaseBills', required: false},
+    ],
+  },
+  {key: 'suppliers', model: Supplier, refs: []},
+  {
+    key: 'purchaseBills',
+    model: PurchaseBill,
+    refs: [
+      {path: 'supplierId', collection: 'suppliers', required: true},
+      {path: 'items.itemId', collection: 'items', required: false},
+    ],
+  },
+  {
+    key: 'supplierPayments',
+    model: SupplierPayment,
+    refs: [
+      {path: 'supplierId', collection: 'suppliers', required: true},
+      {path: 'allocations.purchaseBillId', collection: 'purchaseBills', required: true},
+    ],
+  },
+  {
+    key: 'supplierLedgerTransactions',
+    model: SupplierLedgerTransaction,
+    refs: [
+      {path: 'supplierId', collection: 'suppliers', required: true},
+      {path: 'metadata.purchaseBillId', collection: 'purchaseBills', required: false},
+      {path: 'metadata.paymentId', collection: 'supplierPayments', required: false},
+      {path: 'metadata.allocations.purchaseBillId', collection: 'purchaseBills', required: false},
+    ],
+  },
+  {key: 'expenses', model: Expense, refs: []},
+  {key: 'dayCloses', model: DayClose, refs: []},
+  {
+    key: 'ledgerTransactions',
+    model: LedgerTransaction,
+    refs: [
+      {path: 'customerId', collection: 'customers', required: true},
+      {path: 'metadata.billId', collection: 'bills', required: false},
+      {path: 'metadata.creditNoteId', collection: 'creditNotes', required: false},
+      {path: 'metadata.paymentId', collection: 'customerPayments', required: false},
+      {path: 'metadata.refundId', collection: 'customerRefunds', required: false},
+      {path: 'metadata.recurringBillId', collection: 'recurringBills', required: false},
+      {path: 'metadata.allocations.billId', collection: 'bills', required: false},
+    ],
+    // Opening balances exported before asOfDate existed kept the date in metadata
+    prepare: doc => {
+      if (doc.source === 'opening' && !doc.asOfDate) {
+        doc.asOfDate = doc.metadata?.asOfDate || doc.createdAt;
+      }
+    },
+  },
+  // Versions keep their numbers: settings and recovery tasks point at them
+  {key: 'recoveryLadders', model: RecoveryLadder, refs: []},
+  {
+    key: 'recoveryCases',
+    model: RecoveryCase,
+    refs: [{path: 'customerId', collection: 'customers', required: true}],
+  },
+  {
+    key: 'followUpTasks',
+    model: FollowUpTask,
+    refs: [
+      {path: 'customerId', collection: 'customers', required: true},
+      {path: 'parentFollowupId', collection: 'followUpTasks', required: false},
+    ],
+  },
+];
+
+/**
+ * Settings fields that belong to the account/plan, not the business data.
+ * These are never copied from an archive.
+ */
+const SETTINGS_EXCLUDED_FIELDS = [
+  '_id', '__v', 'userId', 'businessId', 'createdAt', 'updatedAt', 'updatedBy',
+  'planName', 'seatsIncluded', 'premiumInsightsEnabled', 'premiumInsightsCustomerCap',
+  'planEffectiveAt', 'planUpdatedAt',
+  'pilotModeEnabled', 'pilotModeEnabledAt', 'pilotModeEnabledBy', 'pilotModeProfile',
+  'globalKillSwitch', 'globalKillSwitchActivatedAt', 'globalKillSwitchActivatedBy',
+  'featureKillSwitches',
+];
+
+/**
+ * Compute SHA-256 checksum of a collection array
+ */
+function computeChecksum(docs) {
+  return crypto.createHash('sha256').update(JSON.stringify(docs || [])).digest('hex');
+}
+
+/**
+ * Build archive object for a business
+ * @param {string} businessId - Business (owner user) ID
+ * @returns {Promise<Object>} {manifest, collections}
+ */
+async function buildArchive(businessId) {
+  const collections = {};
+
+  for (const {key, model} of BACKUP_COLLECTIONS) {
+    const docs = await model.find({userId: businessId}).sort({createdAt: 1}).lean();
+    // Round-trip through JSON so ObjectIds/Dates match what is written to disk
+    collections[key] = JSON.parse(JSON.stringify(docs));
+  }
+
+  const settings = await BusinessSettings.findOne({userId: businessId}).lean();
+  collections.settings = settings ? [JSON.parse(JSON.stringify(settings))] : [];
+
+  const counts = {};
+  const checksums = {};
+  for (const [key, docs] of Object.entries(collections)) {
+    counts[key] = docs.length;
+    checksums[key] = computeChecksum(docs);
+  }
+
+  return {
+    manifest: {
+      formatVersion: BACKUP_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      businessId: businessId.toString(),
+      appVersion,
+      counts,
+      checksums,
+      notes: [],
+    },
+    collections,
+  };
+}
+
+/**
+ * Validate archive structure, checksums and references
+ *
+ * Pure function (no DB access) - safe to call on untrusted uploads.
+ *
+ * @param {Object} archive - Parsed archive
+ * @returns {Object} {valid, errors, warnings, counts}
+ */
+function validateArchive(archive) {
+  const errors = [];
+  const warnings = [];
+
+  if (!archive || typeof archive !== 'object' || !archive.manifest || !archive.collections) {
+    return {valid: false, errors: ['Archive is missing manifest or collections'], warnings, counts: {}};
+  }
+
+  const {manifest, collections} = archive;
+
+  if (!SUPPORTED_FORMAT_VERSIONS.includes(String(manifest.formatVersion))) {
+    errors.push(`Unsupported archive format version: ${manifest.formatVersion}`);
+  }
+
+  const keys = [...BACKUP_COLLECTIONS.map(c => c.key), 'settings'];
+  const counts = {};
+
+  for (const key of keys) {
+    const docs = collections[key];
+    if (docs === undefined) {
+      // Collections added in later app versions may be absent from older archives
+      warnings.push(`Collection "${key}" not present in archive`);
+      counts[key] = 0;
+      continue;
+    }
+    if (!Array.isArray(docs)) {
+      errors.push(`Collection "${key}" must be an array`);
+      continue;
+    }
+
+    counts[key] = docs.length;
+
+    if (manifest.counts && manifest.counts[key] !== undefined && manifest.counts[key] !== docs.length) {
+      errors.push(`Count mismatch for "${key}": manifest ${manifest.counts[key]}, archive ${docs.length}`);
+    }
+
+    const expectedChecksum = manifest.checksums && manifest.checksums[key];
+    if (!expectedChecksum) {
+      errors.push(`Missing checksum for "${key}"`);
+    } else if (computeChecksum(docs) !== expectedChecksum) {
+      errors.push(`Checksum mismatch for "${key}" - archive was modified or corrupted`);
+    }
+
+    if (docs.some(doc => !doc || !doc._id)) {
+      errors.push(`Collection "${key}" contains documents without _id`);
+    }
+  }
+
+  // One opening balance per customer (a unique index would abort the restore midway)
+  if (errors.length === 0 && Array.isArray(collections.ledgerTransactions)) {
+    const openingCustomers = collections.ledgerTransactions
+      .filter(doc => doc.source === 'opening')
+      .map(doc => String(doc.customerId));
+    const duplicates = openingCustomers.length - new Set(openingCustomers).size;
+    if (duplicates > 0) {
+      errors.push(`${duplicates} ledgerTransactions are extra opening balances of customers that already have one`);
+    }
+  }
+
+  // Referential integrity (only meaningful when structure is sound)
+  if (errors.length === 0) {
+    const idSets = {};
+    for (const key of keys) {
+      idSets[key] = new Set((collections[key] || []).map(doc => String(doc._id)));
+    }
+
+    for (const {key, refs} of BACKUP_COLLECTIONS) {
+      for (const ref of refs) {
+        let orphans = 0;
+        for (const doc of collections[key] || []) {
+          for (const value of readRefValues(doc, ref.path)) {
+            if (value && !refCollections(ref).some(collection => idSets[collection].has(String(value)))) {
+              orphans++;
+            }
+          }
+        }
+        if (orphans > 0) {
+          warnings.push(
+            ref.required
+              ? `${orphans} ${key} reference missing ${refCollections(ref).join('/')} and will be skipped`
+              : `${orphans} ${key} reference missing ${refCollections(ref).join('/')}; reference will be cleared`
+          );
+        }
+      }
+    }
+  }
+
+  return {valid: errors.length === 0, errors, warnings, counts};
+}
+
+/**
+ * Collections a ref may point into
+ */
+const refCollections = ref => [].concat(ref.collection);
+
+/**
+ * Read all values at a (possibly array-nested) dotted path
+ */
+function readRefValues(doc, refPath) {
+  const [head, ...rest] = refPath.split('.');
+  const value = doc ? doc[head] : undefined;
+  if (rest.length === 0) {
+    return Array.isArray(value) ? value : [value];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(entry => readRefValues(entry, rest.join('.')));
+  }
+  return readRefValues(value, rest.join('.'));
+}
+
+/**
+ * Rewrite a reference at a dotted path using the id map
+ * @returns {boolean} false if a required reference could not be resolved
+ */
+function remapRef(doc, refPath, idMap, required) {
+  const [head, ...rest] = refPath.split('.');
+  if (!doc || doc[head] === undefined || doc[head] === null) {
+    return true;
+  }
+
+  if (rest.length > 0) {
+    const children = Array.isArray(doc[head]) ? doc[head] : [doc[head]];
+    return children.every(child => remapRef(child, rest.join('.'), idMap, required));
+  }
+
+  const mapped = idMap.get(String(doc[head]));
+  if (!mapped) {
+    if (required) {
+      return false;
+    }
+    doc[head] = null;
+    return true;
+  }
+  doc[head] = mapped;
+  return true;
+}
+
+const OBJECT_ID_PATTERN = /[0-9a-f]{24}/gi;
+
+/**
+ * Rewrite archived ids embedded in an idempotency key with their new ids
+ *
+ * Keys that don't embed archived ids (e.g. client-supplied keys) are kept;
+ * they stay unique because the unique indexes are scoped by business.
+ *
+ * @param {string} key - Idempotency key from the archive
+ * @param {Object} idMaps - collection key -> Map(old id -> new id)
+ * @returns {string}
+ */
+function remapIdempotencyKey(key, idMaps) {
+  if (typeof key !== 'string') {
+    return key;
+  }
+  return key.replace(OBJECT_ID_PATTERN, id => {
+    for (const idMap of Object.values(idMaps)) {
+      const mapped = idMap.get(id.toLowerCase());
+      if (mapped) {
+        return String(mapped);
+      }
+    }
+    return id;
+  });
+}
+
+/**
+ * Serialize archive to gzipped buffer
+ */
+async function serializeArchive(archive) {
+  return gzip(Buffer.from(JSON.stringify(archive), 'utf8'));
+}
+
+/**
+ * Parse archive from buffer (gzipped or plain JSON)
+ * @throws {Error} with code BACKUP_TOO_LARGE if it inflates past MAX_ARCHIVE_UNCOMPRESSED_BYTES,
+ *   BACKUP_UNREADABLE if the buffer can't be parsed
+ */
+async function parseArchive(buffer) {
+  try {
+    const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    const raw = isGzip ? await gunzip(buffer, {maxOutputLength: MAX_ARCHIVE_UNCOMPRESSED_BYTES}) : buffer;
+    return JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      const sizeError = new Error(
+        `Backup file expands to more than ${Math.round(MAX_ARCHIVE_UNCOMPRESSED_BYTES / (1024 * 1024))} MB`
+      );
+      sizeError.code = 'BACKUP_TOO_LARGE';
+      throw sizeError;
+    }
+    const parseError = new Error(`Backup file could not be read: ${error.message}`);
+    parseError.code = 'BACKUP_UNREADABLE';
+    throw parseError;
+  }
+}
+
+/**
+ * Read and parse archive file from disk
+ */
+async function readArchiveFile(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return parseArchive(buffer);
+}
+
+/**
+ * Persist an uploaded archive for a restore job
+ * @returns {Promise<string>} file path
+ */
+async function saveRestoreUpload(restoreJobId, buffer) {
+  const dir = getBackupDir();
+  await fs.mkdir(dir, {recursive: true});
+  const filePath = path.join(dir, `restore-${restoreJobId}.json.gz`);
+  const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  await fs.writeFile(filePath, isGzip ? buffer : await gzip(buffer));
+  return filePath;
+}
+
+/**
+ * Process an export job: build archive, write file, update job
+ *
+ * Safe to call more than once - only QUEUED jobs are processed.
+ *
+ * @param {string} exportJobId - ExportJob ID
+ * @returns {Promise<Object|null>} Updated job
+ */
+async function processExportJob(exportJobId) {
+  const job = await ExportJob.findOneAndUpdate(
+    {_id: exportJobId, status: 'QUEUED'},
+    {$set: {status: 'RUNNING', startedAt: new Date()}},
+    {new: true}
+  );
+
+  if (!job) {
+    logger.warn('[Backup] Export job not queued, skipping', {exportJobId});
+    return null;
+  }
+
+  try {
+    logger.info('[Backup] Export started', {exportJobId, businessId: job.businessId});
+
+    const archive = await buildArchive(job.businessId);
+    const buffer = await serializeArchive(archive);
+
+    const dir = getBackupDir();
+    await fs.mkdir(dir, {recursive: true});
+    const filePath = path.join(dir, `export-${job.businessId}-${job._id}.json.gz`);
+    await fs.writeFile(filePath, buffer);
+
+    job.status = 'DONE';
+    job.filePath = filePath;
+    job.fileSize = buffer.length;
+    job.downloadUrl = `/api/v1/backup/export/${job._id}/download`;
+    job.manifest = archive.manifest;
+    job.finishedAt = new Date();
+    job.expiresAt = new Date(Date.now() + EXPORT_JOB_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await job.save();
+
+    await createAuditEvent({
+      action: 'BACKUP_EXPORTED',
+      actorUserId: job.requestedBy,
+      actorRole: 'OWNER',
+      entityType: 'BUSINESS',
+      entityId: job.businessId,
+      businessId: job.businessId,
+      metadata: {
+        exportJobId: job._id.toString(),
+        counts: archive.manifest.counts,
+        fileSize: buffer.length,
+      },
+    });
+
+    logger.info('[Backup] Export completed', {
+      exportJobId,
+      counts: archive.manifest.counts,
+      fileSize: buffer.length,
+    });
+
+    return job;
+  } catch (error) {
+    logger.error('[Backup] Export failed', {
+      exportJobId,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    job.status = 'FAILED';
+    job.finishedAt = new Date();
+    job.error = {code: 'EXPORT_FAILED', message: error.message};
+    await job.save();
+    return job;
+  }
+}
+
+/**
+ * Check whether a business already has data (NEW_BUSINESS restores need an empty target)
+ */
+async function businessHasData(businessId) {
+  const [customers, bills] = await Promise.all([
+    Customer.countDocuments({userId: businessId}),
+    Bill.countDocuments({userId: businessId}),
+  ]);
+  return customers + bills > 0;
+}
+
+/**
+ * Update restore job progress (best-effort)
+ */
+async function reportProgress(job, phase, current, total, message) {
+  job.progress = {
+    phase,
+    current,
+    total,
+    percent: total > 0 ? Math.round((current / total) * 100) : 100,
+    message,
+  };
+  await job.save();
+}
+
+/**
+ * Apply archive into target business (inside a transaction)
+ * @returns {Promise<Object>} {countsImported, warnings}
+ */
+async function applyArchive(job, archive) {
+  const targetId = job.targetBusinessId;
+  const warnings = [];
+  const countsImported = {};
+
+  // Pre-assign new ids for every archived document so refs can be remapped
+  const idMaps = {};
+  for (const {key} of BACKUP_COLLECTIONS) {
+    idMaps[key] = new Map(
+      (archive.collections[key] || []).map(doc => [String(doc._id), new mongoose.Types.ObjectId()])
+    );
+  }
+
+  const totalSteps = BACKUP_COLLECTIONS.length + 2; // wipe + collections + settings
+  let step = 0;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (job.targetMode === 'OVERWRITE') {
+      await reportProgress(job, 'APPLYING', step, totalSteps, 'Removing existing business data...');
+      for (const {key, model} of BACKUP_COLLECTIONS) {
+        const result = await model.deleteMany({userId: targetId}, {session});
+        logger.info('[Backup] Overwrite wiped collection', {key, deleted: result.deletedCount});
+      }
+    }
+    step++;
+
+    for (const {key, model, refs, prepare} of BACKUP_COLLECTIONS) {
+      await reportProgress(job, 'APPLYING', step, totalSteps, `Restoring ${key}...`);
+
+      const refMaps = refs.map(ref => new Map(refCollections(ref).flatMap(collection => [...idMaps[collection]])));
+      const docs = [];
+      let skipped = 0;
+      for (const source of archive.collections[key] || []) {
+        const doc = JSON.parse(JSON.stringify(source));
+        delete doc.__v;
+        doc._id = idMaps[key].get(String(source._id));
+        doc.userId = targetId;
+        if (doc.idempotencyKey) {
+          doc.idempotencyKey = remapIdempotencyKey(doc.idempotencyKey, idMaps);
+        }
+        if (prepare) {
+          prepare(doc);
+        }
+
+        const resolved = refs.every((ref, index) => remapRef(doc, ref.path, refMaps[index], ref.required));
+        if (!resolved) {
+          skipped++;
+          continue;
+        }
+        docs.push(doc);
+      }
+
+      if (docs.length > 0) {
+        await model.insertMany(docs, {session, timestamps: false});
+      }
+      if (skipped > 0) {
+        warnings.push(`${skipped} ${key} skipped (missing references)`);
+      }
+      countsImported[key] = docs.length;
+      step++;
+    }
+
+    // Counters are reseeded from the restored invoice/receipt/credit note numbers on next use
+    await DocumentCounter.deleteMany({userId: targetId}, {session});
+
+    await reportProgress(job, 'APPLYING', step, totalSteps, 'Restoring settings...');
+    const [sourceSettings] = archive.collections.settings || [];
+    if (sourceSettings) {
+      const fields = {...sourceSettings};
+      SETTINGS_EXCLUDED_FIELDS.forEach(field => delete fields[field]);
+      await BusinessSettings.findOneAndUpdate(
+        {userId: targetId},
+        {$set: fields, $setOnInsert: {userId: targetId, businessId: targetId}},
+        {upsert: true, session, runValidators: true}
+      );
+      countsImported.settings = 1;
+    } else {
+      countsImported.settings = 0;
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return {countsImported, warnings};
+}
+
+/**
+ * Process a confirmed restore job: re-validate archive, then apply it
+ *
+ * @param {string} restoreJobId - RestoreJob ID
+ * @returns {Promise<Object|null>} Updated job
+ */
+async function processRestoreJob(restoreJobId) {
+  const job = await RestoreJob.findOneAndUpdate(
+    {_id: restoreJobId, status: 'QUEUED'},
+    {$set: {status: 'VALIDATING', startedAt: new Date()}},
+    {new: true}
+  );
+
+  if (!job) {
+    logger.warn('[Backup] Restore job not queued, skipping', {restoreJobId});
+    return null;
+  }
+
+  try {
+    await reportProgress(job, 'VALIDATING', 0, 1, 'Verifying archive checksums...');
+
+    // Re-read from disk: never trust the result of the upload-time validation alone
+    const archive = await readArchiveFile(job.uploadedFilePath);
+    const validation = validateArchive(archive);
+    if (!validation.valid) {
+      const error = new Error('Archive failed validation');
+      error.code = 'BACKUP_INVALID';
+      error.details = {errors: validation.errors};
+      throw error;
+    }
+
+    if (job.targetMode === 'NEW_BUSINESS' && (await businessHasData(job.targetBusinessId))) {
+      const error = new Error('Target business already has data. Use OVERWRITE mode instead.');
+      error.code = 'TARGET_NOT_EMPTY';
+      throw error;
+    }
+
+    job.status = 'APPLYING';
+    await job.save();
+
+    const {countsImported, warnings} = await applyArchive(job, archive);
+
+    job.status = 'DONE';
+    job.finishedAt = new Date();
+    job.result = {
+      countsImported,
+      warnings: [...validation.warnings, ...warnings],
+      newBusinessId: job.targetMode === 'NEW_BUSINESS' ? job.targetBusinessId.toString() : undefined,
+    };
+    job.progress = {
+      phase: 'DONE',
+      percent: 100,
+      current: 1,
+      total: 1,
+      message: 'Restore completed successfully',
+    };
+    await job.save();
+
+    await createAuditEvent({
+      action: 'BACKUP_RESTORED',
+      actorUserId: job.requestedBy,
+      actorRole: 'OWNER',
+      entityType: 'BUSINESS',
+      entityId: job.targetBusinessId,
+      businessId: job.targetBusinessId,
+      metadata: {
+        restoreJobId: job._id.toString(),
+        targetMode: job.targetMode,
+        sourceBusinessId: job.manifest?.businessId,
+        countsImported,
+      },
+    });
+
+    logger.info('[Backup] Restore completed', {
+      restoreJobId,
+      targetMode: job.targetMode,
+      countsImported,
+    });
+
+    return job;
+  } catch (error) {
+    logger.error('[Backup] Restore failed', {
+      restoreJobId,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    job.status = 'FAILED';
+    job.finishedAt = new Date();
+    job.error = {
+      code: error.code || 'RESTORE_FAILED',
+      message: error.message,
+      details: error.details,
+    };
+    job.progress = {...(job.progress || {}), phase: 'FAILED', message: error.message};
+    await job.save();
+    return job;
+  }
+}
+
+module.exports = {
+  BACKUP_FORMAT_VERSION,
+  MAX_ARCHIVE_UNCOMPRESSED_BYTES,
+  BACKUP_COLLECTIONS,
+  getBackupDir,
+  computeChecksum,
+  buildArchive,
+  validateArchive,
+  remapIdempotencyKey,
+  serializeArchive,
+  parseArchive,
+  readArchiveFile,
+  saveRestoreUpload,
+  processExportJob,
+  processRestoreJob,
+  applyArchive,
+  businessHasData,
+};
@@ -0,0 +1,415 @@
+/**
+ * Bill Amendment Service
+ *
+ * Fixes mistakes on an issued bill (PATCH /api/bills/:id) without cancelling it:
+ * 1. Recompute totals (tax invoices keep their GST snapshot and are re-taxed)
+ * 2. Atomic credit reservation for an increase (credit limit re-checked)
+ * 3. Snapshot the current version into BillVersion
+ * 4. Version-guarded bill update (concurrent edits/payments -> 409)
+ * 5. Atomic credit release for a decrease + ledger adjustment for the delta
+ * 6. Stock moved by the change in quantities of tracked items
+ *
+ * The amount already paid is never touched: a bill cannot be amended below it.
+ * Cancelled and deleted bills cannot be amended.
+ */
+const Bill = require('../models/Bill');
+const BillVersion = require('../models/BillVersion');
+const Item = require('../models/Item');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {atomicUpdateCredit, atomicReleaseCredit} = require('./creditControlAtomic.service');
+const {recomputeTaxInvoice} = require('./gst.service');
+const {computeDiff} = require('./auditHelper.service');
+const {syncBillStock} = require('./stock.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Bill fields captured in every version
+const VERSIONED_FIELDS = ['items', 'subTotal', 'discount', 'tax', 'gst', 'grandTotal', 'paidAmount', 'dueDate', 'notes'];
+
+const LINE_FIELDS = ['itemId', 'name', 'qty', 'price', 'total', 'hsnCode', 'gstRate', 'taxableValue', 'cgst', 'sgst', 'igst'];
+const PLAIN_LINE_FIELDS = ['itemId', 'name', 'qty', 'price'];
+
+const toPlain = doc => (doc && doc.toObject ? doc.toObject() : doc);
+
+const pickFields = (line, fields) =>
+  Object.fromEntries(fields.filter(field => line[field] !== undefined).map(field => [field, line[field]]));
+
+const pickLine = line => pickFields(line, LINE_FIELDS);
+
+const computeStatus = (paidAmount, grandTotal) => {
+  if (paidAmount === 0) return 'unpaid';
+  return paidAmount >= grandTotal ? 'paid' : 'partial';
+};
+
+/**
+ * Link new lines to catalog items (same as bill creation: upsert by name)
+ */
+async function linkCatalogItems(userId, lines) {
+  return Promise.all(lines.map(async line => {
+    if (line.itemId || !line.name || !line.name.trim()) {
+      return line;
+    }
+    try {
+      const catalogItem = await Item.upsertByName(userId, line.name.trim(), line.price);
+      return {...line, itemId: catalogItem._id};
+    } catch (error) {
+      logger.warn('[BillAmend] Catalog upsert failed, keeping line unlinked', {name: line.name, error: error.message});
+      return line;
+    }
+  }));
+}
+
+/**
+ * Compute the amended values for the bill (not saved)
+ *
+ * @param {Object} bill - Current bill
+ * @param {Object} changes - {items, discount, tax, dueDate, notes}
+ * @returns {Object} Amended values for VERSIONED_FIELDS (paidAmount unchanged)
+ */
+function computeAmendedValues(bill, changes) {
+  const current = toPlain(bill);
+  const lines = (changes.items || current.items).map(pickLine);
+  const discount = changes.discount ?? current.discount ?? 0;
+
+  let totals;
+  if (current.gst?.isTaxInvoice) {
+    const invoice = recomputeTaxInvoice({gst: current.gst, items: lines, discount});
+    totals = {
+      items: invoice.items.map(pickLine),
+      subTotal: invoice.subTotal,
+      discount: invoice.discount,
+      tax: invoice.tax,
+      gst: invoice.gst,
+      grandTotal: invoice.grandTotal,
+    };
+  } else {
+    const items = lines.map(line => ({
+      ...pickFields(line, PLAIN_LINE_FIELDS),
+      total: round2(line.qty * line.price),
+    }));
+    const subTotal = round2(items.reduce((sum, line) => sum + line.total, 0));
+    const tax = changes.tax ?? current.tax ?? 0;
+
+    if (discount > subTotal) {
+      throw new AppError('Discount cannot exceed the bill subtotal', 400, 'VALIDATION_ERROR');
+    }
+
+    totals = {
+      items,
+      subTotal,
+      discount: round2(discount),
+      tax: round2(tax),
+      gst: current.gst || null,
+      grandTotal: round2(subTotal - discount + tax),
+    };
+  }
+
+  return {
+    ...totals,
+    paidAmount: current.paidAmount,
+    dueDate: changes.dueDate !== undefined ? changes.dueDate : current.dueDate,
+    notes: changes.notes !== undefined ? changes.notes : current.notes,
+  };
+}
+
+/**
+ * Amend a bill
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Business id
+ * @param {string} params.billId - Bill id
+ * @param {Object} params.changes - {items, discount, tax, dueDate, notes}
+ * @param {number} [params.expectedVersion] - Reject if the bill has moved on (optimistic lock)
+ * @param {string} [params.reason] - Why the bill was amended
+ * @param {ObjectId} params.actorUserId - User making the change
+ * @param {boolean} [params.override] - Owner credit limit override
+ * @param {string} [params.overrideReason] - Override reason
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {bill, before, delta, changedKeys, amended}
+ * @throws {AppError} NOT_FOUND, BILL_NOT_AMENDABLE, BILL_VERSION_CONFLICT,
+ *   AMOUNT_BELOW_PAID, CREDIT_LIMIT_EXCEEDED
+ */
+async function amendBill({
+  userId,
+  billId,
+  changes,
+  expectedVersion,
+  reason = null,
+  actorUserId,
+  override = false,
+  overrideReason = null,
+  requestId,
+}) {
+  const bill = await Bill.findOne({_id: billId, userId, isDeleted: false});
+  if (!bill) {
+    throw new AppError('Bill not found', 404, 'NOT_FOUND');
+  }
+
+  if (bill.status === 'cancelled') {
+    throw new AppError('Cancelled bills cannot be amended', 409, 'BILL_NOT_AMENDABLE');
+  }
+
+  // Credit note lines point at the bill lines they return
+  if (bill.creditedAmount > 0) {
+    throw new AppError('Bills with credit notes cannot be amended; issue a credit note instead', 409, 'BILL_NOT_AMENDABLE');
+  }
+
+  const currentVersion = bill.version || 1;
+  if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+    throw new AppError(
+      `Bill has been changed since version ${expectedVersion} (current version ${currentVersion})`,
+      409,
+      'BILL_VERSION_CONFLICT'
+    );
+  }
+
+  const before = Object.fromEntries(VERSIONED_FIELDS.map(field => [field, toPlain(bill)[field]]));
+  const amended = computeAmendedValues(bill, changes);
+  if (changes.items) {
+    amended.items = await linkCatalogItems(userId, amended.items);
+  }
+
+  const {changedKeys} = computeDiff({...before, items: before.items.map(pickLine)}, amended, 'BILL');
+  if (changedKeys.length === 0) {
+    return {bill, before, delta: 0, changedKeys, amended: false};
+  }
+
+  if (amended.grandTotal < bill.paidAmount) {
+    throw new AppError(
+      `Bill total cannot be less than the ₹${bill.paidAmount} already paid`,
+      400,
+      'AMOUNT_BELOW_PAID'
+    );
+  }
+
+  const delta = round2(amended.grandTotal - bill.grandTotal);
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // ATOMIC CREDIT: increases are reserved (limit re-checked) before saving
+  // ═══════════════════════════════════════════════════════════════════════
+
+  if (delta > 0) {
+    const reserveResult = await atomicUpdateCredit({
+      userId,
+      customerId: bill.customerId,
+      delta,
+      override,
+      overrideReason,
+      billId: bill._id,
+      requestId,
+    });
+
+    if (!reserveResult.success) {
+      throw new AppError('Credit limit exceeded', 409, 'CREDIT_LIMIT_EXCEEDED');
+    }
+  }
+
+  const rollbackReservation = async () => {
+    if (delta > 0) {
+      await atomicReleaseCredit({
+        userId,
+        customerId: bill.customerId,
+        delta,
+        reason: 'ROLLBACK_BILL_AMEND_FAILED',
+        billId: bill._id,
+        requestId,
+      });
+    }
+  };
+
+  const conflict = () => new AppError(
+    'Bill was changed by another request, reload and try again',
+    409,
+    'BILL_VERSION_CONFLICT'
+  );
+
+  // Snapshot the version being replaced (unique per bill + version)
+  let snapshot;
+  try {
+    snapshot = await BillVersion.create({
+      userId,
+      billId: bill._id,
+      version: currentVersion,
+      ...before,
+      validFrom: bill.amendedAt || bill.createdAt,
+      amendedBy: actorUserId,
+      amendReason: reason,
+    });
+  } catch (error) {
+    await rollbackReservation();
+    throw error.code === 11000 ? conflict() : error;
+  }
+
+  const amendedAt = new Date();
+  const updated = await Bill.findOneAndUpdate(
+    {
+      _id: bill._id,
+      userId,
+      isDeleted: false,
+      status: {$ne: 'cancelled'},
+      // Bills created before versioning have no version field
+      version: currentVersion === 1 ? {$in: [1, null]} : currentVersion,
+      paidAmount: bill.paidAmount,
+      creditedAmount: {$in: [0, null]},
+    },
+    {
+      $set: {
+        ...amended,
+        status: computeStatus(bill.paidAmount, amended.grandTotal),
+        version: currentVersion + 1,
+        amendedAt,
+      },
+    },
+    {new: true, runValidators: true}
+  );
+
+  if (!updated) {
+    await BillVersion.deleteOne({_id: snapshot._id});
+    await rollbackReservation();
+    throw conflict();
+  }
+
+  if (delta < 0) {
+    await atomicUpdateCredit({
+      userId,
+      customerId: bill.customerId,
+      delta,
+      billId: bill._id,
+      requestId,
+    });
+  }
+
+  // Ledger adjustment keeps the customer ledger in step with the new bill total
+  if (delta !== 0) {
+    await LedgerTransaction.create({
+      userId,
+      customerId: bill.customerId,
+      type: delta > 0 ? 'credit' : 'debit',
+      amount: Math.abs(delta),
+      note: `Bill ${bill.billNo} amended (v${currentVersion} → v${currentVersion + 1})`,
+      source: 'adjustment',
+      metadata: {
+        billId: bill._id,
+        billNo: bill.billNo,
+        source: 'bill_amend',
+        version: currentVersion + 1,
+      },
+      idempotencyKey: `bill_${bill._id}_amend_v${currentVersion + 1}`,
+    });
+  }
+
+  if (changedKeys.includes('items')) {
+    try {
+      await syncBillStock({userId, bill: updated, type: 'sale_amended'});
+    } catch (stockError) {
+      logger.error('[BillAmend] Stock update failed', {
+        billId: bill._id,
+        error: stockError.message,
+      });
+    }
+  }
+
+  logger.info('[BillAmend] Bill amended', {
+    billId: bill._id,
+    version: currentVersion + 1,
+    delta,
+    changedKeys,
+    requestId,
+  });
+
+  return {bill: updated, before, delta, changedKeys, amended: true};
+}
+
+/**
+ * Version history of a bill (newest first, current version included)
+ *
+ * @returns {Promise<Object>} {billId, billNo, currentVersion, versions}
+ */
+async function listBillVersions({userId, billId}) {
+  const bill = await Bill.findOne({_id: billId, userId})
+    .select('billNo version grandTotal createdAt amendedAt')
+    .lean();
+  if (!bill) {
+    throw new AppError('Bill not found', 404, 'NOT_FOUND');
+  }
+
+  const snapshots = await BillVersion.find({userId, billId})
+    .select('version grandTotal validFrom amendedAt amendedBy amendReason')
+    .sort({version: -1})
+    .lean();
+
+  const currentVersion = bill.version || 1;
+  return {
+    billId: bill._id,
+    billNo: bill.billNo,
+    currentVersion,
+    versions: [
+      {
+        version: currentVersion,
+        current: true,
+        grandTotal: bill.grandTotal,
+        validFrom: bill.amendedAt || bill.createdAt,
+        replacedAt: null,
+      },
+      ...snapshots.map(snapshot => ({
+        version: snapshot.version,
+        current: false,
+        grandTotal: snapshot.grandTotal,
+        validFrom: snapshot.validFrom,
+        replacedAt: snapshot.amendedAt,
+        replacedBy: snapshot.amendedBy,
+        replaceReason: snapshot.amendReason,
+      })),
+    ],
+  };
+}
+
+/**
+ * A single version of a bill (the current bill for the current version)
+ *
+ * @returns {Promise<Object>} Version fields (VERSIONED_FIELDS) with version metadata
+ */
+async function getBillVersion({userId, billId, version}) {
+  const bill = await Bill.findOne({_id: billId, userId}).lean();
+  if (!bill) {
+    throw new AppError('Bill not found', 404, 'NOT_FOUND');
+  }
+
+  const currentVersion = bill.version || 1;
+  if (version === currentVersion) {
+    return {
+      billId: bill._id,
+      billNo: bill.billNo,
+      version: currentVersion,
+      current: true,
+      validFrom: bill.amendedAt || bill.createdAt,
+      ...Object.fromEntries(VERSIONED_FIELDS.map(field => [field, bill[field]])),
+    };
+  }
+
+  const snapshot = await BillVersion.findOne({userId, billId, version}).lean();
+  if (!snapshot) {
+    throw new AppError(`Bill version ${version} not found`, 404, 'NOT_FOUND');
+  }
+
+  return {
+    billId: bill._id,
+    billNo: bill.billNo,
+    version: snapshot.version,
+    current: false,
+    validFrom: snapshot.validFrom,
+    replacedAt: snapshot.amendedAt,
+    replacedBy: snapshot.amendedBy,
+    replaceReason: snapshot.amendReason,
+    ...Object.fromEntries(VERSIONED_FIELDS.map(field => [field, snapshot[field]])),
+  };
+}
+
+module.exports = {
+  amendBill,
+  computeAmendedValues,
+  listBillVersions,
+  getBillVersion,
+};
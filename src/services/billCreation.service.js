@@ -0,0 +1,353 @@
+/**
+ * Bill Creation Service
+ *
+ * Issues a new bill (POST /api/bills, recurring bill templates and bill imports):
+ * 1. Idempotency: a repeated key returns the bill already issued
+ * 2. GST tax invoice: line tax and totals computed server-side
+ * 3. Bill number from the invoice series
+ * 4. Atomic credit reservation for the unpaid part (credit limit enforced,
+ *    rolled back if the bill cannot be created)
+ * 5. Ledger credit for the unpaid part
+ * 6. Stock out for lines of tracked catalog items
+ * 7. Advances held for the customer settle the new bill
+ *
+ * Auditing is left to the caller (it knows who issued the bill).
+ */
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const Item = require('../models/Item');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {atomicReserveCredit, atomicReleaseCredit} = require('./creditControlAtomic.service');
+const {applyAdvances} = require('./advance.service');
+const {syncBillStock} = require('./stock.service');
+const {prepareTaxInvoice} = require('./gst.service');
+const {nextDocumentNumber} = require('./numberSeries.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// GST fields carried on bill lines of tax invoices
+const GST_LINE_FIELDS = ['hsnCode', 'gstRate', 'taxableValue', 'cgst', 'sgst', 'igst'];
+
+const pickGstLineFields = item =>
+  Object.fromEntries(GST_LINE_FIELDS.filter(field => item[field] !== undefined).map(field => [field, item[field]]));
+
+// Attempts to find a free bill number when a number is already taken (e.g. entered by hand)
+const MAX_BILL_NO_ATTEMPTS = 5;
+
+const isDuplicateBillNo = error => error.code === 11000 && Boolean(error.keyPattern?.billNo);
+
+/**
+ * Next bill number from the business's invoice series (atomic counter)
+ */
+const generateBillNo = async userId => {
+  const {documentNo} = await nextDocumentNumber({userId, series: 'invoice'});
+  return documentNo;
+};
+
+/**
+ * Link bill lines to catalog items: upsert by name when itemId is missing
+ */
+async function processItems(userId, billItems) {
+  return Promise.all(
+    billItems.map(async item => {
+      // If itemId is provided, use it
+      if (item.itemId) {
+        return {
+          itemId: item.itemId,
+          name: item.name,
+          qty: item.qty,
+          price: item.price,
+          total: item.total,
+          ...pickGstLineFields(item),
+        };
+      }
+
+      // If no itemId, upsert to catalog
+      if (item.name && item.name.trim()) {
+        try {
+          const catalogItem = await Item.upsertByName(userId, item.name.trim(), item.price);
+          return {
+            itemId: catalogItem._id,
+            name: item.name,
+            qty: item.qty,
+            price: item.price,
+            total: item.total,
+            ...pickGstLineFields(item),
+          };
+        } catch (error) {
+          logger.warn('[Bill] Catalog upsert failed, keeping line unlinked', {name: item.name, error: error.message});
+          // If upsert fails, continue without itemId (backward compatible)
+          return {
+            name: item.name,
+            qty: item.qty,
+            price: item.price,
+            total: item.total,
+            ...pickGstLineFields(item),
+          };
+        }
+      }
+
+      // Fallback: use item as-is
+      return item;
+    })
+  );
+}
+
+/**
+ * Create a bill with atomic credit enforcement
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.customerId - Customer ID
+ * @param {Array} params.items - Bill lines
+ * @param {number} params.subTotal - Sum of lines (recomputed for tax invoices)
+ * @param {number} [params.discount]
+ * @param {number} [params.tax]
+ * @param {number} params.grandTotal - Bill total (recomputed for tax invoices)
+ * @param {number} [params.paidAmount] - Paid at billing
+ * @param {Date} [params.dueDate]
+ * @param {string} [params.notes]
+ * @param {string} [params.placeOfSupply] - GST state code
+ * @param {boolean} [params.taxInvoice] - Force (true) or skip (false) a tax invoice
+ * @param {string} [params.idempotencyKey] - Replays return the bill already issued
+ * @param {boolean} [params.override] - Owner override of the credit limit
+ * @param {string} [params.overrideReason]
+ * @param {string} [params.recurringBillId] - Recurring template generating the bill
+ * @param {Date} [params.billDate] - Date the bill was issued on, for past bills (defaults to now)
+ * @param {boolean} [params.linkItems] - Link lines to catalog items, upserted by name (off for imported bills)
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {bill, customer, duplicate}
+ * @throws {AppError} VALIDATION_ERROR, NOT_FOUND, CREDIT_LIMIT_EXCEEDED
+ */
+async function createBill({
+  userId,
+  customerId,
+  items,
+  subTotal,
+  discount,
+  tax,
+  grandTotal,
+  paidAmount,
+  dueDate,
+  notes,
+  placeOfSupply,
+  taxInvoice,
+  idempotencyKey,
+  override = false,
+  overrideReason,
+  recurringBillId = null,
+  billDate = null,
+  linkItems = true,
+  requestId,
+}) {
+  // Validate required fields
+  if (!customerId || !items || !Array.isArray(items) || items.length === 0) {
+    throw new AppError('Customer and at least one item are required', 400, 'VALIDATION_ERROR');
+  }
+
+  if (subTotal == null || grandTotal == null) {
+    throw new AppError('subTotal and grandTotal are required', 400, 'VALIDATION_ERROR');
+  }
+
+  // Verify customer exists and belongs to user
+  const customer = await Customer.findOne({_id: customerId, userId});
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  // Check idempotency
+  if (idempotencyKey) {
+    const existing = await Bill.findOne({userId, idempotencyKey});
+    if (existing) {
+      logger.info('Idempotent duplicate bill creation detected', {
+        userId,
+        idempotencyKey,
+        billId: existing._id,
+      });
+      return {bill: existing, customer, duplicate: true};
+    }
+  }
+
+  // GST tax invoice: line tax and totals are computed server-side
+  const invoice = await prepareTaxInvoice({
+    userId,
+    customer,
+    items,
+    discount: discount || 0,
+    placeOfSupply,
+    taxInvoice,
+  });
+  const billItems = invoice ? invoice.items : items;
+  const totals = invoice
+    ? {subTotal: invoice.subTotal, discount: invoice.discount, tax: invoice.tax, grandTotal: invoice.grandTotal}
+    : {subTotal, discount: discount || 0, tax: tax || 0, grandTotal};
+
+  // Generate bill number
+  let billNo = await generateBillNo(userId);
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // ROCKEFELLER-GRADE ATOMIC CREDIT LIMIT ENFORCEMENT
+  // ═══════════════════════════════════════════════════════════════════════
+
+  const unpaidAmount = totals.grandTotal - (paidAmount || 0);
+  let creditReserved = false;
+
+  if (unpaidAmount > 0) {
+    // ATOMIC OPERATION: Reserve credit (check + increment in single atomic operation)
+    const reserveResult = await atomicReserveCredit({
+      userId,
+      customerId,
+      delta: unpaidAmount,
+      override: Boolean(override && overrideReason),
+      overrideReason,
+      billId: 'pending', // Will be updated after bill created
+      requestId,
+    });
+
+    if (!reserveResult.success) {
+      // BLOCKED: Credit limit exceeded
+      // Audit event already logged in atomicReserveCredit
+
+      throw new AppError(
+        'Credit limit exceeded',
+        409,
+        'CREDIT_LIMIT_EXCEEDED',
+        {
+          ...reserveResult.details,
+          requiredOverride: customer.creditLimitAllowOverride,
+        }
+      );
+    }
+
+    creditReserved = true;
+    logger.info('[Bill] Credit reserved atomically', {
+      customerId,
+      unpaidAmount,
+      newOutstanding: reserveResult.customer.creditOutstanding,
+    });
+  }
+
+  const processedItems = linkItems ? await processItems(userId, billItems) : billItems;
+  // Kept by the timestamps: aging and statements date the bill from it
+  const issuedAt = billDate ? {createdAt: billDate} : {};
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // CREATE BILL (with atomic rollback on failure)
+  // ═══════════════════════════════════════════════════════════════════════
+
+  let bill;
+  try {
+    for (let attempt = 1; !bill; attempt++) {
+      try {
+        bill = await Bill.create({
+          userId,
+          customerId,
+          billNo,
+          items: processedItems,
+          ...totals,
+          gst: invoice ? invoice.gst : null,
+          paidAmount: paidAmount || 0,
+          dueDate: dueDate || null,
+          notes: notes || '',
+          idempotencyKey: idempotencyKey || null,
+          recurringBillId,
+          ...issuedAt,
+        });
+      } catch (createError) {
+        // Number already used outside the series: take the next one
+        if (!isDuplicateBillNo(createError) || attempt >= MAX_BILL_NO_ATTEMPTS) {
+          throw createError;
+        }
+        logger.warn('[Bill] Bill number already taken, issuing next', {userId, billNo});
+        billNo = await generateBillNo(userId);
+      }
+    }
+  } catch (billCreateError) {
+    // ROLLBACK: Release reserved credit atomically
+    if (creditReserved) {
+      await atomicReleaseCredit({
+        userId,
+        customerId,
+        delta: unpaidAmount,
+        reason: 'ROLLBACK_BILL_CREATE_FAILED',
+        billId: null,
+        requestId,
+      });
+
+      logger.warn('[Bill] Credit rollback executed - bill creation failed', {
+        customerId,
+        unpaidAmount,
+        error: billCreateError.message,
+      });
+    }
+
+    throw billCreateError; // Re-throw original error
+  }
+
+  // Auto-create ledger transaction if unpaid amount > 0
+  // (unpaidAmount already computed for credit limit check above)
+  if (unpaidAmount > 0) {
+    const ledgerIdempotencyKey = idempotencyKey
+      ? `${idempotencyKey}_ledger_credit`
+      : `bill_${bill._id}_credit`;
+
+    // Check if ledger transaction already exists (for idempotency)
+    const existingLedgerTx = await LedgerTransaction.findOne({
+      userId,
+      idempotencyKey: ledgerIdempotencyKey,
+    });
+
+    if (!existingLedgerTx) {
+      await LedgerTransaction.create({
+        userId,
+        customerId,
+        type: 'credit',
+        amount: unpaidAmount,
+        note: `Bill ${billNo} created`,
+        metadata: {
+          billId: bill._id,
+          billNo: bill.billNo,
+          source: 'bill_create',
+        },
+        idempotencyKey: ledgerIdempotencyKey,
+        ...issuedAt,
+      });
+
+      logger.info('[Bill] Ledger credit created for bill', {billNo, amount: unpaidAmount});
+    }
+
+    // NOTE: Audit events for credit (PASSED/BLOCKED/OVERRIDE) already logged
+    // by atomicReserveCredit service - no duplicate logging needed here
+  }
+
+  // Stock out for tracked items (must not fail bill creation)
+  try {
+    await syncBillStock({userId, bill, type: 'sale'});
+  } catch (stockError) {
+    logger.error('[Bill] Stock update failed', {
+      billId: bill._id,
+      error: stockError.message,
+    });
+  }
+
+  // Advances held for the customer settle the new bill (must not fail bill creation)
+  if (unpaidAmount > 0 && customer.advanceBalance > 0) {
+    try {
+      const {applied} = await applyAdvances({userId, customerId, requestId});
+      if (applied > 0) {
+        bill = await Bill.findById(bill._id);
+      }
+    } catch (advanceError) {
+      logger.error('[Bill] Applying advances failed', {
+        billId: bill._id,
+        error: advanceError.message,
+      });
+    }
+  }
+
+  return {bill, customer, duplicate: false};
+}
+
+module.exports = {
+  createBill,
+};
@@ -0,0 +1,205 @@
+/**
+ * Bill Payment Service
+ *
+ * Single path for recording a payment against a bill, shared by the manual
+ * PATCH /api/bills/:id/pay endpoint and provider webhooks (Razorpay payment links):
+ * 1. Idempotency check on the ledger key
+ * 2. Atomic credit release (payment reduces outstanding)
+ * 3. Bill paidAmount/status update
+ * 4. Ledger debit
+ * 5. Promise auto-keep + PAYMENT_RECEIVED notification (non-blocking)
+ *
+ * With excessAsAdvance, an amount above what the bill owes is recorded as a
+ * customer payment: it settles the customer's other open bills and the rest is
+ * held as an advance.
+ */
+const Bill = require('../models/Bill');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {atomicReleaseCredit} = require('./creditControlAtomic.service');
+const {maybeKeepPromiseForCustomer} = require('./promiseAutoKeep.service');
+const AppError = require('../utils/AppError');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+const logger = require('../utils/logger');
+
+/**
+ * Status of a bill after its paid amount changes (for updates that skip the
+ * Bill pre-save hook)
+ */
+const settledStatus = (paidAmount, grandTotal) => {
+  if (paidAmount <= 0) return 'unpaid';
+  return paidAmount >= grandTotal ? 'paid' : 'partial';
+};
+
+/**
+ * Apply a payment to a bill
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Business id
+ * @param {string} params.billId - Bill id
+ * @param {number} params.amount - Amount received (clamped to what is pending)
+ * @param {string} [params.note] - Ledger note (defaults to "Payment for Bill X")
+ * @param {string} [params.mode] - Payment mode (CASH, UPI, ...; not CHEQUE)
+ * @param {string} [params.reference] - UTR / UPI reference / card slip number
+ * @param {Date} [params.paymentDate] - When the money was received (defaults to now)
+ * @param {string} params.ledgerIdempotencyKey - Ledger idempotency key
+ * @param {Object} [params.metadata] - Extra ledger metadata (e.g. provider ids)
+ * @param {boolean} [params.excessAsAdvance] - Record the amount above what is pending (else dropped)
+ * @param {string} [params.actorUserId] - User recording the payment
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {bill, amountApplied, duplicate, ledgerTransaction, excessPayment}
+ */
+async function applyBillPayment({
+  userId,
+  billId,
+  amount,
+  note,
+  mode = null,
+  reference = null,
+  paymentDate = null,
+  ledgerIdempotencyKey,
+  metadata = {},
+  excessAsAdvance = false,
+  actorUserId = null,
+  requestId,
+}) {
+  if (!amount || amount <= 0) {
+    throw new AppError('Payment amount must be positive', 400, 'VALIDATION_ERROR');
+  }
+
+  // Checked before any write: credit release, bill and ledger must not part ways
+  if (mode !== null && !PAYMENT_MODES.includes(mode)) {
+    throw new AppError(`Unknown payment mode ${mode}`, 400, 'VALIDATION_ERROR');
+  }
+  if (mode === 'CHEQUE') {
+    throw new AppError('Record cheques from the customer\'s payments so they are tracked until they clear', 400, 'VALIDATION_ERROR');
+  }
+
+  const bill = await Bill.findOne({_id: billId, userId});
+  if (!bill) {
+    throw new AppError('Bill not found', 404, 'NOT_FOUND');
+  }
+
+  if (bill.status === 'cancelled') {
+    throw new AppError('Cannot add payment to cancelled bill', 400, 'VALIDATION_ERROR');
+  }
+
+  const existingLedgerTx = await LedgerTransaction.findOne({
+    userId,
+    idempotencyKey: ledgerIdempotencyKey,
+  });
+
+  if (existingLedgerTx) {
+    logger.info('[BillPayment] Payment already processed (idempotent)', {
+      billId: bill._id,
+      idempotencyKey: ledgerIdempotencyKey,
+    });
+    return {bill, amountApplied: 0, duplicate: true, ledgerTransaction: existingLedgerTx, excessPayment: null};
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // ATOMIC CREDIT RELEASE: Payment reduces outstanding
+  // ═══════════════════════════════════════════════════════════════════════
+
+  const previousPaid = bill.paidAmount;
+  const newPaidAmount = Math.min(bill.paidAmount + amount, bill.grandTotal);
+  const actualPaymentAmount = newPaidAmount - previousPaid;
+
+  let customerAfter = null;
+  if (actualPaymentAmount > 0) {
+    const release = await atomicReleaseCredit({
+      userId,
+      customerId: bill.customerId,
+      delta: actualPaymentAmount,
+      reason: 'PAYMENT',
+      billId: bill._id,
+      requestId,
+    });
+    customerAfter = release.customer;
+  }
+
+  // Update bill
+  bill.paidAmount = newPaidAmount;
+  await bill.save();
+
+  // Create ledger debit transaction (payment received)
+  const ledgerTransaction = await LedgerTransaction.create({
+    userId,
+    customerId: bill.customerId,
+    type: 'debit',
+    amount: actualPaymentAmount,
+    note: note || `Payment for Bill ${bill.billNo}`,
+    paymentMode: mode,
+    paymentReference: reference,
+    paymentDate: paymentDate || new Date(),
+    metadata: {
+      billId: bill._id,
+      billNo: bill.billNo,
+      source: 'bill_payment',
+      ...metadata,
+    },
+    idempotencyKey: ledgerIdempotencyKey,
+  });
+
+  logger.info('[BillPayment] Payment recorded, credit released atomically', {
+    billId: bill._id,
+    amount: actualPaymentAmount,
+    status: bill.status,
+    requestId,
+  });
+
+  if (actualPaymentAmount > 0) {
+    // Promise auto-keep (non-blocking, must not fail payment)
+    maybeKeepPromiseForCustomer({
+      userId,
+      customerId: bill.customerId,
+      paymentRef: ledgerTransaction._id.toString(),
+      idempotencyKey: ledgerIdempotencyKey,
+      newDue: customerAfter ? customerAfter.creditOutstanding : null,
+    }).catch(error => {
+      logger.error('[BillPayment] Promise auto-keep failed', {
+        error: error.message,
+        billId: bill._id,
+        userId,
+      });
+    });
+
+    // Generate PAYMENT_RECEIVED notification (non-blocking, must not fail payment)
+    const {generatePaymentReceivedNotification} = require('./notifications/generators/paymentReceived');
+    generatePaymentReceivedNotification({
+      billId: bill._id,
+      userId,
+    }).catch(error => {
+      logger.error('[BillPayment] Failed to generate payment notification', {
+        error: error.message,
+        billId: bill._id,
+        userId,
+      });
+    });
+  }
+
+  // Overpayment: other open bills first, then held as an advance
+  let excessPayment = null;
+  const excess = Math.round((amount - actualPaymentAmount) * 100) / 100;
+  if (excessAsAdvance && excess > 0) {
+    const {recordCustomerPayment} = require('./customerPayment.service');
+    ({payment: excessPayment} = await recordCustomerPayment({
+      userId,
+      customerId: bill.customerId,
+      amount: excess,
+      mode: mode || null,
+      reference,
+      paymentDate,
+      note: `Paid above Bill ${bill.billNo}`,
+      idempotencyKey: `${ledgerIdempotencyKey}_excess`,
+      actorUserId,
+      requestId,
+    }));
+  }
+
+  return {bill, amountApplied: actualPaymentAmount, duplicate: false, ledgerTransaction, excessPayment};
+}
+
+module.exports = {
+  settledStatus,
+  applyBillPayment,
+};
@@ -22,6 +22,7 @@ const Device = require('../models/Device');
 const BusinessSettings = require('../models/BusinessSettings');
 const IntegrityReport = require('../models/IntegrityReport');
 const { runAllIntegrityChecks } = require('../integrity/integrityChecks');
+const { processExportJob } = require('./backup.service');
 const logger = require('../utils/logger');
 
 /**
@@ -63,8 +64,15 @@ async function createBackupExport(resetJob) {
       exportJobId: exportJob._id,
     });
 
-    // Note: The actual export will be handled by the existing export worker
-    // We need to poll for completion
+    // Build the archive in the background; executeResetPipeline polls for completion
+    processExportJob(exportJob._id).catch(error => {
+      logger.error('[BusinessReset] Export processing failed', {
+        resetJobId: resetJob._id,
+        exportJobId: exportJob._id,
+        error: error.message,
+      });
+    });
+
     return exportJob;
   } catch (error) {
     logger.error('[BusinessReset] Backup export failed', {
@@ -0,0 +1,408 @@
+/**
+ * Cash Book Service
+ *
+ * Cash in hand per business day (IST), from cash-mode entries only:
+ * - In: payments collected in cash (bill payments, customer payments, manual
+ *   ledger debits), same rules as the collections report
+ * - Out: cash given back to customers (reversed payments, refunds), expenses,
+ *   owner withdrawals and payments made to suppliers (net of reversals)
+ *
+ * Opening cash of a day is the counted cash of the last closed day plus
+ * everything that moved since; 0 for a business that never closed a day.
+ *
+ * Day close records the counted cash against the expected closing cash. A
+ * closed day can't take new expenses or lose existing ones.
+ */
+const DayClose = require('../models/DayClose');
+const Expense = require('../models/Expense');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const SupplierLedgerTransaction = require('../models/SupplierLedgerTransaction');
+const {NON_COLLECTION_SOURCES, COLLECTION_RETURN_SOURCES} = require('./collections.service');
+const {IST_OFFSET_MS} = require('../utils/timezone.util');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period the cash book is built for in one request
+const MAX_CASH_BOOK_DAYS = 92;
+
+/**
+ * IST business day (YYYY-MM-DD) of a date
+ */
+const istDayOf = date => new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().substring(0, 10);
+
+const dayStart = day => new Date(`${day}T00:00:00.000+05:30`);
+const dayEnd = day => new Date(`${day}T23:59:59.999+05:30`);
+const nextDay = day => istDayOf(dayStart(day).getTime() + DAY_MS);
+
+const emptyFlows = () => ({collected: 0, returnedToCustomers: 0, expenses: 0, withdrawals: 0, supplierPayments: 0});
+
+const netOf = flows => round2(flows.collected - flows.returnedToCustomers - flows.expenses
+  - flows.withdrawals - flows.supplierPayments);
+
+/**
+ * Cash flows between two instants, per IST day
+ *
+ * @returns {Promise<Map<string, Object>>} day -> {collected, returnedToCustomers, expenses, withdrawals, supplierPayments}
+ */
+async function loadCashFlows(userId, from, to) {
+  const inRange = from ? {$gte: from, $lte: to} : {$lte: to};
+
+  const [entries, expenses, supplierEntries] = await Promise.all([
+    LedgerTransaction.find({
+      userId,
+      paymentMode: 'CASH',
+      $and: [
+        {
+          $or: [
+            {type: 'debit', 'metadata.source': {$nin: NON_COLLECTION_SOURCES}},
+            {type: 'credit', 'metadata.source': {$in: COLLECTION_RETURN_SOURCES}},
+          ],
+        },
+        {
+          $or: [
+            {paymentDate: inRange},
+            {paymentDate: null, createdAt: inRange},
+          ],
+        },
+      ],
+    })
+      .select('type amount paymentDate createdAt')
+      .lean(),
+    Expense.find({userId, isDeleted: false, mode: 'CASH', expenseDate: inRange})
+      .select('kind amount expenseDate')
+      .lean(),
+    SupplierLedgerTransaction.find({
+      userId,
+      paymentMode: 'CASH',
+      source: {$in: ['supplier_payment', 'supplier_payment_reversal']},
+      paymentDate: inRange,
+    })
+      .select('source amount paymentDate')
+      .lean(),
+  ]);
+
+  const byDay = new Map();
+  const flowsOf = date => {
+    const day = istDayOf(date);
+    if (!byDay.has(day)) byDay.set(day, emptyFlows());
+    return byDay.get(day);
+  };
+
+  for (const entry of entries) {
+    const flows = flowsOf(entry.paymentDate || entry.createdAt);
+    if (entry.type === 'debit') {
+      flows.collected = round2(flows.collected + entry.amount);
+    } else {
+      flows.returnedToCustomers = round2(flows.returnedToCustomers + entry.amount);
+    }
+  }
+
+  for (const expense of expenses) {
+    const flows = flowsOf(expense.expenseDate);
+    const key = expense.kind === 'withdrawal' ? 'withdrawals' : 'expenses';
+    flows[key] = round2(flows[key] + expense.amount);
+  }
+
+  for (const entry of supplierEntries) {
+    const flows = flowsOf(entry.paymentDate);
+    const sign = entry.source === 'supplier_payment' ? 1 : -1;
+    flows.supplierPayments = round2(flows.supplierPayments + sign * entry.amount);
+  }
+
+  return byDay;
+}
+
+/**
+ * Daily cash book
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.from] - First day, YYYY-MM-DD (defaults to today, IST)
+ * @param {string} [params.to] - Last day, YYYY-MM-DD (defaults to from)
+ * @returns {Promise<Object>} {from, to, days, totals}
+ * @throws {AppError} VALIDATION_ERROR when from is after to or the period is too long
+ */
+async function buildCashBook({userId, from, to}) {
+  const firstDay = from || istDayOf(new Date());
+  const lastDay = to || firstDay;
+  if (firstDay > lastDay) {
+    throw new AppError('from must be on or before to', 400, 'VALIDATION_ERROR');
+  }
+  if ((dayStart(lastDay) - dayStart(firstDay)) / DAY_MS >= MAX_CASH_BOOK_DAYS) {
+    throw new AppError(`The cash book covers at most ${MAX_CASH_BOOK_DAYS} days at a time`, 400, 'VALIDATION_ERROR');
+  }
+
+  // Counted cash of the last close before the period is where the running balance starts
+  const lastClose = await DayClose.findOne({userId, date: {$lt: firstDay}})
+    .sort({date: -1})
+    .select('date countedCash')
+    .lean();
+
+  const [flowsByDay, closes] = await Promise.all([
+    loadCashFlows(userId, lastClose ? dayStart(nextDay(lastClose.date)) : null, dayEnd(lastDay)),
+    DayClose.find({userId, date: {$gte: firstDay, $lte: lastDay}})
+      .select('date expectedCash countedCash variance note closedBy createdAt')
+      .lean(),
+  ]);
+  const closeByDay = new Map(closes.map(close => [close.date, close]));
+
+  let openingCash = lastClose ? lastClose.countedCash : 0;
+  for (const [day, flows] of flowsByDay) {
+    if (day < firstDay) openingCash = round2(openingCash + netOf(flows));
+  }
+
+  const days = [];
+  const totals = {...emptyFlows(), cashIn: 0, cashOut: 0, variance: 0};
+  for (let day = firstDay; day <= lastDay; day = nextDay(day)) {
+    const flows = flowsByDay.get(day) || emptyFlows();
+    const cashIn = flows.collected;
+    const cashOut = round2(cashIn - netOf(flows));
+    const closingCash = round2(openingCash + cashIn - cashOut);
+    const close = closeByDay.get(day) || null;
+
+    days.push({
+      date: day,
+      openingCash,
+      ...flows,
+      cashIn,
+      cashOut,
+      closingCash,
+      dayClose: close && {
+        countedCash: close.countedCash,
+        variance: close.variance,
+        note: close.note,
+        closedBy: close.closedBy,
+        closedAt: close.createdAt,
+      },
+    });
+
+    for (const key of Object.keys(emptyFlows())) {
+      totals[key] = round2(totals[key] + flows[key]);
+    }
+    totals.cashIn = round2(totals.cashIn + cashIn);
+    totals.cashOut = round2(totals.cashOut + cashOut);
+    if (close) totals.variance = round2(totals.variance + close.variance);
+
+    openingCash = close ? close.countedCash : closingCash;
+  }
+
+  return {from: firstDay, to: lastDay, days, totals};
+}
+
+/**
+ * Close a business day with the cash counted
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.date] - Day to close, YYYY-MM-DD (defaults to today, IST)
+ * @param {number} params.countedCash - Cash in hand counted
+ * @param {string} [params.note]
+ * @param {string} params.actorUserId - User closing the day
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} Day close
+ * @throws {AppError} VALIDATION_ERROR for a future day, DAY_ALREADY_CLOSED
+ */
+async function closeDay({userId, date, countedCash, note, actorUserId, requestId}) {
+  const day = date || istDayOf(new Date());
+  if (day > istDayOf(new Date())) {
+    throw new AppError('A day can only be closed once it has started', 400, 'VALIDATION_ERROR');
+  }
+
+  const existing = await DayClose.findOne({userId, date: day}).select('_id').lean();
+  if (existing) {
+    throw new AppError(`${day} is already closed`, 409, 'DAY_ALREADY_CLOSED');
+  }
+
+  const {days} = await buildCashBook({userId, from: day, to: day});
+  const [row] = days;
+
+  let dayClose;
+  try {
+    dayClose = await DayClose.create({
+      userId,
+      date: day,
+      openingCash: row.openingCash,
+      cashIn: row.cashIn,
+      cashOut: row.cashOut,
+      expectedCash: row.closingCash,
+      countedCash,
+      variance: round2(countedCash - row.closingCash),
+      note: note || '',
+      closedBy: actorUserId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`${day} is already closed`, 409, 'DAY_ALREADY_CLOSED');
+    }
+    throw error;
+  }
+
+  logger.info('[CashBook] Day closed', {
+    userId,
+    date: day,
+    expectedCash: dayClose.expectedCash,
+    countedCash,
+    variance: dayClose.variance,
+    requestId,
+  });
+
+  return dayClose;
+}
+
+/**
+ * Refuse changes to the cash of a closed day
+ *
+ * @throws {AppError} DAY_CLOSED
+ */
+async function assertDayOpen(userId, date) {
+  const day = istDayOf(date);
+  const closed = await DayClose.findOne({userId, date: day}).select('_id').lean();
+  if (closed) {
+    throw new AppError(`${day} is closed. Cash entries for it can't be changed.`, 409, 'DAY_CLOSED');
+  }
+}
+
+/**
+ * Record an expense or owner withdrawal
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.kind] - expense | withdrawal
+ * @param {string} [params.category] - Required for expenses
+ * @param {number} params.amount
+ * @param {string} [params.mode] - Payment mode (defaults to CASH)
+ * @param {string} [params.reference]
+ * @param {Date} [params.expenseDate] - When it was paid (defaults to now)
+ * @param {string} [params.note]
+ * @param {string} [params.idempotencyKey] - Replays return the expense already recorded
+ * @param {string} params.actorUserId - User recording the expense
+ * @returns {Promise<Object>} {expense, duplicate}
+ * @throws {AppError} DAY_CLOSED
+ */
+async function recordExpense({
+  userId,
+  kind = 'expense',
+  category,
+  amount,
+  mode = 'CASH',
+  reference,
+  expenseDate,
+  note,
+  idempotencyKey,
+  actorUserId,
+}) {
+  if (idempotencyKey) {
+    const existing = await Expense.findOne({userId, idempotencyKey});
+    if (existing) {
+      return {expense: existing, duplicate: true};
+    }
+  }
+
+  const date = expenseDate ? new Date(expenseDate) : new Date();
+  await assertDayOpen(userId, date);
+
+  try {
+    const expense = await Expense.create({
+      userId,
+      kind,
+      category: kind === 'withdrawal' ? null : category,
+      amount,
+      mode,
+      reference: reference || null,
+      expenseDate: date,
+      note: note || '',
+      idempotencyKey: idempotencyKey || null,
+      createdBy: actorUserId,
+    });
+    return {expense, duplicate: false};
+  } catch (error) {
+    if (error.code === 11000 && idempotencyKey) {
+      const existing = await Expense.findOne({userId, idempotencyKey});
+      return {expense: existing, duplicate: true};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Soft-delete an expense of a day that is still open
+ *
+ * @throws {AppError} EXPENSE_NOT_FOUND, DAY_CLOSED
+ */
+async function deleteExpense({userId, expenseId, reason, actorUserId}) {
+  const expense = await Expense.findOne({_id: expenseId, userId, isDeleted: false});
+  if (!expense) {
+    throw new AppError('Expense not found', 404, 'EXPENSE_NOT_FOUND');
+  }
+
+  await assertDayOpen(userId, expense.expenseDate);
+
+  expense.isDeleted = true;
+  expense.deletedAt = new Date();
+  expense.deletedBy = actorUserId;
+  expense.deleteReason = reason;
+  await expense.save();
+
+  return expense;
+}
+
+/**
+ * List expenses (newest first) with totals by category
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {Date} [params.from]
+ * @param {Date} [params.to]
+ * @param {string} [params.kind]
+ * @param {string} [params.category]
+ * @returns {Promise<Object>} {expenses, byCategory, totalAmount, pagination}
+ */
+async function listExpenses({userId, from, to, kind, category, page = 1, limit = 50}) {
+  const filter = {userId, isDeleted: false};
+  if (from || to) {
+    filter.expenseDate = {};
+    if (from) filter.expenseDate.$gte = new Date(from);
+    if (to) filter.expenseDate.$lte = new Date(to);
+  }
+  if (kind) filter.kind = kind;
+  if (category) filter.category = category;
+
+  const [expenses, count, all] = await Promise.all([
+    Expense.find(filter)
+      .sort({expenseDate: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Expense.countDocuments(filter),
+    Expense.find(filter).select('kind category amount').lean(),
+  ]);
+
+  const byCategory = {};
+  let totalAmount = 0;
+  for (const expense of all) {
+    const key = expense.kind === 'withdrawal' ? 'withdrawal' : expense.category;
+    byCategory[key] = round2((byCategory[key] || 0) + expense.amount);
+    totalAmount = round2(totalAmount + expense.amount);
+  }
+
+  return {
+    expenses,
+    byCategory,
+    totalAmount,
+    pagination: {page, limit, total: count, pages: Math.ceil(count / limit)},
+  };
+}
+
+module.exports = {
+  MAX_CASH_BOOK_DAYS,
+  istDayOf,
+  buildCashBook,
+  closeDay,
+  recordExpense,
+  deleteExpense,
+  listExpenses,
+};
@@ -0,0 +1,318 @@
+/**
+ * Cheque Service
+ *
+ * Lifecycle of cheques received as customer payments:
+ *   post_dated / received -> deposited -> cleared | bounced
+ *
+ * The payment settles bills as soon as the cheque is received. A bounce:
+ * 1. Reverses the payment (allocations back off the bills, outstanding reinstated)
+ * 2. Books the bounce charge from BusinessSettings.chequeBounceCharge, if any
+ * 3. Reopens recovery for the customer
+ *
+ * Every transition is a guarded update on the current cheque status, so a
+ * cheque can never be both cleared and bounced.
+ */
+const BusinessSettings = require('../models/BusinessSettings');
+const Customer = require('../models/Customer');
+const CustomerPayment = require('../models/CustomerPayment');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const RecoveryCase = require('../models/RecoveryCase');
+const {atomicReserveCredit, atomicReleaseCredit} = require('./creditControlAtomic.service');
+const {reverseCustomerPayment} = require('./customerPayment.service');
+const AppError = require('../utils/AppError');
+const {getNextISTMidnight} = require('../utils/istTimezone');
+const logger = require('../utils/logger');
+
+// Target status -> statuses it can be reached from. Bouncing a bounced
+// cheque again is an idempotent retry (see updateChequeStatus).
+const CHEQUE_TRANSITIONS = {
+  deposited: ['post_dated', 'received'],
+  cleared: ['deposited'],
+  bounced: ['deposited'],
+};
+
+// Cheques still waiting on the bank
+const PENDING_CHEQUE_STATUSES = ['post_dated', 'received', 'deposited'];
+
+// Recovery statuses that mean the customer is no longer being followed up
+const CLOSED_RECOVERY_STATUSES = ['paid', 'resolved', 'dropped'];
+
+/**
+ * Explain why a cheque could not move to `status`
+ *
+ * @throws {AppError} PAYMENT_NOT_FOUND, NOT_A_CHEQUE, PAYMENT_ALREADY_REVERSED, PAYMENT_REFUNDED,
+ *   CHEQUE_STATUS_INVALID
+ */
+async function throwTransitionError({userId, paymentId, status}) {
+  const payment = await CustomerPayment.findOne({_id: paymentId, userId}).select('status cheque refundedAmount').lean();
+  if (!payment) {
+    throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+  }
+  if (!payment.cheque) {
+    throw new AppError('Payment was not made by cheque', 400, 'NOT_A_CHEQUE');
+  }
+  if (payment.status === 'reversed') {
+    throw new AppError('Payment is already reversed', 409, 'PAYMENT_ALREADY_REVERSED');
+  }
+  if (status === 'bounced' && payment.refundedAmount > 0) {
+    throw new AppError(
+      `₹${payment.refundedAmount} of this payment was refunded to the customer; it cannot be reversed`,
+      409,
+      'PAYMENT_REFUNDED'
+    );
+  }
+  throw new AppError(
+    `A ${payment.cheque.status.replace('_', '-')} cheque cannot be marked ${status}`,
+    409,
+    'CHEQUE_STATUS_INVALID'
+  );
+}
+
+/**
+ * Book the configured bounce charge to the customer: added to what they owe
+ * like a manual ledger credit, never blocked by the credit limit
+ *
+ * @returns {Promise<number>} Charge booked (0 when none is configured)
+ */
+async function bookBounceCharge({userId, payment, requestId}) {
+  const idempotencyKey = `cheque_bounce_charge_${payment._id}`;
+  const booked = await LedgerTransaction.findOne({userId, idempotencyKey}).select('amount').lean();
+  if (booked) {
+    return booked.amount;
+  }
+
+  const settings = await BusinessSettings.findOne({userId}).select('chequeBounceCharge').lean();
+  const charge = settings?.chequeBounceCharge || 0;
+  if (charge <= 0) {
+    return 0;
+  }
+
+  await atomicReserveCredit({
+    userId,
+    customerId: payment.customerId,
+    delta: charge,
+    override: true,
+    overrideReason: 'CHEQUE_BOUNCE_CHARGE',
+    requestId,
+  });
+
+  try {
+    await LedgerTransaction.create({
+      userId,
+      customerId: payment.customerId,
+      type: 'credit',
+      amount: charge,
+      source: 'adjustment',
+      note: `Cheque bounce charge (Cheque ${payment.cheque.number}, Receipt ${payment.receiptNo})`,
+      metadata: {
+        source: 'cheque_bounce_charge',
+        paymentId: payment._id,
+        receiptNo: payment.receiptNo,
+        chequeNumber: payment.cheque.number,
+      },
+      idempotencyKey,
+    });
+  } catch (error) {
+    await atomicReleaseCredit({
+      userId,
+      customerId: payment.customerId,
+      delta: charge,
+      reason: 'ROLLBACK_BOUNCE_CHARGE_FAILED',
+      requestId,
+    });
+    // Booked by a concurrent attempt
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return charge;
+}
+
+/**
+ * Put the customer back into recovery: reopen their latest case when it was
+ * closed, or open one when they have none
+ *
+ * @returns {Promise<Object>} {recoveryCase, reopened}
+ */
+async function reopenRecovery({userId, payment}) {
+  const customer = await Customer.findOne({_id: payment.customerId, userId})
+    .select('name phone creditOutstanding')
+    .lean();
+  const note = `Cheque ${payment.cheque.number} bounced (Receipt ${payment.receiptNo})`;
+
+  const latest = await RecoveryCase.findOne({userId, customerId: payment.customerId}).sort({createdAt: -1});
+  if (latest && !CLOSED_RECOVERY_STATUSES.includes(latest.status)) {
+    return {recoveryCase: latest, reopened: false};
+  }
+
+  if (latest) {
+    latest.status = 'open';
+    latest.outstandingSnapshot = customer?.creditOutstanding || 0;
+    latest.notes = latest.notes ? `${latest.notes}\n${note}` : note;
+    await latest.save();
+    return {recoveryCase: latest, reopened: true};
+  }
+
+  try {
+    const recoveryCase = await RecoveryCase.create({
+      userId,
+      customerId: payment.customerId,
+      customerSnapshot: customer ? {name: customer.name, phone: customer.phone} : null,
+      status: 'open',
+      outstandingSnapshot: customer?.creditOutstanding || 0,
+      notes: note,
+      idempotencyKey: `cheque_bounce_${payment._id}`,
+    });
+    return {recoveryCase, reopened: true};
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      const existing = await RecoveryCase.findOne({userId, idempotencyKey: `cheque_bounce_${payment._id}`});
+      return {recoveryCase: existing, reopened: false};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Move a cheque along its lifecycle
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.paymentId - Customer payment made by cheque
+ * @param {string} params.status - deposited | cleared | bounced
+ * @param {Date} [params.date] - When it happened (defaults to now)
+ * @param {string} [params.reason] - Bank's bounce reason
+ * @param {string} params.actorUserId - User updating the cheque
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {payment, previousStatus, restoredAmount, bounceCharge, recoveryCase, duplicate}
+ * @throws {AppError} PAYMENT_NOT_FOUND, NOT_A_CHEQUE, PAYMENT_ALREADY_REVERSED,
+ *   CHEQUE_STATUS_INVALID, CHEQUE_NOT_DUE
+ */
+async function updateChequeStatus({userId, paymentId, status, date, reason, actorUserId, requestId}) {
+  const at = date ? new Date(date) : new Date();
+
+  const current = await CustomerPayment.findOne({_id: paymentId, userId, status: 'active'})
+    .select('cheque')
+    .lean();
+  if (
+    status === 'deposited'
+    && current?.cheque?.status === 'post_dated'
+    && current.cheque.chequeDate >= getNextISTMidnight()
+  ) {
+    throw new AppError('Post-dated cheque cannot be deposited before its date', 409, 'CHEQUE_NOT_DUE');
+  }
+
+  const set = {'cheque.status': status};
+  if (status === 'deposited') set['cheque.depositedAt'] = at;
+  if (status === 'cleared') set['cheque.clearedAt'] = at;
+  if (status === 'bounced') {
+    set['cheque.bouncedAt'] = at;
+    set['cheque.bounceReason'] = reason || null;
+  }
+
+  const payment = await CustomerPayment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      userId,
+      status: 'active',
+      'cheque.status': {$in: CHEQUE_TRANSITIONS[status]},
+      // A bounce reverses the payment, which a refund rules out
+      ...(status === 'bounced' ? {refundedAmount: {$not: {$gt: 0}}} : {}),
+    },
+    {$set: set},
+    {new: false}
+  );
+
+  if (!payment && status === 'bounced') {
+    // Bounced already (its payment is reversed): only a charge an earlier attempt didn't book is left
+    const bounced = await CustomerPayment.findOne({_id: paymentId, userId, 'cheque.status': 'bounced'}).lean();
+    if (bounced) {
+      const bounceCharge = await bookBounceCharge({userId, payment: bounced, requestId});
+      if (bounceCharge > 0 && !bounced.cheque.bounceCharge) {
+        await CustomerPayment.updateOne({_id: bounced._id}, {$set: {'cheque.bounceCharge': bounceCharge}});
+      }
+      const updated = await CustomerPayment.findById(bounced._id).lean();
+      return {payment: updated, previousStatus: 'bounced', restoredAmount: 0, bounceCharge, recoveryCase: null, duplicate: true};
+    }
+  }
+
+  if (!payment) {
+    await throwTransitionError({userId, paymentId, status});
+  }
+
+  const previousStatus = payment.cheque.status;
+  const result = {previousStatus, restoredAmount: 0, bounceCharge: 0, recoveryCase: null, duplicate: false};
+
+  if (status === 'bounced') {
+    const reversal = await reverseCustomerPayment({
+      userId,
+      customerId: payment.customerId,
+      paymentId: payment._id,
+      reason: `Cheque ${payment.cheque.number} bounced${reason ? `: ${reason}` : ''}`,
+      actorUserId,
+      requestId,
+    });
+    result.restoredAmount = reversal.restoredAmount;
+
+    result.bounceCharge = await bookBounceCharge({userId, payment, requestId});
+    if (result.bounceCharge > 0) {
+      await CustomerPayment.updateOne({_id: payment._id}, {$set: {'cheque.bounceCharge': result.bounceCharge}});
+    }
+
+    const {recoveryCase} = await reopenRecovery({userId, payment});
+    result.recoveryCase = recoveryCase;
+  }
+
+  logger.info('[Cheque] Cheque status updated', {
+    userId,
+    paymentId: payment._id,
+    chequeNumber: payment.cheque.number,
+    from: previousStatus,
+    to: status,
+    restoredAmount: result.restoredAmount,
+    bounceCharge: result.bounceCharge,
+    requestId,
+  });
+
+  const updated = await CustomerPayment.findById(payment._id).lean();
+  return {payment: updated, ...result};
+}
+
+/**
+ * List cheques (?status, ?customerId; pending ones by default), earliest cheque date first
+ *
+ * @returns {Promise<Object>} {cheques, pagination}
+ */
+async function listCheques({userId, status, customerId, page = 1, limit = 50}) {
+  const filter = {
+    userId,
+    mode: 'CHEQUE',
+    'cheque.status': status || {$in: PENDING_CHEQUE_STATUSES},
+  };
+  if (customerId) {
+    filter.customerId = customerId;
+  }
+
+  const [cheques, total] = await Promise.all([
+    CustomerPayment.find(filter)
+      .populate('customerId', 'name phone')
+      .sort({'cheque.chequeDate': 1, createdAt: 1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CustomerPayment.countDocuments(filter),
+  ]);
+
+  return {
+    cheques,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  };
+}
+
+module.exports = {
+  CHEQUE_TRANSITIONS,
+  PENDING_CHEQUE_STATUSES,
+  updateChequeStatus,
+  listCheques,
+};
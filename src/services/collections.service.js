@@ -0,0 +1,122 @@
+/**
+ * Collections Service
+ *
+ * Money received in a period split by payment mode, from the ledger:
+ * - Payment debits (bill payments, customer payments, manual entries) count as
+ *   received; credit notes and bill amendments also post debits but are not money
+ * - Reversed customer payments (bounced cheques, failed transfers) are netted off
+ *   under the same mode
+ * - Refunds of credit balance are netted off under the mode they were paid in
+ *
+ * A payment counts in the period of its paymentDate (when entered, for entries
+ * that have none). Cheques count when received; pendingCheques shows how much of
+ * that is still waiting on the bank.
+ */
+const CustomerPayment = require('../models/CustomerPayment');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {resolvePeriod} = require('./gstReturns.service');
+const {PENDING_CHEQUE_STATUSES} = require('./cheque.service');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Debits that do not record money received
+const NON_COLLECTION_SOURCES = ['credit_note', 'bill_amend'];
+
+// Credits that give money back (netted off collections)
+const COLLECTION_RETURN_SOURCES = ['customer_payment_reversal', 'customer_refund'];
+
+// Entries recorded before payment modes were captured
+const UNSPECIFIED_MODE = 'UNSPECIFIED';
+
+/**
+ * Collections report for a period
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.month] - YYYY-MM
+ * @param {Date} [params.from] - Period start (defaults to start of this month)
+ * @param {Date} [params.to] - Period end (defaults to today)
+ * @returns {Promise<Object>} {period, byMode, totals, pendingCheques}
+ */
+async function buildCollectionsReport({userId, month, from, to}) {
+  const period = resolvePeriod({month, from, to});
+  const inPeriod = {$gte: period.from, $lte: period.to};
+
+  const [entries, pending] = await Promise.all([
+    LedgerTransaction.find({
+      userId,
+      $and: [
+        {
+          $or: [
+            {type: 'debit', 'metadata.source': {$nin: NON_COLLECTION_SOURCES}},
+            {type: 'credit', 'metadata.source': {$in: COLLECTION_RETURN_SOURCES}},
+          ],
+        },
+        {
+          $or: [
+            {paymentDate: inPeriod},
+            {paymentDate: null, createdAt: inPeriod},
+          ],
+        },
+      ],
+    })
+      .select('type amount paymentMode metadata.source')
+      .lean(),
+    CustomerPayment.find({
+      userId,
+      mode: 'CHEQUE',
+      status: 'active',
+      'cheque.status': {$in: PENDING_CHEQUE_STATUSES},
+    })
+      .select('amount cheque.status')
+      .lean(),
+  ]);
+
+  const rows = new Map(
+    [...PAYMENT_MODES, UNSPECIFIED_MODE].map(mode => [mode, {mode, count: 0, received: 0, reversed: 0, refunded: 0, net: 0}])
+  );
+  for (const entry of entries) {
+    const row = rows.get(entry.paymentMode || UNSPECIFIED_MODE);
+    if (entry.type === 'debit') {
+      row.count += 1;
+      row.received = round2(row.received + entry.amount);
+    } else if (entry.metadata?.source === 'customer_refund') {
+      row.refunded = round2(row.refunded + entry.amount);
+    } else {
+      row.reversed = round2(row.reversed + entry.amount);
+    }
+    row.net = round2(row.received - row.reversed - row.refunded);
+  }
+
+  // Every real mode is always listed; UNSPECIFIED only when there are such entries
+  const byMode = [...rows.values()].filter(row =>
+    row.mode !== UNSPECIFIED_MODE || row.count > 0 || row.reversed > 0 || row.refunded > 0);
+  const totals = byMode.reduce(
+    (sum, row) => ({
+      count: sum.count + row.count,
+      received: round2(sum.received + row.received),
+      reversed: round2(sum.reversed + row.reversed),
+      refunded: round2(sum.refunded + row.refunded),
+      net: round2(sum.net + row.net),
+    }),
+    {count: 0, received: 0, reversed: 0, refunded: 0, net: 0}
+  );
+
+  const pendingCheques = {
+    count: pending.length,
+    amount: round2(pending.reduce((sum, payment) => sum + payment.amount, 0)),
+    byStatus: Object.fromEntries(PENDING_CHEQUE_STATUSES.map(status => [
+      status,
+      round2(pending.filter(payment => payment.cheque.status === status).reduce((sum, p) => sum + p.amount, 0)),
+    ])),
+  };
+
+  return {period, byMode, totals, pendingCheques};
+}
+
+module.exports = {
+  NON_COLLECTION_SOURCES,
+  COLLECTION_RETURN_SOURCES,
+  buildCollectionsReport,
+};
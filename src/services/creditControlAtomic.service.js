@@ -130,7 +130,9 @@ async function atomicReserveCredit({
     const grace = customer.creditLimitGraceAmount || 0;
     const threshold = limit + grace;
     const currentOutstanding = customer.creditOutstanding || 0;
-    const newOutstanding = currentOutstanding + delta;
+    // Advances held for the customer settle new bills: they count against exposure
+    const advanceBalance = customer.advanceBalance || 0;
+    const newOutstanding = currentOutstanding + delta - advanceBalance;
     
     // Check if would breach
     const wouldBreach = newOutstanding > threshold;
@@ -151,9 +153,10 @@ async function atomicReserveCredit({
           grace,
           threshold,
           currentOutstanding,
+          advanceBalance,
           attemptedDelta: delta,
           wouldBeOutstanding: newOutstanding,
-          headroom: threshold - currentOutstanding,
+          headroom: threshold - currentOutstanding + advanceBalance,
           allowOverride: customer.creditLimitAllowOverride,
         },
         requestId,
@@ -179,9 +182,10 @@ async function atomicReserveCredit({
           grace,
           threshold,
           currentOutstanding,
+          advanceBalance,
           attemptedDelta: delta,
           wouldBeOutstanding: newOutstanding,
-          headroom: threshold - currentOutstanding,
+          headroom: threshold - currentOutstanding + advanceBalance,
           allowOverride: customer.creditLimitAllowOverride,
         },
       };
@@ -0,0 +1,414 @@
+/**
+ * Credit Note Service
+ *
+ * Credit notes / sales returns against a bill:
+ * 1. Lines reference bill lines and the quantity returned; a line can never be
+ *    returned more than was billed (across all credit notes of the bill)
+ * 2. Values are the bill line's value for that quantity: GST lines keep their
+ *    rate and tax split, plain bills share the bill discount and tax pro rata
+ * 3. The bill is settled first (paidAmount, status) with a guarded update, then
+ *    the note gets its number from the creditNote series
+ * 4. Outstanding is released atomically for the part that settled the bill
+ * 5. Ledger debit for the full value (statement / timeline line)
+ * 6. Returned quantities of tracked items back into stock
+ *
+ * Anything credited above the bill's pending amount is owed back to the customer:
+ * it is held as an advance (unappliedAmount, Customer.advanceBalance) for their
+ * next bills or a refund.
+ */
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const CreditNote = require('../models/CreditNote');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {settledStatus} = require('./billPayment.service');
+const {atomicReleaseCredit} = require('./creditControlAtomic.service');
+const {nextDocumentNumber} = require('./numberSeries.service');
+const {recordSalesReturn} = require('./stock.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Tolerance for fractional quantities (e.g. 0.1 kg steps)
+const QTY_EPSILON = 1e-6;
+
+// Attempts to find a free credit note number when one is already taken
+const MAX_NUMBER_ATTEMPTS = 5;
+
+const GST_AMOUNT_FIELDS = ['taxableValue', 'cgst', 'sgst', 'igst'];
+
+/**
+ * Quantities and values already credited per bill line
+ */
+function sumCreditedLines(previousNotes) {
+  const credited = new Map();
+
+  for (const note of previousNotes) {
+    for (const line of note.items) {
+      const key = String(line.billLineId);
+      const entry = credited.get(key) || {qty: 0, total: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0};
+      entry.qty += line.qty;
+      entry.total = round2(entry.total + line.total);
+      for (const field of GST_AMOUNT_FIELDS) {
+        entry[field] = round2(entry[field] + (line[field] || 0));
+      }
+      credited.set(key, entry);
+    }
+  }
+
+  return credited;
+}
+
+/**
+ * Compute credit note lines and totals for returned quantities
+ *
+ * The last return of a line takes whatever value is left on it, so a bill
+ * returned in several notes is credited exactly its own total.
+ *
+ * @param {Object} bill - Bill (items with _id)
+ * @param {Array} requested - [{lineId, qty}]
+ * @param {Array} [previousNotes] - Credit notes already issued against the bill
+ * @returns {Object} {items, subTotal, discount, tax, grandTotal, gst}
+ * @throws {AppError} CREDIT_NOTE_LINE_NOT_FOUND, CREDIT_QTY_EXCEEDS_BILL
+ */
+function computeCreditNote(bill, requested, previousNotes = []) {
+  const isTaxInvoice = Boolean(bill.gst?.isTaxInvoice);
+  const credited = sumCreditedLines(previousNotes);
+  const linesById = new Map(bill.items.map(line => [String(line._id), line]));
+
+  let fullyReturned = true;
+  const returnedLineIds = new Set(requested.map(({lineId}) => String(lineId)));
+
+  const items = requested.map(({lineId, qty}) => {
+    const line = linesById.get(String(lineId));
+    if (!line) {
+      throw new AppError('Bill line not found', 400, 'CREDIT_NOTE_LINE_NOT_FOUND');
+    }
+
+    const already = credited.get(String(lineId)) || {qty: 0, total: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0};
+    const remainingQty = line.qty - already.qty;
+    if (qty > remainingQty + QTY_EPSILON) {
+      throw new AppError(
+        `Only ${round2(Math.max(0, remainingQty))} of ${line.name} can still be returned`,
+        400,
+        'CREDIT_QTY_EXCEEDS_BILL'
+      );
+    }
+
+    const isLastReturn = qty >= remainingQty - QTY_EPSILON;
+    if (!isLastReturn) {
+      fullyReturned = false;
+    }
+    const share = (field, billValue) => (isLastReturn
+      ? round2((billValue || 0) - already[field])
+      : round2((billValue || 0) * qty / line.qty));
+
+    return {
+      billLineId: line._id,
+      itemId: line.itemId || null,
+      name: line.name,
+      qty,
+      price: line.price,
+      total: share('total', line.total),
+      ...(isTaxInvoice ? {
+        hsnCode: line.hsnCode || null,
+        gstRate: line.gstRate,
+        ...Object.fromEntries(GST_AMOUNT_FIELDS.map(field => [field, share(field, line[field])])),
+      } : {}),
+    };
+  });
+
+  // Lines not in this note must already be fully returned for the bill to be
+  for (const line of bill.items) {
+    if (!returnedLineIds.has(String(line._id))) {
+      const already = credited.get(String(line._id));
+      if (!already || already.qty < line.qty - QTY_EPSILON) {
+        fullyReturned = false;
+      }
+    }
+  }
+
+  const sum = (lines, field) => round2(lines.reduce((total, line) => total + (line[field] || 0), 0));
+  const subTotal = sum(items, 'total');
+
+  if (isTaxInvoice) {
+    const taxableValue = sum(items, 'taxableValue');
+    const cgst = sum(items, 'cgst');
+    const sgst = sum(items, 'sgst');
+    const igst = sum(items, 'igst');
+    const totalTax = round2(cgst + sgst + igst);
+
+    return {
+      items,
+      subTotal,
+      discount: round2(Math.max(0, subTotal - taxableValue)),
+      tax: totalTax,
+      grandTotal: round2(taxableValue + totalTax),
+      // invoiceValue: original invoice value (GSTR-1 reports notes against large
+      // inter-state B2C invoices separately)
+      gst: {...bill.gst, invoiceValue: bill.grandTotal, taxableValue, cgst, sgst, igst, totalTax},
+    };
+  }
+
+  // Plain bills: the bill-level discount and tax follow the returned value
+  let discount;
+  let tax;
+  if (fullyReturned) {
+    discount = round2((bill.discount || 0) - sum(previousNotes, 'discount'));
+    tax = round2((bill.tax || 0) - sum(previousNotes, 'tax'));
+  } else {
+    const ratio = bill.subTotal > 0 ? subTotal / bill.subTotal : 0;
+    discount = round2((bill.discount || 0) * ratio);
+    tax = round2((bill.tax || 0) * ratio);
+  }
+
+  return {
+    items,
+    subTotal,
+    discount,
+    tax,
+    grandTotal: round2(subTotal - discount + tax),
+    gst: null,
+  };
+}
+
+/**
+ * Create the credit note document, taking the next number when one is already used
+ */
+async function createWithNumber(data, userId) {
+  for (let attempt = 1; ; attempt++) {
+    const {documentNo} = await nextDocumentNumber({userId, series: 'creditNote'});
+    try {
+      return await CreditNote.create({...data, creditNoteNo: documentNo});
+    } catch (error) {
+      const numberTaken = error.code === 11000 && Boolean(error.keyPattern?.creditNoteNo);
+      if (!numberTaken || attempt >= MAX_NUMBER_ATTEMPTS) {
+        throw error;
+      }
+      logger.warn('[CreditNote] Credit note number already taken, issuing next', {userId, documentNo});
+    }
+  }
+}
+
+/**
+ * Issue a credit note against a bill
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.billId - Bill ID
+ * @param {Array} params.items - Returned lines [{lineId, qty}]
+ * @param {string} [params.reason] - Reason printed on the note (e.g. damaged goods)
+ * @param {string} [params.idempotencyKey] - Replays return the note already issued
+ * @param {string} params.actorUserId - User issuing the note
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {creditNote, bill, duplicate}
+ * @throws {AppError} NOT_FOUND, BILL_NOT_CREDITABLE, CREDIT_NOTE_LINE_NOT_FOUND,
+ *   CREDIT_QTY_EXCEEDS_BILL, CREDIT_NOTE_CONFLICT
+ */
+async function issueCreditNote({userId, billId, items, reason, idempotencyKey, actorUserId, requestId}) {
+  if (idempotencyKey) {
+    const existing = await CreditNote.findOne({userId, idempotencyKey});
+    if (existing) {
+      const bill = await Bill.findOne({_id: existing.billId, userId});
+      return {creditNote: existing, bill, duplicate: true};
+    }
+  }
+
+  const bill = await Bill.findOne({_id: billId, userId, isDeleted: false});
+  if (!bill) {
+    throw new AppError('Bill not found', 404, 'NOT_FOUND');
+  }
+  if (bill.status === 'cancelled') {
+    throw new AppError('Cancelled bills cannot be credited', 409, 'BILL_NOT_CREDITABLE');
+  }
+
+  const previousNotes = await CreditNote.find({userId, billId: bill._id})
+    .select('items discount tax grandTotal')
+    .lean();
+  const note = computeCreditNote(bill, items, previousNotes);
+
+  const paidAmount = bill.paidAmount || 0;
+  const creditedAmount = bill.creditedAmount || 0;
+  const appliedAmount = round2(Math.min(note.grandTotal, Math.max(0, bill.grandTotal - paidAmount)));
+  const newPaidAmount = round2(paidAmount + appliedAmount);
+
+  // Settle the bill first: the guard on paidAmount / creditedAmount makes
+  // concurrent credit notes and payments re-read the bill
+  const updatedBill = await Bill.findOneAndUpdate(
+    {
+      _id: bill._id,
+      userId,
+      isDeleted: false,
+      status: {$ne: 'cancelled'},
+      paidAmount,
+      creditedAmount: creditedAmount === 0 ? {$in: [0, null]} : creditedAmount,
+    },
+    {
+      $set: {
+        paidAmount: newPaidAmount,
+        creditedAmount: round2(creditedAmount + note.grandTotal),
+        status: settledStatus(newPaidAmount, bill.grandTotal),
+      },
+    },
+    {new: true}
+  );
+
+  if (!updatedBill) {
+    throw new AppError('The bill changed while issuing the credit note. Please retry.', 409, 'CREDIT_NOTE_CONFLICT');
+  }
+
+  let creditNote;
+  try {
+    creditNote = await createWithNumber({
+      userId,
+      customerId: bill.customerId,
+      billId: bill._id,
+      billNo: bill.billNo,
+      billDate: bill.createdAt,
+      items: note.items,
+      subTotal: note.subTotal,
+      discount: note.discount,
+      tax: note.tax,
+      gst: note.gst,
+      grandTotal: note.grandTotal,
+      appliedAmount,
+      unappliedAmount: round2(note.grandTotal - appliedAmount),
+      reason: reason || '',
+      issuedBy: actorUserId,
+      idempotencyKey: idempotencyKey || null,
+    }, userId);
+  } catch (error) {
+    await Bill.updateOne(
+      {_id: bill._id, userId},
+      {
+        $inc: {paidAmount: -appliedAmount, creditedAmount: -note.grandTotal},
+        $set: {status: settledStatus(paidAmount, bill.grandTotal)},
+      }
+    );
+
+    // Same idempotency key issued concurrently: return that note
+    if (error.code === 11000 && idempotencyKey && error.keyPattern?.idempotencyKey) {
+      const existing = await CreditNote.findOne({userId, idempotencyKey});
+      return {creditNote: existing, bill, duplicate: true};
+    }
+    throw error;
+  }
+
+  // Credit above what was due is held for the customer (advance)
+  if (creditNote.unappliedAmount > 0) {
+    await Customer.updateOne(
+      {_id: bill.customerId, userId},
+      {$inc: {advanceBalance: creditNote.unappliedAmount}}
+    );
+  }
+
+  if (appliedAmount > 0) {
+    await atomicReleaseCredit({
+      userId,
+      customerId: bill.customerId,
+      delta: appliedAmount,
+      reason: 'CREDIT_NOTE',
+      billId: bill._id,
+      requestId,
+    });
+  }
+
+  await LedgerTransaction.create({
+    userId,
+    customerId: bill.customerId,
+    type: 'debit',
+    amount: note.grandTotal,
+    source: 'adjustment',
+    note: `Credit note ${creditNote.creditNoteNo} against Bill ${bill.billNo}`,
+    metadata: {
+      billId: bill._id,
+      billNo: bill.billNo,
+      creditNoteId: creditNote._id,
+      creditNoteNo: creditNote.creditNoteNo,
+      source: 'credit_note',
+    },
+    idempotencyKey: `credit_note_${creditNote._id}`,
+  });
+
+  try {
+    await recordSalesReturn({userId, creditNote});
+  } catch (stockError) {
+    logger.error('[CreditNote] Stock update failed', {
+      creditNoteId: creditNote._id,
+      error: stockError.message,
+    });
+  }
+
+  logger.info('[CreditNote] Credit note issued', {
+    userId,
+    billId: bill._id,
+    creditNoteNo: creditNote.creditNoteNo,
+    amount: note.grandTotal,
+    appliedAmount,
+    requestId,
+  });
+
+  return {creditNote, bill: updatedBill, duplicate: false};
+}
+
+/**
+ * List credit notes (newest first)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.customerId] - Only this customer's notes
+ * @param {string} [params.billId] - Only notes against this bill
+ * @param {Date} [params.from] - Issued on or after
+ * @param {Date} [params.to] - Issued on or before
+ * @param {number} [params.page=1]
+ * @param {number} [params.limit=50]
+ * @returns {Promise<Object>} {creditNotes, pagination}
+ */
+async function listCreditNotes({userId, customerId, billId, from, to, page = 1, limit = 50}) {
+  const filter = {userId};
+  if (customerId) filter.customerId = customerId;
+  if (billId) filter.billId = billId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const [creditNotes, total] = await Promise.all([
+    CreditNote.find(filter)
+      .sort({createdAt: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('customerId', 'name phone')
+      .lean(),
+    CreditNote.countDocuments(filter),
+  ]);
+
+  return {
+    creditNotes,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  };
+}
+
+/**
+ * Get one credit note
+ *
+ * @throws {AppError} CREDIT_NOTE_NOT_FOUND
+ */
+async function getCreditNote({userId, creditNoteId}) {
+  const creditNote = await CreditNote.findOne({_id: creditNoteId, userId})
+    .populate('customerId', 'name phone')
+    .lean();
+
+  if (!creditNote) {
+    throw new AppError('Credit note not found', 404, 'CREDIT_NOTE_NOT_FOUND');
+  }
+  return creditNote;
+}
+
+module.exports = {
+  computeCreditNote,
+  issueCreditNote,
+  listCreditNotes,
+  getCreditNote,
+};
@@ -0,0 +1,195 @@
+/**
+ * Credit Note Share Link Service
+ *
+ * Public link for a single credit note (same token format and revocation as
+ * bill share links). Public data is sanitised: no phone numbers or internal ids.
+ */
+const crypto = require('crypto');
+const CreditNote = require('../models/CreditNote');
+const CreditNoteShareLink = require('../models/CreditNoteShareLink');
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const {formatStateCode} = require('./gst.service');
+const {generatePublicUrl} = require('../utils/publicUrl');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const TOKEN_PATTERN = /^[a-f0-9]{40,}$/i;
+
+/**
+ * Public URL for a credit note share token (web viewer route /cn/:token)
+ */
+const getCreditNoteShareUrl = token => generatePublicUrl(token, 'cn');
+
+/**
+ * Generate a unique token (retry on the unlikely collision)
+ */
+async function generateUniqueToken() {
+  const maxAttempts = 5;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const token = crypto.randomBytes(24).toString('hex'); // 48 chars
+    const existing = await CreditNoteShareLink.exists({token});
+    if (!existing) {
+      return token;
+    }
+  }
+
+  throw new AppError('Failed to generate unique token', 500, 'TOKEN_GENERATION_FAILED');
+}
+
+/**
+ * Get the active link for a credit note, creating one if missing
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Business id
+ * @param {string} params.creditNoteId - Credit note id
+ * @returns {Promise<Object>} {url, token, created}
+ * @throws {AppError} CREDIT_NOTE_NOT_FOUND
+ */
+async function getOrCreateCreditNoteShareLink({userId, creditNoteId}) {
+  const creditNote = await CreditNote.findOne({_id: creditNoteId, userId}).select('_id').lean();
+  if (!creditNote) {
+    throw new AppError('Credit note not found', 404, 'CREDIT_NOTE_NOT_FOUND');
+  }
+
+  const existing = await CreditNoteShareLink.findOne({userId, creditNoteId, status: 'active'});
+  if (existing) {
+    return {url: getCreditNoteShareUrl(existing.token), token: existing.token, created: false};
+  }
+
+  const link = await CreditNoteShareLink.create({
+    userId,
+    creditNoteId,
+    token: await generateUniqueToken(),
+    status: 'active',
+  });
+
+  logger.info('[CreditNoteShare] Share link created', {
+    userId: userId.toString(),
+    creditNoteId: creditNoteId.toString(),
+    token: link.token.substring(0, 8) + '...',
+  });
+
+  return {url: getCreditNoteShareUrl(link.token), token: link.token, created: true};
+}
+
+/**
+ * Revoke the active link(s) of a credit note
+ *
+ * @returns {Promise<number>} Number of links revoked
+ */
+async function revokeCreditNoteShareLinks({userId, creditNoteId}) {
+  const result = await CreditNoteShareLink.updateMany(
+    {userId, creditNoteId, status: 'active'},
+    {$set: {status: 'revoked', revokedAt: new Date()}}
+  );
+
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Sanitize a credit note for public display
+ *
+ * @param {Object} creditNote - Credit note
+ * @param {Object} customer - Customer (name only is exposed)
+ * @param {string} [shopName] - Business display name
+ * @returns {Object} Public credit note data
+ */
+function sanitizeCreditNoteForPublic(creditNote, customer, shopName = null) {
+  const gst = creditNote.gst?.isTaxInvoice ? creditNote.gst : null;
+
+  return {
+    creditNoteNo: creditNote.creditNoteNo,
+    date: creditNote.createdAt,
+    billNo: creditNote.billNo,
+    billDate: creditNote.billDate,
+    customerName: customer?.name || 'Customer',
+    shopName: shopName || 'ProfitHooks',
+    reason: creditNote.reason || null,
+    items: creditNote.items.map(item => ({
+      name: item.name,
+      qty: item.qty,
+      price: item.price,
+      total: item.total,
+      ...(gst ? {
+        hsnCode: item.hsnCode || null,
+        gstRate: item.gstRate,
+        taxableValue: item.taxableValue,
+        cgst: item.cgst,
+        sgst: item.sgst,
+        igst: item.igst,
+      } : {}),
+    })),
+    subTotal: creditNote.subTotal,
+    discount: creditNote.discount || 0,
+    tax: creditNote.tax || 0,
+    grandTotal: creditNote.grandTotal,
+    // GSTINs are printed on credit notes by law, like on tax invoices
+    gst: gst ? {
+      supplierGstin: gst.supplierGstin,
+      supplierLegalName: gst.supplierLegalName || shopName || null,
+      supplierAddress: gst.supplierAddress || null,
+      customerGstin: gst.customerGstin || null,
+      customerAddress: gst.customerAddress || null,
+      placeOfSupply: gst.placeOfSupply,
+      placeOfSupplyName: formatStateCode(gst.placeOfSupply),
+      supplyType: gst.supplyType,
+      stateTaxName: gst.stateTaxName || 'SGST',
+      taxableValue: gst.taxableValue,
+      cgst: gst.cgst,
+      sgst: gst.sgst,
+      igst: gst.igst,
+      totalTax: gst.totalTax,
+    } : null,
+  };
+}
+
+/**
+ * Resolve a public token to sanitized credit note data
+ * Counts the access on success.
+ *
+ * @param {string} token - Share token
+ * @returns {Promise<Object>} {data, creditNote, customer}
+ * @throws 404 INVALID_TOKEN | LINK_EXPIRED | CREDIT_NOTE_NOT_FOUND
+ */
+async function getPublicCreditNoteByToken(token) {
+  if (!token || !TOKEN_PATTERN.test(token)) {
+    throw new AppError('Invalid token', 404, 'INVALID_TOKEN');
+  }
+
+  const link = await CreditNoteShareLink.findOne({token, status: 'active'}).lean();
+  if (!link) {
+    throw new AppError('Link expired or revoked', 404, 'LINK_EXPIRED');
+  }
+
+  const creditNote = await CreditNote.findOne({_id: link.creditNoteId, userId: link.userId}).lean();
+  if (!creditNote) {
+    throw new AppError('Credit note not found', 404, 'CREDIT_NOTE_NOT_FOUND');
+  }
+
+  const [customer, owner] = await Promise.all([
+    Customer.findOne({_id: creditNote.customerId, userId: link.userId}).select('name preferredLanguage').lean(),
+    User.findById(link.userId).select('name businessName').lean(),
+  ]);
+
+  // Update access metrics
+  await CreditNoteShareLink.updateOne(
+    {_id: link._id},
+    {$set: {lastAccessAt: new Date()}, $inc: {accessCount: 1}}
+  );
+
+  return {
+    data: sanitizeCreditNoteForPublic(creditNote, customer, owner?.businessName || owner?.name),
+    creditNote,
+    customer,
+  };
+}
+
+module.exports = {
+  getCreditNoteShareUrl,
+  getOrCreateCreditNoteShareLink,
+  revokeCreditNoteShareLinks,
+  sanitizeCreditNoteForPublic,
+  getPublicCreditNoteByToken,
+};
@@ -0,0 +1,791 @@
+/**
+ * Customer Import Service
+ *
+ * Onboarding from a paper khata or another app from a CSV/XLSX file:
+ * customers with opening balances, then (optionally) their unpaid bills.
+ * 1. Upload: parse the sheet, guess the column mapping from the headers
+ * 2. Preview (dry run): normalise phones, parse amounts and dates, flag
+ *    per-row errors and duplicates (in the file, or existing customers)
+ * 3. Commit: create the valid rows in the background; the client polls the job
+ *
+ * Each created customer gets its opening balance as an `opening` ledger
+ * credit. Imports are idempotent: the same file returns the same job,
+ * customers are tied to their row (importRef) and existing customers are
+ * skipped as duplicates, so an import can be resumed or re-uploaded safely.
+ *
+ * Bill imports match each row to an existing customer (by phone, else by
+ * name) and issue the bill through billCreation.service, so it takes the next
+ * invoice number and adds its unpaid part to the customer's outstanding. The
+ * bill is dated as in the old books (so aging and interest run from then) and
+ * keeps the old bill number in its notes. A customer's past dues come in either
+ * as an opening balance or as bills, not both.
+ */
+const crypto = require('crypto');
+const Customer = require('../models/Customer');
+const ImportJob = require('../models/ImportJob');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const billCreation = require('./billCreation.service');
+const {auditCreate} = require('./auditHelper.service');
+const {readSpreadsheet, fromExcelSerial} = require('../utils/spreadsheet');
+const {customerPhoneToE164} = require('../utils/phone');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const MAX_IMPORT_ROWS = 5000;
+
+// An import not heard from for this long can be committed again (resumed)
+const STALE_IMPORT_MS = 10 * 60 * 1000;
+
+const NAME_ALIASES = ['name', 'customer', 'customer name', 'party', 'party name', 'account', 'account name', 'naam'];
+const PHONE_ALIASES = ['phone', 'phone no', 'phone number', 'mobile', 'mobile no', 'mobile number', 'contact', 'whatsapp'];
+
+// Headers recognised for each import field, by kind of import (lower case, spaces collapsed)
+const HEADER_ALIASES = {
+  customers: {
+    name: NAME_ALIASES,
+    phone: PHONE_ALIASES,
+    openingBalance: ['opening balance', 'balance', 'outstanding', 'due', 'amount due', 'closing balance', 'baki'],
+    asOfDate: ['as of', 'as of date', 'as on', 'balance date', 'date'],
+  },
+  bills: {
+    name: NAME_ALIASES,
+    phone: PHONE_ALIASES,
+    reference: ['bill no', 'bill number', 'invoice', 'invoice no', 'invoice number', 'voucher no', 'ref', 'ref no', 'reference'],
+    billDate: ['bill date', 'invoice date', 'voucher date', 'date'],
+    dueDate: ['due date', 'due on', 'due by'],
+    amount: ['amount', 'bill amount', 'invoice amount', 'total', 'grand total', 'net amount'],
+    paidAmount: ['paid', 'paid amount', 'amount paid', 'received', 'amount received'],
+    description: ['description', 'item', 'items', 'particulars', 'details', 'narration'],
+  },
+};
+
+// What a row of each kind of import is, for messages
+const ROW_NOUNS = {customers: 'customers', bills: 'bills'};
+
+const headerKey = header => String(header || '').trim().toLowerCase().replace(/[_.:]+/g, ' ').replace(/\s+/g, ' ');
+
+const nameKey = name => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Column mapping guessed from the header row
+ *
+ * @param {string[]} headers
+ * @param {string} [kind] - customers | bills
+ * @returns {Object} Import field (see HEADER_ALIASES) -> header or null
+ */
+function suggestColumns(headers, kind = 'customers') {
+  const columns = {};
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES[kind])) {
+    columns[field] = headers.find(header => aliases.includes(headerKey(header))) || null;
+  }
+  return columns;
+}
+
+/**
+ * Opening balance from a cell ("₹1,250.50", "1250 Dr"); negative or "Cr" means
+ * the customer is in credit
+ *
+ * @returns {number|null} null when unreadable
+ */
+function parseAmount(value) {
+  let text = String(value || '').trim().replace(/₹|rs\.?|inr|,|\s/gi, '');
+  if (text === '') return 0;
+
+  let sign = 1;
+  if (/cr$/i.test(text)) sign = -1;
+  text = text.replace(/(dr|cr)$/i, '');
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+
+  return round2(sign * Number(text));
+}
+
+/**
+ * As-of date from a cell: YYYY-MM-DD, DD/MM/YYYY (also - or .) or an Excel serial
+ *
+ * @returns {Date|null} Start of the day (IST), null when unreadable
+ */
+function parseDate(value) {
+  const text = String(value || '').trim();
+
+  let year;
+  let month;
+  let day;
+  let match;
+  if (/^\d{4,5}(\.\d+)?$/.test(text)) {
+    const date = fromExcelSerial(Number(text));
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    [day, month, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+
+  const pad = number => String(number).padStart(2, '0');
+  return new Date(`${year}-${pad(month)}-${pad(day)}T00:00:00.000+05:30`);
+}
+
+/**
+ * Reads the cell of an import field from a record (blank when the field isn't mapped)
+ */
+function cellReader(headers, columns) {
+  const indexOf = field => (columns[field] ? headers.indexOf(columns[field]) : -1);
+  return (record, field) => {
+    const index = indexOf(field);
+    return index === -1 ? '' : String(record.cells[index] || '').trim();
+  };
+}
+
+/**
+ * Validate the mapped rows of a sheet (dry run)
+ *
+ * @param {Object} params
+ * @param {string[]} params.headers
+ * @param {Array} params.records - [{rowNumber, cells}]
+ * @param {Object} params.columns - Import field -> header
+ * @param {Date} [params.defaultAsOfDate] - For rows without an as-of date
+ * @param {Array} params.existingCustomers - [{_id, name, phone}] of the business
+ * @returns {Object} {rows, summary}
+ */
+function validateRows({headers, records, columns, defaultAsOfDate, existingCustomers}) {
+  const cellOf = cellReader(headers, columns);
+
+  const existingByPhone = new Map();
+  const existingByName = new Map();
+  for (const customer of existingCustomers) {
+    const phone = customerPhoneToE164(customer.phone);
+    if (phone) existingByPhone.set(phone, customer._id);
+    else existingByName.set(nameKey(customer.name), customer._id);
+  }
+
+  const seenPhones = new Map();
+  const seenNames = new Map();
+  const now = new Date();
+
+  const rows = records.map(record => {
+    const issues = [];
+    const issue = (field, code, message) => issues.push({field, code, message});
+
+    const name = cellOf(record, 'name');
+    if (!name) issue('name', 'NAME_REQUIRED', 'Name is missing');
+    else if (name.length > 100) issue('name', 'NAME_TOO_LONG', 'Name is longer than 100 characters');
+
+    const rawPhone = cellOf(record, 'phone');
+    const phone = rawPhone ? customerPhoneToE164(rawPhone) : null;
+    if (rawPhone && !phone) issue('phone', 'INVALID_PHONE', `${rawPhone} is not a valid mobile number`);
+
+    const openingBalance = parseAmount(cellOf(record, 'openingBalance'));
+    if (openingBalance === null) {
+      issue('openingBalance', 'INVALID_BALANCE', `${cellOf(record, 'openingBalance')} is not an amount`);
+    } else if (openingBalance < 0) {
+      issue('openingBalance', 'NEGATIVE_BALANCE', 'Customers in credit can\'t be imported; record an advance after import');
+    }
+
+    const rawDate = cellOf(record, 'asOfDate');
+    let asOfDate = defaultAsOfDate || null;
+    if (rawDate) {
+      asOfDate = parseDate(rawDate);
+      if (!asOfDate) issue('asOfDate', 'INVALID_DATE', `${rawDate} is not a date (use DD/MM/YYYY)`);
+      else if (asOfDate > now) issue('asOfDate', 'FUTURE_DATE', 'As-of date is in the future');
+    }
+
+    const row = {
+      rowNumber: record.rowNumber,
+      name,
+      phone,
+      openingBalance: openingBalance || 0,
+      asOfDate,
+      status: issues.length > 0 ? 'invalid' : 'valid',
+      issues,
+      customerId: null,
+    };
+    if (row.status === 'invalid') return row;
+
+    // Same phone (or same name when there is no phone) is the same customer
+    const key = phone || nameKey(name);
+    const existingId = phone ? existingByPhone.get(phone) : existingByName.get(key);
+    const earlierRow = (phone ? seenPhones : seenNames).get(key);
+    if (existingId) {
+      row.status = 'duplicate';
+      row.duplicateOf = {customerId: existingId};
+    } else if (earlierRow) {
+      row.status = 'duplicate';
+      row.duplicateOf = {rowNumber: earlierRow};
+    } else {
+      (phone ? seenPhones : seenNames).set(key, record.rowNumber);
+    }
+
+    return row;
+  });
+
+  return {rows, summary: summarize(rows)};
+}
+
+/**
+ * Validate the mapped rows of a bills sheet (dry run)
+ *
+ * Rows are matched to existing customers by phone, else by name. The same
+ * old bill number twice for a customer is a duplicate.
+ *
+ * @param {Object} params
+ * @param {string[]} params.headers
+ * @param {Array} params.records - [{rowNumber, cells}]
+ * @param {Object} params.columns - Import field -> header
+ * @param {Date} [params.defaultAsOfDate] - Bill date of rows without one
+ * @param {Array} params.existingCustomers - [{_id, name, phone}] of the business
+ * @returns {Object} {rows, summary}
+ */
+function validateBillRows({headers, records, columns, defaultAsOfDate, existingCustomers}) {
+  const cellOf = cellReader(headers, columns);
+
+  const customersByPhone = new Map();
+  const customersByName = new Map();
+  for (const customer of existingCustomers) {
+    const phone = customerPhoneToE164(customer.phone);
+    if (phone) customersByPhone.set(phone, customer._id);
+    const key = nameKey(customer.name);
+    customersByName.set(key, [...(customersByName.get(key) || []), customer._id]);
+  }
+
+  const seenReferences = new Map();
+  const now = new Date();
+
+  const rows = records.map(record => {
+    const issues = [];
+    const issue = (field, code, message) => issues.push({field, code, message});
+
+    const name = cellOf(record, 'name');
+    const rawPhone = cellOf(record, 'phone');
+    const phone = rawPhone ? customerPhoneToE164(rawPhone) : null;
+    if (rawPhone && !phone) issue('phone', 'INVALID_PHONE', `${rawPhone} is not a valid mobile number`);
+
+    let customerId = (phone && customersByPhone.get(phone)) || null;
+    if (!customerId && name) {
+      const named = customersByName.get(nameKey(name)) || [];
+      if (named.length === 1) [customerId] = named;
+      else if (named.length > 1) issue('name', 'AMBIGUOUS_CUSTOMER', `${named.length} customers are named ${name}; add their phone`);
+    }
+    if (!name && !rawPhone) {
+      issue('name', 'CUSTOMER_REQUIRED', 'Customer name or phone is missing');
+    } else if (!customerId && issues.length === 0) {
+      issue('name', 'CUSTOMER_NOT_FOUND', `${name || rawPhone} is not a customer yet; import customers first`);
+    }
+
+    const amount = parseAmount(cellOf(record, 'amount'));
+    if (amount === null) issue('amount', 'INVALID_AMOUNT', `${cellOf(record, 'amount')} is not an amount`);
+    else if (amount <= 0) issue('amount', 'AMOUNT_REQUIRED', 'Bill amount must be more than 0');
+
+    const paidAmount = parseAmount(cellOf(record, 'paidAmount'));
+    if (paidAmount === null) {
+      issue('paidAmount', 'INVALID_AMOUNT', `${cellOf(record, 'paidAmount')} is not an amount`);
+    } else if (paidAmount < 0 || (amount !== null && paidAmount > amount)) {
+      issue('paidAmount', 'INVALID_PAID_AMOUNT', 'Paid amount must be between 0 and the bill amount');
+    }
+
+    const rawBillDate = cellOf(record, 'billDate');
+    let billDate = defaultAsOfDate || null;
+    if (rawBillDate) {
+      billDate = parseDate(rawBillDate);
+      if (!billDate) issue('billDate', 'INVALID_DATE', `${rawBillDate} is not a date (use DD/MM/YYYY)`);
+      else if (billDate > now) issue('billDate', 'FUTURE_DATE', 'Bill date is in the future');
+    }
+
+    const rawDueDate = cellOf(record, 'dueDate');
+    const dueDate = rawDueDate ? parseDate(rawDueDate) : null;
+    if (rawDueDate && !dueDate) issue('dueDate', 'INVALID_DATE', `${rawDueDate} is not a date (use DD/MM/YYYY)`);
+    else if (dueDate && billDate && dueDate < billDate) issue('dueDate', 'DUE_BEFORE_BILL', 'Due date is before the bill date');
+
+    const reference = cellOf(record, 'reference');
+    if (reference.length > 50) issue('reference', 'REFERENCE_TOO_LONG', 'Bill number is longer than 50 characters');
+
+    const description = cellOf(record, 'description');
+    if (description.length > 200) issue('description', 'DESCRIPTION_TOO_LONG', 'Description is longer than 200 characters');
+
+    const row = {
+      rowNumber: record.rowNumber,
+      name,
+      phone,
+      reference: reference || null,
+      billDate,
+      dueDate,
+      amount: amount || 0,
+      paidAmount: paidAmount || 0,
+      description: description || null,
+      status: issues.length > 0 ? 'invalid' : 'valid',
+      issues,
+      customerId,
+    };
+    if (row.status === 'invalid' || !reference) return row;
+
+    const key = `${customerId}:${reference.toLowerCase()}`;
+    const earlierRow = seenReferences.get(key);
+    if (earlierRow) {
+      row.status = 'duplicate';
+      row.duplicateOf = {rowNumber: earlierRow};
+    } else {
+      seenReferences.set(key, record.rowNumber);
+    }
+
+    return row;
+  });
+
+  return {rows, summary: summarize(rows)};
+}
+
+/**
+ * Row counts by status and the opening balances / bill amounts still to import or imported
+ */
+function summarize(rows) {
+  const summary = {
+    total: rows.length,
+    valid: 0,
+    invalid: 0,
+    duplicate: 0,
+    imported: 0,
+    failed: 0,
+    openingBalanceTotal: 0,
+    billAmountTotal: 0,
+  };
+  for (const row of rows) {
+    summary[row.status] += 1;
+    if (['valid', 'imported', 'failed'].includes(row.status)) {
+      summary.openingBalanceTotal = round2(summary.openingBalanceTotal + (row.openingBalance || 0));
+      summary.billAmountTotal = round2(summary.billAmountTotal + (row.amount || 0));
+    }
+  }
+  return summary;
+}
+
+/**
+ * Customers of the business, for duplicate detection
+ */
+const loadExistingCustomers = userId => Customer.find({userId, isDeleted: false}).select('_id name phone importRef').lean();
+
+// Ties a created customer to its row, so a resumed import finds it
+const importRefOf = (job, row) => `import_${job._id}_${row.rowNumber}`;
+
+/**
+ * Re-run the dry run of a job (after upload or a mapping change)
+ */
+async function previewJob(job) {
+  const existingCustomers = await loadExistingCustomers(job.userId);
+  const validate = job.kind === 'bills' ? validateBillRows : validateRows;
+  const {rows, summary} = validate({
+    headers: job.headers,
+    records: job.records,
+    columns: job.columns,
+    defaultAsOfDate: job.defaultAsOfDate,
+    existingCustomers,
+  });
+  job.rows = rows;
+  job.summary = summary;
+  return job;
+}
+
+/**
+ * Upload a file and preview the import
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {Buffer} params.buffer - CSV or XLSX file content
+ * @param {string} [params.fileName]
+ * @param {string} [params.kind] - customers | bills
+ * @param {string} params.actorUserId - User importing
+ * @param {string} [params.actorRole]
+ * @returns {Promise<Object>} {job, duplicate} (duplicate: this file was uploaded before)
+ * @throws {AppError} IMPORT_UNREADABLE, IMPORT_EMPTY, IMPORT_TOO_LARGE, IMPORT_KIND_MISMATCH
+ */
+async function createImportJob({userId, buffer, fileName, kind = 'customers', actorUserId, actorRole}) {
+  const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  const existing = await ImportJob.findOne({userId, fileHash});
+  if (existing) {
+    const existingKind = existing.kind || 'customers';
+    if (existingKind !== kind) {
+      throw new AppError(`This file was already uploaded as a ${existingKind} import`, 409, 'IMPORT_KIND_MISMATCH');
+    }
+    return {job: existing, duplicate: true};
+  }
+
+  let sheet;
+  try {
+    sheet = readSpreadsheet(buffer);
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(`Could not read the file: ${error.message}`, 400, 'IMPORT_UNREADABLE');
+  }
+
+  const lines = sheet.rows
+    .map(({rowNumber, cells}) => ({rowNumber, cells: cells.map(cell => String(cell).trim())}))
+    .filter(line => line.cells.some(cell => cell !== ''));
+  if (lines.length < 2) {
+    throw new AppError(`The file needs a header row and at least one row of ${ROW_NOUNS[kind]}`, 400, 'IMPORT_EMPTY');
+  }
+  if (lines.length - 1 > MAX_IMPORT_ROWS) {
+    throw new AppError(`At most ${MAX_IMPORT_ROWS} ${ROW_NOUNS[kind]} can be imported at a time`, 400, 'IMPORT_TOO_LARGE');
+  }
+
+  const [header, ...records] = lines;
+  const job = new ImportJob({
+    userId,
+    createdBy: actorUserId,
+    actorRole: actorRole || 'OWNER',
+    kind,
+    fileName: fileName || null,
+    format: sheet.format,
+    fileHash,
+    headers: header.cells,
+    records,
+    columns: suggestColumns(header.cells, kind),
+  });
+
+  await previewJob(job);
+
+  try {
+    await job.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return {job: await ImportJob.findOne({userId, fileHash}), duplicate: true};
+    }
+    throw error;
+  }
+
+  logger.info('[CustomerImport] File uploaded', {
+    userId,
+    importJobId: job._id,
+    kind,
+    format: job.format,
+    rows: job.summary.total,
+    valid: job.summary.valid,
+  });
+
+  return {job, duplicate: false};
+}
+
+/**
+ * Load an import job of the business
+ *
+ * @throws {AppError} IMPORT_NOT_FOUND
+ */
+async function loadJob(userId, jobId) {
+  const job = await ImportJob.findOne({_id: jobId, userId});
+  if (!job) {
+    throw new AppError('Import not found', 404, 'IMPORT_NOT_FOUND');
+  }
+  return job;
+}
+
+/**
+ * Change the column mapping (and default as-of date) and preview again
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.jobId - Import job ID
+ * @param {Object} [params.columns] - Import field -> header (null to leave a field out)
+ * @param {Date} [params.defaultAsOfDate]
+ * @returns {Promise<Object>} Import job
+ * @throws {AppError} IMPORT_NOT_FOUND, INVALID_STATE, IMPORT_COLUMN_NOT_FOUND
+ */
+async function updateMapping({userId, jobId, columns = {}, defaultAsOfDate}) {
+  const job = await loadJob(userId, jobId);
+  if (job.status !== 'PREVIEW') {
+    throw new AppError(`Cannot change the mapping of an import in ${job.status} state`, 409, 'INVALID_STATE');
+  }
+
+  for (const [field, header] of Object.entries(columns)) {
+    if (header !== null && !job.headers.includes(header)) {
+      throw new AppError(`The file has no column "${header}" (for ${field})`, 400, 'IMPORT_COLUMN_NOT_FOUND');
+    }
+  }
+
+  job.columns = {...job.toObject().columns, ...columns};
+  if (defaultAsOfDate !== undefined) job.defaultAsOfDate = defaultAsOfDate;
+
+  await previewJob(job);
+  await job.save();
+
+  return job;
+}
+
+/**
+ * Import job with its rows (?status to filter, paginated)
+ *
+ * @returns {Promise<Object>} {job, rows, pagination}
+ */
+async function getImportJob({userId, jobId, status, page = 1, limit = 100}) {
+  const job = await ImportJob.findOne({_id: jobId, userId}).select('-records').lean();
+  if (!job) {
+    throw new AppError('Import not found', 404, 'IMPORT_NOT_FOUND');
+  }
+
+  const rows = status ? job.rows.filter(row => row.status === status) : job.rows;
+  delete job.rows;
+
+  return {
+    job,
+    rows: rows.slice((page - 1) * limit, page * limit),
+    pagination: {page, limit, total: rows.length, pages: Math.ceil(rows.length / limit)},
+  };
+}
+
+/**
+ * Imports of the business (newest first)
+ */
+async function listImportJobs({userId, page = 1, limit = 20}) {
+  const [jobs, total] = await Promise.all([
+    ImportJob.find({userId})
+      .select('-records -rows')
+      .sort({createdAt: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ImportJob.countDocuments({userId}),
+  ]);
+
+  return {
+    jobs,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  };
+}
+
+/**
+ * Queue the import of the valid rows (also resumes a failed or stalled import)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.jobId - Import job ID
+ * @returns {Promise<Object>} Queued import job
+ * @throws {AppError} IMPORT_NOT_FOUND, INVALID_STATE, IMPORT_NOTHING_TO_IMPORT
+ */
+async function commitImport({userId, jobId}) {
+  const job = await loadJob(userId, jobId);
+
+  const stalled = ['QUEUED', 'IMPORTING'].includes(job.status)
+    && Date.now() - new Date(job.updatedAt).getTime() > STALE_IMPORT_MS;
+  if (!['PREVIEW', 'FAILED'].includes(job.status) && !stalled) {
+    throw new AppError(`Cannot import an import in ${job.status} state`, 409, 'INVALID_STATE');
+  }
+
+  if (!job.rows.some(row => ['valid', 'failed'].includes(row.status))) {
+    throw new AppError('No valid rows to import', 400, 'IMPORT_NOTHING_TO_IMPORT');
+  }
+
+  job.status = 'QUEUED';
+  job.error = undefined;
+  await job.save();
+
+  // Import asynchronously (don't await) - client polls the job
+  setImmediate(() => {
+    processImportJob(job._id).catch(error => {
+      logger.error('[CustomerImport] Import processing failed', {importJobId: job._id, error: error.message});
+    });
+  });
+
+  return job;
+}
+
+/**
+ * Create one customer from a row, with its opening balance
+ *
+ * @returns {Promise<Object>} {customer, created}
+ */
+async function importRow(job, row) {
+  const importRef = importRefOf(job, row);
+
+  // Created before an interruption: only the ledger entry may be missing
+  let customer = await Customer.findOne({userId: job.userId, importRef});
+  const created = !customer;
+  if (!customer) {
+    customer = await Customer.create({
+      userId: job.userId,
+      name: row.name,
+      phone: row.phone || '',
+      creditOutstanding: row.openingBalance,
+      importRef,
+    });
+  }
+
+  if (row.openingBalance > 0) {
+    try {
+      await LedgerTransaction.create({
+        userId: job.userId,
+        customerId: customer._id,
+        type: 'credit',
+        amount: row.openingBalance,
+        note: 'Opening balance',
+        source: 'opening',
+        asOfDate: row.asOfDate || job.createdAt,
+        metadata: {source: 'opening', asOfDate: row.asOfDate || job.createdAt, importJobId: job._id, rowNumber: row.rowNumber},
+        idempotencyKey: `opening_${customer._id}`,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (created) {
+    await auditCreate({
+      action: 'CUSTOMER_CREATED',
+      actorUserId: job.createdBy,
+      actorRole: job.actorRole,
+      entityType: 'CUSTOMER',
+      entity: customer,
+      customerId: customer._id,
+      businessId: job.userId,
+      metadata: {
+        customerName: customer.name,
+        importJobId: job._id,
+        rowNumber: row.rowNumber,
+        openingBalance: row.openingBalance,
+      },
+    });
+  }
+
+  return {customer, created};
+}
+
+/**
+ * Issue one bill from a row, to the customer it was matched to
+ *
+ * Goes through bill creation so the bill takes the next invoice number and
+ * its unpaid part is added to the customer's outstanding. The row's import
+ * ref is the idempotency key, so a resumed import doesn't bill twice.
+ *
+ * @returns {Promise<Object>} {bill, created}
+ */
+async function importBillRow(job, row) {
+  const {bill, customer, duplicate} = await billCreation.createBill({
+    userId: job.userId,
+    customerId: row.customerId,
+    items: [{name: row.description || (row.reference ? `Bill ${row.reference}` : 'Bill'), qty: 1, price: row.amount, total: row.amount}],
+    subTotal: row.amount,
+    discount: 0,
+    tax: 0,
+    grandTotal: row.amount,
+    paidAmount: row.paidAmount,
+    dueDate: row.dueDate,
+    notes: row.reference ? `Imported bill ${row.reference}` : 'Imported bill',
+    taxInvoice: false,
+    idempotencyKey: importRefOf(job, row),
+    // Past dues already owed: the credit limit doesn't stop them being recorded
+    override: true,
+    overrideReason: 'Imported bill',
+    billDate: row.billDate || job.createdAt,
+    linkItems: false,
+  });
+
+  if (!duplicate) {
+    await auditCreate({
+      action: 'BILL_CREATED',
+      actorUserId: job.createdBy,
+      actorRole: job.actorRole,
+      entityType: 'BILL',
+      entity: bill,
+      customerId: bill.customerId,
+      businessId: job.userId,
+      metadata: {
+        billNo: bill.billNo,
+        billAmount: bill.grandTotal,
+        customerName: customer.name,
+        importJobId: job._id,
+        rowNumber: row.rowNumber,
+        reference: row.reference,
+      },
+    });
+  }
+
+  return {bill, created: !duplicate};
+}
+
+/**
+ * Import the valid (and previously failed) rows of a queued job
+ *
+ * @param {string} jobId - Import job ID
+ * @returns {Promise<Object>} Finished import job
+ */
+async function processImportJob(jobId) {
+  const job = await ImportJob.findById(jobId);
+  if (!job || !['QUEUED', 'IMPORTING'].includes(job.status)) {
+    return job;
+  }
+
+  job.status = 'IMPORTING';
+  job.startedAt = job.startedAt || new Date();
+  await job.save();
+
+  try {
+    // Customers added since the preview are still duplicates (not the ones this import created);
+    // bill rows go to the customer matched in the preview
+    const existingCustomers = await loadExistingCustomers(job.userId);
+    const existingByPhone = new Map(existingCustomers
+      .map(customer => [customerPhoneToE164(customer.phone), customer])
+      .filter(([phone]) => phone));
+
+    for (const row of job.rows) {
+      if (!['valid', 'failed'].includes(row.status)) continue;
+
+      let update;
+      const existing = job.kind !== 'bills' && row.phone && existingByPhone.get(row.phone);
+      if (existing && existing.importRef !== importRefOf(job, row)) {
+        update = {status: 'duplicate', duplicateOf: {customerId: existing._id}};
+      } else {
+        try {
+          if (job.kind === 'bills') {
+            const {bill} = await importBillRow(job, row);
+            update = {status: 'imported', billId: bill._id, issues: []};
+          } else {
+            const {customer} = await importRow(job, row);
+            update = {status: 'imported', customerId: customer._id, issues: []};
+          }
+        } catch (error) {
+          logger.error('[CustomerImport] Row failed', {importJobId: job._id, rowNumber: row.rowNumber, error: error.message});
+          update = {status: 'failed', issues: [{field: null, code: 'IMPORT_FAILED', message: error.message}]};
+        }
+      }
+
+      Object.assign(row, update);
+      await ImportJob.updateOne(
+        {_id: job._id, 'rows.rowNumber': row.rowNumber},
+        {$set: Object.fromEntries(Object.entries(update).map(([key, value]) => [`rows.$.${key}`, value]))}
+      );
+    }
+
+    job.summary = summarize(job.rows);
+    job.status = 'DONE';
+    job.finishedAt = new Date();
+    await job.save();
+
+    logger.info('[CustomerImport] Import finished', {userId: job.userId, importJobId: job._id, ...job.summary});
+  } catch (error) {
+    job.status = 'FAILED';
+    job.error = {code: 'IMPORT_FAILED', message: error.message};
+    await job.save();
+    logger.error('[CustomerImport] Import failed', {importJobId: job._id, error: error.message});
+  }
+
+  return job;
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  suggestColumns,
+  parseAmount,
+  parseDate,
+  validateRows,
+  validateBillRows,
+  createImportJob,
+  updateMapping,
+  getImportJob,
+  listImportJobs,
+  commitImport,
+  processImportJob,
+};
@@ -0,0 +1,482 @@
+/**
+ * Customer Payment Service
+ *
+ * Lump-sum payments from a customer, allocated across open bills:
+ * 1. Plan the allocation: oldest due first (same order as outstanding payment
+ *    links) or the bills and amounts chosen by the user
+ * 2. Settle each bill with a guarded update (paidAmount, status); a bill that
+ *    changed meanwhile rolls the others back
+ * 3. Receipt number from the receipt series
+ * 4. Atomic credit release for the allocated part
+ * 5. One ledger debit for the full amount with the allocations in metadata
+ * 6. Promise auto-keep (non-blocking)
+ *
+ * What is left unallocated is held as an advance (Customer.advanceBalance) and
+ * allocated to the customer's next bills by advance.service.
+ *
+ * Cheques settle bills when received, like any other mode; their lifecycle
+ * (deposit, clearing, bounce) is tracked by cheque.service.
+ *
+ * Reversal (bounced cheque, failed transfer) takes the allocations back off the
+ * bills, reserves the outstanding again and books a ledger credit.
+ */
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const CustomerPayment = require('../models/CustomerPayment');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {settledStatus} = require('./billPayment.service');
+const {atomicReserveCredit, atomicReleaseCredit} = require('./creditControlAtomic.service');
+const {nextDocumentNumber} = require('./numberSeries.service');
+const {planAllocations} = require('./paymentLink.service');
+const {maybeKeepPromiseForCustomer} = require('./promiseAutoKeep.service');
+const AppError = require('../utils/AppError');
+const {getNextISTMidnight} = require('../utils/istTimezone');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Attempts to find a free receipt number when one is already taken
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Attempts to take an allocation back off a bill that keeps changing
+const MAX_UNALLOCATE_ATTEMPTS = 3;
+
+const pendingOf = bill => round2(bill.grandTotal - (bill.paidAmount || 0));
+
+/**
+ * Validate allocations chosen by the user against the open bills
+ *
+ * @param {Array} bills - Open bills of the customer
+ * @param {number} amount - Amount received
+ * @param {Array} requested - [{billId, amount}]
+ * @returns {Object} {allocations: [{billId, billNo, amount}], unallocatedAmount}
+ * @throws {AppError} BILL_NOT_OPEN, ALLOCATION_EXCEEDS_PENDING, ALLOCATION_EXCEEDS_PAYMENT
+ */
+function planManualAllocations(bills, amount, requested) {
+  const billsById = new Map(bills.map(bill => [String(bill._id), bill]));
+
+  const allocations = requested.map(({billId, amount: share}) => {
+    const bill = billsById.get(String(billId));
+    if (!bill) {
+      throw new AppError('Bill is not open for this customer', 400, 'BILL_NOT_OPEN');
+    }
+    if (round2(share) > pendingOf(bill)) {
+      throw new AppError(
+        `Only ₹${pendingOf(bill)} is pending on Bill ${bill.billNo}`,
+        400,
+        'ALLOCATION_EXCEEDS_PENDING'
+      );
+    }
+    return {billId: bill._id, billNo: bill.billNo, amount: round2(share)};
+  });
+
+  const allocated = round2(allocations.reduce((total, allocation) => total + allocation.amount, 0));
+  if (allocated > round2(amount)) {
+    throw new AppError('Allocations add up to more than the amount received', 400, 'ALLOCATION_EXCEEDS_PAYMENT');
+  }
+
+  return {allocations, unallocatedAmount: round2(amount - allocated)};
+}
+
+/**
+ * Cheque details for a new payment: post-dated when written for a later day (IST)
+ */
+function buildCheque({number, bankName, chequeDate}) {
+  const date = new Date(chequeDate);
+  return {
+    number,
+    bankName: bankName || null,
+    chequeDate: date,
+    status: date >= getNextISTMidnight() ? 'post_dated' : 'received',
+  };
+}
+
+/**
+ * Add `delta` to a bill's paid amount if it has not changed since it was read
+ *
+ * @returns {Promise<Object|null>} Updated bill, or null when the bill changed
+ */
+function settleBill(bill, delta) {
+  const paidAmount = round2((bill.paidAmount || 0) + delta);
+
+  return Bill.findOneAndUpdate(
+    {
+      _id: bill._id,
+      userId: bill.userId,
+      isDeleted: false,
+      status: {$ne: 'cancelled'},
+      paidAmount: bill.paidAmount || 0,
+    },
+    {$set: {paidAmount, status: settledStatus(paidAmount, bill.grandTotal)}},
+    {new: true}
+  );
+}
+
+/**
+ * Take an allocation back off a bill (never below zero paid)
+ *
+ * @returns {Promise<Object>} {bill, restored} - bill before the change (null if gone)
+ */
+async function unallocateBill(userId, billId, amount) {
+  for (let attempt = 1; attempt <= MAX_UNALLOCATE_ATTEMPTS; attempt++) {
+    const bill = await Bill.findOne({_id: billId, userId}).lean();
+    if (!bill) {
+      return {bill: null, restored: 0};
+    }
+
+    const restored = round2(Math.min(amount, bill.paidAmount || 0));
+    const paidAmount = round2((bill.paidAmount || 0) - restored);
+    const updated = await Bill.findOneAndUpdate(
+      {_id: bill._id, userId, paidAmount: bill.paidAmount || 0},
+      {
+        $set: {
+          paidAmount,
+          status: bill.status === 'cancelled' ? 'cancelled' : settledStatus(paidAmount, bill.grandTotal),
+        },
+      },
+      {new: true}
+    );
+
+    if (updated) {
+      return {bill, restored};
+    }
+  }
+
+  throw new AppError('The bill changed while reversing the payment. Please retry.', 409, 'PAYMENT_REVERSAL_CONFLICT');
+}
+
+/**
+ * Create the payment document, taking the next receipt number when one is already used
+ */
+async function createWithReceiptNumber(data, userId) {
+  for (let attempt = 1; ; attempt++) {
+    const {documentNo} = await nextDocumentNumber({userId, series: 'receipt'});
+    try {
+      return await CustomerPayment.create({...data, receiptNo: documentNo});
+    } catch (error) {
+      const numberTaken = error.code === 11000 && Boolean(error.keyPattern?.receiptNo);
+      if (!numberTaken || attempt >= MAX_NUMBER_ATTEMPTS) {
+        throw error;
+      }
+      logger.warn('[CustomerPayment] Receipt number already taken, issuing next', {userId, documentNo});
+    }
+  }
+}
+
+/**
+ * Roll back allocations already applied to bills
+ */
+async function rollbackAllocations(userId, applied) {
+  for (const {bill, amount} of applied) {
+    await Bill.updateOne(
+      {_id: bill._id, userId},
+      {$inc: {paidAmount: -amount}, $set: {status: settledStatus(bill.paidAmount || 0, bill.grandTotal)}}
+    );
+  }
+}
+
+/**
+ * Record a payment from a customer and allocate it to open bills
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.customerId - Customer ID
+ * @param {number} params.amount - Amount received
+ * @param {Array} [params.allocations] - [{billId, amount}]; oldest due first when omitted
+ * @param {string} [params.mode] - Payment mode (defaults to CASH)
+ * @param {string} [params.reference] - UTR / UPI reference / card slip (cheque number for cheques)
+ * @param {Date} [params.paymentDate] - When the money was received (defaults to now)
+ * @param {Object} [params.cheque] - {number, bankName, chequeDate}, required for CHEQUE
+ * @param {string} [params.note] - Ledger note
+ * @param {string} [params.idempotencyKey] - Replays return the payment already recorded
+ * @param {string} params.actorUserId - User recording the payment
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {payment, bills, duplicate}
+ * @throws {AppError} NOT_FOUND, BILL_NOT_OPEN, ALLOCATION_EXCEEDS_PENDING,
+ *   ALLOCATION_EXCEEDS_PAYMENT, PAYMENT_ALLOCATION_CONFLICT
+ */
+async function recordCustomerPayment({
+  userId,
+  customerId,
+  amount,
+  allocations: requested,
+  mode = 'CASH',
+  reference,
+  paymentDate,
+  cheque,
+  note,
+  idempotencyKey,
+  actorUserId,
+  requestId,
+}) {
+  if (mode === 'CHEQUE' && !cheque) {
+    throw new AppError('Cheque details are required for cheque payments', 400, 'VALIDATION_ERROR');
+  }
+
+  if (idempotencyKey) {
+    const existing = await CustomerPayment.findOne({userId, idempotencyKey});
+    if (existing) {
+      return {payment: existing, bills: [], duplicate: true};
+    }
+  }
+
+  const customer = await Customer.findOne({_id: customerId, userId}).select('_id').lean();
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  const openBills = await Bill.find({
+    userId,
+    customerId,
+    isDeleted: false,
+    status: {$in: ['unpaid', 'partial']},
+  }).lean();
+
+  const isManual = Array.isArray(requested) && requested.length > 0;
+  const plan = isManual
+    ? planManualAllocations(openBills, amount, requested)
+    : planAllocations(openBills, amount);
+  const billsById = new Map(openBills.map(bill => [String(bill._id), bill]));
+
+  // Settle bills first; a bill paid or edited meanwhile undoes the others
+  const applied = [];
+  const updatedBills = [];
+  for (const allocation of plan.allocations) {
+    const bill = billsById.get(String(allocation.billId));
+    const updated = await settleBill(bill, allocation.amount);
+    if (!updated) {
+      await rollbackAllocations(userId, applied);
+      throw new AppError(
+        'Bills changed while recording the payment. Please retry.',
+        409,
+        'PAYMENT_ALLOCATION_CONFLICT'
+      );
+    }
+    applied.push({bill, amount: allocation.amount});
+    updatedBills.push(updated);
+  }
+
+  let payment;
+  try {
+    payment = await createWithReceiptNumber({
+      userId,
+      customerId,
+      amount: round2(amount),
+      mode,
+      reference: reference || (mode === 'CHEQUE' ? cheque.number : null),
+      paymentDate: paymentDate || new Date(),
+      cheque: mode === 'CHEQUE' ? buildCheque(cheque) : null,
+      allocationMode: isManual ? 'MANUAL' : 'AUTO',
+      allocations: plan.allocations,
+      unallocatedAmount: plan.unallocatedAmount,
+      note: note || '',
+      recordedBy: actorUserId,
+      idempotencyKey: idempotencyKey || null,
+    }, userId);
+  } catch (error) {
+    await rollbackAllocations(userId, applied);
+
+    // Same idempotency key recorded concurrently: return that payment
+    if (error.code === 11000 && idempotencyKey && error.keyPattern?.idempotencyKey) {
+      const existing = await CustomerPayment.findOne({userId, idempotencyKey});
+      return {payment: existing, bills: [], duplicate: true};
+    }
+    throw error;
+  }
+
+  if (plan.unallocatedAmount > 0) {
+    await Customer.updateOne({_id: customerId, userId}, {$inc: {advanceBalance: plan.unallocatedAmount}});
+  }
+
+  const allocatedAmount = round2(amount - plan.unallocatedAmount);
+  let customerAfter = null;
+  if (allocatedAmount > 0) {
+    const release = await atomicReleaseCredit({
+      userId,
+      customerId,
+      delta: allocatedAmount,
+      reason: 'PAYMENT',
+      requestId,
+    });
+    customerAfter = release.customer;
+  }
+
+  const ledgerTransaction = await LedgerTransaction.create({
+    userId,
+    customerId,
+    type: 'debit',
+    amount: payment.amount,
+    note: note || `Payment received (Receipt ${payment.receiptNo})`,
+    paymentMode: payment.mode,
+    paymentReference: payment.reference,
+    paymentDate: payment.paymentDate,
+    metadata: {
+      source: 'customer_payment',
+      paymentId: payment._id,
+      receiptNo: payment.receiptNo,
+      allocations: plan.allocations,
+      unallocatedAmount: plan.unallocatedAmount,
+    },
+    idempotencyKey: `customer_payment_${payment._id}`,
+  });
+
+  await CustomerPayment.updateOne({_id: payment._id}, {$set: {ledgerTransactionId: ledgerTransaction._id}});
+  payment.ledgerTransactionId = ledgerTransaction._id;
+
+  logger.info('[CustomerPayment] Payment recorded', {
+    userId,
+    customerId,
+    receiptNo: payment.receiptNo,
+    amount: payment.amount,
+    mode: payment.mode,
+    bills: plan.allocations.length,
+    unallocatedAmount: plan.unallocatedAmount,
+    requestId,
+  });
+
+  // Promise auto-keep (non-blocking, must not fail payment)
+  maybeKeepPromiseForCustomer({
+    userId,
+    customerId,
+    paymentRef: ledgerTransaction._id.toString(),
+    idempotencyKey: `customer_payment_${payment._id}`,
+    newDue: customerAfter ? customerAfter.creditOutstanding : null,
+  }).catch(error => {
+    logger.error('[CustomerPayment] Promise auto-keep failed', {
+      error: error.message,
+      paymentId: payment._id,
+      userId,
+    });
+  });
+
+  return {payment, bills: updatedBills, duplicate: false};
+}
+
+/**
+ * Reverse a payment: un-allocate it from its bills and book a ledger credit
+ *
+ * A payment whose advance was partly refunded cannot be reversed: the refund
+ * already booked its own ledger credit and took that part off the advance.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.customerId - Customer ID
+ * @param {string} params.paymentId - Payment ID
+ * @param {string} params.reason - Why the payment is reversed
+ * @param {string} params.actorUserId - User reversing the payment
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {payment, restoredAmount}
+ * @throws {AppError} PAYMENT_NOT_FOUND, PAYMENT_ALREADY_REVERSED, PAYMENT_REFUNDED, PAYMENT_REVERSAL_CONFLICT
+ */
+async function reverseCustomerPayment({userId, customerId, paymentId, reason, actorUserId, requestId}) {
+  // Claim the reversal first so two requests can never both un-allocate
+  // (refunds claim only active payments, so a refund can't slip in after the claim either)
+  const payment = await CustomerPayment.findOneAndUpdate(
+    {_id: paymentId, userId, customerId, status: 'active', refundedAmount: {$not: {$gt: 0}}},
+    {$set: {status: 'reversed', reversedAt: new Date(), reversedBy: actorUserId, reversalReason: reason}},
+    {new: true}
+  );
+
+  if (!payment) {
+    const existing = await CustomerPayment.findOne({_id: paymentId, userId, customerId}).select('status refundedAmount').lean();
+    if (!existing) {
+      throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+    if (existing.status === 'active' && existing.refundedAmount > 0) {
+      throw new AppError(
+        `₹${existing.refundedAmount} of this payment was refunded to the customer; it cannot be reversed`,
+        409,
+        'PAYMENT_REFUNDED'
+      );
+    }
+    throw new AppError('Payment is already reversed', 409, 'PAYMENT_ALREADY_REVERSED');
+  }
+
+  // Only bills that still count towards outstanding take it back
+  let restoredAmount = 0;
+  for (const allocation of payment.allocations) {
+    const {bill, restored} = await unallocateBill(userId, allocation.billId, allocation.amount);
+    if (bill && !bill.isDeleted && bill.status !== 'cancelled') {
+      restoredAmount = round2(restoredAmount + restored);
+    }
+  }
+
+  // Advance still held from this payment is gone with it
+  if (payment.unallocatedAmount > 0) {
+    await Customer.updateOne({_id: customerId, userId}, {$inc: {advanceBalance: -payment.unallocatedAmount}});
+  }
+
+  if (restoredAmount > 0) {
+    // Money already owed again: never blocked by the credit limit
+    await atomicReserveCredit({
+      userId,
+      customerId,
+      delta: restoredAmount,
+      override: true,
+      overrideReason: 'PAYMENT_REVERSED',
+      requestId,
+    });
+  }
+
+  await LedgerTransaction.create({
+    userId,
+    customerId,
+    type: 'credit',
+    amount: payment.amount,
+    source: 'adjustment',
+    note: `Payment reversed (Receipt ${payment.receiptNo})${reason ? ` - ${reason}` : ''}`,
+    // Same mode as the payment so collections by mode net it off
+    paymentMode: payment.mode,
+    paymentReference: payment.reference,
+    paymentDate: payment.reversedAt,
+    metadata: {
+      source: 'customer_payment_reversal',
+      paymentId: payment._id,
+      receiptNo: payment.receiptNo,
+    },
+    idempotencyKey: `customer_payment_${payment._id}_reversal`,
+  });
+
+  logger.info('[CustomerPayment] Payment reversed', {
+    userId,
+    customerId,
+    receiptNo: payment.receiptNo,
+    amount: payment.amount,
+    restoredAmount,
+    requestId,
+  });
+
+  return {payment, restoredAmount};
+}
+
+/**
+ * List a customer's payments (newest first)
+ *
+ * @returns {Promise<Object>} {payments, pagination}
+ */
+async function listCustomerPayments({userId, customerId, page = 1, limit = 50}) {
+  const filter = {userId, customerId};
+
+  const [payments, total] = await Promise.all([
+    CustomerPayment.find(filter)
+      .sort({createdAt: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CustomerPayment.countDocuments(filter),
+  ]);
+
+  return {
+    payments,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  };
+}
+
+module.exports = {
+  planManualAllocations,
+  settleBill,
+  rollbackAllocations,
+  recordCustomerPayment,
+  reverseCustomerPayment,
+  listCustomerPayments,
+};
@@ -0,0 +1,345 @@
+/**
+ * Customer Share Link Service
+ *
+ * One public link per customer showing every open bill, the total outstanding
+ * and recent payments (the default link sent with WhatsApp reminders).
+ *
+ * - Links are token based (same format as BillShareLink) and revocable; once the
+ *   owner revokes a customer's link, reminders go without one until the owner
+ *   shares the statement again
+ * - Links expire after CUSTOMER_SHARE_LINK_TTL_DAYS unless a custom expiry is set;
+ *   an expired link is replaced on the next get-or-create
+ * - Public data is sanitised: no phone numbers, notes or internal ids
+ */
+const crypto = require('crypto');
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const CustomerShareLink = require('../models/CustomerShareLink');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const User = require('../models/User');
+const {buildStatementLines} = require('./statement.service');
+const {getUpiConfig, buildUpiPayment, withUpiQr} = require('./upi.service');
+const {generatePublicUrl} = require('../utils/publicUrl');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const CUSTOMER_SHARE_LINK_TTL_DAYS = 90;
+const RECENT_PAYMENTS_LIMIT = 10;
+const TOKEN_PATTERN = /^[a-f0-9]{40,}$/i;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Public URL for a customer share token (web viewer route /s/:token)
+ */
+const getStatementShareUrl = token => generatePublicUrl(token, 's');
+
+/**
+ * Whether a link is past its expiry
+ */
+function isLinkExpired(link, now = new Date()) {
+  return !!link.expiresAt && new Date(link.expiresAt) <= now;
+}
+
+/**
+ * Whether a link was revoked by the owner (not retired after expiry)
+ * Links revoked before revokedReason was recorded count as retired when they
+ * had already expired by then.
+ */
+function isRevokedByOwner(link) {
+  if (link.status !== 'revoked') return false;
+  if (link.revokedReason) return link.revokedReason === 'owner';
+  return !link.revokedAt || !isLinkExpired(link, new Date(link.revokedAt));
+}
+
+/**
+ * Expiry date for a new link
+ *
+ * @param {number} [expiresInDays] - Custom lifetime (defaults to CUSTOMER_SHARE_LINK_TTL_DAYS)
+ */
+function computeExpiresAt(expiresInDays, now = new Date()) {
+  const days = expiresInDays || CUSTOMER_SHARE_LINK_TTL_DAYS;
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Generate a unique token (retry on the unlikely collision)
+ */
+async function generateUniqueToken() {
+  const maxAttempts = 5;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const token = crypto.randomBytes(24).toString('hex'); // 48 chars
+    const existing = await CustomerShareLink.exists({token});
+    if (!existing) {
+      return token;
+    }
+  }
+
+  throw new AppError('Failed to generate unique token', 500, 'TOKEN_GENERATION_FAILED');
+}
+
+/**
+ * Shape link for API responses (owner side)
+ */
+function formatShareLink(link) {
+  return {
+    url: getStatementShareUrl(link.token),
+    token: link.token,
+    expiresAt: link.expiresAt,
+    createdAt: link.createdAt,
+    accessCount: link.accessCount,
+    lastAccessAt: link.lastAccessAt,
+  };
+}
+
+/**
+ * Get the active link for a customer, creating one if missing or expired
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Business id
+ * @param {string} params.customerId - Customer id
+ * @param {number} [params.expiresInDays] - Lifetime for a newly created link
+ * @returns {Promise<Object>} {link, created}
+ */
+async function getOrCreateCustomerShareLink({userId, customerId, expiresInDays}) {
+  const customer = await Customer.findOne({_id: customerId, userId, isDeleted: {$ne: true}})
+    .select('_id')
+    .lean();
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  const existing = await CustomerShareLink.findOne({userId, customerId, status: 'active'})
+    .sort({createdAt: -1});
+
+  if (existing && !isLinkExpired(existing)) {
+    return {link: existing, created: false};
+  }
+
+  if (existing) {
+    // Expired: retire it so only one active link exists per customer
+    existing.status = 'revoked';
+    existing.revokedAt = new Date();
+    existing.revokedReason = 'expired';
+    await existing.save();
+  }
+
+  const link = await CustomerShareLink.create({
+    userId,
+    customerId,
+    token: await generateUniqueToken(),
+    status: 'active',
+    expiresAt: computeExpiresAt(expiresInDays),
+  });
+
+  logger.info('[CustomerShare] Share link created', {
+    userId: userId.toString(),
+    customerId: customerId.toString(),
+    token: link.token.substring(0, 8) + '...',
+    expiresAt: link.expiresAt,
+  });
+
+  return {link, created: true};
+}
+
+/**
+ * Statement links for many customers at once (creates missing ones)
+ * Used to attach the default link to reminders / chase list entries.
+ * Customers whose latest link the owner revoked get none.
+ *
+ * @param {ObjectId} userId - Business id
+ * @param {Array} customerIds - Customer ids
+ * @returns {Promise<Map>} customerId (string) -> url
+ */
+async function ensureStatementShareUrls(userId, customerIds) {
+  const urls = new Map();
+  if (!customerIds || customerIds.length === 0) {
+    return urls;
+  }
+
+  const now = new Date();
+  const links = await CustomerShareLink.find({
+    userId,
+    customerId: {$in: customerIds},
+    status: 'active',
+    $or: [{expiresAt: null}, {expiresAt: {$gt: now}}],
+  })
+    .select('customerId token')
+    .lean();
+
+  for (const link of links) {
+    urls.set(link.customerId.toString(), getStatementShareUrl(link.token));
+  }
+
+  const missing = customerIds.map(id => id.toString()).filter(id => !urls.has(id));
+  if (missing.length === 0) {
+    return urls;
+  }
+
+  // A statement the owner revoked is only shared again by the owner
+  const previousLinks = await CustomerShareLink.find({userId, customerId: {$in: missing}})
+    .sort({createdAt: -1})
+    .select('customerId status expiresAt revokedAt revokedReason')
+    .lean();
+  const latestLinks = new Map();
+  for (const link of previousLinks) {
+    const customerId = link.customerId.toString();
+    if (!latestLinks.has(customerId)) latestLinks.set(customerId, link);
+  }
+
+  for (const customerId of missing) {
+    const latest = latestLinks.get(customerId);
+    if (latest && isRevokedByOwner(latest)) continue;
+
+    const {link} = await getOrCreateCustomerShareLink({userId, customerId});
+    urls.set(customerId, getStatementShareUrl(link.token));
+  }
+
+  return urls;
+}
+
+/**
+ * Revoke the active link(s) of a customer
+ *
+ * @returns {Promise<number>} Number of links revoked
+ */
+async function revokeCustomerShareLinks({userId, customerId}) {
+  const result = await CustomerShareLink.updateMany(
+    {userId, customerId, status: 'active'},
+    {$set: {status: 'revoked', revokedAt: new Date(), revokedReason: 'owner'}}
+  );
+
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Sanitize customer account for public display (no PII leakage)
+ *
+ * @param {Object} params
+ * @param {Object} params.customer - Customer (name only is exposed)
+ * @param {Array} params.openBills - Unpaid / partial bills
+ * @param {Array} params.payments - Statement PAYMENT lines (any order)
+ * @param {string} params.shopName - Business display name
+ * @param {Object} params.link - Share link (for expiry)
+ * @param {Date} params.now - Current time (for overdue flags)
+ * @returns {Object} Public statement data
+ */
+function sanitizeStatementForPublic({customer, openBills, payments, shopName, link, now = new Date()}) {
+  const bills = openBills.map(bill => {
+    const pendingAmount = round2(bill.grandTotal - (bill.paidAmount || 0));
+    return {
+      billNo: bill.billNo,
+      billDate: bill.date || bill.createdAt,
+      dueDate: bill.dueDate || null,
+      grandTotal: bill.grandTotal,
+      paidAmount: bill.paidAmount || 0,
+      pendingAmount,
+      status: bill.status === 'unpaid' ? 'pending' : bill.status,
+      isOverdue: !!bill.dueDate && new Date(bill.dueDate) < now,
+    };
+  }).filter(bill => bill.pendingAmount > 0);
+
+  const recentPayments = [...payments]
+    .sort((a, b) => b.at - a.at)
+    .slice(0, RECENT_PAYMENTS_LIMIT)
+    .map(payment => ({
+      date: payment.at,
+      amount: payment.received,
+      billNo: payment.reference || null,
+    }));
+
+  return {
+    shopName: shopName || 'ProfitHooks',
+    customerName: customer?.name || 'Customer',
+    totalOutstanding: round2(bills.reduce((sum, bill) => sum + bill.pendingAmount, 0)),
+    overdueAmount: round2(bills.filter(bill => bill.isOverdue).reduce((sum, bill) => sum + bill.pendingAmount, 0)),
+    openBills: bills,
+    recentPayments,
+    expiresAt: link?.expiresAt || null,
+    generatedAt: now,
+  };
+}
+
+/**
+ * Resolve a public token to sanitized statement data
+ * Counts the access on success.
+ *
+ * @param {string} token - Share token
+ * @returns {Promise<Object>} Public statement data
+ * @throws 404 INVALID_TOKEN | LINK_EXPIRED | CUSTOMER_NOT_FOUND, 410 LINK_EXPIRED
+ */
+async function getPublicStatementByToken(token) {
+  if (!token || !TOKEN_PATTERN.test(token)) {
+    throw new AppError('Invalid token', 404, 'INVALID_TOKEN');
+  }
+
+  const link = await CustomerShareLink.findOne({token, status: 'active'}).lean();
+  if (!link) {
+    throw new AppError('Link expired or revoked', 404, 'LINK_EXPIRED');
+  }
+
+  const now = new Date();
+  if (isLinkExpired(link, now)) {
+    throw new AppError('Link has expired', 410, 'LINK_EXPIRED');
+  }
+
+  const customer = await Customer.findOne({_id: link.customerId, userId: link.userId})
+    .select('name isDeleted')
+    .lean();
+  if (!customer || customer.isDeleted) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  const [bills, transactions, owner, upiConfig] = await Promise.all([
+    Bill.find({userId: link.userId, customerId: link.customerId}).sort({createdAt: 1}).lean(),
+    LedgerTransaction.find({userId: link.userId, customerId: link.customerId}).lean(),
+    User.findById(link.userId).select('name businessName').lean(),
+    getUpiConfig(link.userId),
+  ]);
+
+  const openBills = bills.filter(bill =>
+    !bill.isDeleted && (bill.status === 'unpaid' || bill.status === 'partial'));
+  const deletedBillIds = new Set(bills.filter(bill => bill.isDeleted).map(bill => String(bill._id)));
+  const payments = buildStatementLines(bills, transactions)
+    .filter(line => line.type === 'PAYMENT' && line.received > 0)
+    .filter(line => !line.billId || !deletedBillIds.has(String(line.billId)));
+
+  // Update access metrics
+  await CustomerShareLink.updateOne(
+    {_id: link._id},
+    {$set: {lastAccessAt: now}, $inc: {accessCount: 1}}
+  );
+
+  const data = sanitizeStatementForPublic({
+    customer,
+    openBills,
+    payments,
+    shopName: owner?.businessName || owner?.name,
+    link,
+    now,
+  });
+
+  // UPI pay request for the exact outstanding (null if no VPA configured)
+  data.upi = await withUpiQr(buildUpiPayment(upiConfig, {
+    amount: data.totalOutstanding,
+    billNos: data.openBills.map(bill => bill.billNo),
+  }));
+
+  return data;
+}
+
+module.exports = {
+  CUSTOMER_SHARE_LINK_TTL_DAYS,
+  getStatementShareUrl,
+  isLinkExpired,
+  isRevokedByOwner,
+  computeExpiresAt,
+  formatShareLink,
+  getOrCreateCustomerShareLink,
+  ensureStatementShareUrls,
+  revokeCustomerShareLinks,
+  sanitizeStatementForPublic,
+  getPublicStatementByToken,
+};
@@ -112,6 +112,12 @@ async function createDeliveryAttempt({followupTaskId, channel = 'WHATSAPP', requ
         followupTaskId: task._id,
         source: task.source,
         escalationLevel: task.escalationLevel,
+        // Template variables for customer channels (WhatsApp/SMS templates)
+        templateKey: task.metadata?.templateKey,
+        customerName: task.metadata?.customerName || task.customerSnapshot?.name,
+        outstandingAmount: task.metadata?.outstandingAmount ?? task.balance,
+        statementUrl: task.metadata?.statementUrl,
+        language: task.metadata?.language,
       },
       idempotencyKey,
     });
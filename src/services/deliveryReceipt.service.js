@@ -0,0 +1,164 @@
+/**
+ * Delivery Receipt Service
+ *
+ * Applies provider delivery receipts (WhatsApp status webhooks, SMS DLRs) to
+ * the records that sent the message, matched by provider message id:
+ * - NotificationAttempt: providerStatus SENT -> DELIVERED -> READ,
+ *   failures -> RETRY_SCHEDULED (retryable, attempts left) or FAILED
+ * - MessageEvent: status SENT -> DELIVERED -> READ, or FAILED
+ *
+ * Receipts can arrive out of order or more than once; statuses only move forward.
+ */
+const NotificationAttempt = require('../models/NotificationAttempt');
+const MessageEvent = require('../models/MessageEvent');
+const {calculateRetryBackoff} = require('./deliveryAttempt.service');
+const {markFailed} = require('./messageDelivery.service');
+const logger = require('../utils/logger');
+
+const STATUS_RANK = {
+  SENT: 1,
+  DELIVERED: 2,
+  READ: 3,
+};
+
+/**
+ * Statuses a receipt may advance from (lower rank)
+ */
+function statusesBelow(status) {
+  return Object.keys(STATUS_RANK).filter(key => STATUS_RANK[key] < STATUS_RANK[status]);
+}
+
+/**
+ * Timestamp fields set by a forward receipt
+ */
+function receiptTimestamps(status, timestamp) {
+  if (status === 'DELIVERED') {
+    return {deliveredAt: timestamp};
+  }
+  if (status === 'READ') {
+    return {readAt: timestamp};
+  }
+  return {};
+}
+
+/**
+ * READ can arrive without (or before) DELIVERED: a read message was delivered
+ */
+async function backfillDeliveredAt(Model, providerMessageId, status, timestamp) {
+  if (status === 'READ') {
+    await Model.updateOne({providerMessageId, deliveredAt: null}, {$set: {deliveredAt: timestamp}});
+  }
+}
+
+/**
+ * Apply a receipt to the NotificationAttempt that sent the message
+ *
+ * @returns {Promise<boolean>} True if the attempt changed
+ */
+async function applyToNotificationAttempt(receipt) {
+  const {providerMessageId, status, timestamp, error} = receipt;
+
+  if (STATUS_RANK[status]) {
+    const result = await NotificationAttempt.updateOne(
+      {
+        providerMessageId,
+        status: 'SENT',
+        providerStatus: {$in: [null, ...statusesBelow(status)]},
+      },
+      {$set: {providerStatus: status, ...receiptTimestamps(status, timestamp)}}
+    );
+    if (result.modifiedCount > 0) {
+      await backfillDeliveredAt(NotificationAttempt, providerMessageId, status, timestamp);
+    }
+    return result.modifiedCount > 0;
+  }
+
+  if (status !== 'FAILED') {
+    return false;
+  }
+
+  const attempt = await NotificationAttempt.findOne({providerMessageId, status: 'SENT'});
+  if (!attempt || (attempt.providerStatus && attempt.providerStatus !== 'SENT')) {
+    return false;
+  }
+
+  const retry = !!error?.retryable && attempt.attemptNo < attempt.maxAttempts;
+
+  attempt.status = retry ? 'RETRY_SCHEDULED' : 'FAILED';
+  attempt.providerStatus = 'FAILED';
+  attempt.lastError = {
+    code: error?.code || 'DELIVERY_FAILED',
+    message: error?.message || 'Delivery failed',
+    retryable: retry,
+    providerResponse: error?.providerResponse,
+  };
+  if (retry) {
+    attempt.nextAttemptAt = new Date(Date.now() + calculateRetryBackoff(attempt.attemptNo));
+  }
+
+  await attempt.save();
+  return true;
+}
+
+/**
+ * Apply a receipt to the MessageEvent that sent the message
+ *
+ * @returns {Promise<boolean>} True if the event changed
+ */
+async function applyToMessageEvent(receipt) {
+  const {providerMessageId, status, timestamp, error} = receipt;
+
+  if (STATUS_RANK[status]) {
+    const result = await MessageEvent.updateOne(
+      {providerMessageId, status: {$in: statusesBelow(status)}},
+      {$set: {status, ...receiptTimestamps(status, timestamp)}}
+    );
+    if (result.modifiedCount > 0) {
+      await backfillDeliveredAt(MessageEvent, providerMessageId, status, timestamp);
+    }
+    return result.modifiedCount > 0;
+  }
+
+  if (status !== 'FAILED') {
+    return false;
+  }
+
+  const event = await MessageEvent.findOne({providerMessageId, status: 'SENT'});
+  if (!event) {
+    return false;
+  }
+
+  const code = error?.code || 'DELIVERY_FAILED';
+  await markFailed(event, `${code}: ${error?.message || 'Delivery failed'}`, {retryable: !!error?.retryable});
+  return true;
+}
+
+/**
+ * Apply one delivery receipt to all matching records
+ *
+ * @param {Object} receipt
+ * @param {string} receipt.providerMessageId - Provider message/request id
+ * @param {string} receipt.status - SENT | DELIVERED | READ | FAILED
+ * @param {Date} receipt.timestamp - When the provider observed the status
+ * @param {Object} [receipt.error] - {code, message, retryable, providerResponse} for FAILED
+ * @returns {Promise<Object>} {notificationAttempt, messageEvent} (true if updated)
+ */
+async function applyDeliveryReceipt(receipt) {
+  const [notificationAttempt, messageEvent] = await Promise.all([
+    applyToNotificationAttempt(receipt),
+    applyToMessageEvent(receipt),
+  ]);
+
+  logger.debug('[DeliveryReceipt] Receipt applied', {
+    providerMessageId: receipt.providerMessageId,
+    status: receipt.status,
+    notificationAttempt,
+    messageEvent,
+  });
+
+  return {notificationAttempt, messageEvent};
+}
+
+module.exports = {
+  applyDeliveryReceipt,
+};
@@ -0,0 +1,454 @@
+/**
+ * GST Service
+ *
+ * Tax invoices for GST-registered businesses:
+ * - GSTIN validation (format + check digit) and state codes
+ * - Place of supply and intra/inter-state determination
+ * - Per-line taxable value and CGST+SGST (or UTGST) vs IGST split
+ *
+ * PRICING:
+ * Line prices are exclusive of GST. A bill-level discount is allocated to lines
+ * in proportion to their value and reduces the taxable value (it is shown on
+ * the invoice, so it is part of the transaction value).
+ *
+ * PLACE OF SUPPLY (first available):
+ * bill override -> customer.placeOfSupply -> customer GSTIN state -> business state
+ */
+const BusinessSettings = require('../models/BusinessSettings');
+const Item = require('../models/Item');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Rates notified under GST (percent)
+const GST_RATES = [0, 0.1, 0.25, 1.5, 3, 5, 6, 12, 18, 28, 40];
+
+// GST state / UT codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+};
+
+// Union territories without a legislature levy UTGST instead of SGST
+const UTGST_STATE_CODES = ['04', '26', '31', '35', '38'];
+
+// HSN (goods) is 4/6/8 digits; SAC (services) is 6 digits starting with 99
+const HSN_CODE_PATTERN = /^\d{4}(\d{2}){0,2}$/;
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Uppercase/trim a GSTIN (null for empty)
+ */
+function normalizeGstin(gstin) {
+  if (!gstin || typeof gstin !== 'string') {
+    return null;
+  }
+  return gstin.trim().toUpperCase() || null;
+}
+
+/**
+ * Validate GSTIN format, state code and check digit
+ *
+ * @param {string} gstin
+ * @returns {boolean}
+ */
+function isValidGstin(gstin) {
+  const value = normalizeGstin(gstin);
+  if (!value || !GSTIN_PATTERN.test(value) || !GST_STATE_CODES[value.substring(0, 2)]) {
+    return false;
+  }
+
+  // Mod-36 check digit over the first 14 characters (alternate weights 1, 2)
+  const sum = value.substring(0, 14).split('').reduce((total, char, index) => {
+    const product = GSTIN_CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+}
+
+/**
+ * State code of a GSTIN ('27AAPFU0939F1ZV' -> '27')
+ */
+function getStateCodeFromGstin(gstin) {
+  const value = normalizeGstin(gstin);
+  return value && GST_STATE_CODES[value.substring(0, 2)] ? value.substring(0, 2) : null;
+}
+
+function isValidStateCode(code) {
+  return Boolean(GST_STATE_CODES[code]);
+}
+
+function isValidGstRate(rate) {
+  return typeof rate === 'number' && GST_RATES.includes(rate);
+}
+
+function isValidHsnCode(code) {
+  return typeof code === 'string' && HSN_CODE_PATTERN.test(code);
+}
+
+/**
+ * Validate customer GST fields from a request (only fields that are present)
+ *
+ * @param {Object} body - {gstin, placeOfSupply}
+ * @returns {Object} Normalized {gstin?, placeOfSupply?}
+ * @throws {AppError} INVALID_GSTIN / INVALID_PLACE_OF_SUPPLY
+ */
+function validateCustomerGst({gstin, placeOfSupply}) {
+  const fields = {};
+  if (gstin !== undefined) {
+    if (gstin && !isValidGstin(gstin)) {
+      throw new AppError('GSTIN must be a valid 15-character GSTIN', 400, 'INVALID_GSTIN');
+    }
+    fields.gstin = normalizeGstin(gstin);
+  }
+  if (placeOfSupply !== undefined) {
+    if (placeOfSupply && !isValidStateCode(placeOfSupply)) {
+      throw new AppError('Invalid place of supply state code', 400, 'INVALID_PLACE_OF_SUPPLY');
+    }
+    fields.placeOfSupply = placeOfSupply || null;
+  }
+  return fields;
+}
+
+/**
+ * "27-Maharashtra" (place of supply as printed on invoices)
+ */
+function formatStateCode(code) {
+  return GST_STATE_CODES[code] ? `${code}-${GST_STATE_CODES[code]}` : code || '';
+}
+
+/**
+ * INTRA_STATE (CGST + SGST/UTGST) or INTER_STATE (IGST)
+ *
+ * @param {string} supplierStateCode
+ * @param {string} placeOfSupply
+ * @returns {string}
+ */
+function getSupplyType(supplierStateCode, placeOfSupply) {
+  return supplierStateCode === placeOfSupply ? 'INTRA_STATE' : 'INTER_STATE';
+}
+
+/**
+ * Split a bill-level discount across line amounts (proportional, last line absorbs rounding)
+ */
+function allocateDiscount(amounts, discount) {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (!discount || total <= 0) {
+    return amounts.map(() => 0);
+  }
+
+  let remaining = round2(discount);
+  return amounts.map((amount, index) => {
+    if (index === amounts.length - 1) {
+      return remaining;
+    }
+    const share = round2(discount * amount / total);
+    remaining = round2(remaining - share);
+    return share;
+  });
+}
+
+/**
+ * Compute the GST breakdown for invoice lines
+ *
+ * @param {Object} params
+ * @param {Array} params.items - Lines {name, qty, price, gstRate, hsnCode, ...}
+ * @param {number} params.discount - Bill-level discount (pre-tax)
+ * @param {string} params.supplierStateCode - Business state code
+ * @param {string} params.placeOfSupply - Place of supply state code
+ * @returns {Object} {items, subTotal, discount, tax, grandTotal, supplyType, taxableValue, cgst, sgst, igst, totalTax}
+ */
+function computeGstBreakdown({items, discount = 0, supplierStateCode, placeOfSupply}) {
+  const supplyType = getSupplyType(supplierStateCode, placeOfSupply);
+  const amounts = items.map(item => round2(item.qty * item.price));
+  const subTotal = round2(amounts.reduce((sum, amount) => sum + amount, 0));
+
+  if (discount > subTotal) {
+    throw new AppError('Discount cannot exceed the bill subtotal', 400, 'VALIDATION_ERROR');
+  }
+
+  const discounts = allocateDiscount(amounts, discount);
+
+  const lines = items.map((item, index) => {
+    const taxableValue = round2(amounts[index] - discounts[index]);
+    const halfTax = round2(taxableValue * item.gstRate / 200);
+
+    return {
+      ...item,
+      total: amounts[index],
+      taxableValue,
+      cgst: supplyType === 'INTRA_STATE' ? halfTax : 0,
+      sgst: supplyType === 'INTRA_STATE' ? halfTax : 0,
+      igst: supplyType === 'INTER_STATE' ? round2(taxableValue * item.gstRate / 100) : 0,
+    };
+  });
+
+  const sum = field => round2(lines.reduce((total, line) => total + line[field], 0));
+  const taxableValue = sum('taxableValue');
+  const cgst = sum('cgst');
+  const sgst = sum('sgst');
+  const igst = sum('igst');
+  const totalTax = round2(cgst + sgst + igst);
+
+  return {
+    items: lines,
+    subTotal,
+    discount: round2(discount),
+    tax: totalTax,
+    grandTotal: round2(taxableValue + totalTax),
+    supplyType,
+    taxableValue,
+    cgst,
+    sgst,
+    igst,
+    totalTax,
+  };
+}
+
+/**
+ * Business GST registration (null if the business has no GSTIN)
+ *
+ * @param {string} userId - Business ID
+ * @returns {Promise<Object|null>} {gstin, stateCode, legalName, address}
+ */
+async function getGstConfig(userId) {
+  const settings = await BusinessSettings.findOne({userId})
+    .select('gstin gstStateCode gstLegalName gstAddress')
+    .lean();
+  if (!settings?.gstin) {
+    return null;
+  }
+
+  let legalName = settings.gstLegalName;
+  if (!legalName) {
+    const owner = await User.findById(userId).select('name businessName').lean();
+    legalName = owner?.businessName || owner?.name || null;
+  }
+
+  return {
+    gstin: settings.gstin,
+    stateCode: settings.gstStateCode || getStateCodeFromGstin(settings.gstin),
+    legalName,
+    address: settings.gstAddress || null,
+  };
+}
+
+/**
+ * Catalog defaults (HSN code, GST rate) for bill lines, matched by itemId or name
+ */
+async function loadCatalogTaxDefaults(userId, items) {
+  const itemIds = items.map(item => item.itemId).filter(Boolean);
+  const names = items.filter(item => !item.itemId && item.name)
+    .map(item => item.name.toLowerCase().trim().replace(/\s+/g, ' '));
+
+  const catalogItems = await Item.find({
+    userId,
+    $or: [{_id: {$in: itemIds}}, {normalizedName: {$in: names}}],
+  }).select('_id normalizedName hsnCode gstRate').lean();
+
+  return {
+    byId: new Map(catalogItems.map(item => [String(item._id), item])),
+    byName: new Map(catalogItems.map(item => [item.normalizedName, item])),
+  };
+}
+
+/**
+ * Every tax invoice line needs a valid GST rate (and a valid HSN/SAC code when given)
+ *
+ * @throws {AppError} GST_RATE_REQUIRED, INVALID_GST_RATE, INVALID_HSN_CODE
+ */
+function assertTaxInvoiceLines(lines) {
+  for (const line of lines) {
+    if (line.gstRate === null || line.gstRate === undefined) {
+      throw new AppError(`GST rate is required for ${line.name}`, 400, 'GST_RATE_REQUIRED');
+    }
+    if (!isValidGstRate(line.gstRate)) {
+      throw new AppError(`Invalid GST rate ${line.gstRate}% for ${line.name}`, 400, 'INVALID_GST_RATE');
+    }
+    if (line.hsnCode && !isValidHsnCode(line.hsnCode)) {
+      throw new AppError(`Invalid HSN/SAC code for ${line.name}`, 400, 'INVALID_HSN_CODE');
+    }
+  }
+}
+
+/**
+ * Build a tax invoice for a new bill (null when the bill is not a tax invoice)
+ *
+ * A bill is a tax invoice when the business has a GSTIN and either the request
+ * asks for one (taxInvoice: true) or any line carries a GST rate (directly or
+ * from the item catalog). Every line then needs a valid GST rate.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {Object} params.customer - Customer document
+ * @param {Array} params.items - Requested bill lines
+ * @param {number} params.discount - Bill-level discount
+ * @param {string} [params.placeOfSupply] - Override state code
+ * @param {boolean} [params.taxInvoice] - Explicit request for a tax invoice
+ * @returns {Promise<Object|null>} Breakdown (see computeGstBreakdown) plus `gst` bill snapshot
+ * @throws {AppError} GSTIN_NOT_CONFIGURED, GST_RATE_REQUIRED, INVALID_GST_RATE,
+ *   INVALID_HSN_CODE, INVALID_PLACE_OF_SUPPLY
+ */
+async function prepareTaxInvoice({userId, customer, items, discount = 0, placeOfSupply, taxInvoice}) {
+  if (taxInvoice === false) {
+    return null;
+  }
+
+  const config = await getGstConfig(userId);
+  if (!config) {
+    if (taxInvoice) {
+      throw new AppError('Add your GSTIN in GST settings to issue tax invoices', 400, 'GSTIN_NOT_CONFIGURED');
+    }
+    return null;
+  }
+
+  const catalog = await loadCatalogTaxDefaults(userId, items);
+  const lines = items.map(item => {
+    const catalogItem = item.itemId
+      ? catalog.byId.get(String(item.itemId))
+      : catalog.byName.get(String(item.name || '').toLowerCase().trim().replace(/\s+/g, ' '));
+    return {
+      ...item,
+      hsnCode: item.hsnCode ?? catalogItem?.hsnCode ?? null,
+      gstRate: item.gstRate ?? catalogItem?.gstRate ?? null,
+    };
+  });
+
+  if (!taxInvoice && lines.every(line => line.gstRate === null)) {
+    return null;
+  }
+
+  assertTaxInvoiceLines(lines);
+
+  const customerGstin = normalizeGstin(customer?.gstin);
+  const supplyPlace = placeOfSupply ||
+    customer?.placeOfSupply ||
+    getStateCodeFromGstin(customerGstin) ||
+    config.stateCode;
+  if (!isValidStateCode(supplyPlace)) {
+    throw new AppError('Invalid place of supply state code', 400, 'INVALID_PLACE_OF_SUPPLY');
+  }
+
+  const breakdown = computeGstBreakdown({
+    items: lines,
+    discount,
+    supplierStateCode: config.stateCode,
+    placeOfSupply: supplyPlace,
+  });
+
+  return {
+    ...breakdown,
+    gst: {
+      isTaxInvoice: true,
+      supplierGstin: config.gstin,
+      supplierLegalName: config.legalName,
+      supplierAddress: config.address,
+      supplierStateCode: config.stateCode,
+      customerGstin,
+      customerAddress: customer?.billingAddress || null,
+      placeOfSupply: supplyPlace,
+      supplyType: breakdown.supplyType,
+      stateTaxName: UTGST_STATE_CODES.includes(supplyPlace) ? 'UTGST' : 'SGST',
+      taxableValue: breakdown.taxableValue,
+      cgst: breakdown.cgst,
+      sgst: breakdown.sgst,
+      igst: breakdown.igst,
+      totalTax: breakdown.totalTax,
+    },
+  };
+}
+
+/**
+ * Recompute an issued tax invoice after its lines or discount are amended
+ *
+ * The supplier, customer and place of supply stay as issued (bill.gst snapshot);
+ * only line values and tax totals change.
+ *
+ * @param {Object} params
+ * @param {Object} params.gst - Existing bill.gst snapshot
+ * @param {Array} params.items - Amended lines (each with gstRate)
+ * @param {number} params.discount - Amended bill-level discount
+ * @returns {Object} Breakdown (see computeGstBreakdown) plus updated `gst` snapshot
+ * @throws {AppError} GST_RATE_REQUIRED, INVALID_GST_RATE, INVALID_HSN_CODE, VALIDATION_ERROR
+ */
+function recomputeTaxInvoice({gst, items, discount = 0}) {
+  assertTaxInvoiceLines(items);
+
+  const breakdown = computeGstBreakdown({
+    items,
+    discount,
+    supplierStateCode: gst.supplierStateCode,
+    placeOfSupply: gst.placeOfSupply,
+  });
+
+  return {
+    ...breakdown,
+    gst: {
+      ...gst,
+      supplyType: breakdown.supplyType,
+      taxableValue: breakdown.taxableValue,
+      cgst: breakdown.cgst,
+      sgst: breakdown.sgst,
+      igst: breakdown.igst,
+      totalTax: breakdown.totalTax,
+    },
+  };
+}
+
+module.exports = {
+  GST_RATES,
+  GST_STATE_CODES,
+  HSN_CODE_PATTERN,
+  normalizeGstin,
+  isValidGstin,
+  isValidStateCode,
+  isValidGstRate,
+  isValidHsnCode,
+  getStateCodeFromGstin,
+  formatStateCode,
+  validateCustomerGst,
+  getSupplyType,
+  computeGstBreakdown,
+  getGstConfig,
+  prepareTaxInvoice,
+  recomputeTaxInvoice,
+};
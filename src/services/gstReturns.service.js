@@ -0,0 +1,516 @@
+/**
+ * GST Returns Service
+ *
+ * Monthly returns data derived from issued bills:
+ * - GSTR-1 JSON (B2B, B2CL, B2CS, HSN summary, credit notes, documents issued)
+ *   in the GST portal offline-tool layout
+ * - Sales register (one row per bill, JSON or CSV for Excel)
+ *
+ * WHICH BILLS COUNT:
+ * - Soft-deleted bills are left out everywhere.
+ * - Cancelled bills are left out of the return tables and shown with zero
+ *   values in the sales register. Both still count as cancelled serial numbers
+ *   in the GSTR-1 documents-issued table.
+ * - Only tax invoices (bill.gst.isTaxInvoice) go into GSTR-1. The sales register
+ *   lists every bill.
+ *
+ * CREDIT NOTES (against tax invoices) are reported in the month they are issued:
+ * to registered customers in CDNR, against large inter-state B2C invoices in
+ * CDNUR, and netted off the B2CS and HSN rows otherwise.
+ *
+ * Invoice date = bill creation date (IST).
+ */
+const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
+const Customer = require('../models/Customer');
+const {getGstConfig, formatStateCode} = require('./gst.service');
+const {getNowIST, getStartOfDayIST, getEndOfDayIST, IST_OFFSET_MS} = require('../utils/timezone.util');
+const AppError = require('../utils/AppError');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Inter-state B2C invoices above this value are reported invoice-wise (B2CL)
+const B2CL_THRESHOLD = 100000;
+
+const SALES_REGISTER_COLUMNS = [
+  ['date', 'Date'],
+  ['billNo', 'Bill No'],
+  ['customerName', 'Customer'],
+  ['customerGstin', 'Customer GSTIN'],
+  ['placeOfSupply', 'Place of Supply'],
+  ['supplyType', 'Supply Type'],
+  ['status', 'Status'],
+  ['subTotal', 'Gross Amount'],
+  ['discount', 'Discount'],
+  ['taxableValue', 'Taxable Value'],
+  ['cgst', 'CGST'],
+  ['sgst', 'SGST/UTGST'],
+  ['igst', 'IGST'],
+  ['totalTax', 'Total Tax'],
+  ['grandTotal', 'Invoice Value'],
+  ['paidAmount', 'Paid'],
+  ['balance', 'Balance'],
+];
+
+const REGISTER_AMOUNT_FIELDS = [
+  'subTotal', 'discount', 'taxableValue', 'cgst', 'sgst', 'igst', 'totalTax', 'grandTotal', 'paidAmount', 'balance',
+];
+
+/**
+ * Resolve the report period: a calendar month (YYYY-MM) or from/to dates (IST days).
+ * Defaults to the current month.
+ *
+ * @returns {{from: Date, to: Date}}
+ */
+function resolvePeriod({month, from, to} = {}) {
+  if (month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return {
+      from: getStartOfDayIST(new Date(Date.UTC(year, monthIndex - 1, 1))),
+      to: getEndOfDayIST(new Date(Date.UTC(year, monthIndex, 0))),
+    };
+  }
+
+  const nowIST = getNowIST();
+  const period = {
+    from: getStartOfDayIST(from || new Date(Date.UTC(nowIST.getUTCFullYear(), nowIST.getUTCMonth(), 1))),
+    to: getEndOfDayIST(to || new Date()),
+  };
+
+  if (period.from > period.to) {
+    throw new AppError('"from" must be before "to"', 400, 'VALIDATION_ERROR');
+  }
+  return period;
+}
+
+/**
+ * IST calendar date parts of a timestamp
+ */
+function istDateParts(date) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return {
+    day: String(ist.getUTCDate()).padStart(2, '0'),
+    month: String(ist.getUTCMonth() + 1).padStart(2, '0'),
+    year: String(ist.getUTCFullYear()),
+  };
+}
+
+/**
+ * DD-MM-YYYY (GST portal date format)
+ */
+function formatPortalDate(date) {
+  const {day, month, year} = istDateParts(date);
+  return `${day}-${month}-${year}`;
+}
+
+/**
+ * Return period "MMYYYY" (the month the period ends in)
+ */
+function formatReturnPeriod(date) {
+  const {month, year} = istDateParts(date);
+  return `${month}${year}`;
+}
+
+/**
+ * Bills issued in the period, oldest first (`filter` narrows the query)
+ */
+async function loadPeriodBills(userId, period, filter = {}) {
+  return Bill.find({
+    userId,
+    createdAt: {$gte: period.from, $lte: period.to},
+    ...filter,
+  })
+    .select('customerId billNo items subTotal discount tax gst grandTotal paidAmount status isDeleted createdAt')
+    .sort({createdAt: 1})
+    .lean();
+}
+
+/**
+ * Credit notes against tax invoices issued in the period, oldest first
+ */
+async function loadPeriodCreditNotes(userId, period) {
+  return CreditNote.find({
+    userId,
+    createdAt: {$gte: period.from, $lte: period.to},
+    'gst.isTaxInvoice': true,
+  })
+    .select('creditNoteNo billNo items gst grandTotal createdAt')
+    .sort({createdAt: 1})
+    .lean();
+}
+
+const isReportable = bill => !bill.isDeleted && bill.status !== 'cancelled';
+
+// Large inter-state B2C invoice (credit notes carry the original invoice value)
+const isLarge = doc => doc.gst.supplyType === 'INTER_STATE'
+  && (doc.gst.invoiceValue ?? doc.grandTotal) > B2CL_THRESHOLD;
+
+/**
+ * Invoice lines grouped by GST rate (GSTR-1 reports one item per rate)
+ */
+function buildRateItems(bill) {
+  const byRate = new Map();
+
+  for (const line of bill.items) {
+    const rate = line.gstRate || 0;
+    const entry = byRate.get(rate) || {rt: rate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0};
+    entry.txval = round2(entry.txval + (line.taxableValue ?? line.total));
+    entry.iamt = round2(entry.iamt + (line.igst || 0));
+    entry.camt = round2(entry.camt + (line.cgst || 0));
+    entry.samt = round2(entry.samt + (line.sgst || 0));
+    byRate.set(rate, entry);
+  }
+
+  return [...byRate.values()]
+    .sort((a, b) => a.rt - b.rt)
+    .map((itm_det, index) => ({num: index + 1, itm_det}));
+}
+
+function buildInvoice(bill) {
+  return {
+    inum: bill.billNo,
+    idt: formatPortalDate(bill.createdAt),
+    val: round2(bill.grandTotal),
+    pos: bill.gst.placeOfSupply,
+    itms: buildRateItems(bill),
+  };
+}
+
+function buildNote(creditNote) {
+  return {
+    ntty: 'C',
+    nt_num: creditNote.creditNoteNo,
+    nt_dt: formatPortalDate(creditNote.createdAt),
+    val: round2(creditNote.grandTotal),
+    pos: creditNote.gst.placeOfSupply,
+    itms: buildRateItems(creditNote),
+  };
+}
+
+/**
+ * B2B: invoices to registered customers, grouped by customer GSTIN
+ */
+function buildB2b(bills) {
+  const byGstin = new Map();
+
+  for (const bill of bills) {
+    const ctin = bill.gst.customerGstin;
+    if (!byGstin.has(ctin)) {
+      byGstin.set(ctin, {ctin, inv: []});
+    }
+    const {inum, idt, val, pos, itms} = buildInvoice(bill);
+    byGstin.get(ctin).inv.push({inum, idt, val, pos, rchrg: 'N', inv_typ: 'R', itms});
+  }
+
+  return [...byGstin.values()];
+}
+
+/**
+ * B2CL: large inter-state invoices to unregistered customers, grouped by place of supply
+ */
+function buildB2cl(bills) {
+  const byPos = new Map();
+
+  for (const bill of bills) {
+    const {pos, ...invoice} = buildInvoice(bill);
+    if (!byPos.has(pos)) {
+      byPos.set(pos, {pos, inv: []});
+    }
+    byPos.get(pos).inv.push(invoice);
+  }
+
+  return [...byPos.values()];
+}
+
+/**
+ * CDNR: credit notes to registered customers, grouped by customer GSTIN
+ */
+function buildCdnr(creditNotes) {
+  const byGstin = new Map();
+
+  for (const creditNote of creditNotes) {
+    const ctin = creditNote.gst.customerGstin;
+    if (!byGstin.has(ctin)) {
+      byGstin.set(ctin, {ctin, nt: []});
+    }
+    const {ntty, nt_num, nt_dt, val, pos, itms} = buildNote(creditNote);
+    byGstin.get(ctin).nt.push({ntty, nt_num, nt_dt, val, pos, rchrg: 'N', inv_typ: 'R', itms});
+  }
+
+  return [...byGstin.values()];
+}
+
+/**
+ * CDNUR: credit notes against large inter-state B2C invoices
+ */
+function buildCdnur(creditNotes) {
+  return creditNotes.map(creditNote => ({typ: 'B2CL', ...buildNote(creditNote)}));
+}
+
+/**
+ * B2CS: other B2C supplies, summarised by place of supply and rate
+ * (credit notes against them reduce the same rows)
+ */
+function buildB2cs(bills, creditNotes = []) {
+  const rows = new Map();
+  const documents = [...bills.map(bill => [bill, 1]), ...creditNotes.map(note => [note, -1])];
+
+  for (const [doc, sign] of documents) {
+    const splyTy = doc.gst.supplyType === 'INTER_STATE' ? 'INTER' : 'INTRA';
+    for (const {itm_det: det} of buildRateItems(doc)) {
+      const key = `${splyTy}|${doc.gst.placeOfSupply}|${det.rt}`;
+      const row = rows.get(key) || {
+        sply_ty: splyTy,
+        pos: doc.gst.placeOfSupply,
+        typ: 'OE',
+        rt: det.rt,
+        txval: 0,
+        iamt: 0,
+        camt: 0,
+        samt: 0,
+        csamt: 0,
+      };
+      row.txval = round2(row.txval + sign * det.txval);
+      row.iamt = round2(row.iamt + sign * det.iamt);
+      row.camt = round2(row.camt + sign * det.camt);
+      row.samt = round2(row.samt + sign * det.samt);
+      rows.set(key, row);
+    }
+  }
+
+  return [...rows.values()].sort((a, b) => a.pos.localeCompare(b.pos) || a.rt - b.rt);
+}
+
+/**
+ * HSN summary rows (by HSN code and rate), net of credit notes.
+ * Services (SAC 99xx) carry no quantity.
+ */
+function buildHsnRows(bills, creditNotes = []) {
+  const rows = new Map();
+  const documents = [...bills.map(bill => [bill, 1]), ...creditNotes.map(note => [note, -1])];
+
+  for (const [doc, sign] of documents) {
+    for (const line of doc.items) {
+      const hsn = line.hsnCode || '';
+      const rate = line.gstRate || 0;
+      const key = `${hsn}|${rate}`;
+      const isService = hsn.startsWith('99');
+      const row = rows.get(key) || {
+        hsn_sc: hsn,
+        desc: line.name,
+        uqc: isService ? 'NA' : 'OTH',
+        qty: 0,
+        rt: rate,
+        txval: 0,
+        iamt: 0,
+        camt: 0,
+        samt: 0,
+        csamt: 0,
+      };
+      row.qty = isService ? 0 : round2(row.qty + sign * line.qty);
+      row.txval = round2(row.txval + sign * (line.taxableValue ?? line.total));
+      row.iamt = round2(row.iamt + sign * (line.igst || 0));
+      row.camt = round2(row.camt + sign * (line.cgst || 0));
+      row.samt = round2(row.samt + sign * (line.sgst || 0));
+      rows.set(key, row);
+    }
+  }
+
+  return [...rows.values()]
+    .sort((a, b) => a.hsn_sc.localeCompare(b.hsn_sc) || a.rt - b.rt)
+    .map((row, index) => ({num: index + 1, ...row}));
+}
+
+/**
+ * Serial range of one document type (GSTR-1 documents issued row)
+ */
+function buildDocRange(docNum, numbers, cancelled) {
+  const sorted = [...numbers].sort((a, b) => a.localeCompare(b, undefined, {numeric: true}));
+
+  return {
+    doc_num: docNum,
+    docs: [{
+      num: 1,
+      from: sorted[0],
+      to: sorted[sorted.length - 1],
+      totnum: sorted.length,
+      cancel: cancelled,
+      net_issue: sorted.length - cancelled,
+    }],
+  };
+}
+
+/**
+ * Documents issued: tax invoice serial range with cancelled (and deleted)
+ * invoices, then credit notes (doc_num 5)
+ */
+function buildDocIssue(bills, creditNotes = []) {
+  const docDet = [];
+
+  if (bills.length > 0) {
+    const cancelled = bills.filter(bill => !isReportable(bill)).length;
+    docDet.push(buildDocRange(1, bills.map(bill => bill.billNo), cancelled));
+  }
+  if (creditNotes.length > 0) {
+    docDet.push(buildDocRange(5, creditNotes.map(note => note.creditNoteNo), 0));
+  }
+
+  return {doc_det: docDet};
+}
+
+/**
+ * Build GSTR-1 data for a period
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.month] - YYYY-MM (takes precedence over from/to)
+ * @param {Date} [params.from] - Period start (IST day)
+ * @param {Date} [params.to] - Period end (IST day)
+ * @returns {Promise<Object>} {period, gstr1, summary}
+ * @throws {AppError} GSTIN_NOT_CONFIGURED
+ */
+async function buildGstr1({userId, month, from, to}) {
+  const config = await getGstConfig(userId);
+  if (!config) {
+    throw new AppError('Add your GSTIN in GST settings to prepare GST returns', 400, 'GSTIN_NOT_CONFIGURED');
+  }
+
+  const period = resolvePeriod({month, from, to});
+  const [invoices, creditNotes] = await Promise.all([
+    loadPeriodBills(userId, period, {'gst.isTaxInvoice': true}),
+    loadPeriodCreditNotes(userId, period),
+  ]);
+  const reportable = invoices.filter(isReportable);
+
+  const b2b = reportable.filter(bill => bill.gst.customerGstin);
+  const b2c = reportable.filter(bill => !bill.gst.customerGstin);
+  const b2bNotes = creditNotes.filter(note => note.gst.customerGstin);
+  const b2cNotes = creditNotes.filter(note => !note.gst.customerGstin);
+
+  const gstr1 = {
+    gstin: config.gstin,
+    fp: formatReturnPeriod(period.to),
+    b2b: buildB2b(b2b),
+    b2cl: buildB2cl(b2c.filter(isLarge)),
+    b2cs: buildB2cs(b2c.filter(bill => !isLarge(bill)), b2cNotes.filter(note => !isLarge(note))),
+    // Credit notes to registered (cdnr) and unregistered (cdnur) customers
+    cdnr: buildCdnr(b2bNotes),
+    cdnur: buildCdnur(b2cNotes.filter(isLarge)),
+    hsn: {
+      hsn_b2b: buildHsnRows(b2b, b2bNotes),
+      hsn_b2c: buildHsnRows(b2c, b2cNotes),
+    },
+    doc_issue: buildDocIssue(invoices, creditNotes),
+  };
+
+  const sum = (docs, field) => round2(docs.reduce((total, doc) => total + (doc.gst[field] || 0), 0));
+  // Tax totals are net of credit notes issued in the period
+  const net = field => round2(sum(reportable, field) - sum(creditNotes, field));
+
+  return {
+    period,
+    gstr1,
+    summary: {
+      invoices: reportable.length,
+      cancelled: invoices.length - reportable.length,
+      creditNotes: creditNotes.length,
+      taxableValue: net('taxableValue'),
+      cgst: net('cgst'),
+      sgst: net('sgst'),
+      igst: net('igst'),
+      totalTax: net('totalTax'),
+      invoiceValue: round2(reportable.reduce((total, bill) => total + bill.grandTotal, 0)),
+      creditNoteValue: round2(creditNotes.reduce((total, note) => total + note.grandTotal, 0)),
+    },
+  };
+}
+
+/**
+ * Build the sales register for a period (every bill, cancelled ones zeroed)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.month] - YYYY-MM (takes precedence over from/to)
+ * @param {Date} [params.from] - Period start (IST day)
+ * @param {Date} [params.to] - Period end (IST day)
+ * @returns {Promise<Object>} {period, rows, totals}
+ */
+async function buildSalesRegister({userId, month, from, to}) {
+  const period = resolvePeriod({month, from, to});
+  const bills = await loadPeriodBills(userId, period, {isDeleted: {$ne: true}});
+
+  const customerIds = [...new Set(bills.map(bill => String(bill.customerId)))];
+  const customers = await Customer.find({userId, _id: {$in: customerIds}}).select('name gstin').lean();
+  const customersById = new Map(customers.map(customer => [String(customer._id), customer]));
+
+  const rows = bills.map(bill => {
+    const customer = customersById.get(String(bill.customerId));
+    const gst = bill.gst?.isTaxInvoice ? bill.gst : null;
+    const cancelled = bill.status === 'cancelled';
+    const amount = value => (cancelled ? 0 : round2(value || 0));
+
+    return {
+      date: formatPortalDate(bill.createdAt),
+      billNo: bill.billNo,
+      customerName: customer?.name || '',
+      customerGstin: gst?.customerGstin || '',
+      placeOfSupply: gst ? formatStateCode(gst.placeOfSupply) : '',
+      supplyType: gst?.supplyType || '',
+      status: bill.status,
+      subTotal: amount(bill.subTotal),
+      discount: amount(bill.discount),
+      taxableValue: amount(gst ? gst.taxableValue : bill.subTotal - (bill.discount || 0)),
+      cgst: amount(gst?.cgst),
+      sgst: amount(gst?.sgst),
+      igst: amount(gst?.igst),
+      totalTax: amount(gst ? gst.totalTax : bill.tax),
+      grandTotal: amount(bill.grandTotal),
+      paidAmount: amount(bill.paidAmount),
+      balance: amount(Math.max(0, bill.grandTotal - (bill.paidAmount || 0))),
+    };
+  });
+
+  const totals = Object.fromEntries(REGISTER_AMOUNT_FIELDS.map(field => [
+    field,
+    round2(rows.reduce((total, row) => total + row[field], 0)),
+  ]));
+
+  return {period, rows, totals};
+}
+
+/**
+ * Quote a CSV cell; cells that a spreadsheet would run as a formula are prefixed with '
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Sales register as CSV (UTF-8 with BOM so Excel keeps ₹ and Indian-language names intact)
+ */
+function renderSalesRegisterCsv({rows, totals}) {
+  const lines = [SALES_REGISTER_COLUMNS.map(([, header]) => csvCell(header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(SALES_REGISTER_COLUMNS.map(([field]) => csvCell(row[field])).join(','));
+  }
+
+  lines.push(SALES_REGISTER_COLUMNS.map(([field], index) => {
+    if (index === 0) return 'Total';
+    return csvCell(field in totals ? totals[field] : '');
+  }).join(','));
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  B2CL_THRESHOLD,
+  resolvePeriod,
+  buildGstr1,
+  buildSalesRegister,
+  renderSalesRegisterCsv,
+};
@@ -0,0 +1,150 @@
+/**
+ * English catalog (reference language: every key and placeholder originates here)
+ */
+module.exports = {
+  common: {
+    customer: 'Customer',
+  },
+
+  // Customer-facing recovery reminders (keyed by recovery templateKey)
+  reminders: {
+    recovery_immediate: {
+      title: 'Payment Overdue',
+      body: 'Hi {customerName}, your payment of ₹{amount} is overdue. Please settle at your earliest convenience.',
+    },
+    recovery_gentle_reminder: {
+      title: 'Payment Reminder',
+      body: 'Hi {customerName}, this is a gentle reminder about your pending payment of ₹{amount}. Please clear your dues.',
+    },
+    recovery_urgent: {
+      title: 'Urgent: Payment Required',
+      body: 'Hi {customerName}, your payment of ₹{amount} is now 7+ days overdue. Please settle immediately to avoid further action.',
+    },
+  },
+
+  reminderLinks: {
+    statementUrl: 'View your bills: {statementUrl}',
+    upiLink: 'Pay via UPI: {upiLink}',
+  },
+
+  // Owner/staff notifications (keyed by Notification.kind)
+  notifications: {
+    OVERDUE_ALERT: {
+      title: 'Overdue: {customerName}',
+      body: '{customerName} has overdue payments. Total: {amount}',
+    },
+    DUE_TODAY: {
+      title: 'Due Today: {customerName}',
+      body: '{customerName} has payments due today. Amount: {amount}',
+    },
+    PROMISE_DUE_TODAY: {
+      title: 'Promise Due Today: {customerName}',
+      body: '{customerName}\'s payment promise is due today. Amount: {amount}',
+    },
+    PROMISE_BROKEN: {
+      title: 'Broken Promise: {customerName}',
+      body: '{customerName} broke their payment promise. Amount: {amount}',
+    },
+    FOLLOWUP_DUE: {
+      title: 'Follow-up Due: {customerName}',
+      body: 'Follow-up reminder for {customerName}. Amount due: {amount}',
+    },
+    PAYMENT_RECEIVED: {
+      title: 'Payment Received: {billNo}',
+      body: 'Payment of {amount} received for bill {billNo}',
+    },
+    DEVICE_APPROVAL_REQUIRED: {
+      title: 'Device Approval Required',
+      body: 'A new device is requesting access to your account',
+    },
+    DAILY_SUMMARY: {
+      title: 'Daily Summary',
+      body: 'Overdue: {overdue}, Due Today: {dueToday}, Promises: {promises}, Follow-ups: {followups}',
+      bodyDefault: 'Your daily business summary is ready',
+    },
+    CREDIT_LIMIT_WARN: {
+      title: 'Credit Limit Warning: {customerName}',
+      body: '{customerName} is approaching credit limit. Outstanding: {amount}',
+    },
+    RECURRING_BILLS_GENERATED: {
+      title: 'Recurring Bills Created',
+      body: '{generated} recurring bills created for {amount}. Not created: {notGenerated}',
+    },
+    LOW_STOCK: {
+      title: 'Low Stock',
+      body: '{itemName} is down to {stockQty} {unit} (reorder level {reorderLevel})',
+    },
+    PAYABLES_DUE: {
+      title: 'Supplier Payments Due',
+      body: '{dueSoon} supplier bills due in the next {days} days, {overdue} overdue. To pay: {amount}',
+    },
+    // Legacy support
+    OVERDUE: {
+      title: 'Overdue: {customerName}',
+      body: '{customerName} has overdue payments. Amount: {amount}',
+    },
+    PROMISE_REMINDER: {
+      title: 'Promise Reminder: {customerName}',
+      body: '{customerName}\'s payment promise is due. Amount: {amount}',
+    },
+    FOLLOWUP: {
+      title: 'Follow-up: {customerName}',
+      body: 'Follow-up reminder for {customerName}. Amount: {amount}',
+    },
+    DEFAULT: {
+      title: 'Notification',
+      body: 'You have a new notification',
+    },
+  },
+
+  // UPI pay block on public bills and statements
+  upi: {
+    payAmount: 'Pay {amount} via UPI',
+    payWithApp: 'Pay with UPI app',
+  },
+
+  // Public bill page (/public/b/:token)
+  publicBill: {
+    title: 'Bill {billNo}',
+    items: 'Items',
+    item: 'Item',
+    qty: 'Qty',
+    price: 'Price',
+    total: 'Total',
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    tax: 'Tax',
+    status: 'Status',
+    paid: 'Paid',
+    pending: 'Pending',
+    dueDate: 'Due Date',
+    notes: 'Notes',
+    sharedVia: 'Shared via Profit Hooks',
+    // GST tax invoice layout (tax names are the statutory abbreviations)
+    taxInvoice: 'Tax Invoice',
+    supplier: 'From',
+    billTo: 'Bill To',
+    gstin: 'GSTIN',
+    placeOfSupply: 'Place of Supply',
+    hsn: 'HSN/SAC',
+    gstRate: 'GST %',
+    taxableValue: 'Taxable Value',
+    cgst: 'CGST',
+    sgst: 'SGST',
+    utgst: 'UTGST',
+    igst: 'IGST',
+    totalTax: 'Total Tax',
+    // Credit notes (sales returns)
+    creditNote: 'Credit Note',
+    creditNoteTitle: 'Credit Note {creditNoteNo}',
+    againstBill: 'Against Bill {billNo} dated {billDate}',
+    creditNotes: 'Credit Notes',
+    reason: 'Reason',
+    statuses: {
+      paid: 'Paid',
+      pending: 'Pending',
+      partial: 'Partially Paid',
+      cancelled: 'Cancelled',
+    },
+  },
+};
@@ -0,0 +1,143 @@
+/**
+ * Gujarati catalog (ગુજરાતી)
+ */
+module.exports = {
+  common: {
+    customer: 'ગ્રાહક',
+  },
+
+  reminders: {
+    recovery_immediate: {
+      title: 'ચુકવણી બાકી',
+      body: 'નમસ્તે {customerName}, તમારી ₹{amount} ની ચુકવણી બાકી છે. કૃપા કરીને વહેલી તકે ચુકવણી કરો.',
+    },
+    recovery_gentle_reminder: {
+      title: 'ચુકવણી રીમાઇન્ડર',
+      body: 'નમસ્તે {customerName}, તમારી ₹{amount} ની બાકી ચુકવણી માટે આ નમ્ર રીમાઇન્ડર છે. કૃપા કરીને તમારી બાકી રકમ ચૂકવો.',
+    },
+    recovery_urgent: {
+      title: 'તાત્કાલિક: ચુકવણી જરૂરી',
+      body: 'નમસ્તે {customerName}, તમારી ₹{amount} ની ચુકવણી 7+ દિવસથી બાકી છે. વધુ કાર્યવાહી ટાળવા કૃપા કરીને તરત ચુકવણી કરો.',
+    },
+  },
+
+  reminderLinks: {
+    statementUrl: 'તમારા બિલ જુઓ: {statementUrl}',
+    upiLink: 'UPI થી ચુકવણી કરો: {upiLink}',
+  },
+
+  notifications: {
+    OVERDUE_ALERT: {
+      title: 'બાકી: {customerName}',
+      body: '{customerName} ની ચુકવણી બાકી છે. કુલ: {amount}',
+    },
+    DUE_TODAY: {
+      title: 'આજે બાકી: {customerName}',
+      body: '{customerName} ની ચુકવણી આજે બાકી છે. રકમ: {amount}',
+    },
+    PROMISE_DUE_TODAY: {
+      title: 'વચન આજે બાકી: {customerName}',
+      body: '{customerName} નું ચુકવણીનું વચન આજે બાકી છે. રકમ: {amount}',
+    },
+    PROMISE_BROKEN: {
+      title: 'વચન તૂટ્યું: {customerName}',
+      body: '{customerName} એ ચુકવણીનું વચન તોડ્યું. રકમ: {amount}',
+    },
+    FOLLOWUP_DUE: {
+      title: 'ફોલો-અપ બાકી: {customerName}',
+      body: '{customerName} માટે ફોલો-અપ રીમાઇન્ડર. બાકી રકમ: {amount}',
+    },
+    PAYMENT_RECEIVED: {
+      title: 'ચુકવણી મળી: {billNo}',
+      body: 'બિલ {billNo} માટે {amount} ની ચુકવણી મળી',
+    },
+    DEVICE_APPROVAL_REQUIRED: {
+      title: 'ડિવાઇસ મંજૂરી જરૂરી',
+      body: 'નવું ડિવાઇસ તમારા ખાતાની ઍક્સેસ માંગી રહ્યું છે',
+    },
+    DAILY_SUMMARY: {
+      title: 'દૈનિક સારાંશ',
+      body: 'બાકી: {overdue}, આજે બાકી: {dueToday}, વચનો: {promises}, ફોલો-અપ: {followups}',
+      bodyDefault: 'તમારો દૈનિક વ્યવસાય સારાંશ તૈયાર છે',
+    },
+    CREDIT_LIMIT_WARN: {
+      title: 'ક્રેડિટ મર્યાદા ચેતવણી: {customerName}',
+      body: '{customerName} ક્રેડિટ મર્યાદાની નજીક છે. બાકી: {amount}',
+    },
+    RECURRING_BILLS_GENERATED: {
+      title: 'પુનરાવર્તિત બિલ બનાવ્યા',
+      body: '{amount} ના {generated} પુનરાવર્તિત બિલ બનાવ્યા. બન્યા નહીં: {notGenerated}',
+    },
+    LOW_STOCK: {
+      title: 'સ્ટોક ઓછો છે',
+      body: '{itemName} નો સ્ટોક {stockQty} {unit} રહ્યો છે (રી-ઓર્ડર સ્તર {reorderLevel})',
+    },
+    PAYABLES_DUE: {
+      title: 'સપ્લાયર ચુકવણી બાકી',
+      body: '{dueSoon} સપ્લાયર બિલ આગામી {days} દિવસમાં ચૂકવવાના, {overdue} ની તારીખ વીતી ગઈ. ચૂકવવાના: {amount}',
+    },
+    OVERDUE: {
+      title: 'બાકી: {customerName}',
+      body: '{customerName} ની ચુકવણી બાકી છે. રકમ: {amount}',
+    },
+    PROMISE_REMINDER: {
+      title: 'વચન રીમાઇન્ડર: {customerName}',
+      body: '{customerName} નું ચુકવણીનું વચન બાકી છે. રકમ: {amount}',
+    },
+    FOLLOWUP: {
+      title: 'ફોલો-અપ: {customerName}',
+      body: '{customerName} માટે ફોલો-અપ રીમાઇન્ડર. રકમ: {amount}',
+    },
+    DEFAULT: {
+      title: 'સૂચના',
+      body: 'તમારા માટે નવી સૂચના છે',
+    },
+  },
+
+  upi: {
+    payAmount: '{amount} UPI દ્વારા ચૂકવો',
+    payWithApp: 'UPI એપથી ચૂકવો',
+  },
+
+  publicBill: {
+    title: 'બિલ {billNo}',
+    items: 'વસ્તુઓ',
+    item: 'વસ્તુ',
+    qty: 'જથ્થો',
+    price: 'ભાવ',
+    total: 'કુલ',
+    subtotal: 'પેટા કુલ',
+    discount: 'વળતર',
+    tax: 'કર',
+    status: 'સ્થિતિ',
+    paid: 'ચૂકવેલ',
+    pending: 'બાકી',
+    dueDate: 'નિયત તારીખ',
+    notes: 'નોંધ',
+    sharedVia: 'Profit Hooks દ્વારા શેર કરેલ',
+    taxInvoice: 'ટેક્સ ઇન્વોઇસ',
+    supplier: 'વેચનાર',
+    billTo: 'ખરીદનાર',
+    gstin: 'GSTIN',
+    placeOfSupply: 'પુરવઠાનું સ્થળ',
+    hsn: 'HSN/SAC',
+    gstRate: 'GST %',
+    taxableValue: 'કરપાત્ર મૂલ્ય',
+    cgst: 'CGST',
+    sgst: 'SGST',
+    utgst: 'UTGST',
+    igst: 'IGST',
+    totalTax: 'કુલ કર',
+    creditNote: 'ક્રેડિટ નોટ',
+    creditNoteTitle: 'ક્રેડિટ નોટ {creditNoteNo}',
+    againstBill: 'બિલ {billNo} તારીખ {billDate} સામે',
+    creditNotes: 'ક્રેડિટ નોટ',
+    reason: 'કારણ',
+    statuses: {
+      paid: 'ચૂકવાયું',
+      pending: 'બાકી',
+      partial: 'આંશિક ચૂકવાયું',
+      cancelled: 'રદ',
+    },
+  },
+};
@@ -0,0 +1,143 @@
+/**
+ * Hindi catalog (हिन्दी)
+ */
+module.exports = {
+  common: {
+    customer: 'ग्राहक',
+  },
+
+  reminders: {
+    recovery_immediate: {
+      title: 'भुगतान बकाया',
+      body: 'नमस्ते {customerName}, आपका ₹{amount} का भुगतान बकाया है। कृपया जल्द से जल्द भुगतान करें।',
+    },
+    recovery_gentle_reminder: {
+      title: 'भुगतान अनुस्मारक',
+      body: 'नमस्ते {customerName}, यह आपके ₹{amount} के बकाया भुगतान के लिए एक विनम्र अनुस्मारक है। कृपया अपना बकाया चुकाएँ।',
+    },
+    recovery_urgent: {
+      title: 'अति आवश्यक: भुगतान करें',
+      body: 'नमस्ते {customerName}, आपका ₹{amount} का भुगतान 7+ दिनों से बकाया है। आगे की कार्रवाई से बचने के लिए कृपया तुरंत भुगतान करें।',
+    },
+  },
+
+  reminderLinks: {
+    statementUrl: 'अपने बिल देखें: {statementUrl}',
+    upiLink: 'UPI से भुगतान करें: {upiLink}',
+  },
+
+  notifications: {
+    OVERDUE_ALERT: {
+      title: 'बकाया: {customerName}',
+      body: '{customerName} का भुगतान बकाया है। कुल: {amount}',
+    },
+    DUE_TODAY: {
+      title: 'आज देय: {customerName}',
+      body: '{customerName} का भुगतान आज देय है। राशि: {amount}',
+    },
+    PROMISE_DUE_TODAY: {
+      title: 'वादा आज देय: {customerName}',
+      body: '{customerName} का भुगतान वादा आज देय है। राशि: {amount}',
+    },
+    PROMISE_BROKEN: {
+      title: 'वादा टूटा: {customerName}',
+      body: '{customerName} ने भुगतान का वादा तोड़ा। राशि: {amount}',
+    },
+    FOLLOWUP_DUE: {
+      title: 'फ़ॉलो-अप देय: {customerName}',
+      body: '{customerName} के लिए फ़ॉलो-अप अनुस्मारक। देय राशि: {amount}',
+    },
+    PAYMENT_RECEIVED: {
+      title: 'भुगतान प्राप्त: {billNo}',
+      body: 'बिल {billNo} के लिए {amount} का भुगतान प्राप्त हुआ',
+    },
+    DEVICE_APPROVAL_REQUIRED: {
+      title: 'डिवाइस स्वीकृति आवश्यक',
+      body: 'एक नया डिवाइस आपके खाते तक पहुँच का अनुरोध कर रहा है',
+    },
+    DAILY_SUMMARY: {
+      title: 'दैनिक सारांश',
+      body: 'बकाया: {overdue}, आज देय: {dueToday}, वादे: {promises}, फ़ॉलो-अप: {followups}',
+      bodyDefault: 'आपका दैनिक व्यापार सारांश तैयार है',
+    },
+    CREDIT_LIMIT_WARN: {
+      title: 'क्रेडिट सीमा चेतावनी: {customerName}',
+      body: '{customerName} क्रेडिट सीमा के करीब है। बकाया: {amount}',
+    },
+    RECURRING_BILLS_GENERATED: {
+      title: 'आवर्ती बिल बनाए गए',
+      body: '{amount} के {generated} आवर्ती बिल बनाए गए। नहीं बने: {notGenerated}',
+    },
+    LOW_STOCK: {
+      title: 'स्टॉक कम है',
+      body: '{itemName} का स्टॉक {stockQty} {unit} रह गया है (री-ऑर्डर स्तर {reorderLevel})',
+    },
+    PAYABLES_DUE: {
+      title: 'सप्लायर भुगतान देय',
+      body: '{dueSoon} सप्लायर बिल अगले {days} दिनों में देय, {overdue} की तारीख निकल गई। चुकाना है: {amount}',
+    },
+    OVERDUE: {
+      title: 'बकाया: {customerName}',
+      body: '{customerName} का भुगतान बकाया है। राशि: {amount}',
+    },
+    PROMISE_REMINDER: {
+      title: 'वादा अनुस्मारक: {customerName}',
+      body: '{customerName} का भुगतान वादा देय है। राशि: {amount}',
+    },
+    FOLLOWUP: {
+      title: 'फ़ॉलो-अप: {customerName}',
+      body: '{customerName} के लिए फ़ॉलो-अप अनुस्मारक। राशि: {amount}',
+    },
+    DEFAULT: {
+      title: 'सूचना',
+      body: 'आपके लिए एक नई सूचना है',
+    },
+  },
+
+  upi: {
+    payAmount: '{amount} का भुगतान UPI से करें',
+    payWithApp: 'UPI ऐप से भुगतान करें',
+  },
+
+  publicBill: {
+    title: 'बिल {billNo}',
+    items: 'सामान',
+    item: 'वस्तु',
+    qty: 'मात्रा',
+    price: 'दर',
+    total: 'कुल',
+    subtotal: 'उप-योग',
+    discount: 'छूट',
+    tax: 'कर',
+    status: 'स्थिति',
+    paid: 'भुगतान किया',
+    pending: 'बाकी',
+    dueDate: 'देय तिथि',
+    notes: 'टिप्पणी',
+    sharedVia: 'Profit Hooks द्वारा साझा',
+    taxInvoice: 'कर बीजक',
+    supplier: 'विक्रेता',
+    billTo: 'प्राप्तकर्ता',
+    gstin: 'GSTIN',
+    placeOfSupply: 'आपूर्ति का स्थान',
+    hsn: 'HSN/SAC',
+    gstRate: 'GST %',
+    taxableValue: 'कर योग्य मूल्य',
+    cgst: 'CGST',
+    sgst: 'SGST',
+    utgst: 'UTGST',
+    igst: 'IGST',
+    totalTax: 'कुल कर',
+    creditNote: 'क्रेडिट नोट',
+    creditNoteTitle: 'क्रेडिट नोट {creditNoteNo}',
+    againstBill: 'बिल {billNo} दिनांक {billDate} के विरुद्ध',
+    creditNotes: 'क्रेडिट नोट',
+    reason: 'कारण',
+    statuses: {
+      paid: 'भुगतान हो गया',
+      pending: 'बाकी',
+      partial: 'आंशिक भुगतान',
+      cancelled: 'रद्द',
+    },
+  },
+};
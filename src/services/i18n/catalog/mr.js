@@ -0,0 +1,143 @@
+/**
+ * Marathi catalog (मराठी)
+ */
+module.exports = {
+  common: {
+    customer: 'ग्राहक',
+  },
+
+  reminders: {
+    recovery_immediate: {
+      title: 'पेमेंट थकीत',
+      body: 'नमस्कार {customerName}, आपले ₹{amount} चे पेमेंट थकीत आहे. कृपया लवकरात लवकर भरणा करा.',
+    },
+    recovery_gentle_reminder: {
+      title: 'पेमेंट स्मरणपत्र',
+      body: 'नमस्कार {customerName}, आपल्या ₹{amount} च्या प्रलंबित पेमेंटबद्दल हे नम्र स्मरणपत्र आहे. कृपया आपली थकबाकी भरा.',
+    },
+    recovery_urgent: {
+      title: 'तातडीचे: पेमेंट आवश्यक',
+      body: 'नमस्कार {customerName}, आपले ₹{amount} चे पेमेंट 7+ दिवसांपासून थकीत आहे. पुढील कारवाई टाळण्यासाठी कृपया त्वरित भरणा करा.',
+    },
+  },
+
+  reminderLinks: {
+    statementUrl: 'आपली बिले पहा: {statementUrl}',
+    upiLink: 'UPI द्वारे पेमेंट करा: {upiLink}',
+  },
+
+  notifications: {
+    OVERDUE_ALERT: {
+      title: 'थकीत: {customerName}',
+      body: '{customerName} यांचे पेमेंट थकीत आहे. एकूण: {amount}',
+    },
+    DUE_TODAY: {
+      title: 'आज देय: {customerName}',
+      body: '{customerName} यांचे पेमेंट आज देय आहे. रक्कम: {amount}',
+    },
+    PROMISE_DUE_TODAY: {
+      title: 'आज वचन देय: {customerName}',
+      body: '{customerName} यांचे पेमेंटचे वचन आज देय आहे. रक्कम: {amount}',
+    },
+    PROMISE_BROKEN: {
+      title: 'वचन मोडले: {customerName}',
+      body: '{customerName} यांनी पेमेंटचे वचन मोडले. रक्कम: {amount}',
+    },
+    FOLLOWUP_DUE: {
+      title: 'फॉलो-अप देय: {customerName}',
+      body: '{customerName} साठी फॉलो-अप स्मरणपत्र. देय रक्कम: {amount}',
+    },
+    PAYMENT_RECEIVED: {
+      title: 'पेमेंट मिळाले: {billNo}',
+      body: 'बिल {billNo} साठी {amount} चे पेमेंट मिळाले',
+    },
+    DEVICE_APPROVAL_REQUIRED: {
+      title: 'डिव्हाइस मंजुरी आवश्यक',
+      body: 'एक नवीन डिव्हाइस आपल्या खात्यात प्रवेशाची विनंती करत आहे',
+    },
+    DAILY_SUMMARY: {
+      title: 'दैनिक सारांश',
+      body: 'थकीत: {overdue}, आज देय: {dueToday}, वचने: {promises}, फॉलो-अप: {followups}',
+      bodyDefault: 'आपला दैनिक व्यवसाय सारांश तयार आहे',
+    },
+    CREDIT_LIMIT_WARN: {
+      title: 'क्रेडिट मर्यादा इशारा: {customerName}',
+      body: '{customerName} क्रेडिट मर्यादेच्या जवळ आहेत. थकबाकी: {amount}',
+    },
+    RECURRING_BILLS_GENERATED: {
+      title: 'आवर्ती बिले तयार केली',
+      body: '{amount} ची {generated} आवर्ती बिले तयार केली. तयार झाली नाहीत: {notGenerated}',
+    },
+    LOW_STOCK: {
+      title: 'स्टॉक कमी आहे',
+      body: '{itemName} चा स्टॉक {stockQty} {unit} उरला आहे (री-ऑर्डर पातळी {reorderLevel})',
+    },
+    PAYABLES_DUE: {
+      title: 'पुरवठादार देयके देय',
+      body: '{dueSoon} पुरवठादार बिले पुढील {days} दिवसांत देय, {overdue} ची मुदत उलटली. भरायचे: {amount}',
+    },
+    OVERDUE: {
+      title: 'थकीत: {customerName}',
+      body: '{customerName} यांचे पेमेंट थकीत आहे. रक्कम: {amount}',
+    },
+    PROMISE_REMINDER: {
+      title: 'वचन स्मरणपत्र: {customerName}',
+      body: '{customerName} यांचे पेमेंटचे वचन देय आहे. रक्कम: {amount}',
+    },
+    FOLLOWUP: {
+      title: 'फॉलो-अप: {customerName}',
+      body: '{customerName} साठी फॉलो-अप स्मरणपत्र. रक्कम: {amount}',
+    },
+    DEFAULT: {
+      title: 'सूचना',
+      body: 'आपल्यासाठी एक नवीन सूचना आहे',
+    },
+  },
+
+  upi: {
+    payAmount: '{amount} UPI द्वारे भरा',
+    payWithApp: 'UPI ॲपद्वारे पैसे भरा',
+  },
+
+  publicBill: {
+    title: 'बिल {billNo}',
+    items: 'वस्तू',
+    item: 'वस्तू',
+    qty: 'नग',
+    price: 'दर',
+    total: 'एकूण',
+    subtotal: 'उप-एकूण',
+    discount: 'सूट',
+    tax: 'कर',
+    status: 'स्थिती',
+    paid: 'भरलेले',
+    pending: 'बाकी',
+    dueDate: 'देय तारीख',
+    notes: 'टीप',
+    sharedVia: 'Profit Hooks द्वारे शेअर केले',
+    taxInvoice: 'कर बीजक',
+    supplier: 'विक्रेता',
+    billTo: 'खरेदीदार',
+    gstin: 'GSTIN',
+    placeOfSupply: 'पुरवठ्याचे ठिकाण',
+    hsn: 'HSN/SAC',
+    gstRate: 'GST %',
+    taxableValue: 'करपात्र मूल्य',
+    cgst: 'CGST',
+    sgst: 'SGST',
+    utgst: 'UTGST',
+    igst: 'IGST',
+    totalTax: 'एकूण कर',
+    creditNote: 'क्रेडिट नोट',
+    creditNoteTitle: 'क्रेडिट नोट {creditNoteNo}',
+    againstBill: 'बिल {billNo} दिनांक {billDate} विरुद्ध',
+    creditNotes: 'क्रेडिट नोट',
+    reason: 'कारण',
+    statuses: {
+      paid: 'भरले',
+      pending: 'बाकी',
+      partial: 'अंशतः भरले',
+      cancelled: 'रद्द',
+    },
+  },
+};
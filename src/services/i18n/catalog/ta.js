@@ -0,0 +1,143 @@
+/**
+ * Tamil catalog (தமிழ்)
+ */
+module.exports = {
+  common: {
+    customer: 'வாடிக்கையாளர்',
+  },
+
+  reminders: {
+    recovery_immediate: {
+      title: 'பணம் நிலுவையில் உள்ளது',
+      body: 'வணக்கம் {customerName}, உங்கள் ₹{amount} பணம் நிலுவையில் உள்ளது. தயவுசெய்து விரைவில் செலுத்தவும்.',
+    },
+    recovery_gentle_reminder: {
+      title: 'பணம் செலுத்த நினைவூட்டல்',
+      body: 'வணக்கம் {customerName}, உங்கள் ₹{amount} நிலுவைத் தொகை குறித்த அன்பான நினைவூட்டல் இது. தயவுசெய்து உங்கள் நிலுவையைச் செலுத்தவும்.',
+    },
+    recovery_urgent: {
+      title: 'அவசரம்: பணம் செலுத்த வேண்டும்',
+      body: 'வணக்கம் {customerName}, உங்கள் ₹{amount} பணம் 7+ நாட்களாக நிலுவையில் உள்ளது. மேல் நடவடிக்கையைத் தவிர்க்க உடனடியாகச் செலுத்தவும்.',
+    },
+  },
+
+  reminderLinks: {
+    statementUrl: 'உங்கள் பில்களைப் பார்க்க: {statementUrl}',
+    upiLink: 'UPI மூலம் செலுத்த: {upiLink}',
+  },
+
+  notifications: {
+    OVERDUE_ALERT: {
+      title: 'நிலுவை: {customerName}',
+      body: '{customerName} பணம் நிலுவையில் உள்ளது. மொத்தம்: {amount}',
+    },
+    DUE_TODAY: {
+      title: 'இன்று செலுத்த வேண்டியது: {customerName}',
+      body: '{customerName} இன்று பணம் செலுத்த வேண்டும். தொகை: {amount}',
+    },
+    PROMISE_DUE_TODAY: {
+      title: 'இன்று வாக்குறுதி: {customerName}',
+      body: '{customerName} அளித்த பண வாக்குறுதி இன்று நிறைவேற வேண்டும். தொகை: {amount}',
+    },
+    PROMISE_BROKEN: {
+      title: 'வாக்குறுதி மீறல்: {customerName}',
+      body: '{customerName} பண வாக்குறுதியை மீறினார். தொகை: {amount}',
+    },
+    FOLLOWUP_DUE: {
+      title: 'பின்தொடர்தல்: {customerName}',
+      body: '{customerName} க்கான பின்தொடர்தல் நினைவூட்டல். நிலுவைத் தொகை: {amount}',
+    },
+    PAYMENT_RECEIVED: {
+      title: 'பணம் பெறப்பட்டது: {billNo}',
+      body: 'பில் {billNo} க்கு {amount} பணம் பெறப்பட்டது',
+    },
+    DEVICE_APPROVAL_REQUIRED: {
+      title: 'சாதன ஒப்புதல் தேவை',
+      body: 'ஒரு புதிய சாதனம் உங்கள் கணக்கை அணுக அனுமதி கேட்கிறது',
+    },
+    DAILY_SUMMARY: {
+      title: 'தினசரி சுருக்கம்',
+      body: 'நிலுவை: {overdue}, இன்று: {dueToday}, வாக்குறுதிகள்: {promises}, பின்தொடர்தல்கள்: {followups}',
+      bodyDefault: 'உங்கள் தினசரி வணிகச் சுருக்கம் தயாராக உள்ளது',
+    },
+    CREDIT_LIMIT_WARN: {
+      title: 'கடன் வரம்பு எச்சரிக்கை: {customerName}',
+      body: '{customerName} கடன் வரம்பை நெருங்குகிறார். நிலுவை: {amount}',
+    },
+    RECURRING_BILLS_GENERATED: {
+      title: 'தொடர் பில்கள் உருவாக்கப்பட்டன',
+      body: '{amount} மதிப்பில் {generated} தொடர் பில்கள் உருவாக்கப்பட்டன. உருவாக்கப்படாதவை: {notGenerated}',
+    },
+    LOW_STOCK: {
+      title: 'இருப்பு குறைவு',
+      body: '{itemName} இருப்பு {stockQty} {unit} ஆக குறைந்துள்ளது (மறு ஆர்டர் நிலை {reorderLevel})',
+    },
+    PAYABLES_DUE: {
+      title: 'சப்ளையர் கட்டணங்கள் நிலுவை',
+      body: '{dueSoon} சப்ளையர் பில்கள் அடுத்த {days} நாட்களில் செலுத்த வேண்டும், {overdue} தவறியவை. செலுத்த வேண்டியது: {amount}',
+    },
+    OVERDUE: {
+      title: 'நிலுவை: {customerName}',
+      body: '{customerName} பணம் நிலுவையில் உள்ளது. தொகை: {amount}',
+    },
+    PROMISE_REMINDER: {
+      title: 'வாக்குறுதி நினைவூட்டல்: {customerName}',
+      body: '{customerName} அளித்த பண வாக்குறுதி நிலுவையில் உள்ளது. தொகை: {amount}',
+    },
+    FOLLOWUP: {
+      title: 'பின்தொடர்தல்: {customerName}',
+      body: '{customerName} க்கான பின்தொடர்தல் நினைவூட்டல். தொகை: {amount}',
+    },
+    DEFAULT: {
+      title: 'அறிவிப்பு',
+      body: 'உங்களுக்கு ஒரு புதிய அறிவிப்பு உள்ளது',
+    },
+  },
+
+  upi: {
+    payAmount: '{amount} UPI மூலம் செலுத்துங்கள்',
+    payWithApp: 'UPI செயலி மூலம் செலுத்துங்கள்',
+  },
+
+  publicBill: {
+    title: 'பில் {billNo}',
+    items: 'பொருட்கள்',
+    item: 'பொருள்',
+    qty: 'அளவு',
+    price: 'விலை',
+    total: 'மொத்தம்',
+    subtotal: 'கூட்டுத்தொகை',
+    discount: 'தள்ளுபடி',
+    tax: 'வரி',
+    status: 'நிலை',
+    paid: 'செலுத்தியது',
+    pending: 'நிலுவை',
+    dueDate: 'செலுத்த வேண்டிய தேதி',
+    notes: 'குறிப்புகள்',
+    sharedVia: 'Profit Hooks மூலம் பகிரப்பட்டது',
+    taxInvoice: 'வரி விலைப்பட்டியல்',
+    supplier: 'விற்பனையாளர்',
+    billTo: 'வாங்குபவர்',
+    gstin: 'GSTIN',
+    placeOfSupply: 'விநியோக இடம்',
+    hsn: 'HSN/SAC',
+    gstRate: 'GST %',
+    taxableValue: 'வரிக்குரிய மதிப்பு',
+    cgst: 'CGST',
+    sgst: 'SGST',
+    utgst: 'UTGST',
+    igst: 'IGST',
+    totalTax: 'மொத்த வரி',
+    creditNote: 'கிரெடிட் நோட்',
+    creditNoteTitle: 'கிரெடிட் நோட் {creditNoteNo}',
+    againstBill: 'பில் {billNo} ({billDate}) க்கு எதிராக',
+    creditNotes: 'கிரெடிட் நோட்டுகள்',
+    reason: 'காரணம்',
+    statuses: {
+      paid: 'செலுத்தப்பட்டது',
+      pending: 'நிலுவை',
+      partial: 'பகுதி செலுத்தப்பட்டது',
+      cancelled: 'ரத்து',
+    },
+  },
+};
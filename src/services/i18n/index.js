@@ -0,0 +1,232 @@
+/**
+ * Message Catalog (i18n)
+ *
+ * Translations for customer reminders, owner notifications and public bill
+ * labels. English is the reference catalog; every other language must use the
+ * same {placeholders} per key (see validateCatalogs).
+ *
+ * FALLBACK CHAIN:
+ * A missing translation falls back through related languages before English,
+ * e.g. mr -> hi -> en, gu -> hi -> en, ta -> en.
+ */
+const logger = require('../../utils/logger');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Native names (for settings pickers)
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'हिन्दी',
+  mr: 'मराठी',
+  gu: 'ગુજરાતી',
+  ta: 'தமிழ்',
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+const LANGUAGE_FALLBACKS = {
+  en: [],
+  hi: ['en'],
+  mr: ['hi', 'en'],
+  gu: ['hi', 'en'],
+  ta: ['en'],
+};
+
+const CATALOGS = {
+  en: require('./catalog/en'),
+  hi: require('./catalog/hi'),
+  mr: require('./catalog/mr'),
+  gu: require('./catalog/gu'),
+  ta: require('./catalog/ta'),
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Normalize a language code ('hi-IN', 'HI' -> 'hi')
+ *
+ * @param {string} language
+ * @returns {string|null} Supported code or null
+ */
+function normalizeLanguage(language) {
+  if (!language || typeof language !== 'string') {
+    return null;
+  }
+  const code = language.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * First supported language among candidates (e.g. customer, business), else English
+ *
+ * @param {...string} candidates - Language codes in priority order
+ * @returns {string}
+ */
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    const language = normalizeLanguage(candidate);
+    if (language) {
+      return language;
+    }
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Languages tried for a lookup, most preferred first (always ends with English)
+ *
+ * @param {string} language
+ * @returns {Array<string>}
+ */
+function getFallbackChain(language) {
+  const primary = resolveLanguage(language);
+  return [...new Set([primary, ...LANGUAGE_FALLBACKS[primary], DEFAULT_LANGUAGE])];
+}
+
+/**
+ * Value at a dotted key path in one catalog
+ */
+function getPath(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+/**
+ * Find a translation, walking the fallback chain
+ *
+ * @param {string} key - Dotted key (e.g. reminders.recovery_urgent.body)
+ * @param {string} language - Preferred language
+ * @returns {Object|null} {text, language} or null if no catalog has the key
+ */
+function lookup(key, language) {
+  for (const candidate of getFallbackChain(language)) {
+    const text = getPath(CATALOGS[candidate], key);
+    if (typeof text === 'string') {
+      return {text, language: candidate};
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace {placeholders} with values (unknown placeholders are left as-is)
+ *
+ * @param {string} text
+ * @param {Object} vars
+ * @returns {string}
+ */
+function interpolate(text, vars = {}) {
+  return text.replace(PLACEHOLDER_PATTERN, (token, name) =>
+    (vars[name] === undefined || vars[name] === null ? token : String(vars[name])));
+}
+
+/**
+ * Translate a key
+ *
+ * @param {string} key - Dotted key
+ * @param {Object} [vars] - Placeholder values
+ * @param {string} [language] - Preferred language (falls back per chain)
+ * @returns {string} Rendered text (the key itself if no catalog has it)
+ */
+function translate(key, vars = {}, language = DEFAULT_LANGUAGE) {
+  const found = lookup(key, language);
+  if (!found) {
+    logger.warn('[i18n] Missing catalog key', {key, language});
+    return key;
+  }
+  return interpolate(found.text, vars);
+}
+
+/**
+ * Translate every string under a key prefix (e.g. publicBill labels for a web client)
+ * Keys come from the English catalog; each value falls back independently.
+ *
+ * @param {string} prefix - Dotted key prefix
+ * @param {string} language
+ * @returns {Object} Same shape as the English subtree, translated
+ */
+function getLabels(prefix, language) {
+  const build = (node, path) => Object.fromEntries(Object.entries(node).map(([name, value]) => [
+    name,
+    typeof value === 'string' ? lookup(`${path}.${name}`, language).text : build(value, `${path}.${name}`),
+  ]));
+
+  const reference = getPath(CATALOGS[DEFAULT_LANGUAGE], prefix);
+  return reference && typeof reference === 'object' ? build(reference, prefix) : {};
+}
+
+/**
+ * Sorted unique placeholder names in a text
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function getPlaceholders(text) {
+  return [...new Set([...String(text).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))].sort();
+}
+
+/**
+ * All string leaves of a catalog as {key: text}
+ */
+function flatten(node, prefix = '') {
+  return Object.entries(node).reduce((leaves, [name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return typeof value === 'string'
+      ? {...leaves, [key]: value}
+      : {...leaves, ...flatten(value, key)};
+  }, {});
+}
+
+/**
+ * Check every catalog against English
+ * - missing: key has no translation (served via fallback chain)
+ * - unknown_key: key not in English (never served)
+ * - placeholder_mismatch: translation uses different {placeholders}
+ *
+ * @param {Object} [catalogs] - Catalogs to check (default: built-in)
+ * @returns {Array} Issues [{language, key, type, expected?, actual?}]
+ */
+function validateCatalogs(catalogs = CATALOGS) {
+  const reference = flatten(catalogs[DEFAULT_LANGUAGE]);
+  const issues = [];
+
+  for (const [language, catalog] of Object.entries(catalogs)) {
+    if (language === DEFAULT_LANGUAGE) continue;
+    const leaves = flatten(catalog);
+
+    for (const [key, text] of Object.entries(reference)) {
+      if (leaves[key] === undefined) {
+        issues.push({language, key, type: 'missing'});
+        continue;
+      }
+      const expected = getPlaceholders(text);
+      const actual = getPlaceholders(leaves[key]);
+      if (expected.join(',') !== actual.join(',')) {
+        issues.push({language, key, type: 'placeholder_mismatch', expected, actual});
+      }
+    }
+
+    for (const key of Object.keys(leaves)) {
+      if (reference[key] === undefined) {
+        issues.push({language, key, type: 'unknown_key'});
+      }
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_NAMES,
+  LANGUAGE_FALLBACKS,
+  CATALOGS,
+  normalizeLanguage,
+  resolveLanguage,
+  getFallbackChain,
+  lookup,
+  translate,
+  getLabels,
+  getPlaceholders,
+  validateCatalogs,
+};
@@ -7,6 +7,7 @@
 const Bill = require('../models/Bill');
 const BusinessSettings = require('../models/BusinessSettings');
 const LedgerTransaction = require('../models/LedgerTransaction');
+const {listOpeningReceivables} = require('./openingBalance.service');
 const logger = require('../utils/logger');
 
 /**
@@ -170,7 +171,7 @@ const computeCustomerInterest = async (userId, customerId, asOfDate = new Date()
     const settings = await BusinessSettings.getOrCreate(userId);
     
     // Get overdue bills for customer
-    const bills = await Bill.find({
+    const overdueBills = await Bill.find({
       userId,
       customerId,
       isDeleted: {$ne: true},
@@ -179,6 +180,13 @@ const computeCustomerInterest = async (userId, customerId, asOfDate = new Date()
     })
       .populate('customerId', 'name phone')
       .lean();
+
+    // Unpaid opening balance accrues like a bill due on its as-of date
+    const openingReceivables = await listOpeningReceivables({userId, customerId});
+    const bills = [
+      ...overdueBills,
+      ...openingReceivables.filter(receivable => receivable.dueDate < asOfDate),
+    ];
     
     // Compute interest per bill
     const billInterests = [];
@@ -191,8 +199,9 @@ const computeCustomerInterest = async (userId, customerId, asOfDate = new Date()
       
       if (result.principal > 0) {
         billInterests.push({
-          billId: bill._id,
+          billId: bill.isOpeningBalance ? null : bill._id,
           billNo: bill.billNo,
+          isOpeningBalance: Boolean(bill.isOpeningBalance),
           dueDate: bill.dueDate,
           principal: result.principal,
           interest: result.interest,
@@ -290,7 +299,7 @@ const computeBusinessInterest = async (userId, asOfDate = new Date(), limit = 50
     const settings = await BusinessSettings.getOrCreate(userId);
     
     // Get all overdue bills
-    const bills = await Bill.find({
+    const overdueBills = await Bill.find({
       userId,
       isDeleted: {$ne: true},
       status: {$in: ['unpaid', 'partial']},
@@ -298,6 +307,13 @@ const computeBusinessInterest = async (userId, asOfDate = new Date(), limit = 50
     })
       .populate('customerId', 'name phone isDeleted')
       .lean();
+
+    // Unpaid opening balances accrue like bills due on their as-of date
+    const openingReceivables = await listOpeningReceivables({userId});
+    const bills = [
+      ...overdueBills,
+      ...openingReceivables.filter(receivable => receivable.dueDate < asOfDate),
+    ];
     
     // Group by customer
     const customerInterests = {};
@@ -0,0 +1,43 @@
+/**
+ * Language Preference Service
+ *
+ * Resolves which language to use:
+ * - Customer-facing text (reminders, shared bills): customer.preferredLanguage -> business language
+ * - Owner/staff notifications: business language
+ * Unsupported or missing values fall back to English.
+ */
+const BusinessSettings = require('../models/BusinessSettings');
+const {normalizeLanguage, resolveLanguage} = require('./i18n');
+
+/**
+ * Business default language
+ *
+ * @param {string} userId - Business ID
+ * @returns {Promise<string>} Language code
+ */
+async function getBusinessLanguage(userId) {
+  const settings = await BusinessSettings.findOne({userId}).select('language').lean();
+  return resolveLanguage(settings?.language);
+}
+
+/**
+ * Language for text sent to / shown to a customer
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {Object} params.customer - Customer (may be null)
+ * @param {string} [params.businessLanguage] - Already-loaded business language (skips lookup)
+ * @returns {Promise<string>} Language code
+ */
+async function getCustomerLanguage({userId, customer, businessLanguage}) {
+  const preferred = normalizeLanguage(customer?.preferredLanguage);
+  if (preferred) {
+    return preferred;
+  }
+  return businessLanguage ? resolveLanguage(businessLanguage) : getBusinessLanguage(userId);
+}
+
+module.exports = {
+  getBusinessLanguage,
+  getCustomerLanguage,
+};
@@ -3,6 +3,11 @@
  * State machine for message delivery with retry logic
  */
 const MessageEvent = require('../models/MessageEvent');
+const Customer = require('../models/Customer');
+const {isWhatsAppConfigured, getWhatsAppConfig} = require('../config/whatsapp');
+const {buildTemplatePayload} = require('./whatsapp/templates');
+const {sendTemplateMessage} = require('./whatsapp/whatsappCloudClient');
+const {customerPhoneToE164} = require('../utils/phone');
 
 /**
  * Enqueue a message event for delivery
@@ -131,13 +136,76 @@ exports.deliverMock = async event => {
   }
 };
 
+/**
+ * Deliver message via WhatsApp Cloud API (approved template)
+ * QUEUED/FAILED -> SENT; DELIVERED/READ/FAILED arrive via the status webhook
+ * @param {Object} event - Message event
+ * @returns {Promise<Object>} Updated event
+ */
+exports.deliverViaWhatsApp = async event => {
+  event.attemptCount = (event.attemptCount || 0) + 1;
+  event.lastAttemptAt = new Date();
+
+  try {
+    const customer = await Customer.findOne({_id: event.customerId, userId: event.userId})
+      .select('name phone')
+      .lean();
+    const to = customerPhoneToE164(customer?.phone);
+    if (!to) {
+      const error = new Error('Customer has no valid WhatsApp number');
+      error.retryable = false;
+      throw error;
+    }
+
+    const payload = event.payload || {};
+    const template = buildTemplatePayload(
+      event.templateKey,
+      {
+        customerName: payload.customerName || customer.name,
+        amount: payload.amount ?? payload.outstandingAmount,
+        statementUrl: payload.statementUrl,
+      },
+      getWhatsAppConfig().templateLanguage,
+    );
+
+    const {providerMessageId} = await sendTemplateMessage({to, template});
+
+    event.status = 'SENT';
+    event.provider = 'META';
+    event.providerMessageId = providerMessageId;
+    event.lastError = null;
+    event.lockUntil = null; // Clear lease
+
+    await event.save();
+
+    return event;
+  } catch (error) {
+    const message = error.code ? `${error.code}: ${error.message}` : error.message;
+    return await exports.markFailed(event, message, {retryable: error.retryable !== false});
+  }
+};
+
+/**
+ * Deliver via the channel's real provider when configured, else MOCK
+ * @param {Object} event - Message event
+ * @returns {Promise<Object>} Updated event
+ */
+exports.deliver = async event => {
+  if (event.channel === 'WHATSAPP' && isWhatsAppConfigured()) {
+    return exports.deliverViaWhatsApp(event);
+  }
+  return exports.deliverMock(event);
+};
+
 /**
  * Mark message as failed with exponential backoff
  * @param {Object} event - Message event
  * @param {string} errorMessage - Error description
+ * @param {Object} [options]
+ * @param {boolean} [options.retryable=true] - False for permanent provider errors
  * @returns {Promise<Object>} Updated event
  */
-exports.markFailed = async (event, errorMessage) => {
+exports.markFailed = async (event, errorMessage, {retryable = true} = {}) => {
   const now = new Date();
 
   event.status = 'FAILED';
@@ -145,7 +213,7 @@ exports.markFailed = async (event, errorMessage) => {
   event.lockUntil = null; // Clear lease
 
   // Check if we should retry
-  if (event.attemptCount < event.maxAttempts) {
+  if (retryable && event.attemptCount < event.maxAttempts) {
     // Exponential backoff: 2^attemptCount minutes, max 60 minutes
     const backoffMinutes = Math.min(Math.pow(2, event.attemptCount), 60);
     event.nextAttemptAt = new Date(now.getTime() + backoffMinutes * 60 * 1000);
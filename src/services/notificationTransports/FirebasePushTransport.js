@@ -37,6 +37,9 @@ class FirebasePushTransport extends BaseTransport {
       DEVICE_APPROVAL_REQUIRED: 'Device Approval Required',
       DAILY_SUMMARY: 'Daily Summary',
       CREDIT_LIMIT_WARN: 'Credit Limit Warning',
+      RECURRING_BILLS_GENERATED: 'Recurring Bills Created',
+      LOW_STOCK: 'Low Stock',
+      PAYABLES_DUE: 'Supplier Payments Due',
       // Legacy kinds (for backward compatibility)
       FOLLOWUP: 'Follow-up Reminder',
       PROMISE_REMINDER: 'Promise Reminder',
@@ -62,9 +65,11 @@ class FirebasePushTransport extends BaseTransport {
     const metadata = notification.metadata || {};
     
     // Extract entity info from metadata
-    const entityId = metadata.billId || metadata.customerId || metadata.recoveryId || metadata.followupId || null;
+    const entityId = metadata.billId || metadata.customerId || metadata.recoveryId || metadata.followupId ||
+      metadata.itemId || null;
     const entityType = metadata.billId ? 'bill' : 
                       (metadata.customerId || metadata.recoveryId || metadata.followupId) ? 'customer' : 
+                      metadata.itemId ? 'item' :
                       'system';
     
     // Build deeplink based on kind (matching NOTIFICATIONS_SPEC.md)
@@ -89,6 +94,12 @@ class FirebasePushTransport extends BaseTransport {
       deeplink = 'ph4://today?filter=dueToday';
     } else if (notification.kind === 'DEVICE_APPROVAL_REQUIRED') {
       deeplink = 'ph4://security?tab=devices';
+    } else if (notification.kind === 'RECURRING_BILLS_GENERATED') {
+      deeplink = 'ph4://recurring-bills';
+    } else if (notification.kind === 'PAYABLES_DUE') {
+      deeplink = 'ph4://payables';
+    } else if (metadata.itemId) {
+      deeplink = `ph4://item/${String(metadata.itemId)}`;
     }
 
     return {
@@ -0,0 +1,127 @@
+/**
+ * SMS Transport
+ *
+ * Sends customer-facing notifications (recovery reminders) as DLT-registered
+ * template SMS through the configured provider (MSG91 by default).
+ * - Templates without a DLT registration fail permanently (never sent unregistered)
+ * - Sends outside TRAI hours (09:00-21:00 IST) are deferred via error.retryAt
+ * Delivery reports arrive later via the /webhooks/sms/:provider DLR webhook.
+ */
+const BaseTransport = require('./BaseTransport');
+const {getDltTemplate, buildDltVariables} = require('../sms/dltTemplates');
+const {getSmsQuietHoursDeferral} = require('../sms/quietHours');
+const {getSmsProvider} = require('../sms');
+const {isSmsConfigured} = require('../../config/sms');
+const {customerPhoneToE164, maskPhone} = require('../../utils/phone');
+const logger = require('../../utils/logger');
+
+class SmsTransport extends BaseTransport {
+  /**
+   * Template variables for a notification
+   * Recovery notifications carry them in metadata (copied from the FollowUpTask)
+   *
+   * @param {Object} notification - Notification object
+   * @param {Object} customer - Customer object
+   * @returns {Object} {customerName, amount, statementUrl}
+   */
+  _getTemplateVariables(notification, customer) {
+    const metadata = notification.metadata || {};
+
+    return {
+      customerName: metadata.customerName || customer?.name,
+      amount: metadata.outstandingAmount,
+      statementUrl: metadata.statementUrl,
+    };
+  }
+
+  /**
+   * Send notification as a DLT template SMS
+   *
+   * @param {Object} params
+   * @param {Object} params.notification - Notification object
+   * @param {Object} params.attempt - NotificationAttempt object
+   * @param {Object} params.user - User object
+   * @param {Object} params.customer - Customer object (recipient)
+   * @param {Date} [params.now] - Current time (for quiet-hours checks)
+   * @returns {Promise<Object>} { ok: true, providerMessageId }
+   */
+  async send({notification, attempt, user, customer, now = new Date()}) {
+    const phoneE164 = customerPhoneToE164(customer?.phone);
+
+    if (!phoneE164) {
+      const error = new Error('Customer has no valid mobile number');
+      error.code = 'INVALID_RECIPIENT';
+      error.retryable = false;
+      throw error;
+    }
+
+    const templateKey = notification.metadata?.templateKey;
+
+    let template;
+    let variables;
+    try {
+      template = getDltTemplate(templateKey, notification.metadata?.language);
+      variables = buildDltVariables(template, this._getTemplateVariables(notification, customer));
+    } catch (error) {
+      // Unregistered/invalid templates are a configuration problem: surface loudly
+      logger.error('[SmsTransport] Template not sendable', {
+        notificationId: notification._id,
+        userId: user?._id,
+        templateKey,
+        code: error.code,
+        error: error.message,
+      });
+      throw error;
+    }
+
+    const retryAt = getSmsQuietHoursDeferral(now);
+    if (retryAt) {
+      const error = new Error('SMS deferred: outside TRAI sending hours (09:00-21:00 IST)');
+      error.code = 'QUIET_HOURS';
+      error.retryable = true;
+      error.retryAt = retryAt;
+      throw error;
+    }
+
+    try {
+      const {providerMessageId} = await getSmsProvider().sendTemplateSms({phoneE164, template, variables});
+
+      logger.info('[SmsTransport] Template SMS accepted', {
+        notificationId: notification._id,
+        attemptId: attempt?._id,
+        templateKey,
+        language: template.language,
+        dltTemplateId: template.dltTemplateId,
+        senderId: template.senderId,
+        to: maskPhone(phoneE164),
+        providerMessageId,
+      });
+
+      return {
+        ok: true,
+        providerMessageId,
+      };
+    } catch (error) {
+      logger.warn('[SmsTransport] Send failed', {
+        notificationId: notification._id,
+        userId: user?._id,
+        templateKey,
+        code: error.code,
+        retryable: error.retryable,
+      });
+
+      // Re-throw to let worker handle retry logic
+      throw error;
+    }
+  }
+
+  getName() {
+    return 'SmsTransport';
+  }
+
+  async isAvailable() {
+    return isSmsConfigured();
+  }
+}
+
+module.exports = SmsTransport;
@@ -0,0 +1,101 @@
+/**
+ * WhatsApp Cloud API Transport
+ *
+ * Sends customer-facing notifications (recovery reminders) as approved
+ * WhatsApp templates. Delivery/read receipts arrive later via the
+ * /webhooks/whatsapp status webhook (see whatsappStatus.service).
+ */
+const BaseTransport = require('./BaseTransport');
+const {buildTemplatePayload, selectTemplateLanguage} = require('../whatsapp/templates');
+const {sendTemplateMessage} = require('../whatsapp/whatsappCloudClient');
+const {getWhatsAppConfig, isWhatsAppConfigured} = require('../../config/whatsapp');
+const {customerPhoneToE164, maskPhone} = require('../../utils/phone');
+const logger = require('../../utils/logger');
+
+class WhatsAppCloudTransport extends BaseTransport {
+  /**
+   * Template variables for a notification
+   * Recovery notifications carry them in metadata (copied from the FollowUpTask)
+   *
+   * @param {Object} notification - Notification object
+   * @param {Object} customer - Customer object
+   * @returns {Object} {customerName, amount, statementUrl}
+   */
+  _getTemplateVariables(notification, customer) {
+    const metadata = notification.metadata || {};
+
+    return {
+      customerName: metadata.customerName || customer?.name,
+      amount: metadata.outstandingAmount,
+      statementUrl: metadata.statementUrl,
+    };
+  }
+
+  /**
+   * Send notification as a WhatsApp template message
+   *
+   * @param {Object} params
+   * @param {Object} params.notification - Notification object
+   * @param {Object} params.attempt - NotificationAttempt object
+   * @param {Object} params.user - User object
+   * @param {Object} params.customer - Customer object (recipient)
+   * @returns {Promise<Object>} { ok: true, providerMessageId }
+   */
+  async send({notification, attempt, user, customer}) {
+    const to = customerPhoneToE164(customer?.phone);
+
+    if (!to) {
+      const error = new Error('Customer has no valid WhatsApp number');
+      error.code = 'INVALID_RECIPIENT';
+      error.retryable = false;
+      throw error;
+    }
+
+    const templateKey = notification.metadata?.templateKey;
+    const {templateLanguage, templateLanguages} = getWhatsAppConfig();
+    const template = buildTemplatePayload(
+      templateKey,
+      this._getTemplateVariables(notification, customer),
+      selectTemplateLanguage(notification.metadata?.language, templateLanguages, templateLanguage)
+    );
+
+    try {
+      const {providerMessageId} = await sendTemplateMessage({to, template});
+
+      logger.info('[WhatsAppCloudTransport] Template message accepted', {
+        notificationId: notification._id,
+        attemptId: attempt?._id,
+        templateKey,
+        to: maskPhone(to),
+        providerMessageId,
+      });
+
+      return {
+        ok: true,
+        providerMessageId,
+      };
+    } catch (error) {
+      logger.warn('[WhatsAppCloudTransport] Send failed', {
+        notificationId: notification._id,
+        userId: user?._id,
+        templateKey,
+        code: error.code,
+        providerCode: error.providerCode,
+        retryable: error.retryable,
+      });
+
+      // Re-throw to let worker handle retry logic
+      throw error;
+    }
+  }
+
+  getName() {
+    return 'WhatsAppCloudTransport';
+  }
+
+  async isAvailable() {
+    return isWhatsAppConfigured();
+  }
+}
+
+module.exports = WhatsAppCloudTransport;
@@ -5,7 +5,12 @@
  */
 const InAppTransport = require('./InAppTransport');
 const StubTransport = require('./StubTransport');
+const WhatsAppCloudTransport = require('./WhatsAppCloudTransport');
+const SmsTransport = require('./SmsTransport');
 const {isFirebaseConfigured} = require('../../config/firebase');
+const {isWhatsAppConfigured} = require('../../config/whatsapp');
+const {isSmsConfigured} = require('../../config/sms');
+const {getDltRegistrationStatus} = require('../sms/dltTemplates');
 const logger = require('../../utils/logger');
 
 // Lazy load FirebasePushTransport to avoid import errors if firebase-admin is not installed
@@ -47,6 +52,42 @@ function getPushTransport() {
   }
 }
 
+let _whatsAppTransportInstance = null;
+
+function getWhatsAppTransport() {
+  // If WhatsApp Cloud API is not configured, return StubTransport
+  if (!isWhatsAppConfigured()) {
+    return new StubTransport('WHATSAPP');
+  }
+
+  if (!_whatsAppTransportInstance) {
+    _whatsAppTransportInstance = new WhatsAppCloudTransport();
+  }
+  return _whatsAppTransportInstance;
+}
+
+let _smsTransportInstance = null;
+
+function getSmsTransport() {
+  // If no SMS provider is configured, return StubTransport
+  if (!isSmsConfigured()) {
+    return new StubTransport('SMS');
+  }
+
+  if (!_smsTransportInstance) {
+    _smsTransportInstance = new SmsTransport();
+
+    // Flag missing DLT registrations up front; sends for them fail per attempt
+    const unregistered = getDltRegistrationStatus().filter(status => !status.registered);
+    if (unregistered.length > 0) {
+      logger.error('[NotificationTransports] SMS templates without a valid DLT registration', {
+        templates: unregistered,
+      });
+    }
+  }
+  return _smsTransportInstance;
+}
+
 // Initialize transports
 const transports = {
   IN_APP: new InAppTransport(),
@@ -54,8 +95,14 @@ const transports = {
   get PUSH() {
     return getPushTransport();
   },
-  WHATSAPP: new StubTransport('WHATSAPP'),
-  SMS: new StubTransport('SMS'),
+  // WHATSAPP: Cloud API when configured (lazy evaluation)
+  get WHATSAPP() {
+    return getWhatsAppTransport();
+  },
+  // SMS: DLT template SMS via SMS_PROVIDER when configured (lazy evaluation)
+  get SMS() {
+    return getSmsTransport();
+  },
   EMAIL: new StubTransport('EMAIL'),
 };
 
@@ -83,7 +130,13 @@ function getTransport(channel) {
  * @param {BaseTransport} transport
  */
 function registerTransport(channel, transport) {
-  transports[channel] = transport;
+  // defineProperty: PUSH/WHATSAPP/SMS are getters, plain assignment would be ignored
+  Object.defineProperty(transports, channel, {
+    value: transport,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
 }
 
 module.exports = {
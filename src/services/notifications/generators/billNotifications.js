@@ -11,6 +11,7 @@ const User = require('../../../models/User');
 const {getNowIST, getStartOfDayIST, getEndOfDayIST} = require('../../../utils/timezone.util');
 const {buildNotificationPayload, computeTitleBody, ensureNotificationOnce} = require('../notificationGenerator');
 const {selectChannels} = require('../channelSelector');
+const {getBusinessLanguage} = require('../../language.service');
 const logger = require('../../../utils/logger');
 
 /**
@@ -91,6 +92,7 @@ async function generateDueTodayNotifications({settings}) {
 
         const businessId = user.businessId || userId;
         const channels = await selectChannels(userId);
+        const language = await getBusinessLanguage(businessId);
 
         for (const customerEntry of userCustomers) {
           try {
@@ -121,6 +123,7 @@ async function generateDueTodayNotifications({settings}) {
 
             // Compute title/body
             const {title, body} = computeTitleBody('DUE_TODAY', {
+              language,
               customerName: customer.name,
               amount: customerEntry.totalPending,
             });
@@ -246,6 +249,7 @@ async function generateOverdueAlertNotifications({settings}) {
 
         const businessId = user.businessId || userId;
         const channels = await selectChannels(userId);
+        const language = await getBusinessLanguage(businessId);
 
         for (const customerEntry of userCustomers) {
           try {
@@ -276,6 +280,7 @@ async function generateOverdueAlertNotifications({settings}) {
 
             // Compute title/body
             const {title, body} = computeTitleBody('OVERDUE_ALERT', {
+              language,
               customerName: customer.name,
               amount: customerEntry.totalOverdue,
             });
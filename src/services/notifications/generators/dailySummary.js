@@ -10,6 +10,7 @@ const RecoveryCase = require('../../../models/RecoveryCase');
 const {getNowIST, getStartOfDayIST, getEndOfDayIST} = require('../../../utils/timezone.util');
 const {buildNotificationPayload, computeTitleBody, ensureNotificationOnce} = require('../notificationGenerator');
 const {selectChannels} = require('../channelSelector');
+const {getBusinessLanguage} = require('../../language.service');
 const logger = require('../../../utils/logger');
 
 /**
@@ -26,8 +27,9 @@ async function generateDailySummaryNotifications({settings}) {
 
   try {
     // Get all active users (simplified - in production might filter by plan status)
+    // Business owners only: staff share the owner's business and summary
     const users = await User.find({
-      // Add any user filters if needed
+      $or: [{businessId: null}, {$expr: {$eq: ['$businessId', '$_id']}}],
     }).select('_id businessId').lean();
 
     if (users.length === 0) {
@@ -155,9 +157,14 @@ async function generateDailySummaryNotifications({settings}) {
         });
 
         // Compute title/body
-        const summary = `Overdue: ${overdueCustomers}, Due Today: ${dueTodayCustomers}, Promises: ${promisesDueToday}, Follow-ups: ${followupsDue}`;
         const {title, body} = computeTitleBody('DAILY_SUMMARY', {
-          summary,
+          language: await getBusinessLanguage(businessId),
+          counts: {
+            overdue: overdueCustomers,
+            dueToday: dueTodayCustomers,
+            promises: promisesDueToday,
+            followups: followupsDue,
+          },
         });
 
         // Get channels
@@ -9,6 +9,7 @@ const User = require('../../../models/User');
 const {getNowIST, getStartOfDayIST, getEndOfDayIST} = require('../../../utils/timezone.util');
 const {buildNotificationPayload, computeTitleBody, ensureNotificationOnce} = require('../notificationGenerator');
 const {selectChannels} = require('../channelSelector');
+const {getBusinessLanguage} = require('../../language.service');
 const logger = require('../../../utils/logger');
 
 /**
@@ -67,6 +68,7 @@ async function generateFollowupDueNotifications({settings}) {
 
         // Get channels once per user
         const channels = await selectChannels(userId);
+        const language = await getBusinessLanguage(businessId);
 
         // Process each followup
         for (const followup of userFollowups) {
@@ -99,6 +101,7 @@ async function generateFollowupDueNotifications({settings}) {
 
             // Compute title/body
             const {title, body} = computeTitleBody('FOLLOWUP_DUE', {
+              language,
               customerName: customer.name,
               amount: followup.balance,
             });
@@ -0,0 +1,83 @@
+/**
+ * LOW_STOCK Notification Generator
+ *
+ * Tells the owner an item fell to its reorder level
+ * Called from stock.service when a stock-out crosses the level
+ */
+const {buildNotificationPayload, computeTitleBody, ensureNotificationOnce} = require('../notificationGenerator');
+const {selectChannels} = require('../channelSelector');
+const {getBusinessLanguage} = require('../../language.service');
+const {getISTDateString} = require('../../../utils/istTimezone');
+const logger = require('../../../utils/logger');
+
+/**
+ * Generate LOW_STOCK notification
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID (owner)
+ * @param {Object} params.item - Item after the stock-out (name, unit, stockQty, reorderLevel)
+ * @returns {Promise<Object>} { notification, created: boolean }
+ */
+async function generateLowStockNotification({userId, item}) {
+  try {
+    // At most one alert per item per day
+    const idempotencyKey = `LOW_STOCK:${String(item._id)}:${getISTDateString()}`;
+
+    const deeplink = `ph4://item/${String(item._id)}`;
+
+    const metadata = buildNotificationPayload({
+      kind: 'LOW_STOCK',
+      entityType: 'item',
+      entityId: String(item._id),
+      customerId: null,
+      billId: null,
+      occurredAt: new Date(),
+      idempotencyKey,
+      deeplink,
+    });
+
+    const stockQty = Math.round(item.stockQty * 1000) / 1000;
+    const {title, body} = computeTitleBody('LOW_STOCK', {
+      language: await getBusinessLanguage(userId),
+      counts: {
+        itemName: item.name,
+        stockQty,
+        unit: item.unit || 'pcs',
+        reorderLevel: item.reorderLevel,
+      },
+    });
+
+    const channels = await selectChannels(userId);
+
+    return await ensureNotificationOnce({
+      userId,
+      businessId: userId,
+      idempotencyKey,
+      doc: {
+        customerId: null,
+        kind: 'LOW_STOCK',
+        title,
+        body,
+        channels,
+        metadata: {
+          ...metadata,
+          itemId: item._id,
+          stockQty,
+          reorderLevel: item.reorderLevel,
+        },
+      },
+    });
+  } catch (error) {
+    // Swallow errors - the stock is already updated
+    logger.error('[LowStock] Failed to generate notification', {
+      error: error.message,
+      userId,
+      itemId: item._id,
+    });
+    return {notification: null, created: false};
+  }
+}
+
+module.exports = {
+  generateLowStockNotification,
+};
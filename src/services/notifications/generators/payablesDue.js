@@ -0,0 +1,80 @@
+/**
+ * PAYABLES_DUE Notification Generator
+ *
+ * Reminds the owner of supplier bills overdue or falling due in the next few days
+ * Called from payables.service by the daily payables reminder cron
+ */
+const {buildNotificationPayload, computeTitleBody, ensureNotificationOnce} = require('../notificationGenerator');
+const {selectChannels} = require('../channelSelector');
+const {getBusinessLanguage} = require('../../language.service');
+const {getISTDateString} = require('../../../utils/istTimezone');
+const logger = require('../../../utils/logger');
+
+/**
+ * Generate PAYABLES_DUE notification
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID (owner)
+ * @param {number} params.dueSoon - Purchase bills due today or in the next `days` days
+ * @param {number} params.overdue - Purchase bills past their due date
+ * @param {number} params.amount - Pending on those bills
+ * @param {number} params.days - Reminder window in days
+ * @returns {Promise<Object>} { notification, created: boolean }
+ */
+async function generatePayablesDueNotification({userId, dueSoon, overdue, amount, days}) {
+  try {
+    // One reminder per business per day
+    const idempotencyKey = `PAYABLES_DUE:${String(userId)}:${getISTDateString()}`;
+
+    const deeplink = 'ph4://payables';
+
+    const metadata = buildNotificationPayload({
+      kind: 'PAYABLES_DUE',
+      entityType: 'system',
+      entityId: 'system',
+      customerId: null,
+      billId: null,
+      occurredAt: new Date(),
+      idempotencyKey,
+      deeplink,
+    });
+
+    const {title, body} = computeTitleBody('PAYABLES_DUE', {
+      language: await getBusinessLanguage(userId),
+      amount,
+      counts: {dueSoon, overdue, days},
+    });
+
+    const channels = await selectChannels(userId);
+
+    return await ensureNotificationOnce({
+      userId,
+      businessId: userId,
+      idempotencyKey,
+      doc: {
+        customerId: null,
+        kind: 'PAYABLES_DUE',
+        title,
+        body,
+        channels,
+        metadata: {
+          ...metadata,
+          dueSoon,
+          overdue,
+          amount,
+        },
+      },
+    });
+  } catch (error) {
+    // Swallow errors - one business must not stop the others' reminders
+    logger.error('[PayablesDue] Failed to generate notification', {
+      error: error.message,
+      userId,
+    });
+    return {notification: null, created: false};
+  }
+}
+
+module.exports = {
+  generatePayablesDueNotification,
+};
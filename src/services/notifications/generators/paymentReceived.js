@@ -10,6 +10,7 @@ const User = require('../../../models/User');
 const {getNowIST} = require('../../../utils/timezone.util');
 const {buildNotificationPayload, computeTitleBody, ensureNotificationOnce} = require('../notificationGenerator');
 const {selectChannels} = require('../channelSelector');
+const {getBusinessLanguage} = require('../../language.service');
 const logger = require('../../../utils/logger');
 
 /**
@@ -69,6 +70,7 @@ async function generatePaymentReceivedNotification({billId, userId}) {
 
     // Compute title/body
     const {title, body} = computeTitleBody('PAYMENT_RECEIVED', {
+      language: await getBusinessLanguage(businessId),
       billNo: bill.billNo,
       amount: bill.paidAmount || bill.grandTotal,
     });
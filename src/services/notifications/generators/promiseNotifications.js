@@ -11,6 +11,7 @@ const User = require('../../../models/User');
 const {getNowIST, getStartOfDayIST, getEndOfDayIST} = require('../../../utils/timezone.util');
 const {buildNotificationPayload, computeTitleBody, ensureNotificationOnce} = require('../notificationGenerator');
 const {selectChannels} = require('../channelSelector');
+const {getBusinessLanguage} = require('../../language.service');
 const logger = require('../../../utils/logger');
 
 /**
@@ -65,6 +66,7 @@ async function generatePromiseDueTodayNotifications({settings}) {
 
         const businessId = user.businessId || userId;
         const channels = await selectChannels(userId);
+        const language = await getBusinessLanguage(businessId);
 
         for (const recoveryCase of userCases) {
           try {
@@ -96,6 +98,7 @@ async function generatePromiseDueTodayNotifications({settings}) {
 
             // Compute title/body
             const {title, body} = computeTitleBody('PROMISE_DUE_TODAY', {
+              language,
               customerName: customer.name,
               amount: recoveryCase.promiseAmount || recoveryCase.outstandingSnapshot,
             });
@@ -197,6 +200,7 @@ async function generatePromiseBrokenNotifications({settings}) {
 
         const businessId = user.businessId || userId;
         const channels = await selectChannels(userId);
+        const language = await getBusinessLanguage(businessId);
 
         for (const recoveryCase of userCases) {
           try {
@@ -228,6 +232,7 @@ async function generatePromiseBrokenNotifications({settings}) {
 
             // Compute title/body
             const {title, body} = computeTitleBody('PROMISE_BROKEN', {
+              language,
               customerName: customer.name,
               amount: recoveryCase.promiseAmount || recoveryCase.outstandingSnapshot,
             });
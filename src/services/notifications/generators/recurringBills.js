@@ -0,0 +1,80 @@
+/**
+ * RECURRING_BILLS_GENERATED Notification Generator
+ *
+ * Tells the owner what the daily recurring bill run created
+ * Called from recurringBill.service after each business is billed
+ */
+const {buildNotificationPayload, computeTitleBody, ensureNotificationOnce} = require('../notificationGenerator');
+const {selectChannels} = require('../channelSelector');
+const {getBusinessLanguage} = require('../../language.service');
+const logger = require('../../../utils/logger');
+
+/**
+ * Generate RECURRING_BILLS_GENERATED notification
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID (owner)
+ * @param {Date} params.date - Day of the run
+ * @param {number} params.generated - Bills created
+ * @param {number} params.amount - Total of the bills created
+ * @param {number} params.notGenerated - Occurrences blocked (credit limit) or failed
+ * @returns {Promise<Object>} { notification, created: boolean }
+ */
+async function generateRecurringBillsNotification({userId, date, generated, amount, notGenerated}) {
+  try {
+    // One summary per business per day
+    const dateStr = date.toISOString().substring(0, 10); // YYYY-MM-DD
+    const idempotencyKey = `RECURRING_BILLS_GENERATED:${String(userId)}:${dateStr}`;
+
+    const deeplink = 'ph4://recurring-bills';
+
+    const metadata = buildNotificationPayload({
+      kind: 'RECURRING_BILLS_GENERATED',
+      entityType: 'system',
+      entityId: 'system',
+      customerId: null,
+      billId: null,
+      occurredAt: new Date(),
+      idempotencyKey,
+      deeplink,
+    });
+
+    const {title, body} = computeTitleBody('RECURRING_BILLS_GENERATED', {
+      language: await getBusinessLanguage(userId),
+      amount,
+      counts: {generated, notGenerated},
+    });
+
+    const channels = await selectChannels(userId);
+
+    return await ensureNotificationOnce({
+      userId,
+      businessId: userId,
+      idempotencyKey,
+      doc: {
+        customerId: null,
+        kind: 'RECURRING_BILLS_GENERATED',
+        title,
+        body,
+        channels,
+        metadata: {
+          ...metadata,
+          generated,
+          amount,
+          notGenerated,
+        },
+      },
+    });
+  } catch (error) {
+    // Swallow errors - the bills are already created
+    logger.error('[RecurringBills] Failed to generate notification', {
+      error: error.message,
+      userId,
+    });
+    return {notification: null, created: false};
+  }
+}
+
+module.exports = {
+  generateRecurringBillsNotification,
+};
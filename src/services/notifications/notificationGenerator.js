@@ -6,6 +6,7 @@
  */
 const Notification = require('../../models/Notification');
 const {createNotification} = require('../notificationService');
+const {CATALOGS, DEFAULT_LANGUAGE, resolveLanguage, translate} = require('../i18n');
 const logger = require('../../utils/logger');
 
 /**
@@ -13,7 +14,7 @@ const logger = require('../../utils/logger');
  * 
  * @param {Object} params
  * @param {string} params.kind - Notification kind
- * @param {string} params.entityType - customer|bill|device|system
+ * @param {string} params.entityType - customer|bill|device|item|system
  * @param {string} params.entityId - Primary entity ID
  * @param {string|null} params.customerId - Customer ID if applicable
  * @param {string|null} params.billId - Bill ID if applicable
@@ -46,13 +47,17 @@ function buildNotificationPayload({
 
 /**
  * Compute title and body from notification kind and context
+ * Text comes from the i18n catalog (notifications.<kind>) in context.language,
+ * falling back along the language chain to English.
  * 
  * @param {string} kind - Notification kind
- * @param {Object} context - Context object (customer, bill, etc.)
+ * @param {Object} context - Context object (customer, bill, language, counts, etc.)
  * @returns {Object} { title, body }
  */
 function computeTitleBody(kind, context = {}) {
-  const customerName = context.customerName || context.customer?.name || 'Customer';
+  const language = resolveLanguage(context.language);
+  const customerName = context.customerName || context.customer?.name ||
+    translate('common.customer', {}, language);
   const billNo = context.billNo || context.bill?.billNo || '';
   const amount = context.amount || context.bill?.grandTotal || 0;
   
@@ -66,41 +71,20 @@ function computeTitleBody(kind, context = {}) {
     }).format(amt);
   };
 
-  const titleMap = {
-    OVERDUE_ALERT: `Overdue: ${customerName}`,
-    DUE_TODAY: `Due Today: ${customerName}`,
-    PROMISE_DUE_TODAY: `Promise Due Today: ${customerName}`,
-    PROMISE_BROKEN: `Broken Promise: ${customerName}`,
-    FOLLOWUP_DUE: `Follow-up Due: ${customerName}`,
-    PAYMENT_RECEIVED: `Payment Received: ${billNo}`,
-    DEVICE_APPROVAL_REQUIRED: 'Device Approval Required',
-    DAILY_SUMMARY: 'Daily Summary',
-    CREDIT_LIMIT_WARN: `Credit Limit Warning: ${customerName}`,
-    // Legacy support
-    OVERDUE: `Overdue: ${customerName}`,
-    PROMISE_REMINDER: `Promise Reminder: ${customerName}`,
-    FOLLOWUP: `Follow-up: ${customerName}`,
-  };
+  const entry = CATALOGS[DEFAULT_LANGUAGE].notifications[kind] ? kind : 'DEFAULT';
+  const values = {customerName, billNo, amount: formatAmount(amount), ...context.counts};
 
-  const bodyMap = {
-    OVERDUE_ALERT: `${customerName} has overdue payments. Total: ${formatAmount(amount)}`,
-    DUE_TODAY: `${customerName} has payments due today. Amount: ${formatAmount(amount)}`,
-    PROMISE_DUE_TODAY: `${customerName}'s payment promise is due today. Amount: ${formatAmount(amount)}`,
-    PROMISE_BROKEN: `${customerName} broke their payment promise. Amount: ${formatAmount(amount)}`,
-    FOLLOWUP_DUE: `Follow-up reminder for ${customerName}. Amount due: ${formatAmount(amount)}`,
-    PAYMENT_RECEIVED: `Payment of ${formatAmount(amount)} received for bill ${billNo}`,
-    DEVICE_APPROVAL_REQUIRED: 'A new device is requesting access to your account',
-    DAILY_SUMMARY: context.summary || 'Your daily business summary is ready',
-    CREDIT_LIMIT_WARN: `${customerName} is approaching credit limit. Outstanding: ${formatAmount(amount)}`,
-    // Legacy support
-    OVERDUE: `${customerName} has overdue payments. Amount: ${formatAmount(amount)}`,
-    PROMISE_REMINDER: `${customerName}'s payment promise is due. Amount: ${formatAmount(amount)}`,
-    FOLLOWUP: `Follow-up reminder for ${customerName}. Amount: ${formatAmount(amount)}`,
-  };
+  let body;
+  if (entry === 'DAILY_SUMMARY' && !context.counts) {
+    // Legacy callers pass a prebuilt summary string
+    body = context.summary || translate('notifications.DAILY_SUMMARY.bodyDefault', {}, language);
+  } else {
+    body = translate(`notifications.${entry}.body`, values, language);
+  }
 
   return {
-    title: titleMap[kind] || 'Notification',
-    body: bodyMap[kind] || 'You have a new notification',
+    title: translate(`notifications.${entry}.title`, values, language),
+    body,
   };
 }
 
@@ -0,0 +1,277 @@
+/**
+ * Number Series Service
+ *
+ * Document numbers for invoices (bills), receipts and credit notes:
+ * - Atomic counter per business/series/period (DocumentCounter, $inc): no two
+ *   requests get the same number and deleted documents never free a number
+ * - Configurable prefix, suffix and zero padding per series (BusinessSettings.numberSeries)
+ * - Optional restart every financial year (BusinessSettings.financialYearStartMonth);
+ *   {FY} in the prefix/suffix keeps yearly numbers unique (e.g. INV/2026-27/001)
+ * - Starting number can be set once per period when moving from paper books
+ *
+ * The first time a series is used its counter is seeded from the highest number
+ * already issued in that format, so existing businesses continue where they were.
+ */
+const Bill = require('../models/Bill');
+const BusinessSettings = require('../models/BusinessSettings');
+const CreditNote = require('../models/CreditNote');
+const CustomerPayment = require('../models/CustomerPayment');
+const DocumentCounter = require('../models/DocumentCounter');
+const AppError = require('../utils/AppError');
+const {IST_OFFSET_MS} = require('../utils/timezone.util');
+
+const SERIES_TYPES = ['invoice', 'receipt', 'creditNote'];
+
+const FY_TOKEN = '{FY}';
+
+// GST invoices and other tax documents allow at most 16 characters
+const MAX_DOCUMENT_NUMBER_LENGTH = 16;
+
+const DEFAULT_SERIES = {
+  invoice: {prefix: 'BILL-', suffix: '', padding: 3, resetYearly: false},
+  receipt: {prefix: `RCPT/${FY_TOKEN}/`, suffix: '', padding: 3, resetYearly: true},
+  creditNote: {prefix: `CN/${FY_TOKEN}/`, suffix: '', padding: 3, resetYearly: true},
+};
+
+// Where each series' numbers are stored (used to seed a new counter)
+const SERIES_SOURCES = {
+  invoice: {model: Bill, field: 'billNo'},
+  receipt: {model: CustomerPayment, field: 'receiptNo'},
+  creditNote: {model: CreditNote, field: 'creditNoteNo'},
+};
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Financial year label for a date (IST): "2026-27", or "2026" when the year starts in January
+ *
+ * @param {Date} date
+ * @param {number} [startMonth=4] - First month of the financial year (1-12)
+ * @returns {string}
+ */
+function getFinancialYearLabel(date = new Date(), startMonth = 4) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const month = ist.getUTCMonth() + 1;
+  const startYear = month >= startMonth ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+
+  if (startMonth === 1) {
+    return String(startYear);
+  }
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Effective series format (stored settings over defaults)
+ *
+ * @param {Object} settings - BusinessSettings (may be null)
+ * @param {string} series - invoice | receipt | creditNote
+ * @returns {Object} {prefix, suffix, padding, resetYearly}
+ */
+function getSeriesConfig(settings, series) {
+  const stored = settings?.numberSeries?.[series] || {};
+  const defaults = DEFAULT_SERIES[series];
+
+  return Object.fromEntries(Object.keys(defaults).map(key => [
+    key,
+    stored[key] === null || stored[key] === undefined ? defaults[key] : stored[key],
+  ]));
+}
+
+/**
+ * Render a document number, e.g. ({prefix: 'INV/{FY}/', padding: 4}, 7, '2026-27') -> INV/2026-27/0007
+ */
+function formatDocumentNumber(config, number, financialYear) {
+  const prefix = config.prefix.split(FY_TOKEN).join(financialYear);
+  const suffix = config.suffix.split(FY_TOKEN).join(financialYear);
+  return `${prefix}${String(number).padStart(config.padding, '0')}${suffix}`;
+}
+
+/**
+ * Check a series format before saving it
+ *
+ * @throws {AppError} SERIES_FY_TOKEN_REQUIRED, SERIES_FORMAT_TOO_LONG
+ */
+function validateSeriesConfig(config, financialYear = getFinancialYearLabel()) {
+  if (config.resetYearly && !`${config.prefix}${config.suffix}`.includes(FY_TOKEN)) {
+    throw new AppError(
+      `Add ${FY_TOKEN} to the prefix or suffix so numbers restarting each financial year stay unique`,
+      400,
+      'SERIES_FY_TOKEN_REQUIRED'
+    );
+  }
+
+  const longest = formatDocumentNumber(config, '9'.repeat(config.padding), financialYear);
+  if (longest.length > MAX_DOCUMENT_NUMBER_LENGTH) {
+    throw new AppError(
+      `Document numbers can be at most ${MAX_DOCUMENT_NUMBER_LENGTH} characters (${longest} is too long)`,
+      400,
+      'SERIES_FORMAT_TOO_LONG'
+    );
+  }
+}
+
+/**
+ * Highest number already issued in this format (0 if none)
+ */
+async function findHighestIssuedNumber(userId, series, config, financialYear) {
+  const source = SERIES_SOURCES[series];
+  if (!source) {
+    return 0;
+  }
+
+  const [prefix, suffix] = [config.prefix, config.suffix]
+    .map(part => escapeRegex(part.split(FY_TOKEN).join(financialYear)));
+  // Up to 9 digits (max padding): ignores legacy timestamp-style numbers
+  const pattern = new RegExp(`^${prefix}(\\d{1,9})${suffix}$`);
+
+  const documents = await source.model.find({userId, [source.field]: {$regex: pattern}})
+    .select(source.field)
+    .lean();
+
+  return documents.reduce((highest, doc) => {
+    const match = pattern.exec(doc[source.field]);
+    const number = match ? parseInt(match[1], 10) : 0;
+    return number > highest ? number : highest;
+  }, 0);
+}
+
+/**
+ * Resolve the series format and counter key for a date
+ */
+async function resolveSeries(userId, series, date) {
+  if (!SERIES_TYPES.includes(series)) {
+    throw new AppError(`Unknown number series: ${series}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const settings = await BusinessSettings.findOne({userId})
+    .select('numberSeries financialYearStartMonth')
+    .lean();
+  const config = getSeriesConfig(settings, series);
+  const financialYear = getFinancialYearLabel(date, settings?.financialYearStartMonth || 4);
+
+  return {
+    config,
+    financialYear,
+    period: config.resetYearly ? financialYear : 'ALL',
+  };
+}
+
+/**
+ * Create the counter for a period if missing (seeded from existing documents)
+ */
+async function ensureCounter(userId, series, {config, financialYear, period}) {
+  const existing = await DocumentCounter.findOne({userId, series, period}).lean();
+  if (existing) {
+    return;
+  }
+
+  const seed = await findHighestIssuedNumber(userId, series, config, financialYear);
+  try {
+    await DocumentCounter.updateOne(
+      {userId, series, period},
+      {$setOnInsert: {lastNumber: seed}},
+      {upsert: true}
+    );
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Issue the next number in a series
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.series - invoice | receipt | creditNote
+ * @param {Date} [params.date] - Document date (selects the financial year)
+ * @returns {Promise<Object>} {documentNo, number, period, financialYear}
+ */
+async function nextDocumentNumber({userId, series, date = new Date()}) {
+  const resolved = await resolveSeries(userId, series, date);
+  await ensureCounter(userId, series, resolved);
+
+  const counter = await DocumentCounter.findOneAndUpdate(
+    {userId, series, period: resolved.period},
+    {$inc: {lastNumber: 1}},
+    {new: true}
+  );
+
+  return {
+    documentNo: formatDocumentNumber(resolved.config, counter.lastNumber, resolved.financialYear),
+    number: counter.lastNumber,
+    period: resolved.period,
+    financialYear: resolved.financialYear,
+  };
+}
+
+/**
+ * Current state of a series (no number is issued)
+ *
+ * @returns {Promise<Object>} {...config, period, financialYear, lastNumber, nextDocumentNo}
+ */
+async function describeSeries({userId, series, date = new Date()}) {
+  const resolved = await resolveSeries(userId, series, date);
+  const counter = await DocumentCounter.findOne({userId, series, period: resolved.period}).lean();
+  const lastNumber = counter
+    ? counter.lastNumber
+    : await findHighestIssuedNumber(userId, series, resolved.config, resolved.financialYear);
+
+  return {
+    ...resolved.config,
+    period: resolved.period,
+    financialYear: resolved.financialYear,
+    lastNumber,
+    nextDocumentNo: formatDocumentNumber(resolved.config, lastNumber + 1, resolved.financialYear),
+  };
+}
+
+/**
+ * Continue a series from a given number (e.g. the next page of a paper bill book)
+ *
+ * Only moves forward: numbers already issued in the period are never reissued.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.series - invoice | receipt | creditNote
+ * @param {number} params.startNumber - Next number to issue
+ * @param {Date} [params.date] - Selects the financial year
+ * @returns {Promise<Object>} describeSeries() result
+ * @throws {AppError} SERIES_NUMBER_IN_USE
+ */
+async function setStartingNumber({userId, series, startNumber, date = new Date()}) {
+  const resolved = await resolveSeries(userId, series, date);
+  await ensureCounter(userId, series, resolved);
+
+  const updated = await DocumentCounter.findOneAndUpdate(
+    {userId, series, period: resolved.period, lastNumber: {$lt: startNumber}},
+    {$set: {lastNumber: startNumber - 1}},
+    {new: true}
+  );
+
+  if (!updated) {
+    const counter = await DocumentCounter.findOne({userId, series, period: resolved.period}).lean();
+    throw new AppError(
+      `Numbers up to ${counter ? counter.lastNumber : startNumber} are already issued in this series`,
+      409,
+      'SERIES_NUMBER_IN_USE'
+    );
+  }
+
+  return describeSeries({userId, series, date});
+}
+
+module.exports = {
+  SERIES_TYPES,
+  DEFAULT_SERIES,
+  FY_TOKEN,
+  getFinancialYearLabel,
+  getSeriesConfig,
+  formatDocumentNumber,
+  validateSeriesConfig,
+  nextDocumentNumber,
+  describeSeries,
+  setStartingNumber,
+};
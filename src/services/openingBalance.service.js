@@ -0,0 +1,228 @@
+/**
+ * Opening Balance Service
+ *
+ * Balance a customer owed before the business started using the app
+ * (entered by hand or brought in by a customer import). It is kept as the
+ * customer's single `opening` ledger credit with the date it was owed as of.
+ *
+ * Payments are allocated to bills only, so the part of the opening balance
+ * still unpaid is what the customer owes beyond their open bills (capped at
+ * the opening amount). Aging, interest and statements treat that part as a
+ * receivable due on the as-of date.
+ */
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {atomicReleaseCredit} = require('./creditControlAtomic.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Opening balances entered without a date run from when they were entered
+const asOfDateOf = opening => opening.asOfDate || opening.metadata?.asOfDate || opening.createdAt;
+
+/**
+ * Unpaid part of an opening balance
+ *
+ * @param {Object} opening - Opening ledger credit
+ * @param {Object} customer - Customer (creditOutstanding, advanceBalance)
+ * @param {Number} billsDue - Still due on the customer's open bills
+ * @returns {Number}
+ */
+function computeOpeningPending(opening, customer, billsDue) {
+  const balance = (customer.creditOutstanding || 0) - (customer.advanceBalance || 0);
+  return round2(Math.min(opening.amount, Math.max(0, balance - billsDue)));
+}
+
+/**
+ * Still due on open bills, per customer
+ *
+ * @returns {Promise<Map>} customerId -> amount due
+ */
+async function loadBillsDue(userId, customerIds) {
+  const bills = await Bill.find({
+    userId,
+    customerId: {$in: customerIds},
+    isDeleted: {$ne: true},
+    status: {$in: ['unpaid', 'partial']},
+  })
+    .select('customerId grandTotal paidAmount')
+    .lean();
+
+  const due = new Map();
+  for (const bill of bills) {
+    const key = String(bill.customerId);
+    due.set(key, round2((due.get(key) || 0) + Math.max(0, bill.grandTotal - (bill.paidAmount || 0))));
+  }
+  return due;
+}
+
+/**
+ * Unpaid opening balances as bill-like receivables
+ *
+ * Shaped like a bill populated with its customer (billNo, dueDate,
+ * grandTotal, paidAmount, customerId) so aging and interest can take
+ * them alongside bills.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Business id
+ * @param {string} [params.customerId] - Only this customer
+ * @returns {Promise<Array>}
+ */
+async function listOpeningReceivables({userId, customerId}) {
+  const filter = {userId, source: 'opening', amount: {$gt: 0}};
+  if (customerId) {
+    filter.customerId = customerId;
+  }
+
+  const openings = await LedgerTransaction.find(filter)
+    .populate('customerId', 'name phone isDeleted creditOutstanding advanceBalance')
+    .lean();
+
+  const live = openings.filter(opening => opening.customerId && !opening.customerId.isDeleted);
+  if (live.length === 0) {
+    return [];
+  }
+
+  const billsDue = await loadBillsDue(userId, live.map(opening => opening.customerId._id));
+
+  const receivables = [];
+  for (const opening of live) {
+    const customer = opening.customerId;
+    const pending = computeOpeningPending(opening, customer, billsDue.get(String(customer._id)) || 0);
+    if (pending <= 0) continue;
+
+    receivables.push({
+      _id: opening._id,
+      billNo: 'Opening balance',
+      isOpeningBalance: true,
+      customerId: customer,
+      dueDate: asOfDateOf(opening),
+      grandTotal: pending,
+      paidAmount: 0,
+    });
+  }
+  return receivables;
+}
+
+/**
+ * Opening balance of a customer with the part still unpaid
+ *
+ * @returns {Promise<Object|null>} {transaction, amount, asOfDate, note, pending, paid} or null
+ */
+async function getOpeningBalance({userId, customerId}) {
+  const customer = await Customer.findOne({_id: customerId, userId, isDeleted: {$ne: true}}).lean();
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  const opening = await LedgerTransaction.findOne({userId, customerId, source: 'opening'}).lean();
+  if (!opening) {
+    return null;
+  }
+
+  const billsDue = await loadBillsDue(userId, [customer._id]);
+  const pending = computeOpeningPending(opening, customer, billsDue.get(String(customer._id)) || 0);
+
+  return {
+    transaction: opening,
+    amount: opening.amount,
+    asOfDate: asOfDateOf(opening),
+    note: opening.note,
+    pending,
+    paid: round2(opening.amount - pending),
+  };
+}
+
+/**
+ * Set a customer's opening balance (creates it, or changes the existing one)
+ *
+ * The customer's outstanding moves by the change in amount. The amount
+ * can't go below the part already paid; 0 clears an unpaid opening balance.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Business id
+ * @param {string} params.customerId - Customer id
+ * @param {Number} params.amount - Opening balance
+ * @param {Date} params.asOfDate - Date the balance was owed as of
+ * @param {string} [params.note]
+ * @param {string} [params.requestId]
+ * @returns {Promise<Object>} {before, transaction, created}
+ */
+async function setOpeningBalance({userId, customerId, amount, asOfDate, note, requestId}) {
+  const current = await getOpeningBalance({userId, customerId});
+
+  if (!current) {
+    if (amount <= 0) {
+      throw new AppError('Opening balance must be more than 0', 400, 'VALIDATION_ERROR');
+    }
+
+    let transaction;
+    try {
+      transaction = await LedgerTransaction.create({
+        userId,
+        customerId,
+        type: 'credit',
+        amount,
+        note: note || 'Opening balance',
+        source: 'opening',
+        asOfDate,
+        metadata: {source: 'opening', asOfDate},
+        idempotencyKey: `opening_${customerId}`,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('Customer already has an opening balance', 409, 'OPENING_BALANCE_EXISTS');
+      }
+      throw error;
+    }
+
+    // Owed before the credit limit applied: not checked against it
+    await Customer.updateOne({_id: customerId, userId}, {$inc: {creditOutstanding: amount}});
+
+    logger.info('[OpeningBalance] Set', {userId, customerId, amount, requestId});
+    return {before: null, transaction, created: true};
+  }
+
+  if (amount < current.paid) {
+    throw new AppError(
+      `Opening balance can't be less than the ₹${current.paid} already paid against it`,
+      409,
+      'OPENING_BALANCE_BELOW_PAID',
+    );
+  }
+
+  const before = current.transaction;
+  const update = {amount, asOfDate, 'metadata.source': 'opening', 'metadata.asOfDate': asOfDate};
+  if (note !== undefined) {
+    update.note = note || 'Opening balance';
+  }
+
+  // Guard on the amount read above so concurrent edits can't both move the outstanding
+  const transaction = await LedgerTransaction.findOneAndUpdate(
+    {_id: before._id, userId, amount: before.amount},
+    {$set: update},
+    {new: true},
+  );
+  if (!transaction) {
+    throw new AppError('Opening balance was changed meanwhile, please retry', 409, 'CONFLICT');
+  }
+
+  const delta = round2(amount - before.amount);
+  if (delta > 0) {
+    await Customer.updateOne({_id: customerId, userId}, {$inc: {creditOutstanding: delta}});
+  } else if (delta < 0) {
+    await atomicReleaseCredit({userId, customerId, delta: -delta, reason: 'OPENING_BALANCE_REDUCED', requestId});
+  }
+
+  logger.info('[OpeningBalance] Updated', {userId, customerId, from: before.amount, to: amount, requestId});
+  return {before, transaction, created: false};
+}
+
+module.exports = {
+  computeOpeningPending,
+  listOpeningReceivables,
+  getOpeningBalance,
+  setOpeningBalance,
+};
@@ -0,0 +1,187 @@
+/**
+ * Payables Service
+ *
+ * What the business owes its suppliers, from open purchase bills:
+ * - Aging by days past due (same buckets as receivables aging)
+ * - Totals for the Today summary (payable, overdue, due today)
+ * - Daily due-date reminders to the owner (PAYABLES_DUE)
+ *
+ * TIMEZONE: day boundaries and days past due use Asia/Kolkata (IST)
+ */
+const PurchaseBill = require('../models/PurchaseBill');
+const {getStartOfDayIST, getEndOfDayIST, getDaysOverdueIST} = require('../utils/timezone.util');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purchase bills falling due within this many days are included in reminders
+const PAYABLES_REMINDER_DAYS = 3;
+
+const OPEN_STATUSES = ['unpaid', 'partial'];
+
+const pendingOf = bill => round2(bill.grandTotal - (bill.paidAmount || 0));
+
+const emptyBuckets = () => ({notDue: 0, b0_7: 0, b8_15: 0, b16_30: 0, b31_60: 0, b60p: 0});
+
+/**
+ * Aging bucket of a purchase bill (notDue when not past due or without due date)
+ */
+function agingBucket(dueDate) {
+  const daysPastDue = dueDate ? getDaysOverdueIST(dueDate) : 0;
+  if (daysPastDue === 0) return 'notDue';
+  if (daysPastDue <= 7) return 'b0_7';
+  if (daysPastDue <= 15) return 'b8_15';
+  if (daysPastDue <= 30) return 'b16_30';
+  if (daysPastDue <= 60) return 'b31_60';
+  return 'b60p';
+}
+
+/**
+ * Payables aging: what is owed per supplier by days past due
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @returns {Promise<Object>} {asOf, suppliers, totals}
+ */
+async function buildPayablesAging({userId}) {
+  const bills = await PurchaseBill.find({userId, isDeleted: false, status: {$in: OPEN_STATUSES}})
+    .select('supplierId billNo grandTotal paidAmount dueDate')
+    .populate('supplierId', 'name phone')
+    .lean();
+
+  const bySupplier = new Map();
+  const totals = {...emptyBuckets(), totalPayable: 0, totalOverdue: 0};
+
+  for (const bill of bills) {
+    const pending = pendingOf(bill);
+    if (pending <= 0 || !bill.supplierId) continue;
+
+    const supplierId = String(bill.supplierId._id);
+    if (!bySupplier.has(supplierId)) {
+      bySupplier.set(supplierId, {
+        supplierId: bill.supplierId._id,
+        supplierName: bill.supplierId.name,
+        phone: bill.supplierId.phone || null,
+        ...emptyBuckets(),
+        totalPayable: 0,
+        totalOverdue: 0,
+        openBills: 0,
+      });
+    }
+
+    const row = bySupplier.get(supplierId);
+    const bucket = agingBucket(bill.dueDate);
+    row[bucket] = round2(row[bucket] + pending);
+    row.totalPayable = round2(row.totalPayable + pending);
+    row.openBills += 1;
+    totals[bucket] = round2(totals[bucket] + pending);
+    totals.totalPayable = round2(totals.totalPayable + pending);
+    if (bucket !== 'notDue') {
+      row.totalOverdue = round2(row.totalOverdue + pending);
+      totals.totalOverdue = round2(totals.totalOverdue + pending);
+    }
+  }
+
+  const suppliers = [...bySupplier.values()].sort((a, b) =>
+    b.totalOverdue - a.totalOverdue || b.totalPayable - a.totalPayable);
+
+  return {asOf: new Date(), suppliers, totals};
+}
+
+/**
+ * Payables totals for the Today summary
+ *
+ * @param {string} userId - Business ID
+ * @param {Date} todayStartIST - Start of the day (IST)
+ * @param {Date} todayEndIST - End of the day (IST)
+ * @returns {Promise<Object>} {totalPayable, overduePayable, dueTodayPayable, overdueBills, dueTodayBills}
+ */
+async function computePayablesSummary(userId, todayStartIST, todayEndIST) {
+  const bills = await PurchaseBill.find({userId, isDeleted: false, status: {$in: OPEN_STATUSES}})
+    .select('grandTotal paidAmount dueDate')
+    .lean();
+
+  const summary = {totalPayable: 0, overduePayable: 0, dueTodayPayable: 0, overdueBills: 0, dueTodayBills: 0};
+
+  for (const bill of bills) {
+    const pending = pendingOf(bill);
+    if (pending <= 0) continue;
+
+    summary.totalPayable = round2(summary.totalPayable + pending);
+    if (!bill.dueDate) continue;
+
+    const dueDate = new Date(bill.dueDate);
+    if (dueDate < todayStartIST) {
+      summary.overduePayable = round2(summary.overduePayable + pending);
+      summary.overdueBills += 1;
+    } else if (dueDate <= todayEndIST) {
+      summary.dueTodayPayable = round2(summary.dueTodayPayable + pending);
+      summary.dueTodayBills += 1;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Remind owners of purchase bills overdue or falling due in the next few days
+ * (one PAYABLES_DUE notification per business per day)
+ *
+ * @param {Object} [params]
+ * @param {Date} [params.now] - Run time (defaults to now)
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {businesses, notified}
+ */
+async function runPayablesDueReminders({now = new Date(), requestId} = {}) {
+  const todayStartIST = getStartOfDayIST(now);
+  const cutoff = new Date(getEndOfDayIST(now).getTime() + PAYABLES_REMINDER_DAYS * DAY_MS);
+
+  const bills = await PurchaseBill.find({
+    isDeleted: false,
+    status: {$in: OPEN_STATUSES},
+    dueDate: {$ne: null, $lte: cutoff},
+  })
+    .select('userId grandTotal paidAmount dueDate')
+    .lean();
+
+  const byBusiness = new Map();
+  for (const bill of bills) {
+    const pending = pendingOf(bill);
+    if (pending <= 0) continue;
+
+    const userId = String(bill.userId);
+    const totals = byBusiness.get(userId) || {dueSoon: 0, overdue: 0, amount: 0};
+    if (new Date(bill.dueDate) < todayStartIST) {
+      totals.overdue += 1;
+    } else {
+      totals.dueSoon += 1;
+    }
+    totals.amount = round2(totals.amount + pending);
+    byBusiness.set(userId, totals);
+  }
+
+  const {generatePayablesDueNotification} = require('./notifications/generators/payablesDue');
+
+  let notified = 0;
+  for (const [userId, totals] of byBusiness) {
+    const {created} = await generatePayablesDueNotification({
+      userId,
+      days: PAYABLES_REMINDER_DAYS,
+      ...totals,
+    });
+    if (created) notified += 1;
+  }
+
+  logger.info('[Payables] Due reminders run', {businesses: byBusiness.size, notified, requestId});
+
+  return {businesses: byBusiness.size, notified};
+}
+
+module.exports = {
+  PAYABLES_REMINDER_DAYS,
+  buildPayablesAging,
+  computePayablesSummary,
+  runPayablesDueReminders,
+};
@@ -0,0 +1,435 @@
+/**
+ * Payment Link Service
+ *
+ * Razorpay payment links for a bill's pending amount or a customer's total
+ * outstanding. Settlement happens on the `payment_link.paid` webhook:
+ * 1. Lease the link (one worker at a time; Razorpay retries on 409)
+ * 2. Freeze the allocation plan on first delivery (oldest open bills first)
+ * 3. Apply each allocation via applyBillPayment (ledger key per payment + bill)
+ * 4. Record anything left over as a customer payment (advance for the next bills)
+ * 5. Mark the link paid
+ *
+ * Every step is keyed on the provider payment id, so webhook redeliveries and
+ * crashes between steps never double-apply a payment.
+ */
+const axios = require('axios');
+const PaymentLink = require('../models/PaymentLink');
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const {applyBillPayment} = require('./billPayment.service');
+const {razorpayKeyId, razorpayKeySecret} = require('../config/env');
+const {modeFromProviderMethod} = require('../utils/paymentMode');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const RAZORPAY_PAYMENT_LINKS_URL = 'https://api.razorpay.com/v1/payment_links';
+const PAYMENT_LINK_EXPIRY_DAYS = 30;
+// A webhook worker that dies mid-settlement releases the link after this
+const PROCESSING_LEASE_MS = 2 * 60 * 1000;
+
+const round2 = value => Math.round(value * 100) / 100;
+const toPaise = amount => Math.round(amount * 100);
+const fromPaise = paise => round2(paise / 100);
+
+const isOpenBill = bill =>
+  !bill.isDeleted && (bill.status === 'unpaid' || bill.status === 'partial');
+
+const pendingOf = bill => round2(bill.grandTotal - (bill.paidAmount || 0));
+
+/**
+ * Ledger idempotency key for one allocation of a provider payment
+ */
+function getAllocationLedgerKey(providerPaymentId, billId) {
+  return `razorpay_${providerPaymentId}_${billId}_ledger_debit`;
+}
+
+/**
+ * Split a received amount across open bills, oldest first
+ *
+ * @param {Array} bills - Open bills (any order)
+ * @param {number} amount - Amount received (INR)
+ * @returns {Object} {allocations: [{billId, billNo, amount}], unallocatedAmount}
+ */
+function planAllocations(bills, amount) {
+  const ordered = [...bills].sort((a, b) =>
+    new Date(a.dueDate || a.createdAt) - new Date(b.dueDate || b.createdAt) ||
+    new Date(a.createdAt) - new Date(b.createdAt));
+
+  let remaining = round2(amount);
+  const allocations = [];
+
+  for (const bill of ordered) {
+    if (remaining <= 0) {
+      break;
+    }
+    const pending = pendingOf(bill);
+    if (pending <= 0) {
+      continue;
+    }
+    const share = round2(Math.min(pending, remaining));
+    allocations.push({billId: bill._id, billNo: bill.billNo, amount: share});
+    remaining = round2(remaining - share);
+  }
+
+  return {allocations, unallocatedAmount: remaining};
+}
+
+/**
+ * Public shape of a payment link
+ */
+function formatPaymentLink(link) {
+  return {
+    id: link._id,
+    customerId: link.customerId,
+    billId: link.billId,
+    scope: link.scope,
+    amount: link.amount,
+    currency: link.currency,
+    status: link.status,
+    shortUrl: link.shortUrl,
+    expiresAt: link.expiresAt,
+    providerPaymentId: link.providerPaymentId,
+    amountPaid: link.amountPaid,
+    allocations: link.allocations || [],
+    unallocatedAmount: link.unallocatedAmount,
+    paidAt: link.paidAt,
+    createdAt: link.createdAt,
+  };
+}
+
+/**
+ * Create the link at Razorpay
+ */
+async function createRazorpayPaymentLink(body) {
+  if (!razorpayKeyId || !razorpayKeySecret) {
+    throw new AppError('Online payments are not configured', 503, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+  }
+
+  try {
+    const response = await axios.post(RAZORPAY_PAYMENT_LINKS_URL, body, {
+      auth: {username: razorpayKeyId, password: razorpayKeySecret},
+      timeout: 10000,
+    });
+    return response.data;
+  } catch (error) {
+    logger.error('[PaymentLink] Razorpay payment link creation failed', {
+      status: error.response?.status,
+      error: error.response?.data?.error?.description || error.message,
+    });
+    throw new AppError('Could not create payment link', 502, 'PAYMENT_PROVIDER_ERROR');
+  }
+}
+
+/**
+ * Create (or reuse) a payment link for a bill or a customer's outstanding
+ *
+ * An unexpired link for the same bill/customer and amount is reused, so
+ * repeated taps in the app don't spray customers with different links.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Business id
+ * @param {string} params.customerId - Customer id (OUTSTANDING scope)
+ * @param {string} [params.billId] - Bill id (BILL scope)
+ * @param {ObjectId} params.createdBy - Acting user
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {link, created}
+ */
+async function createPaymentLink({userId, customerId, billId, createdBy, requestId}) {
+  let bill = null;
+  if (billId) {
+    bill = await Bill.findOne({_id: billId, userId, isDeleted: {$ne: true}}).lean();
+    if (!bill) {
+      throw new AppError('Bill not found', 404, 'NOT_FOUND');
+    }
+    if (!isOpenBill(bill)) {
+      throw new AppError(`Cannot collect payment for a ${bill.status} bill`, 400, 'NOTHING_DUE');
+    }
+    customerId = bill.customerId;
+  }
+
+  const customer = await Customer.findOne({_id: customerId, userId, isDeleted: {$ne: true}})
+    .select('name phone')
+    .lean();
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  let amount;
+  let description;
+  if (bill) {
+    amount = pendingOf(bill);
+    description = `Bill ${bill.billNo}`;
+  } else {
+    const openBills = await Bill.find({
+      userId,
+      customerId,
+      status: {$in: ['unpaid', 'partial']},
+      isDeleted: {$ne: true},
+    })
+      .select('grandTotal paidAmount')
+      .lean();
+    amount = round2(openBills.reduce((sum, openBill) => sum + pendingOf(openBill), 0));
+    description = `Outstanding balance (${openBills.length} bill${openBills.length === 1 ? '' : 's'})`;
+  }
+
+  if (amount < 1) {
+    throw new AppError('Nothing due for this customer', 400, 'NOTHING_DUE');
+  }
+
+  const scope = bill ? 'BILL' : 'OUTSTANDING';
+  const now = new Date();
+
+  const existing = await PaymentLink.findOne({
+    userId,
+    customerId,
+    billId: bill ? bill._id : null,
+    scope,
+    amount,
+    status: 'created',
+    expiresAt: {$gt: now},
+  }).sort({createdAt: -1});
+  if (existing) {
+    return {link: existing, created: false};
+  }
+
+  const expiresAt = new Date(now.getTime() + PAYMENT_LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  const link = new PaymentLink({
+    userId,
+    customerId,
+    billId: bill ? bill._id : null,
+    scope,
+    amount,
+    description,
+    expiresAt,
+    createdBy,
+  });
+
+  const notes = {
+    businessId: String(userId),
+    customerId: String(customerId),
+    paymentLinkId: String(link._id),
+  };
+  if (bill) {
+    notes.billId = String(bill._id);
+  }
+
+  const providerLink = await createRazorpayPaymentLink({
+    amount: toPaise(amount),
+    currency: 'INR',
+    description,
+    reference_id: String(link._id),
+    expire_by: Math.floor(expiresAt.getTime() / 1000),
+    customer: {
+      name: customer.name,
+      ...(customer.phone ? {contact: customer.phone} : {}),
+    },
+    notify: {sms: false, email: false},
+    reminder_enable: false,
+    notes,
+  });
+
+  link.providerLinkId = providerLink.id;
+  link.shortUrl = providerLink.short_url;
+  await link.save();
+
+  logger.info('[PaymentLink] Payment link created', {
+    paymentLinkId: link._id,
+    providerLinkId: link.providerLinkId,
+    scope,
+    amount,
+    requestId,
+  });
+
+  return {link, created: true};
+}
+
+/**
+ * List a customer's payment links (newest first)
+ */
+async function listPaymentLinks({userId, customerId}) {
+  return PaymentLink.find({userId, customerId}).sort({createdAt: -1}).limit(50).lean();
+}
+
+/**
+ * Settle a paid payment link (payment_link.paid webhook)
+ *
+ * @param {Object} params
+ * @param {string} params.providerLinkId - Razorpay plink_* id
+ * @param {string} params.providerPaymentId - Razorpay pay_* id
+ * @param {number} params.amountPaid - Amount received (INR)
+ * @param {string} [params.method] - Payment method (upi, card, ...)
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {result: 'applied'|'duplicate'|'ignored', link}
+ */
+async function settlePaymentLink({providerLinkId, providerPaymentId, amountPaid, method, requestId}) {
+  const link = await PaymentLink.findOne({providerLinkId});
+  if (!link) {
+    logger.warn('[PaymentLink] Webhook for unknown payment link', {providerLinkId, providerPaymentId});
+    return {result: 'ignored', link: null};
+  }
+
+  if (link.providerPaymentId && link.providerPaymentId !== providerPaymentId) {
+    // Links accept one payment; a second one needs a manual refund/review
+    logger.error('[PaymentLink] Second payment on an already settled link', {
+      paymentLinkId: link._id,
+      settledPaymentId: link.providerPaymentId,
+      providerPaymentId,
+    });
+    return {result: 'ignored', link};
+  }
+
+  if (link.status === 'paid') {
+    return {result: 'duplicate', link};
+  }
+
+  // Lease: only one webhook delivery settles at a time
+  const now = new Date();
+  const leased = await PaymentLink.findOneAndUpdate(
+    {
+      _id: link._id,
+      status: {$ne: 'paid'},
+      providerPaymentId: {$in: [null, providerPaymentId]},
+      $or: [
+        {processingAt: null},
+        {processingAt: {$lt: new Date(now.getTime() - PROCESSING_LEASE_MS)}},
+      ],
+    },
+    {$set: {processingAt: now}},
+    {new: true}
+  );
+
+  if (!leased) {
+    const current = await PaymentLink.findById(link._id).lean();
+    if (current?.status === 'paid' && current.providerPaymentId === providerPaymentId) {
+      return {result: 'duplicate', link: current};
+    }
+    throw new AppError('Payment link settlement in progress', 409, 'PAYMENT_LINK_BUSY');
+  }
+
+  try {
+    // Freeze the plan on first delivery so retries apply exactly the same split
+    if (!leased.providerPaymentId) {
+      const billQuery = leased.scope === 'BILL'
+        ? {_id: leased.billId, userId: leased.userId}
+        : {userId: leased.userId, customerId: leased.customerId};
+      const bills = (await Bill.find(billQuery).lean()).filter(isOpenBill);
+      const plan = planAllocations(bills, amountPaid);
+
+      leased.providerPaymentId = providerPaymentId;
+      leased.amountPaid = round2(amountPaid);
+      leased.allocations = plan.allocations;
+      leased.unallocatedAmount = plan.unallocatedAmount;
+      await leased.save();
+    }
+
+    let unallocatedAmount = leased.amountPaid;
+    for (const allocation of leased.allocations || []) {
+      let applied = 0;
+      try {
+        const {ledgerTransaction} = await applyBillPayment({
+          userId: leased.userId,
+          billId: allocation.billId,
+          amount: allocation.amount,
+          note: `Online payment for Bill ${allocation.billNo} (Razorpay ${providerPaymentId})`,
+          mode: modeFromProviderMethod(method),
+          reference: providerPaymentId,
+          ledgerIdempotencyKey: getAllocationLedgerKey(providerPaymentId, allocation.billId),
+          metadata: {
+            provider: 'razorpay',
+            providerPaymentId,
+            paymentLinkId: leased._id,
+            method,
+          },
+          requestId,
+        });
+        applied = ledgerTransaction.amount;
+      } catch (error) {
+        // Bill cancelled/deleted since the link was created: the money is held as an advance
+        if (!(error instanceof AppError) || error.statusCode >= 500) {
+          throw error;
+        }
+        logger.warn('[PaymentLink] Allocation skipped', {
+          paymentLinkId: leased._id,
+          billId: allocation.billId,
+          error: error.message,
+        });
+      }
+      allocation.appliedAt = new Date();
+      allocation.amount = applied;
+      unallocatedAmount = round2(unallocatedAmount - applied);
+    }
+
+    // Money above the open bills is held for the customer's next bills
+    if (unallocatedAmount > 0) {
+      const {recordCustomerPayment} = require('./customerPayment.service');
+      const {payment} = await recordCustomerPayment({
+        userId: leased.userId,
+        customerId: leased.customerId,
+        amount: unallocatedAmount,
+        mode: modeFromProviderMethod(method),
+        reference: providerPaymentId,
+        note: `Online payment (Razorpay ${providerPaymentId}) above open bills`,
+        idempotencyKey: `payment_link_${leased._id}_advance`,
+        requestId,
+      });
+      leased.advancePaymentId = payment._id;
+    }
+
+    leased.unallocatedAmount = unallocatedAmount;
+    leased.status = 'paid';
+    leased.paidAt = new Date();
+    leased.processingAt = null;
+    await leased.save();
+
+    if (unallocatedAmount > 0) {
+      logger.info('[PaymentLink] Payment exceeds open bills, amount held as advance', {
+        paymentLinkId: leased._id,
+        unallocatedAmount,
+        advancePaymentId: leased.advancePaymentId,
+      });
+    }
+
+    logger.info('[PaymentLink] Payment link settled', {
+      paymentLinkId: leased._id,
+      providerPaymentId,
+      amountPaid: leased.amountPaid,
+      bills: leased.allocations.length,
+      requestId,
+    });
+
+    return {result: 'applied', link: leased};
+  } catch (error) {
+    // Release the lease so Razorpay's retry can resume
+    await PaymentLink.updateOne({_id: leased._id}, {$set: {processingAt: null}});
+    throw error;
+  }
+}
+
+/**
+ * Close an unpaid link (payment_link.cancelled / payment_link.expired webhooks)
+ *
+ * @param {Object} params
+ * @param {string} params.providerLinkId - Razorpay plink_* id
+ * @param {string} params.status - 'cancelled' | 'expired'
+ * @returns {Promise<boolean>} True if the link was closed
+ */
+async function closePaymentLink({providerLinkId, status}) {
+  const result = await PaymentLink.updateOne(
+    {providerLinkId, status: 'created'},
+    {$set: {status}}
+  );
+  return result.modifiedCount > 0;
+}
+
+module.exports = {
+  PAYMENT_LINK_EXPIRY_DAYS,
+  toPaise,
+  fromPaise,
+  getAllocationLedgerKey,
+  planAllocations,
+  formatPaymentLink,
+  createPaymentLink,
+  listPaymentLinks,
+  settlePaymentLink,
+  closePaymentLink,
+};
@@ -0,0 +1,285 @@
+/**
+ * Purchase Bill Service
+ *
+ * Bills received from suppliers (payables):
+ * 1. Totals from the lines (discount, supplier tax)
+ * 2. Due date: entered, or the bill date plus the supplier's payment terms
+ * 3. Atomic payable increase on the supplier
+ * 4. Supplier ledger credit
+ * 5. Stock in for lines linked to tracked items (non-blocking)
+ *
+ * Deleting (soft) is only allowed while nothing has been paid against the
+ * bill: reverse the payments first. It takes the payable, the ledger and the
+ * stock back.
+ */
+const PurchaseBill = require('../models/PurchaseBill');
+const Supplier = require('../models/Supplier');
+const SupplierLedgerTransaction = require('../models/SupplierLedgerTransaction');
+const stockService = require('./stock.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Line totals, sub total and grand total of a purchase bill
+ *
+ * @throws {AppError} VALIDATION_ERROR when the discount is more than the sub total
+ */
+function computePurchaseTotals({items, discount = 0, tax = 0}) {
+  const lines = items.map(line => ({
+    itemId: line.itemId || null,
+    name: line.name,
+    qty: line.qty,
+    price: line.price,
+    total: round2(line.qty * line.price),
+  }));
+  const subTotal = round2(lines.reduce((sum, line) => sum + line.total, 0));
+
+  if (discount > subTotal) {
+    throw new AppError('Discount cannot be more than the sub total', 400, 'VALIDATION_ERROR');
+  }
+
+  return {items: lines, subTotal, discount, tax, grandTotal: round2(subTotal - discount + tax)};
+}
+
+/**
+ * Record a purchase bill from a supplier
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.supplierId - Supplier ID
+ * @param {string} params.billNo - Supplier's invoice number
+ * @param {Date} [params.billDate] - Date on the invoice (defaults to now)
+ * @param {Array} params.items - [{itemId?, name, qty, price}]
+ * @param {number} [params.discount]
+ * @param {number} [params.tax] - Tax charged by the supplier
+ * @param {Date} [params.dueDate] - Defaults to billDate + supplier payment terms
+ * @param {string} [params.notes]
+ * @param {string} [params.idempotencyKey] - Replays return the purchase bill already recorded
+ * @param {string} params.actorUserId - User recording the bill
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {purchaseBill, duplicate}
+ * @throws {AppError} SUPPLIER_NOT_FOUND, DUPLICATE_PURCHASE_BILL, VALIDATION_ERROR
+ */
+async function createPurchaseBill({
+  userId,
+  supplierId,
+  billNo,
+  billDate,
+  items,
+  discount,
+  tax,
+  dueDate,
+  notes,
+  idempotencyKey,
+  actorUserId,
+  requestId,
+}) {
+  if (idempotencyKey) {
+    const existing = await PurchaseBill.findOne({userId, idempotencyKey});
+    if (existing) {
+      return {purchaseBill: existing, duplicate: true};
+    }
+  }
+
+  const supplier = await Supplier.findOne({_id: supplierId, userId, isDeleted: false})
+    .select('_id name paymentTermsDays')
+    .lean();
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+  }
+
+  const entered = await PurchaseBill.findOne({userId, supplierId, billNo, isDeleted: false}).select('_id').lean();
+  if (entered) {
+    throw new AppError(`Bill ${billNo} of this supplier is already entered`, 409, 'DUPLICATE_PURCHASE_BILL');
+  }
+
+  const totals = computePurchaseTotals({items, discount, tax});
+  const date = billDate ? new Date(billDate) : new Date();
+  const due = dueDate
+    ? new Date(dueDate)
+    : supplier.paymentTermsDays != null ? new Date(date.getTime() + supplier.paymentTermsDays * DAY_MS) : null;
+
+  let purchaseBill;
+  try {
+    purchaseBill = await PurchaseBill.create({
+      userId,
+      supplierId,
+      billNo,
+      billDate: date,
+      ...totals,
+      dueDate: due,
+      notes: notes || '',
+      idempotencyKey: idempotencyKey || null,
+      createdBy: actorUserId,
+    });
+  } catch (error) {
+    if (error.code === 11000 && idempotencyKey && error.keyPattern?.idempotencyKey) {
+      const existing = await PurchaseBill.findOne({userId, idempotencyKey});
+      return {purchaseBill: existing, duplicate: true};
+    }
+    if (error.code === 11000 && error.keyPattern?.billNo) {
+      throw new AppError(`Bill ${billNo} of this supplier is already entered`, 409, 'DUPLICATE_PURCHASE_BILL');
+    }
+    throw error;
+  }
+
+  await Supplier.updateOne({_id: supplierId, userId}, {$inc: {payableOutstanding: purchaseBill.grandTotal}});
+
+  await SupplierLedgerTransaction.create({
+    userId,
+    supplierId,
+    type: 'credit',
+    amount: purchaseBill.grandTotal,
+    source: 'purchase_bill',
+    note: `Purchase bill ${purchaseBill.billNo}`,
+    metadata: {purchaseBillId: purchaseBill._id, billNo: purchaseBill.billNo},
+    idempotencyKey: `purchase_bill_${purchaseBill._id}`,
+  });
+
+  // Stock in (must not fail the purchase bill)
+  try {
+    await stockService.recordPurchaseStock({userId, purchaseBill});
+  } catch (error) {
+    logger.error('[PurchaseBill] Stock update failed', {
+      error: error.message,
+      purchaseBillId: purchaseBill._id,
+      userId,
+    });
+  }
+
+  logger.info('[PurchaseBill] Purchase bill recorded', {
+    userId,
+    supplierId,
+    billNo: purchaseBill.billNo,
+    grandTotal: purchaseBill.grandTotal,
+    requestId,
+  });
+
+  return {purchaseBill, duplicate: false};
+}
+
+/**
+ * Soft-delete a purchase bill nothing has been paid against
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.purchaseBillId - Purchase bill ID
+ * @param {string} params.reason - Why the bill is deleted
+ * @param {string} params.actorUserId - User deleting the bill
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} Deleted purchase bill
+ * @throws {AppError} PURCHASE_BILL_NOT_FOUND, PURCHASE_BILL_HAS_PAYMENTS
+ */
+async function deletePurchaseBill({userId, purchaseBillId, reason, actorUserId, requestId}) {
+  // Claim the delete first: a payment allocated meanwhile makes it fail
+  const purchaseBill = await PurchaseBill.findOneAndUpdate(
+    {_id: purchaseBillId, userId, isDeleted: false, paidAmount: 0},
+    {$set: {isDeleted: true, deletedAt: new Date(), deletedBy: actorUserId, deleteReason: reason}},
+    {new: true}
+  );
+
+  if (!purchaseBill) {
+    const existing = await PurchaseBill.findOne({_id: purchaseBillId, userId, isDeleted: false})
+      .select('_id')
+      .lean();
+    if (!existing) {
+      throw new AppError('Purchase bill not found', 404, 'PURCHASE_BILL_NOT_FOUND');
+    }
+    throw new AppError(
+      'Payments are allocated to this purchase bill. Reverse them first.',
+      409,
+      'PURCHASE_BILL_HAS_PAYMENTS'
+    );
+  }
+
+  await Supplier.updateOne(
+    {_id: purchaseBill.supplierId, userId},
+    {$inc: {payableOutstanding: -purchaseBill.grandTotal}}
+  );
+
+  await SupplierLedgerTransaction.create({
+    userId,
+    supplierId: purchaseBill.supplierId,
+    type: 'debit',
+    amount: purchaseBill.grandTotal,
+    source: 'purchase_bill_deleted',
+    note: `Purchase bill ${purchaseBill.billNo} deleted - ${reason}`,
+    metadata: {purchaseBillId: purchaseBill._id, billNo: purchaseBill.billNo},
+    idempotencyKey: `purchase_bill_${purchaseBill._id}_deleted`,
+  });
+
+  try {
+    await stockService.reversePurchaseStock({userId, purchaseBill});
+  } catch (error) {
+    logger.error('[PurchaseBill] Stock reversal failed', {
+      error: error.message,
+      purchaseBillId: purchaseBill._id,
+      userId,
+    });
+  }
+
+  logger.info('[PurchaseBill] Purchase bill deleted', {
+    userId,
+    supplierId: purchaseBill.supplierId,
+    billNo: purchaseBill.billNo,
+    requestId,
+  });
+
+  return purchaseBill;
+}
+
+/**
+ * List purchase bills (newest first)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.supplierId]
+ * @param {string} [params.status] - unpaid | partial | paid
+ * @returns {Promise<Object>} {purchaseBills, pagination}
+ */
+async function listPurchaseBills({userId, supplierId, status, page = 1, limit = 50}) {
+  const filter = {userId, isDeleted: false};
+  if (supplierId) filter.supplierId = supplierId;
+  if (status) filter.status = status;
+
+  const [purchaseBills, total] = await Promise.all([
+    PurchaseBill.find(filter)
+      .populate('supplierId', 'name phone')
+      .sort({createdAt: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PurchaseBill.countDocuments(filter),
+  ]);
+
+  return {
+    purchaseBills,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  };
+}
+
+/**
+ * Get a purchase bill
+ *
+ * @throws {AppError} PURCHASE_BILL_NOT_FOUND
+ */
+async function getPurchaseBill({userId, purchaseBillId}) {
+  const purchaseBill = await PurchaseBill.findOne({_id: purchaseBillId, userId, isDeleted: false})
+    .populate('supplierId', 'name phone gstin');
+  if (!purchaseBill) {
+    throw new AppError('Purchase bill not found', 404, 'PURCHASE_BILL_NOT_FOUND');
+  }
+  return purchaseBill;
+}
+
+module.exports = {
+  computePurchaseTotals,
+  createPurchaseBill,
+  deletePurchaseBill,
+  listPurchaseBills,
+  getPurchaseBill,
+};
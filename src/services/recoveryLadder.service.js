@@ -0,0 +1,193 @@
+/**
+ * Recovery Ladder Service
+ *
+ * Owner-configurable recovery escalation ladders, versioned per business:
+ * - Saving a ladder creates a new immutable RecoveryLadder version and points
+ *   BusinessSettings.recoveryLadderVersion at it
+ * - Version 0 is the built-in DEFAULT_ESCALATION_LADDER
+ * - Customers already in recovery keep the version their reminders were planned
+ *   with (FollowUpTask.metadata.ladderVersion); new customers get the active one
+ */
+const RecoveryLadder = require('../models/RecoveryLadder');
+const BusinessSettings = require('../models/BusinessSettings');
+const FollowUpTask = require('../models/FollowUpTask');
+const AppError = require('../utils/AppError');
+const {DEFAULT_ESCALATION_LADDER} = require('./recoveryPlan.service');
+const logger = require('../utils/logger');
+
+const DEFAULT_LADDER_VERSION = 0;
+
+/**
+ * Normalize owner-supplied steps into ladder steps
+ * Sorted by dayOffset; stepKey and escalationLevel are derived
+ *
+ * @param {Array} steps - Validated steps {dayOffset, channel, priority, templateKey, title, message}
+ * @returns {Array} Ladder steps
+ */
+function buildLadderSteps(steps) {
+  return [...steps]
+    .sort((a, b) => a.dayOffset - b.dayOffset)
+    .map((step, index) => ({
+      stepKey: `STEP_${step.dayOffset}`,
+      dayOffset: step.dayOffset,
+      channel: step.channel || 'whatsapp',
+      priority: step.priority || 'high',
+      templateKey: step.templateKey,
+      escalationLevel: index + 1,
+      title: step.title || null,
+      message: step.message || null,
+    }));
+}
+
+/**
+ * Shape a ladder for API responses / plan computation
+ */
+function formatLadder(version, steps, extra = {}) {
+  return {
+    version,
+    isDefault: version === DEFAULT_LADDER_VERSION,
+    steps: steps.map(step => ({
+      stepKey: step.stepKey,
+      dayOffset: step.dayOffset,
+      channel: step.channel || 'whatsapp',
+      priority: step.priority,
+      templateKey: step.templateKey,
+      escalationLevel: step.escalationLevel,
+      title: step.title || null,
+      message: step.message || null,
+    })),
+    ...extra,
+  };
+}
+
+/**
+ * Get a specific ladder version
+ *
+ * @param {string} userId - Business ID
+ * @param {number} version - Ladder version (0 = default)
+ * @returns {Promise<Object|null>} {version, isDefault, steps, createdAt} or null if missing
+ */
+async function getLadderVersion(userId, version) {
+  if (!version) {
+    return formatLadder(DEFAULT_LADDER_VERSION, DEFAULT_ESCALATION_LADDER);
+  }
+
+  const ladder = await RecoveryLadder.findOne({userId, version}).lean();
+  if (!ladder) {
+    return null;
+  }
+
+  return formatLadder(ladder.version, ladder.steps, {createdAt: ladder.createdAt});
+}
+
+/**
+ * Get the business's active ladder
+ *
+ * @param {string} userId - Business ID
+ * @returns {Promise<Object>} {version, isDefault, steps}
+ */
+async function getActiveLadder(userId) {
+  const settings = await BusinessSettings.findOne({userId}).select('recoveryLadderVersion').lean();
+  const version = settings?.recoveryLadderVersion || DEFAULT_LADDER_VERSION;
+
+  const ladder = await getLadderVersion(userId, version);
+  if (!ladder) {
+    logger.error('[RecoveryLadder] Active ladder version missing, using default', {userId, version});
+    return getLadderVersion(userId, DEFAULT_LADDER_VERSION);
+  }
+  return ladder;
+}
+
+/**
+ * Get the ladder a customer's recovery follows
+ * Pinned to the version of the customer's existing recovery tasks (if any)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.customerId - Customer ID
+ * @returns {Promise<Object>} {version, isDefault, steps}
+ */
+async function getCustomerLadder({userId, customerId}) {
+  const latestTask = await FollowUpTask.findOne({
+    userId,
+    customerId,
+    source: {$regex: /^AUTO_RECOVERY_/},
+  })
+    .sort({createdAt: -1})
+    .select('metadata.ladderVersion')
+    .lean();
+
+  if (!latestTask) {
+    return getActiveLadder(userId);
+  }
+
+  // Tasks planned before ladders were versioned followed the default ladder
+  const pinnedVersion = latestTask.metadata?.ladderVersion || DEFAULT_LADDER_VERSION;
+  const ladder = await getLadderVersion(userId, pinnedVersion);
+  if (!ladder) {
+    logger.warn('[RecoveryLadder] Pinned ladder version missing, using active ladder', {
+      userId,
+      customerId,
+      pinnedVersion,
+    });
+    return getActiveLadder(userId);
+  }
+  return ladder;
+}
+
+/**
+ * Save a new ladder version and make it active
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {Array} params.steps - Validated steps (see updateRecoveryLadderSchema)
+ * @param {string} params.actorUserId - User saving the ladder
+ * @returns {Promise<Object>} {version, isDefault, steps, createdAt}
+ */
+async function saveLadder({userId, steps, actorUserId}) {
+  // Past the active pointer too: it may name a version whose document is gone
+  const [latest, settings] = await Promise.all([
+    RecoveryLadder.findOne({userId}).sort({version: -1}).select('version').lean(),
+    BusinessSettings.findOne({userId}).select('recoveryLadderVersion').lean(),
+  ]);
+  const version = Math.max(latest?.version || 0, settings?.recoveryLadderVersion || 0) + 1;
+
+  let ladder;
+  try {
+    ladder = await RecoveryLadder.create({
+      userId,
+      version,
+      steps: buildLadderSteps(steps),
+      createdBy: actorUserId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('Recovery ladder was updated concurrently. Please retry.', 409, 'RECOVERY_LADDER_CONFLICT');
+    }
+    throw error;
+  }
+
+  // $max: a slower concurrent save can't roll the pointer back
+  await BusinessSettings.findOneAndUpdate(
+    {userId},
+    {
+      $max: {recoveryLadderVersion: version},
+      $set: {updatedBy: actorUserId},
+      $setOnInsert: {businessId: userId},
+    },
+    {upsert: true}
+  );
+
+  logger.info('[RecoveryLadder] Ladder saved', {userId, version, steps: ladder.steps.length});
+
+  return formatLadder(ladder.version, ladder.steps, {createdAt: ladder.createdAt});
+}
+
+module.exports = {
+  DEFAULT_LADDER_VERSION,
+  buildLadderSteps,
+  getLadderVersion,
+  getActiveLadder,
+  getCustomerLadder,
+  saveLadder,
+};
@@ -21,7 +21,8 @@
  * - STEP_0: Day 0 (immediate) - "Payment is overdue"
  * - STEP_3: Day 3 - "Gentle reminder"
  * - STEP_7: Day 7 - "Urgent: Please settle"
- * - Can be extended to STEP_15, STEP_30, etc. via settings
+ * - Owners can define their own ladder (steps, day offsets, channel, priority,
+ *   custom message text) as a versioned RecoveryLadder (see recoveryLadder.service)
  * 
  * IDEMPOTENCY:
  * - Each step has unique key: customerId + stepKey
@@ -30,6 +31,7 @@
  */
 
 const {getNowIST, getStartOfDayIST} = require('../utils/timezone.util');
+const {CATALOGS, DEFAULT_LANGUAGE, resolveLanguage, translate} = require('./i18n');
 const logger = require('../utils/logger');
 
 /**
@@ -38,6 +40,7 @@ const logger = require('../utils/logger');
 const DEFAULT_ESCALATION_LADDER = [
   {
     stepKey: 'STEP_0',
+    channel: 'whatsapp',
     dayOffset: 0, // Immediate (same day)
     priority: 'high',
     templateKey: 'recovery_immediate',
@@ -45,6 +48,7 @@ const DEFAULT_ESCALATION_LADDER = [
   },
   {
     stepKey: 'STEP_3',
+    channel: 'whatsapp',
     dayOffset: 3,
     priority: 'high',
     templateKey: 'recovery_gentle_reminder',
@@ -52,6 +56,7 @@ const DEFAULT_ESCALATION_LADDER = [
   },
   {
     stepKey: 'STEP_7',
+    channel: 'whatsapp',
     dayOffset: 7,
     priority: 'high',
     templateKey: 'recovery_urgent',
@@ -60,32 +65,65 @@ const DEFAULT_ESCALATION_LADDER = [
 ];
 
 /**
- * Message templates for recovery (can be moved to DB later)
+ * Message templates for recovery (English; translations live in the i18n catalog
+ * under reminders.<templateKey>)
  */
-const DEFAULT_TEMPLATES = {
-  recovery_immediate: {
-    title: 'Payment Overdue',
-    body: 'Hi {customerName}, your payment of ₹{amount} is overdue. Please settle at your earliest convenience.',
-  },
-  recovery_gentle_reminder: {
-    title: 'Payment Reminder',
-    body: 'Hi {customerName}, this is a gentle reminder about your pending payment of ₹{amount}. Please clear your dues.',
-  },
-  recovery_urgent: {
-    title: 'Urgent: Payment Required',
-    body: 'Hi {customerName}, your payment of ₹{amount} is now 7+ days overdue. Please settle immediately to avoid further action.',
-  },
-};
+const DEFAULT_TEMPLATES = CATALOGS[DEFAULT_LANGUAGE].reminders;
+
+/**
+ * Placeholders allowed in custom ladder titles/messages
+ */
+const RECOVERY_MESSAGE_PLACEHOLDERS = ['customerName', 'amount'];
+
+/**
+ * Substitute {placeholder} occurrences in a message
+ *
+ * @param {string} text - Template text
+ * @param {Object} values - {customerName, amount}
+ * @returns {string} Rendered text
+ */
+function renderRecoveryMessage(text, values) {
+  return RECOVERY_MESSAGE_PLACEHOLDERS.reduce(
+    (rendered, key) => rendered.split(`{${key}}`).join(String(values[key])),
+    text
+  );
+}
+
+/**
+ * Link lines appended to reminder bodies (when available, i18n reminderLinks.*)
+ * - statementUrl: public customer statement page
+ * - upiLink: upi://pay deep link for the exact outstanding
+ */
+const REMINDER_LINK_KEYS = ['statementUrl', 'upiLink'];
+
+/**
+ * Append link lines to a reminder body
+ *
+ * @param {string} body - Rendered template body
+ * @param {Object} links - {statementUrl, upiLink}
+ * @param {string} language - Reminder language
+ * @returns {string} Body with links
+ */
+function appendReminderLinks(body, links = {}, language = DEFAULT_LANGUAGE) {
+  const lines = REMINDER_LINK_KEYS
+    .filter(key => links[key])
+    .map(key => translate(`reminderLinks.${key}`, {[key]: links[key]}, language));
+
+  return lines.length > 0 ? `${body}\n\n${lines.join('\n')}` : body;
+}
 
 /**
  * Get recovery escalation ladder from settings (or use defaults)
  * 
  * @param {Object} settings - Business settings
+ * @param {Object} settings.recoveryEscalationLadder - Resolved ladder {version, steps} (see recoveryLadder.service)
  * @returns {Array} Escalation ladder steps
  */
 function getEscalationLadder(settings = {}) {
-  // TODO: Read from settings.recoveryEscalationLadder once implemented
-  // For now, use defaults
+  const steps = settings.recoveryEscalationLadder?.steps;
+  if (Array.isArray(steps) && steps.length > 0) {
+    return steps;
+  }
   return DEFAULT_ESCALATION_LADDER;
 }
 
@@ -105,6 +143,9 @@ function getEscalationLadder(settings = {}) {
  * @param {number} params.outstandingAmount - Total outstanding
  * @param {Array} params.overdueBills - Array of overdue bills
  * @param {Object} params.settings - Business settings
+ * @param {string} params.statementUrl - Public statement link (default reminder link, optional)
+ * @param {Object} params.upi - UPI pay request for the outstanding (optional, see upi.service)
+ * @param {string} params.language - Reminder language (customer preference, else business default)
  * @param {Date} params.nowIST - Current time in IST (for testing)
  * @returns {Object} { enabled, steps: [] }
  */
@@ -115,6 +156,9 @@ function computeRecoveryPlan({
   outstandingAmount,
   overdueBills = [],
   settings = {},
+  statementUrl = null,
+  upi = null,
+  language = DEFAULT_LANGUAGE,
   nowIST = null,
 }) {
   try {
@@ -145,6 +189,12 @@ function computeRecoveryPlan({
     
     // Get escalation ladder
     const ladder = getEscalationLadder(settings);
+    const ladderVersion = settings.recoveryEscalationLadder?.version || 0;
+    const reminderLanguage = resolveLanguage(language);
+    const messageValues = {
+      customerName: customerName || translate('common.customer', {}, reminderLanguage),
+      amount: outstandingAmount || 0,
+    };
     
     // Compute steps (IST-CORRECT: All dueAt computed as IST start-of-day)
     const steps = ladder.map(step => {
@@ -157,31 +207,44 @@ function computeRecoveryPlan({
       // Get IST start-of-day for this target date (00:00:00 IST)
       const dueAt = getStartOfDayIST(targetDateIST);
       
-      // Get template
-      const template = DEFAULT_TEMPLATES[step.templateKey] || DEFAULT_TEMPLATES.recovery_immediate;
+      // Get template in the reminder language (custom ladder text overrides the default wording)
+      const templateKey = DEFAULT_TEMPLATES[step.templateKey] ? step.templateKey : 'recovery_immediate';
+      const template = {
+        title: translate(`reminders.${templateKey}.title`, {}, reminderLanguage),
+        body: translate(`reminders.${templateKey}.body`, {}, reminderLanguage),
+      };
       
       // Substitute variables
-      const title = template.title.replace('{customerName}', customerName || 'Customer');
-      const body = template.body
-        .replace('{customerName}', customerName || 'Customer')
-        .replace('{amount}', outstandingAmount || 0);
+      const title = renderRecoveryMessage(step.title || template.title, messageValues);
+      const body = appendReminderLinks(
+        renderRecoveryMessage(step.message || template.body, messageValues),
+        {statementUrl, upiLink: upi?.link},
+        reminderLanguage
+      );
       
       return {
         stepKey: step.stepKey,
         source: `AUTO_RECOVERY_${step.stepKey}`, // For FollowUpTask.source
         dueAt,
+        channel: step.channel || 'whatsapp',
         priority: step.priority,
         templateKey: step.templateKey,
         escalationLevel: step.escalationLevel,
         title,
         body,
         metadata: {
+          templateKey: step.templateKey,
           customerId,
           customerName,
           customerPhone,
           outstandingAmount,
+          statementUrl,
+          upiLink: upi?.link || null,
+          upiQrDataUrl: upi?.qrDataUrl || null,
           baseDueDate: baseDate.toISOString(),
           dayOffset: step.dayOffset,
+          ladderVersion,
+          language: reminderLanguage,
         },
       };
     });
@@ -239,4 +302,7 @@ module.exports = {
   shouldCreateStep,
   DEFAULT_ESCALATION_LADDER,
   DEFAULT_TEMPLATES,
+  RECOVERY_MESSAGE_PLACEHOLDERS,
+  appendReminderLinks,
+  getEscalationLadder,
 };
@@ -26,6 +26,10 @@ const FollowUpTask = require('../models/FollowUpTask');
 const Customer = require('../models/Customer');
 const Bill = require('../models/Bill');
 const {computeRecoveryPlan, shouldCreateStep} = require('./recoveryPlan.service');
+const {getCustomerLadder} = require('./recoveryLadder.service');
+const {getCustomerLanguage} = require('./language.service');
+const {ensureStatementShareUrls} = require('./customerShare.service');
+const {getUpiConfig, buildUpiPayment, withUpiQr} = require('./upi.service');
 const {getNowIST} = require('../utils/timezone.util');
 const logger = require('../utils/logger');
 
@@ -34,7 +38,7 @@ const logger = require('../utils/logger');
  * 
  * ALGORITHM:
  * 1. Fetch customer + overdue bills
- * 2. Compute recovery plan
+ * 2. Compute recovery plan (customer's pinned ladder version, else the active ladder)
  * 3. For each step in plan:
  *    a. Check if step is due (dueAt <= now + grace)
  *    b. Check if task already exists (by idempotencyKey)
@@ -44,7 +48,7 @@ const logger = require('../utils/logger');
  * @param {Object} params
  * @param {string} params.userId - User ID
  * @param {string} params.customerId - Customer ID
- * @param {Object} params.settings - Business settings
+ * @param {Object} params.settings - Business settings (recoveryEscalationLadder overrides the stored ladder)
  * @param {Date} params.nowIST - Current time (for testing)
  * @returns {Promise<Object>} { created, skipped, existing, tasks }
  */
@@ -92,6 +96,29 @@ async function ensureRecoveryTasks({userId, customerId, settings = {}, nowIST =
       };
     }
     
+    // Public statement link + UPI pay request for the reminder (never block task creation)
+    let statementUrl = null;
+    let upi = null;
+    try {
+      const urls = await ensureStatementShareUrls(userId, [customerId]);
+      statementUrl = urls.get(customerId.toString()) || null;
+      upi = await withUpiQr(buildUpiPayment(await getUpiConfig(userId), {
+        amount: outstandingAmount,
+        billNos: overdueBills.map(bill => bill.billNo),
+      }));
+    } catch (linkError) {
+      logger.warn('[RecoveryScheduler] Reminder links unavailable', {
+        customerId,
+        error: linkError.message,
+      });
+    }
+    
+    // Escalation ladder: in-flight customers keep the version they started on
+    const ladder = settings.recoveryEscalationLadder || await getCustomerLadder({userId, customerId});
+    
+    // Reminder language: customer preference, else business default
+    const language = await getCustomerLanguage({userId, customer, businessLanguage: settings.language});
+    
     // Compute recovery plan
     const plan = computeRecoveryPlan({
       customerId,
@@ -99,7 +126,10 @@ async function ensureRecoveryTasks({userId, customerId, settings = {}, nowIST =
       customerPhone: customer.phone,
       outstandingAmount,
       overdueBills,
-      settings,
+      settings: {...settings, recoveryEscalationLadder: ladder},
+      statementUrl,
+      upi,
+      language,
       nowIST: now,
     });
     
@@ -172,7 +202,7 @@ async function ensureRecoveryTasks({userId, customerId, settings = {}, nowIST =
             name: customer.name,
             phone: customer.phone,
           },
-          channel: 'whatsapp', // Default channel (can be configured)
+          channel: step.channel, // Per ladder step
           dueAt: step.dueAt,
           status: 'pending',
           followupStatus: 'OPEN',
@@ -0,0 +1,589 @@
+/**
+ * Recurring Bill Service
+ *
+ * Bills the same customer every period from a template (RecurringBill):
+ * - Periods start on dayOfMonth every 1 / 3 / 6 / 12 months, counted from the
+ *   start month (29-31 fall on the last day of shorter months)
+ * - Each occurrence bills the period it starts, in advance
+ * - A start (or resume) mid-period bills the rest of that period prorated by
+ *   days; so does an end date mid-period. Without proration the first bill is
+ *   at the next period start and the last period is billed in full
+ * - Bills go through billCreation.service like POST /api/bills: credit limit
+ *   enforced, ledger credit, advances applied. A blocked or failed occurrence
+ *   is recorded on the template (lastRun) and not retried
+ *
+ * The daily run bills every occurrence due up to today (catching up missed
+ * days), then notifies each owner with a summary. It is safe to run twice:
+ * bills carry an idempotency key per occurrence and a template only advances
+ * from the occurrence it was read at.
+ */
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const RecurringBill = require('../models/RecurringBill');
+const User = require('../models/User');
+const billCreation = require('./billCreation.service');
+const {auditCreate} = require('./auditHelper.service');
+const {formatDate} = require('./statementRenderer.service');
+const AppError = require('../utils/AppError');
+const {getISTDateString} = require('../utils/istTimezone');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Months between period starts
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  yearly: 12,
+};
+
+// Most occurrences billed for one template in a run (after downtime)
+const MAX_CATCH_UP_RUNS = 12;
+
+// Plans that can issue bills (see requirePro)
+const BILLING_PLANS = ['pro', 'trial'];
+
+// Template fields the owner can change (the schedule itself cannot change)
+const EDITABLE_FIELDS = [
+  'name', 'items', 'discount', 'tax', 'taxInvoice', 'placeOfSupply', 'dueInDays', 'notes', 'endDate', 'prorate',
+];
+
+/**
+ * Calendar day (UTC midnight) of a date
+ */
+const toDay = date => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+const dayKey = day => day.toISOString().slice(0, 10);
+
+/**
+ * Today in IST, as a calendar day
+ */
+const todayIST = () => new Date(`${getISTDateString()}T00:00:00.000Z`);
+
+/**
+ * Start of the template's k-th period (k = 0 in the start month)
+ */
+function periodStart(template, k) {
+  const start = toDay(template.startDate);
+  const months = start.getUTCFullYear() * 12 + start.getUTCMonth() + k * FREQUENCY_MONTHS[template.frequency];
+  const year = Math.floor(months / 12);
+  const month = months % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(template.dayOfMonth, daysInMonth)));
+}
+
+/**
+ * Period containing a day: {from, to} with `to` the next period start
+ */
+function periodContaining(template, day) {
+  const start = toDay(template.startDate);
+  const monthsSinceStart = (day.getUTCFullYear() - start.getUTCFullYear()) * 12 + day.getUTCMonth() - start.getUTCMonth();
+  let k = Math.floor(monthsSinceStart / FREQUENCY_MONTHS[template.frequency]);
+  while (periodStart(template, k) > day) k--;
+  while (periodStart(template, k + 1) <= day) k++;
+  return {from: periodStart(template, k), to: periodStart(template, k + 1)};
+}
+
+/**
+ * First occurrence on or after `day` (null when past the end date)
+ */
+function firstRunDate(template, day) {
+  const from = toDay(day);
+  const period = periodContaining(template, from);
+  const runDate = period.from.getTime() === from.getTime() || template.prorate ? from : period.to;
+  return template.endDate && runDate > toDay(template.endDate) ? null : runDate;
+}
+
+/**
+ * What an occurrence bills
+ *
+ * @returns {Object} {runDate, periodFrom, periodTo, coveredDays, periodDays, factor, nextRunDate}
+ *   periodTo is the last day billed; nextRunDate is null after the last occurrence
+ */
+function describeOccurrence(template, runDate) {
+  const period = periodContaining(template, runDate);
+  const endDay = template.endDate ? toDay(template.endDate) : null;
+
+  let coverEnd = period.to;
+  if (template.prorate && endDay && addDays(endDay, 1) < coverEnd) {
+    coverEnd = addDays(endDay, 1);
+  }
+
+  const periodDays = daysBetween(period.from, period.to);
+  const coveredDays = daysBetween(runDate, coverEnd);
+  const factor = template.prorate ? Math.min(1, coveredDays / periodDays) : 1;
+  const nextRunDate = endDay && period.to > endDay ? null : period.to;
+
+  return {
+    runDate,
+    periodFrom: runDate,
+    periodTo: addDays(coverEnd, -1),
+    coveredDays,
+    periodDays,
+    factor,
+    nextRunDate,
+  };
+}
+
+/**
+ * Bill fields for an occurrence (plain totals; tax invoices are re-taxed on creation)
+ */
+function buildBillDraft(template, occurrence) {
+  const {factor} = occurrence;
+
+  const items = template.items.map(line => {
+    const price = round2(line.price * factor);
+    return {
+      ...(line.itemId && {itemId: line.itemId}),
+      name: line.name,
+      qty: line.qty,
+      price,
+      total: round2(line.qty * price),
+      ...(line.hsnCode && {hsnCode: line.hsnCode}),
+      ...(line.gstRate != null && {gstRate: line.gstRate}),
+    };
+  });
+  const subTotal = round2(items.reduce((sum, line) => sum + line.total, 0));
+  const discount = round2((template.discount || 0) * factor);
+  const tax = round2((template.tax || 0) * factor);
+
+  let period = `Period: ${formatDate(occurrence.periodFrom)} - ${formatDate(occurrence.periodTo)}`;
+  if (factor < 1) {
+    period += ` (prorated, ${occurrence.coveredDays} of ${occurrence.periodDays} days)`;
+  }
+
+  return {
+    items,
+    subTotal,
+    discount,
+    tax,
+    grandTotal: Math.max(0, round2(subTotal - discount + tax)),
+    dueDate: template.dueInDays != null ? addDays(occurrence.runDate, template.dueInDays) : null,
+    notes: template.notes ? `${template.notes}\n${period}` : period,
+    taxInvoice: template.taxInvoice ?? undefined,
+    placeOfSupply: template.placeOfSupply || undefined,
+  };
+}
+
+/**
+ * Load a template of the business
+ *
+ * @throws {AppError} RECURRING_BILL_NOT_FOUND
+ */
+async function findTemplate(userId, id) {
+  const template = await RecurringBill.findOne({_id: id, userId});
+  if (!template) {
+    throw new AppError('Recurring bill not found', 404, 'RECURRING_BILL_NOT_FOUND');
+  }
+  return template;
+}
+
+/**
+ * Bill one occurrence and move the template to the next one
+ *
+ * @returns {Promise<Object>} {template, lastRun} - template is null when it
+ *   changed meanwhile (paused, skipped, billed by another run)
+ */
+async function billOccurrence(template, runDate, requestId) {
+  const occurrence = describeOccurrence(template, runDate);
+  const draft = buildBillDraft(template, occurrence);
+
+  let lastRun;
+  try {
+    const {bill, customer, duplicate} = await billCreation.createBill({
+      ...draft,
+      userId: template.userId,
+      customerId: template.customerId,
+      idempotencyKey: `recurring_${template._id}_${dayKey(runDate)}`,
+      recurringBillId: template._id,
+      requestId,
+    });
+
+    if (!duplicate) {
+      await auditCreate({
+        action: 'BILL_CREATED',
+        actorUserId: template.createdBy,
+        actorRole: 'SYSTEM',
+        entityType: 'BILL',
+        entity: bill,
+        customerId: bill.customerId,
+        businessId: template.userId,
+        metadata: {
+          billNo: bill.billNo,
+          billAmount: bill.grandTotal,
+          customerName: customer.name,
+          recurringBillId: template._id,
+          prorated: occurrence.factor < 1,
+        },
+        requestId,
+      });
+    }
+
+    lastRun = {status: 'generated', billId: bill._id, billNo: bill.billNo, amount: bill.grandTotal};
+  } catch (error) {
+    // Infrastructure errors leave the occurrence due for the next run
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+    lastRun = {
+      status: error.code === 'CREDIT_LIMIT_EXCEEDED' ? 'blocked' : 'failed',
+      amount: draft.grandTotal,
+      error: error.message,
+    };
+  }
+
+  lastRun = {...lastRun, date: runDate, at: new Date()};
+  const updated = await RecurringBill.findOneAndUpdate(
+    {_id: template._id, status: 'active', nextRunDate: runDate},
+    {
+      $set: {
+        nextRunDate: occurrence.nextRunDate,
+        status: occurrence.nextRunDate ? 'active' : 'ended',
+        lastRun,
+      },
+      $inc: {generatedCount: lastRun.status === 'generated' ? 1 : 0},
+    },
+    {new: true}
+  );
+
+  return {template: updated, lastRun};
+}
+
+/**
+ * Bill every occurrence of a template due up to `today`
+ *
+ * @returns {Promise<Array>} lastRun of each occurrence billed
+ */
+async function billDueOccurrences(template, today, requestId) {
+  const runs = [];
+  let current = template;
+
+  while (current && current.status === 'active' && current.nextRunDate && current.nextRunDate <= today) {
+    if (runs.length >= MAX_CATCH_UP_RUNS) {
+      logger.warn('[RecurringBill] Catch-up limit reached, rest left for the next run', {
+        recurringBillId: template._id,
+        nextRunDate: current.nextRunDate,
+      });
+      break;
+    }
+
+    const {template: next, lastRun} = await billOccurrence(current, toDay(current.nextRunDate), requestId);
+    runs.push(lastRun);
+    current = next;
+  }
+
+  return runs;
+}
+
+/**
+ * Create a recurring bill template (bills the first occurrence right away when it is due today)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.customerId - Customer billed
+ * @param {Object} params.fields - Template fields (items, frequency, dayOfMonth, startDate...)
+ * @param {string} params.actorUserId - User creating it
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {recurringBill, runs}
+ * @throws {AppError} NOT_FOUND, START_DATE_IN_PAST, RECURRING_BILL_NO_OCCURRENCE
+ */
+async function createRecurringBill({userId, customerId, fields, actorUserId, requestId}) {
+  const customer = await Customer.findOne({_id: customerId, userId, isDeleted: false}).select('_id').lean();
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'NOT_FOUND');
+  }
+
+  const today = todayIST();
+  const startDate = toDay(fields.startDate || today);
+  if (startDate < today) {
+    throw new AppError('Start date cannot be in the past', 400, 'START_DATE_IN_PAST');
+  }
+
+  const template = new RecurringBill({
+    ...fields,
+    userId,
+    customerId,
+    startDate,
+    endDate: fields.endDate ? toDay(fields.endDate) : null,
+    dayOfMonth: fields.dayOfMonth || startDate.getUTCDate(),
+    createdBy: actorUserId,
+  });
+  template.nextRunDate = firstRunDate(template, startDate);
+  if (!template.nextRunDate) {
+    throw new AppError('No bill falls between the start and end dates', 400, 'RECURRING_BILL_NO_OCCURRENCE');
+  }
+  await template.save();
+
+  const runs = await billDueOccurrences(template, today, requestId);
+  const recurringBill = runs.length > 0 ? await RecurringBill.findById(template._id) : template;
+
+  logger.info('[RecurringBill] Recurring bill created', {
+    userId,
+    recurringBillId: template._id,
+    frequency: template.frequency,
+    nextRunDate: recurringBill.nextRunDate,
+    billedNow: runs.length,
+    requestId,
+  });
+
+  return {recurringBill, runs};
+}
+
+/**
+ * Change the lines, amounts, due days, end date or proration of a template
+ *
+ * @returns {Promise<Object>} {before, recurringBill}
+ * @throws {AppError} RECURRING_BILL_NOT_FOUND, RECURRING_BILL_ENDED
+ */
+async function updateRecurringBill({userId, id, changes}) {
+  const template = await findTemplate(userId, id);
+  if (template.status === 'ended') {
+    throw new AppError('Recurring bill has ended', 409, 'RECURRING_BILL_ENDED');
+  }
+
+  const before = template.toObject();
+  for (const field of EDITABLE_FIELDS) {
+    if (changes[field] !== undefined) {
+      template[field] = field === 'endDate' && changes.endDate ? toDay(changes.endDate) : changes[field];
+    }
+  }
+
+  // An earlier end date can leave nothing more to bill
+  if (template.endDate && template.nextRunDate && template.nextRunDate > template.endDate) {
+    template.nextRunDate = null;
+    template.status = 'ended';
+  }
+
+  await template.save();
+  return {before, recurringBill: template};
+}
+
+/**
+ * Skip the next occurrence (it is never billed)
+ *
+ * @returns {Promise<Object>} {before, recurringBill, skippedDate}
+ * @throws {AppError} RECURRING_BILL_NOT_FOUND, RECURRING_BILL_STATUS_INVALID
+ */
+async function skipNextOccurrence({userId, id}) {
+  const template = await findTemplate(userId, id);
+  if (template.status !== 'active' || !template.nextRunDate) {
+    throw new AppError(`A ${template.status} recurring bill has no occurrence to skip`, 409, 'RECURRING_BILL_STATUS_INVALID');
+  }
+
+  const skippedDate = toDay(template.nextRunDate);
+  const {nextRunDate} = describeOccurrence(template, skippedDate);
+  const recurringBill = await RecurringBill.findOneAndUpdate(
+    {_id: template._id, status: 'active', nextRunDate: template.nextRunDate},
+    {
+      $set: {nextRunDate, status: nextRunDate ? 'active' : 'ended'},
+      $push: {skippedDates: skippedDate},
+    },
+    {new: true}
+  );
+  if (!recurringBill) {
+    throw new AppError('Recurring bill changed meanwhile. Please retry.', 409, 'RECURRING_BILL_CHANGED');
+  }
+
+  return {before: template.toObject(), recurringBill, skippedDate};
+}
+
+/**
+ * Pause a template: nothing is billed until it is resumed
+ *
+ * @throws {AppError} RECURRING_BILL_NOT_FOUND, RECURRING_BILL_STATUS_INVALID
+ */
+async function pauseRecurringBill({userId, id}) {
+  const template = await findTemplate(userId, id);
+  const recurringBill = await RecurringBill.findOneAndUpdate(
+    {_id: template._id, status: 'active'},
+    {$set: {status: 'paused', pausedAt: new Date()}},
+    {new: true}
+  );
+  if (!recurringBill) {
+    throw new AppError(`A ${template.status} recurring bill cannot be paused`, 409, 'RECURRING_BILL_STATUS_INVALID');
+  }
+
+  return {before: template.toObject(), recurringBill};
+}
+
+/**
+ * Resume a paused template. Occurrences missed while paused are not billed:
+ * billing restarts today (prorated to the period end) or at the next period
+ *
+ * @throws {AppError} RECURRING_BILL_NOT_FOUND, RECURRING_BILL_STATUS_INVALID
+ */
+async function resumeRecurringBill({userId, id, requestId}) {
+  const template = await findTemplate(userId, id);
+  if (template.status !== 'paused') {
+    throw new AppError(`A ${template.status} recurring bill cannot be resumed`, 409, 'RECURRING_BILL_STATUS_INVALID');
+  }
+
+  const today = todayIST();
+  const from = template.nextRunDate && template.nextRunDate > today ? template.nextRunDate : today;
+  const nextRunDate = firstRunDate(template, from);
+
+  let recurringBill = await RecurringBill.findOneAndUpdate(
+    {_id: template._id, status: 'paused'},
+    {$set: {status: nextRunDate ? 'active' : 'ended', nextRunDate, pausedAt: null}},
+    {new: true}
+  );
+  if (!recurringBill) {
+    throw new AppError('Recurring bill changed meanwhile. Please retry.', 409, 'RECURRING_BILL_CHANGED');
+  }
+
+  const runs = await billDueOccurrences(recurringBill, today, requestId);
+  if (runs.length > 0) {
+    recurringBill = await RecurringBill.findById(template._id);
+  }
+
+  return {before: template.toObject(), recurringBill, runs};
+}
+
+/**
+ * List templates (?customerId, ?status), newest first
+ *
+ * @returns {Promise<Object>} {recurringBills, pagination}
+ */
+async function listRecurringBills({userId, customerId, status, page = 1, limit = 50}) {
+  const filter = {userId};
+  if (customerId) filter.customerId = customerId;
+  if (status) filter.status = status;
+
+  const [recurringBills, total] = await Promise.all([
+    RecurringBill.find(filter)
+      .sort({createdAt: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('customerId', 'name phone')
+      .lean(),
+    RecurringBill.countDocuments(filter),
+  ]);
+
+  return {
+    recurringBills,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  };
+}
+
+/**
+ * One template with its latest bills and what the next occurrence will bill
+ *
+ * @returns {Promise<Object>} {recurringBill, bills, nextOccurrence}
+ */
+async function getRecurringBill({userId, id}) {
+  const template = await findTemplate(userId, id);
+  await template.populate('customerId', 'name phone');
+
+  const bills = await Bill.find({userId, recurringBillId: template._id, isDeleted: false})
+    .select('billNo grandTotal paidAmount status dueDate createdAt')
+    .sort({createdAt: -1})
+    .limit(12)
+    .lean();
+
+  let nextOccurrence = null;
+  if (template.status === 'active' && template.nextRunDate) {
+    const occurrence = describeOccurrence(template, toDay(template.nextRunDate));
+    const draft = buildBillDraft(template, occurrence);
+    nextOccurrence = {
+      date: occurrence.runDate,
+      periodFrom: occurrence.periodFrom,
+      periodTo: occurrence.periodTo,
+      prorated: occurrence.factor < 1,
+      grandTotal: draft.grandTotal,
+    };
+  }
+
+  return {recurringBill: template, bills, nextOccurrence};
+}
+
+/**
+ * Bill every occurrence due up to today, for all businesses (daily cron)
+ *
+ * Businesses not on a billing plan are left as they are: their occurrences
+ * stay due until they are back on one.
+ *
+ * @param {Object} [params]
+ * @param {Date} [params.today] - Calendar day to bill up to (defaults to today in IST)
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {businesses, generated, notGenerated, failedTemplates}
+ */
+async function runDueRecurringBills({today = todayIST(), requestId} = {}) {
+  const due = await RecurringBill.find({status: 'active', nextRunDate: {$lte: today}})
+    .sort({userId: 1, nextRunDate: 1});
+
+  const byBusiness = new Map();
+  for (const template of due) {
+    const key = String(template.userId);
+    if (!byBusiness.has(key)) byBusiness.set(key, []);
+    byBusiness.get(key).push(template);
+  }
+
+  const stats = {businesses: 0, generated: 0, notGenerated: 0, failedTemplates: 0};
+  const {generateRecurringBillsNotification} = require('./notifications/generators/recurringBills');
+
+  for (const [userId, templates] of byBusiness) {
+    const owner = await User.findById(userId).select('planStatus').lean();
+    if (!BILLING_PLANS.includes(owner?.planStatus)) {
+      logger.info('[RecurringBill] Business not on a billing plan, skipped', {userId, templates: templates.length});
+      continue;
+    }
+
+    const summary = {generated: 0, amount: 0, notGenerated: 0};
+    for (const template of templates) {
+      try {
+        const runs = await billDueOccurrences(template, today, requestId);
+        for (const run of runs) {
+          if (run.status === 'generated') {
+            summary.generated++;
+            summary.amount = round2(summary.amount + run.amount);
+          } else {
+            summary.notGenerated++;
+          }
+        }
+      } catch (error) {
+        stats.failedTemplates++;
+        logger.error('[RecurringBill] Template run failed', {
+          userId,
+          recurringBillId: template._id,
+          error: error.message,
+        });
+      }
+    }
+
+    stats.businesses++;
+    stats.generated += summary.generated;
+    stats.notGenerated += summary.notGenerated;
+
+    if (summary.generated > 0 || summary.notGenerated > 0) {
+      await generateRecurringBillsNotification({userId, date: today, ...summary});
+    }
+  }
+
+  logger.info('[RecurringBill] Run complete', {today: dayKey(today), ...stats, requestId});
+  return stats;
+}
+
+module.exports = {
+  FREQUENCY_MONTHS,
+  firstRunDate,
+  describeOccurrence,
+  buildBillDraft,
+  createRecurringBill,
+  updateRecurringBill,
+  skipNextOccurrence,
+  pauseRecurringBill,
+  resumeRecurringBill,
+  listRecurringBills,
+  getRecurringBill,
+  runDueRecurringBills,
+};
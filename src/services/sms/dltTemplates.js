@@ -0,0 +1,143 @@
+/**
+ * SMS DLT Template Registry
+ *
+ * TRAI's DLT rules require every commercial SMS to match a template and
+ * header (sender ID) registered by the business on a DLT portal. Reminder
+ * templates are mapped to their registrations via SMS_DLT_TEMPLATES; a
+ * reminder without a valid registration is never sent (the attempt fails
+ * with DLT_TEMPLATE_NOT_REGISTERED instead of being silently dropped).
+ *
+ * Translated registrations use "<templateKey>:<language>" keys (e.g.
+ * "recovery_urgent:hi"); lookups walk the i18n fallback chain and end at the
+ * plain key (the English registration).
+ */
+const {getSmsConfig} = require('../../config/sms');
+const {getFallbackChain} = require('../i18n');
+
+// DLT content template IDs are 19 digits; headers are 6 letters (transactional/service)
+const DLT_TEMPLATE_ID_PATTERN = /^\d{19}$/;
+const DLT_SENDER_ID_PATTERN = /^[A-Z]{6}$/;
+
+// Each {#var#} in a DLT template accepts at most 30 characters
+const DLT_VARIABLE_MAX_LENGTH = 30;
+
+// Default variable order ({#var#} 1..n) per reminder template
+const DEFAULT_TEMPLATE_VARIABLES = {
+  recovery_immediate: ['customerName', 'amount'],
+  recovery_gentle_reminder: ['customerName', 'amount'],
+  recovery_urgent: ['customerName', 'amount'],
+};
+
+const templateError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Find the registration for a template in the closest available language
+ *
+ * @returns {Object|null} {registration, language}
+ */
+function findRegistration(dltTemplates, templateKey, language) {
+  for (const candidate of getFallbackChain(language)) {
+    if (dltTemplates[`${templateKey}:${candidate}`]) {
+      return {registration: dltTemplates[`${templateKey}:${candidate}`], language: candidate};
+    }
+  }
+  return dltTemplates[templateKey] ? {registration: dltTemplates[templateKey], language: 'en'} : null;
+}
+
+/**
+ * Resolve the DLT registration for a template key
+ *
+ * @param {string} templateKey - Internal template key (e.g. recovery_urgent)
+ * @param {string} [language] - Preferred language (falls back to English registration)
+ * @returns {Object} {templateKey, language, dltTemplateId, providerTemplateId, senderId, variables}
+ * @throws {Error} Non-retryable DLT_TEMPLATE_NOT_REGISTERED / DLT_TEMPLATE_INVALID
+ */
+function getDltTemplate(templateKey, language) {
+  const {dltTemplates, defaultSenderId} = getSmsConfig();
+  const found = templateKey ? findRegistration(dltTemplates, templateKey, language) : null;
+  const registration = found?.registration;
+
+  if (!registration) {
+    throw templateError(
+      'DLT_TEMPLATE_NOT_REGISTERED',
+      `SMS template ${templateKey || '(none)'} has no registered DLT template`
+    );
+  }
+
+  const dltTemplateId = String(registration.dltTemplateId || '');
+  const senderId = String(registration.senderId || defaultSenderId || '').toUpperCase();
+  const variables = registration.variables || DEFAULT_TEMPLATE_VARIABLES[templateKey];
+
+  if (!DLT_TEMPLATE_ID_PATTERN.test(dltTemplateId)) {
+    throw templateError('DLT_TEMPLATE_INVALID', `SMS template ${templateKey} has an invalid DLT template ID`);
+  }
+  if (!DLT_SENDER_ID_PATTERN.test(senderId)) {
+    throw templateError('DLT_TEMPLATE_INVALID', `SMS template ${templateKey} has no valid 6-letter sender ID`);
+  }
+  if (!registration.providerTemplateId) {
+    throw templateError('DLT_TEMPLATE_INVALID', `SMS template ${templateKey} has no provider template ID`);
+  }
+  if (!Array.isArray(variables) || variables.length === 0) {
+    throw templateError('DLT_TEMPLATE_INVALID', `SMS template ${templateKey} has no variable mapping`);
+  }
+
+  return {
+    templateKey,
+    language: found.language,
+    dltTemplateId,
+    providerTemplateId: String(registration.providerTemplateId),
+    senderId,
+    variables,
+  };
+}
+
+/**
+ * Ordered {#var#} values for a registered template
+ *
+ * @param {Object} template - Output of getDltTemplate
+ * @param {Object} values - {customerName, amount, ...}
+ * @returns {Array<string>} Values (max DLT_VARIABLE_MAX_LENGTH chars each)
+ * @throws {Error} Non-retryable TEMPLATE_PARAMS_MISSING
+ */
+function buildDltVariables(template, values = {}) {
+  const missing = template.variables.filter(name =>
+    values[name] === undefined || values[name] === null || values[name] === '');
+  if (missing.length > 0) {
+    throw templateError('TEMPLATE_PARAMS_MISSING', `Missing SMS template variables: ${missing.join(', ')}`);
+  }
+
+  return template.variables.map(name => {
+    const value = name === 'amount'
+      ? Number(values.amount).toLocaleString('en-IN', {maximumFractionDigits: 2})
+      : String(values[name]);
+    return value.replace(/\s+/g, ' ').trim().slice(0, DLT_VARIABLE_MAX_LENGTH);
+  });
+}
+
+/**
+ * Registration status of every reminder template (for diagnostics)
+ *
+ * @returns {Array} [{templateKey, registered, error}]
+ */
+function getDltRegistrationStatus() {
+  return Object.keys(DEFAULT_TEMPLATE_VARIABLES).map(templateKey => {
+    try {
+      getDltTemplate(templateKey);
+      return {templateKey, registered: true, error: null};
+    } catch (error) {
+      return {templateKey, registered: false, error: error.message};
+    }
+  });
+}
+
+module.exports = {
+  DLT_VARIABLE_MAX_LENGTH,
+  getDltTemplate,
+  buildDltVariables,
+  getDltRegistrationStatus,
+};
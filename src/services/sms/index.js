@@ -0,0 +1,58 @@
+/**
+ * SMS Provider Registry
+ * Provider-agnostic SMS sending; chooses provider based on SMS_PROVIDER env variable
+ */
+const MSG91SmsProvider = require('./providers/msg91');
+const {getSmsConfig} = require('../../config/sms');
+
+// Supported providers
+const PROVIDERS = {
+  MSG91: MSG91SmsProvider,
+  // Add more providers here:
+  // GUPSHUP: GupshupSmsProvider,
+};
+
+/**
+ * Get SMS provider class by name
+ * @param {string} providerName
+ * @returns {Function} Provider class
+ */
+const getProviderClass = (providerName) => {
+  const ProviderClass = PROVIDERS[providerName];
+  if (!ProviderClass) {
+    throw new Error(
+      `Invalid SMS_PROVIDER: ${providerName}. Supported: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  return ProviderClass;
+};
+
+// Lazy-load provider
+let providerInstance = null;
+
+/**
+ * Get SMS provider instance
+ * @returns {BaseSmsProvider}
+ */
+const getSmsProvider = () => {
+  if (!providerInstance) {
+    const config = getSmsConfig();
+    const ProviderClass = getProviderClass(config.provider);
+    providerInstance = new ProviderClass(config);
+  }
+  return providerInstance;
+};
+
+/**
+ * Reset cached provider (tests / config reload)
+ */
+const resetSmsProvider = () => {
+  providerInstance = null;
+};
+
+module.exports = {
+  PROVIDERS,
+  getProviderClass,
+  getSmsProvider,
+  resetSmsProvider,
+};
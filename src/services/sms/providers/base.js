@@ -0,0 +1,52 @@
+/**
+ * Base SMS Provider Interface
+ * All SMS notification providers must implement this interface
+ *
+ * This abstraction allows swapping providers (MSG91, Gupshup, etc.) without
+ * changing the SMS transport or delivery report handling
+ */
+
+/**
+ * @typedef {Object} SmsSendResult
+ * @property {string} providerMessageId - Provider's request/message ID (matched by delivery reports)
+ * @property {Object} [raw] - Sanitized provider response
+ */
+
+/**
+ * @typedef {Object} SmsDeliveryReport
+ * @property {string} providerMessageId - Provider's request/message ID
+ * @property {string} status - SENT | DELIVERED | FAILED
+ * @property {Date} timestamp - When the provider observed the status
+ * @property {Object} [error] - {code, message, retryable, providerResponse} for FAILED
+ */
+
+class BaseSmsProvider {
+  constructor(config) {
+    this.config = config;
+    this.providerName = 'BASE';
+  }
+
+  /**
+   * Send a DLT-registered template SMS
+   * @param {Object} _params
+   * @param {string} _params.phoneE164 - Recipient in E.164 format
+   * @param {Object} _params.template - DLT registration (see dltTemplates.getDltTemplate)
+   * @param {Array<string>} _params.variables - Ordered {#var#} values
+   * @returns {Promise<SmsSendResult>}
+   * @throws {Error} With code and retryable set
+   */
+  async sendTemplateSms(_params) {
+    throw new Error('sendTemplateSms() must be implemented by provider');
+  }
+
+  /**
+   * Parse a delivery report webhook body
+   * @param {Object} _body - Parsed webhook body
+   * @returns {Array<SmsDeliveryReport>}
+   */
+  parseDeliveryReports(_body) {
+    throw new Error('parseDeliveryReports() must be implemented by provider');
+  }
+}
+
+module.exports = BaseSmsProvider;
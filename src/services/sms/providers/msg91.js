@@ -0,0 +1,192 @@
+/**
+ * MSG91 SMS Provider Implementation
+ *
+ * Sends DLT template SMS via the MSG91 Flow API and parses MSG91 delivery
+ * reports (DLR webhook). The flow's template must be linked to the DLT
+ * template ID on the MSG91 panel; DLT_TE_ID is also sent per request.
+ */
+const axios = require('axios');
+const BaseSmsProvider = require('./base');
+const {formatForMSG91} = require('../../../utils/phone');
+
+// MSG91 DLR status codes
+const DLR_STATUS = {
+  1: {status: 'DELIVERED'},
+  8: {status: 'SENT'}, // Accepted by operator, awaiting handset
+  2: {status: 'FAILED', code: 'SMS_DELIVERY_FAILED', retryable: true},
+  9: {status: 'FAILED', code: 'SMS_NDNC_BLOCKED', retryable: false},
+  16: {status: 'FAILED', code: 'SMS_REJECTED', retryable: false},
+  17: {status: 'FAILED', code: 'SMS_BLOCKED_NUMBER', retryable: false},
+  25: {status: 'FAILED', code: 'SMS_REJECTED', retryable: false},
+  26: {status: 'FAILED', code: 'SMS_DLT_REJECTED', retryable: false},
+};
+
+class MSG91SmsProvider extends BaseSmsProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'MSG91';
+    this.authKey = config.authKey;
+
+    if (!this.authKey) {
+      throw new Error('MSG91_AUTHKEY is required');
+    }
+
+    this.baseUrl = 'https://control.msg91.com/api/v5';
+  }
+
+  /**
+   * Build an Error with delivery-worker fields
+   */
+  _classifyError({message, httpStatus, providerResponse}) {
+    const text = String(message || 'MSG91 send failed');
+
+    let code;
+    let retryable;
+    if (!httpStatus) {
+      code = 'SMS_NETWORK_ERROR';
+      retryable = true;
+    } else if (httpStatus === 429 || httpStatus >= 500) {
+      code = httpStatus === 429 ? 'SMS_RATE_LIMITED' : 'SMS_PROVIDER_UNAVAILABLE';
+      retryable = true;
+    } else if (httpStatus === 401 || httpStatus === 403 || /auth/i.test(text)) {
+      code = 'SMS_AUTH_ERROR';
+      retryable = false;
+    } else if (/template|dlt|flow|sender/i.test(text)) {
+      code = 'SMS_TEMPLATE_ERROR';
+      retryable = false;
+    } else {
+      code = 'SMS_SEND_FAILED';
+      retryable = false;
+    }
+
+    const error = new Error(text);
+    error.code = code;
+    error.retryable = retryable;
+    error.providerResponse = providerResponse || null;
+    return error;
+  }
+
+  /**
+   * Send a DLT template SMS via the Flow API
+   * @param {Object} params
+   * @param {string} params.phoneE164 - E.164 phone number
+   * @param {Object} params.template - DLT registration
+   * @param {Array<string>} params.variables - Ordered {#var#} values
+   * @returns {Promise<SmsSendResult>}
+   */
+  async sendTemplateSms({phoneE164, template, variables}) {
+    const recipient = {mobiles: formatForMSG91(phoneE164)};
+    variables.forEach((value, index) => {
+      recipient[`var${index + 1}`] = value;
+    });
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseUrl}/flow/`,
+        {
+          template_id: template.providerTemplateId,
+          sender: template.senderId,
+          DLT_TE_ID: template.dltTemplateId,
+          short_url: '0',
+          recipients: [recipient],
+        },
+        {
+          headers: {authkey: this.authKey, 'Content-Type': 'application/json'},
+          timeout: 10000,
+        }
+      );
+    } catch (error) {
+      const data = error.response?.data;
+      throw this._classifyError({
+        message: data?.message || error.message,
+        httpStatus: error.response?.status,
+        providerResponse: data ? this.sanitizeResponse(data) : null,
+      });
+    }
+
+    const data = response.data || {};
+    // Success: { type: "success", message: "<request id>" }
+    if (data.type !== 'success' || !data.message) {
+      throw this._classifyError({
+        message: data.message || 'MSG91 response missing request id',
+        httpStatus: response.status,
+        providerResponse: this.sanitizeResponse(data),
+      });
+    }
+
+    return {
+      providerMessageId: String(data.message),
+      raw: this.sanitizeResponse(data),
+    };
+  }
+
+  /**
+   * Parse a MSG91 DLR webhook body
+   * MSG91 posts `data` as a JSON string (form/JSON) or an already-parsed array:
+   * [{ requestId, report: [{ number, status, desc, date }] }]
+   *
+   * @param {Object} body - Webhook body
+   * @returns {Array<SmsDeliveryReport>}
+   */
+  parseDeliveryReports(body) {
+    let data = body?.data ?? body;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        return [];
+      }
+    }
+    if (!Array.isArray(data)) {
+      return [];
+    }
+
+    const reports = [];
+    for (const request of data) {
+      const providerMessageId = request?.requestId;
+      if (!providerMessageId || !Array.isArray(request.report)) {
+        continue;
+      }
+
+      for (const report of request.report) {
+        const mapped = DLR_STATUS[Number(report?.status)];
+        if (!mapped) {
+          continue;
+        }
+
+        const parsedDate = report.date ? new Date(report.date) : null;
+        const timestamp = parsedDate && !isNaN(parsedDate.getTime()) ? parsedDate : new Date();
+
+        reports.push({
+          providerMessageId: String(providerMessageId),
+          status: mapped.status,
+          timestamp,
+          error: mapped.status === 'FAILED'
+            ? {
+              code: mapped.code,
+              message: report.desc || mapped.code,
+              retryable: mapped.retryable,
+              providerResponse: {status: report.status, desc: report.desc},
+            }
+            : undefined,
+        });
+      }
+    }
+
+    return reports;
+  }
+
+  /**
+   * Remove sensitive fields before logging/storing provider responses
+   */
+  sanitizeResponse(response) {
+    if (!response || typeof response !== 'object') return {};
+
+    const sanitized = {...response};
+    delete sanitized.authkey;
+    return sanitized;
+  }
+}
+
+module.exports = MSG91SmsProvider;
@@ -0,0 +1,41 @@
+/**
+ * TRAI Quiet Hours
+ *
+ * Commercial (promotional / service-implicit) SMS may only be delivered
+ * between 09:00 and 21:00 IST. Reminders due outside the window are deferred
+ * to the next 09:00 IST rather than sent or failed.
+ */
+const {IST_OFFSET_MS} = require('../../utils/timezone.util');
+
+const SMS_WINDOW_START_HOUR_IST = 9;
+const SMS_WINDOW_END_HOUR_IST = 21;
+
+/**
+ * Next time SMS may be sent (null if `now` is inside the window)
+ *
+ * @param {Date} [now] - Current time (real UTC instant)
+ * @returns {Date|null} Start of the next send window, or null if sending is allowed now
+ */
+function getSmsQuietHoursDeferral(now = new Date()) {
+  // Wall-clock IST expressed in UTC fields
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  const hour = ist.getUTCHours();
+
+  if (hour >= SMS_WINDOW_START_HOUR_IST && hour < SMS_WINDOW_END_HOUR_IST) {
+    return null;
+  }
+
+  const windowStart = new Date(ist);
+  windowStart.setUTCHours(SMS_WINDOW_START_HOUR_IST, 0, 0, 0);
+  if (hour >= SMS_WINDOW_END_HOUR_IST) {
+    windowStart.setUTCDate(windowStart.getUTCDate() + 1);
+  }
+
+  return new Date(windowStart.getTime() - IST_OFFSET_MS);
+}
+
+module.exports = {
+  SMS_WINDOW_START_HOUR_IST,
+  SMS_WINDOW_END_HOUR_IST,
+  getSmsQuietHoursDeferral,
+};
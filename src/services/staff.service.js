@@ -0,0 +1,322 @@
+/**
+ * Staff Service
+ *
+ * Multi-user businesses: invitations, seat accounting, joining and revocation.
+ * A business is identified by its owner's user id; staff users point at it via
+ * User.businessId so every userId-scoped query resolves to the shared data.
+ */
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const StaffInvite = require('../models/StaffInvite');
+const BusinessSettings = require('../models/BusinessSettings');
+const {createAuditEvent} = require('./auditHelper.service');
+const {businessHasData} = require('./backup.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const INVITE_TTL_DAYS = 7;
+// Holds left behind by a crashed request stop counting after this
+const SEAT_HOLD_TTL_MS = 60 * 1000;
+
+/**
+ * Count seats in use: owner + active staff + pending (unexpired) invites
+ *
+ * @param {ObjectId} businessId - Owner user id
+ * @returns {Promise<Object>} { seatsIncluded, seatsUsed, activeStaff, pendingInvites }
+ */
+async function getSeatUsage(businessId) {
+  const [settings, activeStaff, pendingInvites] = await Promise.all([
+    BusinessSettings.getOrCreate(businessId),
+    User.countDocuments({
+      businessId,
+      _id: {$ne: businessId},
+      staffStatus: 'ACTIVE',
+    }),
+    StaffInvite.countDocuments({
+      businessId,
+      status: 'PENDING',
+      expiresAt: {$gt: new Date()},
+    }),
+  ]);
+
+  return {
+    seatsIncluded: settings.seatsIncluded,
+    seatsUsed: 1 + activeStaff + pendingInvites,
+    activeStaff,
+    pendingInvites,
+  };
+}
+
+/**
+ * Hold a seat while an invite is being created
+ *
+ * The hold is pushed atomically before seats are counted, so of two
+ * concurrent invites at least one sees the other (its hold or its invite)
+ * and the seat limit can't be overshot.
+ *
+ * @param {ObjectId} businessId - Owner user id
+ * @returns {Promise<Object>} { holdId, holds } - holds includes this one
+ */
+async function holdSeat(businessId) {
+  const holdId = new mongoose.Types.ObjectId();
+  const now = new Date();
+
+  const settings = await BusinessSettings.findOneAndUpdate(
+    {userId: businessId},
+    {
+      $push: {staffSeatHolds: {_id: holdId, at: now}},
+      $setOnInsert: {businessId},
+    },
+    {new: true, upsert: true, setDefaultsOnInsert: true}
+  ).select('staffSeatHolds');
+
+  const cutoff = now.getTime() - SEAT_HOLD_TTL_MS;
+  const holds = settings.staffSeatHolds.filter(hold => hold.at.getTime() > cutoff).length;
+
+  return {holdId, holds};
+}
+
+/**
+ * Release a seat hold (and drop expired ones)
+ */
+async function releaseSeatHold(businessId, holdId) {
+  await BusinessSettings.updateOne(
+    {userId: businessId},
+    {
+      $pull: {
+        staffSeatHolds: {
+          $or: [{_id: holdId}, {at: {$lt: new Date(Date.now() - SEAT_HOLD_TTL_MS)}}],
+        },
+      },
+    }
+  );
+}
+
+/**
+ * Invite a staff member by mobile number
+ *
+ * @param {Object} params
+ * @param {Object} params.owner - Inviting user (OWNER/ADMIN)
+ * @param {string} params.mobile - Digits-only mobile
+ * @param {string} params.countryCode - e.g. +91
+ * @param {string} params.name - Optional display name
+ * @param {string} params.role - STAFF | ADMIN
+ * @param {string} params.actorRole - Role of the inviting user
+ * @param {string} params.requestId - Request ID for tracing
+ * @returns {Promise<Object>} Created invite
+ */
+async function inviteStaff({owner, mobile, countryCode, name, role, actorRole, requestId}) {
+  const businessId = owner.businessId;
+
+  const existingUser = await User.findOne({mobile});
+
+  if (existingUser) {
+    if (existingUser.businessId && existingUser.businessId.toString() === businessId.toString()
+      && existingUser.staffStatus === 'ACTIVE') {
+      throw new AppError('This mobile number is already part of your business', 409, 'ALREADY_MEMBER');
+    }
+
+    if (existingUser.isStaffMember() && existingUser.staffStatus === 'ACTIVE') {
+      throw new AppError('This mobile number is staff of another business', 409, 'MEMBER_OF_OTHER_BUSINESS');
+    }
+
+    if (!existingUser.isStaffMember() && (await businessHasData(existingUser._id))) {
+      throw new AppError(
+        'This mobile number already runs its own business with data',
+        409,
+        'MOBILE_HAS_BUSINESS'
+      );
+    }
+  }
+
+  const pending = await StaffInvite.findOne({businessId, mobile, status: 'PENDING'});
+  if (pending && pending.expiresAt > new Date()) {
+    throw new AppError('An invite is already pending for this mobile number', 409, 'INVITE_PENDING', {
+      inviteId: pending._id,
+    });
+  }
+  if (pending) {
+    pending.status = 'EXPIRED';
+    await pending.save();
+  }
+
+  const {holdId, holds} = await holdSeat(businessId);
+  let invite;
+  try {
+    const usage = await getSeatUsage(businessId);
+    // Invites being created right now (this one included) take a seat each
+    if (usage.seatsUsed + holds > usage.seatsIncluded) {
+      throw new AppError(
+        `All ${usage.seatsIncluded} seats are in use. Revoke a staff member or upgrade your plan.`,
+        403,
+        'SEAT_LIMIT_REACHED',
+        usage
+      );
+    }
+
+    invite = await StaffInvite.create({
+      businessId,
+      invitedBy: owner._id,
+      mobile,
+      countryCode,
+      name,
+      role,
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } finally {
+    // Once created the invite itself is counted; on failure the seat is freed
+    await releaseSeatHold(businessId, holdId);
+  }
+
+  await createAuditEvent({
+    action: 'STAFF_INVITED',
+    actorUserId: owner._id,
+    actorRole,
+    entityType: 'STAFF',
+    entityId: invite._id,
+    businessId,
+    metadata: {mobile, role},
+    requestId,
+  });
+
+  logger.info('[Staff] Invite created', {
+    inviteId: invite._id,
+    businessId,
+    role,
+  });
+
+  return invite;
+}
+
+/**
+ * Join a pending invite on login (called from OTP auth)
+ *
+ * Revoked staff without a new invite are detached into their own (empty) business.
+ *
+ * @param {Object} user - User document that just authenticated
+ * @returns {Promise<Object>} Updated user
+ */
+async function claimStaffInvite(user) {
+  const invite = await StaffInvite.findOne({
+    mobile: user.mobile,
+    status: 'PENDING',
+    expiresAt: {$gt: new Date()},
+  }).sort({createdAt: -1});
+
+  if (!invite) {
+    if (user.isStaffMember() && user.staffStatus === 'REVOKED') {
+      user.businessId = user._id;
+      user.role = 'OWNER';
+      user.staffStatus = 'ACTIVE';
+      await user.save();
+
+      logger.info('[Staff] Revoked staff detached into own business', {userId: user._id});
+    }
+    return user;
+  }
+
+  const alreadyActiveElsewhere = user.isStaffMember()
+    && user.staffStatus === 'ACTIVE'
+    && user.businessId.toString() !== invite.businessId.toString();
+
+  if (alreadyActiveElsewhere || (!user.isStaffMember() && (await businessHasData(user._id)))) {
+    logger.warn('[Staff] Invite not claimed: user belongs to another business', {
+      userId: user._id,
+      inviteId: invite._id,
+    });
+    return user;
+  }
+
+  user.businessId = invite.businessId;
+  user.role = invite.role;
+  user.staffStatus = 'ACTIVE';
+  user.staffRevokedAt = undefined;
+  user.staffRevokedBy = undefined;
+  if (!user.name && invite.name) {
+    user.name = invite.name;
+  }
+  await user.save();
+
+  invite.status = 'ACCEPTED';
+  invite.acceptedUserId = user._id;
+  invite.acceptedAt = new Date();
+  await invite.save();
+
+  await createAuditEvent({
+    action: 'STAFF_JOINED',
+    actorUserId: user._id,
+    actorRole: user.role,
+    entityType: 'STAFF',
+    entityId: user._id,
+    businessId: invite.businessId,
+    metadata: {inviteId: invite._id, mobile: user.mobile},
+  });
+
+  logger.info('[Staff] Invite accepted', {
+    inviteId: invite._id,
+    userId: user._id,
+    businessId: invite.businessId,
+  });
+
+  return user;
+}
+
+/**
+ * Revoke a staff member's access (takes effect on their next request)
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.businessId - Owner user id
+ * @param {string} params.staffUserId - Staff user to revoke
+ * @param {Object} params.actor - User performing the revocation
+ * @param {string} params.actorRole - Role of the actor
+ * @param {string} params.requestId - Request ID for tracing
+ * @returns {Promise<Object>} Revoked user
+ */
+async function revokeStaff({businessId, staffUserId, actor, actorRole, requestId}) {
+  if (staffUserId.toString() === businessId.toString()) {
+    throw new AppError('The business owner cannot be revoked', 400, 'CANNOT_REVOKE_OWNER');
+  }
+  if (staffUserId.toString() === actor._id.toString()) {
+    throw new AppError('You cannot revoke your own access', 400, 'CANNOT_REVOKE_SELF');
+  }
+
+  const staff = await User.findOne({_id: staffUserId, businessId});
+
+  if (!staff) {
+    throw new AppError('Staff member not found', 404, 'NOT_FOUND');
+  }
+  if (staff.staffStatus === 'REVOKED') {
+    return staff;
+  }
+
+  staff.staffStatus = 'REVOKED';
+  staff.staffRevokedAt = new Date();
+  staff.staffRevokedBy = actor._id;
+  await staff.save();
+
+  await createAuditEvent({
+    action: 'STAFF_REVOKED',
+    actorUserId: actor._id,
+    actorRole,
+    entityType: 'STAFF',
+    entityId: staff._id,
+    businessId,
+    metadata: {mobile: staff.mobile, role: staff.role},
+    requestId,
+  });
+
+  logger.info('[Staff] Access revoked', {
+    staffUserId: staff._id,
+    businessId,
+  });
+
+  return staff;
+}
+
+module.exports = {
+  INVITE_TTL_DAYS,
+  getSeatUsage,
+  inviteStaff,
+  claimStaffInvite,
+  revokeStaff,
+};
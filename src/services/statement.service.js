@@ -0,0 +1,386 @@
+/**
+ * Customer Statement Service
+ *
+ * Builds a customer account statement for a date range:
+ * opening balance, every bill / payment / ledger entry in order with a
+ * running balance, and the closing balance.
+ *
+ * Balance = amount the customer owes the business (negative: held for the customer, shown as Cr).
+ * - Bills are charged at their full grandTotal; any amount paid at billing
+ *   appears as a separate payment line (bill ledger credits only book the unpaid part).
+ * - Ledger debits are payments received; manual ledger credits are charges.
+ * - Amended bills keep their original total; each amendment is a separate
+ *   charge (increase) or credit (decrease) line on the day it was made.
+ * - Credit notes (sales returns) are credit lines for their full value; any part
+ *   above what was still due leaves the customer in credit.
+ * - Reversed customer payments (bounced cheque, failed transfer) are charged back,
+ *   with the cheque bounce charge (if configured) as a separate charge line.
+ * - Refunds of credit balance are charge lines (they bring a negative balance,
+ *   i.e. money held for the customer, back towards zero).
+ * - Cancelled / deleted bills are reversed for whatever was still unpaid.
+ * - The opening balance (brought forward from before the customer was added)
+ *   is a charge dated as of when it was owed, ahead of that day's bills.
+ *
+ * Statements that run up to today carry a UPI pay request for the open bills.
+ */
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const User = require('../models/User');
+const {getUpiConfig, buildUpiPayment, withUpiQr} = require('./upi.service');
+const {getNowIST, getStartOfDayIST, getEndOfDayIST} = require('../utils/timezone.util');
+const AppError = require('../utils/AppError');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Default statement period: start of current month (IST) to end of today
+ */
+function getDefaultPeriod() {
+  const nowIST = getNowIST();
+  const firstOfMonth = new Date(Date.UTC(nowIST.getUTCFullYear(), nowIST.getUTCMonth(), 1));
+
+  return {
+    from: getStartOfDayIST(firstOfMonth),
+    to: getEndOfDayIST(new Date()),
+  };
+}
+
+/**
+ * Resolve the bill a ledger transaction belongs to (if any)
+ *
+ * Newer entries carry metadata.billId; older ones are matched through the
+ * idempotency key (bill_<id>_...) or the note written by the bill controller.
+ */
+function findLinkedBill(txn, billsById, billsByNo) {
+  const billId = txn.metadata?.billId;
+  if (billId && billsById.has(String(billId))) {
+    return billsById.get(String(billId));
+  }
+
+  const keyMatch = /^bill_([a-f0-9]{24})_/.exec(txn.idempotencyKey || '');
+  if (keyMatch && billsById.has(keyMatch[1])) {
+    return billsById.get(keyMatch[1]);
+  }
+
+  const noteMatch = /^(?:Bill (.+) created|Payment for Bill (.+))$/.exec(txn.note || '');
+  if (noteMatch) {
+    return billsByNo.get(noteMatch[1] || noteMatch[2]) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Build unsorted statement lines for the full customer history
+ *
+ * @param {Array} bills - All bills of the customer (incl. cancelled/deleted)
+ * @param {Array} transactions - All ledger transactions of the customer
+ * @returns {Array} Lines: {at, order, type, description, reference, billId, transactionId, charge, received}
+ */
+function buildStatementLines(bills, transactions) {
+  const billsById = new Map(bills.map(bill => [String(bill._id), bill]));
+  const billsByNo = new Map(bills.map(bill => [bill.billNo, bill]));
+  const bookedOnLedger = new Map();
+  const amendedBy = new Map();
+  const lines = [];
+
+  for (const txn of transactions) {
+    if (txn.source === 'opening' || txn.metadata?.source === 'opening') {
+      if (txn.amount > 0) {
+        lines.push({
+          at: new Date(txn.asOfDate || txn.metadata?.asOfDate || txn.createdAt),
+          order: -1,
+          type: 'OPENING_BALANCE',
+          description: txn.note || 'Opening balance',
+          reference: null,
+          billId: null,
+          transactionId: txn._id,
+          charge: txn.amount,
+          received: 0,
+        });
+      }
+      continue;
+    }
+
+    const bill = findLinkedBill(txn, billsById, billsByNo);
+
+    if (bill && txn.metadata?.source === 'bill_amend') {
+      // Bill amendment: the bill line keeps its original total, the change is its own line
+      const isIncrease = txn.type === 'credit';
+      const billKey = String(bill._id);
+      amendedBy.set(billKey, round2((amendedBy.get(billKey) || 0) + (isIncrease ? txn.amount : -txn.amount)));
+      lines.push({
+        at: new Date(txn.createdAt),
+        order: 2,
+        type: 'BILL_AMENDMENT',
+        description: txn.note || `Bill ${bill.billNo} amended`,
+        reference: bill.billNo,
+        billId: bill._id,
+        transactionId: txn._id,
+        charge: isIncrease ? txn.amount : 0,
+        received: isIncrease ? 0 : txn.amount,
+      });
+      continue;
+    }
+
+    if (txn.metadata?.source === 'credit_note') {
+      lines.push({
+        at: new Date(txn.createdAt),
+        order: 2,
+        type: 'CREDIT_NOTE',
+        description: txn.note || `Credit note ${txn.metadata.creditNoteNo}`,
+        reference: txn.metadata.creditNoteNo,
+        billId: bill ? bill._id : null,
+        transactionId: txn._id,
+        charge: 0,
+        received: txn.amount,
+      });
+      continue;
+    }
+
+    if (txn.metadata?.source === 'customer_payment_reversal') {
+      lines.push({
+        at: new Date(txn.createdAt),
+        order: 2,
+        type: 'PAYMENT_REVERSAL',
+        description: txn.note || `Payment reversed (Receipt ${txn.metadata.receiptNo})`,
+        reference: txn.metadata.receiptNo,
+        billId: null,
+        transactionId: txn._id,
+        charge: txn.amount,
+        received: 0,
+      });
+      continue;
+    }
+
+    if (txn.metadata?.source === 'customer_refund') {
+      lines.push({
+        at: new Date(txn.createdAt),
+        order: 2,
+        type: 'REFUND',
+        description: txn.note || 'Refund paid',
+        reference: txn.paymentReference || null,
+        billId: null,
+        transactionId: txn._id,
+        charge: txn.amount,
+        received: 0,
+      });
+      continue;
+    }
+
+    if (txn.metadata?.source === 'cheque_bounce_charge') {
+      lines.push({
+        at: new Date(txn.createdAt),
+        order: 2,
+        type: 'CHEQUE_BOUNCE_CHARGE',
+        description: txn.note || `Cheque bounce charge (Cheque ${txn.metadata.chequeNumber})`,
+        reference: txn.metadata.receiptNo,
+        billId: null,
+        transactionId: txn._id,
+        charge: txn.amount,
+        received: 0,
+      });
+      continue;
+    }
+
+    if (txn.type === 'credit' && bill) {
+      // Credit auto-created for the unpaid part of a bill: shown on the bill line
+      const billKey = String(bill._id);
+      bookedOnLedger.set(billKey, (bookedOnLedger.get(billKey) || 0) + txn.amount);
+      continue;
+    }
+
+    const isCharge = txn.type === 'credit';
+    lines.push({
+      at: new Date(txn.createdAt),
+      order: 2,
+      type: isCharge ? 'CREDIT' : 'PAYMENT',
+      description: txn.note || (isCharge ? 'Credit given' : 'Payment received'),
+      reference: bill ? bill.billNo : null,
+      billId: bill ? bill._id : null,
+      transactionId: txn._id,
+      charge: isCharge ? txn.amount : 0,
+      received: isCharge ? 0 : txn.amount,
+      // How the money was received (payments only)
+      paymentMode: txn.paymentMode || null,
+      paymentReference: txn.paymentReference || null,
+    });
+  }
+
+  for (const bill of bills) {
+    const billKey = String(bill._id);
+    const createdAt = new Date(bill.createdAt);
+    const originalTotal = round2(bill.grandTotal - (amendedBy.get(billKey) || 0));
+
+    lines.push({
+      at: createdAt,
+      order: 0,
+      type: 'BILL',
+      description: `Bill ${bill.billNo}`,
+      reference: bill.billNo,
+      billId: bill._id,
+      transactionId: null,
+      charge: originalTotal,
+      received: 0,
+    });
+
+    const paidAtBilling = round2(originalTotal - (bookedOnLedger.get(billKey) || 0));
+    if (paidAtBilling > 0) {
+      lines.push({
+        at: createdAt,
+        order: 1,
+        type: 'PAYMENT',
+        description: `Paid at billing (${bill.billNo})`,
+        reference: bill.billNo,
+        billId: bill._id,
+        transactionId: null,
+        charge: 0,
+        received: paidAtBilling,
+      });
+    }
+
+    const isReversed = bill.isDeleted || bill.status === 'cancelled';
+    const unpaid = round2(bill.grandTotal - (bill.paidAmount || 0));
+    if (isReversed && unpaid > 0) {
+      lines.push({
+        at: new Date(bill.isDeleted && bill.deletedAt ? bill.deletedAt : bill.updatedAt),
+        order: 3,
+        type: 'BILL_REVERSAL',
+        description: `Bill ${bill.billNo} ${bill.isDeleted ? 'deleted' : 'cancelled'}`,
+        reference: bill.billNo,
+        billId: bill._id,
+        transactionId: null,
+        charge: 0,
+        received: unpaid,
+      });
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Split lines into opening balance + period entries with running balance
+ *
+ * @param {Array} lines - Output of buildStatementLines
+ * @param {Date} from - Period start (inclusive)
+ * @param {Date} to - Period end (inclusive)
+ * @returns {Object} {openingBalance, entries, totalCharges, totalReceived, closingBalance}
+ */
+function computeRunningBalance(lines, from, to) {
+  const sorted = [...lines].sort((a, b) => a.at - b.at || a.order - b.order);
+
+  let openingBalance = 0;
+  let balance = 0;
+  let totalCharges = 0;
+  let totalReceived = 0;
+  const entries = [];
+
+  for (const line of sorted) {
+    if (line.at < from) {
+      openingBalance = round2(openingBalance + line.charge - line.received);
+      balance = openingBalance;
+      continue;
+    }
+    if (line.at > to) {
+      break;
+    }
+
+    balance = round2(balance + line.charge - line.received);
+    totalCharges = round2(totalCharges + line.charge);
+    totalReceived = round2(totalReceived + line.received);
+
+    entries.push({
+      date: line.at,
+      type: line.type,
+      description: line.description,
+      reference: line.reference,
+      billId: line.billId,
+      transactionId: line.transactionId,
+      charge: line.charge,
+      received: line.received,
+      balance,
+    });
+  }
+
+  return {
+    openingBalance,
+    entries,
+    totalCharges,
+    totalReceived,
+    closingBalance: balance,
+  };
+}
+
+/**
+ * Build a customer account statement
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Business id
+ * @param {string} params.customerId - Customer id
+ * @param {Date} [params.from] - Period start (defaults to start of current month, IST)
+ * @param {Date} [params.to] - Period end (defaults to today, IST)
+ * @returns {Promise<Object>} Statement
+ */
+async function buildCustomerStatement({userId, customerId, from, to}) {
+  const customer = await Customer.findOne({_id: customerId, userId}).lean();
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  const defaults = getDefaultPeriod();
+  const periodFrom = from ? getStartOfDayIST(from) : defaults.from;
+  const periodTo = to ? getEndOfDayIST(to) : defaults.to;
+
+  if (periodFrom > periodTo) {
+    throw new AppError('"from" must be before "to"', 400, 'VALIDATION_ERROR');
+  }
+
+  const [bills, transactions, owner] = await Promise.all([
+    Bill.find({userId, customerId}).lean(),
+    LedgerTransaction.find({userId, customerId}).sort({createdAt: 1}).lean(),
+    User.findById(userId).select('name businessName mobile phone').lean(),
+  ]);
+
+  const lines = buildStatementLines(bills, transactions);
+  const totals = computeRunningBalance(lines, periodFrom, periodTo);
+
+  // UPI pay request for what is pending today (only on statements that run up to today)
+  let upi = null;
+  if (periodTo >= getStartOfDayIST(new Date())) {
+    const openBills = bills.filter(bill =>
+      !bill.isDeleted && (bill.status === 'unpaid' || bill.status === 'partial'));
+    const pending = openBills.reduce((sum, bill) => sum + bill.grandTotal - (bill.paidAmount || 0), 0);
+    upi = await withUpiQr(buildUpiPayment(await getUpiConfig(userId), {
+      amount: pending,
+      billNos: openBills.map(bill => bill.billNo),
+    }));
+  }
+
+  return {
+    business: {
+      name: owner?.businessName || owner?.name || 'ProfitHooks',
+      phone: owner?.mobile || owner?.phone || null,
+    },
+    customer: {
+      id: customer._id,
+      name: customer.name,
+      phone: customer.phone || null,
+    },
+    period: {from: periodFrom, to: periodTo},
+    ...totals,
+    // Closing balance in the customer's favour (advance held for them)
+    creditBalance: totals.closingBalance < 0 ? -totals.closingBalance : 0,
+    upi,
+    generatedAt: new Date(),
+  };
+}
+
+module.exports = {
+  buildCustomerStatement,
+  buildStatementLines,
+  computeRunningBalance,
+  getDefaultPeriod,
+};
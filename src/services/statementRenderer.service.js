@@ -0,0 +1,894 @@
+/**
+ * Statement Renderer
+ *
+ * Printable HTML and PDF output for customer account statements
+ * (input is the object produced by statement.service buildCustomerStatement),
+ * plus the public customer and credit note pages served for share links
+ */
+const PDFDocument = require('pdfkit');
+const {IST_OFFSET_MS} = require('../utils/timezone.util');
+const {generateUpiQrPng} = require('./upi.service');
+const {DEFAULT_LANGUAGE, getLabels, translate} = require('./i18n');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format date as "5 Oct 2026" in IST
+ */
+const formatDate = date => {
+  if (!date) return 'N/A';
+  const d = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  if (isNaN(d.getTime())) return 'N/A';
+  return `${d.getUTCDate()} ${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+};
+
+const formatCurrency = amount => {
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+  }).format(amount || 0);
+};
+
+/**
+ * Plain amount for PDF (standard PDF fonts have no ₹ glyph)
+ */
+const formatAmount = amount => {
+  return new Intl.NumberFormat('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(amount || 0);
+};
+
+/**
+ * Running balance: negative balances are held for the customer, shown as "Cr"
+ */
+const formatBalance = amount => (amount < 0 ? `${formatCurrency(-amount)} Cr` : formatCurrency(amount));
+
+/**
+ * Running balance for PDF (see formatBalance)
+ */
+const formatBalanceAmount = amount => (amount < 0 ? `${formatAmount(-amount)} Cr` : formatAmount(amount));
+
+/**
+ * Escape HTML to prevent XSS
+ */
+const escapeHtml = text => {
+  if (text === null || text === undefined) return '';
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;',
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+};
+
+/**
+ * "Pay via UPI" block (QR + deep link) shared by public bill and statement pages
+ *
+ * @param {Object|null} upi - Output of upi.service withUpiQr
+ * @param {string} [language] - Page language (i18n upi.* labels)
+ * @returns {string} HTML ('' when UPI is not available)
+ */
+const renderUpiPayHtml = (upi, language = DEFAULT_LANGUAGE) => {
+  if (!upi) return '';
+
+  return `
+    <div style="margin-top: 24px; padding: 16px; background: #F9FAFB; border-radius: 8px; text-align: center;">
+      <div style="font-size: 16px; font-weight: 600; color: #111827;">${escapeHtml(translate('upi.payAmount', {amount: formatCurrency(upi.amount)}, language))}</div>
+      ${upi.qrDataUrl ? `<img src="${escapeHtml(upi.qrDataUrl)}" alt="UPI QR code" width="200" height="200" style="margin: 12px auto; display: block;">` : ''}
+      <a href="${escapeHtml(upi.link)}" style="display: inline-block; margin-top: 4px; padding: 10px 20px; background: #111827; color: #FFFFFF; border-radius: 8px; text-decoration: none; font-weight: 600;">${escapeHtml(translate('upi.payWithApp', {}, language))}</a>
+      <div style="margin-top: 8px; font-size: 12px; color: #6B7280;">${escapeHtml(upi.vpa)} · ${escapeHtml(upi.note)}</div>
+    </div>
+  `;
+};
+
+/**
+ * Render statement as a printable HTML page
+ *
+ * @param {Object} statement - Statement object
+ * @returns {string} HTML
+ */
+const renderStatementHtml = statement => {
+  const {business, customer, period} = statement;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Statement - ${escapeHtml(customer.name)}</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: #F6F7F9;
+      color: #111827;
+      line-height: 1.6;
+      padding: 16px;
+    }
+    .container {
+      max-width: 800px;
+      margin: 0 auto;
+      background: #FFFFFF;
+      border-radius: 12px;
+      padding: 24px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    .header {
+      text-align: center;
+      margin-bottom: 24px;
+      padding-bottom: 16px;
+      border-bottom: 1px solid #E5E7EB;
+    }
+    .business-name {
+      font-size: 22px;
+      font-weight: 700;
+    }
+    .title {
+      font-size: 14px;
+      font-weight: 600;
+      color: #6B7280;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+    }
+    .period {
+      font-size: 14px;
+      color: #6B7280;
+    }
+    .customer {
+      margin-bottom: 24px;
+      padding: 16px;
+      background: #F9FAFB;
+      border-radius: 8px;
+    }
+    .customer-name {
+      font-size: 18px;
+      font-weight: 600;
+    }
+    .customer-phone {
+      font-size: 14px;
+      color: #6B7280;
+    }
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(4, 1fr);
+      gap: 12px;
+      margin-bottom: 24px;
+    }
+    .summary-item {
+      padding: 12px;
+      background: #F9FAFB;
+      border-radius: 8px;
+    }
+    .summary-label {
+      font-size: 12px;
+      color: #6B7280;
+    }
+    .summary-value {
+      font-size: 16px;
+      font-weight: 600;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+    th {
+      text-align: left;
+      padding: 10px 8px;
+      font-size: 12px;
+      font-weight: 600;
+      color: #6B7280;
+      text-transform: uppercase;
+      border-bottom: 1px solid #E5E7EB;
+    }
+    td {
+      padding: 10px 8px;
+      border-bottom: 1px solid #F3F4F6;
+      vertical-align: top;
+    }
+    .num {
+      text-align: right;
+      white-space: nowrap;
+    }
+    .ref {
+      font-size: 12px;
+      color: #6B7280;
+    }
+    .row-muted td {
+      color: #6B7280;
+      font-style: italic;
+    }
+    .row-closing td {
+      font-weight: 700;
+      border-top: 2px solid #E5E7EB;
+    }
+    .footer {
+      margin-top: 32px;
+      padding-top: 16px;
+      border-top: 1px solid #E5E7EB;
+      text-align: center;
+      font-size: 12px;
+      color: #9CA3AF;
+    }
+    @media (max-width: 600px) {
+      .container {
+        padding: 16px;
+      }
+      .summary {
+        grid-template-columns: 1fr 1fr;
+      }
+    }
+    @media print {
+      body {
+        background: #FFFFFF;
+        padding: 0;
+      }
+      .container {
+        box-shadow: none;
+        max-width: none;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <div class="business-name">${escapeHtml(business.name)}</div>
+      <div class="title">Statement of Account</div>
+      <div class="period">${formatDate(period.from)} – ${formatDate(period.to)}</div>
+    </div>
+
+    <div class="customer">
+      <div class="customer-name">${escapeHtml(customer.name)}</div>
+      ${customer.phone ? `<div class="customer-phone">${escapeHtml(customer.phone)}</div>` : ''}
+    </div>
+
+    <div class="summary">
+      <div class="summary-item">
+        <div class="summary-label">Opening Balance</div>
+        <div class="summary-value">${formatBalance(statement.openingBalance)}</div>
+      </div>
+      <div class="summary-item">
+        <div class="summary-label">Billed</div>
+        <div class="summary-value">${formatCurrency(statement.totalCharges)}</div>
+      </div>
+      <div class="summary-item">
+        <div class="summary-label">Received</div>
+        <div class="summary-value">${formatCurrency(statement.totalReceived)}</div>
+      </div>
+      <div class="summary-item">
+        <div class="summary-label">Closing Balance</div>
+        <div class="summary-value">${formatBalance(statement.closingBalance)}</div>
+      </div>
+    </div>
+
+    <table>
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Particulars</th>
+          <th class="num">Billed</th>
+          <th class="num">Received</th>
+          <th class="num">Balance</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr class="row-muted">
+          <td>${formatDate(period.from)}</td>
+          <td>Opening balance</td>
+          <td class="num"></td>
+          <td class="num"></td>
+          <td class="num">${formatBalance(statement.openingBalance)}</td>
+        </tr>
+        ${statement.entries.map(entry => `
+        <tr>
+          <td>${formatDate(entry.date)}</td>
+          <td>
+            ${escapeHtml(entry.description)}
+            ${entry.reference && !entry.description.includes(entry.reference)
+              ? `<div class="ref">${escapeHtml(entry.reference)}</div>`
+              : ''}
+          </td>
+          <td class="num">${entry.charge ? formatCurrency(entry.charge) : ''}</td>
+          <td class="num">${entry.received ? formatCurrency(entry.received) : ''}</td>
+          <td class="num">${formatBalance(entry.balance)}</td>
+        </tr>
+        `).join('')}
+        <tr class="row-closing">
+          <td>${formatDate(period.to)}</td>
+          <td>Closing balance</td>
+          <td class="num">${formatCurrency(statement.totalCharges)}</td>
+          <td class="num">${formatCurrency(statement.totalReceived)}</td>
+          <td class="num">${formatBalance(statement.closingBalance)}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    ${renderUpiPayHtml(statement.upi)}
+
+    <div class="footer">
+      Generated on ${formatDate(statement.generatedAt)} · Shared via Profit Hooks
+    </div>
+  </div>
+</body>
+</html>`;
+};
+
+/**
+ * Render statement as a PDF (A4)
+ *
+ * @param {Object} statement - Statement object
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderStatementPdf = async statement => {
+  const upiQrPng = statement.upi ? await generateUpiQrPng(statement.upi.link) : null;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({size: 'A4', margin: 40});
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const {business, customer, period} = statement;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const columns = [
+      {key: 'date', label: 'Date', width: 70, align: 'left'},
+      {key: 'description', label: 'Particulars', width: width - 70 - 3 * 85, align: 'left'},
+      {key: 'charge', label: 'Billed (Rs.)', width: 85, align: 'right'},
+      {key: 'received', label: 'Received (Rs.)', width: 85, align: 'right'},
+      {key: 'balance', label: 'Balance (Rs.)', width: 85, align: 'right'},
+    ];
+
+    const drawRow = (cells, {bold = false} = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+      const height = Math.max(
+        ...columns.map(col => doc.heightOfString(cells[col.key] || '', {width: col.width - 6}))
+      ) + 6;
+
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+
+      const y = doc.y;
+      let x = left;
+      for (const col of columns) {
+        doc.text(cells[col.key] || '', x + 3, y + 3, {width: col.width - 6, align: col.align});
+        x += col.width;
+      }
+      doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#E5E7EB').stroke();
+      doc.y = y + height;
+    };
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(16).text(business.name, {align: 'center'});
+    doc.font('Helvetica').fontSize(10).fillColor('#6B7280')
+      .text('STATEMENT OF ACCOUNT', {align: 'center'})
+      .text(`${formatDate(period.from)} - ${formatDate(period.to)}`, {align: 'center'});
+    doc.moveDown();
+
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(12).text(customer.name, left);
+    if (customer.phone) {
+      doc.font('Helvetica').fontSize(10).text(customer.phone, left);
+    }
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica').fontSize(10)
+      .text(`Opening balance: Rs. ${formatBalanceAmount(statement.openingBalance)}`, left)
+      .text(`Billed: Rs. ${formatAmount(statement.totalCharges)}`, left)
+      .text(`Received: Rs. ${formatAmount(statement.totalReceived)}`, left);
+    doc.font('Helvetica-Bold')
+      .text(`Closing balance: Rs. ${formatBalanceAmount(statement.closingBalance)}`, left);
+    doc.moveDown();
+
+    // Table
+    drawRow(Object.fromEntries(columns.map(col => [col.key, col.label])), {bold: true});
+    drawRow({
+      date: formatDate(period.from),
+      description: 'Opening balance',
+      balance: formatBalanceAmount(statement.openingBalance),
+    });
+
+    for (const entry of statement.entries) {
+      const showReference = entry.reference && !entry.description.includes(entry.reference);
+      drawRow({
+        date: formatDate(entry.date),
+        description: showReference ? `${entry.description} (${entry.reference})` : entry.description,
+        charge: entry.charge ? formatAmount(entry.charge) : '',
+        received: entry.received ? formatAmount(entry.received) : '',
+        balance: formatBalanceAmount(entry.balance),
+      });
+    }
+
+    drawRow({
+      date: formatDate(period.to),
+      description: 'Closing balance',
+      charge: formatAmount(statement.totalCharges),
+      received: formatAmount(statement.totalReceived),
+      balance: formatBalanceAmount(statement.closingBalance),
+    }, {bold: true});
+
+    if (statement.upi) {
+      const qrSize = 110;
+      if (doc.y + qrSize + 40 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+      doc.moveDown();
+      doc.fillColor('#111827').font('Helvetica-Bold').fontSize(10)
+        .text(`Pay Rs. ${formatAmount(statement.upi.amount)} via UPI`, left);
+      doc.font('Helvetica').fontSize(9)
+        .text(`UPI ID: ${statement.upi.vpa} (${statement.upi.note})`, left);
+      doc.image(upiQrPng, left, doc.y + 4, {width: qrSize, height: qrSize});
+      doc.y += qrSize + 8;
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(8).fillColor('#9CA3AF')
+      .text(`Generated on ${formatDate(statement.generatedAt)} - Shared via Profit Hooks`, left, doc.y, {
+        width,
+        align: 'center',
+      });
+
+    doc.end();
+  });
+};
+
+/**
+ * Render the public customer page (open bills + recent payments)
+ *
+ * @param {Object} data - Output of customerShare.service sanitizeStatementForPublic
+ * @returns {string} HTML
+ */
+const renderPublicStatementHtml = data => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(data.shopName)} - Account</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: #F6F7F9;
+      color: #111827;
+      line-height: 1.6;
+      padding: 16px;
+    }
+    .container {
+      max-width: 600px;
+      margin: 0 auto;
+      background: #FFFFFF;
+      border-radius: 12px;
+      padding: 24px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    .header {
+      text-align: center;
+      margin-bottom: 24px;
+      padding-bottom: 16px;
+      border-bottom: 1px solid #E5E7EB;
+    }
+    .business-name {
+      font-size: 22px;
+      font-weight: 700;
+    }
+    .customer-name {
+      font-size: 14px;
+      color: #6B7280;
+    }
+    .outstanding {
+      text-align: center;
+      margin-bottom: 24px;
+      padding: 16px;
+      background: #F9FAFB;
+      border-radius: 8px;
+    }
+    .outstanding-label {
+      font-size: 12px;
+      color: #6B7280;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+    }
+    .outstanding-value {
+      font-size: 28px;
+      font-weight: 700;
+    }
+    .overdue {
+      font-size: 14px;
+      color: #EF4444;
+    }
+    .section-title {
+      font-size: 16px;
+      font-weight: 600;
+      margin: 24px 0 12px 0;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+    th {
+      text-align: left;
+      padding: 10px 8px;
+      font-size: 12px;
+      font-weight: 600;
+      color: #6B7280;
+      text-transform: uppercase;
+      border-bottom: 1px solid #E5E7EB;
+    }
+    td {
+      padding: 10px 8px;
+      border-bottom: 1px solid #F3F4F6;
+      vertical-align: top;
+    }
+    .num {
+      text-align: right;
+      white-space: nowrap;
+    }
+    .ref {
+      font-size: 12px;
+      color: #6B7280;
+    }
+    .ref-overdue {
+      font-size: 12px;
+      color: #EF4444;
+    }
+    .empty {
+      font-size: 14px;
+      color: #6B7280;
+    }
+    .footer {
+      margin-top: 32px;
+      padding-top: 16px;
+      border-top: 1px solid #E5E7EB;
+      text-align: center;
+      font-size: 12px;
+      color: #9CA3AF;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <div class="business-name">${escapeHtml(data.shopName)}</div>
+      <div class="customer-name">Account of ${escapeHtml(data.customerName)}</div>
+    </div>
+
+    <div class="outstanding">
+      <div class="outstanding-label">Total Outstanding</div>
+      <div class="outstanding-value">${formatCurrency(data.totalOutstanding)}</div>
+      ${data.overdueAmount > 0 ? `<div class="overdue">${formatCurrency(data.overdueAmount)} overdue</div>` : ''}
+    </div>
+
+    <div class="section-title">Open Bills</div>
+    ${data.openBills.length > 0 ? `
+    <table>
+      <thead>
+        <tr>
+          <th>Bill</th>
+          <th class="num">Total</th>
+          <th class="num">Pending</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${data.openBills.map(bill => `
+        <tr>
+          <td>
+            ${escapeHtml(bill.billNo)}
+            <div class="ref">${formatDate(bill.billDate)}</div>
+            ${bill.dueDate ? `<div class="${bill.isOverdue ? 'ref-overdue' : 'ref'}">Due ${formatDate(bill.dueDate)}</div>` : ''}
+          </td>
+          <td class="num">${formatCurrency(bill.grandTotal)}</td>
+          <td class="num">${formatCurrency(bill.pendingAmount)}</td>
+        </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ` : '<div class="empty">No open bills. Thank you!</div>'}
+
+    ${renderUpiPayHtml(data.upi)}
+
+    <div class="section-title">Recent Payments</div>
+    ${data.recentPayments.length > 0 ? `
+    <table>
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Bill</th>
+          <th class="num">Amount</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${data.recentPayments.map(payment => `
+        <tr>
+          <td>${formatDate(payment.date)}</td>
+          <td>${escapeHtml(payment.billNo || '-')}</td>
+          <td class="num">${formatCurrency(payment.amount)}</td>
+        </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ` : '<div class="empty">No payments yet.</div>'}
+
+    <div class="footer">
+      Updated ${formatDate(data.generatedAt)} · Shared via Profit Hooks
+    </div>
+  </div>
+</body>
+</html>`;
+};
+
+/**
+ * Render the public credit note page (share link)
+ *
+ * @param {Object} data - Output of creditNoteShare.service sanitizeCreditNoteForPublic
+ * @param {string} [language] - Page language (i18n publicBill.* labels)
+ * @returns {string} HTML
+ */
+const renderPublicCreditNoteHtml = (data, language = DEFAULT_LANGUAGE) => {
+  const labels = getLabels('publicBill', language);
+  const gst = data.gst;
+  const stateTaxLabel = gst?.stateTaxName === 'UTGST' ? labels.utgst : labels.sgst;
+  const totalRow = (label, amount) => `
+      <div class="total-row"><span>${escapeHtml(label)}</span><span>${formatCurrency(amount)}</span></div>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(translate('publicBill.creditNoteTitle', {creditNoteNo: data.creditNoteNo}, language))}</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: #F6F7F9;
+      color: #111827;
+      line-height: 1.6;
+      padding: 16px;
+    }
+    .container {
+      max-width: 600px;
+      margin: 0 auto;
+      background: #FFFFFF;
+      border-radius: 12px;
+      padding: 24px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    .header {
+      text-align: center;
+      margin-bottom: 24px;
+      padding-bottom: 16px;
+      border-bottom: 1px solid #E5E7EB;
+    }
+    .doc-type {
+      font-size: 12px;
+      font-weight: 600;
+      color: #6B7280;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+    }
+    .doc-no {
+      font-size: 24px;
+      font-weight: 700;
+    }
+    .ref {
+      font-size: 14px;
+      color: #6B7280;
+    }
+    .party {
+      margin-bottom: 16px;
+      padding: 16px;
+      background: #F9FAFB;
+      border-radius: 8px;
+      font-size: 14px;
+    }
+    .party-label {
+      font-size: 12px;
+      color: #6B7280;
+    }
+    .party-name {
+      font-size: 18px;
+      font-weight: 600;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin: 16px 0;
+      font-size: 14px;
+    }
+    th {
+      text-align: left;
+      padding: 10px 8px;
+      font-size: 12px;
+      font-weight: 600;
+      color: #6B7280;
+      text-transform: uppercase;
+      border-bottom: 1px solid #E5E7EB;
+    }
+    td {
+      padding: 10px 8px;
+      border-bottom: 1px solid #F3F4F6;
+    }
+    .num {
+      text-align: right;
+      white-space: nowrap;
+    }
+    .total-row {
+      display: flex;
+      justify-content: space-between;
+      padding: 6px 0;
+      font-size: 14px;
+    }
+    .total-row.grand {
+      font-size: 18px;
+      font-weight: 700;
+      margin-top: 8px;
+      padding-top: 12px;
+      border-top: 1px solid #E5E7EB;
+    }
+    .notes {
+      margin-top: 24px;
+      padding: 16px;
+      background: #F9FAFB;
+      border-radius: 8px;
+      font-size: 14px;
+    }
+    .footer {
+      margin-top: 32px;
+      padding-top: 16px;
+      border-top: 1px solid #E5E7EB;
+      text-align: center;
+      font-size: 12px;
+      color: #9CA3AF;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <div class="doc-type">${escapeHtml(labels.creditNote)}</div>
+      <div class="doc-no">${escapeHtml(data.creditNoteNo)}</div>
+      <div class="ref">${formatDate(data.date)}</div>
+      <div class="ref">${escapeHtml(translate('publicBill.againstBill', {billNo: data.billNo, billDate: formatDate(data.billDate)}, language))}</div>
+    </div>
+
+    <div class="party">
+      <div class="party-label">${escapeHtml(labels.supplier)}</div>
+      <div class="party-name">${escapeHtml(gst ? gst.supplierLegalName : data.shopName)}</div>
+      ${gst?.supplierAddress ? `<div>${escapeHtml(gst.supplierAddress)}</div>` : ''}
+      ${gst ? `<div>${escapeHtml(labels.gstin)}: ${escapeHtml(gst.supplierGstin)}</div>` : ''}
+    </div>
+
+    <div class="party">
+      <div class="party-label">${escapeHtml(labels.billTo)}</div>
+      <div class="party-name">${escapeHtml(data.customerName)}</div>
+      ${gst?.customerAddress ? `<div>${escapeHtml(gst.customerAddress)}</div>` : ''}
+      ${gst?.customerGstin ? `<div>${escapeHtml(labels.gstin)}: ${escapeHtml(gst.customerGstin)}</div>` : ''}
+      ${gst ? `<div>${escapeHtml(labels.placeOfSupply)}: ${escapeHtml(gst.placeOfSupplyName)}</div>` : ''}
+    </div>
+
+    <table>
+      <thead>
+        <tr>
+          <th>${escapeHtml(labels.item)}</th>
+          ${gst ? `<th>${escapeHtml(labels.hsn)}</th>` : ''}
+          <th class="num">${escapeHtml(labels.qty)}</th>
+          <th class="num">${escapeHtml(labels.price)}</th>
+          ${gst ? `<th class="num">${escapeHtml(labels.taxableValue)}</th><th class="num">${escapeHtml(labels.gstRate)}</th>` : `<th class="num">${escapeHtml(labels.total)}</th>`}
+        </tr>
+      </thead>
+      <tbody>
+        ${data.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.name)}</td>
+          ${gst ? `<td>${escapeHtml(item.hsnCode)}</td>` : ''}
+          <td class="num">${item.qty}</td>
+          <td class="num">${formatCurrency(item.price)}</td>
+          ${gst ? `<td class="num">${formatCurrency(item.taxableValue)}</td><td class="num">${item.gstRate}%</td>` : `<td class="num">${formatCurrency(item.total)}</td>`}
+        </tr>
+        `).join('')}
+      </tbody>
+    </table>
+
+    <div>
+      ${totalRow(labels.subtotal, data.subTotal)}
+      ${data.discount > 0 ? totalRow(labels.discount, -data.discount) : ''}
+      ${gst ? `
+      ${totalRow(labels.taxableValue, gst.taxableValue)}
+      ${gst.supplyType === 'INTER_STATE'
+        ? totalRow(labels.igst, gst.igst)
+        : `${totalRow(labels.cgst, gst.cgst)}${totalRow(stateTaxLabel, gst.sgst)}`}
+      ` : data.tax > 0 ? totalRow(labels.tax, data.tax) : ''}
+      <div class="total-row grand"><span>${escapeHtml(labels.total)}</span><span>${formatCurrency(data.grandTotal)}</span></div>
+    </div>
+
+    ${data.reason ? `
+    <div class="notes">
+      <strong>${escapeHtml(labels.reason)}:</strong><br>
+      ${escapeHtml(data.reason)}
+    </div>
+    ` : ''}
+
+    <div class="footer">
+      ${escapeHtml(labels.sharedVia)}
+    </div>
+  </div>
+</body>
+</html>`;
+};
+
+/**
+ * Render a minimal error page for public links (not found / expired)
+ *
+ * @param {string} title - Page heading
+ * @param {string} message - Explanation
+ * @returns {string} HTML
+ */
+const renderLinkErrorHtml = (title, message) => {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: #F6F7F9;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      min-height: 100vh;
+      margin: 0;
+      padding: 16px;
+    }
+    .container {
+      text-align: center;
+      background: #FFFFFF;
+      padding: 32px;
+      border-radius: 12px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    h1 { color: #111827; margin-bottom: 8px; }
+    p { color: #6B7280; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+  </div>
+</body>
+</html>`;
+};
+
+module.exports = {
+  renderStatementHtml,
+  renderStatementPdf,
+  renderPublicStatementHtml,
+  renderPublicCreditNoteHtml,
+  renderLinkErrorHtml,
+  renderUpiPayHtml,
+  escapeHtml,
+  formatDate,
+};
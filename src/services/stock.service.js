@@ -0,0 +1,400 @@
+/**
+ * Stock Service
+ *
+ * Stock of tracked catalog items (Item.trackStock), kept as StockMovement entries:
+ * - Bills take stock out for lines linked to a tracked item; an amendment moves
+ *   the difference; cancelling or deleting a bill puts back what it still holds
+ * - Credit notes (sales returns) put the returned quantities back
+ * - Purchase bills add the quantities bought (and set the purchase cost);
+ *   deleting the purchase bill takes them back out
+ * - Owners adjust stock by hand with a reason (purchase, damage, count...);
+ *   the first adjustment starts tracking the item
+ *
+ * Stock may go below zero: billing is never blocked by stock. Each change is an
+ * atomic $inc on the item and the movement records the balance it left.
+ * Stock falling to the reorder level notifies the owner (LOW_STOCK).
+ */
+const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Quantities can be fractional (kg, ltr)
+const round3 = value => Math.round(value * 1000) / 1000;
+
+// Movements making up what a bill took out (before returns / cancellation)
+const SALE_TYPES = ['sale', 'sale_amended'];
+
+/**
+ * Sum quantities per item id
+ */
+const sumByItem = (entries, qtyOf) => {
+  const totals = new Map();
+  for (const entry of entries) {
+    if (!entry.itemId) continue;
+    const key = String(entry.itemId);
+    totals.set(key, round3((totals.get(key) || 0) + qtyOf(entry)));
+  }
+  return totals;
+};
+
+/**
+ * Tracked item ids among `itemIds`
+ */
+async function findTrackedItemIds(userId, itemIds) {
+  if (itemIds.length === 0) return new Set();
+  const items = await Item.find({_id: {$in: itemIds}, userId, trackStock: true}).select('_id').lean();
+  return new Set(items.map(item => String(item._id)));
+}
+
+/**
+ * Notify the owner when a stock-out takes an item to its reorder level
+ */
+async function notifyIfLowStock(item, qty) {
+  if (qty >= 0 || item.reorderLevel == null) return;
+  const after = item.stockQty;
+  if (after > item.reorderLevel || after - qty <= item.reorderLevel) return;
+
+  const {generateLowStockNotification} = require('./notifications/generators/lowStock');
+  await generateLowStockNotification({userId: item.userId, item});
+}
+
+/**
+ * Change the stock of one item and record the movement
+ *
+ * @param {Object} params
+ * @param {boolean} [params.startTracking] - Start tracking an untracked item (else untracked items are left alone)
+ * @returns {Promise<Object|null>} {item, movement}; null when the item is not tracked (or not found)
+ */
+async function moveStock({
+  userId,
+  itemId,
+  qty,
+  type,
+  reason = null,
+  note = '',
+  unitCost = null,
+  bill = null,
+  creditNoteId = null,
+  purchaseBillId = null,
+  createdBy = null,
+  startTracking = false,
+}) {
+  const $set = {};
+  if (startTracking) $set.trackStock = true;
+  if (unitCost != null) $set.purchaseCost = unitCost;
+
+  const item = await Item.findOneAndUpdate(
+    startTracking ? {_id: itemId, userId} : {_id: itemId, userId, trackStock: true},
+    {$inc: {stockQty: qty}, ...(Object.keys($set).length > 0 && {$set})},
+    {new: true}
+  );
+  if (!item) return null;
+
+  const movement = await StockMovement.create({
+    userId,
+    itemId: item._id,
+    type,
+    qty,
+    balanceAfter: round3(item.stockQty),
+    reason,
+    note,
+    unitCost,
+    billId: bill ? bill._id : null,
+    billNo: bill ? bill.billNo : null,
+    creditNoteId,
+    purchaseBillId,
+    createdBy,
+  });
+
+  await notifyIfLowStock(item, qty);
+
+  return {item, movement};
+}
+
+/**
+ * Bring the stock taken out by a bill in line with its lines
+ * (bill created: 'sale'; bill lines changed: 'sale_amended')
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {Object} params.bill - Bill (items with itemId, qty)
+ * @param {string} params.type - sale | sale_amended
+ * @returns {Promise<Array>} Movements recorded
+ */
+async function syncBillStock({userId, bill, type}) {
+  const billed = sumByItem(bill.items || [], line => (line.qty > 0 ? line.qty : 0));
+
+  const previous = type === 'sale'
+    ? []
+    : await StockMovement.find({userId, billId: bill._id, type: {$in: SALE_TYPES}}).select('itemId qty').lean();
+  const taken = sumByItem(previous, movement => -movement.qty);
+
+  const tracked = await findTrackedItemIds(userId, [...new Set([...billed.keys(), ...taken.keys()])]);
+
+  const movements = [];
+  for (const itemId of tracked) {
+    const qty = round3((taken.get(itemId) || 0) - (billed.get(itemId) || 0));
+    if (qty === 0) continue;
+
+    const result = await moveStock({userId, itemId, qty, type, bill});
+    if (result) movements.push(result.movement);
+  }
+
+  return movements;
+}
+
+/**
+ * Put back the stock a cancelled or deleted bill still holds
+ * (what it took out less returns already credited)
+ *
+ * @returns {Promise<Array>} Movements recorded
+ */
+async function restoreBillStock({userId, bill}) {
+  const previous = await StockMovement.find({userId, billId: bill._id}).select('itemId qty').lean();
+  const held = sumByItem(previous, movement => -movement.qty);
+
+  const movements = [];
+  for (const [itemId, qty] of held) {
+    if (qty <= 0) continue;
+
+    const result = await moveStock({userId, itemId, qty, type: 'sale_cancelled', bill});
+    if (result) movements.push(result.movement);
+  }
+
+  return movements;
+}
+
+/**
+ * Put back the quantities returned on a credit note
+ *
+ * @returns {Promise<Array>} Movements recorded
+ */
+async function recordSalesReturn({userId, creditNote}) {
+  const returned = sumByItem(creditNote.items || [], line => line.qty);
+  const tracked = await findTrackedItemIds(userId, [...returned.keys()]);
+  const bill = {_id: creditNote.billId, billNo: creditNote.billNo};
+
+  const movements = [];
+  for (const itemId of tracked) {
+    const result = await moveStock({
+      userId,
+      itemId,
+      qty: returned.get(itemId),
+      type: 'sales_return',
+      note: `Credit note ${creditNote.creditNoteNo}`,
+      bill,
+      creditNoteId: creditNote._id,
+    });
+    if (result) movements.push(result.movement);
+  }
+
+  return movements;
+}
+
+/**
+ * Add the quantities bought on a purchase bill; the item's purchase cost
+ * becomes the average cost of the bill's lines for it
+ *
+ * @returns {Promise<Array>} Movements recorded
+ */
+async function recordPurchaseStock({userId, purchaseBill}) {
+  const bought = sumByItem(purchaseBill.items || [], line => line.qty);
+  const cost = sumByItem(purchaseBill.items || [], line => line.qty * line.price);
+  const tracked = await findTrackedItemIds(userId, [...bought.keys()]);
+
+  const movements = [];
+  for (const itemId of tracked) {
+    const qty = bought.get(itemId);
+    if (qty <= 0) continue;
+
+    const result = await moveStock({
+      userId,
+      itemId,
+      qty,
+      type: 'purchase',
+      note: `Purchase bill ${purchaseBill.billNo}`,
+      unitCost: round2(cost.get(itemId) / qty),
+      purchaseBillId: purchaseBill._id,
+    });
+    if (result) movements.push(result.movement);
+  }
+
+  return movements;
+}
+
+/**
+ * Take back out the stock a deleted purchase bill added
+ *
+ * @returns {Promise<Array>} Movements recorded
+ */
+async function reversePurchaseStock({userId, purchaseBill}) {
+  const previous = await StockMovement.find({userId, purchaseBillId: purchaseBill._id}).select('itemId qty').lean();
+  const added = sumByItem(previous, movement => movement.qty);
+
+  const movements = [];
+  for (const [itemId, qty] of added) {
+    if (qty <= 0) continue;
+
+    const result = await moveStock({
+      userId,
+      itemId,
+      qty: -qty,
+      type: 'purchase_deleted',
+      note: `Purchase bill ${purchaseBill.billNo} deleted`,
+      purchaseBillId: purchaseBill._id,
+    });
+    if (result) movements.push(result.movement);
+  }
+
+  return movements;
+}
+
+/**
+ * Record the opening stock of an item created with stock
+ */
+async function recordOpeningStock({item, createdBy}) {
+  return StockMovement.create({
+    userId: item.userId,
+    itemId: item._id,
+    type: 'opening',
+    qty: item.stockQty,
+    balanceAfter: item.stockQty,
+    unitCost: item.purchaseCost,
+    createdBy,
+  });
+}
+
+/**
+ * Adjust an item's stock by hand (starts tracking the item)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.itemId - Item ID
+ * @param {number} params.qty - Signed quantity (negative: stock out)
+ * @param {string} params.reason - purchase | damage | expired | theft | own_use | count_correction | other
+ * @param {string} [params.note]
+ * @param {number} [params.unitCost] - Purchase cost per unit (becomes the item's purchase cost)
+ * @param {string} params.actorUserId - User adjusting
+ * @returns {Promise<Object>} {before, item, movement}
+ * @throws {AppError} NOT_FOUND, STOCK_ADJUSTMENT_INVALID
+ */
+async function adjustStock({userId, itemId, qty, reason, note, unitCost, actorUserId}) {
+  const before = await Item.findOne({_id: itemId, userId, isActive: true}).lean();
+  if (!before) {
+    throw new AppError('Item not found', 404, 'NOT_FOUND');
+  }
+  if (unitCost != null && reason !== 'purchase') {
+    throw new AppError('Unit cost can only be given for purchases', 400, 'STOCK_ADJUSTMENT_INVALID');
+  }
+
+  const result = await moveStock({
+    userId,
+    itemId,
+    qty,
+    type: 'adjustment',
+    reason,
+    note: note || '',
+    unitCost: unitCost ?? null,
+    createdBy: actorUserId,
+    startTracking: true,
+  });
+  if (!result) {
+    throw new AppError('Item not found', 404, 'NOT_FOUND');
+  }
+
+  logger.info('[Stock] Stock adjusted', {
+    userId,
+    itemId,
+    qty,
+    reason,
+    balanceAfter: result.movement.balanceAfter,
+  });
+
+  return {before, ...result};
+}
+
+/**
+ * Stock movements of an item, newest first
+ *
+ * @returns {Promise<Object>} {movements, pagination}
+ * @throws {AppError} NOT_FOUND
+ */
+async function listStockMovements({userId, itemId, page = 1, limit = 50}) {
+  const item = await Item.findOne({_id: itemId, userId}).select('_id').lean();
+  if (!item) {
+    throw new AppError('Item not found', 404, 'NOT_FOUND');
+  }
+
+  const filter = {userId, itemId};
+  const [movements, total] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({createdAt: -1, _id: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StockMovement.countDocuments(filter),
+  ]);
+
+  return {
+    movements,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  };
+}
+
+/**
+ * Stock valuation: tracked items at their purchase cost
+ *
+ * Negative stock is valued at zero; items without a purchase cost have no value
+ * and are counted in totals.withoutCost.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {boolean} [params.lowStockOnly] - Only items at or below their reorder level
+ * @returns {Promise<Object>} {asOf, rows, totals}
+ */
+async function buildStockValuation({userId, lowStockOnly = false}) {
+  const items = await Item.find({userId, trackStock: true, isActive: true})
+    .select('name unit stockQty reorderLevel purchaseCost')
+    .sort({normalizedName: 1})
+    .lean();
+
+  const rows = items
+    .map(item => ({
+      itemId: item._id,
+      name: item.name,
+      unit: item.unit || 'pcs',
+      stockQty: round3(item.stockQty || 0),
+      reorderLevel: item.reorderLevel ?? null,
+      purchaseCost: item.purchaseCost ?? null,
+      value: item.purchaseCost != null ? round2(Math.max(0, item.stockQty || 0) * item.purchaseCost) : null,
+      lowStock: item.reorderLevel != null && (item.stockQty || 0) <= item.reorderLevel,
+    }))
+    .filter(row => !lowStockOnly || row.lowStock);
+
+  return {
+    asOf: new Date(),
+    rows,
+    totals: {
+      items: rows.length,
+      value: round2(rows.reduce((sum, row) => sum + (row.value || 0), 0)),
+      lowStock: rows.filter(row => row.lowStock).length,
+      negativeStock: rows.filter(row => row.stockQty < 0).length,
+      withoutCost: rows.filter(row => row.purchaseCost == null).length,
+    },
+  };
+}
+
+module.exports = {
+  syncBillStock,
+  restoreBillStock,
+  recordSalesReturn,
+  recordPurchaseStock,
+  reversePurchaseStock,
+  recordOpeningStock,
+  adjustStock,
+  listStockMovements,
+  buildStockValuation,
+};
@@ -0,0 +1,365 @@
+/**
+ * Supplier Payment Service
+ *
+ * Payments made to a supplier, allocated across open purchase bills (the
+ * payables side of customerPayment.service):
+ * 1. Plan the allocation: oldest due first, or the bills and amounts chosen
+ * 2. Settle each purchase bill with a guarded update (paidAmount, status);
+ *    a bill that changed meanwhile rolls the others back
+ * 3. Atomic payable decrease on the supplier
+ * 4. One supplier ledger debit for the full amount
+ *
+ * A payment can't be more than what is owed on the supplier's open bills.
+ * Reversal takes the allocations back off the bills and books a ledger credit.
+ */
+const PurchaseBill = require('../models/PurchaseBill');
+const Supplier = require('../models/Supplier');
+const SupplierPayment = require('../models/SupplierPayment');
+const SupplierLedgerTransaction = require('../models/SupplierLedgerTransaction');
+const {settledStatus} = require('./billPayment.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Attempts to take an allocation back off a purchase bill that keeps changing
+const MAX_UNALLOCATE_ATTEMPTS = 3;
+
+const pendingOf = bill => round2(bill.grandTotal - (bill.paidAmount || 0));
+
+/**
+ * Plan how a payment settles open purchase bills
+ *
+ * @param {Array} bills - Open purchase bills of the supplier
+ * @param {number} amount - Amount paid
+ * @param {Array} [requested] - [{purchaseBillId, amount}]; oldest due first when omitted
+ * @returns {Array} [{purchaseBillId, billNo, amount}]
+ * @throws {AppError} PURCHASE_BILL_NOT_OPEN, ALLOCATION_EXCEEDS_PENDING, VALIDATION_ERROR,
+ *   PAYMENT_EXCEEDS_PAYABLE
+ */
+function planSupplierAllocations(bills, amount, requested) {
+  if (Array.isArray(requested) && requested.length > 0) {
+    const billsById = new Map(bills.map(bill => [String(bill._id), bill]));
+    const allocations = requested.map(({purchaseBillId, amount: share}) => {
+      const bill = billsById.get(String(purchaseBillId));
+      if (!bill) {
+        throw new AppError('Purchase bill is not open for this supplier', 400, 'PURCHASE_BILL_NOT_OPEN');
+      }
+      if (round2(share) > pendingOf(bill)) {
+        throw new AppError(
+          `Only ₹${pendingOf(bill)} is pending on purchase bill ${bill.billNo}`,
+          400,
+          'ALLOCATION_EXCEEDS_PENDING'
+        );
+      }
+      return {purchaseBillId: bill._id, billNo: bill.billNo, amount: round2(share)};
+    });
+
+    const allocated = round2(allocations.reduce((total, allocation) => total + allocation.amount, 0));
+    if (allocated !== round2(amount)) {
+      throw new AppError('Allocations must add up to the amount paid', 400, 'VALIDATION_ERROR');
+    }
+    return allocations;
+  }
+
+  const ordered = [...bills].sort((a, b) =>
+    new Date(a.dueDate || a.billDate) - new Date(b.dueDate || b.billDate) ||
+    new Date(a.createdAt) - new Date(b.createdAt));
+
+  let remaining = round2(amount);
+  const allocations = [];
+  for (const bill of ordered) {
+    if (remaining <= 0) break;
+    const share = round2(Math.min(pendingOf(bill), remaining));
+    if (share <= 0) continue;
+    allocations.push({purchaseBillId: bill._id, billNo: bill.billNo, amount: share});
+    remaining = round2(remaining - share);
+  }
+
+  if (remaining > 0) {
+    const payable = round2(bills.reduce((total, bill) => total + pendingOf(bill), 0));
+    throw new AppError(`Only ₹${payable} is owed to this supplier`, 400, 'PAYMENT_EXCEEDS_PAYABLE');
+  }
+
+  return allocations;
+}
+
+/**
+ * Add `delta` to a purchase bill's paid amount if it has not changed since it was read
+ *
+ * @returns {Promise<Object|null>} Updated purchase bill, or null when it changed
+ */
+function settlePurchaseBill(bill, delta) {
+  const paidAmount = round2((bill.paidAmount || 0) + delta);
+
+  return PurchaseBill.findOneAndUpdate(
+    {_id: bill._id, userId: bill.userId, isDeleted: false, paidAmount: bill.paidAmount || 0},
+    {$set: {paidAmount, status: settledStatus(paidAmount, bill.grandTotal)}},
+    {new: true}
+  );
+}
+
+/**
+ * Roll back allocations already applied to purchase bills
+ */
+async function rollbackAllocations(userId, applied) {
+  for (const {bill, amount} of applied) {
+    await PurchaseBill.updateOne(
+      {_id: bill._id, userId},
+      {$inc: {paidAmount: -amount}, $set: {status: settledStatus(bill.paidAmount || 0, bill.grandTotal)}}
+    );
+  }
+}
+
+/**
+ * Take an allocation back off a purchase bill (never below zero paid)
+ *
+ * @returns {Promise<number>} Amount taken back
+ */
+async function unallocatePurchaseBill(userId, purchaseBillId, amount) {
+  for (let attempt = 1; attempt <= MAX_UNALLOCATE_ATTEMPTS; attempt++) {
+    const bill = await PurchaseBill.findOne({_id: purchaseBillId, userId}).lean();
+    if (!bill) {
+      return 0;
+    }
+
+    const restored = round2(Math.min(amount, bill.paidAmount || 0));
+    const paidAmount = round2((bill.paidAmount || 0) - restored);
+    const updated = await PurchaseBill.findOneAndUpdate(
+      {_id: bill._id, userId, paidAmount: bill.paidAmount || 0},
+      {$set: {paidAmount, status: settledStatus(paidAmount, bill.grandTotal)}},
+      {new: true}
+    );
+
+    if (updated) {
+      return restored;
+    }
+  }
+
+  throw new AppError(
+    'The purchase bill changed while reversing the payment. Please retry.',
+    409,
+    'PAYMENT_REVERSAL_CONFLICT'
+  );
+}
+
+/**
+ * Record a payment made to a supplier and allocate it to open purchase bills
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.supplierId - Supplier ID
+ * @param {number} params.amount - Amount paid
+ * @param {Array} [params.allocations] - [{purchaseBillId, amount}]; oldest due first when omitted
+ * @param {string} [params.mode] - Payment mode (defaults to CASH)
+ * @param {string} [params.reference] - UTR / UPI reference / cheque number
+ * @param {Date} [params.paymentDate] - When the money was paid (defaults to now)
+ * @param {string} [params.note] - Ledger note
+ * @param {string} [params.idempotencyKey] - Replays return the payment already recorded
+ * @param {string} params.actorUserId - User recording the payment
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {payment, purchaseBills, duplicate}
+ * @throws {AppError} SUPPLIER_NOT_FOUND, PURCHASE_BILL_NOT_OPEN, ALLOCATION_EXCEEDS_PENDING,
+ *   VALIDATION_ERROR, PAYMENT_EXCEEDS_PAYABLE, PAYMENT_ALLOCATION_CONFLICT
+ */
+async function recordSupplierPayment({
+  userId,
+  supplierId,
+  amount,
+  allocations: requested,
+  mode = 'CASH',
+  reference,
+  paymentDate,
+  note,
+  idempotencyKey,
+  actorUserId,
+  requestId,
+}) {
+  if (idempotencyKey) {
+    const existing = await SupplierPayment.findOne({userId, idempotencyKey});
+    if (existing) {
+      return {payment: existing, purchaseBills: [], duplicate: true};
+    }
+  }
+
+  const supplier = await Supplier.findOne({_id: supplierId, userId, isDeleted: false}).select('_id').lean();
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+  }
+
+  const openBills = await PurchaseBill.find({
+    userId,
+    supplierId,
+    isDeleted: false,
+    status: {$in: ['unpaid', 'partial']},
+  }).lean();
+
+  const isManual = Array.isArray(requested) && requested.length > 0;
+  const allocations = planSupplierAllocations(openBills, amount, requested);
+  const billsById = new Map(openBills.map(bill => [String(bill._id), bill]));
+
+  // Settle purchase bills first; a bill paid or deleted meanwhile undoes the others
+  const applied = [];
+  const updatedBills = [];
+  for (const allocation of allocations) {
+    const bill = billsById.get(String(allocation.purchaseBillId));
+    const updated = await settlePurchaseBill(bill, allocation.amount);
+    if (!updated) {
+      await rollbackAllocations(userId, applied);
+      throw new AppError(
+        'Purchase bills changed while recording the payment. Please retry.',
+        409,
+        'PAYMENT_ALLOCATION_CONFLICT'
+      );
+    }
+    applied.push({bill, amount: allocation.amount});
+    updatedBills.push(updated);
+  }
+
+  let payment;
+  try {
+    payment = await SupplierPayment.create({
+      userId,
+      supplierId,
+      amount: round2(amount),
+      mode,
+      reference: reference || null,
+      paymentDate: paymentDate || new Date(),
+      allocationMode: isManual ? 'MANUAL' : 'AUTO',
+      allocations,
+      note: note || '',
+      recordedBy: actorUserId,
+      idempotencyKey: idempotencyKey || null,
+    });
+  } catch (error) {
+    await rollbackAllocations(userId, applied);
+
+    // Same idempotency key recorded concurrently: return that payment
+    if (error.code === 11000 && idempotencyKey && error.keyPattern?.idempotencyKey) {
+      const existing = await SupplierPayment.findOne({userId, idempotencyKey});
+      return {payment: existing, purchaseBills: [], duplicate: true};
+    }
+    throw error;
+  }
+
+  await Supplier.updateOne({_id: supplierId, userId}, {$inc: {payableOutstanding: -payment.amount}});
+
+  await SupplierLedgerTransaction.create({
+    userId,
+    supplierId,
+    type: 'debit',
+    amount: payment.amount,
+    source: 'supplier_payment',
+    note: note || 'Payment made',
+    paymentMode: payment.mode,
+    paymentReference: payment.reference,
+    paymentDate: payment.paymentDate,
+    metadata: {paymentId: payment._id, allocations},
+    idempotencyKey: `supplier_payment_${payment._id}`,
+  });
+
+  logger.info('[SupplierPayment] Payment recorded', {
+    userId,
+    supplierId,
+    amount: payment.amount,
+    mode: payment.mode,
+    purchaseBills: allocations.length,
+    requestId,
+  });
+
+  return {payment, purchaseBills: updatedBills, duplicate: false};
+}
+
+/**
+ * Reverse a payment made: un-allocate it from its purchase bills and book a ledger credit
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} params.supplierId - Supplier ID
+ * @param {string} params.paymentId - Payment ID
+ * @param {string} params.reason - Why the payment is reversed
+ * @param {string} params.actorUserId - User reversing the payment
+ * @param {string} [params.requestId] - Request ID for tracing
+ * @returns {Promise<Object>} {payment, restoredAmount}
+ * @throws {AppError} PAYMENT_NOT_FOUND, PAYMENT_ALREADY_REVERSED, PAYMENT_REVERSAL_CONFLICT
+ */
+async function reverseSupplierPayment({userId, supplierId, paymentId, reason, actorUserId, requestId}) {
+  // Claim the reversal first so two requests can never both un-allocate
+  const payment = await SupplierPayment.findOneAndUpdate(
+    {_id: paymentId, userId, supplierId, status: 'active'},
+    {$set: {status: 'reversed', reversedAt: new Date(), reversedBy: actorUserId, reversalReason: reason}},
+    {new: true}
+  );
+
+  if (!payment) {
+    const existing = await SupplierPayment.findOne({_id: paymentId, userId, supplierId}).select('status').lean();
+    if (!existing) {
+      throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+    throw new AppError('Payment is already reversed', 409, 'PAYMENT_ALREADY_REVERSED');
+  }
+
+  let restoredAmount = 0;
+  for (const allocation of payment.allocations) {
+    const restored = await unallocatePurchaseBill(userId, allocation.purchaseBillId, allocation.amount);
+    restoredAmount = round2(restoredAmount + restored);
+  }
+
+  if (restoredAmount > 0) {
+    await Supplier.updateOne({_id: supplierId, userId}, {$inc: {payableOutstanding: restoredAmount}});
+  }
+
+  await SupplierLedgerTransaction.create({
+    userId,
+    supplierId,
+    type: 'credit',
+    amount: payment.amount,
+    source: 'supplier_payment_reversal',
+    note: `Payment reversed - ${reason}`,
+    paymentMode: payment.mode,
+    paymentReference: payment.reference,
+    paymentDate: payment.reversedAt,
+    metadata: {paymentId: payment._id},
+    idempotencyKey: `supplier_payment_${payment._id}_reversal`,
+  });
+
+  logger.info('[SupplierPayment] Payment reversed', {
+    userId,
+    supplierId,
+    amount: payment.amount,
+    restoredAmount,
+    requestId,
+  });
+
+  return {payment, restoredAmount};
+}
+
+/**
+ * List payments made to a supplier (newest first)
+ *
+ * @returns {Promise<Object>} {payments, pagination}
+ */
+async function listSupplierPayments({userId, supplierId, page = 1, limit = 50}) {
+  const filter = {userId, supplierId};
+
+  const [payments, total] = await Promise.all([
+    SupplierPayment.find(filter)
+      .sort({createdAt: -1})
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    SupplierPayment.countDocuments(filter),
+  ]);
+
+  return {
+    payments,
+    pagination: {page, limit, total, pages: Math.ceil(total / limit)},
+  };
+}
+
+module.exports = {
+  planSupplierAllocations,
+  recordSupplierPayment,
+  reverseSupplierPayment,
+  listSupplierPayments,
+};
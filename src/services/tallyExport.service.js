@@ -0,0 +1,447 @@
+/**
+ * Tally Export Service
+ *
+ * Books for the accountant in Tally XML import format (Gateway of Tally >
+ * Import Data > Vouchers), for a period:
+ * - Customers as ledgers under Sundry Debtors (bill-wise, with their opening balance)
+ * - Sales vouchers for bills: customer Dr total, sales Cr taxable value,
+ *   CGST/SGST/IGST (or other tax) Cr, round off for any difference
+ * - Credit Note vouchers for credit notes (the reverse of a sale)
+ * - Receipt vouchers for money received (customer payments, bill payments),
+ *   cash or bank Dr by payment mode, allocated against the bills they settled
+ * - Payment vouchers for money given back (reversed payments, refunds)
+ *
+ * Ledger names for sales, tax and cash/bank come from BusinessSettings.tally
+ * and must match ledgers in the Tally company.
+ *
+ * Every export remembers when it started. A changes-only export sends only
+ * what was added or changed after that: new vouchers are created, changed
+ * ones altered and cancelled / deleted bills deleted (matched in Tally by
+ * REMOTEID, the document id here).
+ */
+const Bill = require('../models/Bill');
+const BusinessSettings = require('../models/BusinessSettings');
+const CreditNote = require('../models/CreditNote');
+const Customer = require('../models/Customer');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {resolvePeriod} = require('./gstReturns.service');
+const {NON_COLLECTION_SOURCES, COLLECTION_RETURN_SOURCES} = require('./collections.service');
+const {IST_OFFSET_MS} = require('../utils/timezone.util');
+const logger = require('../utils/logger');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const SUNDRY_DEBTORS = 'Sundry Debtors';
+
+const TALLY_LEDGER_FIELDS = [
+  'salesLedger',
+  'cgstLedger',
+  'sgstLedger',
+  'igstLedger',
+  'otherTaxLedger',
+  'roundOffLedger',
+  'cashLedger',
+  'bankLedger',
+];
+
+/**
+ * Escape text for XML element content and attributes
+ */
+function xmlEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * YYYYMMDD (IST), the Tally date format
+ */
+function formatTallyDate(date) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return [
+    ist.getUTCFullYear(),
+    String(ist.getUTCMonth() + 1).padStart(2, '0'),
+    String(ist.getUTCDate()).padStart(2, '0'),
+  ].join('');
+}
+
+const element = (tag, value) => `<${tag}>${xmlEscape(value)}</${tag}>`;
+
+/**
+ * Ledger names of customers (names shared by several customers get the phone,
+ * or the end of the id, so every Tally ledger is distinct)
+ *
+ * @returns {Map} customerId -> ledger name
+ */
+function buildPartyLedgerNames(customers) {
+  const counts = new Map();
+  for (const customer of customers) {
+    const key = customer.name.trim().toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return new Map(customers.map(customer => {
+    const name = customer.name.trim();
+    const shared = counts.get(name.toLowerCase()) > 1;
+    const suffix = customer.phone || String(customer._id).slice(-6);
+    return [String(customer._id), shared ? `${name} (${suffix})` : name];
+  }));
+}
+
+/**
+ * One ledger line of a voucher
+ *
+ * Tally writes debits as negative amounts with ISDEEMEDPOSITIVE Yes.
+ *
+ * @param {string} ledgerName
+ * @param {Number} amount - Positive: debit, negative: credit
+ * @param {Array} [billAllocations] - [{name, type: 'New Ref'|'Agst Ref'|'On Account', amount}] (same sign as amount)
+ */
+function ledgerEntry(ledgerName, amount, billAllocations = []) {
+  const isDebit = amount > 0;
+  const allocations = billAllocations.map(allocation => [
+    '<BILLALLOCATIONS.LIST>',
+    allocation.type === 'On Account' ? '' : element('NAME', allocation.name),
+    element('BILLTYPE', allocation.type),
+    element('AMOUNT', (-allocation.amount).toFixed(2)),
+    '</BILLALLOCATIONS.LIST>',
+  ].join(''));
+
+  return [
+    '<ALLLEDGERENTRIES.LIST>',
+    element('LEDGERNAME', ledgerName),
+    element('ISDEEMEDPOSITIVE', isDebit ? 'Yes' : 'No'),
+    element('ISPARTYLEDGER', billAllocations.length > 0 ? 'Yes' : 'No'),
+    element('AMOUNT', (-amount).toFixed(2)),
+    ...allocations,
+    '</ALLLEDGERENTRIES.LIST>',
+  ].join('');
+}
+
+/**
+ * Voucher message
+ *
+ * @param {Object} voucher - {remoteId, type, action, date, number, partyName, narration, entries}
+ */
+function voucherMessage({remoteId, type, action, date, number, partyName, narration, entries}) {
+  const attributes = [`REMOTEID="${xmlEscape(remoteId)}"`, `VCHTYPE="${xmlEscape(type)}"`, `ACTION="${action}"`];
+  if (action === 'Delete') {
+    attributes.push(`DATE="${formatTallyDate(date)}"`, 'TAGNAME="Voucher Number"', `TAGVALUE="${xmlEscape(number)}"`);
+  }
+
+  return [
+    `<TALLYMESSAGE><VOUCHER ${attributes.join(' ')}>`,
+    element('GUID', remoteId),
+    element('DATE', formatTallyDate(date)),
+    element('VOUCHERTYPENAME', type),
+    number ? element('VOUCHERNUMBER', number) : '',
+    element('PARTYLEDGERNAME', partyName),
+    element('PERSISTEDVIEW', 'Accounting Voucher View'),
+    narration ? element('NARRATION', narration) : '',
+    ...(action === 'Delete' ? [] : entries),
+    '</VOUCHER></TALLYMESSAGE>',
+  ].join('');
+}
+
+/**
+ * Customer ledger master under Sundry Debtors
+ */
+function ledgerMessage({customer, ledgerName, openingBalance, action}) {
+  return [
+    `<TALLYMESSAGE><LEDGER NAME="${xmlEscape(ledgerName)}" ACTION="${action}">`,
+    `<NAME.LIST>${element('NAME', ledgerName)}</NAME.LIST>`,
+    element('PARENT', SUNDRY_DEBTORS),
+    element('ISBILLWISEON', 'Yes'),
+    customer.phone ? element('LEDGERMOBILE', customer.phone) : '',
+    customer.gstin ? element('PARTYGSTIN', customer.gstin) : '',
+    customer.gstin ? element('GSTREGISTRATIONTYPE', 'Regular') : '',
+    // Debit opening balance (owed by the customer)
+    element('OPENINGBALANCE', (-(openingBalance || 0)).toFixed(2)),
+    '</LEDGER></TALLYMESSAGE>',
+  ].join('');
+}
+
+/**
+ * Income side of a bill or credit note: taxable value and tax per ledger,
+ * with round off for whatever the document total differs by
+ *
+ * @returns {Array} [{ledgerName, amount}] (amounts positive)
+ */
+function incomeLines(doc, ledgers) {
+  const gst = doc.gst?.isTaxInvoice ? doc.gst : null;
+  const lines = [
+    {ledgerName: ledgers.salesLedger, amount: round2(gst ? gst.taxableValue : doc.subTotal - (doc.discount || 0))},
+  ];
+
+  if (gst) {
+    lines.push(
+      {ledgerName: ledgers.cgstLedger, amount: round2(gst.cgst || 0)},
+      {ledgerName: ledgers.sgstLedger, amount: round2(gst.sgst || 0)},
+      {ledgerName: ledgers.igstLedger, amount: round2(gst.igst || 0)},
+    );
+  } else {
+    lines.push({ledgerName: ledgers.otherTaxLedger, amount: round2(doc.tax || 0)});
+  }
+
+  const booked = lines.reduce((total, line) => total + line.amount, 0);
+  lines.push({ledgerName: ledgers.roundOffLedger, amount: round2(doc.grandTotal - booked)});
+
+  return lines.filter(line => line.amount !== 0);
+}
+
+/**
+ * Sales voucher for a bill
+ */
+function salesVoucher({bill, partyName, ledgers, action}) {
+  const total = round2(bill.grandTotal);
+  return voucherMessage({
+    remoteId: `ph4-bill-${bill._id}`,
+    type: 'Sales',
+    action,
+    date: bill.createdAt,
+    number: bill.billNo,
+    partyName,
+    narration: bill.notes,
+    entries: [
+      ledgerEntry(partyName, total, [{name: bill.billNo, type: 'New Ref', amount: total}]),
+      ...incomeLines(bill, ledgers).map(line => ledgerEntry(line.ledgerName, -line.amount)),
+    ],
+  });
+}
+
+/**
+ * Credit Note voucher (sales return) against the original bill
+ */
+function creditNoteVoucher({creditNote, partyName, ledgers, action}) {
+  const total = round2(creditNote.grandTotal);
+  return voucherMessage({
+    remoteId: `ph4-credit-note-${creditNote._id}`,
+    type: 'Credit Note',
+    action,
+    date: creditNote.createdAt,
+    number: creditNote.creditNoteNo,
+    partyName,
+    narration: creditNote.reason || `Against bill ${creditNote.billNo}`,
+    entries: [
+      ledgerEntry(partyName, -total, [{name: creditNote.billNo, type: 'Agst Ref', amount: -total}]),
+      ...incomeLines(creditNote, ledgers).map(line => ledgerEntry(line.ledgerName, line.amount)),
+    ],
+  });
+}
+
+/**
+ * Bills a receipt settled; the rest is on account (advance)
+ */
+function receiptAllocations(entry) {
+  const metadata = entry.metadata || {};
+  const allocations = (metadata.allocations || (metadata.billNo ? [{billNo: metadata.billNo, amount: entry.amount}] : []))
+    .filter(allocation => allocation.billNo && allocation.amount > 0)
+    .map(allocation => ({name: allocation.billNo, type: 'Agst Ref', amount: -round2(allocation.amount)}));
+
+  const onAccount = round2(entry.amount + allocations.reduce((total, allocation) => total + allocation.amount, 0));
+  if (onAccount > 0) {
+    allocations.push({type: 'On Account', amount: -onAccount});
+  }
+  return allocations;
+}
+
+/**
+ * Receipt voucher (money received) or Payment voucher (reversed payment, refund)
+ */
+function moneyVoucher({entry, partyName, ledgers, action}) {
+  const isReceipt = entry.type === 'debit';
+  const amount = round2(entry.amount);
+  const moneyLedger = !entry.paymentMode || entry.paymentMode === 'CASH' ? ledgers.cashLedger : ledgers.bankLedger;
+  const number = entry.metadata?.receiptNo || null;
+
+  return voucherMessage({
+    remoteId: `ph4-ledger-${entry._id}`,
+    type: isReceipt ? 'Receipt' : 'Payment',
+    action,
+    date: entry.paymentDate || entry.createdAt,
+    number,
+    partyName,
+    narration: [entry.note, entry.paymentReference && `Ref: ${entry.paymentReference}`].filter(Boolean).join(' - '),
+    entries: isReceipt
+      ? [ledgerEntry(moneyLedger, amount), ledgerEntry(partyName, -amount, receiptAllocations(entry))]
+      : [ledgerEntry(partyName, amount, [{type: 'On Account', amount}]), ledgerEntry(moneyLedger, -amount)],
+  });
+}
+
+/**
+ * What a changes-only export does with a document (null: leave it out)
+ *
+ * @param {Object} doc - Has createdAt
+ * @param {Date|null} since - Start of the last export (null: full export)
+ * @param {boolean} removed - Cancelled or deleted
+ * @returns {'Create'|'Alter'|'Delete'|null}
+ */
+function voucherAction(doc, since, removed) {
+  const isNew = !since || new Date(doc.createdAt) > since;
+  if (removed) {
+    return isNew ? null : 'Delete';
+  }
+  return isNew ? 'Create' : 'Alter';
+}
+
+/**
+ * Full Tally import file
+ */
+function renderTallyXml({companyName, messages}) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    '<HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>',
+    '<BODY><IMPORTDATA>',
+    '<REQUESTDESC><REPORTNAME>Vouchers</REPORTNAME>',
+    companyName ? `<STATICVARIABLES>${element('SVCURRENTCOMPANY', companyName)}</STATICVARIABLES>` : '',
+    '</REQUESTDESC>',
+    '<REQUESTDATA>',
+    ...messages,
+    '</REQUESTDATA>',
+    '</IMPORTDATA></BODY>',
+    '</ENVELOPE>',
+    '',
+  ].filter(line => line !== '').join('\n');
+}
+
+/**
+ * Ledger names used by the export (settings, falling back to the defaults)
+ */
+function resolveLedgers(tally = {}) {
+  const defaults = BusinessSettings.schema.path('tally').schema;
+  return Object.fromEntries(TALLY_LEDGER_FIELDS.map(field => [
+    field,
+    tally[field] || defaults.path(field).defaultValue,
+  ]));
+}
+
+/**
+ * Build the Tally XML export for a period
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Business ID
+ * @param {string} [params.month] - YYYY-MM (takes precedence over from/to)
+ * @param {Date} [params.from] - Period start (IST day)
+ * @param {Date} [params.to] - Period end (IST day)
+ * @param {boolean} [params.changedOnly] - Only what changed since the last export
+ * @returns {Promise<Object>} {xml, period, since, exportedAt, counts}
+ */
+async function buildTallyExport({userId, month, from, to, changedOnly = false}) {
+  const period = resolvePeriod({month, from, to});
+  // Taken before reading so changes made during the export go in the next one
+  const exportedAt = new Date();
+
+  const settings = await BusinessSettings.getOrCreate(userId);
+  const tally = settings.tally || {};
+  const ledgers = resolveLedgers(tally);
+  const since = changedOnly && tally.lastExportedAt ? new Date(tally.lastExportedAt) : null;
+
+  const inPeriod = {$gte: period.from, $lte: period.to};
+  const changed = since ? {updatedAt: {$gt: since}} : {};
+  const active = since ? {} : {isDeleted: {$ne: true}};
+
+  const [customers, openings, bills, creditNotes, moneyEntries] = await Promise.all([
+    Customer.find({userId}).select('name phone gstin isDeleted createdAt updatedAt').lean(),
+    LedgerTransaction.find({userId, source: 'opening'}).select('customerId amount updatedAt').lean(),
+    Bill.find({
+      userId,
+      createdAt: inPeriod,
+      ...active,
+      ...(since ? {} : {status: {$ne: 'cancelled'}}),
+      ...changed,
+    })
+      .select('customerId billNo subTotal discount tax gst grandTotal notes status isDeleted createdAt updatedAt')
+      .sort({createdAt: 1})
+      .lean(),
+    CreditNote.find({userId, createdAt: inPeriod, ...changed})
+      .select('customerId creditNoteNo billNo subTotal discount tax gst grandTotal reason createdAt updatedAt')
+      .sort({createdAt: 1})
+      .lean(),
+    LedgerTransaction.find({
+      userId,
+      ...changed,
+      $and: [
+        {
+          $or: [
+            {type: 'debit', 'metadata.source': {$nin: NON_COLLECTION_SOURCES}},
+            {type: 'credit', 'metadata.source': {$in: COLLECTION_RETURN_SOURCES}},
+          ],
+        },
+        {
+          $or: [
+            {paymentDate: inPeriod},
+            {paymentDate: null, createdAt: inPeriod},
+          ],
+        },
+      ],
+    })
+      .select('customerId type amount note paymentMode paymentReference paymentDate metadata createdAt')
+      .sort({createdAt: 1})
+      .lean(),
+  ]);
+
+  const partyNames = buildPartyLedgerNames(customers);
+  const partyName = customerId => partyNames.get(String(customerId)) || 'Unknown customer';
+  const openingByCustomer = new Map(openings.map(opening => [String(opening.customerId), opening]));
+
+  const counts = {ledgers: 0, sales: 0, creditNotes: 0, receipts: 0, payments: 0, deleted: 0};
+  const messages = [];
+
+  // Masters first so the vouchers find their party ledgers
+  for (const customer of customers) {
+    if (customer.isDeleted) continue;
+    const opening = openingByCustomer.get(String(customer._id));
+    const isChanged = !since
+      || new Date(customer.updatedAt) > since
+      || (opening && new Date(opening.updatedAt) > since);
+    if (!isChanged) continue;
+
+    messages.push(ledgerMessage({
+      customer,
+      ledgerName: partyName(customer._id),
+      openingBalance: opening?.amount,
+      action: voucherAction(customer, since, false),
+    }));
+    counts.ledgers += 1;
+  }
+
+  for (const bill of bills) {
+    const action = voucherAction(bill, since, bill.isDeleted || bill.status === 'cancelled');
+    if (!action) continue;
+    messages.push(salesVoucher({bill, partyName: partyName(bill.customerId), ledgers, action}));
+    counts[action === 'Delete' ? 'deleted' : 'sales'] += 1;
+  }
+
+  for (const creditNote of creditNotes) {
+    const action = voucherAction(creditNote, since, false);
+    messages.push(creditNoteVoucher({creditNote, partyName: partyName(creditNote.customerId), ledgers, action}));
+    counts.creditNotes += 1;
+  }
+
+  for (const entry of moneyEntries) {
+    const action = voucherAction(entry, since, false);
+    messages.push(moneyVoucher({entry, partyName: partyName(entry.customerId), ledgers, action}));
+    counts[entry.type === 'debit' ? 'receipts' : 'payments'] += 1;
+  }
+
+  const xml = renderTallyXml({companyName: tally.companyName, messages});
+
+  await BusinessSettings.updateOne({userId}, {$set: {'tally.lastExportedAt': exportedAt}});
+
+  logger.info('[TallyExport] Export built', {userId, changedOnly, since, ...counts});
+
+  return {xml, period, since, exportedAt, counts};
+}
+
+module.exports = {
+  TALLY_LEDGER_FIELDS,
+  xmlEscape,
+  formatTallyDate,
+  buildPartyLedgerNames,
+  resolveLedgers,
+  buildTallyExport,
+};
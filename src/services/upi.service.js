@@ -0,0 +1,159 @@
+/**
+ * UPI Payment Service
+ *
+ * Builds `upi://pay` deep links (NPCI linking spec) and QR codes for the
+ * business VPA configured in BusinessSettings. Links always carry the exact
+ * pending amount and the bill number(s) as transaction note; payment
+ * confirmation stays manual (owner records the payment).
+ */
+const QRCode = require('qrcode');
+const BusinessSettings = require('../models/BusinessSettings');
+const User = require('../models/User');
+
+// handle@psp (e.g. sharmastores@okhdfcbank, 9876543210@ybl)
+const UPI_VPA_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/;
+
+// Most UPI apps truncate the note beyond this
+const UPI_NOTE_MAX_LENGTH = 50;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Transaction note for a set of bills: "Bill INV-12" / "Bills INV-12, INV-13 +2 more"
+ *
+ * @param {Array<string>} billNos - Bill numbers being paid
+ * @returns {string} Note (max UPI_NOTE_MAX_LENGTH chars)
+ */
+function buildUpiNote(billNos = []) {
+  const numbers = billNos.filter(Boolean);
+  if (numbers.length === 0) {
+    return 'Payment';
+  }
+  if (numbers.length === 1) {
+    return `Bill ${numbers[0]}`.slice(0, UPI_NOTE_MAX_LENGTH);
+  }
+
+  let note = `Bills ${numbers[0]}`;
+  for (let i = 1; i < numbers.length; i++) {
+    const remaining = numbers.length - i - 1;
+    const suffix = remaining > 0 ? ` +${remaining} more` : '';
+    const candidate = `${note}, ${numbers[i]}`;
+    if (candidate.length + suffix.length > UPI_NOTE_MAX_LENGTH) {
+      return `${note} +${numbers.length - i} more`.slice(0, UPI_NOTE_MAX_LENGTH);
+    }
+    note = candidate;
+  }
+  return note;
+}
+
+/**
+ * Build a `upi://pay` deep link
+ *
+ * @param {Object} params
+ * @param {string} params.vpa - Payee VPA
+ * @param {string} params.payeeName - Payee display name
+ * @param {number} params.amount - Exact amount in INR
+ * @param {string} params.note - Transaction note
+ * @returns {string} Deep link
+ */
+function buildUpiPayLink({vpa, payeeName, amount, note}) {
+  const params = [
+    ['pa', vpa],
+    ['pn', payeeName],
+    ['am', round2(amount).toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', note],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  // VPA is pattern-validated and left raw: several UPI apps reject an encoded "@"
+  const query = params
+    .map(([key, value]) => `${key}=${key === 'pa' ? value : encodeURIComponent(value)}`)
+    .join('&');
+
+  return `upi://pay?${query}`;
+}
+
+/**
+ * UPI payee config for a business (null if no VPA configured)
+ *
+ * @param {ObjectId} userId - Business id
+ * @returns {Promise<Object|null>} {vpa, payeeName}
+ */
+async function getUpiConfig(userId) {
+  const settings = await BusinessSettings.findOne({userId}).select('upiVpa upiPayeeName').lean();
+  if (!settings?.upiVpa) {
+    return null;
+  }
+
+  let payeeName = settings.upiPayeeName;
+  if (!payeeName) {
+    const owner = await User.findById(userId).select('name businessName').lean();
+    payeeName = owner?.businessName || owner?.name || null;
+  }
+
+  return {vpa: settings.upiVpa, payeeName};
+}
+
+/**
+ * Payment request for an amount (null if UPI not configured or nothing due)
+ *
+ * @param {Object|null} config - Output of getUpiConfig
+ * @param {Object} params
+ * @param {number} params.amount - Exact pending amount
+ * @param {Array<string>} params.billNos - Bill numbers covered
+ * @returns {Object|null} {vpa, payeeName, amount, note, link}
+ */
+function buildUpiPayment(config, {amount, billNos = []}) {
+  const payable = round2(amount || 0);
+  if (!config?.vpa || payable <= 0) {
+    return null;
+  }
+
+  const note = buildUpiNote(billNos);
+  return {
+    vpa: config.vpa,
+    payeeName: config.payeeName || null,
+    amount: payable,
+    note,
+    link: buildUpiPayLink({vpa: config.vpa, payeeName: config.payeeName, amount: payable, note}),
+  };
+}
+
+/**
+ * QR code (PNG data URL) for a deep link
+ */
+function generateUpiQrDataUrl(link) {
+  return QRCode.toDataURL(link, {errorCorrectionLevel: 'M', margin: 1, width: 240});
+}
+
+/**
+ * QR code (PNG buffer) for a deep link, e.g. for PDFs
+ */
+function generateUpiQrPng(link) {
+  return QRCode.toBuffer(link, {errorCorrectionLevel: 'M', margin: 1, width: 240});
+}
+
+/**
+ * Attach a QR code to a payment request (no-op for null)
+ *
+ * @param {Object|null} payment - Output of buildUpiPayment
+ * @returns {Promise<Object|null>} Payment with qrDataUrl
+ */
+async function withUpiQr(payment) {
+  if (!payment) {
+    return null;
+  }
+  return {...payment, qrDataUrl: await generateUpiQrDataUrl(payment.link)};
+}
+
+module.exports = {
+  UPI_VPA_PATTERN,
+  UPI_NOTE_MAX_LENGTH,
+  buildUpiNote,
+  buildUpiPayLink,
+  getUpiConfig,
+  buildUpiPayment,
+  generateUpiQrDataUrl,
+  generateUpiQrPng,
+  withUpiQr,
+};
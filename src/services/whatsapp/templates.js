@@ -0,0 +1,117 @@
+/**
+ * WhatsApp Template Mapping
+ *
+ * Business-initiated WhatsApp messages must use templates approved in Meta
+ * Business Manager. Each internal templateKey maps to an approved template
+ * name and the ordered body parameters ({{1}}, {{2}}, ...) it was approved with.
+ *
+ * Approved template names can be overridden per deployment via env
+ * (e.g. WHATSAPP_TEMPLATE_RECOVERY_URGENT=ph4_recovery_urgent_v2).
+ */
+const {getFallbackChain} = require('../i18n');
+
+const WHATSAPP_TEMPLATES = {
+  // "Hi {{1}}, your payment of ₹{{2}} is overdue. ... View your bills: {{3}}"
+  recovery_immediate: {
+    name: 'recovery_immediate',
+    params: ['customerName', 'amount', 'statementUrl'],
+  },
+  // "Hi {{1}}, this is a gentle reminder about your pending payment of ₹{{2}}. ... {{3}}"
+  recovery_gentle_reminder: {
+    name: 'recovery_gentle_reminder',
+    params: ['customerName', 'amount', 'statementUrl'],
+  },
+  // "Hi {{1}}, your payment of ₹{{2}} is now 7+ days overdue. ... {{3}}"
+  recovery_urgent: {
+    name: 'recovery_urgent',
+    params: ['customerName', 'amount', 'statementUrl'],
+  },
+};
+
+/**
+ * Pick the approved template language for a reminder language
+ * Walks the i18n fallback chain (e.g. mr -> hi -> en); if none of those is
+ * approved, the deployment's default template language is used.
+ *
+ * @param {string} language - Reminder language (customer/business preference)
+ * @param {Array<string>} approvedLanguages - Languages the templates are approved in
+ * @param {string} defaultLanguage - Fallback template language
+ * @returns {string} WhatsApp language code
+ */
+function selectTemplateLanguage(language, approvedLanguages = [], defaultLanguage = 'en') {
+  const approved = getFallbackChain(language).find(code => approvedLanguages.includes(code));
+  return approved || defaultLanguage;
+}
+
+/**
+ * Format an INR amount for a template parameter (no currency symbol, Indian grouping)
+ */
+function formatTemplateAmount(amount) {
+  return Number(amount || 0).toLocaleString('en-IN', {maximumFractionDigits: 2});
+}
+
+/**
+ * Template parameter text: Meta rejects newlines, tabs and 4+ consecutive spaces
+ */
+function sanitizeTemplateParam(value) {
+  return String(value).replace(/[\n\t]+/g, ' ').replace(/ {4,}/g, '   ').trim();
+}
+
+/**
+ * Build the Cloud API `template` object for an internal template key
+ *
+ * @param {string} templateKey - Internal key (e.g. recovery_urgent)
+ * @param {Object} variables - {customerName, amount, statementUrl, ...}
+ * @param {string} language - Approved template language code
+ * @returns {Object} Cloud API template payload
+ * @throws {Error} Non-retryable TEMPLATE_NOT_MAPPED / TEMPLATE_PARAMS_MISSING
+ */
+function buildTemplatePayload(templateKey, variables = {}, language = 'en') {
+  const template = WHATSAPP_TEMPLATES[templateKey];
+
+  if (!template) {
+    const error = new Error(`No approved WhatsApp template for ${templateKey || 'notification'}`);
+    error.code = 'TEMPLATE_NOT_MAPPED';
+    error.retryable = false;
+    throw error;
+  }
+
+  const values = {
+    ...variables,
+    amount: variables.amount === undefined || variables.amount === null
+      ? variables.amount
+      : formatTemplateAmount(variables.amount),
+  };
+
+  const missing = template.params.filter(param =>
+    values[param] === undefined || values[param] === null || values[param] === '');
+  if (missing.length > 0) {
+    const error = new Error(`Missing WhatsApp template parameters: ${missing.join(', ')}`);
+    error.code = 'TEMPLATE_PARAMS_MISSING';
+    error.retryable = false;
+    throw error;
+  }
+
+  const envName = process.env[`WHATSAPP_TEMPLATE_${templateKey.toUpperCase()}`];
+
+  return {
+    name: envName || template.name,
+    language: {code: language},
+    components: [
+      {
+        type: 'body',
+        parameters: template.params.map(param => ({
+          type: 'text',
+          text: sanitizeTemplateParam(values[param]),
+        })),
+      },
+    ],
+  };
+}
+
+module.exports = {
+  WHATSAPP_TEMPLATES,
+  formatTemplateAmount,
+  selectTemplateLanguage,
+  buildTemplatePayload,
+};
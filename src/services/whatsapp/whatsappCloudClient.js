@@ -0,0 +1,135 @@
+/**
+ * WhatsApp Cloud API Client
+ *
+ * Sends approved template messages via the Graph API and classifies provider
+ * errors into retryable (rate limits, outages) and non-retryable (bad number,
+ * template problems, auth) so the delivery workers can decide on retries.
+ * Docs: https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+ */
+const axios = require('axios');
+const {getWhatsAppConfig} = require('../../config/whatsapp');
+
+// Meta error codes worth retrying (throttling, temporary outages)
+const RETRYABLE_ERROR_CODES = new Set([
+  1, // API unknown
+  2, // API service (temporary)
+  4, // API too many calls
+  80007, // Rate limit hit
+  130429, // Cloud API throughput reached
+  131000, // Something went wrong
+  131016, // Service unavailable
+  131048, // Spam rate limit hit
+  131056, // Pair rate limit (same recipient)
+  133004, // Server temporarily unavailable
+]);
+
+// Subset of retryable codes that are throttling
+const RATE_LIMIT_ERROR_CODES = new Set([4, 80007, 130429, 131048, 131056]);
+
+// Meta error codes that mean the recipient can't get this message at all
+const RECIPIENT_ERROR_CODES = new Set([
+  131026, // Message undeliverable (not on WhatsApp, old app, ...)
+  131030, // Recipient not in allowed list (test numbers)
+  131045, // Incorrect certificate (phone not registered)
+  133010, // Phone number not registered
+]);
+
+/**
+ * Build an Error with delivery-worker fields from a Meta error object / HTTP status
+ *
+ * @param {Object} params
+ * @param {Object} [params.providerError] - Graph API `error` (or status `errors[0]`)
+ * @param {number} [params.httpStatus] - HTTP status (if any)
+ * @param {string} [params.fallbackMessage] - Message when the provider gave none
+ * @returns {Error} error with code, retryable, providerCode, providerResponse
+ */
+function classifyWhatsAppError({providerError, httpStatus, fallbackMessage}) {
+  const providerCode = providerError?.code;
+  const message = providerError?.error_data?.details ||
+    providerError?.message ||
+    providerError?.title ||
+    fallbackMessage ||
+    'WhatsApp send failed';
+
+  let code = 'WHATSAPP_SEND_FAILED';
+  let retryable;
+
+  if (providerCode !== undefined && providerCode !== null) {
+    retryable = RETRYABLE_ERROR_CODES.has(providerCode);
+    if (RECIPIENT_ERROR_CODES.has(providerCode)) {
+      code = 'WHATSAPP_RECIPIENT_UNAVAILABLE';
+    } else if (providerCode >= 132000 && providerCode < 133000) {
+      code = 'WHATSAPP_TEMPLATE_ERROR';
+    } else if (providerCode === 190 || providerCode === 10 || providerCode === 200) {
+      code = 'WHATSAPP_AUTH_ERROR';
+    } else if (RATE_LIMIT_ERROR_CODES.has(providerCode)) {
+      code = 'WHATSAPP_RATE_LIMITED';
+    } else if (retryable) {
+      code = 'WHATSAPP_PROVIDER_UNAVAILABLE';
+    }
+  } else {
+    // No provider payload: network error / timeout / gateway
+    retryable = !httpStatus || httpStatus === 429 || httpStatus >= 500;
+    code = httpStatus ? `WHATSAPP_HTTP_${httpStatus}` : 'WHATSAPP_NETWORK_ERROR';
+  }
+
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = retryable;
+  error.providerCode = providerCode ?? null;
+  error.providerResponse = providerError || null;
+  return error;
+}
+
+/**
+ * Send a template message
+ *
+ * @param {Object} params
+ * @param {string} params.to - Recipient phone (E.164)
+ * @param {Object} params.template - Output of buildTemplatePayload
+ * @returns {Promise<Object>} {providerMessageId, raw}
+ * @throws {Error} Classified error (see classifyWhatsAppError)
+ */
+async function sendTemplateMessage({to, template}) {
+  const {accessToken, phoneNumberId, apiVersion} = getWhatsAppConfig();
+  const url = `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`;
+
+  try {
+    const response = await axios.post(
+      url,
+      {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: to.replace(/^\+/, ''),
+        type: 'template',
+        template,
+      },
+      {
+        headers: {Authorization: `Bearer ${accessToken}`},
+        timeout: 10000,
+      }
+    );
+
+    const providerMessageId = response.data?.messages?.[0]?.id;
+    if (!providerMessageId) {
+      throw classifyWhatsAppError({fallbackMessage: 'WhatsApp response missing message id', httpStatus: 502});
+    }
+
+    return {providerMessageId, raw: response.data};
+  } catch (error) {
+    if (error.code && error.retryable !== undefined) {
+      throw error;
+    }
+    throw classifyWhatsAppError({
+      providerError: error.response?.data?.error,
+      httpStatus: error.response?.status,
+      fallbackMessage: error.message,
+    });
+  }
+}
+
+module.exports = {
+  RETRYABLE_ERROR_CODES,
+  classifyWhatsAppError,
+  sendTemplateMessage,
+};
@@ -0,0 +1,101 @@
+/**
+ * WhatsApp Status Webhook Service
+ *
+ * Parses Cloud API message status receipts (sent/delivered/read/failed) and
+ * applies them to the NotificationAttempt / MessageEvent that sent the message,
+ * matched by provider message id (wamid). See deliveryReceipt.service.
+ */
+const crypto = require('crypto');
+const {classifyWhatsAppError} = require('./whatsappCloudClient');
+const {applyDeliveryReceipt} = require('../deliveryReceipt.service');
+
+/**
+ * Verify X-Hub-Signature-256 (sha256=<hex HMAC of raw body with app secret>)
+ *
+ * @param {string} rawBody - Raw request body
+ * @param {string} signatureHeader - X-Hub-Signature-256 header
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} True if valid
+ */
+function verifyWhatsAppSignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+  const received = signatureHeader.slice('sha256='.length);
+
+  if (received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(received, 'utf8'), Buffer.from(expected, 'utf8'));
+}
+
+/**
+ * Extract status receipts from a webhook body (inbound messages are ignored)
+ *
+ * @param {Object} body - Parsed webhook body
+ * @returns {Array} [{providerMessageId, status, timestamp, recipient, error}]
+ */
+function parseStatusWebhook(body) {
+  if (body?.object !== 'whatsapp_business_account') {
+    return [];
+  }
+
+  const receipts = [];
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.field !== 'messages') {
+        continue;
+      }
+      for (const status of change.value?.statuses || []) {
+        if (!status.id || !status.status) {
+          continue;
+        }
+        receipts.push({
+          providerMessageId: status.id,
+          status: status.status.toUpperCase(),
+          timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date(),
+          recipient: status.recipient_id,
+          error: status.errors?.[0] || null,
+        });
+      }
+    }
+  }
+  return receipts;
+}
+
+/**
+ * Apply one status receipt to all matching records
+ *
+ * @param {Object} receipt - Output item of parseStatusWebhook
+ * @returns {Promise<Object>} {notificationAttempt, messageEvent} (true if updated)
+ */
+async function applyStatusReceipt(receipt) {
+  let error = null;
+  if (receipt.status === 'FAILED') {
+    const classified = classifyWhatsAppError({
+      providerError: receipt.error,
+      fallbackMessage: 'WhatsApp delivery failed',
+    });
+    error = {
+      code: classified.code,
+      message: classified.message,
+      retryable: classified.retryable,
+      providerResponse: receipt.error,
+    };
+  }
+
+  return applyDeliveryReceipt({
+    providerMessageId: receipt.providerMessageId,
+    status: receipt.status,
+    timestamp: receipt.timestamp,
+    error,
+  });
+}
+
+module.exports = {
+  verifyWhatsAppSignature,
+  parseStatusWebhook,
+  applyStatusReceipt,
+};
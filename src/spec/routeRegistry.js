@@ -62,6 +62,7 @@ const ROUTE_SPECS = [
   {method: 'GET', path: '/api/v1/backup/export/:id/download', specCodes: ['P3_TRUST_003'], description: 'Download export'},
   {method: 'POST', path: '/api/v1/backup/restore/init', specCodes: ['P3_TRUST_003'], description: 'Initialize restore'},
   {method: 'POST', path: '/api/v1/backup/restore/:id/upload', specCodes: ['P3_TRUST_003'], description: 'Upload restore file'},
+  {method: 'POST', path: '/api/v1/backup/restore/:id/confirm', specCodes: ['P3_TRUST_003'], description: 'Confirm restore'},
   {method: 'GET', path: '/api/v1/backup/restore/:id', specCodes: ['P3_TRUST_003'], description: 'Get restore job status'},
 
   // P4: Fairness & Support
@@ -83,6 +84,89 @@ const ROUTE_SPECS = [
   {method: 'POST', path: '/api/customers', specCodes: [], description: 'Core feature (not control)'},
   {method: 'GET', path: '/api/customers/:id', specCodes: [], description: 'Core feature (not control)'},
   {method: 'PATCH', path: '/api/customers/:id', specCodes: [], description: 'Core feature (not control)'},
+  {method: 'GET', path: '/api/customers/:id/statement', specCodes: [], description: 'Customer account statement (JSON/HTML/PDF)'},
+  {method: 'GET', path: '/api/v1/staff', specCodes: [], description: 'List team members and invites'},
+  {method: 'POST', path: '/api/v1/staff/invites', specCodes: [], description: 'Invite staff by mobile'},
+  {method: 'DELETE', path: '/api/v1/staff/invites/:id', specCodes: [], description: 'Cancel staff invite'},
+  {method: 'POST', path: '/api/v1/staff/:id/revoke', specCodes: [], description: 'Revoke staff access'},
+  {method: 'POST', path: '/api/customers/:id/share-link', specCodes: [], description: 'Create or get public customer statement link'},
+  {method: 'DELETE', path: '/api/customers/:id/share-link', specCodes: [], description: 'Revoke public customer statement link'},
+  {method: 'GET', path: '/api/settings/upi', specCodes: [], description: 'Get UPI payee settings'},
+  {method: 'PATCH', path: '/api/settings/upi', specCodes: [], description: 'Update UPI payee settings'},
+  {method: 'POST', path: '/api/bills/:id/payment-link', specCodes: [], description: 'Create Razorpay payment link for bill'},
+  {method: 'POST', path: '/api/customers/:id/payment-link', specCodes: [], description: 'Create Razorpay payment link for customer outstanding'},
+  {method: 'GET', path: '/api/customers/:id/payment-links', specCodes: [], description: 'List customer payment links'},
+  {method: 'POST', path: '/webhooks/razorpay', specCodes: [], description: 'Razorpay webhooks (Pro payments, payment links)'},
+  {method: 'GET', path: '/webhooks/whatsapp', specCodes: [], description: 'WhatsApp webhook subscription handshake'},
+  {method: 'POST', path: '/webhooks/whatsapp', specCodes: [], description: 'WhatsApp message status receipts'},
+  {method: 'POST', path: '/webhooks/sms/:provider', specCodes: [], description: 'SMS delivery reports (DLR)'},
+  {method: 'GET', path: '/api/settings/recovery-ladder', specCodes: [], description: 'Get recovery escalation ladder'},
+  {method: 'PUT', path: '/api/settings/recovery-ladder', specCodes: [], description: 'Save recovery escalation ladder version'},
+  {method: 'GET', path: '/api/settings/gst', specCodes: [], description: 'Get GST registration settings'},
+  {method: 'PATCH', path: '/api/settings/gst', specCodes: [], description: 'Update GST registration settings'},
+  {method: 'GET', path: '/api/v1/reports/gstr1', specCodes: [], description: 'GSTR-1 returns data for a period'},
+  {method: 'GET', path: '/api/v1/reports/sales-register', specCodes: [], description: 'Sales register export (JSON/CSV)'},
+  {method: 'PATCH', path: '/api/bills/:id', specCodes: ['P1_CTRL_002', 'P1_CTRL_003', 'P1_CTRL_004'], description: 'Amend bill (versioned, breach check + override, audited)'},
+  {method: 'GET', path: '/api/bills/:id/versions', specCodes: [], description: 'Bill version history'},
+  {method: 'GET', path: '/api/bills/:id/versions/:version', specCodes: [], description: 'Get bill version'},
+  {method: 'GET', path: '/api/settings/number-series', specCodes: [], description: 'Get document number series'},
+  {method: 'PATCH', path: '/api/settings/number-series/:series', specCodes: [], description: 'Update document number series / starting number'},
+  {method: 'POST', path: '/api/bills/:id/credit-notes', specCodes: ['P1_CTRL_004'], description: 'Issue credit note / sales return (audited)'},
+  {method: 'GET', path: '/api/bills/:id/credit-notes', specCodes: [], description: 'Credit notes of a bill'},
+  {method: 'GET', path: '/api/credit-notes', specCodes: [], description: 'List credit notes'},
+  {method: 'GET', path: '/api/credit-notes/:id', specCodes: [], description: 'Get credit note'},
+  {method: 'POST', path: '/api/credit-notes/:id/share-link', specCodes: [], description: 'Create or get public credit note link'},
+  {method: 'DELETE', path: '/api/credit-notes/:id/share-link', specCodes: [], description: 'Revoke public credit note link'},
+  {method: 'POST', path: '/api/customers/:id/payments', specCodes: ['P1_CTRL_004'], description: 'Record customer payment allocated across open bills (audited)'},
+  {method: 'GET', path: '/api/customers/:id/payments', specCodes: [], description: 'List customer payments'},
+  {method: 'POST', path: '/api/customers/:id/payments/:paymentId/reverse', specCodes: ['P1_CTRL_004'], description: 'Reverse customer payment (owner only, audited)'},
+  {method: 'GET', path: '/api/cheques', specCodes: [], description: 'List cheques (pending by default)'},
+  {method: 'PATCH', path: '/api/cheques/:paymentId', specCodes: ['P1_CTRL_004'], description: 'Mark cheque deposited / cleared / bounced (bounce reverses payment, audited)'},
+  {method: 'GET', path: '/api/settings/cheques', specCodes: [], description: 'Get cheque settings'},
+  {method: 'PATCH', path: '/api/settings/cheques', specCodes: [], description: 'Update cheque bounce charge'},
+  {method: 'GET', path: '/api/settings/tally', specCodes: [], description: 'Get Tally export ledger names'},
+  {method: 'PATCH', path: '/api/settings/tally', specCodes: [], description: 'Update Tally export ledger names'},
+  {method: 'POST', path: '/api/v1/reports/tally-export', specCodes: [], description: 'Tally XML export of customers, sales, receipts and credit notes (full or changes since last export)'},
+  {method: 'GET', path: '/api/v1/reports/collections', specCodes: [], description: 'Collections by payment mode'},
+  {method: 'GET', path: '/api/customers/:id/credit-balance', specCodes: [], description: 'Customer credit balance (advances held, refunds)'},
+  {method: 'POST', path: '/api/customers/:id/refunds', specCodes: ['P1_CTRL_004'], description: 'Refund customer credit balance (owner only, audited)'},
+  {method: 'GET', path: '/api/customers/:id/opening-balance', specCodes: [], description: 'Customer opening balance with the part still unpaid'},
+  {method: 'PUT', path: '/api/customers/:id/opening-balance', specCodes: ['P1_CTRL_004'], description: 'Set or correct customer opening balance (owner only, audited)'},
+  {method: 'GET', path: '/api/recurring-bills', specCodes: [], description: 'List recurring bills'},
+  {method: 'POST', path: '/api/recurring-bills', specCodes: ['P1_CTRL_002', 'P1_CTRL_003', 'P1_CTRL_004'], description: 'Create recurring bill (bills due occurrence via credit check, audited)'},
+  {method: 'GET', path: '/api/recurring-bills/:id', specCodes: [], description: 'Get recurring bill with latest bills'},
+  {method: 'PATCH', path: '/api/recurring-bills/:id', specCodes: ['P1_CTRL_004'], description: 'Update recurring bill (audited)'},
+  {method: 'POST', path: '/api/recurring-bills/:id/skip', specCodes: ['P1_CTRL_004'], description: 'Skip next recurring bill occurrence (audited)'},
+  {method: 'POST', path: '/api/recurring-bills/:id/pause', specCodes: ['P1_CTRL_004'], description: 'Pause recurring bill (audited)'},
+  {method: 'POST', path: '/api/recurring-bills/:id/resume', specCodes: ['P1_CTRL_002', 'P1_CTRL_003', 'P1_CTRL_004'], description: 'Resume recurring bill (bills due occurrence via credit check, audited)'},
+  {method: 'POST', path: '/api/items/:id/stock-adjustments', specCodes: ['P1_CTRL_004'], description: 'Adjust item stock with a reason (audited)'},
+  {method: 'GET', path: '/api/items/:id/stock-movements', specCodes: [], description: 'Item stock movements'},
+  {method: 'GET', path: '/api/v1/reports/stock-valuation', specCodes: [], description: 'Stock valuation at purchase cost (low-stock flagged)'},
+  {method: 'GET', path: '/api/suppliers', specCodes: [], description: 'List suppliers'},
+  {method: 'POST', path: '/api/suppliers', specCodes: ['P1_CTRL_004'], description: 'Create supplier (audited)'},
+  {method: 'GET', path: '/api/suppliers/:id', specCodes: [], description: 'Get supplier with open purchase bills'},
+  {method: 'PUT', path: '/api/suppliers/:id', specCodes: ['P1_CTRL_004'], description: 'Update supplier (audited)'},
+  {method: 'DELETE', path: '/api/suppliers/:id', specCodes: ['P1_CTRL_004'], description: 'Soft-delete supplier with nothing owed (owner only, audited)'},
+  {method: 'GET', path: '/api/suppliers/:id/ledger', specCodes: [], description: 'Supplier ledger'},
+  {method: 'GET', path: '/api/suppliers/:id/payments', specCodes: [], description: 'Payments made to a supplier'},
+  {method: 'POST', path: '/api/suppliers/:id/payments', specCodes: ['P1_CTRL_004'], description: 'Record payment made, allocated to purchase bills (audited)'},
+  {method: 'POST', path: '/api/suppliers/:id/payments/:paymentId/reverse', specCodes: ['P1_CTRL_004'], description: 'Reverse payment made (owner only, audited)'},
+  {method: 'GET', path: '/api/purchase-bills', specCodes: [], description: 'List purchase bills'},
+  {method: 'POST', path: '/api/purchase-bills', specCodes: ['P1_CTRL_004'], description: 'Record purchase bill (idempotent, audited)'},
+  {method: 'GET', path: '/api/purchase-bills/:id', specCodes: [], description: 'Get purchase bill'},
+  {method: 'DELETE', path: '/api/purchase-bills/:id', specCodes: ['P1_CTRL_004'], description: 'Soft-delete purchase bill with no payments (owner only, audited)'},
+  {method: 'GET', path: '/api/v1/reports/payables-aging', specCodes: [], description: 'Payables aging by supplier'},
+  {method: 'GET', path: '/api/cash-book', specCodes: [], description: 'Daily cash book (opening, in, out, closing)'},
+  {method: 'POST', path: '/api/cash-book/day-close', specCodes: ['P1_CTRL_004'], description: 'Close a day with counted cash (audited)'},
+  {method: 'GET', path: '/api/cash-book/expenses', specCodes: [], description: 'List expenses with totals by category'},
+  {method: 'POST', path: '/api/cash-book/expenses', specCodes: ['P1_CTRL_004'], description: 'Record expense or owner withdrawal (idempotent, audited)'},
+  {method: 'DELETE', path: '/api/cash-book/expenses/:id', specCodes: ['P1_CTRL_004'], description: 'Soft-delete expense of an open day (owner only, audited)'},
+  {method: 'GET', path: '/api/imports', specCodes: [], description: 'List customer and bill imports'},
+  {method: 'POST', path: '/api/imports/customers', specCodes: [], description: 'Upload CSV/XLSX and preview customer import (dry run)'},
+  {method: 'POST', path: '/api/imports/bills', specCodes: [], description: 'Upload CSV/XLSX and preview bill import of existing customers (dry run)'},
+  {method: 'GET', path: '/api/imports/:id', specCodes: [], description: 'Import with per-row errors'},
+  {method: 'PUT', path: '/api/imports/:id/mapping', specCodes: [], description: 'Change import column mapping'},
+  {method: 'POST', path: '/api/imports/:id/commit', specCodes: ['P1_CTRL_004'], description: 'Import customers with opening balances or their bills (idempotent, resumable, audited)'},
 ];
 
 /**
@@ -0,0 +1,31 @@
+/**
+ * Expense kinds and categories
+ *
+ * Money paid out of the business that is not a supplier payment. Cash ones
+ * are part of the daily cash book (see cashBook.service).
+ */
+
+const EXPENSE_KINDS = [
+  'expense', // Spent running the business
+  'withdrawal', // Taken out by the owner (drawings)
+];
+
+// What an expense was for (withdrawals have no category)
+const EXPENSE_CATEGORIES = [
+  'rent',
+  'salary',
+  'electricity',
+  'telephone',
+  'transport',
+  'tea_snacks',
+  'packaging',
+  'repairs',
+  'bank_charges',
+  'taxes',
+  'other',
+];
+
+module.exports = {
+  EXPENSE_KINDS,
+  EXPENSE_CATEGORIES,
+};
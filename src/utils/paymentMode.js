@@ -0,0 +1,28 @@
+/**
+ * Payment modes
+ *
+ * How money was received. Stored on ledger payment entries and customer
+ * payments; collection reports are split by it.
+ */
+
+const PAYMENT_MODES = ['CASH', 'UPI', 'BANK_TRANSFER', 'CHEQUE', 'CARD'];
+
+// Razorpay payment `method` -> payment mode
+const PROVIDER_METHOD_MODES = {
+  upi: 'UPI',
+  card: 'CARD',
+  netbanking: 'BANK_TRANSFER',
+  bank_transfer: 'BANK_TRANSFER',
+  emandate: 'BANK_TRANSFER',
+  nach: 'BANK_TRANSFER',
+};
+
+/**
+ * Payment mode for a provider payment method (null when it has no equivalent, e.g. wallet)
+ */
+const modeFromProviderMethod = method => PROVIDER_METHOD_MODES[String(method || '').toLowerCase()] || null;
+
+module.exports = {
+  PAYMENT_MODES,
+  modeFromProviderMethod,
+};
@@ -110,10 +110,39 @@ const formatForMSG91 = (phoneE164) => {
   return phoneE164.slice(1); // Remove leading +
 };
 
+/**
+ * Customer phone (free-form, usually a 10-digit Indian mobile) to E.164
+ * Bare 10-digit and 0-prefixed numbers are treated as Indian (+91)
+ * @param {string} phone - Stored customer phone
+ * @returns {string|null} - E.164 phone or null if unusable
+ */
+const customerPhoneToE164 = (phone) => {
+  if (!phone || typeof phone !== 'string') {
+    return null;
+  }
+
+  if (phone.trim().startsWith('+')) {
+    const e164 = `+${phone.replace(/\D/g, '')}`;
+    return isValidE164(e164) ? e164 : null;
+  }
+
+  let digits = phone.replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+  if (digits.length === 10) {
+    return /^[6-9]/.test(digits) ? `+91${digits}` : null;
+  }
+
+  const e164 = `+${digits}`;
+  return isValidE164(e164) ? e164 : null;
+};
+
 module.exports = {
   normalizeE164,
   isValidE164,
   maskPhone,
   extractCountryCode,
   formatForMSG91,
+  customerPhoneToE164,
 };
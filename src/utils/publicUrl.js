@@ -0,0 +1,68 @@
+/**
+ * Public share URLs
+ *
+ * Share links point at the web frontend viewer (not the backend):
+ * - Bills:      {PUBLIC_APP_BASE_URL}/b/:token
+ * - Statements: {PUBLIC_APP_BASE_URL}/s/:token
+ * - Credit notes: {PUBLIC_APP_BASE_URL}/cn/:token
+ */
+const AppError = require('./AppError');
+const logger = require('./logger');
+const {publicAppBaseUrl, nodeEnv} = require('../config/env');
+
+/**
+ * Generate public URL for a share token
+ * Rules:
+ * - Uses PUBLIC_APP_BASE_URL (web frontend domain)
+ * - In production: PUBLIC_APP_BASE_URL must be set
+ * - In dev: defaults to http://localhost:5173
+ *
+ * @param {string} token - Share token
+ * @param {string} prefix - Web route prefix ('b' for bills, 's' for statements, 'cn' for credit notes)
+ * @returns {string} Public URL
+ */
+const generatePublicUrl = (token, prefix = 'b') => {
+  try {
+    // Validate production requirement
+    if (nodeEnv === 'production' && !publicAppBaseUrl) {
+      throw new AppError(
+        'PUBLIC_APP_BASE_URL must be set in production environment',
+        500,
+        'MISSING_PUBLIC_APP_BASE_URL'
+      );
+    }
+
+    // Ensure base URL doesn't end with trailing slash
+    const base = (publicAppBaseUrl || 'http://localhost:5173').replace(/\/$/, '');
+
+    // Validate token
+    if (!token || typeof token !== 'string') {
+      throw new AppError('Invalid token provided', 500, 'INVALID_TOKEN');
+    }
+
+    // Return URL pointing to web frontend viewer route
+    return `${base}/${prefix}/${token}`;
+  } catch (error) {
+    // Re-throw AppError as-is
+    if (error instanceof AppError) {
+      throw error;
+    }
+    // Wrap unexpected errors
+    logger.error('[PublicUrl] generatePublicUrl error', {
+      error: error.message,
+      stack: error.stack,
+      token: token ? token.substring(0, 8) + '...' : 'null',
+      nodeEnv,
+      hasPublicAppBaseUrl: !!publicAppBaseUrl,
+    });
+    throw new AppError(
+      'Failed to generate share URL',
+      500,
+      'URL_GENERATION_ERROR'
+    );
+  }
+};
+
+module.exports = {
+  generatePublicUrl,
+};
@@ -128,8 +128,118 @@ function validatePaymentDetails(details) {
   };
 }
 
+/**
+ * Generate the X-Razorpay-Signature for a raw body (used by the local webhook simulator)
+ *
+ * @param {string|Buffer} rawBody - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} Hex HMAC SHA256 signature
+ */
+function generateWebhookSignature(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Extract payment link details from a payment_link.* webhook payload
+ *
+ * @param {Object} webhookPayload - Parsed webhook body
+ * @returns {Object|null} Payment link details or null if invalid
+ */
+function extractPaymentLinkDetails(webhookPayload) {
+  const paymentLink = webhookPayload?.payload?.payment_link?.entity;
+
+  if (!paymentLink) {
+    console.error('[RazorpayWebhook] Missing payment_link entity in payload');
+    return null;
+  }
+
+  // payment entity is only present on payment_link.paid / partially_paid
+  const payment = webhookPayload.payload?.payment?.entity;
+
+  return {
+    event: webhookPayload.event,
+    paymentLinkId: paymentLink.id,
+    referenceId: paymentLink.reference_id,
+    status: paymentLink.status,
+    amount: paymentLink.amount, // in paise
+    amountPaid: paymentLink.amount_paid, // in paise
+    currency: paymentLink.currency || 'INR',
+    notes: paymentLink.notes,
+    paymentId: payment?.id || null,
+    paymentAmount: payment?.amount ?? null, // in paise
+    paymentStatus: payment?.status || null,
+    method: payment?.method || null,
+  };
+}
+
+/**
+ * Build a payment_link.* webhook payload in Razorpay's format
+ * (local webhook simulator and tests)
+ *
+ * @param {Object} params
+ * @param {string} [params.event] - payment_link.paid | payment_link.cancelled | payment_link.expired
+ * @param {string} params.paymentLinkId - plink_* id
+ * @param {number} params.amount - Link amount in paise
+ * @param {string} [params.paymentId] - pay_* id (paid event only)
+ * @param {string} [params.referenceId] - Link reference_id
+ * @param {Object} [params.notes] - Link notes
+ * @returns {Object} Webhook body
+ */
+function buildPaymentLinkWebhookPayload({
+  event = 'payment_link.paid',
+  paymentLinkId,
+  amount,
+  paymentId,
+  referenceId,
+  notes = {},
+}) {
+  const paid = event === 'payment_link.paid';
+  const now = Math.floor(Date.now() / 1000);
+
+  const payload = {
+    payment_link: {
+      entity: {
+        id: paymentLinkId,
+        amount,
+        amount_paid: paid ? amount : 0,
+        currency: 'INR',
+        reference_id: referenceId,
+        notes,
+        status: event.replace('payment_link.', ''),
+        updated_at: now,
+      },
+    },
+  };
+
+  if (paid) {
+    payload.payment = {
+      entity: {
+        id: paymentId,
+        entity: 'payment',
+        amount,
+        currency: 'INR',
+        status: 'captured',
+        method: 'upi',
+        notes,
+        created_at: now,
+      },
+    };
+  }
+
+  return {
+    entity: 'event',
+    event,
+    contains: paid ? ['payment_link', 'payment'] : ['payment_link'],
+    payload,
+    created_at: now,
+  };
+}
+
 module.exports = {
   verifyWebhookSignature,
+  generateWebhookSignature,
   extractPaymentDetails,
   validatePaymentDetails,
+  extractPaymentLinkDetails,
+  buildPaymentLinkWebhookPayload,
 };
@@ -0,0 +1,253 @@
+/**
+ * Spreadsheet readers for imports
+ *
+ * Reads CSV text and the first worksheet of an XLSX workbook into rows of
+ * cell strings. XLSX is read straight from the zip container (zlib), enough
+ * for sheets exported by Excel, Google Sheets and khata apps: shared and
+ * inline strings, numbers and booleans. Formulas come through as their last
+ * computed value; styles (including date formats) are ignored, so dates typed
+ * as dates arrive as Excel serial numbers.
+ *
+ * Uploads are untrusted: the zip entries read are inflated with a cap on the
+ * total uncompressed size (a few MB of deflated XML can expand to gigabytes),
+ * and cells beyond the first MAX_XLSX_COLUMNS columns are ignored.
+ */
+const zlib = require('zlib');
+const AppError = require('./AppError');
+
+const XLSX_SIGNATURE = 0x04034b50; // Zip local file header ("PK\x03\x04")
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+// Total uncompressed bytes read out of one XLSX file
+const MAX_XLSX_UNCOMPRESSED_BYTES = Number(process.env.IMPORT_MAX_UNCOMPRESSED_BYTES) || 50 * 1024 * 1024;
+const MAX_XLSX_COLUMNS = 256;
+
+const tooLarge = () => new AppError(
+  `The workbook expands to more than ${Math.round(MAX_XLSX_UNCOMPRESSED_BYTES / (1024 * 1024))} MB; split it into smaller files`,
+  400,
+  'IMPORT_TOO_LARGE',
+);
+
+/**
+ * Split CSV text into rows (RFC 4180 quoting; comma, semicolon or tab separated)
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({candidate, count: firstLine.split(candidate).length}))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Files of a zip archive, by name (read lazily)
+ *
+ * @param {Buffer} buffer
+ * @param {Number} maxBytes - Cap on the uncompressed bytes of all files read
+ * @returns {Map} name -> () => file text
+ * @throws {AppError} IMPORT_TOO_LARGE when the files read exceed maxBytes
+ */
+function unzip(buffer, maxBytes = MAX_XLSX_UNCOMPRESSED_BYTES) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i -= 1) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a valid XLSX file');
+  }
+
+  const files = new Map();
+  let bytesRead = 0;
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < entries; i += 1) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Not a valid XLSX file');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    files.set(name, () => {
+      const remaining = maxBytes - bytesRead;
+      let content = data;
+      if (method === 8) {
+        try {
+          content = zlib.inflateRawSync(data, {maxOutputLength: Math.max(1, remaining)});
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+          throw error;
+        }
+      }
+      if (content.length > remaining) {
+        throw tooLarge();
+      }
+      bytesRead += content.length;
+      return content.toString('utf8');
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+const decodeXml = value => value
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+// Text of all <t> runs in an XML fragment
+const textOf = xml => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+
+// "AB12" -> 27 (0-based column index)
+const columnIndex = ref => ref.replace(/\d+$/, '').split('')
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Rows of the first worksheet of an XLSX workbook
+ *
+ * Only rows present in the sheet are returned (Excel leaves out empty rows),
+ * each with its row number.
+ *
+ * @param {Buffer} buffer
+ * @returns {Array} [{rowNumber, cells: string[]}] in sheet order
+ */
+function parseXlsx(buffer) {
+  const files = unzip(buffer);
+  const read = name => (files.has(name) ? files.get(name)() : null);
+
+  // First sheet of the workbook (falls back to the usual file name)
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = read('xl/workbook.xml');
+  const rels = read('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook && workbook.match(/<sheet\s[^>]*r:id="([^"]+)"/);
+  if (firstSheet && rels) {
+    const target = rels.match(new RegExp(`<Relationship\\s[^>]*Id="${firstSheet[1]}"[^>]*>`));
+    const path = target && target[0].match(/Target="([^"]+)"/);
+    if (path) sheetPath = path[1].startsWith('/') ? path[1].slice(1) : `xl/${path[1]}`;
+  }
+
+  const sheet = read(sheetPath);
+  if (!sheet) {
+    throw new Error('The workbook has no worksheet');
+  }
+
+  const sharedStrings = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(match => textOf(match[1]));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const previous = rows.length > 0 ? rows[rows.length - 1].rowNumber : 0;
+    const rowNumber = Number((rowMatch[1].match(/\br="(\d+)"/) || [])[1]) || previous + 1;
+    const cells = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = (attributes.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+      const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[Number(raw)] || '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      const index = ref ? columnIndex(ref) : cells.length;
+      if (index < MAX_XLSX_COLUMNS) {
+        cells[index] = value;
+      }
+    }
+
+    rows.push({rowNumber, cells: Array.from(cells, cell => cell || '')});
+  }
+
+  return rows.sort((a, b) => a.rowNumber - b.rowNumber);
+}
+
+/**
+ * Rows of an uploaded spreadsheet (XLSX by content, CSV otherwise)
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {Object} {format, rows: [{rowNumber, cells}]} (rowNumber: line of the file, from 1)
+ * @throws {AppError} IMPORT_TOO_LARGE for workbooks that expand too far
+ */
+function readSpreadsheet(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === XLSX_SIGNATURE) {
+    return {format: 'xlsx', rows: parseXlsx(buffer)};
+  }
+  const rows = parseCsv(buffer.toString('utf8')).map((cells, index) => ({rowNumber: index + 1, cells}));
+  return {format: 'csv', rows};
+}
+
+/**
+ * Date of an Excel serial day number (1900 date system)
+ */
+const fromExcelSerial = serial => new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400000));
+
+module.exports = {
+  MAX_XLSX_UNCOMPRESSED_BYTES,
+  unzip,
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet,
+  fromExcelSerial,
+};
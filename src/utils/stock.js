@@ -0,0 +1,28 @@
+/**
+ * Stock units, movement types and adjustment reasons
+ *
+ * Item stock only changes through StockMovement entries (see stock.service).
+ */
+
+const ITEM_UNITS = ['pcs', 'kg', 'ltr', 'box', 'dozen', 'meter', 'other'];
+
+// What moved the stock
+const STOCK_MOVEMENT_TYPES = [
+  'opening', // Stock when tracking started
+  'adjustment', // Manual entry with a reason (purchase, damage, count...)
+  'sale', // Bill created
+  'sale_amended', // Bill quantities changed
+  'sale_cancelled', // Bill cancelled or deleted
+  'sales_return', // Credit note
+  'purchase', // Purchase bill from a supplier
+  'purchase_deleted', // Purchase bill deleted
+];
+
+// Why stock was adjusted by hand
+const STOCK_ADJUSTMENT_REASONS = ['purchase', 'damage', 'expired', 'theft', 'own_use', 'count_correction', 'other'];
+
+module.exports = {
+  ITEM_UNITS,
+  STOCK_MOVEMENT_TYPES,
+  STOCK_ADJUSTMENT_REASONS,
+};
@@ -0,0 +1,31 @@
+/**
+ * Advance (credit balance) Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+
+const creditBalanceSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+};
+
+const refundCreditBalanceSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    amount: Joi.number().positive().precision(2).required(),
+    mode: Joi.string().valid(...PAYMENT_MODES).default('CASH'),
+    reference: Joi.string().trim().max(100).allow(''),
+    refundDate: Joi.date().max('now'),
+    reason: Joi.string().trim().min(1).max(500).required(),
+    idempotencyKey: Joi.string().trim().max(200),
+  }),
+};
+
+module.exports = {
+  creditBalanceSchema,
+  refundCreditBalanceSchema,
+};
@@ -2,6 +2,8 @@
  * Bill route validation schemas
  */
 const Joi = require('joi');
+const {GST_RATES, GST_STATE_CODES, HSN_CODE_PATTERN} = require('../services/gst.service');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
 
 /**
  * Validate ObjectId string format
@@ -9,50 +11,102 @@ const Joi = require('joi');
 const objectIdSchema = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
 
 /**
- * Validate bill creation payload
+ * Bill line (total is recomputed server-side on amendments)
  */
-const createBillSchema = Joi.object({
-  customerId: objectIdSchema.required(),
-  items: Joi.array()
-    .min(1)
-    .items(
-      Joi.object({
-        itemId: objectIdSchema.optional(),
-        name: Joi.string().trim().min(1).max(200).required(),
-        qty: Joi.number().positive().required(),
-        price: Joi.number().min(0).required(),
-        total: Joi.number().min(0).required(),
-      })
-    )
-    .required(),
-  subTotal: Joi.number().min(0).required(),
-  discount: Joi.number().min(0).default(0),
-  tax: Joi.number().min(0).default(0),
-  grandTotal: Joi.number().min(0).required(),
-  paidAmount: Joi.number().min(0).default(0),
-  dueDate: Joi.date().optional(),
-  notes: Joi.string().max(1000).optional().allow(''),
-  idempotencyKey: Joi.string().max(200).optional(),
+const billLineSchema = Joi.object({
+  itemId: objectIdSchema.optional(),
+  name: Joi.string().trim().min(1).max(200).required(),
+  qty: Joi.number().positive().required(),
+  price: Joi.number().min(0).required(),
+  total: Joi.number().min(0).required(),
+  hsnCode: Joi.string().trim().pattern(HSN_CODE_PATTERN).optional(),
+  gstRate: Joi.number().valid(...GST_RATES).optional(),
 });
 
+/**
+ * Validate bill creation payload
+ */
+const createBillSchema = {
+  body: Joi.object({
+    customerId: objectIdSchema.required(),
+    items: Joi.array()
+      .min(1)
+      .items(billLineSchema)
+      .required(),
+    subTotal: Joi.number().min(0).required(),
+    discount: Joi.number().min(0).default(0),
+    tax: Joi.number().min(0).default(0),
+    grandTotal: Joi.number().min(0).required(),
+    paidAmount: Joi.number().min(0).default(0),
+    dueDate: Joi.date().optional(),
+    notes: Joi.string().max(1000).optional().allow(''),
+    idempotencyKey: Joi.string().max(200).optional(),
+    // GST tax invoice (totals are recomputed server-side)
+    taxInvoice: Joi.boolean().optional(),
+    placeOfSupply: Joi.string().valid(...Object.keys(GST_STATE_CODES)).optional(),
+    overrideReason: Joi.string().max(500).optional(),
+  }),
+};
+
 /**
  * Validate bill payment payload
  */
-const addPaymentSchema = Joi.object({
-  amount: Joi.number().positive().required(),
-  paymentDate: Joi.date().optional(),
-  notes: Joi.string().max(500).optional().allow(''),
-});
+const addPaymentSchema = {
+  body: Joi.object({
+    amount: Joi.number().positive().required(),
+    paymentDate: Joi.date().max('now').optional(),
+    // Cheques are tracked until they clear: record them as customer payments
+    mode: Joi.string().valid(...PAYMENT_MODES.filter(mode => mode !== 'CHEQUE')).optional().messages({
+      'any.only': 'mode must be CASH, UPI, BANK_TRANSFER or CARD (record cheques from the customer\'s payments)',
+    }),
+    reference: Joi.string().trim().max(100).optional().allow(''),
+    note: Joi.string().max(500).optional().allow(''),
+    notes: Joi.string().max(500).optional().allow(''),
+    idempotencyKey: Joi.string().max(200).optional(),
+  }),
+};
 
 /**
  * Validate bill cancellation payload
  */
-const cancelBillSchema = Joi.object({
-  reason: Joi.string().max(500).optional().allow(''),
-});
+const cancelBillSchema = {
+  body: Joi.object({
+    reason: Joi.string().max(500).optional().allow(''),
+  }),
+};
+
+/**
+ * Validate bill amendment payload (PATCH /api/bills/:id)
+ */
+const updateBillSchema = {
+  body: Joi.object({
+    items: Joi.array()
+      .min(1)
+      .items(billLineSchema.fork(['total'], field => field.optional())),
+    discount: Joi.number().min(0),
+    tax: Joi.number().min(0),
+    dueDate: Joi.date().allow(null),
+    notes: Joi.string().max(1000).allow(''),
+    reason: Joi.string().trim().max(500).allow(''),
+    expectedVersion: Joi.number().integer().min(1),
+    overrideReason: Joi.string().max(500),
+  }).or('items', 'discount', 'tax', 'dueDate', 'notes'),
+};
+
+/**
+ * Validate bill version lookup (GET /api/bills/:id/versions/:version)
+ */
+const billVersionSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+    version: Joi.number().integer().min(1).required(),
+  }),
+};
 
 module.exports = {
   createBillSchema,
+  updateBillSchema,
+  billVersionSchema,
   addPaymentSchema,
   cancelBillSchema,
 };
@@ -0,0 +1,72 @@
+/**
+ * Cash Book Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+const {EXPENSE_KINDS, EXPENSE_CATEGORIES} = require('../utils/expense');
+
+// IST business day
+const daySchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('must be a date in YYYY-MM-DD format');
+
+const createExpenseSchema = {
+  body: Joi.object({
+    kind: Joi.string().valid(...EXPENSE_KINDS).default('expense'),
+    category: Joi.when('kind', {
+      is: 'withdrawal',
+      then: Joi.forbidden(),
+      otherwise: Joi.string().valid(...EXPENSE_CATEGORIES).required(),
+    }),
+    amount: Joi.number().positive().precision(2).required(),
+    mode: Joi.string().valid(...PAYMENT_MODES).default('CASH'),
+    // UTR / UPI reference / cheque number
+    reference: Joi.string().trim().max(100).allow(''),
+    expenseDate: Joi.date().max('now'),
+    note: Joi.string().trim().max(500).allow(''),
+    idempotencyKey: Joi.string().trim().max(200),
+  }),
+};
+
+const listExpensesSchema = {
+  query: Joi.object({
+    from: Joi.date(),
+    to: Joi.date(),
+    kind: Joi.string().valid(...EXPENSE_KINDS),
+    category: Joi.string().valid(...EXPENSE_CATEGORIES),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+const deleteExpenseSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required(),
+  }),
+};
+
+const cashBookSchema = {
+  query: Joi.object({
+    from: daySchema,
+    to: daySchema,
+  }),
+};
+
+const closeDaySchema = {
+  body: Joi.object({
+    // Defaults to today (IST)
+    date: daySchema,
+    countedCash: Joi.number().min(0).precision(2).required(),
+    note: Joi.string().trim().max(500).allow(''),
+  }),
+};
+
+module.exports = {
+  createExpenseSchema,
+  listExpensesSchema,
+  deleteExpenseSchema,
+  cashBookSchema,
+  closeDaySchema,
+};
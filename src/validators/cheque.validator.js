@@ -0,0 +1,37 @@
+/**
+ * Cheque Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+
+const listChequesSchema = {
+  query: Joi.object({
+    // Pending cheques (post-dated, received, deposited) when omitted
+    status: Joi.string().valid('post_dated', 'received', 'deposited', 'cleared', 'bounced'),
+    customerId: objectIdSchema,
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+const updateChequeStatusSchema = {
+  params: Joi.object({
+    paymentId: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    status: Joi.string().valid('deposited', 'cleared', 'bounced').required(),
+    // When it happened (defaults to now)
+    date: Joi.date().max('now'),
+    // Bank's return reason, e.g. "Insufficient funds"
+    reason: Joi.when('status', {
+      is: 'bounced',
+      then: Joi.string().trim().max(200).allow(''),
+      otherwise: Joi.forbidden(),
+    }),
+  }),
+};
+
+module.exports = {
+  listChequesSchema,
+  updateChequeStatusSchema,
+};
@@ -0,0 +1,43 @@
+/**
+ * Credit Note Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+
+const createCreditNoteSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    // Bill lines returned (line _id from the bill) and the quantity returned
+    items: Joi.array().items(Joi.object({
+      lineId: objectIdSchema.required(),
+      qty: Joi.number().positive().required(),
+    })).min(1).max(200).unique('lineId').required(),
+    reason: Joi.string().trim().max(500).allow(''),
+    idempotencyKey: Joi.string().trim().max(100),
+  }),
+};
+
+const listCreditNotesSchema = {
+  query: Joi.object({
+    customerId: objectIdSchema,
+    billId: objectIdSchema,
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+const creditNoteIdSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+};
+
+module.exports = {
+  createCreditNoteSchema,
+  listCreditNotesSchema,
+  creditNoteIdSchema,
+};
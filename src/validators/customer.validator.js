@@ -2,29 +2,46 @@
  * Customer route validation schemas
  */
 const Joi = require('joi');
+const {SUPPORTED_LANGUAGES} = require('../services/i18n');
+const {GST_STATE_CODES} = require('../services/gst.service');
+
+const gstinSchema = Joi.string().trim().uppercase().length(15).allow(null, '');
+const placeOfSupplySchema = Joi.string().valid(...Object.keys(GST_STATE_CODES)).allow(null);
 
 /**
  * Validate customer creation payload
  */
-const createCustomerSchema = Joi.object({
-  name: Joi.string().trim().min(1).max(100).required(),
-  phone: Joi.string().trim().min(10).max(15).required(),
-  email: Joi.string().email().max(100).optional().allow(''),
-  address: Joi.string().max(500).optional().allow(''),
-  notes: Joi.string().max(1000).optional().allow(''),
-  balance: Joi.number().default(0),
-});
+const createCustomerSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    phone: Joi.string().trim().min(10).max(15).required(),
+    email: Joi.string().email().max(100).optional().allow(''),
+    address: Joi.string().max(500).optional().allow(''),
+    notes: Joi.string().max(1000).optional().allow(''),
+    balance: Joi.number().default(0),
+    preferredLanguage: Joi.string().valid(...SUPPORTED_LANGUAGES).allow(null),
+    gstin: gstinSchema,
+    placeOfSupply: placeOfSupplySchema,
+    billingAddress: Joi.string().max(500).allow(null, ''),
+  }),
+};
 
 /**
  * Validate customer update payload
  */
-const updateCustomerSchema = Joi.object({
-  name: Joi.string().trim().min(1).max(100),
-  phone: Joi.string().trim().min(10).max(15),
-  email: Joi.string().email().max(100).allow(''),
-  address: Joi.string().max(500).allow(''),
-  notes: Joi.string().max(1000).allow(''),
-}).min(1); // At least one field required
+const updateCustomerSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    phone: Joi.string().trim().min(10).max(15),
+    email: Joi.string().email().max(100).allow(''),
+    address: Joi.string().max(500).allow(''),
+    notes: Joi.string().max(1000).allow(''),
+    preferredLanguage: Joi.string().valid(...SUPPORTED_LANGUAGES).allow(null),
+    gstin: gstinSchema,
+    placeOfSupply: placeOfSupplySchema,
+    billingAddress: Joi.string().max(500).allow(null, ''),
+  }).min(1), // At least one field required
+};
 
 module.exports = {
   createCustomerSchema,
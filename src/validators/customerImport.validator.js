@@ -0,0 +1,68 @@
+/**
+ * Customer Import Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+
+// Header of the column a field is read from (null leaves the field out)
+const columnSchema = Joi.string().trim().max(200).allow(null);
+
+const uploadCustomerImportSchema = {
+  query: Joi.object({
+    fileName: Joi.string().trim().max(200),
+  }),
+};
+
+const listImportsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+const getImportSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  query: Joi.object({
+    status: Joi.string().valid('valid', 'invalid', 'duplicate', 'imported', 'failed'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+  }),
+};
+
+const updateImportMappingSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    columns: Joi.object({
+      name: Joi.string().trim().max(200),
+      phone: columnSchema,
+      openingBalance: columnSchema,
+      asOfDate: columnSchema,
+      // Bill imports
+      reference: columnSchema,
+      billDate: columnSchema,
+      dueDate: columnSchema,
+      amount: columnSchema,
+      paidAmount: columnSchema,
+      description: columnSchema,
+    }),
+    defaultAsOfDate: Joi.date().max('now').allow(null),
+  }).or('columns', 'defaultAsOfDate'),
+};
+
+const importIdSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+};
+
+module.exports = {
+  uploadCustomerImportSchema,
+  listImportsSchema,
+  getImportSchema,
+  updateImportMappingSchema,
+  importIdSchema,
+};
@@ -0,0 +1,63 @@
+/**
+ * Customer Payment Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+
+const amountSchema = Joi.number().positive().precision(2);
+
+const recordCustomerPaymentSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    amount: amountSchema.required(),
+    // Omit to allocate oldest due bills first
+    allocations: Joi.array().items(Joi.object({
+      billId: objectIdSchema.required(),
+      amount: amountSchema.required(),
+    })).max(200).unique('billId'),
+    mode: Joi.string().valid(...PAYMENT_MODES).default('CASH'),
+    // UTR / UPI reference / card slip (defaults to the cheque number for cheques)
+    reference: Joi.string().trim().max(100).allow(''),
+    paymentDate: Joi.date().max('now'),
+    cheque: Joi.when('mode', {
+      is: 'CHEQUE',
+      then: Joi.object({
+        number: Joi.string().trim().min(1).max(20).required(),
+        bankName: Joi.string().trim().max(100).allow(''),
+        chequeDate: Joi.date().required(),
+      }).required(),
+      otherwise: Joi.forbidden(),
+    }),
+    note: Joi.string().trim().max(500).allow(''),
+    idempotencyKey: Joi.string().trim().max(200),
+  }),
+};
+
+const listCustomerPaymentsSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+const reverseCustomerPaymentSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+    paymentId: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required(),
+  }),
+};
+
+module.exports = {
+  recordCustomerPaymentSchema,
+  listCustomerPaymentsSchema,
+  reverseCustomerPaymentSchema,
+};
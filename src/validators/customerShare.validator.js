@@ -0,0 +1,16 @@
+/**
+ * Customer Share Link Validators
+ *
+ * Public customer statement links
+ */
+const Joi = require('joi');
+
+const createCustomerShareLinkSchema = {
+  body: Joi.object({
+    expiresInDays: Joi.number().integer().min(1).max(365),
+  }),
+};
+
+module.exports = {
+  createCustomerShareLinkSchema,
+};
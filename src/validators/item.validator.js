@@ -2,6 +2,8 @@
  * Item route validation schemas
  */
 const Joi = require('joi');
+const {GST_RATES, HSN_CODE_PATTERN} = require('../services/gst.service');
+const {ITEM_UNITS} = require('../utils/stock');
 
 /**
  * Validate item creation payload
@@ -9,9 +11,14 @@ const Joi = require('joi');
 const createItemSchema = Joi.object({
   name: Joi.string().trim().min(1).max(200).required(),
   price: Joi.number().min(0).required(),
-  unit: Joi.string().valid('pcs', 'kg', 'ltr', 'box', 'dozen', 'meter', 'other').default('pcs'),
+  unit: Joi.string().valid(...ITEM_UNITS).default('pcs'),
   description: Joi.string().max(500).optional().allow(''),
   category: Joi.string().max(100).optional().allow(''),
+  hsnCode: Joi.string().trim().pattern(HSN_CODE_PATTERN).allow(null).optional(),
+  gstRate: Joi.number().valid(...GST_RATES).allow(null).optional(),
+  openingStock: Joi.number().min(0).allow(null).optional(),
+  reorderLevel: Joi.number().min(0).allow(null).optional(),
+  purchaseCost: Joi.number().min(0).allow(null).optional(),
 });
 
 /**
@@ -20,9 +27,14 @@ const createItemSchema = Joi.object({
 const updateItemSchema = Joi.object({
   name: Joi.string().trim().min(1).max(200),
   price: Joi.number().min(0),
-  unit: Joi.string().valid('pcs', 'kg', 'ltr', 'box', 'dozen', 'meter', 'other'),
+  unit: Joi.string().valid(...ITEM_UNITS),
   description: Joi.string().max(500).allow(''),
   category: Joi.string().max(100).allow(''),
+  hsnCode: Joi.string().trim().pattern(HSN_CODE_PATTERN).allow(null),
+  gstRate: Joi.number().valid(...GST_RATES).allow(null),
+  reorderLevel: Joi.number().min(0).allow(null),
+  purchaseCost: Joi.number().min(0).allow(null),
+  trackStock: Joi.boolean(),
 }).min(1);
 
 /**
@@ -31,7 +43,7 @@ const updateItemSchema = Joi.object({
 const upsertItemSchema = Joi.object({
   name: Joi.string().trim().min(1).max(200).required(),
   price: Joi.number().min(0).required(),
-  unit: Joi.string().valid('pcs', 'kg', 'ltr', 'box', 'dozen', 'meter', 'other').default('pcs'),
+  unit: Joi.string().valid(...ITEM_UNITS).default('pcs'),
 });
 
 module.exports = {
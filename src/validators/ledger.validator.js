@@ -2,6 +2,7 @@
  * Ledger route validation schemas
  */
 const Joi = require('joi');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
 
 /**
  * Validate ObjectId string format
@@ -28,6 +29,12 @@ const addDebitSchema = Joi.object({
   amount: Joi.number().positive().required(),
   note: Joi.string().max(500).optional().allow(''),
   transactionDate: Joi.date().optional(),
+  // Cheques are tracked until they clear: record them as customer payments
+  mode: Joi.string().valid(...PAYMENT_MODES.filter(mode => mode !== 'CHEQUE')).optional().messages({
+    'any.only': 'mode must be CASH, UPI, BANK_TRANSFER or CARD (record cheques from the customer\'s payments)',
+  }),
+  reference: Joi.string().trim().max(100).optional().allow(''),
+  paymentDate: Joi.date().max('now').optional(),
   idempotencyKey: Joi.string().max(200).optional(),
 });
 
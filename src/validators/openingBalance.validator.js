@@ -0,0 +1,29 @@
+/**
+ * Opening Balance Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+
+const getOpeningBalanceSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+};
+
+const setOpeningBalanceSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    // 0 clears an opening balance nothing was paid against
+    amount: Joi.number().min(0).precision(2).required(),
+    // Date the balance was owed as of (aging and interest run from it)
+    asOfDate: Joi.date().max('now').required(),
+    note: Joi.string().trim().max(500).allow(''),
+  }),
+};
+
+module.exports = {
+  getOpeningBalanceSchema,
+  setOpeningBalanceSchema,
+};
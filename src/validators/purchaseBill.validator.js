@@ -0,0 +1,60 @@
+/**
+ * Purchase Bill Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+
+const amountSchema = Joi.number().min(0).precision(2);
+
+const createPurchaseBillSchema = {
+  body: Joi.object({
+    supplierId: objectIdSchema.required(),
+    // Supplier's invoice number
+    billNo: Joi.string().trim().min(1).max(50).required(),
+    billDate: Joi.date().max('now'),
+    items: Joi.array().items(Joi.object({
+      // Catalog item: tracked items get the quantity added to stock
+      itemId: objectIdSchema.allow(null),
+      name: Joi.string().trim().min(1).max(200).required(),
+      qty: Joi.number().positive().required(),
+      price: amountSchema.required(),
+    })).min(1).max(200).required(),
+    discount: amountSchema.default(0),
+    tax: amountSchema.default(0),
+    // Defaults to the bill date plus the supplier's payment terms
+    dueDate: Joi.date().allow(null),
+    notes: Joi.string().trim().max(500).allow(''),
+    idempotencyKey: Joi.string().trim().max(200),
+  }),
+};
+
+const listPurchaseBillsSchema = {
+  query: Joi.object({
+    supplierId: objectIdSchema,
+    status: Joi.string().valid('unpaid', 'partial', 'paid'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+const purchaseBillIdSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+};
+
+const deletePurchaseBillSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required(),
+  }),
+};
+
+module.exports = {
+  createPurchaseBillSchema,
+  listPurchaseBillsSchema,
+  purchaseBillIdSchema,
+  deletePurchaseBillSchema,
+};
@@ -0,0 +1,74 @@
+/**
+ * Recurring Bill Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+const {GST_RATES, GST_STATE_CODES, HSN_CODE_PATTERN} = require('../services/gst.service');
+const {FREQUENCY_MONTHS} = require('../services/recurringBill.service');
+
+// Template line: price is for a full period
+const recurringLineSchema = Joi.object({
+  itemId: objectIdSchema,
+  name: Joi.string().trim().min(1).max(200).required(),
+  qty: Joi.number().positive().required(),
+  price: Joi.number().min(0).required(),
+  hsnCode: Joi.string().trim().pattern(HSN_CODE_PATTERN),
+  gstRate: Joi.number().valid(...GST_RATES),
+});
+
+// Fields the owner can change after creating the template
+const editableFields = {
+  name: Joi.string().trim().max(100).allow(''),
+  items: Joi.array().items(recurringLineSchema).min(1).max(50),
+  discount: Joi.number().min(0),
+  tax: Joi.number().min(0),
+  taxInvoice: Joi.boolean().allow(null),
+  placeOfSupply: Joi.string().valid(...Object.keys(GST_STATE_CODES)).allow(null),
+  dueInDays: Joi.number().integer().min(0).max(365).allow(null),
+  notes: Joi.string().max(500).allow(''),
+  // Last day billed (YYYY-MM-DD)
+  endDate: Joi.date().iso().allow(null),
+  prorate: Joi.boolean(),
+};
+
+const createRecurringBillSchema = {
+  body: Joi.object({
+    customerId: objectIdSchema.required(),
+    ...editableFields,
+    items: editableFields.items.required(),
+    frequency: Joi.string().valid(...Object.keys(FREQUENCY_MONTHS)).default('monthly'),
+    // Defaults to the day of the start date
+    dayOfMonth: Joi.number().integer().min(1).max(31),
+    // First day billed (YYYY-MM-DD, defaults to today)
+    startDate: Joi.date().iso(),
+  }),
+};
+
+const updateRecurringBillSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object(editableFields).min(1),
+};
+
+const listRecurringBillsSchema = {
+  query: Joi.object({
+    customerId: objectIdSchema,
+    status: Joi.string().valid('active', 'paused', 'ended'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+const recurringBillIdSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+};
+
+module.exports = {
+  createRecurringBillSchema,
+  updateRecurringBillSchema,
+  listRecurringBillsSchema,
+  recurringBillIdSchema,
+};
@@ -0,0 +1,54 @@
+/**
+ * Report Validators
+ *
+ * GST returns, sales register exports, collections, stock valuation and the Tally export
+ */
+const Joi = require('joi');
+
+const reportPeriodQuery = {
+  month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).messages({
+    'string.pattern.base': 'month must be in YYYY-MM format',
+  }),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+};
+
+const gstr1Schema = {
+  query: Joi.object({
+    ...reportPeriodQuery,
+    download: Joi.boolean().default(false),
+  }).oxor('month', 'from').oxor('month', 'to'),
+};
+
+const salesRegisterSchema = {
+  query: Joi.object({
+    ...reportPeriodQuery,
+    format: Joi.string().valid('json', 'csv').default('json'),
+  }).oxor('month', 'from').oxor('month', 'to'),
+};
+
+const collectionsSchema = {
+  query: Joi.object(reportPeriodQuery).oxor('month', 'from').oxor('month', 'to'),
+};
+
+const tallyExportSchema = {
+  body: Joi.object({
+    ...reportPeriodQuery,
+    // Only what was added or changed since the last export
+    changedOnly: Joi.boolean().default(false),
+  }).oxor('month', 'from').oxor('month', 'to'),
+};
+
+const stockValuationSchema = {
+  query: Joi.object({
+    lowStockOnly: Joi.boolean().default(false),
+  }),
+};
+
+module.exports = {
+  gstr1Schema,
+  salesRegisterSchema,
+  collectionsSchema,
+  stockValuationSchema,
+  tallyExportSchema,
+};
@@ -4,6 +4,29 @@
  * Step 12: Production Readiness
  */
 const Joi = require('joi');
+const {UPI_VPA_PATTERN} = require('../services/upi.service');
+const {SUPPORTED_LANGUAGES} = require('../services/i18n');
+const {GST_STATE_CODES, isValidGstin} = require('../services/gst.service');
+const {DEFAULT_TEMPLATES, RECOVERY_MESSAGE_PLACEHOLDERS} = require('../services/recoveryPlan.service');
+const {SERIES_TYPES} = require('../services/numberSeries.service');
+
+/**
+ * Ladder text may only use known {placeholders}
+ */
+const recoveryMessageText = (max) => Joi.string().trim().max(max).allow(null, '')
+  .custom((value, helpers) => {
+    const unknown = (value.match(/\{(\w+)\}/g) || [])
+      .map(token => token.slice(1, -1))
+      .filter(name => !RECOVERY_MESSAGE_PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+      return helpers.error('string.placeholder', {
+        placeholder: unknown[0],
+        allowed: RECOVERY_MESSAGE_PLACEHOLDERS.join(', '),
+      });
+    }
+    return value;
+  })
+  .messages({'string.placeholder': '{#label} uses unknown placeholder "{#placeholder}" (allowed: {#allowed})'});
 
 const updateInterestPolicySchema = {
   body: Joi.object({
@@ -42,6 +65,82 @@ const updateBusinessSettingsSchema = {
     }),
     // Ledger settings
     ledgerEnabled: Joi.boolean(),
+    // Default language for reminders, notifications and shared bills
+    language: Joi.string().valid(...SUPPORTED_LANGUAGES),
+  }).min(1),
+};
+
+const updateUpiSettingsSchema = {
+  body: Joi.object({
+    upiVpa: Joi.string().trim().pattern(UPI_VPA_PATTERN).allow(null, '')
+      .messages({'string.pattern.base': 'upiVpa must be a valid UPI ID (e.g. shopname@okhdfcbank)'}),
+    upiPayeeName: Joi.string().trim().max(50).allow(null, ''),
+  }).min(1),
+};
+
+const updateChequeSettingsSchema = {
+  body: Joi.object({
+    chequeBounceCharge: Joi.number().min(0).max(100000).precision(2).required(),
+  }),
+};
+
+// Name of an existing ledger in the Tally company
+const tallyLedgerSchema = Joi.string().trim().min(1).max(100);
+
+const updateTallySettingsSchema = {
+  body: Joi.object({
+    companyName: Joi.string().trim().max(200).allow(null, ''),
+    salesLedger: tallyLedgerSchema,
+    cgstLedger: tallyLedgerSchema,
+    sgstLedger: tallyLedgerSchema,
+    igstLedger: tallyLedgerSchema,
+    otherTaxLedger: tallyLedgerSchema,
+    roundOffLedger: tallyLedgerSchema,
+    cashLedger: tallyLedgerSchema,
+    bankLedger: tallyLedgerSchema,
+  }).min(1),
+};
+
+const updateGstSettingsSchema = {
+  body: Joi.object({
+    gstin: Joi.string().trim().uppercase().allow(null, '')
+      .custom((value, helpers) => (value && !isValidGstin(value) ? helpers.error('string.gstin') : value))
+      .messages({'string.gstin': 'gstin must be a valid 15-character GSTIN'}),
+    gstStateCode: Joi.string().valid(...Object.keys(GST_STATE_CODES)).allow(null),
+    gstLegalName: Joi.string().trim().max(200).allow(null, ''),
+    gstAddress: Joi.string().trim().max(500).allow(null, ''),
+  }).min(1),
+};
+
+const updateRecoveryLadderSchema = {
+  body: Joi.object({
+    steps: Joi.array().items(Joi.object({
+      dayOffset: Joi.number().integer().min(0).max(365).required(),
+      channel: Joi.string().valid('whatsapp', 'sms', 'call').default('whatsapp'),
+      priority: Joi.string().valid('low', 'medium', 'high').default('high'),
+      templateKey: Joi.string().valid(...Object.keys(DEFAULT_TEMPLATES)).required(),
+      title: recoveryMessageText(100),
+      message: recoveryMessageText(500),
+    })).min(1).max(10).unique('dayOffset').required(),
+  }),
+};
+
+const getRecoveryLadderSchema = {
+  query: Joi.object({
+    version: Joi.number().integer().min(0),
+  }),
+};
+
+const updateNumberSeriesSchema = {
+  params: Joi.object({
+    series: Joi.string().valid(...SERIES_TYPES).required(),
+  }),
+  body: Joi.object({
+    prefix: Joi.string().trim().max(16).allow(''),
+    suffix: Joi.string().trim().max(16).allow(''),
+    padding: Joi.number().integer().min(1).max(9),
+    resetYearly: Joi.boolean(),
+    startNumber: Joi.number().integer().min(1).max(999999999),
   }).min(1),
 };
 
@@ -52,4 +151,11 @@ module.exports = {
   updateInterestPolicySchema,
   updateBusinessSettingsSchema,
   updateSettingsSchema, // Export the alias
+  updateUpiSettingsSchema,
+  updateChequeSettingsSchema,
+  updateTallySettingsSchema,
+  updateGstSettingsSchema,
+  updateRecoveryLadderSchema,
+  getRecoveryLadderSchema,
+  updateNumberSeriesSchema,
 };
@@ -0,0 +1,24 @@
+/**
+ * Staff Validators
+ *
+ * Multi-user businesses: staff invitations
+ */
+const Joi = require('joi');
+
+const createInviteSchema = {
+  body: Joi.object({
+    mobile: Joi.string()
+      .trim()
+      .replace(/[^\d]/g, '')
+      .pattern(/^\d{8,13}$/)
+      .required()
+      .messages({'string.pattern.base': 'Invalid mobile number format'}),
+    countryCode: Joi.string().pattern(/^\+\d{1,4}$/).default('+91'),
+    name: Joi.string().trim().max(60).allow(''),
+    role: Joi.string().valid('STAFF', 'ADMIN').default('STAFF'),
+  }),
+};
+
+module.exports = {
+  createInviteSchema,
+};
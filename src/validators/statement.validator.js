@@ -0,0 +1,18 @@
+/**
+ * Statement Validators
+ *
+ * Customer account statements
+ */
+const Joi = require('joi');
+
+const customerStatementSchema = {
+  query: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    format: Joi.string().valid('json', 'html', 'pdf').default('json'),
+  }),
+};
+
+module.exports = {
+  customerStatementSchema,
+};
@@ -0,0 +1,39 @@
+/**
+ * Stock Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+const {STOCK_ADJUSTMENT_REASONS} = require('../utils/stock');
+
+const adjustStockSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    // Signed: +20 received, -2 damaged
+    qty: Joi.number().invalid(0).required(),
+    reason: Joi.string().valid(...STOCK_ADJUSTMENT_REASONS).required(),
+    note: Joi.string().trim().max(200).allow(''),
+    // Purchases only: cost per unit, becomes the item's purchase cost
+    unitCost: Joi.when('reason', {
+      is: 'purchase',
+      then: Joi.number().min(0),
+      otherwise: Joi.forbidden(),
+    }),
+  }),
+};
+
+const listStockMovementsSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+module.exports = {
+  adjustStockSchema,
+  listStockMovementsSchema,
+};
@@ -0,0 +1,62 @@
+/**
+ * Supplier Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+
+const supplierFields = {
+  name: Joi.string().trim().min(1).max(100),
+  phone: Joi.string().trim().min(10).max(15).allow(''),
+  gstin: Joi.string().trim().uppercase().length(15).allow(null, ''),
+  address: Joi.string().trim().max(500).allow(null, ''),
+  notes: Joi.string().trim().max(1000).allow(''),
+  // Credit period the supplier gives (default due date of their bills)
+  paymentTermsDays: Joi.number().integer().min(0).max(365).allow(null),
+};
+
+const createSupplierSchema = {
+  body: Joi.object({
+    ...supplierFields,
+    name: supplierFields.name.required(),
+  }),
+};
+
+const updateSupplierSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object(supplierFields).min(1),
+};
+
+const deleteSupplierSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required(),
+  }),
+};
+
+const supplierIdSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+};
+
+const supplierLedgerSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+module.exports = {
+  createSupplierSchema,
+  updateSupplierSchema,
+  deleteSupplierSchema,
+  supplierIdSchema,
+  supplierLedgerSchema,
+};
@@ -0,0 +1,54 @@
+/**
+ * Supplier Payment Validators
+ */
+const Joi = require('joi');
+const {objectIdSchema} = require('../middleware/validation.middleware');
+const {PAYMENT_MODES} = require('../utils/paymentMode');
+
+const amountSchema = Joi.number().positive().precision(2);
+
+const recordSupplierPaymentSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    amount: amountSchema.required(),
+    // Omit to settle oldest due purchase bills first
+    allocations: Joi.array().items(Joi.object({
+      purchaseBillId: objectIdSchema.required(),
+      amount: amountSchema.required(),
+    })).max(200).unique('purchaseBillId'),
+    mode: Joi.string().valid(...PAYMENT_MODES).default('CASH'),
+    // UTR / UPI reference / cheque number
+    reference: Joi.string().trim().max(100).allow(''),
+    paymentDate: Joi.date().max('now'),
+    note: Joi.string().trim().max(500).allow(''),
+    idempotencyKey: Joi.string().trim().max(200),
+  }),
+};
+
+const listSupplierPaymentsSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+  }),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+};
+
+const reverseSupplierPaymentSchema = {
+  params: Joi.object({
+    id: objectIdSchema.required(),
+    paymentId: objectIdSchema.required(),
+  }),
+  body: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required(),
+  }),
+};
+
+module.exports = {
+  recordSupplierPaymentSchema,
+  listSupplierPaymentsSchema,
+  reverseSupplierPaymentSchema,
+};
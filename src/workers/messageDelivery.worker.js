@@ -4,7 +4,7 @@
  */
 const {
   leaseNextBatch,
-  deliverMock,
+  deliver,
   clearLease,
 } = require('../services/messageDelivery.service');
 
@@ -17,6 +17,7 @@ exports.runOnce = async () => {
   const startTime = Date.now();
   const stats = {
     leased: 0,
+    sent: 0,
     delivered: 0,
     failed: 0,
     errors: 0,
@@ -37,10 +38,12 @@ exports.runOnce = async () => {
     // Process each message
     for (const event of events) {
       try {
-        const result = await deliverMock(event);
+        const result = await deliver(event);
         
         if (result.status === 'DELIVERED') {
           stats.delivered++;
+        } else if (result.status === 'SENT') {
+          stats.sent++;
         } else if (result.status === 'FAILED') {
           stats.failed++;
         }
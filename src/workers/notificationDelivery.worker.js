@@ -142,6 +142,7 @@ async function processAttempt(attempt) {
     attempt.status = 'SENT';
     attempt.leasedUntil = null;
     attempt.providerMessageId = result.providerMessageId;
+    attempt.providerStatus = 'SENT';
     attempt.lastError = null;
     
     await attempt.save();
@@ -159,7 +160,30 @@ async function processAttempt(attempt) {
       channel: attempt.channel,
       attemptNo: attempt.attemptNo,
     });
-    
+
+    // Deferred by the transport (e.g. SMS quiet hours): reschedule without consuming an attempt
+    if (error.retryAt) {
+      attempt.attemptNo = Math.max(0, attempt.attemptNo - 1);
+      attempt.status = 'RETRY_SCHEDULED';
+      attempt.nextAttemptAt = error.retryAt;
+      attempt.leasedUntil = null;
+      attempt.lastError = {
+        code: error.code || 'DEFERRED',
+        message: error.message,
+        retryable: true,
+      };
+
+      await attempt.save();
+
+      logger.info('[NotificationWorker] Attempt deferred', {
+        attemptId: attempt._id,
+        code: error.code,
+        nextAttemptAt: error.retryAt,
+      });
+
+      return {success: false, retrying: true};
+    }
+
     // Determine if error is retryable
     const retryable = error.retryable !== false && error.code !== 'PROVIDER_NOT_CONFIGURED';
     
@@ -176,6 +200,7 @@ async function processAttempt(attempt) {
         code: error.code || 'UNKNOWN_ERROR',
         message: error.message,
         retryable: true,
+        providerResponse: error.providerResponse,
       };
       
       await attempt.save();
@@ -196,6 +221,7 @@ async function processAttempt(attempt) {
         code: error.code || 'UNKNOWN_ERROR',
         message: error.message,
         retryable: false,
+        providerResponse: error.providerResponse,
       };
       
       await attempt.save();
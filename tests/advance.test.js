@@ -0,0 +1,229 @@
+/**
+ * Advance & Credit Balance Tests
+ *
+ * Verifies advances (unallocated payments, unapplied credit notes) settling
+ * new bills, refunds of credit balance and negative balances on statements
+ */
+const Bill = require('../src/models/Bill');
+const CreditNote = require('../src/models/CreditNote');
+const Customer = require('../src/models/Customer');
+const CustomerPayment = require('../src/models/CustomerPayment');
+const CustomerRefund = require('../src/models/CustomerRefund');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const {applyAdvances, refundCreditBalance} = require('../src/services/advance.service');
+const {buildStatementLines, computeRunningBalance} = require('../src/services/statement.service');
+const {renderStatementHtml} = require('../src/services/statementRenderer.service');
+const {refundCreditBalanceSchema} = require('../src/validators/advance.validator');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const customerId = '64b0000000000000000000c1';
+const actorUserId = '64b000000000000000000002';
+
+// Customer lookups used by the atomic credit service
+const mockCustomer = (creditOutstanding = 0) => {
+  jest.spyOn(Customer, 'findOne').mockReturnValue(
+    queryResult({_id: customerId, name: 'Ravi Traders', creditOutstanding})
+  );
+  return jest.spyOn(Customer, 'findOneAndUpdate').mockImplementation((filter, update) =>
+    Promise.resolve({_id: customerId, creditOutstanding: creditOutstanding + update.$inc.creditOutstanding}));
+};
+
+// Rs 500 left on a receipt, then Rs 300 on a later credit note
+const mockAdvances = () => {
+  jest.spyOn(CustomerPayment, 'find').mockReturnValue(queryResult([
+    {_id: 'p1', receiptNo: 'RCPT/2026-27/001', unallocatedAmount: 500, createdAt: new Date('2026-10-01T06:00:00Z')},
+  ]));
+  jest.spyOn(CreditNote, 'find').mockReturnValue(queryResult([
+    {_id: 'cn1', creditNoteNo: 'CN/2026-27/002', unappliedAmount: 300, createdAt: new Date('2026-10-05T06:00:00Z')},
+  ]));
+};
+
+describe('Advances and credit balance', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('settles a new bill from advances, oldest first, without a ledger entry', async () => {
+    mockAdvances();
+    const creditUpdate = mockCustomer(1000);
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult([
+      {_id: 'b9', userId, billNo: 'BILL-009', grandTotal: 1000, paidAmount: 0, status: 'unpaid', createdAt: new Date()},
+    ]));
+    const settle = jest.spyOn(Bill, 'findOneAndUpdate').mockImplementation((filter, {$set}) =>
+      Promise.resolve({_id: filter._id, ...$set}));
+    const claimPayment = jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue({_id: 'p1'});
+    const claimNote = jest.spyOn(CreditNote, 'findOneAndUpdate').mockResolvedValue({_id: 'cn1'});
+    const advanceUpdate = jest.spyOn(Customer, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const ledger = jest.spyOn(LedgerTransaction, 'create');
+
+    const result = await applyAdvances({userId, customerId});
+
+    expect(settle.mock.calls.map(([filter, {$set}]) => [filter.paidAmount, $set])).toEqual([
+      [0, {paidAmount: 500, status: 'partial'}],
+      [500, {paidAmount: 800, status: 'partial'}],
+    ]);
+    expect(claimPayment).toHaveBeenCalledWith(
+      {_id: 'p1', status: 'active', unallocatedAmount: 500},
+      {
+        $push: {allocations: expect.objectContaining({billId: 'b9', billNo: 'BILL-009', amount: 500})},
+        $inc: {unallocatedAmount: -500},
+      },
+      {new: true}
+    );
+    expect(claimNote).toHaveBeenCalledWith(
+      {_id: 'cn1', unappliedAmount: 300},
+      expect.objectContaining({$inc: {unappliedAmount: -300}}),
+      {new: true}
+    );
+    expect(advanceUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {advanceBalance: -800}});
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: -800}}, {new: true});
+    expect(ledger).not.toHaveBeenCalled();
+    expect(result.applied).toBe(800);
+    expect(result.bills).toHaveLength(1);
+  });
+
+  it('rolls the bill back and skips an advance that changed meanwhile', async () => {
+    mockAdvances();
+    mockCustomer(1000);
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult([
+      {_id: 'b9', userId, billNo: 'BILL-009', grandTotal: 1000, paidAmount: 0, status: 'unpaid', createdAt: new Date()},
+    ]));
+    jest.spyOn(Bill, 'findOneAndUpdate').mockImplementation((filter, {$set}) => Promise.resolve({_id: filter._id, ...$set}));
+    const rollback = jest.spyOn(Bill, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(CreditNote, 'findOneAndUpdate').mockResolvedValue({_id: 'cn1'});
+    const advanceUpdate = jest.spyOn(Customer, 'updateOne').mockResolvedValue({modifiedCount: 1});
+
+    const result = await applyAdvances({userId, customerId});
+
+    expect(rollback).toHaveBeenCalledTimes(1);
+    expect(advanceUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {advanceBalance: -300}});
+    expect(result.applied).toBe(300);
+  });
+
+  it('refunds from the oldest advances and books a ledger credit', async () => {
+    mockAdvances();
+    mockCustomer();
+    jest.spyOn(CustomerRefund, 'findOne').mockResolvedValue(null);
+    const claimPayment = jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue({_id: 'p1'});
+    const claimNote = jest.spyOn(CreditNote, 'findOneAndUpdate').mockResolvedValue({_id: 'cn1'});
+    const create = jest.spyOn(CustomerRefund, 'create').mockImplementation(data => Promise.resolve({_id: 'r1', ...data}));
+    jest.spyOn(CustomerRefund, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const advanceUpdate = jest.spyOn(Customer, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't1'});
+
+    const {refund, duplicate} = await refundCreditBalance({
+      userId,
+      customerId,
+      amount: 600,
+      mode: 'UPI',
+      reference: '4312UTR',
+      reason: 'Closing account',
+      idempotencyKey: 'refund-1',
+      actorUserId,
+    });
+
+    expect(duplicate).toBe(false);
+    expect(claimPayment).toHaveBeenCalledWith(
+      {_id: 'p1', status: 'active', unallocatedAmount: 500},
+      {$inc: {refundedAmount: 500, unallocatedAmount: -500}},
+      {new: true}
+    );
+    expect(claimNote).toHaveBeenCalledWith(
+      {_id: 'cn1', unappliedAmount: 300},
+      {$inc: {refundedAmount: 100, unappliedAmount: -100}},
+      {new: true}
+    );
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 600,
+      mode: 'UPI',
+      sources: [
+        {type: 'PAYMENT', sourceId: 'p1', documentNo: 'RCPT/2026-27/001', amount: 500},
+        {type: 'CREDIT_NOTE', sourceId: 'cn1', documentNo: 'CN/2026-27/002', amount: 100},
+      ],
+      refundedBy: actorUserId,
+    }));
+    expect(advanceUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {advanceBalance: -600}});
+    expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'credit',
+      amount: 600,
+      paymentMode: 'UPI',
+      paymentReference: '4312UTR',
+      metadata: expect.objectContaining({source: 'customer_refund', refundId: 'r1'}),
+      idempotencyKey: 'customer_refund_r1',
+    }));
+    expect(refund.ledgerTransactionId).toBe('t1');
+  });
+
+  it('never refunds more than is held', async () => {
+    mockAdvances();
+    mockCustomer();
+    jest.spyOn(CustomerRefund, 'findOne').mockResolvedValue(null);
+    const claim = jest.spyOn(CustomerPayment, 'findOneAndUpdate');
+
+    await expect(refundCreditBalance({userId, customerId, amount: 900, reason: 'Closing account', actorUserId}))
+      .rejects.toMatchObject({code: 'INSUFFICIENT_CREDIT_BALANCE', statusCode: 400});
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('gives back claimed advances when the balance changed meanwhile', async () => {
+    mockAdvances();
+    mockCustomer();
+    jest.spyOn(CustomerRefund, 'findOne').mockResolvedValue(null);
+    jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue({_id: 'p1'});
+    jest.spyOn(CreditNote, 'findOneAndUpdate').mockResolvedValue(null);
+    const release = jest.spyOn(CustomerPayment, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const create = jest.spyOn(CustomerRefund, 'create');
+
+    await expect(refundCreditBalance({userId, customerId, amount: 700, reason: 'Closing account', actorUserId}))
+      .rejects.toMatchObject({code: 'REFUND_CONFLICT', statusCode: 409});
+    expect(release).toHaveBeenCalledWith({_id: 'p1'}, {$inc: {unallocatedAmount: 500, refundedAmount: -500}});
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('validates refunds', () => {
+    expect(refundCreditBalanceSchema.body.validate({amount: 100}).error.message).toMatch(/reason/);
+    expect(refundCreditBalanceSchema.body.validate({amount: -1, reason: 'x'}).error).toBeDefined();
+
+    const {value, error} = refundCreditBalanceSchema.body.validate({amount: 100, reason: 'Closing account'});
+    expect(error).toBeUndefined();
+    expect(value.mode).toBe('CASH');
+  });
+
+  it('nets advances off the customer balance', () => {
+    const customer = new Customer({userId, name: 'Ravi Traders', creditOutstanding: 200, advanceBalance: 450});
+
+    expect(Customer.netBalance(customer)).toBe(-250);
+    expect(Customer.netBalance({creditOutstanding: 200})).toBe(200);
+    expect(customer.toJSON().id).toBeUndefined();
+  });
+
+  it('shows a balance in the customer\'s favour as Cr on statements', () => {
+    const bills = [
+      {_id: 'b1', billNo: 'BILL-001', grandTotal: 1000, paidAmount: 1000, status: 'paid', isDeleted: false, createdAt: '2026-10-02T06:00:00Z'},
+    ];
+    const transactions = [
+      {_id: 't1', type: 'credit', amount: 1000, note: 'Bill BILL-001 created', idempotencyKey: 'b1_credit', metadata: {billId: 'b1'}, createdAt: '2026-10-02T06:00:01Z'},
+      {_id: 't2', type: 'debit', amount: 1500, note: 'Cash', idempotencyKey: 'manual-1', createdAt: '2026-10-03T06:00:00Z'},
+      {_id: 't3', type: 'credit', amount: 200, note: 'Refund paid', paymentReference: '4312UTR', metadata: {source: 'customer_refund'}, idempotencyKey: 'customer_refund_r1', createdAt: '2026-10-04T06:00:00Z'},
+    ];
+    const period = {from: new Date('2026-10-01T00:00:00Z'), to: new Date('2026-10-31T23:59:59Z')};
+    const totals = computeRunningBalance(buildStatementLines(bills, transactions), period.from, period.to);
+
+    expect(totals.entries.map(entry => [entry.type, entry.balance])).toEqual([
+      ['BILL', 1000],
+      ['PAYMENT', -500],
+      ['REFUND', -300],
+    ]);
+
+    const html = renderStatementHtml({
+      business: {name: 'Sharma Kirana'},
+      customer: {id: 'c1', name: 'Ravi Traders'},
+      period,
+      ...totals,
+      generatedAt: new Date('2026-11-01T00:00:00Z'),
+    });
+    expect(html).toContain('300.00 Cr');
+  });
+});
@@ -0,0 +1,382 @@
+/**
+ * Backup Archive Tests
+ *
+ * Verifies archive checksums and validation (no database required)
+ */
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const Bill = require('../src/models/Bill');
+const BillVersion = require('../src/models/BillVersion');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const DocumentCounter = require('../src/models/DocumentCounter');
+const {
+  computeChecksum,
+  buildArchive,
+  applyArchive,
+  validateArchive,
+  remapIdempotencyKey,
+  BACKUP_COLLECTIONS,
+  serializeArchive,
+  parseArchive,
+  BACKUP_FORMAT_VERSION,
+} = require('../src/services/backup.service');
+const {queryResult} = require('./helpers/queryStub');
+
+const CUSTOMER_ID = '64b000000000000000000001';
+const ITEM_ID = '64b000000000000000000002';
+
+/**
+ * Build a minimal, correctly checksummed archive
+ */
+const buildTestArchive = (overrides = {}) => {
+  const collections = {
+    customers: [{_id: CUSTOMER_ID, name: 'Ramesh', phone: '9876543210', creditOutstanding: 500}],
+    items: [{_id: ITEM_ID, name: 'Rice', normalizedName: 'rice'}],
+    bills: [{
+      _id: '64b000000000000000000003',
+      customerId: CUSTOMER_ID,
+      billNo: 'BILL-001',
+      items: [{itemId: ITEM_ID, name: 'Rice', qty: 1, price: 500, total: 500}],
+      grandTotal: 500,
+    }],
+    ledgerTransactions: [],
+    recoveryCases: [],
+    followUpTasks: [],
+    settings: [],
+    ...overrides,
+  };
+
+  const counts = {};
+  const checksums = {};
+  for (const [key, docs] of Object.entries(collections)) {
+    counts[key] = docs.length;
+    checksums[key] = computeChecksum(docs);
+  }
+
+  return {
+    manifest: {
+      formatVersion: BACKUP_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      businessId: '64b0000000000000000000ff',
+      counts,
+      checksums,
+    },
+    collections,
+  };
+};
+
+describe('Backup archive', () => {
+  it('should accept a well-formed archive', () => {
+    const result = validateArchive(buildTestArchive());
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.counts.bills).toBe(1);
+  });
+
+  it('should detect tampering via checksum mismatch', () => {
+    const archive = buildTestArchive();
+    archive.collections.bills[0].grandTotal = 50;
+
+    const result = validateArchive(archive);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.join(' ')).toMatch(/Checksum mismatch for "bills"/);
+  });
+
+  it('should reject unsupported format versions', () => {
+    const archive = buildTestArchive();
+    archive.manifest.formatVersion = '99';
+
+    expect(validateArchive(archive).valid).toBe(false);
+  });
+
+  it('should warn about bills referencing missing customers', () => {
+    const archive = buildTestArchive({customers: []});
+
+    const result = validateArchive(archive);
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings.join(' ')).toMatch(/bills reference missing customers/);
+  });
+
+  it('should skip credit notes against bills missing from the archive', () => {
+    const archive = buildTestArchive({
+      creditNotes: [{
+        _id: '64b000000000000000000004',
+        customerId: CUSTOMER_ID,
+        billId: '64b0000000000000000000aa',
+        creditNoteNo: 'CN-1',
+        items: [{billLineId: '64b000000000000000000005', itemId: ITEM_ID, name: 'Rice', qty: 1, price: 500, total: 500}],
+      }],
+    });
+
+    const result = validateArchive(archive);
+
+    expect(result.valid).toBe(true);
+    expect(result.counts.creditNotes).toBe(1);
+    expect(result.warnings.join(' ')).toMatch(/1 creditNotes reference missing bills and will be skipped/);
+  });
+
+  it('should restore receipts with their ledger entries', () => {
+    const PAYMENT_ID = '64b000000000000000000006';
+    const LEDGER_ID = '64b000000000000000000007';
+    const archive = buildTestArchive({
+      customerPayments: [{
+        _id: PAYMENT_ID,
+        customerId: CUSTOMER_ID,
+        receiptNo: 'RCT-1',
+        amount: 500,
+        allocations: [{billId: '64b000000000000000000003', amount: 500}],
+        ledgerTransactionId: LEDGER_ID,
+      }],
+      ledgerTransactions: [{
+        _id: LEDGER_ID,
+        customerId: CUSTOMER_ID,
+        type: 'debit',
+        amount: 500,
+        metadata: {source: 'customer_payment', paymentId: PAYMENT_ID, allocations: [{billId: '64b000000000000000000003'}]},
+        idempotencyKey: `customer_payment_${PAYMENT_ID}`,
+      }],
+    });
+
+    const result = validateArchive(archive);
+
+    expect(result.valid).toBe(true);
+    expect(result.counts.customerPayments).toBe(1);
+    expect(result.warnings.filter(warning => /reference/.test(warning))).toEqual([]);
+  });
+
+  it('should accept refunds of receipts and credit notes', () => {
+    const archive = buildTestArchive({
+      creditNotes: [{_id: '64b000000000000000000004', customerId: CUSTOMER_ID, billId: '64b000000000000000000003', items: []}],
+      customerPayments: [{_id: '64b000000000000000000006', customerId: CUSTOMER_ID, allocations: []}],
+      customerRefunds: [{
+        _id: '64b000000000000000000008',
+        customerId: CUSTOMER_ID,
+        amount: 300,
+        sources: [
+          {type: 'PAYMENT', sourceId: '64b000000000000000000006', amount: 100},
+          {type: 'CREDIT_NOTE', sourceId: '64b000000000000000000004', amount: 200},
+        ],
+      }],
+    });
+
+    expect(validateArchive(archive).warnings.filter(warning => /reference/.test(warning))).toEqual([]);
+
+    archive.collections.customerRefunds[0].sources[0].sourceId = '64b0000000000000000000aa';
+    archive.manifest.checksums.customerRefunds = computeChecksum(archive.collections.customerRefunds);
+
+    expect(validateArchive(archive).warnings.join(' '))
+      .toMatch(/1 customerRefunds reference missing customerPayments\/creditNotes and will be skipped/);
+  });
+
+  it('should keep bills linked to the recurring bill that generated them', () => {
+    const RECURRING_ID = '64b000000000000000000009';
+    const archive = buildTestArchive({
+      recurringBills: [{
+        _id: RECURRING_ID,
+        customerId: CUSTOMER_ID,
+        items: [{itemId: ITEM_ID, name: 'Rice', qty: 1, price: 500}],
+        lastRun: {status: 'generated', billId: '64b000000000000000000003'},
+      }],
+    });
+    archive.collections.bills[0].recurringBillId = RECURRING_ID;
+    archive.manifest.checksums.bills = computeChecksum(archive.collections.bills);
+
+    const result = validateArchive(archive);
+
+    expect(result.counts.recurringBills).toBe(1);
+    expect(result.warnings.filter(warning => /reference/.test(warning))).toEqual([]);
+  });
+
+  it('should clear stock movement links to bills missing from the archive', () => {
+    const archive = buildTestArchive({
+      stockMovements: [
+        {_id: '64b00000000000000000000a', itemId: ITEM_ID, type: 'opening', qty: 10, balanceAfter: 10},
+        {_id: '64b00000000000000000000b', itemId: ITEM_ID, type: 'sale', qty: -1, balanceAfter: 9, billId: '64b0000000000000000000aa'},
+      ],
+    });
+
+    const result = validateArchive(archive);
+
+    expect(result.counts.stockMovements).toBe(2);
+    expect(result.warnings.join(' ')).toMatch(/1 stockMovements reference missing bills; reference will be cleared/);
+  });
+
+  it('should restore suppliers with their purchase bills and payments', () => {
+    const SUPPLIER_ID = '64b00000000000000000000c';
+    const PURCHASE_BILL_ID = '64b00000000000000000000d';
+    const archive = buildTestArchive({
+      suppliers: [{_id: SUPPLIER_ID, name: 'Agarwal Wholesale'}],
+      purchaseBills: [{_id: PURCHASE_BILL_ID, supplierId: SUPPLIER_ID, billNo: 'AW-1', items: [{itemId: ITEM_ID, name: 'Rice', qty: 10}]}],
+      supplierPayments: [{
+        _id: '64b00000000000000000000e',
+        supplierId: SUPPLIER_ID,
+        amount: 400,
+        allocations: [{purchaseBillId: PURCHASE_BILL_ID, amount: 400}],
+      }],
+      supplierLedgerTransactions: [{
+        _id: '64b00000000000000000000f',
+        supplierId: SUPPLIER_ID,
+        type: 'credit',
+        amount: 1000,
+        source: 'purchase_bill',
+        metadata: {purchaseBillId: PURCHASE_BILL_ID, billNo: 'AW-1'},
+        idempotencyKey: `purchase_bill_${PURCHASE_BILL_ID}`,
+      }],
+    });
+
+    const result = validateArchive(archive);
+
+    expect(result.counts).toMatchObject({suppliers: 1, purchaseBills: 1, supplierPayments: 1, supplierLedgerTransactions: 1});
+    expect(result.warnings.filter(warning => /reference/.test(warning))).toEqual([]);
+  });
+
+  it('should carry expenses and day closes', () => {
+    const archive = buildTestArchive({
+      expenses: [{_id: '64b000000000000000000010', category: 'RENT', amount: 5000, mode: 'CASH'}],
+      dayCloses: [{_id: '64b000000000000000000011', date: '2026-04-01', openingCash: 0, countedCash: 1200}],
+    });
+
+    expect(validateArchive(archive).counts).toMatchObject({expenses: 1, dayCloses: 1});
+  });
+
+  it('should carry recovery ladder versions with the active pointer', () => {
+    const archive = buildTestArchive({
+      recoveryLadders: [{_id: '64b000000000000000000014', version: 2, steps: [{stepKey: 'STEP_0', dayOffset: 0}]}],
+      settings: [{_id: '64b000000000000000000015', recoveryLadderVersion: 2}],
+    });
+
+    const result = validateArchive(archive);
+
+    expect(result.valid).toBe(true);
+    expect(result.counts).toMatchObject({recoveryLadders: 1, settings: 1});
+    expect(result.warnings).not.toContain('Collection "recoveryLadders" not present in archive');
+  });
+
+  it('should reject more than one opening balance per customer', () => {
+    const opening = {customerId: CUSTOMER_ID, type: 'credit', amount: 500, source: 'opening'};
+    const archive = buildTestArchive({
+      ledgerTransactions: [
+        {...opening, _id: '64b000000000000000000012', idempotencyKey: `opening_${CUSTOMER_ID}`},
+        {...opening, _id: '64b000000000000000000013', idempotencyKey: 'opening-copy'},
+      ],
+    });
+
+    const result = validateArchive(archive);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.join(' ')).toMatch(/1 ledgerTransactions are extra opening balances/);
+  });
+
+  it('should date opening balances from archives made before asOfDate existed', () => {
+    const {prepare} = BACKUP_COLLECTIONS.find(({key}) => key === 'ledgerTransactions');
+    const opening = {source: 'opening', metadata: {source: 'opening', asOfDate: '2026-01-31T00:00:00.000Z'}};
+    const payment = {source: 'manual', createdAt: '2026-04-01T00:00:00.000Z'};
+
+    prepare(opening);
+    prepare(payment);
+
+    expect(opening.asOfDate).toBe('2026-01-31T00:00:00.000Z');
+    expect(payment.asOfDate).toBeUndefined();
+  });
+
+  it('should rewrite archived ids inside idempotency keys', () => {
+    const BILL_ID = '64b000000000000000000003';
+    const idMaps = {
+      customers: new Map([[CUSTOMER_ID, '650000000000000000000001']]),
+      bills: new Map([[BILL_ID, '650000000000000000000003']]),
+    };
+
+    expect(remapIdempotencyKey(`opening_${CUSTOMER_ID}`, idMaps)).toBe('opening_650000000000000000000001');
+    expect(remapIdempotencyKey(`bill_${BILL_ID}_amend_v2`, idMaps)).toBe('bill_650000000000000000000003_amend_v2');
+    expect(remapIdempotencyKey('client-key-1', idMaps)).toBe('client-key-1');
+  });
+
+  it('should round-trip through gzip serialization', async () => {
+    const archive = buildTestArchive();
+
+    const buffer = await serializeArchive(archive);
+    const parsed = await parseArchive(buffer);
+
+    expect(validateArchive(parsed).valid).toBe(true);
+  });
+
+  it('should refuse files that inflate past the size cap', async () => {
+    process.env.BACKUP_MAX_UNCOMPRESSED_BYTES = '4096';
+    let service;
+    jest.isolateModules(() => {
+      service = require('../src/services/backup.service');
+    });
+    delete process.env.BACKUP_MAX_UNCOMPRESSED_BYTES;
+
+    const bomb = zlib.gzipSync(Buffer.alloc(1024 * 1024, ' '));
+
+    expect(bomb.length).toBeLessThan(4096);
+    await expect(service.parseArchive(bomb)).rejects.toMatchObject({code: 'BACKUP_TOO_LARGE'});
+    await expect(service.parseArchive(await serializeArchive(buildTestArchive()))).resolves.toHaveProperty('manifest');
+  });
+
+  it('should fail clearly on unreadable files', async () => {
+    await expect(parseArchive(Buffer.from('not a backup'))).rejects.toMatchObject({
+      code: 'BACKUP_UNREADABLE',
+    });
+  });
+});
+
+describe('Backup round trip', () => {
+  const BILL_ID = '64b000000000000000000003';
+  const TARGET_ID = new mongoose.Types.ObjectId();
+
+  // Business documents by collection key; everything else is empty
+  const mockBusiness = docsByKey => {
+    for (const {key, model} of BACKUP_COLLECTIONS) {
+      jest.spyOn(model, 'find').mockReturnValue(queryResult(docsByKey[key] || []));
+      jest.spyOn(model, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(model, 'deleteMany').mockResolvedValue({deletedCount: 0});
+    }
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(DocumentCounter, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn(),
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should replace bill version history with snapshots linked to the restored bills', async () => {
+    mockBusiness({
+      customers: [{_id: CUSTOMER_ID, name: 'Ramesh'}],
+      items: [{_id: ITEM_ID, name: 'Rice'}],
+      bills: [{_id: BILL_ID, customerId: CUSTOMER_ID, billNo: 'BILL-001', version: 2, grandTotal: 600}],
+      billVersions: [{
+        _id: '64b000000000000000000016',
+        billId: BILL_ID,
+        version: 1,
+        items: [{itemId: ITEM_ID, name: 'Rice', qty: 1, price: 500, total: 500}],
+        grandTotal: 500,
+      }],
+    });
+
+    const archive = await parseArchive(await serializeArchive(await buildArchive(CUSTOMER_ID)));
+    expect(validateArchive(archive)).toMatchObject({valid: true, counts: {billVersions: 1}});
+
+    const job = {targetBusinessId: TARGET_ID, targetMode: 'OVERWRITE', save: jest.fn()};
+    const {countsImported} = await applyArchive(job, archive);
+
+    const [[[bill]]] = Bill.insertMany.mock.calls;
+    const [[[snapshot]]] = BillVersion.insertMany.mock.calls;
+    const [[[item]]] = BACKUP_COLLECTIONS.find(({key}) => key === 'items').model.insertMany.mock.calls;
+    expect(countsImported.billVersions).toBe(1);
+    expect(String(bill._id)).not.toBe(BILL_ID);
+    expect(snapshot).toMatchObject({billId: bill._id, version: 1, userId: TARGET_ID});
+    expect(snapshot.items[0].itemId).toBe(item._id);
+    expect(BillVersion.deleteMany).toHaveBeenCalledWith({userId: TARGET_ID}, expect.anything());
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Bill Amendment Tests
+ *
+ * Verifies recomputed totals, the credit delta, version snapshots, concurrency
+ * conflicts and how amendments appear on statements (no database required)
+ */
+const AuditEvent = require('../src/models/AuditEvent');
+const Bill = require('../src/models/Bill');
+const BillVersion = require('../src/models/BillVersion');
+const Customer = require('../src/models/Customer');
+const Item = require('../src/models/Item');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const StockMovement = require('../src/models/StockMovement');
+const {amendBill, computeAmendedValues} = require('../src/services/billAmendment.service');
+const {buildStatementLines} = require('../src/services/statement.service');
+const {updateBillSchema} = require('../src/validators/bill.validator');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const customerId = '64b0000000000000000000c1';
+const billId = '64b000000000000000000b01';
+const actorUserId = '64b000000000000000000002';
+
+const billDoc = (overrides = {}) => {
+  const data = {
+    _id: billId,
+    userId,
+    customerId,
+    billNo: 'BILL-007',
+    items: [{_id: 'line1', itemId: '64b0000000000000000000a1', name: 'Rice', qty: 2, price: 500, total: 1000}],
+    subTotal: 1000,
+    discount: 0,
+    tax: 0,
+    gst: null,
+    grandTotal: 1000,
+    paidAmount: 200,
+    status: 'partial',
+    dueDate: null,
+    notes: '',
+    version: 1,
+    amendedAt: null,
+    createdAt: new Date('2026-10-01T06:00:00.000Z'),
+    ...overrides,
+  };
+  return {...data, toObject: () => ({...data})};
+};
+
+// Customer lookups used by the atomic credit service
+const mockCustomer = (customer = {creditLimitEnabled: false, creditOutstanding: 800}) => {
+  jest.spyOn(Customer, 'findOne').mockImplementation(() => {
+    return queryResult({_id: customerId, ...customer});
+  });
+  return jest.spyOn(Customer, 'findOneAndUpdate').mockImplementation((filter, update) =>
+    Promise.resolve({_id: customerId, creditOutstanding: customer.creditOutstanding + update.$inc.creditOutstanding}));
+};
+
+describe('Bill amendments', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({_id: 'audit1'});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('recomputes plain bill totals server-side', () => {
+    const amended = computeAmendedValues(billDoc(), {
+      items: [{name: 'Rice', qty: 3, price: 500, total: 1}, {name: 'Dal', qty: 1, price: 120.5}],
+      discount: 20.5,
+      tax: 10,
+    });
+
+    expect(amended.items.map(line => line.total)).toEqual([1500, 120.5]);
+    expect(amended).toMatchObject({subTotal: 1620.5, discount: 20.5, tax: 10, grandTotal: 1610, paidAmount: 200});
+    expect(() => computeAmendedValues(billDoc(), {discount: 1001}))
+      .toThrow(expect.objectContaining({code: 'VALIDATION_ERROR'}));
+  });
+
+  it('re-taxes tax invoices against the issued GST snapshot', () => {
+    const gst = {
+      isTaxInvoice: true,
+      supplierGstin: '27AAPFU0939F1ZV',
+      supplierStateCode: '27',
+      customerGstin: '29AAGCB7383J1Z4',
+      placeOfSupply: '29',
+      supplyType: 'INTER_STATE',
+      taxableValue: 1000,
+      cgst: 0,
+      sgst: 0,
+      igst: 50,
+      totalTax: 50,
+    };
+    const bill = billDoc({
+      gst,
+      items: [{name: 'Rice', qty: 2, price: 500, total: 1000, hsnCode: '1006', gstRate: 5, taxableValue: 1000, igst: 50}],
+      tax: 50,
+      grandTotal: 1050,
+    });
+
+    const amended = computeAmendedValues(bill, {discount: 100});
+    expect(amended.items[0]).toMatchObject({hsnCode: '1006', taxableValue: 900, igst: 45});
+    expect(amended).toMatchObject({tax: 45, grandTotal: 945});
+    expect(amended.gst).toMatchObject({supplierGstin: '27AAPFU0939F1ZV', placeOfSupply: '29', taxableValue: 900, totalTax: 45});
+
+    expect(() => computeAmendedValues(bill, {items: [{name: 'Sugar', qty: 1, price: 40}]}))
+      .toThrow(expect.objectContaining({code: 'GST_RATE_REQUIRED'}));
+  });
+
+  it('reserves the increase, snapshots the old version and books a ledger adjustment', async () => {
+    jest.spyOn(Bill, 'findOne').mockResolvedValue(billDoc());
+    jest.spyOn(Item, 'upsertByName').mockResolvedValue({_id: '64b0000000000000000000a2'});
+    const creditUpdate = mockCustomer();
+    const snapshot = jest.spyOn(BillVersion, 'create').mockResolvedValue({_id: 'v1'});
+    const update = jest.spyOn(Bill, 'findOneAndUpdate').mockResolvedValue({_id: billId, version: 2});
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't1'});
+    // Neither item keeps stock
+    jest.spyOn(StockMovement, 'find').mockReturnValue(queryResult([]));
+    jest.spyOn(Item, 'find').mockReturnValue(queryResult([]));
+    const stockMove = jest.spyOn(Item, 'findOneAndUpdate');
+
+    const result = await amendBill({
+      userId,
+      billId,
+      changes: {items: [{itemId: '64b0000000000000000000a1', name: 'Rice', qty: 2, price: 500}, {name: 'Dal', qty: 2, price: 150}]},
+      reason: 'Missed a line',
+      actorUserId,
+    });
+
+    expect(result).toMatchObject({amended: true, delta: 300});
+    expect(result.changedKeys.sort()).toEqual(['grandTotal', 'items', 'subTotal']);
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: 300}}, {new: true});
+    expect(snapshot).toHaveBeenCalledWith(expect.objectContaining({
+      billId,
+      version: 1,
+      grandTotal: 1000,
+      amendedBy: actorUserId,
+      amendReason: 'Missed a line',
+    }));
+
+    const [filter, {$set: changes}] = update.mock.calls[0];
+    expect(filter).toMatchObject({_id: billId, version: {$in: [1, null]}, paidAmount: 200});
+    expect(changes).toMatchObject({grandTotal: 1300, status: 'partial', version: 2});
+    expect(changes.items[1]).toMatchObject({name: 'Dal', total: 300, itemId: '64b0000000000000000000a2'});
+
+    expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'credit',
+      amount: 300,
+      source: 'adjustment',
+      idempotencyKey: `bill_${billId}_amend_v2`,
+      metadata: expect.objectContaining({source: 'bill_amend', version: 2}),
+    }));
+    expect(stockMove).not.toHaveBeenCalled();
+  });
+
+  it('blocks increases over the credit limit without touching the bill', async () => {
+    jest.spyOn(Bill, 'findOne').mockResolvedValue(billDoc());
+    mockCustomer({creditLimitEnabled: true, creditLimitAmount: 1000, creditOutstanding: 900});
+    const snapshot = jest.spyOn(BillVersion, 'create');
+    const update = jest.spyOn(Bill, 'findOneAndUpdate');
+
+    await expect(amendBill({userId, billId, changes: {tax: 200}, actorUserId}))
+      .rejects.toMatchObject({code: 'CREDIT_LIMIT_EXCEEDED', statusCode: 409});
+    expect(snapshot).not.toHaveBeenCalled();
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('releases decreases and refuses to go below the amount paid', async () => {
+    jest.spyOn(Bill, 'findOne').mockResolvedValue(billDoc());
+    const creditUpdate = mockCustomer();
+    jest.spyOn(BillVersion, 'create').mockResolvedValue({_id: 'v1'});
+    jest.spyOn(Bill, 'findOneAndUpdate').mockResolvedValue({_id: billId, version: 2});
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't1'});
+
+    await expect(amendBill({userId, billId, changes: {discount: 850}, actorUserId}))
+      .rejects.toMatchObject({code: 'AMOUNT_BELOW_PAID'});
+
+    const result = await amendBill({userId, billId, changes: {discount: 250}, actorUserId});
+    expect(result.delta).toBe(-250);
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: -250}}, {new: true});
+    expect(ledger).toHaveBeenCalledWith(expect.objectContaining({type: 'debit', amount: 250}));
+  });
+
+  it('rolls back on a concurrent change and rejects stale versions', async () => {
+    jest.spyOn(Bill, 'findOne').mockResolvedValue(billDoc({version: 3}));
+    const creditUpdate = mockCustomer();
+    jest.spyOn(BillVersion, 'create').mockResolvedValue({_id: 'v3'});
+    const removeSnapshot = jest.spyOn(BillVersion, 'deleteOne').mockResolvedValue({deletedCount: 1});
+    jest.spyOn(Bill, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(amendBill({userId, billId, changes: {tax: 100}, actorUserId}))
+      .rejects.toMatchObject({code: 'BILL_VERSION_CONFLICT', statusCode: 409});
+    expect(removeSnapshot).toHaveBeenCalledWith({_id: 'v3'});
+    expect(creditUpdate.mock.calls.map(([, update]) => update.$inc.creditOutstanding)).toEqual([100, -100]);
+
+    await expect(amendBill({userId, billId, changes: {tax: 100}, expectedVersion: 2, actorUserId}))
+      .rejects.toMatchObject({code: 'BILL_VERSION_CONFLICT'});
+  });
+
+  it('does not amend cancelled bills or create versions for no-op edits', async () => {
+    jest.spyOn(Bill, 'findOne').mockResolvedValueOnce(billDoc({status: 'cancelled'}));
+    await expect(amendBill({userId, billId, changes: {notes: 'x'}, actorUserId}))
+      .rejects.toMatchObject({code: 'BILL_NOT_AMENDABLE'});
+
+    Bill.findOne.mockResolvedValueOnce(billDoc());
+    const snapshot = jest.spyOn(BillVersion, 'create');
+    const result = await amendBill({userId, billId, changes: {notes: '', discount: 0}, actorUserId});
+    expect(result).toMatchObject({amended: false, changedKeys: []});
+    expect(snapshot).not.toHaveBeenCalled();
+  });
+
+  it('shows amendments as separate statement lines', () => {
+    const lines = buildStatementLines(
+      [{_id: billId, billNo: 'BILL-007', grandTotal: 1300, paidAmount: 200, status: 'partial', createdAt: '2026-10-01T06:00:00Z'}],
+      [
+        {_id: 't1', type: 'credit', amount: 800, idempotencyKey: `bill_${billId}_credit`, metadata: {billId}, createdAt: '2026-10-01T06:00:01Z'},
+        {
+          _id: 't2',
+          type: 'credit',
+          amount: 300,
+          note: 'Bill BILL-007 amended (v1 → v2)',
+          idempotencyKey: `bill_${billId}_amend_v2`,
+          metadata: {billId, source: 'bill_amend'},
+          createdAt: '2026-10-03T06:00:00Z',
+        },
+      ]
+    );
+
+    expect(lines.map(line => [line.type, line.charge, line.received])).toEqual([
+      ['BILL_AMENDMENT', 300, 0],
+      ['BILL', 1000, 0],
+      ['PAYMENT', 0, 200],
+    ]);
+  });
+
+  it('requires at least one amendable field', () => {
+    expect(updateBillSchema.body.validate({reason: 'typo'}).error).toBeDefined();
+    expect(updateBillSchema.body.validate({dueDate: null, expectedVersion: 2}).error).toBeUndefined();
+    expect(updateBillSchema.body.validate({items: [{name: 'Tea', qty: 1, price: 10}]}).error).toBeUndefined();
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Cash Book Tests
+ *
+ * Verifies the daily cash book (opening from the last day close, cash in and
+ * out per IST day), day close variance, expenses on closed days and the
+ * expense validators
+ */
+const DayClose = require('../src/models/DayClose');
+const Expense = require('../src/models/Expense');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const SupplierLedgerTransaction = require('../src/models/SupplierLedgerTransaction');
+const {
+  buildCashBook,
+  closeDay,
+  recordExpense,
+  deleteExpense,
+  listExpenses,
+  istDayOf,
+} = require('../src/services/cashBook.service');
+const {createExpenseSchema, closeDaySchema} = require('../src/validators/cashBook.validator');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const actorUserId = '64b000000000000000000002';
+
+// Instant at an IST wall-clock time
+const ist = (day, time = '10:00') => new Date(`${day}T${time}:00.000+05:30`);
+
+/**
+ * Stub the cash entries the cash book reads
+ */
+const stubCashEntries = ({lastClose = null, closes = [], ledger = [], expenses = [], supplier = []} = {}) => {
+  jest.spyOn(DayClose, 'findOne').mockReturnValue(queryResult(lastClose));
+  jest.spyOn(DayClose, 'find').mockReturnValue(queryResult(closes));
+  jest.spyOn(LedgerTransaction, 'find').mockReturnValue(queryResult(ledger));
+  jest.spyOn(Expense, 'find').mockReturnValue(queryResult(expenses));
+  jest.spyOn(SupplierLedgerTransaction, 'find').mockReturnValue(queryResult(supplier));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Cash book', () => {
+  it('starts from the last counted cash and carries each day forward', async () => {
+    stubCashEntries({
+      lastClose: {date: '2026-10-08', countedCash: 500},
+      closes: [{date: '2026-10-10', countedCash: 980, variance: -20, note: 'short'}],
+      ledger: [
+        {type: 'debit', amount: 200, paymentDate: ist('2026-10-09')},
+        {type: 'debit', amount: 1000, paymentDate: ist('2026-10-10')},
+        {type: 'credit', amount: 100, paymentDate: ist('2026-10-10', '18:00')},
+      ],
+      expenses: [
+        {kind: 'expense', amount: 150, expenseDate: ist('2026-10-10')},
+        {kind: 'withdrawal', amount: 300, expenseDate: ist('2026-10-10')},
+      ],
+      supplier: [
+        {source: 'supplier_payment', amount: 200, paymentDate: ist('2026-10-10')},
+        {source: 'supplier_payment_reversal', amount: 50, paymentDate: ist('2026-10-10')},
+      ],
+    });
+
+    const cashBook = await buildCashBook({userId, from: '2026-10-10', to: '2026-10-11'});
+
+    expect(cashBook.days).toHaveLength(2);
+    expect(cashBook.days[0]).toMatchObject({
+      date: '2026-10-10',
+      openingCash: 700,
+      collected: 1000,
+      returnedToCustomers: 100,
+      expenses: 150,
+      withdrawals: 300,
+      supplierPayments: 150,
+      cashIn: 1000,
+      cashOut: 700,
+      closingCash: 1000,
+      dayClose: {countedCash: 980, variance: -20, note: 'short'},
+    });
+    // The counted cash, not the expected cash, opens the next day
+    expect(cashBook.days[1]).toMatchObject({date: '2026-10-11', openingCash: 980, closingCash: 980, dayClose: null});
+    expect(cashBook.totals).toMatchObject({cashIn: 1000, cashOut: 700, variance: -20});
+
+    // Only cash entries after the last close are read
+    const [ledgerFilter] = LedgerTransaction.find.mock.calls[0];
+    expect(ledgerFilter.paymentMode).toBe('CASH');
+    expect(ledgerFilter.$and[0].$or[0]['metadata.source'].$nin).toEqual(['credit_note', 'bill_amend']);
+    expect(ledgerFilter.$and[1].$or[0].paymentDate.$gte).toEqual(ist('2026-10-09', '00:00'));
+    expect(Expense.find.mock.calls[0][0]).toMatchObject({mode: 'CASH', isDeleted: false});
+  });
+
+  it('opens at zero plus everything before the period when no day was ever closed', async () => {
+    stubCashEntries({
+      ledger: [
+        {type: 'debit', amount: 400, paymentDate: null, createdAt: ist('2026-10-01')},
+        // 20:00 UTC is already the next day in IST
+        {type: 'debit', amount: 250, paymentDate: new Date('2026-10-09T20:00:00.000Z')},
+      ],
+    });
+
+    const cashBook = await buildCashBook({userId, from: '2026-10-10', to: '2026-10-10'});
+
+    expect(cashBook.days[0]).toMatchObject({openingCash: 400, collected: 250, closingCash: 650});
+    expect(LedgerTransaction.find.mock.calls[0][0].$and[1].$or[0].paymentDate.$gte).toBeUndefined();
+  });
+
+  it('rejects periods longer than the limit', async () => {
+    await expect(buildCashBook({userId, from: '2026-01-01', to: '2026-06-30'}))
+      .rejects.toMatchObject({statusCode: 400, code: 'VALIDATION_ERROR'});
+  });
+
+  it('reads IST business days', () => {
+    expect(istDayOf(new Date('2026-10-09T18:29:59.999Z'))).toBe('2026-10-09');
+    expect(istDayOf(new Date('2026-10-09T18:30:00.000Z'))).toBe('2026-10-10');
+  });
+});
+
+describe('Day close', () => {
+  it('records the counted cash and the variance against the cash book', async () => {
+    stubCashEntries({
+      lastClose: {date: '2026-10-09', countedCash: 300},
+      ledger: [{type: 'debit', amount: 700, paymentDate: ist('2026-10-10')}],
+      expenses: [{kind: 'expense', amount: 50, expenseDate: ist('2026-10-10')}],
+    });
+    DayClose.findOne
+      .mockReturnValueOnce(queryResult(null)) // Not closed yet
+      .mockReturnValueOnce(queryResult({date: '2026-10-09', countedCash: 300}));
+    const create = jest.spyOn(DayClose, 'create').mockImplementation(async doc => ({_id: 'dc1', ...doc}));
+
+    const dayClose = await closeDay({userId, date: '2026-10-10', countedCash: 940, actorUserId});
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      date: '2026-10-10',
+      openingCash: 300,
+      cashIn: 700,
+      cashOut: 50,
+      expectedCash: 950,
+      countedCash: 940,
+      variance: -10,
+      closedBy: actorUserId,
+    }));
+    expect(dayClose.variance).toBe(-10);
+  });
+
+  it('refuses to close a day twice', async () => {
+    jest.spyOn(DayClose, 'findOne').mockReturnValue(queryResult({_id: 'dc1'}));
+
+    await expect(closeDay({userId, date: '2026-10-10', countedCash: 100, actorUserId}))
+      .rejects.toMatchObject({statusCode: 409, code: 'DAY_ALREADY_CLOSED'});
+  });
+
+  it('refuses to close a day that has not started', async () => {
+    const tomorrow = istDayOf(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+    await expect(closeDay({userId, date: tomorrow, countedCash: 100, actorUserId}))
+      .rejects.toMatchObject({statusCode: 400, code: 'VALIDATION_ERROR'});
+  });
+});
+
+describe('Expenses', () => {
+  it('records withdrawals without a category', async () => {
+    jest.spyOn(DayClose, 'findOne').mockReturnValue(queryResult(null));
+    const create = jest.spyOn(Expense, 'create').mockImplementation(async doc => ({_id: 'e1', ...doc}));
+
+    const {expense, duplicate} = await recordExpense({
+      userId,
+      kind: 'withdrawal',
+      category: 'rent',
+      amount: 2000,
+      actorUserId,
+    });
+
+    expect(duplicate).toBe(false);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({kind: 'withdrawal', category: null, mode: 'CASH'}));
+    expect(expense.amount).toBe(2000);
+  });
+
+  it('does not take expenses dated on a closed day', async () => {
+    jest.spyOn(DayClose, 'findOne').mockReturnValue(queryResult({_id: 'dc1'}));
+    const create = jest.spyOn(Expense, 'create');
+
+    await expect(recordExpense({
+      userId,
+      category: 'rent',
+      amount: 500,
+      expenseDate: ist('2026-10-10'),
+      actorUserId,
+    })).rejects.toMatchObject({statusCode: 409, code: 'DAY_CLOSED'});
+    expect(DayClose.findOne).toHaveBeenCalledWith({userId, date: '2026-10-10'});
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('does not delete expenses of a closed day', async () => {
+    const expense = {_id: 'e1', amount: 500, expenseDate: ist('2026-10-10'), save: jest.fn()};
+    jest.spyOn(Expense, 'findOne').mockResolvedValue(expense);
+    jest.spyOn(DayClose, 'findOne').mockReturnValue(queryResult({_id: 'dc1'}));
+
+    await expect(deleteExpense({userId, expenseId: 'e1', reason: 'Duplicate', actorUserId}))
+      .rejects.toMatchObject({statusCode: 409, code: 'DAY_CLOSED'});
+    expect(expense.save).not.toHaveBeenCalled();
+  });
+
+  it('totals expenses by category with withdrawals on their own', async () => {
+    const expenses = [
+      {kind: 'expense', category: 'rent', amount: 5000},
+      {kind: 'expense', category: 'tea_snacks', amount: 120.5},
+      {kind: 'expense', category: 'tea_snacks', amount: 80},
+      {kind: 'withdrawal', category: null, amount: 1000},
+    ];
+    jest.spyOn(Expense, 'find').mockReturnValue(queryResult(expenses));
+    jest.spyOn(Expense, 'countDocuments').mockResolvedValue(expenses.length);
+
+    const result = await listExpenses({userId});
+
+    expect(result.byCategory).toEqual({rent: 5000, tea_snacks: 200.5, withdrawal: 1000});
+    expect(result.totalAmount).toBe(6200.5);
+    expect(result.pagination.total).toBe(4);
+  });
+
+  it('validates categories by kind', () => {
+    expect(createExpenseSchema.body.validate({amount: 100}).error).toBeDefined();
+    expect(createExpenseSchema.body.validate({amount: 100, category: 'rent'}).value)
+      .toMatchObject({kind: 'expense', mode: 'CASH'});
+    expect(createExpenseSchema.body.validate({kind: 'withdrawal', amount: 100, category: 'rent'}).error)
+      .toBeDefined();
+    expect(createExpenseSchema.body.validate({kind: 'withdrawal', amount: 100}).error).toBeUndefined();
+  });
+
+  it('validates day close input', () => {
+    expect(closeDaySchema.body.validate({countedCash: -1}).error).toBeDefined();
+    expect(closeDaySchema.body.validate({date: '10-10-2026', countedCash: 10}).error).toBeDefined();
+    expect(closeDaySchema.body.validate({date: '2026-10-10', countedCash: 0}).error).toBeUndefined();
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Cheque & Payment Mode Tests
+ *
+ * Verifies cheque payments (post-dated / received), the deposit -> clear | bounce
+ * lifecycle, bounce reversal with charge and recovery, and collections by
+ * payment mode
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const Bill = require('../src/models/Bill');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const Customer = require('../src/models/Customer');
+const CustomerPayment = require('../src/models/CustomerPayment');
+const DocumentCounter = require('../src/models/DocumentCounter');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const RecoveryCase = require('../src/models/RecoveryCase');
+const {applyBillPayment} = require('../src/services/billPayment.service');
+const {recordCustomerPayment} = require('../src/services/customerPayment.service');
+const {updateChequeStatus} = require('../src/services/cheque.service');
+const {buildCollectionsReport} = require('../src/services/collections.service');
+const {recordCustomerPaymentSchema} = require('../src/validators/customerPayment.validator');
+const {addPaymentSchema} = require('../src/validators/bill.validator');
+const {queryResult} = require('./helpers/queryStub');
+const {mockOwner} = require('./helpers/apiAuth');
+
+const userId = '64b000000000000000000001';
+const customerId = '64b0000000000000000000c1';
+const actorUserId = '64b000000000000000000002';
+const paymentId = '64b0000000000000000000f1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Customer lookups used by the atomic credit service
+const mockCustomer = (creditOutstanding = 0) => {
+  jest.spyOn(Customer, 'findOne').mockReturnValue(
+    queryResult({_id: customerId, name: 'Ravi Traders', phone: '9876543210', creditOutstanding})
+  );
+  return jest.spyOn(Customer, 'findOneAndUpdate').mockImplementation((filter, update) =>
+    Promise.resolve({_id: customerId, creditOutstanding: creditOutstanding + update.$inc.creditOutstanding}));
+};
+
+const chequePayment = (chequeStatus, overrides = {}) => ({
+  _id: paymentId,
+  userId,
+  customerId,
+  receiptNo: 'RCPT/2026-27/004',
+  amount: 5000,
+  mode: 'CHEQUE',
+  reference: '004512',
+  allocations: [{billId: 'b1', billNo: 'BILL-001', amount: 5000}],
+  status: 'active',
+  cheque: {number: '004512', chequeDate: new Date(Date.now() - DAY_MS), status: chequeStatus},
+  ...overrides,
+});
+
+describe('Cheques and payment modes', () => {
+  beforeEach(() => {
+    jest.spyOn(RecoveryCase, 'findOne').mockReturnValue({sort: () => Promise.resolve(null)});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records a post-dated cheque with its number as the reference', async () => {
+    mockCustomer(5000);
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult([
+      {_id: 'b1', userId, billNo: 'BILL-001', grandTotal: 5000, paidAmount: 0, status: 'unpaid', createdAt: new Date()},
+    ]));
+    jest.spyOn(Bill, 'findOneAndUpdate').mockImplementation((filter, {$set}) => Promise.resolve({_id: filter._id, ...$set}));
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(DocumentCounter, 'findOne').mockReturnValue(queryResult({lastNumber: 3}));
+    jest.spyOn(DocumentCounter, 'findOneAndUpdate').mockResolvedValue({lastNumber: 4});
+    const create = jest.spyOn(CustomerPayment, 'create').mockImplementation(data => Promise.resolve({_id: paymentId, ...data}));
+    jest.spyOn(CustomerPayment, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't1'});
+
+    const chequeDate = new Date(Date.now() + 10 * DAY_MS);
+    await recordCustomerPayment({
+      userId,
+      customerId,
+      amount: 5000,
+      mode: 'CHEQUE',
+      cheque: {number: '004512', bankName: 'SBI', chequeDate},
+      actorUserId,
+    });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      mode: 'CHEQUE',
+      reference: '004512',
+      cheque: {number: '004512', bankName: 'SBI', chequeDate, status: 'post_dated'},
+    }));
+    expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'debit',
+      paymentMode: 'CHEQUE',
+      paymentReference: '004512',
+    }));
+  });
+
+  it('requires cheque details for cheques and keeps cheques off bill payments', () => {
+    const body = {amount: 100, mode: 'CHEQUE'};
+    expect(recordCustomerPaymentSchema.body.validate(body).error.message).toMatch(/cheque/);
+
+    const valid = recordCustomerPaymentSchema.body.validate({
+      ...body,
+      cheque: {number: '1', chequeDate: '2026-10-19'},
+    });
+    expect(valid.error).toBeUndefined();
+
+    expect(recordCustomerPaymentSchema.body.validate({amount: 100, mode: 'UPI', cheque: {number: '1'}}).error)
+      .toBeDefined();
+    expect(addPaymentSchema.body.validate({amount: 100, mode: 'CHEQUE'}).error.message).toMatch(/customer's payments/);
+    expect(addPaymentSchema.body.validate({amount: 100, mode: 'UPI', reference: '4312UTR'}).error).toBeUndefined();
+  });
+
+  it('rejects cheques and unknown modes on bill payments before any write', async () => {
+    const billLookup = jest.spyOn(Bill, 'findOne');
+    const release = mockCustomer(1000);
+
+    for (const mode of ['CHEQUE', 'BARTER']) {
+      await expect(applyBillPayment({userId, billId: 'b1', amount: 1500, mode, ledgerIdempotencyKey: 'pay1'}))
+        .rejects.toMatchObject({statusCode: 400, code: 'VALIDATION_ERROR'});
+    }
+    expect(billLookup).not.toHaveBeenCalled();
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  it('will not deposit a post-dated cheque before its date', async () => {
+    jest.spyOn(CustomerPayment, 'findOne').mockReturnValue(queryResult(chequePayment('post_dated', {
+      cheque: {number: '004512', chequeDate: new Date(Date.now() + 5 * DAY_MS), status: 'post_dated'},
+    })));
+    const transition = jest.spyOn(CustomerPayment, 'findOneAndUpdate');
+
+    await expect(updateChequeStatus({userId, paymentId, status: 'deposited', actorUserId}))
+      .rejects.toMatchObject({code: 'CHEQUE_NOT_DUE', statusCode: 409});
+    expect(transition).not.toHaveBeenCalled();
+  });
+
+  it('clears a deposited cheque without touching the payment', async () => {
+    jest.spyOn(CustomerPayment, 'findOne').mockReturnValue(queryResult(chequePayment('deposited')));
+    const transition = jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue(chequePayment('deposited'));
+    jest.spyOn(CustomerPayment, 'findById').mockReturnValue(queryResult(chequePayment('cleared')));
+    const ledger = jest.spyOn(LedgerTransaction, 'create');
+
+    const result = await updateChequeStatus({userId, paymentId, status: 'cleared', actorUserId});
+
+    expect(transition).toHaveBeenCalledWith(
+      expect.objectContaining({status: 'active', 'cheque.status': {$in: ['deposited']}}),
+      {$set: expect.objectContaining({'cheque.status': 'cleared', 'cheque.clearedAt': expect.any(Date)})},
+      {new: false}
+    );
+    expect(result).toMatchObject({previousStatus: 'deposited', restoredAmount: 0, bounceCharge: 0});
+    expect(ledger).not.toHaveBeenCalled();
+  });
+
+  it('explains why a cheque cannot move to a status', async () => {
+    // Not a bounced cheque, so not a repeated bounce
+    jest.spyOn(CustomerPayment, 'findOne').mockImplementation(filter =>
+      queryResult(filter['cheque.status'] === 'bounced' ? null : chequePayment('cleared')));
+    jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(updateChequeStatus({userId, paymentId, status: 'bounced', actorUserId}))
+      .rejects.toMatchObject({code: 'CHEQUE_STATUS_INVALID', statusCode: 409});
+  });
+
+  it('does not bounce a cheque whose advance was partly refunded', async () => {
+    jest.spyOn(CustomerPayment, 'findOne').mockImplementation(filter =>
+      queryResult(filter['cheque.status'] === 'bounced' ? null : chequePayment('deposited', {refundedAmount: 500})));
+    const claim = jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(updateChequeStatus({userId, paymentId, status: 'bounced', actorUserId}))
+      .rejects.toMatchObject({code: 'PAYMENT_REFUNDED', statusCode: 409});
+    expect(claim.mock.calls[0][0]).toMatchObject({refundedAmount: {$not: {$gt: 0}}});
+  });
+
+  it('reverses a bounced cheque, books the bounce charge and reopens recovery', async () => {
+    const creditUpdate = mockCustomer(0);
+    jest.spyOn(CustomerPayment, 'findOne').mockReturnValue(queryResult(chequePayment('deposited')));
+    jest.spyOn(CustomerPayment, 'findOneAndUpdate')
+      .mockResolvedValueOnce(chequePayment('deposited'))
+      .mockResolvedValueOnce(chequePayment('bounced', {status: 'reversed', reversedAt: new Date()}));
+    jest.spyOn(CustomerPayment, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    jest.spyOn(CustomerPayment, 'findById').mockReturnValue(queryResult(chequePayment('bounced', {status: 'reversed'})));
+    jest.spyOn(Bill, 'findOne').mockReturnValue(queryResult({_id: 'b1', grandTotal: 5000, paidAmount: 5000, status: 'paid'}));
+    const unsettle = jest.spyOn(Bill, 'findOneAndUpdate').mockResolvedValue({_id: 'b1'});
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({chequeBounceCharge: 350}));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(queryResult(null));
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't2'});
+    const closedCase = {status: 'paid', notes: '', save: jest.fn().mockResolvedValue(true)};
+    RecoveryCase.findOne.mockReturnValue({sort: () => Promise.resolve(closedCase)});
+
+    const result = await updateChequeStatus({
+      userId,
+      paymentId,
+      status: 'bounced',
+      reason: 'Insufficient funds',
+      actorUserId,
+    });
+
+    expect(unsettle).toHaveBeenCalledWith(
+      expect.objectContaining({_id: 'b1'}),
+      {$set: {paidAmount: 0, status: 'unpaid'}},
+      {new: true}
+    );
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: 5000}}, {new: true});
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: 350}}, {new: true});
+    expect(creditUpdate.mock.calls.reduce((outstanding, [, update]) => outstanding + update.$inc.creditOutstanding, 0))
+      .toBe(5350);
+    expect(ledger.mock.calls.map(([entry]) => [entry.type, entry.amount, entry.metadata.source])).toEqual([
+      ['credit', 5000, 'customer_payment_reversal'],
+      ['credit', 350, 'cheque_bounce_charge'],
+    ]);
+    expect(ledger.mock.calls[0][0]).toMatchObject({
+      note: expect.stringContaining('Cheque 004512 bounced: Insufficient funds'),
+      paymentMode: 'CHEQUE',
+    });
+    expect(closedCase.status).toBe('open');
+    expect(closedCase.save).toHaveBeenCalled();
+    expect(result).toMatchObject({restoredAmount: 5000, bounceCharge: 350, recoveryCase: closedCase});
+  });
+
+  it('treats bouncing a bounced cheque again as a no-op that only books a missing charge', async () => {
+    const creditUpdate = mockCustomer(5000);
+    const bounced = chequePayment('bounced', {status: 'reversed', reversedAt: new Date()});
+    jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(CustomerPayment, 'findOne').mockReturnValue(queryResult(bounced));
+    jest.spyOn(CustomerPayment, 'findById').mockReturnValue(queryResult(bounced));
+    jest.spyOn(CustomerPayment, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const unsettle = jest.spyOn(Bill, 'findOneAndUpdate');
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({chequeBounceCharge: 350}));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(queryResult(null));
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't2'});
+
+    const result = await updateChequeStatus({userId, paymentId, status: 'bounced', actorUserId});
+
+    expect(result).toMatchObject({duplicate: true, previousStatus: 'bounced', restoredAmount: 0, bounceCharge: 350});
+    expect(unsettle).not.toHaveBeenCalled();
+    expect(ledger.mock.calls.map(([entry]) => entry.metadata.source)).toEqual(['cheque_bounce_charge']);
+    expect(creditUpdate.mock.calls.map(([, update]) => update.$inc.creditOutstanding)).toEqual([350]);
+
+    // Charge already booked: nothing left to do
+    LedgerTransaction.findOne.mockReturnValue(queryResult({amount: 350}));
+    await expect(updateChequeStatus({userId, paymentId, status: 'bounced', actorUserId}))
+      .resolves.toMatchObject({duplicate: true, bounceCharge: 350});
+    expect(ledger).toHaveBeenCalledTimes(1);
+    expect(creditUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('splits collections by mode net of reversals', async () => {
+    jest.spyOn(LedgerTransaction, 'find').mockReturnValue(queryResult([
+      {type: 'debit', amount: 1200, paymentMode: 'UPI'},
+      {type: 'debit', amount: 800, paymentMode: 'UPI'},
+      {type: 'debit', amount: 5000, paymentMode: 'CHEQUE'},
+      {type: 'credit', amount: 5000, paymentMode: 'CHEQUE', metadata: {source: 'customer_payment_reversal'}},
+      {type: 'debit', amount: 300, paymentMode: null},
+    ]));
+    jest.spyOn(CustomerPayment, 'find').mockReturnValue(queryResult([
+      {amount: 2000, cheque: {status: 'deposited'}},
+    ]));
+
+    const report = await buildCollectionsReport({userId, month: '2026-10'});
+
+    const byMode = Object.fromEntries(report.byMode.map(row => [row.mode, row]));
+    expect(Object.keys(byMode)).toEqual(['CASH', 'UPI', 'BANK_TRANSFER', 'CHEQUE', 'CARD', 'UNSPECIFIED']);
+    expect(byMode.UPI).toEqual({mode: 'UPI', count: 2, received: 2000, reversed: 0, refunded: 0, net: 2000});
+    expect(byMode.CHEQUE).toEqual({mode: 'CHEQUE', count: 1, received: 5000, reversed: 5000, refunded: 0, net: 0});
+    expect(report.totals).toEqual({count: 4, received: 7300, reversed: 5000, refunded: 0, net: 2300});
+    expect(report.pendingCheques).toEqual({
+      count: 1,
+      amount: 2000,
+      byStatus: {post_dated: 0, received: 0, deposited: 2000},
+    });
+  });
+});
+
+describe('Bill payment endpoint', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('PATCH /api/bills/:id/pay rejects cheques and unknown modes', async () => {
+    const {authorization} = mockOwner();
+    const billLookup = jest.spyOn(Bill, 'findOne');
+
+    for (const mode of ['CHEQUE', 'BARTER']) {
+      const res = await request(app)
+        .patch('/api/bills/64b0000000000000000000b1/pay')
+        .set('Authorization', authorization)
+        .send({amount: 100, mode})
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    }
+    expect(billLookup).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Credit Note Tests
+ *
+ * Verifies credit note values (GST and plain bills, partial returns), quantity
+ * limits, settling the bill and outstanding, conflicts and how credit notes
+ * appear on statements
+ */
+const AuditEvent = require('../src/models/AuditEvent');
+const Bill = require('../src/models/Bill');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const CreditNote = require('../src/models/CreditNote');
+const Customer = require('../src/models/Customer');
+const DocumentCounter = require('../src/models/DocumentCounter');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const {amendBill} = require('../src/services/billAmendment.service');
+const {computeCreditNote, issueCreditNote} = require('../src/services/creditNote.service');
+const {buildStatementLines} = require('../src/services/statement.service');
+const {createCreditNoteSchema} = require('../src/validators/creditNote.validator');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const customerId = '64b0000000000000000000c1';
+const billId = '64b000000000000000000b01';
+const actorUserId = '64b000000000000000000002';
+const RICE_LINE = '64b0000000000000000001a1';
+const DAL_LINE = '64b0000000000000000001a2';
+
+const plainBill = (overrides = {}) => ({
+  _id: billId,
+  userId,
+  customerId,
+  billNo: 'BILL-007',
+  items: [
+    {_id: RICE_LINE, name: 'Rice', qty: 3, price: 100, total: 300},
+    {_id: DAL_LINE, name: 'Dal', qty: 1, price: 100, total: 100},
+  ],
+  subTotal: 400,
+  discount: 40,
+  tax: 20,
+  gst: null,
+  grandTotal: 380,
+  paidAmount: 0,
+  creditedAmount: 0,
+  status: 'unpaid',
+  createdAt: new Date('2026-10-01T06:00:00.000Z'),
+  ...overrides,
+});
+
+const gstBill = () => plainBill({
+  items: [{
+    _id: RICE_LINE,
+    name: 'Rice',
+    qty: 3,
+    price: 100,
+    total: 300,
+    hsnCode: '1006',
+    gstRate: 5,
+    taxableValue: 290,
+    cgst: 7.25,
+    sgst: 7.25,
+    igst: 0,
+  }],
+  subTotal: 300,
+  discount: 10,
+  tax: 14.5,
+  grandTotal: 304.5,
+  gst: {
+    isTaxInvoice: true,
+    supplierGstin: '27AAPFU0939F1ZV',
+    placeOfSupply: '27',
+    supplyType: 'INTRA_STATE',
+    taxableValue: 290,
+    cgst: 7.25,
+    sgst: 7.25,
+    igst: 0,
+    totalTax: 14.5,
+  },
+});
+
+// Customer lookups used by the atomic credit service
+const mockCustomer = (creditOutstanding = 380) => {
+  jest.spyOn(Customer, 'findOne').mockImplementation(() => {
+    return queryResult({_id: customerId, creditOutstanding});
+  });
+  return jest.spyOn(Customer, 'findOneAndUpdate').mockImplementation((filter, update) =>
+    Promise.resolve({_id: customerId, creditOutstanding: creditOutstanding + update.$inc.creditOutstanding}));
+};
+
+// Credit note number from the default series (CN/<FY>/<n>)
+const mockNumberSeries = lastNumber => {
+  jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult(null));
+  jest.spyOn(DocumentCounter, 'findOne').mockReturnValue(queryResult({lastNumber}));
+  jest.spyOn(DocumentCounter, 'findOneAndUpdate').mockResolvedValue({lastNumber: lastNumber + 1});
+};
+
+describe('Credit notes', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({_id: 'audit1'});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shares the bill discount and tax pro rata on plain bills', () => {
+    const note = computeCreditNote(plainBill(), [{lineId: RICE_LINE, qty: 1}]);
+
+    expect(note.items).toEqual([
+      {billLineId: RICE_LINE, itemId: null, name: 'Rice', qty: 1, price: 100, total: 100},
+    ]);
+    expect(note).toMatchObject({subTotal: 100, discount: 10, tax: 5, grandTotal: 95, gst: null});
+  });
+
+  it('credits exactly the bill total once every line is returned', () => {
+    const bill = plainBill({discount: 10, grandTotal: 410});
+    const first = computeCreditNote(bill, [{lineId: RICE_LINE, qty: 1}]);
+    const rest = computeCreditNote(bill, [{lineId: RICE_LINE, qty: 2}, {lineId: DAL_LINE, qty: 1}], [first]);
+
+    expect(first.grandTotal).toBe(102.5);
+    expect(rest).toMatchObject({subTotal: 300, discount: 7.5, tax: 15});
+    expect(first.grandTotal + rest.grandTotal).toBe(410);
+  });
+
+  it('keeps the rate and tax split of tax invoice lines', () => {
+    const bill = gstBill();
+    const first = computeCreditNote(bill, [{lineId: RICE_LINE, qty: 1}]);
+
+    expect(first.items[0]).toMatchObject({hsnCode: '1006', gstRate: 5, taxableValue: 96.67, cgst: 2.42, sgst: 2.42});
+    expect(first).toMatchObject({subTotal: 100, discount: 3.33, tax: 4.84, grandTotal: 101.51});
+    expect(first.gst).toMatchObject({supplierGstin: '27AAPFU0939F1ZV', invoiceValue: 304.5, taxableValue: 96.67});
+
+    const last = computeCreditNote(bill, [{lineId: RICE_LINE, qty: 2}], [first]);
+    expect(last.items[0]).toMatchObject({taxableValue: 193.33, cgst: 4.83, sgst: 4.83});
+    expect(first.grandTotal + last.grandTotal).toBeCloseTo(304.5, 2);
+  });
+
+  it('never returns more than was billed', () => {
+    const bill = plainBill();
+    const first = computeCreditNote(bill, [{lineId: RICE_LINE, qty: 2}]);
+
+    expect(() => computeCreditNote(bill, [{lineId: RICE_LINE, qty: 2}], [first]))
+      .toThrow(expect.objectContaining({code: 'CREDIT_QTY_EXCEEDS_BILL', statusCode: 400}));
+    expect(() => computeCreditNote(bill, [{lineId: '64b0000000000000000001ff', qty: 1}]))
+      .toThrow(expect.objectContaining({code: 'CREDIT_NOTE_LINE_NOT_FOUND'}));
+  });
+
+  it('settles the bill, releases outstanding and books a ledger debit', async () => {
+    jest.spyOn(Bill, 'findOne').mockResolvedValue(plainBill({paidAmount: 300, status: 'partial'}));
+    jest.spyOn(CreditNote, 'find').mockReturnValue(queryResult([]));
+    const update = jest.spyOn(Bill, 'findOneAndUpdate').mockResolvedValue({_id: billId, paidAmount: 380});
+    mockNumberSeries(4);
+    const create = jest.spyOn(CreditNote, 'create').mockImplementation(data => Promise.resolve({_id: 'cn1', ...data}));
+    const creditUpdate = mockCustomer(80);
+    const advanceUpdate = jest.spyOn(Customer, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't1'});
+
+    const {creditNote, duplicate} = await issueCreditNote({
+      userId,
+      billId,
+      items: [{lineId: RICE_LINE, qty: 1}],
+      reason: 'Damaged bag',
+      actorUserId,
+    });
+
+    expect(duplicate).toBe(false);
+    expect(creditNote.creditNoteNo).toMatch(/^CN\/\d{4}-\d{2}\/005$/);
+
+    // 95 credited, only the 80 still pending settles the bill
+    const [filter, {$set: changes}] = update.mock.calls[0];
+    expect(filter).toMatchObject({_id: billId, paidAmount: 300, creditedAmount: {$in: [0, null]}});
+    expect(changes).toEqual({paidAmount: 380, creditedAmount: 95, status: 'paid'});
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      billNo: 'BILL-007',
+      grandTotal: 95,
+      appliedAmount: 80,
+      unappliedAmount: 15,
+      reason: 'Damaged bag',
+      issuedBy: actorUserId,
+    }));
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: -80}}, {new: true});
+    // The 15 above what was pending is held as an advance
+    expect(advanceUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {advanceBalance: 15}});
+    expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'debit',
+      amount: 95,
+      source: 'adjustment',
+      idempotencyKey: 'credit_note_cn1',
+      metadata: expect.objectContaining({source: 'credit_note', creditNoteNo: creditNote.creditNoteNo}),
+    }));
+  });
+
+  it('returns the existing note for a repeated idempotency key', async () => {
+    jest.spyOn(CreditNote, 'findOne').mockResolvedValue({_id: 'cn1', billId, creditNoteNo: 'CN/2026-27/005'});
+    jest.spyOn(Bill, 'findOne').mockResolvedValue(plainBill());
+    const update = jest.spyOn(Bill, 'findOneAndUpdate');
+
+    const result = await issueCreditNote({
+      userId,
+      billId,
+      items: [{lineId: RICE_LINE, qty: 1}],
+      idempotencyKey: 'return-1',
+      actorUserId,
+    });
+
+    expect(result).toMatchObject({duplicate: true, creditNote: {_id: 'cn1'}});
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('rejects cancelled bills and concurrent changes without issuing a note', async () => {
+    jest.spyOn(Bill, 'findOne').mockResolvedValueOnce(plainBill({status: 'cancelled'}));
+    await expect(issueCreditNote({userId, billId, items: [{lineId: RICE_LINE, qty: 1}], actorUserId}))
+      .rejects.toMatchObject({code: 'BILL_NOT_CREDITABLE', statusCode: 409});
+
+    Bill.findOne.mockResolvedValueOnce(plainBill());
+    jest.spyOn(CreditNote, 'find').mockReturnValue(queryResult([]));
+    jest.spyOn(Bill, 'findOneAndUpdate').mockResolvedValue(null);
+    const create = jest.spyOn(CreditNote, 'create');
+
+    await expect(issueCreditNote({userId, billId, items: [{lineId: RICE_LINE, qty: 1}], actorUserId}))
+      .rejects.toMatchObject({code: 'CREDIT_NOTE_CONFLICT', statusCode: 409});
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('does not amend bills that have credit notes', async () => {
+    jest.spyOn(Bill, 'findOne').mockResolvedValue({...plainBill({creditedAmount: 95}), toObject: () => plainBill()});
+
+    await expect(amendBill({userId, billId, changes: {tax: 10}, actorUserId}))
+      .rejects.toMatchObject({code: 'BILL_NOT_AMENDABLE', statusCode: 409});
+  });
+
+  it('shows credit notes as received lines on statements', () => {
+    const lines = buildStatementLines(
+      [{_id: billId, billNo: 'BILL-007', grandTotal: 380, paidAmount: 95, status: 'partial', createdAt: '2026-10-01T06:00:00Z'}],
+      [
+        {_id: 't1', type: 'credit', amount: 380, idempotencyKey: `bill_${billId}_credit`, metadata: {billId}, createdAt: '2026-10-01T06:00:01Z'},
+        {
+          _id: 't2',
+          type: 'debit',
+          amount: 95,
+          note: 'Credit note CN/2026-27/005 against Bill BILL-007',
+          idempotencyKey: 'credit_note_cn1',
+          metadata: {billId, billNo: 'BILL-007', creditNoteNo: 'CN/2026-27/005', source: 'credit_note'},
+          createdAt: '2026-10-05T06:00:00Z',
+        },
+      ]
+    );
+
+    expect(lines.map(line => [line.type, line.reference, line.charge, line.received])).toEqual([
+      ['CREDIT_NOTE', 'CN/2026-27/005', 0, 95],
+      ['BILL', 'BILL-007', 380, 0],
+    ]);
+  });
+
+  it('validates returned lines', () => {
+    const params = {id: billId};
+    expect(createCreditNoteSchema.params.validate(params).error).toBeUndefined();
+    expect(createCreditNoteSchema.body.validate({items: []}).error).toBeDefined();
+    expect(createCreditNoteSchema.body.validate({items: [{lineId: RICE_LINE, qty: 0}]}).error).toBeDefined();
+    expect(createCreditNoteSchema.body.validate({
+      items: [{lineId: RICE_LINE, qty: 1}, {lineId: RICE_LINE, qty: 1}],
+    }).error).toBeDefined();
+    expect(createCreditNoteSchema.body.validate({
+      items: [{lineId: RICE_LINE, qty: 0.5}],
+      reason: 'Damaged',
+    }).error).toBeUndefined();
+  });
+});
@@ -0,0 +1,424 @@
+/**
+ * Customer Import Tests
+ *
+ * Verifies CSV/XLSX reading, column guessing, row validation (phones,
+ * balances, dates, duplicates), re-uploads and the resumable import of
+ * customers with opening balances and of their bills
+ */
+const AuditEvent = require('../src/models/AuditEvent');
+const Customer = require('../src/models/Customer');
+const ImportJob = require('../src/models/ImportJob');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const billCreation = require('../src/services/billCreation.service');
+const zlib = require('zlib');
+const {parseCsv, readSpreadsheet, unzip} = require('../src/utils/spreadsheet');
+const {
+  suggestColumns,
+  parseAmount,
+  parseDate,
+  validateRows,
+  validateBillRows,
+  createImportJob,
+  commitImport,
+  processImportJob,
+} = require('../src/services/customerImport.service');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const actorUserId = '64b000000000000000000002';
+const existingId = '64b000000000000000000c01';
+
+/**
+ * Zip archive with stored (or, with deflate, compressed) entries, enough for the XLSX reader
+ */
+const storedZip = (files, {deflate = false} = {}) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += 30 + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+const headers = ['Party Name', 'Mobile No', 'Balance', 'As On'];
+const columns = suggestColumns(headers);
+const record = (rowNumber, cells) => ({rowNumber, cells});
+
+const billHeaders = ['Party', 'Mobile', 'Invoice No', 'Invoice Date', 'Due Date', 'Bill Amount', 'Received', 'Particulars'];
+const billColumns = suggestColumns(billHeaders, 'bills');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Reading files', () => {
+  it('reads quoted CSV with any common separator', () => {
+    expect(parseCsv('\uFEFFName,Balance\r\n"Sharma, Ravi","1,200"\n')).toEqual([
+      ['Name', 'Balance'],
+      ['Sharma, Ravi', '1,200'],
+    ]);
+    expect(parseCsv('Name;Balance\nRavi;"say ""hi"""')).toEqual([['Name', 'Balance'], ['Ravi', 'say "hi"']]);
+  });
+
+  it('reads the first worksheet of an XLSX workbook', () => {
+    const buffer = storedZip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Khata" sheetId="1" r:id="rId2"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId2" Target="worksheets/khata.xml"/></Relationships>',
+      'xl/sharedStrings.xml': '<sst><si><t>Name</t></si><si><r><t>Ram</t></r><r><t xml:space="preserve"> &amp; Sons</t></r></si></sst>',
+      'xl/worksheets/khata.xml': '<worksheet><sheetData>'
+        + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Balance</t></is></c></row>'
+        + '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="C2"><v>1250.5</v></c></row>'
+        + '</sheetData></worksheet>',
+    });
+
+    expect(readSpreadsheet(buffer)).toEqual({
+      format: 'xlsx',
+      rows: [
+        {rowNumber: 1, cells: ['Name', '', 'Balance']},
+        {rowNumber: 2, cells: ['Ram & Sons', '', '1250.5']},
+      ],
+    });
+  });
+
+  it('keeps row numbers of sheets with gaps without padding the rows', () => {
+    const buffer = storedZip({
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+        + '<row r="1"><c r="A1" t="inlineStr"><is><t>Name</t></is></c></row>'
+        + '<row r="1000000"><c r="B1000000"><v>5</v></c></row>'
+        + '</sheetData></worksheet>',
+    }, {deflate: true});
+
+    expect(readSpreadsheet(buffer).rows).toEqual([
+      {rowNumber: 1, cells: ['Name']},
+      {rowNumber: 1000000, cells: ['', '5']},
+    ]);
+  });
+
+  it('rejects workbooks that expand past the size cap', () => {
+    const bomb = storedZip({'xl/worksheets/sheet1.xml': ' '.repeat(64 * 1024)}, {deflate: true});
+    const files = unzip(bomb, 16 * 1024);
+
+    expect(bomb.length).toBeLessThan(1024);
+    expect(() => files.get('xl/worksheets/sheet1.xml')()).toThrow(expect.objectContaining({
+      statusCode: 400,
+      code: 'IMPORT_TOO_LARGE',
+    }));
+  });
+});
+
+describe('Row validation', () => {
+  it('guesses columns from common headers', () => {
+    expect(columns).toEqual({name: 'Party Name', phone: 'Mobile No', openingBalance: 'Balance', asOfDate: 'As On'});
+  });
+
+  it('parses balances and dates as written in khatas', () => {
+    expect(parseAmount('₹1,250.50')).toBe(1250.5);
+    expect(parseAmount('800 Dr')).toBe(800);
+    expect(parseAmount('800 Cr')).toBe(-800);
+    expect(parseAmount('')).toBe(0);
+    expect(parseAmount('twelve')).toBeNull();
+
+    expect(parseDate('31/03/2026')).toEqual(new Date('2026-03-31T00:00:00.000+05:30'));
+    expect(parseDate('2026-03-31')).toEqual(new Date('2026-03-31T00:00:00.000+05:30'));
+    expect(parseDate('46112')).toEqual(new Date('2026-03-31T00:00:00.000+05:30')); // Excel serial
+    expect(parseDate('31/02/2026')).toBeNull();
+  });
+
+  it('normalises phones and reports per-row errors', () => {
+    const {rows, summary} = validateRows({
+      headers,
+      records: [
+        record(2, ['Ravi Sharma', '098765 43210', '1,500', '31/03/2026']),
+        record(3, ['', '9876500001', '100', '']),
+        record(4, ['Meena', '12345', '-50', 'soon']),
+      ],
+      columns,
+      existingCustomers: [],
+    });
+
+    expect(rows[0]).toMatchObject({status: 'valid', phone: '+919876543210', openingBalance: 1500});
+    expect(rows[1]).toMatchObject({status: 'invalid'});
+    expect(rows[1].issues.map(issue => issue.code)).toEqual(['NAME_REQUIRED']);
+    expect(rows[2].issues.map(issue => issue.code)).toEqual(['INVALID_PHONE', 'NEGATIVE_BALANCE', 'INVALID_DATE']);
+    expect(summary).toMatchObject({total: 3, valid: 1, invalid: 2, openingBalanceTotal: 1500});
+  });
+
+  it('flags duplicates in the file and existing customers', () => {
+    const defaultAsOfDate = new Date('2026-04-01T00:00:00.000+05:30');
+    const {rows, summary} = validateRows({
+      headers,
+      records: [
+        record(2, ['Ravi', '9876543210', '100', '']),
+        record(3, ['Ravi S', '+91 98765 43210', '200', '']),
+        record(4, ['Gupta Stores', '9811111111', '300', '']),
+        record(5, ['Anil', '', '50', '']),
+        record(6, ['anil ', '', '60', '']),
+      ],
+      columns,
+      defaultAsOfDate,
+      existingCustomers: [{_id: existingId, name: 'Gupta', phone: '09811111111'}],
+    });
+
+    expect(rows.map(row => row.status)).toEqual(['valid', 'duplicate', 'duplicate', 'valid', 'duplicate']);
+    expect(rows[1].duplicateOf).toEqual({rowNumber: 2});
+    expect(rows[2].duplicateOf).toEqual({customerId: existingId});
+    expect(rows[4].duplicateOf).toEqual({rowNumber: 5});
+    expect(rows[0].asOfDate).toEqual(defaultAsOfDate);
+    expect(summary).toMatchObject({valid: 2, duplicate: 3, openingBalanceTotal: 150});
+  });
+});
+
+describe('Bill row validation', () => {
+  const customers = [
+    {_id: existingId, name: 'Gupta Stores', phone: '9811111111'},
+    {_id: 'c-ravi-1', name: 'Ravi', phone: ''},
+    {_id: 'c-ravi-2', name: 'ravi', phone: '9876500002'},
+  ];
+
+  it('guesses bill columns from common headers', () => {
+    expect(billColumns).toEqual({
+      name: 'Party',
+      phone: 'Mobile',
+      reference: 'Invoice No',
+      billDate: 'Invoice Date',
+      dueDate: 'Due Date',
+      amount: 'Bill Amount',
+      paidAmount: 'Received',
+      description: 'Particulars',
+    });
+  });
+
+  it('matches bills to existing customers by phone, then by unique name', () => {
+    const {rows, summary} = validateBillRows({
+      headers: billHeaders,
+      records: [
+        record(2, ['Gupta', '098111 11111', 'A-12', '15/02/2026', '15/03/2026', '2,400', '400', 'Rice']),
+        record(3, ['gupta stores', '', 'A-13', '20/02/2026', '', '1000', '', '']),
+        record(4, ['Ravi', '', 'A-14', '20/02/2026', '', '500', '', '']),
+        record(5, ['Meena', '9876500001', 'A-15', '20/02/2026', '', '500', '', '']),
+      ],
+      columns: billColumns,
+      existingCustomers: customers,
+    });
+
+    expect(rows[0]).toMatchObject({
+      status: 'valid',
+      customerId: existingId,
+      reference: 'A-12',
+      billDate: new Date('2026-02-15T00:00:00.000+05:30'),
+      dueDate: new Date('2026-03-15T00:00:00.000+05:30'),
+      amount: 2400,
+      paidAmount: 400,
+      description: 'Rice',
+    });
+    expect(rows[1]).toMatchObject({status: 'valid', customerId: existingId, paidAmount: 0, description: null});
+    expect(rows[2].issues.map(issue => issue.code)).toEqual(['AMBIGUOUS_CUSTOMER']);
+    expect(rows[3].issues.map(issue => issue.code)).toEqual(['CUSTOMER_NOT_FOUND']);
+    expect(summary).toMatchObject({valid: 2, invalid: 2, billAmountTotal: 3400});
+  });
+
+  it('reports bad amounts and dates and repeated bill numbers', () => {
+    const defaultAsOfDate = new Date('2026-04-01T00:00:00.000+05:30');
+    const {rows} = validateBillRows({
+      headers: billHeaders,
+      records: [
+        record(2, ['Gupta Stores', '', 'A-12', '', '', '300', '', '']),
+        record(3, ['Gupta Stores', '', 'a-12', '', '', '300', '', '']),
+        record(4, ['Gupta Stores', '', '', '10/03/2026', '01/03/2026', '0', '50', '']),
+        record(5, ['', '', 'A-16', '31/12/2099', 'later', 'lots', '', '']),
+      ],
+      columns: billColumns,
+      defaultAsOfDate,
+      existingCustomers: customers,
+    });
+
+    expect(rows[0]).toMatchObject({status: 'valid', billDate: defaultAsOfDate});
+    expect(rows[1]).toMatchObject({status: 'duplicate', duplicateOf: {rowNumber: 2}});
+    expect(rows[2].issues.map(issue => issue.code)).toEqual(['AMOUNT_REQUIRED', 'INVALID_PAID_AMOUNT', 'DUE_BEFORE_BILL']);
+    expect(rows[3].issues.map(issue => issue.code)).toEqual(['CUSTOMER_REQUIRED', 'INVALID_AMOUNT', 'FUTURE_DATE', 'INVALID_DATE']);
+  });
+});
+
+describe('Import jobs', () => {
+  it('returns the existing job when the same file is uploaded again', async () => {
+    const job = {_id: 'job1', status: 'DONE'};
+    jest.spyOn(ImportJob, 'findOne').mockResolvedValue(job);
+
+    const result = await createImportJob({userId, buffer: Buffer.from('Name\nRavi\n'), actorUserId});
+
+    expect(result).toEqual({job, duplicate: true});
+    expect(ImportJob.findOne.mock.calls[0][0]).toMatchObject({userId, fileHash: expect.stringMatching(/^[0-9a-f]{64}$/)});
+  });
+
+  it('rejects files without customer rows', async () => {
+    jest.spyOn(ImportJob, 'findOne').mockResolvedValue(null);
+
+    await expect(createImportJob({userId, buffer: Buffer.from('Name,Phone\n\n'), actorUserId}))
+      .rejects.toMatchObject({statusCode: 400, code: 'IMPORT_EMPTY'});
+  });
+
+  it('refuses a file already uploaded as the other kind of import', async () => {
+    jest.spyOn(ImportJob, 'findOne').mockResolvedValue({_id: 'job1', status: 'PREVIEW', kind: 'customers'});
+
+    await expect(createImportJob({userId, buffer: Buffer.from('Name\nRavi\n'), kind: 'bills', actorUserId}))
+      .rejects.toMatchObject({statusCode: 409, code: 'IMPORT_KIND_MISMATCH'});
+  });
+
+  it('does not import a finished job again', async () => {
+    jest.spyOn(ImportJob, 'findOne').mockResolvedValue({status: 'DONE', rows: []});
+
+    await expect(commitImport({userId, jobId: 'job1'}))
+      .rejects.toMatchObject({statusCode: 409, code: 'INVALID_STATE'});
+  });
+
+  it('creates customers with an opening ledger credit and resumes without duplicates', async () => {
+    const asOfDate = new Date('2026-03-31T00:00:00.000+05:30');
+    const job = {
+      _id: 'job1',
+      userId,
+      createdBy: actorUserId,
+      actorRole: 'OWNER',
+      status: 'QUEUED',
+      createdAt: new Date(),
+      rows: [
+        {rowNumber: 2, name: 'Ravi', phone: '+919876543210', openingBalance: 1500, asOfDate, status: 'valid'},
+        // Created before the import was interrupted
+        {rowNumber: 3, name: 'Meena', phone: '+919876500001', openingBalance: 0, status: 'failed'},
+        // Added by hand since the preview
+        {rowNumber: 4, name: 'Gupta', phone: '+919811111111', openingBalance: 300, status: 'valid'},
+        {rowNumber: 5, name: 'Anil', phone: null, openingBalance: 0, status: 'invalid'},
+      ],
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(ImportJob, 'findById').mockResolvedValue(job);
+    const rowUpdate = jest.spyOn(ImportJob, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Customer, 'find').mockReturnValue(queryResult([
+      {_id: 'c-meena', name: 'Meena', phone: '+919876500001', importRef: 'import_job1_3'},
+      {_id: existingId, name: 'Gupta', phone: '9811111111'},
+    ]));
+    jest.spyOn(Customer, 'findOne').mockImplementation(({importRef}) => Promise.resolve(
+      importRef === 'import_job1_3' ? {_id: 'c-meena', name: 'Meena'} : null
+    ));
+    const customerCreate = jest.spyOn(Customer, 'create').mockImplementation(async doc => ({_id: 'c-ravi', ...doc}));
+    const ledgerCreate = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({});
+    const audit = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    await processImportJob('job1');
+
+    expect(customerCreate).toHaveBeenCalledTimes(1);
+    expect(customerCreate).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Ravi',
+      phone: '+919876543210',
+      creditOutstanding: 1500,
+      importRef: 'import_job1_2',
+    }));
+    expect(ledgerCreate).toHaveBeenCalledTimes(1);
+    expect(ledgerCreate).toHaveBeenCalledWith(expect.objectContaining({
+      customerId: 'c-ravi',
+      type: 'credit',
+      amount: 1500,
+      source: 'opening',
+      idempotencyKey: 'opening_c-ravi',
+      asOfDate,
+      metadata: expect.objectContaining({source: 'opening', asOfDate}),
+    }));
+    expect(audit).toHaveBeenCalledTimes(1);
+
+    expect(job.rows.map(row => row.status)).toEqual(['imported', 'imported', 'duplicate', 'invalid']);
+    expect(job.rows[1].customerId).toBe('c-meena');
+    expect(job.rows[2].duplicateOf).toEqual({customerId: existingId});
+    expect(rowUpdate).toHaveBeenCalledWith(
+      {_id: 'job1', 'rows.rowNumber': 2},
+      {$set: expect.objectContaining({'rows.$.status': 'imported', 'rows.$.customerId': 'c-ravi'})}
+    );
+    expect(job.status).toBe('DONE');
+    expect(job.summary).toMatchObject({imported: 2, duplicate: 1, invalid: 1, openingBalanceTotal: 1500});
+  });
+
+  it('issues bills through bill creation, dated as in the old books', async () => {
+    const billDate = new Date('2026-02-15T00:00:00.000+05:30');
+    const job = {
+      _id: 'job2',
+      userId,
+      kind: 'bills',
+      createdBy: actorUserId,
+      actorRole: 'OWNER',
+      status: 'QUEUED',
+      createdAt: new Date(),
+      rows: [
+        {rowNumber: 2, customerId: existingId, reference: 'A-12', billDate, dueDate: null, amount: 2400, paidAmount: 400, description: 'Rice', status: 'valid'},
+        // Billed before the import was interrupted
+        {rowNumber: 3, customerId: existingId, reference: null, billDate: null, amount: 1000, paidAmount: 0, description: null, status: 'failed'},
+      ],
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(ImportJob, 'findById').mockResolvedValue(job);
+    const rowUpdate = jest.spyOn(ImportJob, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Customer, 'find').mockReturnValue(queryResult([{_id: existingId, name: 'Gupta Stores', phone: '+919811111111'}]));
+    const createBill = jest.spyOn(billCreation, 'createBill').mockImplementation(async ({idempotencyKey, grandTotal}) => ({
+      bill: {_id: `bill-${idempotencyKey}`, billNo: 'INV-0001', grandTotal, customerId: existingId},
+      customer: {_id: existingId, name: 'Gupta Stores'},
+      duplicate: idempotencyKey === 'import_job2_3',
+    }));
+    const customerCreate = jest.spyOn(Customer, 'create');
+    const audit = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    await processImportJob('job2');
+
+    expect(createBill).toHaveBeenCalledTimes(2);
+    expect(createBill).toHaveBeenCalledWith(expect.objectContaining({
+      userId,
+      customerId: existingId,
+      items: [{name: 'Rice', qty: 1, price: 2400, total: 2400}],
+      grandTotal: 2400,
+      paidAmount: 400,
+      notes: 'Imported bill A-12',
+      taxInvoice: false,
+      idempotencyKey: 'import_job2_2',
+      override: true,
+      billDate,
+      linkItems: false,
+    }));
+    expect(createBill.mock.calls[1][0]).toMatchObject({billDate: job.createdAt, items: [{name: 'Bill'}]});
+    expect(audit).toHaveBeenCalledTimes(1);
+    expect(customerCreate).not.toHaveBeenCalled();
+
+    expect(job.rows.map(row => row.status)).toEqual(['imported', 'imported']);
+    expect(rowUpdate).toHaveBeenCalledWith(
+      {_id: 'job2', 'rows.rowNumber': 2},
+      {$set: expect.objectContaining({'rows.$.status': 'imported', 'rows.$.billId': 'bill-import_job2_2'})}
+    );
+    expect(job.status).toBe('DONE');
+    expect(job.summary).toMatchObject({imported: 2, billAmountTotal: 3400});
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Customer Payment Tests
+ *
+ * Verifies allocation across open bills (oldest due first and manual), the
+ * single ledger entry, promise auto-keep, conflicts and reversal
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const AuditEvent = require('../src/models/AuditEvent');
+const Bill = require('../src/models/Bill');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const Customer = require('../src/models/Customer');
+const CustomerPayment = require('../src/models/CustomerPayment');
+const DocumentCounter = require('../src/models/DocumentCounter');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const RecoveryCase = require('../src/models/RecoveryCase');
+const customerPaymentService = require('../src/services/customerPayment.service');
+const {buildStatementLines} = require('../src/services/statement.service');
+const {recordCustomerPaymentSchema} = require('../src/validators/customerPayment.validator');
+const {queryResult} = require('./helpers/queryStub');
+const {mockOwner} = require('./helpers/apiAuth');
+
+const {planManualAllocations, recordCustomerPayment, reverseCustomerPayment} = customerPaymentService;
+
+const userId = '64b000000000000000000001';
+const customerId = '64b0000000000000000000c1';
+const actorUserId = '64b000000000000000000002';
+const paymentId = '64b0000000000000000000f1';
+
+const openBills = () => [
+  {_id: 'b2', userId, billNo: 'BILL-002', grandTotal: 500, paidAmount: 0, status: 'unpaid', dueDate: new Date('2026-10-20'), createdAt: new Date('2026-10-05')},
+  {_id: 'b1', userId, billNo: 'BILL-001', grandTotal: 1000, paidAmount: 400, status: 'partial', dueDate: null, createdAt: new Date('2026-10-01')},
+];
+
+// Customer lookups used by the atomic credit service
+const mockCustomer = (creditOutstanding = 1100) => {
+  jest.spyOn(Customer, 'findOne').mockImplementation(() => {
+    return queryResult({_id: customerId, creditOutstanding});
+  });
+  return jest.spyOn(Customer, 'findOneAndUpdate').mockImplementation((filter, update) =>
+    Promise.resolve({_id: customerId, creditOutstanding: creditOutstanding + update.$inc.creditOutstanding}));
+};
+
+// Receipt number from the default series (RCPT/<FY>/<n>)
+const mockReceiptSeries = lastNumber => {
+  jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult(null));
+  jest.spyOn(DocumentCounter, 'findOne').mockReturnValue(queryResult({lastNumber}));
+  jest.spyOn(DocumentCounter, 'findOneAndUpdate').mockResolvedValue({lastNumber: lastNumber + 1});
+};
+
+describe('Customer payments', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({_id: 'audit1'});
+    jest.spyOn(RecoveryCase, 'findOne').mockReturnValue({sort: () => Promise.resolve(null)});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('checks manual allocations against what is pending and received', () => {
+    const plan = planManualAllocations(openBills(), 700, [{billId: 'b2', amount: 500}, {billId: 'b1', amount: 100}]);
+    expect(plan).toEqual({
+      allocations: [{billId: 'b2', billNo: 'BILL-002', amount: 500}, {billId: 'b1', billNo: 'BILL-001', amount: 100}],
+      unallocatedAmount: 100,
+    });
+
+    expect(() => planManualAllocations(openBills(), 1000, [{billId: 'b1', amount: 601}]))
+      .toThrow(expect.objectContaining({code: 'ALLOCATION_EXCEEDS_PENDING', statusCode: 400}));
+    expect(() => planManualAllocations(openBills(), 300, [{billId: 'b2', amount: 400}]))
+      .toThrow(expect.objectContaining({code: 'ALLOCATION_EXCEEDS_PAYMENT'}));
+    expect(() => planManualAllocations(openBills(), 300, [{billId: 'b9', amount: 100}]))
+      .toThrow(expect.objectContaining({code: 'BILL_NOT_OPEN'}));
+  });
+
+  it('settles the oldest due bills first with one ledger entry and a receipt number', async () => {
+    const creditUpdate = mockCustomer();
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult(openBills()));
+    const settle = jest.spyOn(Bill, 'findOneAndUpdate').mockImplementation((filter, {$set}) =>
+      Promise.resolve({_id: filter._id, ...$set}));
+    mockReceiptSeries(11);
+    const create = jest.spyOn(CustomerPayment, 'create').mockImplementation(data => Promise.resolve({_id: paymentId, ...data}));
+    jest.spyOn(CustomerPayment, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't1'});
+
+    const {payment, bills, duplicate} = await recordCustomerPayment({userId, customerId, amount: 800, actorUserId});
+
+    expect(duplicate).toBe(false);
+    expect(payment.receiptNo).toMatch(/^RCPT\/\d{4}-\d{2}\/012$/);
+
+    // BILL-001 (created 1 Oct, no due date) before BILL-002 (due 20 Oct)
+    expect(settle.mock.calls.map(([filter, {$set}]) => [filter._id, filter.paidAmount, $set])).toEqual([
+      ['b1', 400, {paidAmount: 1000, status: 'paid'}],
+      ['b2', 0, {paidAmount: 200, status: 'partial'}],
+    ]);
+    expect(bills).toHaveLength(2);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 800,
+      allocationMode: 'AUTO',
+      unallocatedAmount: 0,
+      recordedBy: actorUserId,
+    }));
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: -800}}, {new: true});
+
+    expect(ledger).toHaveBeenCalledTimes(1);
+    expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'debit',
+      amount: 800,
+      idempotencyKey: `customer_payment_${paymentId}`,
+      metadata: expect.objectContaining({
+        source: 'customer_payment',
+        allocations: [
+          {billId: 'b1', billNo: 'BILL-001', amount: 600},
+          {billId: 'b2', billNo: 'BILL-002', amount: 200},
+        ],
+      }),
+    }));
+    expect(RecoveryCase.findOne).toHaveBeenCalledWith(expect.objectContaining({userId, customerId}));
+  });
+
+  it('holds the excess as an advance and only releases what settled bills', async () => {
+    const creditUpdate = mockCustomer();
+    const advanceUpdate = jest.spyOn(Customer, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult(openBills()));
+    jest.spyOn(Bill, 'findOneAndUpdate').mockImplementation((filter, {$set}) => Promise.resolve({_id: filter._id, ...$set}));
+    mockReceiptSeries(0);
+    jest.spyOn(CustomerPayment, 'create').mockImplementation(data => Promise.resolve({_id: paymentId, ...data}));
+    jest.spyOn(CustomerPayment, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't1'});
+
+    const {payment} = await recordCustomerPayment({userId, customerId, amount: 1500, actorUserId});
+
+    expect(payment.unallocatedAmount).toBe(400);
+    expect(advanceUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {advanceBalance: 400}});
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: -1100}}, {new: true});
+    expect(ledger).toHaveBeenCalledWith(expect.objectContaining({amount: 1500}));
+  });
+
+  it('rolls back settled bills when another bill changed meanwhile', async () => {
+    mockCustomer();
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult(openBills()));
+    jest.spyOn(Bill, 'findOneAndUpdate')
+      .mockResolvedValueOnce({_id: 'b1', paidAmount: 1000})
+      .mockResolvedValueOnce(null);
+    const rollback = jest.spyOn(Bill, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const create = jest.spyOn(CustomerPayment, 'create');
+
+    await expect(recordCustomerPayment({userId, customerId, amount: 800, actorUserId}))
+      .rejects.toMatchObject({code: 'PAYMENT_ALLOCATION_CONFLICT', statusCode: 409});
+    expect(rollback).toHaveBeenCalledWith({_id: 'b1', userId}, {$inc: {paidAmount: -600}, $set: {status: 'partial'}});
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('un-allocates a reversed payment and charges it back on the ledger', async () => {
+    const creditUpdate = mockCustomer(0);
+    jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue({
+      _id: paymentId,
+      customerId,
+      receiptNo: 'RCPT/2026-27/012',
+      amount: 800,
+      allocations: [{billId: 'b1', amount: 600}, {billId: 'b2', amount: 200}],
+      status: 'reversed',
+    });
+    jest.spyOn(Bill, 'findOne').mockImplementation(({_id}) => queryResult(_id === 'b1'
+      ? {_id: 'b1', grandTotal: 1000, paidAmount: 1000, status: 'paid'}
+      : {_id: 'b2', grandTotal: 500, paidAmount: 200, status: 'cancelled'}));
+    const unsettle = jest.spyOn(Bill, 'findOneAndUpdate').mockResolvedValue({_id: 'b'});
+    const ledger = jest.spyOn(LedgerTransaction, 'create').mockResolvedValue({_id: 't2'});
+
+    const {restoredAmount} = await reverseCustomerPayment({
+      userId,
+      customerId,
+      paymentId,
+      reason: 'Cheque bounced',
+      actorUserId,
+    });
+
+    expect(unsettle.mock.calls.map(([, {$set}]) => $set)).toEqual([
+      {paidAmount: 400, status: 'partial'},
+      {paidAmount: 0, status: 'cancelled'},
+    ]);
+    // The cancelled bill no longer counts towards outstanding
+    expect(restoredAmount).toBe(600);
+    expect(creditUpdate).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: 600}}, {new: true});
+    expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'credit',
+      amount: 800,
+      idempotencyKey: `customer_payment_${paymentId}_reversal`,
+      metadata: expect.objectContaining({source: 'customer_payment_reversal'}),
+    }));
+  });
+
+  it('reverses a payment only once', async () => {
+    jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(CustomerPayment, 'findOne').mockReturnValue(queryResult({status: 'reversed'}));
+
+    await expect(reverseCustomerPayment({userId, customerId, paymentId, reason: 'x', actorUserId}))
+      .rejects.toMatchObject({code: 'PAYMENT_ALREADY_REVERSED', statusCode: 409});
+  });
+
+  it('does not reverse a payment whose advance was partly refunded', async () => {
+    // Claimed only while nothing of it was refunded
+    const claim = jest.spyOn(CustomerPayment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(CustomerPayment, 'findOne').mockReturnValue(queryResult({status: 'active', refundedAmount: 300}));
+    const advanceUpdate = jest.spyOn(Customer, 'updateOne');
+    const ledger = jest.spyOn(LedgerTransaction, 'create');
+
+    await expect(reverseCustomerPayment({userId, customerId, paymentId, reason: 'x', actorUserId}))
+      .rejects.toMatchObject({code: 'PAYMENT_REFUNDED', statusCode: 409});
+    expect(claim.mock.calls[0][0]).toMatchObject({status: 'active', refundedAmount: {$not: {$gt: 0}}});
+    expect(advanceUpdate).not.toHaveBeenCalled();
+    expect(ledger).not.toHaveBeenCalled();
+  });
+
+  it('shows payments and reversals on the statement', () => {
+    const lines = buildStatementLines([], [
+      {
+        _id: 't1',
+        type: 'debit',
+        amount: 800,
+        note: 'Payment received (Receipt RCPT/2026-27/012)',
+        metadata: {source: 'customer_payment', receiptNo: 'RCPT/2026-27/012'},
+        createdAt: '2026-10-10T06:00:00Z',
+      },
+      {
+        _id: 't2',
+        type: 'credit',
+        amount: 800,
+        note: 'Payment reversed (Receipt RCPT/2026-27/012) - Cheque bounced',
+        metadata: {source: 'customer_payment_reversal', receiptNo: 'RCPT/2026-27/012'},
+        createdAt: '2026-10-12T06:00:00Z',
+      },
+    ]);
+
+    expect(lines.map(line => [line.type, line.charge, line.received])).toEqual([
+      ['PAYMENT', 0, 800],
+      ['PAYMENT_REVERSAL', 800, 0],
+    ]);
+  });
+
+  it('validates payment requests', () => {
+    const {body} = recordCustomerPaymentSchema;
+    expect(body.validate({amount: 0}).error).toBeDefined();
+    expect(body.validate({amount: 100, allocations: [
+      {billId: '64b000000000000000000b01', amount: 50},
+      {billId: '64b000000000000000000b01', amount: 50},
+    ]}).error).toBeDefined();
+    expect(body.validate({amount: 100.5, note: 'Cash'}).error).toBeUndefined();
+  });
+});
+
+describe('Customer payment endpoints', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('POST /api/customers/:id/payments records the payment with its receipt', async () => {
+    const {owner, authorization} = mockOwner();
+    const record = jest.spyOn(customerPaymentService, 'recordCustomerPayment').mockResolvedValue({
+      payment: {_id: paymentId, customerId, receiptNo: 'RCPT/2026-27/8', amount: 700, mode: 'UPI', allocations: [{billId: 'b1', amount: 600}], unallocatedAmount: 100},
+      bills: [{_id: 'b1', status: 'paid'}],
+      duplicate: false,
+    });
+    const audit = jest.spyOn(AuditEvent, 'create').mockResolvedValue({_id: 'audit1'});
+
+    const res = await request(app)
+      .post(`/api/customers/${customerId}/payments`)
+      .set('Authorization', authorization)
+      .send({amount: 700, mode: 'UPI', reference: 'UTR123', idempotencyKey: 'pay-700'})
+      .expect(201);
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.data).toMatchObject({payment: {receiptNo: 'RCPT/2026-27/8'}, duplicate: false});
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      userId: owner._id,
+      customerId,
+      amount: 700,
+      mode: 'UPI',
+      reference: 'UTR123',
+      idempotencyKey: 'pay-700',
+    }));
+    expect(audit.mock.calls[0][0]).toMatchObject({action: 'PAYMENT_RECORDED'});
+  });
+
+  it('POST /api/customers/:id/payments rejects an amount that is not positive', async () => {
+    const {authorization} = mockOwner();
+    const record = jest.spyOn(customerPaymentService, 'recordCustomerPayment');
+
+    const res = await request(app)
+      .post(`/api/customers/${customerId}/payments`)
+      .set('Authorization', authorization)
+      .send({amount: 0})
+      .expect(400);
+
+    expect(res.body.ok).toBe(false);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(record).not.toHaveBeenCalled();
+  });
+});
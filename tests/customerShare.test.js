@@ -0,0 +1,191 @@
+/**
+ * Customer Share Link Tests
+ *
+ * Verifies public statement sanitisation, expiry, revocation and reminder links
+ * (no database required)
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const Customer = require('../src/models/Customer');
+const CustomerShareLink = require('../src/models/CustomerShareLink');
+const {
+  sanitizeStatementForPublic,
+  isLinkExpired,
+  isRevokedByOwner,
+  getStatementShareUrl,
+  ensureStatementShareUrls,
+} = require('../src/services/customerShare.service');
+const {renderPublicStatementHtml} = require('../src/services/statementRenderer.service');
+const {computeRecoveryPlan} = require('../src/services/recoveryPlan.service');
+const {queryResult} = require('./helpers/queryStub');
+const {mockOwner} = require('./helpers/apiAuth');
+
+const NOW = new Date('2026-10-15T06:00:00Z');
+
+const openBills = [
+  {
+    _id: '64b000000000000000000021',
+    billNo: 'BILL-010',
+    grandTotal: 1000,
+    paidAmount: 250,
+    status: 'partial',
+    dueDate: '2026-10-01T00:00:00Z',
+    notes: 'Internal note',
+    createdAt: '2026-09-20T06:00:00Z',
+  },
+  {
+    _id: '64b000000000000000000022',
+    billNo: 'BILL-011',
+    grandTotal: 400,
+    paidAmount: 0,
+    status: 'unpaid',
+    dueDate: '2026-10-30T00:00:00Z',
+    createdAt: '2026-10-10T06:00:00Z',
+  },
+];
+
+const payments = [
+  {at: new Date('2026-09-20T06:00:00Z'), type: 'PAYMENT', description: 'Paid at billing (BILL-010)', reference: 'BILL-010', received: 100},
+  {at: new Date('2026-10-05T06:00:00Z'), type: 'PAYMENT', description: 'UPI ref 99812', reference: 'BILL-010', received: 150},
+];
+
+describe('Customer share links', () => {
+  it('sanitizes open bills, totals and recent payments', () => {
+    const data = sanitizeStatementForPublic({
+      customer: {_id: 'c1', name: 'Ravi <Traders>', phone: '9876543210'},
+      openBills,
+      payments,
+      shopName: 'Sharma Stores',
+      link: {expiresAt: new Date('2026-12-01T00:00:00Z')},
+      now: NOW,
+    });
+
+    expect(data.shopName).toBe('Sharma Stores');
+    expect(data.totalOutstanding).toBe(1150);
+    expect(data.overdueAmount).toBe(750);
+    expect(data.openBills.map(bill => [bill.billNo, bill.status, bill.isOverdue])).toEqual([
+      ['BILL-010', 'partial', true],
+      ['BILL-011', 'pending', false],
+    ]);
+
+    // Most recent first, amounts only (no free-text notes)
+    expect(data.recentPayments).toEqual([
+      {date: payments[1].at, amount: 150, billNo: 'BILL-010'},
+      {date: payments[0].at, amount: 100, billNo: 'BILL-010'},
+    ]);
+
+    const serialized = JSON.stringify(data);
+    expect(serialized).not.toContain('9876543210');
+    expect(serialized).not.toContain('Internal note');
+    expect(serialized).not.toContain('UPI ref');
+    expect(serialized).not.toContain('64b000000000000000000021');
+  });
+
+  it('renders escaped HTML with the shop name', () => {
+    const data = sanitizeStatementForPublic({
+      customer: {name: 'Ravi <Traders>'},
+      openBills,
+      payments: [],
+      shopName: 'Sharma Stores',
+      now: NOW,
+    });
+    const html = renderPublicStatementHtml(data);
+
+    expect(html).toContain('Sharma Stores');
+    expect(html).toContain('Ravi &lt;Traders&gt;');
+    expect(html).toContain('BILL-011');
+    expect(html).toContain('No payments yet.');
+  });
+
+  it('treats links past expiresAt as expired', () => {
+    expect(isLinkExpired({expiresAt: null}, NOW)).toBe(false);
+    expect(isLinkExpired({expiresAt: '2026-10-16T00:00:00Z'}, NOW)).toBe(false);
+    expect(isLinkExpired({expiresAt: '2026-10-14T00:00:00Z'}, NOW)).toBe(true);
+  });
+
+  it('adds the statement link to recovery reminders', () => {
+    const url = getStatementShareUrl('a'.repeat(48));
+    expect(url).toMatch(/\/s\/a{48}$/);
+
+    const plan = computeRecoveryPlan({
+      customerId: 'c1',
+      customerName: 'Ravi',
+      outstandingAmount: 1150,
+      overdueBills: [{dueDate: '2026-10-01T00:00:00Z'}],
+      statementUrl: url,
+      nowIST: NOW,
+    });
+
+    expect(plan.steps.length).toBeGreaterThan(0);
+    for (const step of plan.steps) {
+      expect(step.body).toContain(url);
+      expect(step.metadata.statementUrl).toBe(url);
+    }
+
+    const withoutLink = computeRecoveryPlan({
+      customerId: 'c1',
+      customerName: 'Ravi',
+      outstandingAmount: 1150,
+      nowIST: NOW,
+    });
+    expect(withoutLink.steps[0].body).not.toContain('View your bills');
+  });
+});
+
+describe('Revoked share links', () => {
+  const userId = '64b000000000000000000001';
+  const revokedId = '64b000000000000000000c01';
+  const expiredId = '64b000000000000000000c02';
+  const newId = '64b000000000000000000c03';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('tells owner revocations from links retired after expiry', () => {
+    expect(isRevokedByOwner({status: 'active'})).toBe(false);
+    expect(isRevokedByOwner({status: 'revoked', revokedReason: 'owner'})).toBe(true);
+    expect(isRevokedByOwner({status: 'revoked', revokedReason: 'expired'})).toBe(false);
+    // Revoked before the reason was recorded
+    expect(isRevokedByOwner({status: 'revoked', expiresAt: '2026-10-01T00:00:00Z', revokedAt: '2026-10-05T00:00:00Z'})).toBe(false);
+    expect(isRevokedByOwner({status: 'revoked', expiresAt: '2026-12-01T00:00:00Z', revokedAt: '2026-10-05T00:00:00Z'})).toBe(true);
+  });
+
+  it('does not share a statement again once the owner revoked its link', async () => {
+    jest.spyOn(CustomerShareLink, 'find')
+      .mockReturnValueOnce(queryResult([]))
+      .mockReturnValueOnce(queryResult([
+        {customerId: revokedId, status: 'revoked', revokedReason: 'owner', revokedAt: NOW},
+        {customerId: revokedId, status: 'revoked', revokedReason: 'expired', revokedAt: NOW},
+        {customerId: expiredId, status: 'revoked', revokedReason: 'expired', revokedAt: NOW},
+      ]));
+    jest.spyOn(Customer, 'findOne').mockReturnValue(queryResult({_id: expiredId}));
+    jest.spyOn(CustomerShareLink, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(CustomerShareLink, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(CustomerShareLink, 'create').mockImplementation(async doc => doc);
+
+    const urls = await ensureStatementShareUrls(userId, [revokedId, expiredId, newId]);
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls.map(([doc]) => doc.customerId)).toEqual([expiredId, newId]);
+    expect(urls.has(revokedId)).toBe(false);
+    expect(urls.get(expiredId)).toMatch(/\/s\/[a-f0-9]{48}$/);
+    expect(urls.has(newId)).toBe(true);
+  });
+
+  it('rejects share link lifetimes out of range', async () => {
+    const {authorization} = mockOwner();
+    const create = jest.spyOn(CustomerShareLink, 'create');
+
+    for (const expiresInDays of [0, 400, 'forever']) {
+      const response = await request(app)
+        .post(`/api/customers/${revokedId}/share-link`)
+        .set('Authorization', authorization)
+        .send({expiresInDays});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    }
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Test environment (loaded by jest before each test file)
+ *
+ * src/config/env.js refuses to load without a strong JWT_SECRET; give tests
+ * one so `npm test` runs on a clean checkout. Values already set win.
+ */
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-only-jwt-secret-not-for-production-use';
@@ -0,0 +1,164 @@
+/**
+ * GST Tax Invoice Tests
+ *
+ * Verifies GSTIN validation, CGST/SGST vs IGST split, discount allocation
+ * and tax invoice preparation from settings and catalog defaults
+ */
+const BusinessSettings = require('../src/models/BusinessSettings');
+const Item = require('../src/models/Item');
+const {
+  isValidGstin,
+  getStateCodeFromGstin,
+  computeGstBreakdown,
+  prepareTaxInvoice,
+  validateCustomerGst,
+} = require('../src/services/gst.service');
+const {updateGstSettingsSchema} = require('../src/validators/settings.validator');
+const {getLabels} = require('../src/services/i18n');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const SUPPLIER_GSTIN = '27AAPFU0939F1ZV'; // Maharashtra
+const KARNATAKA_GSTIN = '29AAGCB7383J1Z4';
+
+const mockRegistration = (settings = {gstin: SUPPLIER_GSTIN, gstLegalName: 'Sharma Traders'}) => {
+  jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult(settings));
+};
+
+describe('GST tax invoices', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('validates GSTIN format and check digit', () => {
+    expect(isValidGstin(SUPPLIER_GSTIN)).toBe(true);
+    expect(isValidGstin(KARNATAKA_GSTIN.toLowerCase())).toBe(true);
+    expect(isValidGstin('27AAPFU0939F1ZA')).toBe(false); // wrong check digit
+    expect(isValidGstin('99AAPFU0939F1ZV')).toBe(false); // unknown state
+    expect(getStateCodeFromGstin(KARNATAKA_GSTIN)).toBe('29');
+
+    expect(updateGstSettingsSchema.body.validate({gstin: '27AAPFU0939F1ZA'}).error.message)
+      .toBe('gstin must be a valid 15-character GSTIN');
+    expect(() => validateCustomerGst({gstin: 'BAD'})).toThrow(expect.objectContaining({code: 'INVALID_GSTIN'}));
+  });
+
+  it('splits intra-state tax into CGST + SGST and allocates the discount', () => {
+    const result = computeGstBreakdown({
+      items: [
+        {name: 'Rice 25kg', qty: 2, price: 1000, gstRate: 5},
+        {name: 'Oil 5L', qty: 1, price: 1000, gstRate: 18},
+      ],
+      discount: 300,
+      supplierStateCode: '27',
+      placeOfSupply: '27',
+    });
+
+    expect(result.supplyType).toBe('INTRA_STATE');
+    expect(result.items.map(line => line.taxableValue)).toEqual([1800, 900]);
+    expect(result.items[0]).toMatchObject({cgst: 45, sgst: 45, igst: 0});
+    expect(result.items[1]).toMatchObject({cgst: 81, sgst: 81, igst: 0});
+    expect(result).toMatchObject({
+      subTotal: 3000,
+      discount: 300,
+      taxableValue: 2700,
+      cgst: 126,
+      sgst: 126,
+      igst: 0,
+      tax: 252,
+      grandTotal: 2952,
+    });
+  });
+
+  it('charges IGST on inter-state supplies', () => {
+    const result = computeGstBreakdown({
+      items: [{name: 'Service', qty: 1, price: 999.99, gstRate: 18}],
+      supplierStateCode: '27',
+      placeOfSupply: '29',
+    });
+
+    expect(result.supplyType).toBe('INTER_STATE');
+    expect(result).toMatchObject({cgst: 0, sgst: 0, igst: 180, grandTotal: 1179.99});
+  });
+
+  it('rejects a discount larger than the subtotal', () => {
+    expect(() => computeGstBreakdown({
+      items: [{name: 'Pen', qty: 1, price: 10, gstRate: 12}],
+      discount: 11,
+      supplierStateCode: '27',
+      placeOfSupply: '27',
+    })).toThrow(expect.objectContaining({code: 'VALIDATION_ERROR'}));
+  });
+
+  it('builds a tax invoice using catalog HSN/rate defaults and the customer GSTIN state', async () => {
+    mockRegistration();
+    jest.spyOn(Item, 'find').mockReturnValue(queryResult([
+      {_id: '64b0000000000000000000a1', normalizedName: 'cement bag', hsnCode: '2523', gstRate: 28},
+    ]));
+
+    const invoice = await prepareTaxInvoice({
+      userId,
+      customer: {name: 'Builder Co', gstin: KARNATAKA_GSTIN, billingAddress: 'Hubli'},
+      items: [{name: 'Cement  Bag', qty: 10, price: 400}],
+    });
+
+    expect(invoice.items[0]).toMatchObject({hsnCode: '2523', gstRate: 28, taxableValue: 4000, igst: 1120});
+    expect(invoice.gst).toMatchObject({
+      isTaxInvoice: true,
+      supplierGstin: SUPPLIER_GSTIN,
+      supplierLegalName: 'Sharma Traders',
+      supplierStateCode: '27',
+      customerGstin: KARNATAKA_GSTIN,
+      customerAddress: 'Hubli',
+      placeOfSupply: '29',
+      supplyType: 'INTER_STATE',
+      totalTax: 1120,
+    });
+    expect(invoice.grandTotal).toBe(5120);
+  });
+
+  it('uses UTGST for intra-UT supplies', async () => {
+    mockRegistration({gstin: SUPPLIER_GSTIN, gstStateCode: '04', gstLegalName: 'Chandigarh Store'});
+    jest.spyOn(Item, 'find').mockReturnValue(queryResult([]));
+
+    const invoice = await prepareTaxInvoice({
+      userId,
+      customer: {name: 'Walk-in'},
+      items: [{name: 'Shoes', qty: 1, price: 2000, gstRate: 12}],
+    });
+
+    expect(invoice.gst).toMatchObject({placeOfSupply: '04', supplyType: 'INTRA_STATE', stateTaxName: 'UTGST', cgst: 120, sgst: 120});
+  });
+
+  it('keeps plain bills unless a rate is given, and requires a rate on every tax invoice line', async () => {
+    mockRegistration({gstin: null});
+    await expect(prepareTaxInvoice({userId, customer: {}, items: [], taxInvoice: true}))
+      .rejects.toMatchObject({code: 'GSTIN_NOT_CONFIGURED', statusCode: 400});
+
+    jest.restoreAllMocks();
+    mockRegistration();
+    jest.spyOn(Item, 'find').mockReturnValue(queryResult([]));
+
+    await expect(prepareTaxInvoice({
+      userId,
+      customer: {},
+      items: [{name: 'Tea', qty: 1, price: 10}],
+    })).resolves.toBeNull();
+
+    await expect(prepareTaxInvoice({
+      userId,
+      customer: {},
+      items: [{name: 'Tea', qty: 1, price: 10, gstRate: 5}, {name: 'Sugar', qty: 1, price: 40}],
+    })).rejects.toMatchObject({code: 'GST_RATE_REQUIRED'});
+
+    await expect(prepareTaxInvoice({
+      userId,
+      customer: {},
+      items: [{name: 'Tea', qty: 1, price: 10, gstRate: 7}],
+    })).rejects.toMatchObject({code: 'INVALID_GST_RATE'});
+  });
+
+  it('has tax invoice labels for the public bill page', () => {
+    expect(getLabels('publicBill', 'hi')).toMatchObject({cgst: 'CGST', igst: 'IGST', hsn: 'HSN/SAC'});
+    expect(getLabels('publicBill', 'en').taxInvoice).toBe('Tax Invoice');
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * GST Returns Tests
+ *
+ * Verifies GSTR-1 sections (B2B, B2CL, B2CS, HSN, credit notes, documents issued),
+ * handling of cancelled / deleted bills and the sales register CSV
+ */
+const Bill = require('../src/models/Bill');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const CreditNote = require('../src/models/CreditNote');
+const Customer = require('../src/models/Customer');
+const {
+  resolvePeriod,
+  buildGstr1,
+  buildSalesRegister,
+  renderSalesRegisterCsv,
+} = require('../src/services/gstReturns.service');
+const {gstr1Schema, salesRegisterSchema} = require('../src/validators/report.validator');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const SUPPLIER_GSTIN = '27AAPFU0939F1ZV'; // Maharashtra
+const KARNATAKA_GSTIN = '29AAGCB7383J1Z4';
+
+const taxInvoice = ({billNo, createdAt, placeOfSupply, customerGstin = null, lines, status = 'unpaid', isDeleted = false}) => {
+  const supplyType = placeOfSupply === '27' ? 'INTRA_STATE' : 'INTER_STATE';
+  const items = lines.map(([name, hsnCode, gstRate, taxableValue, qty = 1]) => {
+    const tax = Math.round(taxableValue * gstRate) / 100;
+    return {
+      name,
+      qty,
+      price: taxableValue / qty,
+      total: taxableValue,
+      hsnCode,
+      gstRate,
+      taxableValue,
+      cgst: supplyType === 'INTRA_STATE' ? tax / 2 : 0,
+      sgst: supplyType === 'INTRA_STATE' ? tax / 2 : 0,
+      igst: supplyType === 'INTER_STATE' ? tax : 0,
+    };
+  });
+  const sum = field => items.reduce((total, line) => total + line[field], 0);
+  const totalTax = sum('cgst') + sum('sgst') + sum('igst');
+
+  return {
+    _id: `bill-${billNo}`,
+    customerId: '64b0000000000000000000c1',
+    billNo,
+    items,
+    subTotal: sum('taxableValue'),
+    discount: 0,
+    tax: totalTax,
+    grandTotal: sum('taxableValue') + totalTax,
+    paidAmount: 0,
+    status,
+    isDeleted,
+    createdAt: new Date(createdAt),
+    gst: {
+      isTaxInvoice: true,
+      customerGstin,
+      placeOfSupply,
+      supplyType,
+      stateTaxName: 'SGST',
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      totalTax,
+    },
+  };
+};
+
+const OCTOBER_INVOICES = [
+  taxInvoice({
+    billNo: 'INV-1',
+    createdAt: '2026-09-30T19:00:00.000Z', // 1 Oct 00:30 IST
+    placeOfSupply: '29',
+    customerGstin: KARNATAKA_GSTIN,
+    lines: [['Cement', '2523', 28, 4000, 10], ['Sand', '2505', 5, 1000]],
+  }),
+  taxInvoice({
+    billNo: 'INV-2',
+    createdAt: '2026-10-05T06:00:00.000Z',
+    placeOfSupply: '27',
+    lines: [['Rice', '1006', 5, 2000, 2], ['Repair', '998719', 18, 500]],
+  }),
+  taxInvoice({
+    billNo: 'INV-3',
+    createdAt: '2026-10-06T06:00:00.000Z',
+    placeOfSupply: '27',
+    lines: [['Rice', '1006', 5, 1000, 1]],
+  }),
+  taxInvoice({
+    billNo: 'INV-4',
+    createdAt: '2026-10-07T06:00:00.000Z',
+    placeOfSupply: '24',
+    lines: [['Generator', '8502', 18, 150000]],
+  }),
+  taxInvoice({
+    billNo: 'INV-5',
+    createdAt: '2026-10-08T06:00:00.000Z',
+    placeOfSupply: '27',
+    lines: [['Rice', '1006', 5, 700]],
+    status: 'cancelled',
+  }),
+  taxInvoice({
+    billNo: 'INV-6',
+    createdAt: '2026-10-09T06:00:00.000Z',
+    placeOfSupply: '27',
+    lines: [['Rice', '1006', 5, 300]],
+    isDeleted: true,
+  }),
+];
+
+describe('GST returns', () => {
+  beforeEach(() => {
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({
+      gstin: SUPPLIER_GSTIN,
+      gstLegalName: 'Sharma Traders',
+    }));
+    jest.spyOn(CreditNote, 'find').mockReturnValue(queryResult([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves a month to IST day boundaries', () => {
+    const period = resolvePeriod({month: '2026-10'});
+
+    expect(period.from.toISOString()).toBe('2026-09-30T18:30:00.000Z');
+    expect(period.to.toISOString()).toBe('2026-10-31T18:29:59.999Z');
+    expect(() => resolvePeriod({from: new Date('2026-10-10'), to: new Date('2026-10-01')}))
+      .toThrow(expect.objectContaining({code: 'VALIDATION_ERROR'}));
+  });
+
+  it('builds B2B, B2CL, B2CS and HSN sections from active tax invoices', async () => {
+    const find = jest.spyOn(Bill, 'find').mockReturnValue(queryResult(OCTOBER_INVOICES));
+
+    const {gstr1, summary} = await buildGstr1({userId, month: '2026-10'});
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({userId, 'gst.isTaxInvoice': true}));
+    expect(gstr1).toMatchObject({gstin: SUPPLIER_GSTIN, fp: '102026', cdnr: [], cdnur: []});
+
+    expect(gstr1.b2b).toEqual([{
+      ctin: KARNATAKA_GSTIN,
+      inv: [{
+        inum: 'INV-1',
+        idt: '01-10-2026',
+        val: 6170,
+        pos: '29',
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: [
+          {num: 1, itm_det: {rt: 5, txval: 1000, iamt: 50, camt: 0, samt: 0, csamt: 0}},
+          {num: 2, itm_det: {rt: 28, txval: 4000, iamt: 1120, camt: 0, samt: 0, csamt: 0}},
+        ],
+      }],
+    }]);
+
+    expect(gstr1.b2cl).toEqual([{pos: '24', inv: [expect.objectContaining({inum: 'INV-4', val: 177000})]}]);
+
+    expect(gstr1.b2cs).toEqual([
+      {sply_ty: 'INTRA', pos: '27', typ: 'OE', rt: 5, txval: 3000, iamt: 0, camt: 75, samt: 75, csamt: 0},
+      {sply_ty: 'INTRA', pos: '27', typ: 'OE', rt: 18, txval: 500, iamt: 0, camt: 45, samt: 45, csamt: 0},
+    ]);
+
+    expect(gstr1.hsn.hsn_b2c).toEqual([
+      expect.objectContaining({hsn_sc: '1006', uqc: 'OTH', qty: 3, rt: 5, txval: 3000, camt: 75}),
+      expect.objectContaining({hsn_sc: '8502', qty: 1, rt: 18, txval: 150000, iamt: 27000}),
+      expect.objectContaining({hsn_sc: '998719', uqc: 'NA', qty: 0, txval: 500}),
+    ]);
+    expect(gstr1.hsn.hsn_b2b.map(row => row.hsn_sc)).toEqual(['2505', '2523']);
+
+    expect(summary).toMatchObject({invoices: 4, cancelled: 2, taxableValue: 158500, totalTax: 28410});
+  });
+
+  it('counts cancelled and deleted invoices in the documents issued table', async () => {
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult(OCTOBER_INVOICES));
+
+    const {gstr1} = await buildGstr1({userId, month: '2026-10'});
+
+    expect(gstr1.doc_issue.doc_det[0].docs).toEqual([
+      {num: 1, from: 'INV-1', to: 'INV-6', totnum: 6, cancel: 2, net_issue: 4},
+    ]);
+  });
+
+  it('reports credit notes in CDNR / CDNUR and nets them off B2CS, HSN and the totals', async () => {
+    const noteFrom = (bill, creditNoteNo, createdAt, lineIndex = 0) => {
+      const line = bill.items[lineIndex];
+      return {
+        creditNoteNo,
+        billNo: bill.billNo,
+        createdAt: new Date(createdAt),
+        items: [line],
+        grandTotal: line.taxableValue + line.cgst + line.sgst + line.igst,
+        gst: {
+          ...bill.gst,
+          invoiceValue: bill.grandTotal,
+          taxableValue: line.taxableValue,
+          cgst: line.cgst,
+          sgst: line.sgst,
+          igst: line.igst,
+          totalTax: line.cgst + line.sgst + line.igst,
+        },
+      };
+    };
+    const [b2bInvoice, b2csInvoice, , b2clInvoice] = OCTOBER_INVOICES;
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult(OCTOBER_INVOICES));
+    const findNotes = CreditNote.find.mockReturnValue(queryResult([
+      noteFrom(b2bInvoice, 'CN/2026-27/001', '2026-10-20T06:00:00.000Z', 1),
+      noteFrom(b2clInvoice, 'CN/2026-27/002', '2026-10-21T06:00:00.000Z'),
+      noteFrom(b2csInvoice, 'CN/2026-27/003', '2026-10-22T06:00:00.000Z'),
+    ]));
+
+    const {gstr1, summary} = await buildGstr1({userId, month: '2026-10'});
+
+    expect(findNotes).toHaveBeenCalledWith(expect.objectContaining({userId, 'gst.isTaxInvoice': true}));
+    expect(gstr1.cdnr).toEqual([{
+      ctin: KARNATAKA_GSTIN,
+      nt: [{
+        ntty: 'C',
+        nt_num: 'CN/2026-27/001',
+        nt_dt: '20-10-2026',
+        val: 1050,
+        pos: '29',
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: [{num: 1, itm_det: {rt: 5, txval: 1000, iamt: 50, camt: 0, samt: 0, csamt: 0}}],
+      }],
+    }]);
+    expect(gstr1.cdnur).toEqual([expect.objectContaining({typ: 'B2CL', nt_num: 'CN/2026-27/002', pos: '24'})]);
+
+    const b2csNote = b2csInvoice.items[0];
+    expect(gstr1.b2cs[0]).toMatchObject({
+      pos: '27',
+      rt: b2csNote.gstRate,
+      txval: 3000 - b2csNote.taxableValue,
+      camt: 75 - b2csNote.cgst,
+    });
+    expect(gstr1.hsn.hsn_b2b.find(row => row.hsn_sc === '2505')).toMatchObject({txval: 0, iamt: 0});
+
+    expect(gstr1.doc_issue.doc_det[1]).toEqual({
+      doc_num: 5,
+      docs: [{num: 1, from: 'CN/2026-27/001', to: 'CN/2026-27/003', totnum: 3, cancel: 0, net_issue: 3}],
+    });
+
+    const notesTax = 50 + b2clInvoice.items[0].igst + b2csNote.cgst + b2csNote.sgst;
+    expect(summary).toMatchObject({creditNotes: 3, totalTax: 28410 - notesTax});
+  });
+
+  it('requires a GSTIN for GSTR-1', async () => {
+    BusinessSettings.findOne.mockReturnValue(queryResult({gstin: null}));
+
+    await expect(buildGstr1({userId, month: '2026-10'}))
+      .rejects.toMatchObject({code: 'GSTIN_NOT_CONFIGURED', statusCode: 400});
+  });
+
+  it('lists every bill in the sales register with cancelled bills zeroed', async () => {
+    const plainBill = {
+      customerId: '64b0000000000000000000c2',
+      billNo: 'B-10',
+      items: [{name: 'Tea', qty: 1, price: 120, total: 120}],
+      subTotal: 120,
+      discount: 20,
+      tax: 0,
+      gst: null,
+      grandTotal: 100,
+      paidAmount: 40,
+      status: 'partial',
+      createdAt: new Date('2026-10-10T06:00:00.000Z'),
+    };
+    const find = jest.spyOn(Bill, 'find').mockReturnValue(queryResult([
+      OCTOBER_INVOICES[0],
+      OCTOBER_INVOICES[4],
+      plainBill,
+    ]));
+    jest.spyOn(Customer, 'find').mockReturnValue(queryResult([
+      {_id: '64b0000000000000000000c1', name: 'Builder Co'},
+      {_id: '64b0000000000000000000c2', name: '=Ravi, "Tea" Stall'},
+    ]));
+
+    const register = await buildSalesRegister({userId, month: '2026-10'});
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({isDeleted: {$ne: true}}));
+    expect(register.rows[0]).toMatchObject({
+      date: '01-10-2026',
+      customerName: 'Builder Co',
+      customerGstin: KARNATAKA_GSTIN,
+      placeOfSupply: '29-Karnataka',
+      supplyType: 'INTER_STATE',
+      taxableValue: 5000,
+      igst: 1170,
+      grandTotal: 6170,
+      balance: 6170,
+    });
+    expect(register.rows[1]).toMatchObject({billNo: 'INV-5', status: 'cancelled', taxableValue: 0, grandTotal: 0});
+    expect(register.rows[2]).toMatchObject({taxableValue: 100, totalTax: 0, grandTotal: 100, balance: 60});
+    expect(register.totals).toMatchObject({taxableValue: 5100, grandTotal: 6270, paidAmount: 40});
+
+    const csv = renderSalesRegisterCsv(register);
+    const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+    expect(lines[0]).toBe('Date,Bill No,Customer,Customer GSTIN,Place of Supply,Supply Type,Status,Gross Amount,Discount,' +
+      'Taxable Value,CGST,SGST/UTGST,IGST,Total Tax,Invoice Value,Paid,Balance');
+    expect(lines[3]).toContain('B-10,"\'=Ravi, ""Tea"" Stall",');
+    expect(lines[4]).toBe('Total,,,,,,,5120,20,5100,0,0,1170,1170,6270,40,6230');
+  });
+
+  it('accepts either a month or a date range', () => {
+    expect(gstr1Schema.query.validate({month: '2026-10'}).error).toBeUndefined();
+    expect(gstr1Schema.query.validate({month: '2026-13'}).error.message).toBe('month must be in YYYY-MM format');
+    expect(gstr1Schema.query.validate({month: '2026-10', from: '2026-10-01'}).error).toBeDefined();
+    expect(salesRegisterSchema.query.validate({from: '2026-10-01', to: '2026-10-31'}).value.format).toBe('json');
+    expect(salesRegisterSchema.query.validate({format: 'xlsx'}).error).toBeDefined();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Authenticated API Requests Without a Database
+ *
+ * For route tests that call the app with supertest while the models are
+ * stubbed: signs a token for an owner account and stubs the user lookup and
+ * write-counter saves done by the auth and write-limit middleware.
+ */
+const jwt = require('jsonwebtoken');
+const User = require('../../src/models/User');
+const {jwtSecret} = require('../../src/config/env');
+
+/**
+ * Stub an authenticated business owner (on an active trial)
+ *
+ * @param {Object} [overrides] - User fields
+ * @returns {Object} {owner, authorization} - authorization is the header value
+ */
+const mockOwner = (overrides = {}) => {
+  const owner = new User({
+    mobile: '9876543210',
+    name: 'Sharma Traders',
+    planStatus: 'trial',
+    trialEndsAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    ...overrides,
+  });
+
+  jest.spyOn(User, 'findById').mockReturnValue({select: () => Promise.resolve(owner)});
+  jest.spyOn(User.prototype, 'save').mockResolvedValue(owner);
+
+  const token = jwt.sign({id: owner._id.toString()}, jwtSecret, {expiresIn: '1h'});
+  return {owner, authorization: `Bearer ${token}`};
+};
+
+module.exports = {mockOwner};
@@ -0,0 +1,27 @@
+/**
+ * Mongoose Query Stubs
+ *
+ * For unit tests that stub model calls with jest.spyOn instead of using a
+ * database: returns something the services can chain and await like a query.
+ */
+
+/**
+ * Query chain (select, sort, skip, limit, populate, lean) resolving to `result`
+ *
+ * @param {*} result - What the query resolves to
+ * @returns {Object} Chainable, awaitable query stub
+ */
+const queryResult = result => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    populate: () => query,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+module.exports = {queryResult};
@@ -0,0 +1,217 @@
+/**
+ * Message Catalog (i18n) Tests
+ *
+ * Verifies catalog consistency across languages, the fallback chain and the
+ * localized reminder, notification, WhatsApp and public bill text (no database required)
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const AuditEvent = require('../src/models/AuditEvent');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const Customer = require('../src/models/Customer');
+const {
+  CATALOGS,
+  getFallbackChain,
+  getLabels,
+  lookup,
+  resolveLanguage,
+  translate,
+  validateCatalogs,
+} = require('../src/services/i18n');
+const {computeRecoveryPlan} = require('../src/services/recoveryPlan.service');
+const {computeTitleBody} = require('../src/services/notifications/notificationGenerator');
+const {selectTemplateLanguage} = require('../src/services/whatsapp/templates');
+const {getDltTemplate} = require('../src/services/sms/dltTemplates');
+const {updateBusinessSettingsSchema} = require('../src/validators/settings.validator');
+const {queryResult} = require('./helpers/queryStub');
+const {mockOwner} = require('./helpers/apiAuth');
+
+describe('Message catalog', () => {
+  it('has every key translated with matching placeholders in all languages', () => {
+    expect(validateCatalogs()).toEqual([]);
+  });
+
+  it('reports missing keys, unknown keys and placeholder mismatches', () => {
+    const issues = validateCatalogs({
+      en: {reminders: {title: 'Hi {customerName}', body: 'Pay ₹{amount}'}},
+      hi: {reminders: {title: 'नमस्ते {name}'}, extra: 'x'},
+    });
+
+    expect(issues).toEqual(expect.arrayContaining([
+      {language: 'hi', key: 'reminders.title', type: 'placeholder_mismatch', expected: ['customerName'], actual: ['name']},
+      {language: 'hi', key: 'reminders.body', type: 'missing'},
+      {language: 'hi', key: 'extra', type: 'unknown_key'},
+    ]));
+    expect(issues).toHaveLength(3);
+  });
+
+  it('resolves languages and walks the fallback chain', () => {
+    expect(resolveLanguage(null, 'hi-IN')).toBe('hi');
+    expect(resolveLanguage('fr')).toBe('en');
+    expect(getFallbackChain('mr')).toEqual(['mr', 'hi', 'en']);
+    expect(getFallbackChain('ta')).toEqual(['ta', 'en']);
+
+    const original = CATALOGS.mr.publicBill.notes;
+    delete CATALOGS.mr.publicBill.notes;
+    try {
+      expect(lookup('publicBill.notes', 'mr')).toEqual({text: CATALOGS.hi.publicBill.notes, language: 'hi'});
+    } finally {
+      CATALOGS.mr.publicBill.notes = original;
+    }
+  });
+
+  it('interpolates placeholders and returns the key when no catalog has it', () => {
+    expect(translate('publicBill.title', {billNo: 'B-7'}, 'en')).toBe('Bill B-7');
+    expect(translate('reminderLinks.upiLink', {}, 'en')).toBe('Pay via UPI: {upiLink}');
+    expect(translate('publicBill.unknownLabel', {}, 'hi')).toBe('publicBill.unknownLabel');
+  });
+});
+
+describe('Localized text', () => {
+  afterEach(() => {
+    delete process.env.SMS_DLT_TEMPLATES;
+  });
+
+  it('renders recovery reminders in the customer language', () => {
+    const plan = computeRecoveryPlan({
+      customerId: 'c1',
+      customerName: 'Ramesh',
+      outstandingAmount: 1500,
+      overdueBills: [{dueDate: new Date('2026-10-01T00:00:00.000Z')}],
+      statementUrl: 'https://example.test/s/abc',
+      language: 'hi',
+      nowIST: new Date('2026-10-02T06:00:00.000Z'),
+    });
+
+    const first = plan.steps[0];
+    expect(first.title).toBe(CATALOGS.hi.reminders.recovery_immediate.title);
+    expect(first.body).toContain('Ramesh');
+    expect(first.body).toContain('1500');
+    expect(first.body).not.toContain('{customerName}');
+    expect(first.body).toContain(translate('reminderLinks.statementUrl', {statementUrl: 'https://example.test/s/abc'}, 'hi'));
+    expect(first.metadata.language).toBe('hi');
+  });
+
+  it('keeps English reminders when no language is set', () => {
+    const plan = computeRecoveryPlan({
+      customerId: 'c1',
+      customerName: 'Ramesh',
+      outstandingAmount: 1500,
+      nowIST: new Date('2026-10-02T06:00:00.000Z'),
+    });
+
+    expect(plan.steps[0].body).toBe('Hi Ramesh, your payment of ₹1500 is overdue. Please settle at your earliest convenience.');
+    expect(plan.steps[0].metadata.language).toBe('en');
+  });
+
+  it('computes notification title and body in the business language', () => {
+    const english = computeTitleBody('OVERDUE_ALERT', {customerName: 'Asha', amount: 2500});
+    expect(english).toEqual({title: 'Overdue: Asha', body: 'Asha has overdue payments. Total: ₹2,500'});
+
+    const tamil = computeTitleBody('PAYMENT_RECEIVED', {billNo: 'B-9', amount: 700, language: 'ta'});
+    expect(tamil.title).toBe(translate('notifications.PAYMENT_RECEIVED.title', {billNo: 'B-9'}, 'ta'));
+    expect(tamil.body).toContain('B-9');
+    expect(tamil.body).toContain('₹700');
+
+    const summary = computeTitleBody('DAILY_SUMMARY', {
+      language: 'gu',
+      counts: {overdue: 3, dueToday: 1, promises: 0, followups: 2},
+    });
+    expect(summary.body).toBe(translate('notifications.DAILY_SUMMARY.body', {overdue: 3, dueToday: 1, promises: 0, followups: 2}, 'gu'));
+
+    expect(computeTitleBody('SOMETHING_NEW', {language: 'mr'}).title)
+      .toBe(translate('notifications.DEFAULT.title', {}, 'mr'));
+  });
+
+  it('selects the closest approved WhatsApp template language', () => {
+    expect(selectTemplateLanguage('mr', ['en', 'hi'], 'en')).toBe('hi');
+    expect(selectTemplateLanguage('ta', ['en_US'], 'en_US')).toBe('en_US');
+    expect(selectTemplateLanguage(undefined, ['en'], 'en')).toBe('en');
+  });
+
+  it('prefers a translated DLT registration and falls back to the English one', () => {
+    process.env.SMS_DLT_TEMPLATES = JSON.stringify({
+      'recovery_urgent': {dltTemplateId: '1107160000000000001', providerTemplateId: 'flow_en', senderId: 'PHFOUR'},
+      'recovery_urgent:hi': {dltTemplateId: '1107160000000000002', providerTemplateId: 'flow_hi', senderId: 'PHFOUR'},
+    });
+
+    expect(getDltTemplate('recovery_urgent', 'mr')).toMatchObject({language: 'hi', providerTemplateId: 'flow_hi', senderId: 'PHFOUR'});
+    expect(getDltTemplate('recovery_urgent', 'ta')).toMatchObject({language: 'en', providerTemplateId: 'flow_en', senderId: 'PHFOUR'});
+  });
+
+  it('translates every public bill label', () => {
+    const labels = getLabels('publicBill', 'gu');
+
+    expect(Object.keys(labels)).toEqual(Object.keys(CATALOGS.en.publicBill));
+    expect(labels.statuses.partial).toBe(CATALOGS.gu.publicBill.statuses.partial);
+    expect(labels.total).not.toBe(CATALOGS.en.publicBill.total);
+  });
+
+  it('accepts only supported business languages', () => {
+    expect(updateBusinessSettingsSchema.body.validate({language: 'ta'}).error).toBeUndefined();
+    expect(updateBusinessSettingsSchema.body.validate({language: 'fr'}).error).toBeDefined();
+  });
+});
+
+describe('Language endpoints', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('POST /api/customers saves the customer\'s preferred language', async () => {
+    const {owner, authorization} = mockOwner();
+    const create = jest.spyOn(Customer, 'create').mockImplementation(async doc => new Customer(doc));
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    const res = await request(app)
+      .post('/api/customers')
+      .set('Authorization', authorization)
+      .send({name: 'Ravi', phone: '9123456789', preferredLanguage: 'hi'})
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({name: 'Ravi', preferredLanguage: 'hi'});
+    expect(create.mock.calls[0][0]).toMatchObject({userId: owner._id, preferredLanguage: 'hi'});
+  });
+
+  it('POST /api/customers rejects unsupported languages', async () => {
+    const {authorization} = mockOwner();
+    const create = jest.spyOn(Customer, 'create');
+
+    const res = await request(app)
+      .post('/api/customers')
+      .set('Authorization', authorization)
+      .send({name: 'Ravi', preferredLanguage: 'fr'})
+      .expect(400);
+
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('PUT /api/settings sets the business language', async () => {
+    const {authorization} = mockOwner();
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({updatedAt: new Date('2026-10-01')}));
+    const update = jest.spyOn(BusinessSettings, 'findOneAndUpdate').mockResolvedValue({language: 'mr'});
+
+    const res = await request(app)
+      .put('/api/settings')
+      .set('Authorization', authorization)
+      .send({language: 'mr'})
+      .expect(200);
+
+    expect(res.body.data.language).toBe('mr');
+    expect(update.mock.calls[0][1]).toEqual({$set: {language: 'mr'}});
+  });
+
+  it('PUT /api/settings rejects unsupported languages', async () => {
+    const {authorization} = mockOwner();
+    const update = jest.spyOn(BusinessSettings, 'findOneAndUpdate');
+
+    await request(app)
+      .put('/api/settings')
+      .set('Authorization', authorization)
+      .send({language: 'fr'})
+      .expect(400);
+
+    expect(update).not.toHaveBeenCalled();
+  });
+});
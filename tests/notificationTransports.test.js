@@ -54,6 +54,40 @@ describe('Notification Transports', () => {
       expect(transport.isAvailable).toBeDefined();
     });
 
+    it('should use StubTransport for WHATSAPP when Cloud API is not configured', () => {
+      const originalToken = process.env.WHATSAPP_ACCESS_TOKEN;
+      delete process.env.WHATSAPP_ACCESS_TOKEN;
+
+      const transport = getTransport('WHATSAPP');
+
+      expect(transport).toBeInstanceOf(StubTransport);
+      expect(transport.getName()).toBe('StubTransport(WHATSAPP)');
+
+      if (originalToken) process.env.WHATSAPP_ACCESS_TOKEN = originalToken;
+    });
+
+    it('should use WhatsAppCloudTransport when Cloud API is configured', () => {
+      const originalEnv = {...process.env};
+      process.env.WHATSAPP_ACCESS_TOKEN = 'test_token';
+      process.env.WHATSAPP_PHONE_NUMBER_ID = '1234567890';
+
+      expect(getTransport('WHATSAPP').getName()).toBe('WhatsAppCloudTransport');
+
+      process.env = originalEnv;
+    });
+
+    it('should select SmsTransport only when an SMS provider is configured', () => {
+      const originalEnv = {...process.env};
+      delete process.env.MSG91_AUTHKEY;
+
+      expect(getTransport('SMS').getName()).toBe('StubTransport(SMS)');
+
+      process.env.MSG91_AUTHKEY = 'test_authkey';
+      expect(getTransport('SMS').getName()).toBe('SmsTransport');
+
+      process.env = originalEnv;
+    });
+
     it('should handle IN_APP transport correctly', () => {
       const transport = getTransport('IN_APP');
       
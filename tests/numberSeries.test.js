@@ -0,0 +1,112 @@
+/**
+ * Number Series Tests
+ *
+ * Verifies financial year labels, document number formatting, series validation,
+ * atomic issuing with seeding from existing bills and starting numbers
+ */
+const Bill = require('../src/models/Bill');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const DocumentCounter = require('../src/models/DocumentCounter');
+const {
+  getFinancialYearLabel,
+  getSeriesConfig,
+  formatDocumentNumber,
+  validateSeriesConfig,
+  nextDocumentNumber,
+  setStartingNumber,
+} = require('../src/services/numberSeries.service');
+const {updateNumberSeriesSchema} = require('../src/validators/settings.validator');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+
+describe('Number series', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('labels financial years in IST from the configured start month', () => {
+    // 1 Apr 2027 01:30 IST
+    expect(getFinancialYearLabel(new Date('2027-03-31T20:00:00.000Z'), 4)).toBe('2027-28');
+    expect(getFinancialYearLabel(new Date('2027-03-31T18:00:00.000Z'), 4)).toBe('2026-27');
+    expect(getFinancialYearLabel(new Date('2099-12-01T00:00:00.000Z'), 4)).toBe('2099-00');
+    expect(getFinancialYearLabel(new Date('2026-10-19T00:00:00.000Z'), 1)).toBe('2026');
+  });
+
+  it('formats numbers with padding and the {FY} token over series defaults', () => {
+    const config = getSeriesConfig({numberSeries: {invoice: {prefix: 'INV/{FY}/', padding: 4, suffix: null}}}, 'invoice');
+
+    expect(config).toEqual({prefix: 'INV/{FY}/', suffix: '', padding: 4, resetYearly: false});
+    expect(formatDocumentNumber(config, 7, '2026-27')).toBe('INV/2026-27/0007');
+    expect(formatDocumentNumber(config, 12345, '2026-27')).toBe('INV/2026-27/12345');
+    expect(formatDocumentNumber(getSeriesConfig(null, 'creditNote'), 1, '2026-27')).toBe('CN/2026-27/001');
+  });
+
+  it('rejects yearly series without {FY} and numbers over 16 characters', () => {
+    expect(() => validateSeriesConfig({prefix: 'INV-', suffix: '', padding: 3, resetYearly: true}, '2026-27'))
+      .toThrow(expect.objectContaining({code: 'SERIES_FY_TOKEN_REQUIRED', statusCode: 400}));
+    expect(() => validateSeriesConfig({prefix: 'SHARMA/{FY}/', suffix: '', padding: 5, resetYearly: true}, '2026-27'))
+      .toThrow(expect.objectContaining({code: 'SERIES_FORMAT_TOO_LONG'}));
+    expect(() => validateSeriesConfig({prefix: 'INV/{FY}/', suffix: '', padding: 4, resetYearly: true}, '2026-27'))
+      .not.toThrow();
+  });
+
+  it('seeds a new counter from existing bills and increments it atomically', async () => {
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(DocumentCounter, 'findOne').mockReturnValue(queryResult(null));
+    const find = jest.spyOn(Bill, 'find').mockReturnValue(queryResult([
+      {billNo: 'BILL-009'},
+      {billNo: 'BILL-041'},
+      {billNo: 'BILL-1712345678901'},
+    ]));
+    const upsert = jest.spyOn(DocumentCounter, 'updateOne').mockResolvedValue({upsertedCount: 1});
+    const increment = jest.spyOn(DocumentCounter, 'findOneAndUpdate').mockResolvedValue({lastNumber: 42});
+
+    const result = await nextDocumentNumber({userId, series: 'invoice'});
+
+    expect(find.mock.calls[0][0].billNo.$regex.test('BILL-041')).toBe(true);
+    expect(upsert).toHaveBeenCalledWith(
+      {userId, series: 'invoice', period: 'ALL'},
+      {$setOnInsert: {lastNumber: 41}},
+      {upsert: true}
+    );
+    expect(increment).toHaveBeenCalledWith(
+      {userId, series: 'invoice', period: 'ALL'},
+      {$inc: {lastNumber: 1}},
+      {new: true}
+    );
+    expect(result).toEqual({documentNo: 'BILL-042', number: 42, period: 'ALL', financialYear: expect.any(String)});
+  });
+
+  it('keeps a separate counter per financial year for yearly series', async () => {
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({
+      financialYearStartMonth: 4,
+      numberSeries: {invoice: {prefix: 'INV/{FY}/', resetYearly: true}},
+    }));
+    jest.spyOn(DocumentCounter, 'findOne').mockReturnValue(queryResult({lastNumber: 0}));
+    const increment = jest.spyOn(DocumentCounter, 'findOneAndUpdate').mockResolvedValue({lastNumber: 1});
+
+    const result = await nextDocumentNumber({userId, series: 'invoice', date: new Date('2027-04-02T06:00:00.000Z')});
+
+    expect(increment.mock.calls[0][0]).toEqual({userId, series: 'invoice', period: '2027-28'});
+    expect(result.documentNo).toBe('INV/2027-28/001');
+  });
+
+  it('only moves the starting number forward', async () => {
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(DocumentCounter, 'findOne').mockReturnValue(queryResult({lastNumber: 120}));
+    const update = jest.spyOn(DocumentCounter, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(setStartingNumber({userId, series: 'receipt', startNumber: 100}))
+      .rejects.toMatchObject({code: 'SERIES_NUMBER_IN_USE', statusCode: 409});
+    expect(update.mock.calls[0][0]).toMatchObject({series: 'receipt', lastNumber: {$lt: 100}});
+    expect(update.mock.calls[0][1]).toEqual({$set: {lastNumber: 99}});
+  });
+
+  it('validates series updates', () => {
+    expect(updateNumberSeriesSchema.params.validate({series: 'debitNote'}).error).toBeDefined();
+    expect(updateNumberSeriesSchema.body.validate({}).error).toBeDefined();
+    expect(updateNumberSeriesSchema.body.validate({padding: 10}).error).toBeDefined();
+    expect(updateNumberSeriesSchema.body.validate({prefix: 'INV/{FY}/', startNumber: 501}).error).toBeUndefined();
+  });
+});
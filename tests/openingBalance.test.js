@@ -0,0 +1,206 @@
+/**
+ * Opening Balance Tests
+ *
+ * Verifies the unpaid part of opening balances, setting and correcting
+ * them, and that statements and interest treat them as receivables dated
+ * as of when they were owed
+ */
+const Bill = require('../src/models/Bill');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const Customer = require('../src/models/Customer');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const {
+  computeOpeningPending,
+  listOpeningReceivables,
+  getOpeningBalance,
+  setOpeningBalance,
+} = require('../src/services/openingBalance.service');
+const {buildStatementLines} = require('../src/services/statement.service');
+const {computeCustomerInterest} = require('../src/services/interest.service');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const customerId = '64b000000000000000000c01';
+const openingId = '64b000000000000000000d01';
+const asOfDate = new Date('2026-01-31T00:00:00.000+05:30');
+
+const customer = (overrides = {}) => ({
+  _id: customerId,
+  name: 'Ravi',
+  phone: '+919876543210',
+  creditOutstanding: 1500,
+  advanceBalance: 0,
+  ...overrides,
+});
+
+const opening = (overrides = {}) => ({
+  _id: openingId,
+  userId,
+  customerId,
+  type: 'credit',
+  amount: 1000,
+  source: 'opening',
+  asOfDate,
+  note: 'Opening balance',
+  createdAt: new Date('2026-04-01T10:00:00.000Z'),
+  ...overrides,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Unpaid part of the opening balance', () => {
+  it('is what is owed beyond open bills, capped at the opening amount', () => {
+    expect(computeOpeningPending(opening(), customer(), 500)).toBe(1000);
+    expect(computeOpeningPending(opening(), customer({creditOutstanding: 1200}), 500)).toBe(700);
+    expect(computeOpeningPending(opening(), customer({creditOutstanding: 2500}), 500)).toBe(1000);
+    expect(computeOpeningPending(opening(), customer({creditOutstanding: 300, advanceBalance: 100}), 500)).toBe(0);
+  });
+
+  it('lists unpaid opening balances as receivables due on their as-of date', async () => {
+    jest.spyOn(LedgerTransaction, 'find').mockReturnValue(queryResult([
+      opening({customerId: customer({creditOutstanding: 900})}),
+      opening({_id: 'paid-off', customerId: customer({_id: 'c2', creditOutstanding: 0})}),
+      opening({_id: 'deleted', customerId: customer({_id: 'c3', isDeleted: true})}),
+    ]));
+    const billFind = jest.spyOn(Bill, 'find').mockReturnValue(queryResult([
+      {customerId, grandTotal: 500, paidAmount: 200},
+    ]));
+
+    const receivables = await listOpeningReceivables({userId});
+
+    expect(LedgerTransaction.find).toHaveBeenCalledWith({userId, source: 'opening', amount: {$gt: 0}});
+    expect(billFind.mock.calls[0][0]).toMatchObject({userId, customerId: {$in: [customerId, 'c2']}});
+    expect(receivables).toEqual([expect.objectContaining({
+      _id: openingId,
+      billNo: 'Opening balance',
+      isOpeningBalance: true,
+      dueDate: asOfDate,
+      grandTotal: 600,
+      paidAmount: 0,
+    })]);
+  });
+});
+
+describe('Setting the opening balance', () => {
+  it('creates the opening ledger credit and adds it to the outstanding', async () => {
+    jest.spyOn(Customer, 'findOne').mockReturnValue(queryResult(customer({creditOutstanding: 0})));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(queryResult(null));
+    const create = jest.spyOn(LedgerTransaction, 'create').mockImplementation(async doc => ({_id: openingId, ...doc}));
+    const outstanding = jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+
+    const {before, transaction, created} = await setOpeningBalance({userId, customerId, amount: 1000, asOfDate});
+
+    expect(created).toBe(true);
+    expect(before).toBeNull();
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'credit',
+      amount: 1000,
+      source: 'opening',
+      asOfDate,
+      idempotencyKey: `opening_${customerId}`,
+    }));
+    expect(transaction.asOfDate).toBe(asOfDate);
+    expect(outstanding).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: 1000}});
+  });
+
+  it('allows one opening balance per customer', async () => {
+    jest.spyOn(Customer, 'findOne').mockReturnValue(queryResult(customer()));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(LedgerTransaction, 'create').mockRejectedValue(Object.assign(new Error('dup'), {code: 11000}));
+    const outstanding = jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+
+    await expect(setOpeningBalance({userId, customerId, amount: 500, asOfDate}))
+      .rejects.toMatchObject({statusCode: 409, code: 'OPENING_BALANCE_EXISTS'});
+    expect(outstanding).not.toHaveBeenCalled();
+  });
+
+  it('reports the part already paid', async () => {
+    jest.spyOn(Customer, 'findOne').mockReturnValue(queryResult(customer({creditOutstanding: 900})));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(queryResult(opening()));
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult([{customerId, grandTotal: 500, paidAmount: 200}]));
+
+    await expect(getOpeningBalance({userId, customerId})).resolves.toMatchObject({
+      amount: 1000,
+      asOfDate,
+      pending: 600,
+      paid: 400,
+    });
+  });
+
+  it('rejects an amount below what was already paid', async () => {
+    jest.spyOn(Customer, 'findOne').mockReturnValue(queryResult(customer({creditOutstanding: 600})));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(queryResult(opening()));
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult([]));
+    const update = jest.spyOn(LedgerTransaction, 'findOneAndUpdate');
+
+    await expect(setOpeningBalance({userId, customerId, amount: 300, asOfDate}))
+      .rejects.toMatchObject({statusCode: 409, code: 'OPENING_BALANCE_BELOW_PAID'});
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('corrects the amount and date and moves the outstanding by the difference', async () => {
+    const newDate = new Date('2025-12-31T00:00:00.000+05:30');
+    jest.spyOn(Customer, 'findOne').mockReturnValue(queryResult(customer({creditOutstanding: 1000})));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(queryResult(opening()));
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult([]));
+    const update = jest.spyOn(LedgerTransaction, 'findOneAndUpdate')
+      .mockResolvedValue(opening({amount: 1250, asOfDate: newDate}));
+    const outstanding = jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+
+    const {before, transaction, created} = await setOpeningBalance({userId, customerId, amount: 1250, asOfDate: newDate});
+
+    expect(created).toBe(false);
+    expect(before.amount).toBe(1000);
+    expect(transaction.amount).toBe(1250);
+    expect(update).toHaveBeenCalledWith(
+      {_id: openingId, userId, amount: 1000},
+      {$set: expect.objectContaining({amount: 1250, asOfDate: newDate})},
+      {new: true},
+    );
+    expect(outstanding).toHaveBeenCalledWith({_id: customerId, userId}, {$inc: {creditOutstanding: 250}});
+  });
+
+  it('does not apply a correction that raced another edit', async () => {
+    jest.spyOn(Customer, 'findOne').mockReturnValue(queryResult(customer({creditOutstanding: 1000})));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue(queryResult(opening()));
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult([]));
+    jest.spyOn(LedgerTransaction, 'findOneAndUpdate').mockResolvedValue(null);
+    const outstanding = jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+
+    await expect(setOpeningBalance({userId, customerId, amount: 1250, asOfDate}))
+      .rejects.toMatchObject({statusCode: 409, code: 'CONFLICT'});
+    expect(outstanding).not.toHaveBeenCalled();
+  });
+});
+
+describe('Opening balance as a dated receivable', () => {
+  it('is the first statement charge on its as-of date', () => {
+    const lines = buildStatementLines([], [
+      opening(),
+      {_id: 'pay1', type: 'debit', amount: 200, source: 'manual', createdAt: asOfDate},
+    ]);
+
+    expect(lines[0]).toMatchObject({at: asOfDate, order: -1, type: 'OPENING_BALANCE', charge: 1000, received: 0});
+    expect(lines[1]).toMatchObject({type: 'PAYMENT', received: 200});
+  });
+
+  it('accrues interest from its as-of date', async () => {
+    jest.spyOn(BusinessSettings, 'getOrCreate').mockResolvedValue({
+      interestEnabled: true,
+      interestRatePctPerMonth: 3,
+      interestGraceDays: 0,
+      interestCapPctOfPrincipal: 100,
+    });
+    jest.spyOn(Bill, 'find').mockReturnValue(queryResult([]));
+    jest.spyOn(LedgerTransaction, 'find').mockReturnValue(queryResult([opening({customerId: customer()})]));
+
+    const result = await computeCustomerInterest(userId, customerId, new Date('2026-03-02T00:00:00.000+05:30'));
+
+    expect(result.customerName).toBe('Ravi');
+    expect(result.totalPrincipal).toBe(1000);
+    expect(result.totalInterest).toBe(30); // 3% a month for 30 days
+    expect(result.bills[0]).toMatchObject({billId: null, billNo: 'Opening balance', isOpeningBalance: true, overdueDays: 30});
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Payment Link Tests
+ *
+ * Verifies allocation plans, webhook payloads and signature handling (no database required)
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const {
+  planAllocations,
+  getAllocationLedgerKey,
+  toPaise,
+  fromPaise,
+} = require('../src/services/paymentLink.service');
+const {
+  buildPaymentLinkWebhookPayload,
+  extractPaymentLinkDetails,
+  generateWebhookSignature,
+  verifyWebhookSignature,
+} = require('../src/utils/razorpayWebhook');
+
+const SECRET = 'test_webhook_secret';
+
+const bills = [
+  {_id: 'b2', billNo: 'INV-2', grandTotal: 500, paidAmount: 0, dueDate: '2026-10-10T00:00:00Z', createdAt: '2026-10-01T00:00:00Z'},
+  {_id: 'b1', billNo: 'INV-1', grandTotal: 1000, paidAmount: 400, dueDate: '2026-10-05T00:00:00Z', createdAt: '2026-09-25T00:00:00Z'},
+  {_id: 'b3', billNo: 'INV-3', grandTotal: 300, paidAmount: 0, createdAt: '2026-10-12T00:00:00Z'},
+];
+
+describe('Payment links', () => {
+  const originalSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+  beforeAll(() => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = originalSecret;
+  });
+
+  it('allocates payments to the oldest bills first', () => {
+    const plan = planAllocations(bills, 900);
+
+    expect(plan.allocations).toEqual([
+      {billId: 'b1', billNo: 'INV-1', amount: 600},
+      {billId: 'b2', billNo: 'INV-2', amount: 300},
+    ]);
+    expect(plan.unallocatedAmount).toBe(0);
+  });
+
+  it('keeps overpayments unallocated', () => {
+    const plan = planAllocations(bills, 1500.5);
+
+    expect(plan.allocations.map(allocation => allocation.amount)).toEqual([600, 500, 300]);
+    expect(plan.unallocatedAmount).toBe(100.5);
+    expect(planAllocations([], 100)).toEqual({allocations: [], unallocatedAmount: 100});
+  });
+
+  it('keys ledger entries on provider payment and bill', () => {
+    expect(getAllocationLedgerKey('pay_ABC', 'b1')).toBe('razorpay_pay_ABC_b1_ledger_debit');
+    expect(toPaise(1234.56)).toBe(123456);
+    expect(fromPaise(123456)).toBe(1234.56);
+  });
+
+  it('builds and extracts payment_link.paid payloads', () => {
+    const body = buildPaymentLinkWebhookPayload({
+      paymentLinkId: 'plink_123',
+      paymentId: 'pay_456',
+      amount: 90000,
+      referenceId: 'ref_1',
+    });
+    const details = extractPaymentLinkDetails(body);
+
+    expect(details).toMatchObject({
+      event: 'payment_link.paid',
+      paymentLinkId: 'plink_123',
+      referenceId: 'ref_1',
+      status: 'paid',
+      amountPaid: 90000,
+      paymentId: 'pay_456',
+      paymentAmount: 90000,
+    });
+
+    const expired = extractPaymentLinkDetails(
+      buildPaymentLinkWebhookPayload({event: 'payment_link.expired', paymentLinkId: 'plink_123', amount: 90000})
+    );
+    expect(expired.status).toBe('expired');
+    expect(expired.paymentId).toBeNull();
+  });
+
+  it('round-trips simulator signatures', () => {
+    const rawBody = JSON.stringify(buildPaymentLinkWebhookPayload({paymentLinkId: 'plink_1', paymentId: 'pay_1', amount: 100}));
+    const signature = generateWebhookSignature(rawBody, SECRET);
+
+    expect(verifyWebhookSignature(rawBody, signature, SECRET)).toBe(true);
+    expect(verifyWebhookSignature(`${rawBody} `, signature, SECRET)).toBe(false);
+  });
+
+  it('rejects webhooks with an invalid signature', async () => {
+    const rawBody = JSON.stringify(buildPaymentLinkWebhookPayload({paymentLinkId: 'plink_1', paymentId: 'pay_1', amount: 100}));
+
+    const res = await request(app)
+      .post('/webhooks/razorpay')
+      .set('Content-Type', 'application/json')
+      .set('X-Razorpay-Signature', generateWebhookSignature(rawBody, 'wrong_secret'))
+      .send(rawBody);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('leaves payment.captured for payment links to payment_link.paid', async () => {
+    const rawBody = JSON.stringify({
+      event: 'payment.captured',
+      payload: {payment: {entity: {id: 'pay_1', amount: 100, notes: {paymentLinkId: 'abc'}}}},
+    });
+
+    const res = await request(app)
+      .post('/webhooks/razorpay')
+      .set('Content-Type', 'application/json')
+      .set('X-Razorpay-Signature', generateWebhookSignature(rawBody, SECRET))
+      .send(rawBody);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatch(/payment link/);
+  });
+});
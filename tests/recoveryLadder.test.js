@@ -0,0 +1,210 @@
+/**
+ * Recovery Ladder Tests
+ *
+ * Verifies custom escalation ladders: validation, plan computation,
+ * versioning and per-customer pinning
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const AuditEvent = require('../src/models/AuditEvent');
+const RecoveryLadder = require('../src/models/RecoveryLadder');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const FollowUpTask = require('../src/models/FollowUpTask');
+const {computeRecoveryPlan, DEFAULT_ESCALATION_LADDER} = require('../src/services/recoveryPlan.service');
+const {
+  buildLadderSteps,
+  getCustomerLadder,
+  saveLadder,
+} = require('../src/services/recoveryLadder.service');
+const {updateRecoveryLadderSchema} = require('../src/validators/settings.validator');
+const {queryResult} = require('./helpers/queryStub');
+const {mockOwner} = require('./helpers/apiAuth');
+
+const userId = '64b000000000000000000001';
+const customerId = '64b000000000000000000002';
+
+const customSteps = buildLadderSteps([
+  {dayOffset: 10, channel: 'call', priority: 'medium', templateKey: 'recovery_urgent'},
+  {dayOffset: 1, channel: 'sms', templateKey: 'recovery_immediate', message: 'Namaste {customerName}, ₹{amount} baaki. {customerName} ji, kripya bhugtaan karein.'},
+]);
+
+describe('Recovery escalation ladder', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('validates steps, channels and message placeholders', () => {
+    const {error, value} = updateRecoveryLadderSchema.body.validate({
+      steps: [{dayOffset: 2, templateKey: 'recovery_gentle_reminder', message: 'Hi {customerName}, ₹{amount} due'}],
+    });
+    expect(error).toBeUndefined();
+    expect(value.steps[0]).toMatchObject({channel: 'whatsapp', priority: 'high'});
+
+    const invalid = [
+      {steps: []},
+      {steps: [{dayOffset: 2, templateKey: 'recovery_custom'}]},
+      {steps: [{dayOffset: 2, templateKey: 'recovery_urgent', channel: 'email'}]},
+      {steps: [{dayOffset: 2, templateKey: 'recovery_urgent'}, {dayOffset: 2, templateKey: 'recovery_urgent'}]},
+      {steps: [{dayOffset: 2, templateKey: 'recovery_urgent', message: 'Pay {total} now'}]},
+    ];
+    for (const body of invalid) {
+      expect(updateRecoveryLadderSchema.body.validate(body).error).toBeDefined();
+    }
+  });
+
+  it('orders steps by day offset and derives keys and levels', () => {
+    expect(customSteps.map(step => [step.stepKey, step.escalationLevel, step.channel])).toEqual([
+      ['STEP_1', 1, 'sms'],
+      ['STEP_10', 2, 'call'],
+    ]);
+  });
+
+  it('computes the plan from a custom ladder with rendered messages', () => {
+    const plan = computeRecoveryPlan({
+      customerId,
+      customerName: 'Ravi',
+      outstandingAmount: 1500,
+      overdueBills: [{dueDate: new Date('2026-10-01T00:00:00+05:30')}],
+      settings: {recoveryEscalationLadder: {version: 4, steps: customSteps}},
+      nowIST: new Date('2026-10-15T12:00:00+05:30'),
+    });
+
+    expect(plan.steps).toHaveLength(2);
+    expect(plan.steps[0]).toMatchObject({
+      stepKey: 'STEP_1',
+      source: 'AUTO_RECOVERY_STEP_1',
+      channel: 'sms',
+      title: 'Payment Overdue',
+      body: 'Namaste Ravi, ₹1500 baaki. Ravi ji, kripya bhugtaan karein.',
+      metadata: {ladderVersion: 4, dayOffset: 1},
+    });
+    expect(plan.steps[1]).toMatchObject({channel: 'call', priority: 'medium', title: 'Urgent: Payment Required'});
+  });
+
+  it('falls back to the default ladder (version 0)', () => {
+    const plan = computeRecoveryPlan({customerId, customerName: 'Ravi', outstandingAmount: 100});
+
+    expect(plan.steps.map(step => step.stepKey)).toEqual(DEFAULT_ESCALATION_LADDER.map(step => step.stepKey));
+    expect(plan.steps.every(step => step.channel === 'whatsapp' && step.metadata.ladderVersion === 0)).toBe(true);
+  });
+
+  it('keeps customers already in recovery on their ladder version', async () => {
+    jest.spyOn(FollowUpTask, 'findOne').mockReturnValue(queryResult({metadata: {ladderVersion: 2}}));
+    const ladderLookup = jest.spyOn(RecoveryLadder, 'findOne')
+      .mockReturnValue(queryResult({version: 2, steps: customSteps}));
+    const settingsLookup = jest.spyOn(BusinessSettings, 'findOne');
+
+    const ladder = await getCustomerLadder({userId, customerId});
+
+    expect(ladder.version).toBe(2);
+    expect(ladderLookup).toHaveBeenCalledWith({userId, version: 2});
+    expect(settingsLookup).not.toHaveBeenCalled();
+  });
+
+  it('starts new customers on the active version', async () => {
+    jest.spyOn(FollowUpTask, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({recoveryLadderVersion: 0}));
+
+    const ladder = await getCustomerLadder({userId, customerId});
+
+    expect(ladder).toMatchObject({version: 0, isDefault: true});
+    expect(ladder.steps).toHaveLength(DEFAULT_ESCALATION_LADDER.length);
+  });
+
+  it('saves a new version and advances the active pointer', async () => {
+    jest.spyOn(RecoveryLadder, 'findOne').mockReturnValue(queryResult({version: 3}));
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({recoveryLadderVersion: 3}));
+    const create = jest.spyOn(RecoveryLadder, 'create')
+      .mockImplementation(async doc => ({...doc, createdAt: new Date()}));
+    const pointer = jest.spyOn(BusinessSettings, 'findOneAndUpdate').mockResolvedValue({});
+
+    const ladder = await saveLadder({
+      userId,
+      steps: [{dayOffset: 0, templateKey: 'recovery_immediate'}],
+      actorUserId: userId,
+    });
+
+    expect(ladder).toMatchObject({version: 4, isDefault: false});
+    expect(create.mock.calls[0][0]).toMatchObject({version: 4, steps: [{stepKey: 'STEP_0', escalationLevel: 1}]});
+    expect(pointer.mock.calls[0][1].$max).toEqual({recoveryLadderVersion: 4});
+  });
+
+  it('numbers a new version past an active pointer whose ladder is missing', async () => {
+    jest.spyOn(RecoveryLadder, 'findOne').mockReturnValue(queryResult({version: 2}));
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({recoveryLadderVersion: 7}));
+    const create = jest.spyOn(RecoveryLadder, 'create')
+      .mockImplementation(async doc => ({...doc, createdAt: new Date()}));
+    const pointer = jest.spyOn(BusinessSettings, 'findOneAndUpdate').mockResolvedValue({});
+
+    await saveLadder({userId, steps: [{dayOffset: 0, templateKey: 'recovery_immediate'}], actorUserId: userId});
+
+    expect(create.mock.calls[0][0].version).toBe(8);
+    expect(pointer.mock.calls[0][1].$max).toEqual({recoveryLadderVersion: 8});
+  });
+
+  it('reports concurrent saves as a conflict', async () => {
+    jest.spyOn(RecoveryLadder, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult(null));
+    jest.spyOn(RecoveryLadder, 'create').mockRejectedValue(Object.assign(new Error('dup'), {code: 11000}));
+
+    await expect(saveLadder({
+      userId,
+      steps: [{dayOffset: 0, templateKey: 'recovery_immediate'}],
+      actorUserId: userId,
+    })).rejects.toMatchObject({statusCode: 409, code: 'RECOVERY_LADDER_CONFLICT'});
+  });
+});
+
+describe('Recovery ladder endpoints', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('GET /api/settings/recovery-ladder returns the active ladder', async () => {
+    const {authorization} = mockOwner();
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({recoveryLadderVersion: 0}));
+
+    const res = await request(app)
+      .get('/api/settings/recovery-ladder')
+      .set('Authorization', authorization)
+      .expect(200);
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.data).toMatchObject({version: 0, isDefault: true});
+    expect(res.body.data.steps).toHaveLength(DEFAULT_ESCALATION_LADDER.length);
+    expect(res.body.data.templateKeys).toContain('recovery_urgent');
+  });
+
+  it('PUT /api/settings/recovery-ladder saves a new version', async () => {
+    const {owner, authorization} = mockOwner();
+    jest.spyOn(BusinessSettings, 'findOne').mockReturnValue(queryResult({recoveryLadderVersion: 0}));
+    jest.spyOn(RecoveryLadder, 'findOne').mockReturnValue(queryResult(null));
+    const create = jest.spyOn(RecoveryLadder, 'create').mockImplementation(async doc => ({...doc, createdAt: new Date()}));
+    jest.spyOn(BusinessSettings, 'findOneAndUpdate').mockResolvedValue({});
+    const audit = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    const res = await request(app)
+      .put('/api/settings/recovery-ladder')
+      .set('Authorization', authorization)
+      .send({steps: [{dayOffset: 3, channel: 'sms', templateKey: 'recovery_urgent', message: 'Hi {customerName}, ₹{amount} due'}]})
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({version: 1, isDefault: false, steps: [{stepKey: 'STEP_3', channel: 'sms'}]});
+    expect(create.mock.calls[0][0]).toMatchObject({userId: owner._id, version: 1});
+    expect(audit.mock.calls[0][0]).toMatchObject({action: 'RECOVERY_LADDER_UPDATED'});
+  });
+
+  it('PUT /api/settings/recovery-ladder rejects unknown placeholders', async () => {
+    const {authorization} = mockOwner();
+    const create = jest.spyOn(RecoveryLadder, 'create');
+
+    const res = await request(app)
+      .put('/api/settings/recovery-ladder')
+      .set('Authorization', authorization)
+      .send({steps: [{dayOffset: 3, templateKey: 'recovery_urgent', message: 'Pay {total} now'}]})
+      .expect(400);
+
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(create).not.toHaveBeenCalled();
+  });
+});
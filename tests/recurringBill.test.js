@@ -0,0 +1,286 @@
+/**
+ * Recurring Bill Tests
+ *
+ * Verifies the schedule (periods, proration, end dates), the daily run billing
+ * through the shared createBill path, and skip / pause / resume
+ */
+const AuditEvent = require('../src/models/AuditEvent');
+const Customer = require('../src/models/Customer');
+const RecurringBill = require('../src/models/RecurringBill');
+const User = require('../src/models/User');
+const billCreation = require('../src/services/billCreation.service');
+const recurringBillsNotification = require('../src/services/notifications/generators/recurringBills');
+const {
+  firstRunDate,
+  describeOccurrence,
+  buildBillDraft,
+  createRecurringBill,
+  skipNextOccurrence,
+  pauseRecurringBill,
+  resumeRecurringBill,
+  runDueRecurringBills,
+} = require('../src/services/recurringBill.service');
+const {createRecurringBillSchema, updateRecurringBillSchema} = require('../src/validators/recurringBill.validator');
+const AppError = require('../src/utils/AppError');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const customerId = '64b0000000000000000000c1';
+const actorUserId = '64b000000000000000000002';
+
+const day = iso => new Date(`${iso}T00:00:00.000Z`);
+
+// Milk: 30 litres a month at Rs 62, billed on the 1st
+const milkTemplate = (overrides = {}) => ({
+  _id: '64b0000000000000000000r1',
+  userId,
+  customerId,
+  createdBy: actorUserId,
+  name: 'Morning milk',
+  items: [{name: 'Milk 1L', qty: 30, price: 62}],
+  discount: 0,
+  tax: 0,
+  frequency: 'monthly',
+  dayOfMonth: 1,
+  startDate: day('2026-10-01'),
+  endDate: null,
+  prorate: true,
+  dueInDays: 7,
+  notes: '',
+  status: 'active',
+  nextRunDate: day('2026-11-01'),
+  ...overrides,
+});
+
+describe('Recurring bills', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('Schedule and proration', () => {
+    it('bills a mid-month start prorated to the period end', () => {
+      const template = milkTemplate({startDate: day('2026-10-15')});
+
+      const runDate = firstRunDate(template, day('2026-10-15'));
+      const occurrence = describeOccurrence(template, runDate);
+      const draft = buildBillDraft(template, occurrence);
+
+      expect(runDate).toEqual(day('2026-10-15'));
+      expect(occurrence).toMatchObject({coveredDays: 17, periodDays: 31, nextRunDate: day('2026-11-01')});
+      expect(draft.items).toEqual([{name: 'Milk 1L', qty: 30, price: 34, total: 1020}]);
+      expect(draft.grandTotal).toBe(1020);
+      expect(draft.dueDate).toEqual(day('2026-10-22'));
+      expect(draft.notes).toBe('Period: 15 Oct 2026 - 31 Oct 2026 (prorated, 17 of 31 days)');
+    });
+
+    it('starts at the next period when proration is off', () => {
+      const template = milkTemplate({startDate: day('2026-10-15'), prorate: false});
+
+      expect(firstRunDate(template, day('2026-10-15'))).toEqual(day('2026-11-01'));
+      expect(buildBillDraft(template, describeOccurrence(template, day('2026-11-01'))).grandTotal).toBe(1860);
+    });
+
+    it('prorates the last period to the end date and ends the schedule', () => {
+      const template = milkTemplate({endDate: day('2026-12-10'), discount: 62});
+
+      const occurrence = describeOccurrence(template, day('2026-12-01'));
+      const draft = buildBillDraft(template, occurrence);
+
+      expect(occurrence).toMatchObject({coveredDays: 10, periodTo: day('2026-12-10'), nextRunDate: null});
+      expect(draft.subTotal).toBe(600);
+      expect(draft.discount).toBe(20);
+      expect(draft.grandTotal).toBe(580);
+      expect(firstRunDate(template, day('2026-12-11'))).toBeNull();
+    });
+
+    it('falls on the last day of shorter months for day 31', () => {
+      const template = milkTemplate({dayOfMonth: 31, startDate: day('2027-01-31')});
+
+      expect(describeOccurrence(template, day('2027-01-31')).nextRunDate).toEqual(day('2027-02-28'));
+      expect(describeOccurrence(template, day('2027-02-28'))).toMatchObject({
+        periodDays: 31,
+        nextRunDate: day('2027-03-31'),
+      });
+    });
+
+    it('bills quarterly periods in full', () => {
+      const template = milkTemplate({frequency: 'quarterly', dayOfMonth: 5, startDate: day('2026-10-05')});
+
+      const occurrence = describeOccurrence(template, day('2026-10-05'));
+
+      expect(occurrence).toMatchObject({periodDays: 92, factor: 1, nextRunDate: day('2027-01-05')});
+      expect(buildBillDraft(template, occurrence).notes).toBe('Period: 5 Oct 2026 - 4 Jan 2027');
+    });
+  });
+
+  describe('Daily run', () => {
+    it('bills due templates through createBill and notifies the owner', async () => {
+      const otherUserId = '64b000000000000000000009';
+      const tiffin = milkTemplate({
+        _id: '64b0000000000000000000r2',
+        items: [{name: 'Tiffin', qty: 1, price: 2400}],
+      });
+      jest.spyOn(RecurringBill, 'find').mockReturnValue(queryResult([
+        milkTemplate(),
+        tiffin,
+        milkTemplate({_id: '64b0000000000000000000r3', userId: otherUserId}),
+      ]));
+      jest.spyOn(User, 'findById').mockImplementation(id =>
+        queryResult({planStatus: id === userId ? 'pro' : 'free'}));
+      const createBill = jest.spyOn(billCreation, 'createBill')
+        .mockResolvedValueOnce({
+          bill: {_id: 'b1', billNo: 'BILL-101', grandTotal: 1860, customerId},
+          customer: {name: 'Ravi'},
+          duplicate: false,
+        })
+        .mockRejectedValueOnce(new AppError('Credit limit exceeded', 409, 'CREDIT_LIMIT_EXCEEDED'));
+      const audit = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+      const advance = jest.spyOn(RecurringBill, 'findOneAndUpdate').mockImplementation((filter, {$set}) =>
+        Promise.resolve({...milkTemplate(), _id: filter._id, ...$set}));
+      const notify = jest.spyOn(recurringBillsNotification, 'generateRecurringBillsNotification')
+        .mockResolvedValue({created: true});
+
+      const result = await runDueRecurringBills({today: day('2026-11-01'), requestId: 'req-1'});
+
+      expect(createBill).toHaveBeenCalledTimes(2);
+      expect(createBill.mock.calls[0][0]).toMatchObject({
+        userId,
+        customerId,
+        grandTotal: 1860,
+        dueDate: day('2026-11-08'),
+        idempotencyKey: 'recurring_64b0000000000000000000r1_2026-11-01',
+        recurringBillId: '64b0000000000000000000r1',
+      });
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'BILL_CREATED',
+        actorRole: 'SYSTEM',
+        actorUserId,
+      }));
+
+      const [generatedRun, blockedRun] = advance.mock.calls;
+      expect(generatedRun[0]).toEqual({
+        _id: '64b0000000000000000000r1',
+        status: 'active',
+        nextRunDate: day('2026-11-01'),
+      });
+      expect(generatedRun[1].$set).toMatchObject({
+        nextRunDate: day('2026-12-01'),
+        lastRun: expect.objectContaining({status: 'generated', billNo: 'BILL-101'}),
+      });
+      expect(generatedRun[1].$inc).toEqual({generatedCount: 1});
+      // A blocked occurrence is recorded and the schedule moves on
+      expect(blockedRun[1].$set).toMatchObject({
+        nextRunDate: day('2026-12-01'),
+        lastRun: expect.objectContaining({status: 'blocked', amount: 2400}),
+      });
+      expect(blockedRun[1].$inc).toEqual({generatedCount: 0});
+
+      expect(notify).toHaveBeenCalledWith({
+        userId,
+        date: day('2026-11-01'),
+        generated: 1,
+        amount: 1860,
+        notGenerated: 1,
+      });
+      expect(result).toEqual({businesses: 1, generated: 1, notGenerated: 1, failedTemplates: 0});
+    });
+
+    it('leaves the occurrence due when bill creation fails unexpectedly', async () => {
+      jest.spyOn(RecurringBill, 'find').mockReturnValue(queryResult([milkTemplate()]));
+      jest.spyOn(User, 'findById').mockReturnValue(queryResult({planStatus: 'trial'}));
+      jest.spyOn(billCreation, 'createBill').mockRejectedValue(new Error('connection reset'));
+      const advance = jest.spyOn(RecurringBill, 'findOneAndUpdate');
+      const notify = jest.spyOn(recurringBillsNotification, 'generateRecurringBillsNotification');
+
+      const result = await runDueRecurringBills({today: day('2026-11-01')});
+
+      expect(advance).not.toHaveBeenCalled();
+      expect(notify).not.toHaveBeenCalled();
+      expect(result.failedTemplates).toBe(1);
+    });
+  });
+
+  describe('Skip, pause and resume', () => {
+    it('rejects a start date in the past', async () => {
+      jest.useFakeTimers({now: new Date('2026-10-19T06:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask']});
+      jest.spyOn(Customer, 'findOne').mockReturnValue(queryResult({_id: customerId}));
+
+      await expect(createRecurringBill({
+        userId,
+        customerId,
+        fields: {items: [{name: 'Milk 1L', qty: 30, price: 62}], startDate: '2026-10-01'},
+        actorUserId,
+      })).rejects.toMatchObject({code: 'START_DATE_IN_PAST'});
+    });
+
+    it('skips the next occurrence', async () => {
+      const template = new RecurringBill(milkTemplate());
+      jest.spyOn(RecurringBill, 'findOne').mockResolvedValue(template);
+      const update = jest.spyOn(RecurringBill, 'findOneAndUpdate').mockResolvedValue({_id: template._id});
+
+      const {skippedDate} = await skipNextOccurrence({userId, id: template._id});
+
+      expect(skippedDate).toEqual(day('2026-11-01'));
+      expect(update).toHaveBeenCalledWith(
+        {_id: template._id, status: 'active', nextRunDate: day('2026-11-01')},
+        {
+          $set: {nextRunDate: day('2026-12-01'), status: 'active'},
+          $push: {skippedDates: day('2026-11-01')},
+        },
+        {new: true}
+      );
+    });
+
+    it('does not pause a template that is not active', async () => {
+      jest.spyOn(RecurringBill, 'findOne').mockResolvedValue(new RecurringBill(milkTemplate({status: 'paused'})));
+      jest.spyOn(RecurringBill, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(pauseRecurringBill({userId, id: 'r1'})).rejects.toMatchObject({
+        code: 'RECURRING_BILL_STATUS_INVALID',
+      });
+    });
+
+    it('resumes from today without billing missed occurrences', async () => {
+      jest.useFakeTimers({now: new Date('2026-10-19T06:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask']});
+      const template = new RecurringBill(milkTemplate({status: 'paused', prorate: false, nextRunDate: day('2026-10-01')}));
+      jest.spyOn(RecurringBill, 'findOne').mockResolvedValue(template);
+      const update = jest.spyOn(RecurringBill, 'findOneAndUpdate').mockImplementation((filter, {$set}) =>
+        Promise.resolve({...milkTemplate(), ...$set}));
+      const createBill = jest.spyOn(billCreation, 'createBill');
+
+      const {recurringBill, runs} = await resumeRecurringBill({userId, id: template._id});
+
+      expect(update).toHaveBeenCalledWith(
+        {_id: template._id, status: 'paused'},
+        {$set: {status: 'active', nextRunDate: day('2026-11-01'), pausedAt: null}},
+        {new: true}
+      );
+      expect(recurringBill.nextRunDate).toEqual(day('2026-11-01'));
+      expect(runs).toEqual([]);
+      expect(createBill).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Validation', () => {
+    const items = [{name: 'Milk 1L', qty: 30, price: 62}];
+
+    it('defaults the frequency to monthly', () => {
+      const {error, value} = createRecurringBillSchema.body.validate({customerId, items});
+
+      expect(error).toBeUndefined();
+      expect(value.frequency).toBe('monthly');
+    });
+
+    it('rejects templates without items or with an unknown frequency', () => {
+      expect(createRecurringBillSchema.body.validate({customerId, items: []}).error).toBeDefined();
+      expect(createRecurringBillSchema.body.validate({customerId, items, frequency: 'weekly'}).error).toBeDefined();
+      expect(createRecurringBillSchema.body.validate({customerId, items, dayOfMonth: 32}).error).toBeDefined();
+    });
+
+    it('rejects an empty update', () => {
+      expect(updateRecurringBillSchema.body.validate({}).error).toBeDefined();
+      expect(updateRecurringBillSchema.body.validate({endDate: null}).error).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * SMS Transport Tests
+ *
+ * Verifies DLT template registry, TRAI quiet hours, MSG91 sends, delivery
+ * report parsing and receipts (no database or network required)
+ */
+const axios = require('axios');
+const NotificationAttempt = require('../src/models/NotificationAttempt');
+const MessageEvent = require('../src/models/MessageEvent');
+const {getDltTemplate, buildDltVariables} = require('../src/services/sms/dltTemplates');
+const {getSmsQuietHoursDeferral} = require('../src/services/sms/quietHours');
+const {getSmsProvider, resetSmsProvider} = require('../src/services/sms');
+const SmsTransport = require('../src/services/notificationTransports/SmsTransport');
+const {applyDeliveryReceipt} = require('../src/services/deliveryReceipt.service');
+
+const DLT_TEMPLATE_ID = '1107160000000000001';
+
+const notification = {
+  _id: 'n1',
+  metadata: {
+    templateKey: 'recovery_urgent',
+    customerName: 'Ravi',
+    outstandingAmount: 12500,
+  },
+};
+
+// 12:00 IST (inside the TRAI window)
+const MIDDAY_IST = new Date('2026-10-15T06:30:00Z');
+
+describe('SMS transport (MSG91, DLT)', () => {
+  const originalEnv = {...process.env};
+
+  beforeEach(() => {
+    process.env.MSG91_AUTHKEY = 'test_authkey';
+    process.env.SMS_SENDER_ID = 'phfour';
+    process.env.SMS_DLT_TEMPLATES = JSON.stringify({
+      recovery_urgent: {dltTemplateId: DLT_TEMPLATE_ID, providerTemplateId: 'flow_urgent'},
+    });
+    resetSmsProvider();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = {...originalEnv};
+    resetSmsProvider();
+  });
+
+  it('resolves registered templates and rejects unregistered ones', () => {
+    expect(getDltTemplate('recovery_urgent')).toEqual({
+      templateKey: 'recovery_urgent',
+      language: 'en',
+      dltTemplateId: DLT_TEMPLATE_ID,
+      providerTemplateId: 'flow_urgent',
+      senderId: 'PHFOUR',
+      variables: ['customerName', 'amount'],
+    });
+
+    expect(() => getDltTemplate('recovery_gentle_reminder')).toThrow(
+      expect.objectContaining({code: 'DLT_TEMPLATE_NOT_REGISTERED', retryable: false})
+    );
+
+    process.env.SMS_DLT_TEMPLATES = JSON.stringify({
+      recovery_urgent: {dltTemplateId: '123', providerTemplateId: 'flow_urgent'},
+    });
+    expect(() => getDltTemplate('recovery_urgent')).toThrow(
+      expect.objectContaining({code: 'DLT_TEMPLATE_INVALID'})
+    );
+  });
+
+  it('builds ordered DLT variables within the 30 character limit', () => {
+    const template = getDltTemplate('recovery_urgent');
+
+    expect(buildDltVariables(template, {customerName: 'Ravi\nKumar', amount: 125000.5}))
+      .toEqual(['Ravi Kumar', '1,25,000.5']);
+    expect(buildDltVariables(template, {customerName: 'x'.repeat(40), amount: 1})[0]).toHaveLength(30);
+    expect(() => buildDltVariables(template, {customerName: 'Ravi'})).toThrow(
+      expect.objectContaining({code: 'TEMPLATE_PARAMS_MISSING'})
+    );
+  });
+
+  it('defers sends outside 09:00-21:00 IST to the next window', () => {
+    expect(getSmsQuietHoursDeferral(MIDDAY_IST)).toBeNull();
+    // 07:30 IST -> 09:00 IST same day
+    expect(getSmsQuietHoursDeferral(new Date('2026-10-15T02:00:00Z')).toISOString())
+      .toBe('2026-10-15T03:30:00.000Z');
+    // 21:30 IST -> 09:00 IST next day
+    expect(getSmsQuietHoursDeferral(new Date('2026-10-15T16:00:00Z')).toISOString())
+      .toBe('2026-10-16T03:30:00.000Z');
+  });
+
+  it('sends via the MSG91 flow API with DLT template and sender', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({
+      status: 200,
+      data: {type: 'success', message: '3663686c6c6b393930333735'},
+    });
+
+    const result = await new SmsTransport().send({
+      notification,
+      attempt: {_id: 'a1'},
+      customer: {phone: '9876543210'},
+      now: MIDDAY_IST,
+    });
+
+    expect(result).toEqual({ok: true, providerMessageId: '3663686c6c6b393930333735'});
+    const [url, body, options] = post.mock.calls[0];
+    expect(url).toBe('https://control.msg91.com/api/v5/flow/');
+    expect(body).toMatchObject({
+      template_id: 'flow_urgent',
+      sender: 'PHFOUR',
+      DLT_TE_ID: DLT_TEMPLATE_ID,
+      recipients: [{mobiles: '919876543210', var1: 'Ravi', var2: '12,500'}],
+    });
+    expect(options.headers.authkey).toBe('test_authkey');
+  });
+
+  it('fails visibly without sending when the template is not registered', async () => {
+    const post = jest.spyOn(axios, 'post');
+
+    await expect(new SmsTransport().send({
+      notification: {...notification, metadata: {...notification.metadata, templateKey: 'recovery_immediate'}},
+      customer: {phone: '9876543210'},
+      now: MIDDAY_IST,
+    })).rejects.toMatchObject({code: 'DLT_TEMPLATE_NOT_REGISTERED', retryable: false});
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('defers with retryAt during quiet hours instead of sending', async () => {
+    const post = jest.spyOn(axios, 'post');
+
+    await expect(new SmsTransport().send({
+      notification,
+      customer: {phone: '9876543210'},
+      now: new Date('2026-10-15T17:00:00Z'),
+    })).rejects.toMatchObject({
+      code: 'QUIET_HOURS',
+      retryable: true,
+      retryAt: new Date('2026-10-16T03:30:00Z'),
+    });
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('classifies MSG91 errors as retryable or permanent', async () => {
+    const transport = new SmsTransport();
+    const send = () => transport.send({notification, customer: {phone: '9876543210'}, now: MIDDAY_IST});
+
+    jest.spyOn(axios, 'post').mockRejectedValueOnce({
+      message: 'Request failed',
+      response: {status: 503, data: {type: 'error', message: 'Service unavailable'}},
+    });
+    await expect(send()).rejects.toMatchObject({code: 'SMS_PROVIDER_UNAVAILABLE', retryable: true});
+
+    axios.post.mockResolvedValueOnce({status: 200, data: {type: 'error', message: 'Invalid template id'}});
+    await expect(send()).rejects.toMatchObject({code: 'SMS_TEMPLATE_ERROR', retryable: false});
+  });
+
+  it('parses MSG91 delivery reports', () => {
+    const reports = getSmsProvider().parseDeliveryReports({
+      data: JSON.stringify([
+        {
+          requestId: 'req1',
+          report: [
+            {number: '919876543210', status: '1', desc: 'DELIVERED', date: '2026-10-15 12:00:00'},
+            {number: '919876543211', status: '9', desc: 'NDNC'},
+            {number: '919876543212', status: '42'},
+          ],
+        },
+      ]),
+    });
+
+    expect(reports).toHaveLength(2);
+    expect(reports[0]).toMatchObject({providerMessageId: 'req1', status: 'DELIVERED'});
+    expect(reports[1]).toMatchObject({
+      providerMessageId: 'req1',
+      status: 'FAILED',
+      error: {code: 'SMS_NDNC_BLOCKED', retryable: false},
+    });
+    expect(getSmsProvider().parseDeliveryReports({data: 'not json'})).toEqual([]);
+  });
+
+  it('applies delivery reports forward-only to attempts and message events', async () => {
+    const attemptUpdate = jest.spyOn(NotificationAttempt, 'updateOne')
+      .mockResolvedValue({modifiedCount: 1});
+    const eventUpdate = jest.spyOn(MessageEvent, 'updateOne').mockResolvedValue({modifiedCount: 0});
+    const timestamp = new Date('2026-10-15T06:31:00Z');
+
+    const result = await applyDeliveryReceipt({providerMessageId: 'req1', status: 'DELIVERED', timestamp});
+
+    expect(result).toEqual({notificationAttempt: true, messageEvent: false});
+    expect(attemptUpdate).toHaveBeenCalledWith(
+      {providerMessageId: 'req1', status: 'SENT', providerStatus: {$in: [null, 'SENT']}},
+      {$set: {providerStatus: 'DELIVERED', deliveredAt: timestamp}}
+    );
+    expect(eventUpdate).toHaveBeenCalledWith(
+      {providerMessageId: 'req1', status: {$in: ['SENT']}},
+      {$set: {status: 'DELIVERED', deliveredAt: timestamp}}
+    );
+  });
+});
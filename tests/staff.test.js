@@ -0,0 +1,121 @@
+/**
+ * Staff Account Tests
+ *
+ * Verifies business resolution for owners and staff, and that concurrent
+ * invites can't overshoot the seat limit (no database required)
+ */
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const StaffInvite = require('../src/models/StaffInvite');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const AuditEvent = require('../src/models/AuditEvent');
+const {resolveBusiness} = require('../src/middleware/auth.middleware');
+const {inviteStaff} = require('../src/services/staff.service');
+
+describe('Business resolution', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should treat accounts without businessId as owners of their own business', async () => {
+    const owner = new User({mobile: '9876543210'});
+    owner.businessId = undefined;
+    const req = {user: owner};
+
+    await resolveBusiness(req);
+
+    expect(req.user.businessId.toString()).toBe(owner._id.toString());
+    expect(req.businessOwner).toBe(owner);
+  });
+
+  it('should scope staff to the owner business and plan', async () => {
+    const owner = new User({mobile: '9876543210', planStatus: 'pro'});
+    const staff = new User({mobile: '9123456789', businessId: owner._id, role: 'STAFF'});
+    jest.spyOn(User, 'findById').mockReturnValue({select: () => Promise.resolve(owner)});
+    const req = {user: staff};
+
+    await resolveBusiness(req);
+
+    expect(staff.isStaffMember()).toBe(true);
+    expect(req.user.businessId.toString()).toBe(owner._id.toString());
+    expect(req.businessOwner.planStatus).toBe('pro');
+  });
+
+  it('should reject revoked staff', async () => {
+    const staff = new User({
+      mobile: '9123456789',
+      businessId: new mongoose.Types.ObjectId(),
+      role: 'STAFF',
+      staffStatus: 'REVOKED',
+    });
+
+    await expect(resolveBusiness({user: staff})).rejects.toMatchObject({
+      statusCode: 401,
+      code: 'ACCESS_REVOKED',
+    });
+  });
+});
+
+describe('Staff invites', () => {
+  const owner = new User({mobile: '9876543210'});
+  const invite = {owner, mobile: '9123456789', countryCode: '+91', role: 'STAFF', actorRole: 'OWNER'};
+
+  /**
+   * Mock a business with `pendingInvites` invites and `otherHolds` invites
+   * being created by other requests
+   */
+  const mockSeats = ({seatsIncluded, pendingInvites, otherHolds = []}) => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(StaffInvite, 'findOne').mockResolvedValue(null);
+    jest.spyOn(StaffInvite, 'countDocuments').mockResolvedValue(pendingInvites);
+    jest.spyOn(BusinessSettings, 'getOrCreate').mockResolvedValue({seatsIncluded});
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+    const hold = jest.spyOn(BusinessSettings, 'findOneAndUpdate').mockImplementation((filter, update) => ({
+      select: () => Promise.resolve({staffSeatHolds: [...otherHolds, update.$push.staffSeatHolds]}),
+    }));
+    const release = jest.spyOn(BusinessSettings, 'updateOne').mockResolvedValue({});
+    return {hold, release};
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should hold a seat while creating the invite and release it after', async () => {
+    const {hold, release} = mockSeats({seatsIncluded: 3, pendingInvites: 1});
+    const create = jest.spyOn(StaffInvite, 'create').mockImplementation(async doc => ({_id: 'invite1', ...doc}));
+
+    await inviteStaff(invite);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({businessId: owner.businessId, mobile: '9123456789'}));
+    const holdId = hold.mock.calls[0][1].$push.staffSeatHolds._id;
+    expect(release.mock.calls[0][1].$pull.staffSeatHolds.$or).toContainEqual({_id: holdId});
+  });
+
+  it('should count seats held by invites other requests are creating', async () => {
+    const {release} = mockSeats({seatsIncluded: 3, pendingInvites: 1, otherHolds: [{at: new Date()}]});
+    const create = jest.spyOn(StaffInvite, 'create');
+
+    await expect(inviteStaff(invite)).rejects.toMatchObject({statusCode: 403, code: 'SEAT_LIMIT_REACHED'});
+    expect(create).not.toHaveBeenCalled();
+    expect(release).toHaveBeenCalled();
+  });
+
+  it('should ignore holds left behind by a crashed request', async () => {
+    mockSeats({seatsIncluded: 3, pendingInvites: 1, otherHolds: [{at: new Date(Date.now() - 5 * 60 * 1000)}]});
+    const create = jest.spyOn(StaffInvite, 'create').mockImplementation(async doc => ({_id: 'invite1', ...doc}));
+
+    await inviteStaff(invite);
+
+    expect(create).toHaveBeenCalled();
+  });
+
+  it('should free the seat when the invite can\'t be created', async () => {
+    const {release} = mockSeats({seatsIncluded: 3, pendingInvites: 0});
+    jest.spyOn(StaffInvite, 'create').mockRejectedValue(new Error('write failed'));
+
+    await expect(inviteStaff(invite)).rejects.toThrow('write failed');
+    expect(release).toHaveBeenCalled();
+  });
+});
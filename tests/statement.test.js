@@ -0,0 +1,96 @@
+/**
+ * Customer Statement Tests
+ *
+ * Verifies statement lines, running balance and rendering (no database required)
+ */
+const {buildStatementLines, computeRunningBalance} = require('../src/services/statement.service');
+const {renderStatementHtml, renderStatementPdf} = require('../src/services/statementRenderer.service');
+
+const BILL_1 = '64b000000000000000000011';
+const BILL_2 = '64b000000000000000000012';
+
+const bills = [
+  {
+    _id: BILL_1,
+    billNo: 'BILL-001',
+    grandTotal: 1000,
+    paidAmount: 600,
+    status: 'partial',
+    isDeleted: false,
+    createdAt: '2026-09-20T06:00:00Z',
+  },
+  {
+    _id: BILL_2,
+    billNo: 'BILL-002',
+    grandTotal: 500,
+    paidAmount: 0,
+    status: 'cancelled',
+    isDeleted: false,
+    createdAt: '2026-10-03T06:00:00Z',
+    updatedAt: '2026-10-04T06:00:00Z',
+  },
+];
+
+const transactions = [
+  // Bill 1 created with 200 paid upfront: only 800 booked on the ledger
+  {_id: 't1', type: 'credit', amount: 800, note: 'Bill BILL-001 created', idempotencyKey: 'abc_ledger_credit', createdAt: '2026-09-20T06:00:01Z'},
+  {_id: 't2', type: 'debit', amount: 400, note: 'Cash', idempotencyKey: `bill_${BILL_1}_pay_1`, createdAt: '2026-10-02T06:00:00Z'},
+  {_id: 't3', type: 'credit', amount: 150, note: 'Old dues', idempotencyKey: 'manual-1', createdAt: '2026-10-05T06:00:00Z'},
+  {_id: 't4', type: 'credit', amount: 500, note: 'Bill BILL-002 created', idempotencyKey: `bill_${BILL_2}_credit`, metadata: {billId: BILL_2}, createdAt: '2026-10-03T06:00:01Z'},
+];
+
+const buildStatement = () => {
+  const lines = buildStatementLines(bills, transactions);
+  const totals = computeRunningBalance(lines, new Date('2026-10-01T00:00:00Z'), new Date('2026-10-31T23:59:59Z'));
+  return {
+    business: {name: 'Sharma Kirana', phone: '9876543210'},
+    customer: {id: 'c1', name: 'Ramesh <Test>', phone: '9123456789'},
+    period: {from: new Date('2026-10-01T00:00:00Z'), to: new Date('2026-10-31T23:59:59Z')},
+    ...totals,
+    generatedAt: new Date('2026-11-01T00:00:00Z'),
+  };
+};
+
+describe('Customer statement', () => {
+  it('should carry earlier activity into the opening balance', () => {
+    const statement = buildStatement();
+
+    // Bill 1: 1000 charged, 200 paid at billing
+    expect(statement.openingBalance).toBe(800);
+  });
+
+  it('should list entries in order with a running balance', () => {
+    const statement = buildStatement();
+
+    expect(statement.entries.map(e => [e.type, e.balance])).toEqual([
+      ['PAYMENT', 400],
+      ['BILL', 900],
+      ['BILL_REVERSAL', 400],
+      ['CREDIT', 550],
+    ]);
+    expect(statement.entries[0].reference).toBe('BILL-001');
+    expect(statement.closingBalance).toBe(550);
+    expect(statement.totalCharges).toBe(650);
+    expect(statement.totalReceived).toBe(900);
+  });
+
+  it('should not double count ledger credits created by bills', () => {
+    const lines = buildStatementLines(bills, transactions);
+
+    expect(lines.filter(line => line.type === 'CREDIT')).toHaveLength(1);
+  });
+
+  it('should render escaped HTML', () => {
+    const html = renderStatementHtml(buildStatement());
+
+    expect(html).toContain('Statement of Account');
+    expect(html).toContain('Ramesh &lt;Test&gt;');
+    expect(html).not.toContain('<Test>');
+  });
+
+  it('should render a PDF', async () => {
+    const pdf = await renderStatementPdf(buildStatement());
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Stock Tests
+ *
+ * Verifies stock out on bills and amendments, restores on cancellation and
+ * sales returns, manual adjustments, low-stock alerts and stock valuation
+ */
+const Item = require('../src/models/Item');
+const StockMovement = require('../src/models/StockMovement');
+const lowStockNotification = require('../src/services/notifications/generators/lowStock');
+const {
+  syncBillStock,
+  restoreBillStock,
+  recordSalesReturn,
+  adjustStock,
+  buildStockValuation,
+} = require('../src/services/stock.service');
+const {computeTitleBody} = require('../src/services/notifications/notificationGenerator');
+const {adjustStockSchema} = require('../src/validators/stock.validator');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const actorUserId = '64b000000000000000000002';
+const billId = '64b000000000000000000b01';
+const milkId = '64b0000000000000000000a1';
+const breadId = '64b0000000000000000000a2';
+
+// Milk is tracked: 5 ltr in stock, reorder at 3
+const mockStock = (stockQty = 5) => {
+  let current = stockQty;
+  jest.spyOn(Item, 'find').mockReturnValue(queryResult([{_id: milkId}]));
+  const move = jest.spyOn(Item, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    current += update.$inc.stockQty;
+    return Promise.resolve({
+      _id: filter._id,
+      userId,
+      name: 'Milk 1L',
+      unit: 'ltr',
+      reorderLevel: 3,
+      stockQty: current,
+      ...update.$set,
+    });
+  });
+  const record = jest.spyOn(StockMovement, 'create').mockImplementation(doc => Promise.resolve(doc));
+  const notify = jest.spyOn(lowStockNotification, 'generateLowStockNotification').mockResolvedValue({created: true});
+  return {move, record, notify};
+};
+
+const bill = items => ({_id: billId, billNo: 'BILL-012', items});
+
+describe('Stock', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes tracked items out of stock on a new bill and alerts at the reorder level', async () => {
+    const {move, record, notify} = mockStock(5);
+
+    const movements = await syncBillStock({
+      userId,
+      bill: bill([
+        {itemId: milkId, name: 'Milk 1L', qty: 2},
+        {itemId: milkId, name: 'Milk 1L', qty: 1},
+        {itemId: breadId, name: 'Bread', qty: 4},
+        {name: 'Delivery', qty: 1},
+      ]),
+      type: 'sale',
+    });
+
+    expect(Item.find).toHaveBeenCalledWith({_id: {$in: [milkId, breadId]}, userId, trackStock: true});
+    expect(move).toHaveBeenCalledTimes(1);
+    expect(move).toHaveBeenCalledWith({_id: milkId, userId, trackStock: true}, {$inc: {stockQty: -3}}, {new: true});
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      itemId: milkId,
+      type: 'sale',
+      qty: -3,
+      balanceAfter: 2,
+      billId,
+      billNo: 'BILL-012',
+    }));
+    expect(movements).toHaveLength(1);
+    expect(notify).toHaveBeenCalledWith({userId, item: expect.objectContaining({stockQty: 2, reorderLevel: 3})});
+  });
+
+  it('does not alert again once stock is already below the reorder level', async () => {
+    const {notify} = mockStock(2);
+
+    await syncBillStock({userId, bill: bill([{itemId: milkId, qty: 1}]), type: 'sale'});
+
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('moves only the difference when bill quantities are amended', async () => {
+    const {move, record} = mockStock(7);
+    jest.spyOn(StockMovement, 'find').mockReturnValue(queryResult([{itemId: milkId, qty: -3}]));
+
+    await syncBillStock({userId, bill: bill([{itemId: milkId, qty: 5}]), type: 'sale_amended'});
+
+    expect(StockMovement.find).toHaveBeenCalledWith({userId, billId, type: {$in: ['sale', 'sale_amended']}});
+    expect(move).toHaveBeenCalledWith(expect.anything(), {$inc: {stockQty: -2}}, {new: true});
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({type: 'sale_amended', qty: -2, balanceAfter: 5}));
+  });
+
+  it('puts back what a cancelled bill still holds after returns', async () => {
+    const {move, record, notify} = mockStock(0);
+    jest.spyOn(StockMovement, 'find').mockReturnValue(queryResult([
+      {itemId: milkId, qty: -5},
+      {itemId: milkId, qty: 2},
+      {itemId: breadId, qty: -1},
+      {itemId: breadId, qty: 1},
+    ]));
+
+    await restoreBillStock({userId, bill: bill([])});
+
+    expect(move).toHaveBeenCalledTimes(1);
+    expect(move).toHaveBeenCalledWith({_id: milkId, userId, trackStock: true}, {$inc: {stockQty: 3}}, {new: true});
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({type: 'sale_cancelled', qty: 3, balanceAfter: 3}));
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('puts returned quantities back into stock', async () => {
+    const {move, record} = mockStock(1);
+
+    await recordSalesReturn({
+      userId,
+      creditNote: {
+        _id: 'cn1',
+        creditNoteNo: 'CN/2026-27/004',
+        billId,
+        billNo: 'BILL-012',
+        items: [{itemId: milkId, qty: 2}, {name: 'Delivery', qty: 1}],
+      },
+    });
+
+    expect(move).toHaveBeenCalledWith(expect.anything(), {$inc: {stockQty: 2}}, {new: true});
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'sales_return',
+      qty: 2,
+      balanceAfter: 3,
+      billId,
+      creditNoteId: 'cn1',
+      note: 'Credit note CN/2026-27/004',
+    }));
+  });
+
+  it('adjusts stock by hand, starting tracking and recording the purchase cost', async () => {
+    jest.spyOn(Item, 'findOne').mockReturnValue(queryResult({_id: breadId, name: 'Bread', stockQty: 0, trackStock: false}));
+    const {move, record} = mockStock(0);
+
+    const {before, item, movement} = await adjustStock({
+      userId,
+      itemId: breadId,
+      qty: 24,
+      reason: 'purchase',
+      note: 'Morning delivery',
+      unitCost: 32,
+      actorUserId,
+    });
+
+    expect(move).toHaveBeenCalledWith(
+      {_id: breadId, userId},
+      {$inc: {stockQty: 24}, $set: {trackStock: true, purchaseCost: 32}},
+      {new: true}
+    );
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'adjustment',
+      reason: 'purchase',
+      unitCost: 32,
+      createdBy: actorUserId,
+    }));
+    expect(before.stockQty).toBe(0);
+    expect(item.purchaseCost).toBe(32);
+    expect(movement.balanceAfter).toBe(24);
+  });
+
+  it('rejects adjustments of unknown items and costs on stock-outs', async () => {
+    jest.spyOn(Item, 'findOne').mockReturnValueOnce(queryResult(null));
+    await expect(adjustStock({userId, itemId: breadId, qty: 1, reason: 'count_correction', actorUserId}))
+      .rejects.toMatchObject({code: 'NOT_FOUND'});
+
+    jest.spyOn(Item, 'findOne').mockReturnValueOnce(queryResult({_id: breadId}));
+    await expect(adjustStock({userId, itemId: breadId, qty: -1, reason: 'damage', unitCost: 30, actorUserId}))
+      .rejects.toMatchObject({code: 'STOCK_ADJUSTMENT_INVALID'});
+  });
+
+  it('values tracked stock at purchase cost', async () => {
+    jest.spyOn(Item, 'find').mockReturnValue(queryResult([
+      {_id: 'i1', name: 'Bread', unit: 'pcs', stockQty: 20, reorderLevel: 5, purchaseCost: 32},
+      {_id: 'i2', name: 'Milk 1L', unit: 'ltr', stockQty: 2.5, reorderLevel: 3, purchaseCost: 54},
+      {_id: 'i3', name: 'Paneer', unit: 'kg', stockQty: -1, reorderLevel: null, purchaseCost: 300},
+      {_id: 'i4', name: 'Curd', unit: 'kg', stockQty: 4, reorderLevel: null, purchaseCost: null},
+    ]));
+
+    const report = await buildStockValuation({userId});
+
+    expect(report.rows.map(row => [row.name, row.value, row.lowStock])).toEqual([
+      ['Bread', 640, false],
+      ['Milk 1L', 135, true],
+      ['Paneer', 0, false],
+      ['Curd', null, false],
+    ]);
+    expect(report.totals).toEqual({items: 4, value: 775, lowStock: 1, negativeStock: 1, withoutCost: 1});
+
+    const lowStock = await buildStockValuation({userId, lowStockOnly: true});
+    expect(lowStock.rows.map(row => row.name)).toEqual(['Milk 1L']);
+  });
+
+  it('renders the low-stock notification with the item and level', () => {
+    const {title, body} = computeTitleBody('LOW_STOCK', {
+      counts: {itemName: 'Milk 1L', stockQty: 2, unit: 'ltr', reorderLevel: 3},
+    });
+
+    expect(title).toBe('Low Stock');
+    expect(body).toBe('Milk 1L is down to 2 ltr (reorder level 3)');
+  });
+
+  it('validates stock adjustments', () => {
+    expect(adjustStockSchema.body.validate({qty: 0, reason: 'damage'}).error).toBeDefined();
+    expect(adjustStockSchema.body.validate({qty: 5}).error).toBeDefined();
+    expect(adjustStockSchema.body.validate({qty: -2, reason: 'damage', unitCost: 10}).error).toBeDefined();
+    expect(adjustStockSchema.body.validate({qty: 12, reason: 'purchase', unitCost: 10}).error).toBeUndefined();
+  });
+});
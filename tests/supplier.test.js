@@ -0,0 +1,388 @@
+/**
+ * Supplier Payables Tests
+ *
+ * Verifies purchase bills (totals, due dates, payable, ledger, stock in),
+ * payments made allocated across purchase bills and their reversal, payables
+ * aging, the Today totals and due-date reminders
+ */
+const Item = require('../src/models/Item');
+const PurchaseBill = require('../src/models/PurchaseBill');
+const StockMovement = require('../src/models/StockMovement');
+const Supplier = require('../src/models/Supplier');
+const SupplierLedgerTransaction = require('../src/models/SupplierLedgerTransaction');
+const SupplierPayment = require('../src/models/SupplierPayment');
+const stockService = require('../src/services/stock.service');
+const payablesDueNotification = require('../src/services/notifications/generators/payablesDue');
+const {createPurchaseBill, deletePurchaseBill} = require('../src/services/purchaseBill.service');
+const {recordSupplierPayment, reverseSupplierPayment} = require('../src/services/supplierPayment.service');
+const {
+  buildPayablesAging,
+  computePayablesSummary,
+  runPayablesDueReminders,
+} = require('../src/services/payables.service');
+const {computeTitleBody} = require('../src/services/notifications/notificationGenerator');
+const {createPurchaseBillSchema} = require('../src/validators/purchaseBill.validator');
+const {recordSupplierPaymentSchema} = require('../src/validators/supplierPayment.validator');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const actorUserId = '64b000000000000000000002';
+const supplierId = '64b000000000000000000c01';
+const riceId = '64b0000000000000000000a1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysFromNow = days => new Date(Date.now() + days * DAY_MS);
+
+const purchaseBill = overrides => ({
+  _id: 'pb1',
+  userId,
+  supplierId,
+  billNo: 'INV-88',
+  grandTotal: 1000,
+  paidAmount: 0,
+  status: 'unpaid',
+  ...overrides,
+});
+
+describe('Supplier payables', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('purchase bills', () => {
+    const mockCreate = () => {
+      jest.spyOn(PurchaseBill, 'findOne').mockReturnValue(queryResult(null));
+      jest.spyOn(Supplier, 'findOne').mockReturnValue(queryResult({_id: supplierId, paymentTermsDays: 15}));
+      const create = jest.spyOn(PurchaseBill, 'create').mockImplementation(doc => Promise.resolve({_id: 'pb1', ...doc}));
+      const payable = jest.spyOn(Supplier, 'updateOne').mockResolvedValue({modifiedCount: 1});
+      const ledger = jest.spyOn(SupplierLedgerTransaction, 'create').mockImplementation(doc => Promise.resolve(doc));
+      const stock = jest.spyOn(stockService, 'recordPurchaseStock').mockResolvedValue([]);
+      return {create, payable, ledger, stock};
+    };
+
+    it('records the bill, adds to the payable and the supplier ledger, and stocks in', async () => {
+      const {create, payable, ledger, stock} = mockCreate();
+      const billDate = new Date('2026-10-01T00:00:00Z');
+
+      const {purchaseBill: bill, duplicate} = await createPurchaseBill({
+        userId,
+        supplierId,
+        billNo: 'INV-88',
+        billDate,
+        items: [
+          {itemId: riceId, name: 'Rice 25kg', qty: 4, price: 1150},
+          {name: 'Freight', qty: 1, price: 200},
+        ],
+        discount: 100,
+        tax: 230,
+        actorUserId,
+      });
+
+      expect(duplicate).toBe(false);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        subTotal: 4800,
+        grandTotal: 4930,
+        // Supplier gives 15 days
+        dueDate: new Date('2026-10-16T00:00:00Z'),
+        createdBy: actorUserId,
+      }));
+      expect(bill.items[0]).toEqual({itemId: riceId, name: 'Rice 25kg', qty: 4, price: 1150, total: 4600});
+      expect(payable).toHaveBeenCalledWith({_id: supplierId, userId}, {$inc: {payableOutstanding: 4930}});
+      expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'credit',
+        amount: 4930,
+        source: 'purchase_bill',
+        idempotencyKey: 'purchase_bill_pb1',
+      }));
+      expect(stock).toHaveBeenCalledWith({userId, purchaseBill: bill});
+    });
+
+    it('rejects a supplier invoice entered twice and replays idempotent requests', async () => {
+      jest.spyOn(Supplier, 'findOne').mockReturnValue(queryResult({_id: supplierId}));
+      jest.spyOn(PurchaseBill, 'findOne').mockReturnValueOnce(queryResult({_id: 'pb0'}));
+      await expect(createPurchaseBill({
+        userId,
+        supplierId,
+        billNo: 'INV-88',
+        items: [{name: 'Rice', qty: 1, price: 10}],
+        actorUserId,
+      })).rejects.toMatchObject({code: 'DUPLICATE_PURCHASE_BILL', statusCode: 409});
+
+      const existing = purchaseBill();
+      jest.spyOn(PurchaseBill, 'findOne').mockResolvedValueOnce(existing);
+      const create = jest.spyOn(PurchaseBill, 'create');
+      const replay = await createPurchaseBill({userId, supplierId, idempotencyKey: 'key-1'});
+
+      expect(replay).toEqual({purchaseBill: existing, duplicate: true});
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('deletes only purchase bills nothing is paid against, taking back payable and stock', async () => {
+      const deleted = purchaseBill({isDeleted: true});
+      jest.spyOn(PurchaseBill, 'findOneAndUpdate').mockResolvedValueOnce(deleted);
+      const payable = jest.spyOn(Supplier, 'updateOne').mockResolvedValue({modifiedCount: 1});
+      const ledger = jest.spyOn(SupplierLedgerTransaction, 'create').mockImplementation(doc => Promise.resolve(doc));
+      const stock = jest.spyOn(stockService, 'reversePurchaseStock').mockResolvedValue([]);
+
+      await deletePurchaseBill({userId, purchaseBillId: 'pb1', reason: 'Entered twice', actorUserId});
+
+      expect(PurchaseBill.findOneAndUpdate).toHaveBeenCalledWith(
+        {_id: 'pb1', userId, isDeleted: false, paidAmount: 0},
+        expect.anything(),
+        {new: true}
+      );
+      expect(payable).toHaveBeenCalledWith({_id: supplierId, userId}, {$inc: {payableOutstanding: -1000}});
+      expect(ledger).toHaveBeenCalledWith(expect.objectContaining({type: 'debit', source: 'purchase_bill_deleted'}));
+      expect(stock).toHaveBeenCalledWith({userId, purchaseBill: deleted});
+
+      jest.spyOn(PurchaseBill, 'findOneAndUpdate').mockResolvedValueOnce(null);
+      jest.spyOn(PurchaseBill, 'findOne').mockReturnValueOnce(queryResult({_id: 'pb1'}));
+      await expect(deletePurchaseBill({userId, purchaseBillId: 'pb1', reason: 'x', actorUserId}))
+        .rejects.toMatchObject({code: 'PURCHASE_BILL_HAS_PAYMENTS'});
+    });
+
+    it('adds purchased quantities of tracked items to stock at the average cost', async () => {
+      jest.spyOn(Item, 'find').mockReturnValue(queryResult([{_id: riceId}]));
+      const move = jest.spyOn(Item, 'findOneAndUpdate').mockImplementation((filter, update) =>
+        Promise.resolve({_id: filter._id, userId, stockQty: 2 + update.$inc.stockQty, ...update.$set}));
+      const record = jest.spyOn(StockMovement, 'create').mockImplementation(doc => Promise.resolve(doc));
+
+      await stockService.recordPurchaseStock({
+        userId,
+        purchaseBill: purchaseBill({
+          items: [
+            {itemId: riceId, qty: 3, price: 1100},
+            {itemId: riceId, qty: 1, price: 1200},
+            {name: 'Freight', qty: 1, price: 200},
+          ],
+        }),
+      });
+
+      expect(move).toHaveBeenCalledWith(
+        {_id: riceId, userId, trackStock: true},
+        {$inc: {stockQty: 4}, $set: {purchaseCost: 1125}},
+        {new: true}
+      );
+      expect(record).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'purchase',
+        qty: 4,
+        balanceAfter: 6,
+        purchaseBillId: 'pb1',
+        note: 'Purchase bill INV-88',
+      }));
+    });
+  });
+
+  describe('payments made', () => {
+    const openBills = [
+      purchaseBill({_id: 'pb2', billNo: 'INV-90', grandTotal: 500, dueDate: daysFromNow(5)}),
+      purchaseBill({_id: 'pb1', billNo: 'INV-88', grandTotal: 1000, paidAmount: 400, status: 'partial', dueDate: daysFromNow(-3)}),
+    ];
+
+    const mockPayment = () => {
+      jest.spyOn(Supplier, 'findOne').mockReturnValue(queryResult({_id: supplierId}));
+      jest.spyOn(PurchaseBill, 'find').mockReturnValue(queryResult(openBills));
+      const settle = jest.spyOn(PurchaseBill, 'findOneAndUpdate').mockImplementation((filter, update) =>
+        Promise.resolve({_id: filter._id, ...update.$set}));
+      jest.spyOn(SupplierPayment, 'create').mockImplementation(doc => Promise.resolve({_id: 'sp1', ...doc}));
+      const payable = jest.spyOn(Supplier, 'updateOne').mockResolvedValue({modifiedCount: 1});
+      const ledger = jest.spyOn(SupplierLedgerTransaction, 'create').mockImplementation(doc => Promise.resolve(doc));
+      return {settle, payable, ledger};
+    };
+
+    it('settles the oldest due purchase bills first', async () => {
+      const {settle, payable, ledger} = mockPayment();
+
+      const {payment} = await recordSupplierPayment({
+        userId,
+        supplierId,
+        amount: 800,
+        mode: 'UPI',
+        reference: 'UTR123',
+        actorUserId,
+      });
+
+      expect(payment.allocations).toEqual([
+        {purchaseBillId: 'pb1', billNo: 'INV-88', amount: 600},
+        {purchaseBillId: 'pb2', billNo: 'INV-90', amount: 200},
+      ]);
+      expect(settle).toHaveBeenCalledWith(
+        expect.objectContaining({_id: 'pb1', paidAmount: 400}),
+        {$set: {paidAmount: 1000, status: 'paid'}},
+        {new: true}
+      );
+      expect(settle).toHaveBeenCalledWith(
+        expect.objectContaining({_id: 'pb2', paidAmount: 0}),
+        {$set: {paidAmount: 200, status: 'partial'}},
+        {new: true}
+      );
+      expect(payable).toHaveBeenCalledWith({_id: supplierId, userId}, {$inc: {payableOutstanding: -800}});
+      expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'debit',
+        amount: 800,
+        source: 'supplier_payment',
+        paymentMode: 'UPI',
+        paymentReference: 'UTR123',
+        idempotencyKey: 'supplier_payment_sp1',
+      }));
+    });
+
+    it('rejects paying more than is owed on open purchase bills', async () => {
+      const {settle} = mockPayment();
+
+      await expect(recordSupplierPayment({userId, supplierId, amount: 1200, actorUserId}))
+        .rejects.toMatchObject({code: 'PAYMENT_EXCEEDS_PAYABLE', message: 'Only ₹1100 is owed to this supplier'});
+      expect(settle).not.toHaveBeenCalled();
+    });
+
+    it('rolls back settled bills when another bill changed meanwhile', async () => {
+      const {settle} = mockPayment();
+      settle.mockResolvedValueOnce({_id: 'pb1'}).mockResolvedValueOnce(null);
+      const rollback = jest.spyOn(PurchaseBill, 'updateOne').mockResolvedValue({modifiedCount: 1});
+
+      await expect(recordSupplierPayment({userId, supplierId, amount: 800, actorUserId}))
+        .rejects.toMatchObject({code: 'PAYMENT_ALLOCATION_CONFLICT'});
+      expect(rollback).toHaveBeenCalledWith(
+        {_id: 'pb1', userId},
+        {$inc: {paidAmount: -600}, $set: {status: 'partial'}}
+      );
+      expect(SupplierPayment.create).not.toHaveBeenCalled();
+    });
+
+    it('reverses a payment back onto its purchase bills and the payable', async () => {
+      jest.spyOn(SupplierPayment, 'findOneAndUpdate').mockResolvedValue({
+        _id: 'sp1',
+        amount: 800,
+        mode: 'CHEQUE',
+        reference: '004512',
+        reversedAt: new Date(),
+        allocations: [{purchaseBillId: 'pb1', amount: 600}, {purchaseBillId: 'pb2', amount: 200}],
+      });
+      jest.spyOn(PurchaseBill, 'findOne')
+        .mockReturnValueOnce(queryResult(purchaseBill({paidAmount: 1000, status: 'paid'})))
+        .mockReturnValueOnce(queryResult(purchaseBill({_id: 'pb2', grandTotal: 500, paidAmount: 200})));
+      const unsettle = jest.spyOn(PurchaseBill, 'findOneAndUpdate').mockResolvedValue({});
+      const payable = jest.spyOn(Supplier, 'updateOne').mockResolvedValue({modifiedCount: 1});
+      const ledger = jest.spyOn(SupplierLedgerTransaction, 'create').mockImplementation(doc => Promise.resolve(doc));
+
+      const {restoredAmount} = await reverseSupplierPayment({
+        userId,
+        supplierId,
+        paymentId: 'sp1',
+        reason: 'Cheque bounced',
+        actorUserId,
+      });
+
+      expect(restoredAmount).toBe(800);
+      expect(unsettle).toHaveBeenCalledWith(
+        {_id: 'pb1', userId, paidAmount: 1000},
+        {$set: {paidAmount: 400, status: 'partial'}},
+        {new: true}
+      );
+      expect(payable).toHaveBeenCalledWith({_id: supplierId, userId}, {$inc: {payableOutstanding: 800}});
+      expect(ledger).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'credit',
+        source: 'supplier_payment_reversal',
+        idempotencyKey: 'supplier_payment_sp1_reversal',
+      }));
+    });
+  });
+
+  describe('payables position', () => {
+    it('ages what is owed per supplier by days past due', async () => {
+      const wholesaler = {_id: supplierId, name: 'Shree Traders', phone: '9800000001'};
+      const dairy = {_id: '64b000000000000000000c02', name: 'Amul Dairy'};
+      jest.spyOn(PurchaseBill, 'find').mockReturnValue(queryResult([
+        purchaseBill({supplierId: wholesaler, grandTotal: 1000, paidAmount: 400, dueDate: daysFromNow(-10)}),
+        purchaseBill({supplierId: wholesaler, grandTotal: 300, dueDate: daysFromNow(4)}),
+        purchaseBill({supplierId: dairy, grandTotal: 250, dueDate: daysFromNow(-70)}),
+        purchaseBill({supplierId: dairy, grandTotal: 90, dueDate: null}),
+      ]));
+
+      const {suppliers, totals} = await buildPayablesAging({userId});
+
+      expect(suppliers.map(row => [row.supplierName, row.totalPayable, row.totalOverdue])).toEqual([
+        ['Shree Traders', 900, 600],
+        ['Amul Dairy', 340, 250],
+      ]);
+      expect(suppliers[0]).toMatchObject({notDue: 300, b8_15: 600, openBills: 2});
+      expect(totals).toEqual({
+        notDue: 390,
+        b0_7: 0,
+        b8_15: 600,
+        b16_30: 0,
+        b31_60: 0,
+        b60p: 250,
+        totalPayable: 1240,
+        totalOverdue: 850,
+      });
+    });
+
+    it('totals payables overdue and due today for the Today summary', async () => {
+      const todayStart = new Date('2026-10-19T00:00:00+05:30');
+      const todayEnd = new Date('2026-10-19T23:59:59.999+05:30');
+      jest.spyOn(PurchaseBill, 'find').mockReturnValue(queryResult([
+        purchaseBill({grandTotal: 1000, paidAmount: 400, dueDate: new Date('2026-10-10T12:00:00+05:30')}),
+        purchaseBill({grandTotal: 300, dueDate: new Date('2026-10-19T18:00:00+05:30')}),
+        purchaseBill({grandTotal: 200, dueDate: new Date('2026-10-25T12:00:00+05:30')}),
+        purchaseBill({grandTotal: 90, dueDate: null}),
+      ]));
+
+      const summary = await computePayablesSummary(userId, todayStart, todayEnd);
+
+      expect(summary).toEqual({
+        totalPayable: 1190,
+        overduePayable: 600,
+        dueTodayPayable: 300,
+        overdueBills: 1,
+        dueTodayBills: 1,
+      });
+    });
+
+    it('reminds each owner once about overdue and soon due purchase bills', async () => {
+      const otherBusiness = '64b000000000000000000009';
+      const now = new Date('2026-10-19T03:30:00Z');
+      jest.spyOn(PurchaseBill, 'find').mockReturnValue(queryResult([
+        purchaseBill({grandTotal: 1000, paidAmount: 400, dueDate: new Date('2026-10-12T06:30:00Z')}),
+        purchaseBill({grandTotal: 300, dueDate: new Date('2026-10-21T06:30:00Z')}),
+        purchaseBill({userId: otherBusiness, grandTotal: 750, dueDate: new Date('2026-10-19T06:30:00Z')}),
+      ]));
+      const notify = jest.spyOn(payablesDueNotification, 'generatePayablesDueNotification')
+        .mockResolvedValue({created: true});
+
+      const result = await runPayablesDueReminders({now});
+
+      expect(PurchaseBill.find).toHaveBeenCalledWith(expect.objectContaining({
+        dueDate: {$ne: null, $lte: expect.any(Date)},
+      }));
+      expect(notify).toHaveBeenCalledWith({userId, days: 3, dueSoon: 1, overdue: 1, amount: 900});
+      expect(notify).toHaveBeenCalledWith({userId: otherBusiness, days: 3, dueSoon: 1, overdue: 0, amount: 750});
+      expect(result).toEqual({businesses: 2, notified: 2});
+    });
+
+    it('renders the payables reminder', () => {
+      const {title, body} = computeTitleBody('PAYABLES_DUE', {
+        amount: 900,
+        counts: {dueSoon: 1, overdue: 1, days: 3},
+      });
+
+      expect(title).toBe('Supplier Payments Due');
+      expect(body).toMatch(/^1 supplier bills due in the next 3 days, 1 overdue\. To pay: /);
+    });
+  });
+
+  it('validates purchase bills and payments made', () => {
+    expect(createPurchaseBillSchema.body.validate({supplierId, billNo: 'INV-1', items: []}).error).toBeDefined();
+    expect(createPurchaseBillSchema.body.validate({
+      supplierId,
+      billNo: 'INV-1',
+      items: [{name: 'Rice', qty: 2, price: 1100}],
+    }).error).toBeUndefined();
+    expect(recordSupplierPaymentSchema.body.validate({amount: 0}).error).toBeDefined();
+    expect(recordSupplierPaymentSchema.body.validate({
+      amount: 500,
+      allocations: [{purchaseBillId: 'pb1', amount: 500}],
+    }).error).toBeDefined();
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Tally Export Tests
+ *
+ * Verifies the Tally XML import file: customer ledgers under Sundry
+ * Debtors, balanced sales / credit note / receipt vouchers posted to the
+ * configured ledgers, and changes-only re-exports
+ */
+const Bill = require('../src/models/Bill');
+const BusinessSettings = require('../src/models/BusinessSettings');
+const CreditNote = require('../src/models/CreditNote');
+const Customer = require('../src/models/Customer');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const {
+  xmlEscape,
+  formatTallyDate,
+  buildPartyLedgerNames,
+  buildTallyExport,
+} = require('../src/services/tallyExport.service');
+const {queryResult} = require('./helpers/queryStub');
+
+const userId = '64b000000000000000000001';
+const raviId = '64b000000000000000000c01';
+const meenaId = '64b000000000000000000c02';
+const lastExportedAt = new Date('2026-04-10T00:00:00.000Z');
+
+const customers = [
+  {_id: raviId, name: 'Ravi & Sons', phone: '+919876543210', gstin: '27AAPFU0939F1ZV', createdAt: new Date('2026-01-01'), updatedAt: new Date('2026-01-01')},
+  {_id: meenaId, name: 'Meena', phone: '', createdAt: new Date('2026-04-12'), updatedAt: new Date('2026-04-12')},
+];
+
+const gstBill = {
+  _id: '64b000000000000000000b01',
+  customerId: raviId,
+  billNo: 'INV-1',
+  subTotal: 1000,
+  discount: 0,
+  tax: 180,
+  gst: {isTaxInvoice: true, taxableValue: 1000, cgst: 90, sgst: 90, igst: 0},
+  grandTotal: 1180,
+  status: 'partial',
+  createdAt: new Date('2026-04-05T06:00:00.000Z'),
+  updatedAt: new Date('2026-04-05T06:00:00.000Z'),
+};
+
+const plainBill = {
+  _id: '64b000000000000000000b02',
+  customerId: meenaId,
+  billNo: 'INV-2',
+  subTotal: 499.6,
+  discount: 0,
+  tax: 0,
+  gst: null,
+  grandTotal: 500,
+  status: 'unpaid',
+  createdAt: new Date('2026-04-12T06:00:00.000Z'),
+  updatedAt: new Date('2026-04-12T06:00:00.000Z'),
+};
+
+const creditNote = {
+  _id: '64b000000000000000000e01',
+  customerId: raviId,
+  creditNoteNo: 'CN-1',
+  billNo: 'INV-1',
+  subTotal: 100,
+  discount: 0,
+  tax: 18,
+  gst: {isTaxInvoice: true, taxableValue: 100, cgst: 9, sgst: 9, igst: 0},
+  grandTotal: 118,
+  reason: 'Damaged',
+  createdAt: new Date('2026-04-06T06:00:00.000Z'),
+};
+
+const receipt = {
+  _id: '64b000000000000000000f01',
+  customerId: raviId,
+  type: 'debit',
+  amount: 700,
+  paymentMode: 'UPI',
+  paymentReference: 'UTR123',
+  paymentDate: new Date('2026-04-07T06:00:00.000Z'),
+  metadata: {source: 'customer_payment', receiptNo: 'RCT-1', allocations: [{billNo: 'INV-1', amount: 500}]},
+  createdAt: new Date('2026-04-07T06:00:00.000Z'),
+};
+
+const refund = {
+  _id: '64b000000000000000000f02',
+  customerId: raviId,
+  type: 'credit',
+  amount: 200,
+  paymentMode: 'CASH',
+  metadata: {source: 'customer_refund'},
+  createdAt: new Date('2026-04-08T06:00:00.000Z'),
+};
+
+const mockBooks = ({settings, bills = [], creditNotes = [], moneyEntries = [], openings = []}) => {
+  jest.spyOn(BusinessSettings, 'getOrCreate').mockResolvedValue(settings);
+  const settingsUpdate = jest.spyOn(BusinessSettings, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Customer, 'find').mockReturnValue(queryResult(customers));
+  jest.spyOn(LedgerTransaction, 'find').mockImplementation(filter => queryResult(
+    filter.source === 'opening' ? openings : moneyEntries
+  ));
+  const billFind = jest.spyOn(Bill, 'find').mockReturnValue(queryResult(bills));
+  jest.spyOn(CreditNote, 'find').mockReturnValue(queryResult(creditNotes));
+  return {settingsUpdate, billFind};
+};
+
+// Vouchers of the file with their ledger amounts
+const vouchersOf = xml => [...xml.matchAll(/<VOUCHER ([^>]*)>([\s\S]*?)<\/VOUCHER>/g)].map(([, attributes, body]) => ({
+  attributes,
+  body,
+  entries: [...body.matchAll(/<ALLLEDGERENTRIES\.LIST><LEDGERNAME>(.*?)<\/LEDGERNAME>.*?<AMOUNT>(.*?)<\/AMOUNT>/g)]
+    .map(([, ledger, amount]) => [ledger, Number(amount)]),
+}));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Tally formats', () => {
+  it('escapes XML and writes IST dates', () => {
+    expect(xmlEscape('Ravi & "Sons" <Pune>')).toBe('Ravi &amp; &quot;Sons&quot; &lt;Pune&gt;');
+    expect(formatTallyDate(new Date('2026-03-31T20:00:00.000Z'))).toBe('20260401');
+  });
+
+  it('keeps ledger names of customers with the same name apart', () => {
+    const names = buildPartyLedgerNames([
+      {_id: 'a00000000001', name: 'Ravi', phone: '+919876543210'},
+      {_id: 'a00000000002', name: 'ravi ', phone: ''},
+      {_id: 'a00000000003', name: 'Meena'},
+    ]);
+
+    expect([...names.values()]).toEqual(['Ravi (+919876543210)', 'ravi (000002)', 'Meena']);
+  });
+});
+
+describe('Tally export', () => {
+  it('exports customer ledgers and balanced vouchers posted to the configured ledgers', async () => {
+    const {settingsUpdate} = mockBooks({
+      settings: {tally: {companyName: 'Sharma Traders', salesLedger: 'Sales A/c', bankLedger: 'HDFC Bank', lastExportedAt: null}},
+      bills: [gstBill, plainBill],
+      creditNotes: [creditNote],
+      moneyEntries: [receipt, refund],
+      openings: [{customerId: raviId, amount: 1500, updatedAt: new Date('2026-01-01')}],
+    });
+
+    const {xml, counts} = await buildTallyExport({userId, month: '2026-04'});
+
+    expect(xml).toContain('<SVCURRENTCOMPANY>Sharma Traders</SVCURRENTCOMPANY>');
+    expect(xml).toContain('<LEDGER NAME="Ravi &amp; Sons" ACTION="Create">');
+    expect(xml).toContain('<PARENT>Sundry Debtors</PARENT>');
+    expect(xml).toContain('<PARTYGSTIN>27AAPFU0939F1ZV</PARTYGSTIN>');
+    expect(xml).toContain('<OPENINGBALANCE>-1500.00</OPENINGBALANCE>');
+    expect(counts).toEqual({ledgers: 2, sales: 2, creditNotes: 1, receipts: 1, payments: 1, deleted: 0});
+
+    const [sale, plainSale, note, receiptVoucher, refundVoucher] = vouchersOf(xml);
+    for (const voucher of [sale, plainSale, note, receiptVoucher, refundVoucher]) {
+      expect(voucher.entries.reduce((total, [, amount]) => total + amount, 0)).toBeCloseTo(0, 2);
+    }
+
+    expect(sale.attributes).toContain('VCHTYPE="Sales" ACTION="Create"');
+    expect(sale.body).toContain('<DATE>20260405</DATE>');
+    expect(sale.entries).toEqual([
+      ['Ravi &amp; Sons', -1180],
+      ['Sales A/c', 1000],
+      ['Output CGST', 90],
+      ['Output SGST', 90],
+    ]);
+    expect(sale.body).toContain('<BILLTYPE>New Ref</BILLTYPE>');
+    expect(plainSale.entries).toEqual([['Meena', -500], ['Sales A/c', 499.6], ['Round Off', 0.4]]);
+
+    expect(note.attributes).toContain('VCHTYPE="Credit Note"');
+    expect(note.entries).toEqual([
+      ['Ravi &amp; Sons', 118],
+      ['Sales A/c', -100],
+      ['Output CGST', -9],
+      ['Output SGST', -9],
+    ]);
+
+    expect(receiptVoucher.body).toContain('<VOUCHERNUMBER>RCT-1</VOUCHERNUMBER>');
+    expect(receiptVoucher.entries).toEqual([['HDFC Bank', -700], ['Ravi &amp; Sons', 700]]);
+    expect(receiptVoucher.body).toContain('<NAME>INV-1</NAME><BILLTYPE>Agst Ref</BILLTYPE><AMOUNT>500.00</AMOUNT>');
+    expect(receiptVoucher.body).toContain('<BILLTYPE>On Account</BILLTYPE><AMOUNT>200.00</AMOUNT>');
+
+    expect(refundVoucher.attributes).toContain('VCHTYPE="Payment"');
+    expect(refundVoucher.entries).toEqual([['Ravi &amp; Sons', -200], ['Cash', 200]]);
+
+    expect(settingsUpdate).toHaveBeenCalledWith({userId}, {$set: {'tally.lastExportedAt': expect.any(Date)}});
+  });
+
+  it('re-exports only what changed since the last export', async () => {
+    const deletedBill = {...gstBill, _id: '64b000000000000000000b03', billNo: 'INV-0', isDeleted: true, updatedAt: new Date('2026-04-11')};
+    const amendedBill = {...gstBill, grandTotal: 1298, gst: {...gstBill.gst, taxableValue: 1100, cgst: 99, sgst: 99}, updatedAt: new Date('2026-04-11')};
+    const {billFind} = mockBooks({
+      settings: {tally: {lastExportedAt}},
+      bills: [deletedBill, amendedBill, plainBill],
+    });
+
+    const {xml, since, counts} = await buildTallyExport({userId, month: '2026-04', changedOnly: true});
+
+    expect(since).toEqual(lastExportedAt);
+    expect(billFind.mock.calls[0][0]).toMatchObject({userId, updatedAt: {$gt: lastExportedAt}});
+    expect(billFind.mock.calls[0][0].isDeleted).toBeUndefined();
+
+    // Ravi's ledger hasn't changed; Meena is new
+    expect(xml).not.toContain('<LEDGER NAME="Ravi');
+    expect(xml).toContain('<LEDGER NAME="Meena" ACTION="Create">');
+
+    const [removed, amended, added] = vouchersOf(xml);
+    expect(removed.attributes).toContain('ACTION="Delete" DATE="20260405" TAGNAME="Voucher Number" TAGVALUE="INV-0"');
+    expect(removed.entries).toEqual([]);
+    expect(amended.attributes).toContain('ACTION="Alter"');
+    expect(amended.entries[0]).toEqual(['Ravi &amp; Sons', -1298]);
+    expect(added.attributes).toContain('ACTION="Create"');
+    expect(counts).toMatchObject({ledgers: 1, sales: 2, deleted: 1});
+  });
+
+  it('sends everything when nothing was exported before', async () => {
+    const {billFind} = mockBooks({settings: {tally: {lastExportedAt: null}}, bills: [gstBill]});
+
+    const {since, counts} = await buildTallyExport({userId, month: '2026-04', changedOnly: true});
+
+    expect(since).toBeNull();
+    expect(billFind.mock.calls[0][0]).toMatchObject({isDeleted: {$ne: true}, status: {$ne: 'cancelled'}});
+    expect(counts).toMatchObject({ledgers: 2, sales: 1});
+  });
+});
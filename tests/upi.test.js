@@ -0,0 +1,96 @@
+/**
+ * UPI Payment Tests
+ *
+ * Verifies upi://pay links, notes, QR codes and reminder links (no database required)
+ */
+const {
+  UPI_VPA_PATTERN,
+  buildUpiNote,
+  buildUpiPayLink,
+  buildUpiPayment,
+  withUpiQr,
+} = require('../src/services/upi.service');
+const {renderUpiPayHtml, renderStatementPdf} = require('../src/services/statementRenderer.service');
+const {computeRecoveryPlan} = require('../src/services/recoveryPlan.service');
+
+const config = {vpa: 'sharmastores@okhdfcbank', payeeName: 'Sharma & Sons'};
+
+describe('UPI payments', () => {
+  it('validates VPAs', () => {
+    expect(UPI_VPA_PATTERN.test('sharmastores@okhdfcbank')).toBe(true);
+    expect(UPI_VPA_PATTERN.test('9876543210@ybl')).toBe(true);
+    expect(UPI_VPA_PATTERN.test('no-handle')).toBe(false);
+    expect(UPI_VPA_PATTERN.test('a b@ybl')).toBe(false);
+  });
+
+  it('builds an exact upi://pay link', () => {
+    const link = buildUpiPayLink({...config, amount: 1234.5, note: 'Bill INV-7'});
+
+    expect(link).toBe('upi://pay?pa=sharmastores@okhdfcbank&pn=Sharma%20%26%20Sons&am=1234.50&cu=INR&tn=Bill%20INV-7');
+  });
+
+  it('builds notes from bill numbers within the UPI limit', () => {
+    expect(buildUpiNote(['INV-7'])).toBe('Bill INV-7');
+    expect(buildUpiNote(['INV-7', 'INV-8'])).toBe('Bills INV-7, INV-8');
+
+    const many = Array.from({length: 12}, (_, i) => `INV-${1000 + i}`);
+    const note = buildUpiNote(many);
+    expect(note.length).toBeLessThanOrEqual(50);
+    expect(note).toMatch(/^Bills INV-1000, .* \+\d+ more$/);
+  });
+
+  it('returns no payment without a VPA or amount due', () => {
+    expect(buildUpiPayment(null, {amount: 100, billNos: ['INV-1']})).toBeNull();
+    expect(buildUpiPayment(config, {amount: 0, billNos: ['INV-1']})).toBeNull();
+
+    const payment = buildUpiPayment(config, {amount: 99.999, billNos: ['INV-1']});
+    expect(payment.amount).toBe(100);
+    expect(payment.link).toContain('am=100.00');
+  });
+
+  it('generates a QR code and renders the pay block', async () => {
+    const payment = await withUpiQr(buildUpiPayment(config, {amount: 500, billNos: ['INV-1']}));
+
+    expect(payment.qrDataUrl).toMatch(/^data:image\/png;base64,/);
+
+    const html = renderUpiPayHtml(payment);
+    expect(html).toContain('href="upi://pay?pa=sharmastores@okhdfcbank');
+    expect(html).toContain('&amp;pn=Sharma%20%26%20Sons&amp;am=500.00');
+    expect(renderUpiPayHtml(null)).toBe('');
+  });
+
+  it('renders the UPI QR code on statement PDFs', async () => {
+    const pdf = await renderStatementPdf({
+      business: {name: 'Sharma Stores'},
+      customer: {name: 'Ravi'},
+      period: {from: new Date('2026-10-01T00:00:00Z'), to: new Date('2026-10-15T00:00:00Z')},
+      openingBalance: 0,
+      entries: [],
+      totalCharges: 0,
+      totalReceived: 0,
+      closingBalance: 500,
+      upi: buildUpiPayment(config, {amount: 500, billNos: ['INV-1']}),
+      generatedAt: new Date('2026-10-15T00:00:00Z'),
+    });
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1')).toContain('/Subtype /Image');
+  });
+
+  it('adds the UPI link to recovery reminders', () => {
+    const upi = buildUpiPayment(config, {amount: 750, billNos: ['INV-1', 'INV-2']});
+    const plan = computeRecoveryPlan({
+      customerId: 'c1',
+      customerName: 'Ravi',
+      outstandingAmount: 750,
+      overdueBills: [{dueDate: '2026-10-01T00:00:00Z'}],
+      upi,
+      nowIST: new Date('2026-10-15T06:00:00Z'),
+    });
+
+    for (const step of plan.steps) {
+      expect(step.body).toContain(`Pay via UPI: ${upi.link}`);
+      expect(step.metadata.upiLink).toBe(upi.link);
+    }
+  });
+});
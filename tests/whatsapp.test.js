@@ -0,0 +1,210 @@
+/**
+ * WhatsApp Cloud API Tests
+ *
+ * Verifies template mapping, error classification, transport sends and
+ * status receipts (no database or network required)
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const NotificationAttempt = require('../src/models/NotificationAttempt');
+const MessageEvent = require('../src/models/MessageEvent');
+const {buildTemplatePayload} = require('../src/services/whatsapp/templates');
+const {classifyWhatsAppError} = require('../src/services/whatsapp/whatsappCloudClient');
+const WhatsAppCloudTransport = require('../src/services/notificationTransports/WhatsAppCloudTransport');
+const {
+  verifyWhatsAppSignature,
+  parseStatusWebhook,
+  applyStatusReceipt,
+} = require('../src/services/whatsapp/whatsappStatus.service');
+const {customerPhoneToE164} = require('../src/utils/phone');
+
+const notification = {
+  _id: 'n1',
+  metadata: {
+    templateKey: 'recovery_urgent',
+    customerName: 'Ravi',
+    outstandingAmount: 12500,
+    statementUrl: 'https://example.com/s/abc',
+  },
+};
+
+const statusWebhook = (status, extra = {}) => ({
+  object: 'whatsapp_business_account',
+  entry: [{
+    changes: [{
+      field: 'messages',
+      value: {statuses: [{id: 'wamid.1', status, timestamp: '1760500000', recipient_id: '919876543210', ...extra}]},
+    }],
+  }],
+});
+
+describe('WhatsApp Cloud API', () => {
+  const originalEnv = {...process.env};
+
+  beforeAll(() => {
+    process.env.WHATSAPP_ACCESS_TOKEN = 'test_token';
+    process.env.WHATSAPP_PHONE_NUMBER_ID = '1234567890';
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('maps recovery templates to approved body parameters', () => {
+    const template = buildTemplatePayload('recovery_urgent', {
+      customerName: 'Ravi\nKumar',
+      amount: 12500,
+      statementUrl: 'https://example.com/s/abc',
+    }, 'en');
+
+    expect(template).toEqual({
+      name: 'recovery_urgent',
+      language: {code: 'en'},
+      components: [{
+        type: 'body',
+        parameters: [
+          {type: 'text', text: 'Ravi Kumar'},
+          {type: 'text', text: '12,500'},
+          {type: 'text', text: 'https://example.com/s/abc'},
+        ],
+      }],
+    });
+  });
+
+  it('fails non-retryably for unmapped templates or missing parameters', () => {
+    expect(() => buildTemplatePayload('daily_summary', {})).toThrow(expect.objectContaining({
+      code: 'TEMPLATE_NOT_MAPPED',
+      retryable: false,
+    }));
+    expect(() => buildTemplatePayload('recovery_immediate', {customerName: 'Ravi', amount: 10})).toThrow(expect.objectContaining({
+      code: 'TEMPLATE_PARAMS_MISSING',
+      retryable: false,
+    }));
+  });
+
+  it('classifies provider errors', () => {
+    expect(classifyWhatsAppError({providerError: {code: 130429, message: 'Rate limit hit'}})).toMatchObject({
+      code: 'WHATSAPP_RATE_LIMITED',
+      retryable: true,
+    });
+    expect(classifyWhatsAppError({providerError: {code: 131026, title: 'Message undeliverable'}})).toMatchObject({
+      code: 'WHATSAPP_RECIPIENT_UNAVAILABLE',
+      retryable: false,
+    });
+    expect(classifyWhatsAppError({providerError: {code: 132001, message: 'Template does not exist'}})).toMatchObject({
+      code: 'WHATSAPP_TEMPLATE_ERROR',
+      retryable: false,
+    });
+    expect(classifyWhatsAppError({providerError: {code: 190, message: 'Token expired'}}).retryable).toBe(false);
+    expect(classifyWhatsAppError({httpStatus: 503}).retryable).toBe(true);
+    expect(classifyWhatsAppError({}).code).toBe('WHATSAPP_NETWORK_ERROR');
+  });
+
+  it('normalizes customer phones for WhatsApp', () => {
+    expect(customerPhoneToE164('98765 43210')).toBe('+919876543210');
+    expect(customerPhoneToE164('09876543210')).toBe('+919876543210');
+    expect(customerPhoneToE164('12345')).toBeNull();
+  });
+
+  it('sends template messages and returns the provider message id', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({data: {messages: [{id: 'wamid.1'}]}});
+    const transport = new WhatsAppCloudTransport();
+
+    const result = await transport.send({
+      notification,
+      attempt: {_id: 'a1'},
+      user: {_id: 'u1'},
+      customer: {name: 'Ravi', phone: '9876543210'},
+    });
+
+    expect(result).toEqual({ok: true, providerMessageId: 'wamid.1'});
+    expect(post.mock.calls[0][0]).toBe('https://graph.facebook.com/v20.0/1234567890/messages');
+    expect(post.mock.calls[0][1]).toMatchObject({
+      messaging_product: 'whatsapp',
+      to: '919876543210',
+      type: 'template',
+      template: {name: 'recovery_urgent'},
+    });
+  });
+
+  it('surfaces classified errors from the transport', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue({
+      message: 'Request failed with status code 400',
+      response: {status: 400, data: {error: {code: 131026, message: 'Message undeliverable'}}},
+    });
+    const transport = new WhatsAppCloudTransport();
+    const params = {notification, attempt: {_id: 'a1'}, user: {_id: 'u1'}, customer: {name: 'Ravi', phone: '9876543210'}};
+
+    await expect(transport.send(params)).rejects.toMatchObject({
+      code: 'WHATSAPP_RECIPIENT_UNAVAILABLE',
+      retryable: false,
+    });
+    await expect(transport.send({...params, customer: {name: 'Ravi', phone: ''}})).rejects.toMatchObject({
+      code: 'INVALID_RECIPIENT',
+      retryable: false,
+    });
+  });
+
+  it('verifies X-Hub-Signature-256 and parses status receipts', () => {
+    const rawBody = JSON.stringify(statusWebhook('delivered'));
+    const signature = `sha256=${crypto.createHmac('sha256', 'app_secret').update(rawBody).digest('hex')}`;
+
+    expect(verifyWhatsAppSignature(rawBody, signature, 'app_secret')).toBe(true);
+    expect(verifyWhatsAppSignature(rawBody, signature, 'other_secret')).toBe(false);
+    expect(verifyWhatsAppSignature(rawBody, 'sha256=abc', 'app_secret')).toBe(false);
+
+    expect(parseStatusWebhook(JSON.parse(rawBody))).toEqual([{
+      providerMessageId: 'wamid.1',
+      status: 'DELIVERED',
+      timestamp: new Date(1760500000 * 1000),
+      recipient: '919876543210',
+      error: null,
+    }]);
+    expect(parseStatusWebhook({object: 'page'})).toEqual([]);
+  });
+
+  it('advances attempts and message events forward only', async () => {
+    const attemptUpdate = jest.spyOn(NotificationAttempt, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    const eventUpdate = jest.spyOn(MessageEvent, 'updateOne').mockResolvedValue({modifiedCount: 0});
+
+    const [receipt] = parseStatusWebhook(statusWebhook('read'));
+    const result = await applyStatusReceipt(receipt);
+
+    expect(result).toEqual({notificationAttempt: true, messageEvent: false});
+    expect(attemptUpdate.mock.calls[0][0]).toEqual({
+      providerMessageId: 'wamid.1',
+      status: 'SENT',
+      providerStatus: {$in: [null, 'SENT', 'DELIVERED']},
+    });
+    expect(attemptUpdate.mock.calls[0][1]).toEqual({$set: {providerStatus: 'READ', readAt: receipt.timestamp}});
+    // Read implies delivered: backfill deliveredAt when the DELIVERED receipt was missed
+    expect(attemptUpdate.mock.calls[1][0]).toEqual({providerMessageId: 'wamid.1', deliveredAt: null});
+    expect(eventUpdate.mock.calls[0][0]).toEqual({providerMessageId: 'wamid.1', status: {$in: ['SENT', 'DELIVERED']}});
+  });
+
+  it('schedules a retry for retryable async failures', async () => {
+    const attempt = {
+      providerMessageId: 'wamid.1',
+      status: 'SENT',
+      providerStatus: 'SENT',
+      attemptNo: 1,
+      maxAttempts: 4,
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(NotificationAttempt, 'findOne').mockResolvedValue(attempt);
+    jest.spyOn(MessageEvent, 'findOne').mockResolvedValue(null);
+
+    const [receipt] = parseStatusWebhook(statusWebhook('failed', {errors: [{code: 131000, title: 'Something went wrong'}]}));
+    await applyStatusReceipt(receipt);
+
+    expect(attempt.status).toBe('RETRY_SCHEDULED');
+    expect(attempt.providerStatus).toBe('FAILED');
+    expect(attempt.lastError).toMatchObject({code: 'WHATSAPP_PROVIDER_UNAVAILABLE', retryable: true});
+    expect(attempt.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(attempt.save).toHaveBeenCalled();
+  });
+});